@@ -0,0 +1,84 @@
+-- Migration: 054_biz_import_profiles
+-- Description: S15 §5b pillar 1 (business tracker) -- per-account column
+-- mapping profiles for the card/bank statement CSV importer
+-- (business-server `import_statement_csv`).
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S15-broadquill-business-tracker.md §5b pillar 1 (statement import is the
+--   system of record for biz_transactions; idempotent re-import).
+--
+-- One profile per account: every institution exports a different CSV
+-- layout (column names, date format, which sign means "money out"), but a
+-- given account's export is stable month to month, so the mapping is saved
+-- once and reused on every import.
+--
+-- Amounts are mapped one of two ways:
+--   * amount_column -- a single signed column. amount_sign says which sign
+--     is money out: 'negative_is_expense' (typical bank export) or
+--     'positive_is_expense' (typical card export, where charges are positive
+--     and payments/refunds negative).
+--   * debit_column + credit_column -- two unsigned columns, debit = expense,
+--     credit = income.
+-- Exactly one of the two shapes must be configured (CHECK below).
+--
+-- No dedupe column is added here: the importer's (account_id, occurred_on,
+-- amount, normalized_description) key is computed at import time over the
+-- existing idx_biz_transactions_dedupe_lookup index (see migration 050).
+--
+-- Depends on: fictionlab.biz_accounts (migration 048).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '054_biz_import_profiles.sql') THEN
+        RAISE NOTICE 'Migration 054_biz_import_profiles.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    CREATE SCHEMA IF NOT EXISTS fictionlab;
+
+    -- =========================================================
+    -- 1. biz_import_profiles (one per account)
+    -- =========================================================
+    CREATE TABLE IF NOT EXISTS fictionlab.biz_import_profiles (
+        id                  BIGSERIAL PRIMARY KEY,
+        account_id          BIGINT NOT NULL UNIQUE REFERENCES fictionlab.biz_accounts(id) ON DELETE CASCADE,
+        date_column         TEXT NOT NULL,                   -- header name of the posting/transaction date
+        date_format         TEXT NOT NULL DEFAULT 'YYYY-MM-DD',
+            -- YYYY-MM-DD|MM/DD/YYYY|DD/MM/YYYY
+        description_column  TEXT NOT NULL,
+        amount_column       TEXT,                            -- single signed amount column, or NULL when debit/credit are split
+        amount_sign         TEXT NOT NULL DEFAULT 'negative_is_expense',
+            -- negative_is_expense|positive_is_expense (only used with amount_column)
+        debit_column        TEXT,                            -- unsigned money-out column
+        credit_column       TEXT,                            -- unsigned money-in column
+        category_column     TEXT,                            -- optional; copied into biz_transactions.category
+        default_category    TEXT,                            -- used when category_column is unset or blank
+        delimiter           TEXT NOT NULL DEFAULT ',',
+        skip_rows           SMALLINT NOT NULL DEFAULT 0,     -- preamble lines before the header row
+        notes               TEXT,
+        created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CONSTRAINT biz_import_profiles_amount_shape CHECK (
+            (amount_column IS NOT NULL AND debit_column IS NULL AND credit_column IS NULL)
+            OR (amount_column IS NULL AND debit_column IS NOT NULL AND credit_column IS NOT NULL)
+        )
+    );
+
+    COMMENT ON TABLE fictionlab.biz_import_profiles IS 'Per-account statement CSV column mapping (S15 §5b pillar 1). Company-scoped transitively through account_id.';
+
+    RAISE NOTICE 'Created fictionlab.biz_import_profiles';
+
+    DROP TRIGGER IF EXISTS trigger_biz_import_profiles_update_timestamp ON fictionlab.biz_import_profiles;
+    CREATE TRIGGER trigger_biz_import_profiles_update_timestamp
+        BEFORE UPDATE ON fictionlab.biz_import_profiles
+        FOR EACH ROW
+        EXECUTE FUNCTION fictionlab.kanban_update_timestamp();
+
+    RAISE NOTICE 'Created updated_at trigger on biz_import_profiles';
+
+    INSERT INTO migrations (filename) VALUES ('054_biz_import_profiles.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 054_biz_import_profiles.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
@@ -0,0 +1,49 @@
+-- Migration: 055_biz_deadlines_recurrence_anchor
+-- Description: S14 §5 recurring deadline engine (business-server
+-- complete_deadline / snooze_deadline / get_deadline_alerts) -- the two
+-- columns rolling needs that the S14 DDL did not carry.
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S14-broadquill-dashboard-plugin.md §5 (complete rolls due_date forward
+--   one period for recurring rows; snooze hides an alert until a date).
+--
+-- Why anchor_day: rolling a recurring row only ever sees its current
+-- due_date. A monthly deadline due Jan 31 rolls to Feb 28 (Feb has no 31st);
+-- rolling Feb 28 naively would give Mar 28 and the deadline would drift
+-- earlier forever. anchor_day remembers the intended day of month (31 here),
+-- so the next roll lands on Mar 31 again. It is filled in from due_date the
+-- first time a row is rolled, so existing rows need no backfill.
+--
+-- Why last_completed_at: done_at is set only for recurrence='none' rows (a
+-- recurring row never finishes), so without this there is no record of when
+-- a recurring deadline was last handled.
+--
+-- Depends on: fictionlab.biz_deadlines (migration 049).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '055_biz_deadlines_recurrence_anchor.sql') THEN
+        RAISE NOTICE 'Migration 055_biz_deadlines_recurrence_anchor.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    ALTER TABLE fictionlab.biz_deadlines
+        ADD COLUMN IF NOT EXISTS anchor_day SMALLINT
+            CHECK (anchor_day IS NULL OR anchor_day BETWEEN 1 AND 31),  -- intended day of month for rolling; NULL = due_date's own day
+        ADD COLUMN IF NOT EXISTS last_completed_at TIMESTAMPTZ;         -- last complete_deadline on a recurring row
+
+    -- Alert/upcoming queries only ever look at open rows by due date.
+    CREATE INDEX IF NOT EXISTS idx_biz_deadlines_open_due
+        ON fictionlab.biz_deadlines(company_id, due_date)
+        WHERE done_at IS NULL;
+
+    COMMENT ON COLUMN fictionlab.biz_deadlines.anchor_day IS 'Day of month a monthly/quarterly/annual deadline is anchored to, so month-end dates clamp (Jan 31 -> Feb 28) without drifting (Feb 28 -> Mar 31, not Mar 28).';
+
+    RAISE NOTICE 'Added fictionlab.biz_deadlines.anchor_day, last_completed_at';
+
+    INSERT INTO migrations (filename) VALUES ('055_biz_deadlines_recurrence_anchor.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 055_biz_deadlines_recurrence_anchor.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
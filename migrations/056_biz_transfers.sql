@@ -0,0 +1,95 @@
+-- Migration: 056_biz_transfers
+-- Description: S15 business tracker -- two-leg transfers between a
+-- company's own accounts, and biz_v_cash_position counting them.
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S15-broadquill-business-tracker.md §4a (biz_transactions, Reports
+--   decision). Resolves the "transfer: excluded until a destination-account
+--   column exists" note left in migration 050's biz_v_cash_position.
+--
+-- Leg convention (written together by business-server `create_transfer`):
+--   * out leg -- account_id = source, to_account_id = destination,
+--     direction 'transfer'. Counts as money OUT of the source.
+--   * in leg  -- account_id = destination, to_account_id NULL,
+--     direction 'transfer'. Counts as money IN to the destination.
+--   Both legs carry transfer_pair_id pointing at each other, so each
+--   account's own transaction list shows its side of the move and either
+--   leg can find the other.
+--
+-- Transfer rows written before this migration have neither column set and
+-- keep counting as 0 -- there is no way to tell where that money went.
+--
+-- biz_v_book_pnl and biz_v_monthly_category_totals deliberately keep
+-- counting transfers as 0: moving money between the company's own
+-- accounts is neither income nor expense.
+--
+-- Depends on: fictionlab.biz_transactions, biz_v_cash_position (migration
+-- 050) and biz_v_book_pnl (migration 052).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '056_biz_transfers.sql') THEN
+        RAISE NOTICE 'Migration 056_biz_transfers.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    -- =========================================================
+    -- 1. Transfer columns on biz_transactions
+    -- =========================================================
+    ALTER TABLE fictionlab.biz_transactions
+        ADD COLUMN IF NOT EXISTS to_account_id BIGINT
+            REFERENCES fictionlab.biz_accounts(id) ON DELETE CASCADE,     -- out leg only: destination account
+        ADD COLUMN IF NOT EXISTS transfer_pair_id BIGINT
+            REFERENCES fictionlab.biz_transactions(id) ON DELETE SET NULL; -- the other leg of the same transfer
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'biz_transactions_transfer_legs_check'
+    ) THEN
+        ALTER TABLE fictionlab.biz_transactions
+            ADD CONSTRAINT biz_transactions_transfer_legs_check CHECK (
+                (to_account_id IS NULL AND transfer_pair_id IS NULL)
+                OR (direction = 'transfer' AND to_account_id IS DISTINCT FROM account_id)
+            );
+    END IF;
+
+    CREATE INDEX IF NOT EXISTS idx_biz_transactions_to_account ON fictionlab.biz_transactions(to_account_id);
+
+    RAISE NOTICE 'Added fictionlab.biz_transactions.to_account_id, transfer_pair_id';
+
+    -- =========================================================
+    -- 2. biz_v_cash_position -- same columns as migration 050, transfer
+    -- legs now move money between accounts
+    -- =========================================================
+    CREATE OR REPLACE VIEW fictionlab.biz_v_cash_position AS
+    SELECT
+        a.id AS account_id,
+        a.company_id,
+        a.name AS account_name,
+        a.account_type,
+        a.opening_balance,
+        a.opening_balance + COALESCE(SUM(
+            CASE
+                WHEN t.direction = 'income' THEN t.amount
+                WHEN t.direction = 'expense' THEN -t.amount
+                WHEN t.direction = 'transfer' AND t.to_account_id IS NOT NULL THEN -t.amount      -- out leg
+                WHEN t.direction = 'transfer' AND t.transfer_pair_id IS NOT NULL THEN t.amount    -- in leg
+                ELSE 0  -- pre-056 transfer rows: destination unknown
+            END
+        ), 0) AS current_balance
+    FROM fictionlab.biz_accounts a
+    LEFT JOIN fictionlab.biz_transactions t ON t.account_id = a.id
+    WHERE a.is_archived = FALSE
+    GROUP BY a.id, a.company_id, a.name, a.account_type, a.opening_balance;
+
+    COMMENT ON VIEW fictionlab.biz_v_cash_position IS 'Read-only cash position per active account (S15 §4a Reports decision). Transfer out legs (to_account_id set) debit the source, in legs (transfer_pair_id only) credit the destination; pre-056 unpaired transfer rows net to 0.';
+
+    COMMENT ON VIEW fictionlab.biz_v_book_pnl IS 'Read-only per-book P&L, grouped by biz_transactions.book_ref (S15 §4a Reports decision). book_ref is a free-text label, not an FK into the canon DB (§0/§2). Transfers count as 0: moving money between own accounts is not P&L.';
+
+    RAISE NOTICE 'Replaced fictionlab.biz_v_cash_position with transfer legs';
+
+    INSERT INTO migrations (filename) VALUES ('056_biz_transfers.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 056_biz_transfers.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
@@ -0,0 +1,97 @@
+-- Migration: 057_biz_debt_payments
+-- Description: S15 business tracker -- link a payment transaction to the
+-- debt it pays down, and keep biz_debts.balance in step with those
+-- payments automatically.
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S15-broadquill-business-tracker.md §4a (biz_debts, biz_transactions).
+--   Feeds business-server `plan_debt_payoff`, which amortizes from the
+--   current balance.
+--
+-- Payment convention:
+--   * A debt payment is an ordinary 'expense' transaction on the account the
+--     money left, with debt_id set. Only expenses may carry debt_id.
+--   * The trigger below subtracts the payment amount from the debt's
+--     balance on INSERT, adds it back on DELETE, and on UPDATE reverses the
+--     old row before applying the new one -- so re-pointing, re-sizing or
+--     un-linking a payment stays exact.
+--   * A debt whose balance reaches 0 flips to status 'paid_off'; reversing
+--     a payment on a paid-off debt flips it back to 'active'.
+--
+-- Interest is NOT accrued here: the payment's full amount comes off
+-- balance. Correct balance from the lender's statement with update_debt
+-- when interest posts (the same manual step as before this migration).
+--
+-- Transactions written before this migration have no debt_id and do not
+-- touch any balance.
+--
+-- Depends on: fictionlab.biz_transactions (migration 050), biz_debts
+-- (migration 052).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '057_biz_debt_payments.sql') THEN
+        RAISE NOTICE 'Migration 057_biz_debt_payments.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    -- =========================================================
+    -- 1. debt_id on biz_transactions
+    -- =========================================================
+    ALTER TABLE fictionlab.biz_transactions
+        ADD COLUMN IF NOT EXISTS debt_id BIGINT
+            REFERENCES fictionlab.biz_debts(id) ON DELETE SET NULL;    -- the debt this expense pays down
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'biz_transactions_debt_payment_check'
+    ) THEN
+        ALTER TABLE fictionlab.biz_transactions
+            ADD CONSTRAINT biz_transactions_debt_payment_check CHECK (
+                debt_id IS NULL OR direction = 'expense'
+            );
+    END IF;
+
+    CREATE INDEX IF NOT EXISTS idx_biz_transactions_debt ON fictionlab.biz_transactions(debt_id);
+
+    RAISE NOTICE 'Added fictionlab.biz_transactions.debt_id';
+
+    -- =========================================================
+    -- 2. Payment trigger: transactions with debt_id move biz_debts.balance
+    -- =========================================================
+    CREATE OR REPLACE FUNCTION fictionlab.biz_apply_debt_payment()
+    RETURNS TRIGGER AS $func$
+    BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.debt_id IS NOT NULL THEN
+            UPDATE fictionlab.biz_debts
+            SET balance = balance + OLD.amount,
+                status = CASE WHEN status = 'paid_off' AND balance + OLD.amount > 0 THEN 'active' ELSE status END
+            WHERE id = OLD.debt_id;
+        END IF;
+
+        IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.debt_id IS NOT NULL THEN
+            UPDATE fictionlab.biz_debts
+            SET balance = balance - NEW.amount,
+                status = CASE WHEN balance - NEW.amount <= 0 THEN 'paid_off' ELSE status END
+            WHERE id = NEW.debt_id;
+        END IF;
+
+        RETURN NULL;
+    END;
+    $func$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS trigger_biz_transactions_debt_payment ON fictionlab.biz_transactions;
+    CREATE TRIGGER trigger_biz_transactions_debt_payment
+        AFTER INSERT OR DELETE OR UPDATE OF debt_id, amount ON fictionlab.biz_transactions
+        FOR EACH ROW
+        EXECUTE FUNCTION fictionlab.biz_apply_debt_payment();
+
+    COMMENT ON COLUMN fictionlab.biz_transactions.debt_id IS 'Debt this expense pays down (migration 057). trigger_biz_transactions_debt_payment keeps biz_debts.balance in step.';
+
+    RAISE NOTICE 'Created trigger_biz_transactions_debt_payment';
+
+    INSERT INTO migrations (filename) VALUES ('057_biz_debt_payments.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 057_biz_debt_payments.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
@@ -0,0 +1,127 @@
+-- Migration: 058_biz_book_links
+-- Description: S15 business tracker -- optional, validated links from the
+-- business tables' free-text book labels to the canon books table, and a
+-- per-series P&L rollup through them.
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S15-broadquill-business-tracker.md §4a (biz_v_book_pnl, Reports
+--   decision) and §0/§2 (canon DB is the source of truth for books).
+--
+-- The §0/§2 rule still holds: book_ref stays free text on
+-- biz_transactions and biz_content_items, and biz_pipeline_items.title
+-- stays the title the business side uses. What this migration adds is an
+-- OPTIONAL pointer into books(id) next to those labels:
+--   * biz_book_refs -- one row per (company, book_ref label) naming the
+--     book the label means. Linking a label once covers every transaction
+--     and content item carrying it, past and future, so re-labelling is
+--     never needed. Unlinked labels keep working exactly as before.
+--   * biz_pipeline_items.book_id -- the book a pipeline item is producing,
+--     once book-server has a row for it.
+-- Deleting a book drops its label links and nulls pipeline links; the
+-- business rows themselves are untouched.
+--
+-- biz_v_book_pnl gains book_id/book_title/series_id (NULL for unlinked
+-- labels); biz_v_series_pnl rolls linked labels up per series.
+--
+-- Depends on: books/series (init.sql), biz_pipeline_items (migration 049),
+-- biz_v_book_pnl (migration 052; its comment was last updated by 056).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '058_biz_book_links.sql') THEN
+        RAISE NOTICE 'Migration 058_biz_book_links.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    -- =========================================================
+    -- 1. biz_book_refs -- label -> books.id, per company
+    -- =========================================================
+    CREATE TABLE IF NOT EXISTS fictionlab.biz_book_refs (
+        id          BIGSERIAL PRIMARY KEY,
+        company_id  BIGINT NOT NULL REFERENCES fictionlab.biz_companies(id),
+        book_ref    TEXT NOT NULL,                       -- exact label as written on transactions/content items
+        book_id     INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+        notes       TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (company_id, book_ref)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_biz_book_refs_book ON fictionlab.biz_book_refs(book_id);
+
+    COMMENT ON TABLE fictionlab.biz_book_refs IS 'Optional link from a free-text book_ref label to the canon books row it means (migration 058). book_ref itself stays free text (S15 §0/§2).';
+
+    DROP TRIGGER IF EXISTS trigger_biz_book_refs_update_timestamp ON fictionlab.biz_book_refs;
+    CREATE TRIGGER trigger_biz_book_refs_update_timestamp
+        BEFORE UPDATE ON fictionlab.biz_book_refs
+        FOR EACH ROW
+        EXECUTE FUNCTION fictionlab.kanban_update_timestamp();
+
+    RAISE NOTICE 'Created fictionlab.biz_book_refs';
+
+    -- =========================================================
+    -- 2. biz_pipeline_items.book_id
+    -- =========================================================
+    ALTER TABLE fictionlab.biz_pipeline_items
+        ADD COLUMN IF NOT EXISTS book_id INTEGER
+            REFERENCES books(id) ON DELETE SET NULL;     -- canon book this item produces (optional)
+
+    CREATE INDEX IF NOT EXISTS idx_biz_pipeline_items_book ON fictionlab.biz_pipeline_items(book_id);
+
+    RAISE NOTICE 'Added fictionlab.biz_pipeline_items.book_id';
+
+    -- =========================================================
+    -- 3. biz_v_book_pnl -- same columns as migration 052, plus the linked
+    -- book (NULL while the label is unlinked)
+    -- =========================================================
+    CREATE OR REPLACE VIEW fictionlab.biz_v_book_pnl AS
+    SELECT
+        a.company_id,
+        t.book_ref,
+        SUM(CASE WHEN t.direction = 'income' THEN t.amount ELSE 0 END) AS total_income,
+        SUM(CASE WHEN t.direction = 'expense' THEN t.amount ELSE 0 END) AS total_expense,
+        SUM(
+            CASE
+                WHEN t.direction = 'income' THEN t.amount
+                WHEN t.direction = 'expense' THEN -t.amount
+                ELSE 0  -- transfer: moving money between own accounts is not P&L
+            END
+        ) AS net,
+        r.book_id,
+        b.title AS book_title,
+        b.series_id
+    FROM fictionlab.biz_transactions t
+    JOIN fictionlab.biz_accounts a ON a.id = t.account_id
+    LEFT JOIN fictionlab.biz_book_refs r ON r.company_id = a.company_id AND r.book_ref = t.book_ref
+    LEFT JOIN books b ON b.id = r.book_id
+    WHERE t.book_ref IS NOT NULL
+    GROUP BY a.company_id, t.book_ref, r.book_id, b.title, b.series_id;
+
+    COMMENT ON VIEW fictionlab.biz_v_book_pnl IS 'Read-only per-book P&L, grouped by biz_transactions.book_ref (S15 §4a Reports decision). book_ref is a free-text label; book_id/book_title/series_id come from its optional biz_book_refs link (migration 058) and are NULL while unlinked. Transfers count as 0.';
+
+    -- =========================================================
+    -- 4. biz_v_series_pnl -- linked labels rolled up per canon series
+    -- =========================================================
+    CREATE OR REPLACE VIEW fictionlab.biz_v_series_pnl AS
+    SELECT
+        p.company_id,
+        s.id AS series_id,
+        s.title AS series_title,
+        COUNT(DISTINCT p.book_id) AS book_count,
+        SUM(p.total_income) AS total_income,
+        SUM(p.total_expense) AS total_expense,
+        SUM(p.net) AS net
+    FROM fictionlab.biz_v_book_pnl p
+    JOIN series s ON s.id = p.series_id
+    GROUP BY p.company_id, s.id, s.title;
+
+    COMMENT ON VIEW fictionlab.biz_v_series_pnl IS 'Read-only per-series P&L over biz_v_book_pnl rows whose book_ref is linked to a book (migration 058). Unlinked labels are left out; see resolve_book_refs.';
+
+    RAISE NOTICE 'Replaced fictionlab.biz_v_book_pnl, created fictionlab.biz_v_series_pnl';
+
+    INSERT INTO migrations (filename) VALUES ('058_biz_book_links.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 058_biz_book_links.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
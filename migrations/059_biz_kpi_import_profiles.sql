@@ -0,0 +1,79 @@
+-- Migration: 059_biz_kpi_import_profiles
+-- Description: S15 business tracker -- per-platform column mapping profiles
+-- for the KPI CSV importer (business-server `import_kpi_csv`), which fills
+-- biz_kpis from retail dashboard and newsletter tool exports.
+-- Spec: FictIonLab-Downloads/specs/2026-07-07-broadquill-ops/
+--   S15-broadquill-business-tracker.md §4b (biz_kpis time series).
+--
+-- One profile per platform, same reasoning as biz_import_profiles
+-- (migration 054): each platform's export layout is stable, so the mapping
+-- is saved once and reused.
+--
+-- metric_columns is a JSONB object keyed by CSV header:
+--   { "Net Units Sold": { "metric_name": "kdp_units", "aggregate": "sum" },
+--     "Open Rate":      { "metric_name": "newsletter_open_rate", "aggregate": "avg" } }
+-- aggregate (sum|avg|max|last) folds several rows for the same date into
+-- the one value biz_kpis' UNIQUE (platform_id, metric_name, metric_date)
+-- allows -- KDP writes a row per title and marketplace, a newsletter tool a
+-- row per campaign. The handler validates the shape; the DB only checks
+-- that it is a non-empty object.
+--
+-- filter_column/filter_value optionally keep only matching rows (e.g.
+-- Currency = USD, so royalties in different currencies are never summed).
+--
+-- Depends on: fictionlab.biz_platforms, biz_kpis (migration 053).
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '059_biz_kpi_import_profiles.sql') THEN
+        RAISE NOTICE 'Migration 059_biz_kpi_import_profiles.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    -- =========================================================
+    -- 1. biz_kpi_import_profiles (one per platform)
+    -- =========================================================
+    CREATE TABLE IF NOT EXISTS fictionlab.biz_kpi_import_profiles (
+        id              BIGSERIAL PRIMARY KEY,
+        platform_id     BIGINT NOT NULL UNIQUE REFERENCES fictionlab.biz_platforms(id) ON DELETE CASCADE,
+        date_column     TEXT NOT NULL,                       -- header name of the metric date
+        date_format     TEXT NOT NULL DEFAULT 'YYYY-MM-DD',
+            -- YYYY-MM-DD|MM/DD/YYYY|DD/MM/YYYY (a trailing time is ignored)
+        metric_columns  JSONB NOT NULL,                      -- { header: { metric_name, aggregate } }
+        filter_column   TEXT,                                -- optional: only import rows where this column ...
+        filter_value    TEXT,                                -- ... equals this value
+        delimiter       TEXT NOT NULL DEFAULT ',',
+        skip_rows       SMALLINT NOT NULL DEFAULT 0,         -- preamble lines before the header row
+        notes           TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CONSTRAINT biz_kpi_import_profiles_metric_columns_shape CHECK (
+            jsonb_typeof(metric_columns) = 'object' AND metric_columns <> '{}'::jsonb
+        ),
+        CONSTRAINT biz_kpi_import_profiles_filter_pair CHECK (
+            (filter_column IS NULL) = (filter_value IS NULL)
+        )
+    );
+
+    COMMENT ON TABLE fictionlab.biz_kpi_import_profiles IS 'Per-platform KPI CSV column -> metric_name mapping (S15 §4b). Company-scoped transitively through platform_id.';
+
+    RAISE NOTICE 'Created fictionlab.biz_kpi_import_profiles';
+
+    DROP TRIGGER IF EXISTS trigger_biz_kpi_import_profiles_update_timestamp ON fictionlab.biz_kpi_import_profiles;
+    CREATE TRIGGER trigger_biz_kpi_import_profiles_update_timestamp
+        BEFORE UPDATE ON fictionlab.biz_kpi_import_profiles
+        FOR EACH ROW
+        EXECUTE FUNCTION fictionlab.kanban_update_timestamp();
+
+    -- Trend queries read one metric over a date range.
+    CREATE INDEX IF NOT EXISTS idx_biz_kpis_metric_date ON fictionlab.biz_kpis(metric_name, metric_date);
+
+    RAISE NOTICE 'Created updated_at trigger on biz_kpi_import_profiles, idx_biz_kpis_metric_date';
+
+    INSERT INTO migrations (filename) VALUES ('059_biz_kpi_import_profiles.sql')
+    ON CONFLICT DO NOTHING;
+
+    RAISE NOTICE '=================================================================';
+    RAISE NOTICE 'Migration 059_biz_kpi_import_profiles.sql completed successfully';
+    RAISE NOTICE '=================================================================';
+END $$;
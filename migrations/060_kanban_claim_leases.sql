@@ -0,0 +1,54 @@
+-- Migration: 060_kanban_claim_leases
+-- Description: Claim leases for kanban cards. claim_card's compare-and-swap
+-- (kanban-server claim-handlers.js) sets claimed_by/claimed_at but a claim
+-- never expired: when an agent session crashed, its card sat in 'claimed' or
+-- 'in_progress' until a human noticed. A winning claim now also stamps a
+-- lease (lease_expires_at = NOW() + lease_seconds); the claiming agent keeps
+-- it alive with heartbeat_card, and sweep_expired_claims returns cards whose
+-- lease ran out to 'ready' with a 'claim_expired' kanban_activity row.
+--
+-- Numbered 060: next free after 059_biz_kpi_import_profiles.sql.
+--
+-- Cards claimed before this migration have lease_expires_at NULL and never
+-- expire -- the sweep only touches rows that carry a lease, so applying this
+-- cannot reclaim a card out from under a live session. move_card clears the
+-- lease when a card leaves claimed/in_progress, so a stale lease can never
+-- fire on a card a human later moves back into progress by hand.
+--
+-- The sweep itself stays in the handler (one conditional UPDATE ...
+-- RETURNING, same row-locking argument as claim_card): heartbeat_card and
+-- the sweep both guard on the lease columns, so whichever commits first on
+-- the row wins and the other sees zero rows.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '060_kanban_claim_leases.sql') THEN
+        RAISE NOTICE 'Migration 060_kanban_claim_leases.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    ALTER TABLE fictionlab.kanban_cards
+        ADD COLUMN IF NOT EXISTS lease_seconds     INTEGER
+            CHECK (lease_seconds IS NULL OR lease_seconds > 0),
+        ADD COLUMN IF NOT EXISTS lease_expires_at  TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMPTZ;
+
+    COMMENT ON COLUMN fictionlab.kanban_cards.lease_seconds IS
+        'Lease length of the current claim; each heartbeat_card pushes lease_expires_at this far past NOW(). NULL = no lease (pre-060 claim, or not claimed).';
+    COMMENT ON COLUMN fictionlab.kanban_cards.lease_expires_at IS
+        'When the current claim lapses. sweep_expired_claims returns claimed/in_progress cards past this to ready (activity action claim_expired).';
+    COMMENT ON COLUMN fictionlab.kanban_cards.last_heartbeat_at IS
+        'Last heartbeat_card from claimed_by. Heartbeats write no kanban_activity row.';
+
+    -- The sweep scans only live claims that carry a lease.
+    CREATE INDEX IF NOT EXISTS idx_kanban_cards_lease_expires
+        ON fictionlab.kanban_cards(lease_expires_at)
+        WHERE lease_expires_at IS NOT NULL AND status IN ('claimed', 'in_progress');
+
+    COMMENT ON TABLE fictionlab.kanban_activity IS 'Append-only audit feed. action IN (created, claimed, claim_denied, claim_expired, moved, auto-moved, assigned, commented, updated, linked, archived).';
+
+    INSERT INTO migrations (filename) VALUES ('060_kanban_claim_leases.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 060_kanban_claim_leases.sql completed successfully.';
+END $$;
@@ -0,0 +1,34 @@
+-- Migration: 061_kanban_wip_limits
+-- Description: kanban_columns.wip_limit is now enforced. The column has
+-- existed since 042 and get_board reported it, but move_card and claim_card
+-- never checked it, so agents could pile any number of cards into
+-- in_progress. Both tools now refuse a move into a lane that is already at
+-- its limit and log a 'wip_denied' kanban_activity row; a human identity can
+-- pass move_card's override_wip, which is recorded on the 'moved' row.
+--
+-- Numbered 061: next free after 060_kanban_claim_leases.sql.
+--
+-- Schema-wise this only documents the behaviour: enforcement lives in the
+-- handlers (kanban-helpers.js lockWipLane), which lock the target lane's
+-- kanban_columns row FOR UPDATE before counting, so concurrent moves into
+-- one lane serialize. No constraint is added -- existing boards may already
+-- be over a limit, and that must not fail this migration; such a lane simply
+-- accepts no more cards until it drains.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '061_kanban_wip_limits.sql') THEN
+        RAISE NOTICE 'Migration 061_kanban_wip_limits.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    COMMENT ON COLUMN fictionlab.kanban_columns.wip_limit IS
+        'Max cards in this lane (status_key). move_card/claim_card refuse a move in once it is reached (activity action wip_denied); humans may override via move_card override_wip. NULL = unlimited.';
+
+    COMMENT ON TABLE fictionlab.kanban_activity IS 'Append-only audit feed. action IN (created, claimed, claim_denied, claim_expired, wip_denied, moved, auto-moved, assigned, commented, updated, linked, archived).';
+
+    INSERT INTO migrations (filename) VALUES ('061_kanban_wip_limits.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 061_kanban_wip_limits.sql completed successfully.';
+END $$;
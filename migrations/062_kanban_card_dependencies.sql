@@ -0,0 +1,49 @@
+-- Migration: 062_kanban_card_dependencies
+-- Description: Typed blocks / blocked-by dependencies between kanban cards.
+-- kanban_card_links' 'card' link_type only records that two cards are
+-- related; nothing acts on it, so a card waiting on another still sat in the
+-- agent pickup pool. kanban_card_dependencies holds one row per edge
+-- (blocker_card_id blocks blocked_card_id), written by add_card_dependency /
+-- remove_card_dependency in kanban-server dependency-handlers.js.
+--
+-- Numbered 062: next free after 061_kanban_wip_limits.sql.
+--
+-- Semantics (enforced in the handlers, see kanban-helpers.js):
+--   - A blocker is met once it is 'done' (or 'archived').
+--   - A card with an unmet blocker is kept in 'blocked', never 'ready', so it
+--     stays out of idx_kanban_cards_ready_pool; claim_card's compare-and-swap
+--     re-checks the same NOT EXISTS as defense-in-depth.
+--   - When a blocker reaches done, every 'blocked' card whose last unmet
+--     blocker that was moves to 'ready' (activity action auto-moved).
+--   - Cycles are refused at insert time (recursive walk under an advisory
+--     lock). The CHECK below only rules out the trivial self-edge.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '062_kanban_card_dependencies.sql') THEN
+        RAISE NOTICE 'Migration 062_kanban_card_dependencies.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    CREATE TABLE IF NOT EXISTS fictionlab.kanban_card_dependencies (
+        blocker_card_id UUID NOT NULL REFERENCES fictionlab.kanban_cards(id) ON DELETE CASCADE,
+        blocked_card_id UUID NOT NULL REFERENCES fictionlab.kanban_cards(id) ON DELETE CASCADE,
+        created_by      VARCHAR(100) NOT NULL DEFAULT 'rebecca',
+        created_at      TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (blocker_card_id, blocked_card_id),
+        CHECK (blocker_card_id <> blocked_card_id)
+    );
+
+    -- The primary key serves "what does X block"; this serves "what blocks X".
+    CREATE INDEX IF NOT EXISTS idx_kanban_card_dependencies_blocked
+        ON fictionlab.kanban_card_dependencies(blocked_card_id);
+
+    COMMENT ON TABLE fictionlab.kanban_card_dependencies IS 'blocker_card_id blocks blocked_card_id. Acyclic (checked by add_card_dependency). A blocked card with any blocker not done/archived is held in status blocked and is never agent-claimable.';
+
+    COMMENT ON TABLE fictionlab.kanban_activity IS 'Append-only audit feed. action IN (created, claimed, claim_denied, claim_expired, wip_denied, moved, auto-moved, assigned, commented, updated, linked, dependency_added, dependency_removed, archived).';
+
+    INSERT INTO migrations (filename) VALUES ('062_kanban_card_dependencies.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 062_kanban_card_dependencies.sql completed successfully.';
+END $$;
@@ -0,0 +1,47 @@
+-- Migration: 063_kanban_board_lifecycle
+-- Description: Board lifecycle tools in kanban-server board-handlers.js:
+-- create_board (from a column template), clone_board, update_board,
+-- archive_board, and column management (add_board_column,
+-- update_board_column, reorder_board_columns, retire_board_column). 042 seeded
+-- the single dev-backlog board and left "schema supports many" to a later
+-- change; this is it.
+--
+-- Numbered 063: next free after 062_kanban_card_dependencies.sql.
+--
+-- A column is a display lane keyed 1:1 to a card status, and
+-- kanban_cards.status is a CHECK-constrained list -- so there are no custom
+-- status columns, only which of the eight lanes a board shows. This adds the
+-- same list as a CHECK on kanban_columns.status_key, so a lane can never be
+-- created for a status no card can hold. The remaining guards are
+-- handler-level: retire_board_column refuses a lane that still holds cards
+-- or that the server itself moves cards into (ready, claimed, in_progress,
+-- blocked, done, archived), and create_card / move_card refuse a status the
+-- board has no lane for.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '063_kanban_board_lifecycle.sql') THEN
+        RAISE NOTICE 'Migration 063_kanban_board_lifecycle.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'kanban_columns_status_key_check'
+          AND conrelid = 'fictionlab.kanban_columns'::regclass
+    ) THEN
+        ALTER TABLE fictionlab.kanban_columns
+            ADD CONSTRAINT kanban_columns_status_key_check
+            CHECK (status_key IN ('backlog','ready','claimed','in_progress','review','blocked','done','archived'));
+    END IF;
+
+    COMMENT ON TABLE fictionlab.kanban_boards IS 'Kanban boards. dev-backlog is seeded (042); create_board / clone_board add more. is_archived boards accept no new cards or moves.';
+    COMMENT ON COLUMN fictionlab.kanban_columns.status_key IS 'The card status this lane displays (same CHECK list as kanban_cards.status). A board may omit backlog/review; the lanes the server moves cards into are always present.';
+
+    COMMENT ON TABLE fictionlab.kanban_activity IS 'Append-only audit feed. action IN (created, claimed, claim_denied, claim_expired, wip_denied, moved, auto-moved, assigned, commented, updated, linked, dependency_added, dependency_removed, archived, board_created, board_updated, board_archived, column_added, column_updated, columns_reordered, column_retired). Board-level rows have card_id NULL.';
+
+    INSERT INTO migrations (filename) VALUES ('063_kanban_board_lifecycle.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 063_kanban_board_lifecycle.sql completed successfully.';
+END $$;
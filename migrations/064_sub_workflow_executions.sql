@@ -0,0 +1,71 @@
+-- Migration: 064_sub_workflow_executions
+-- Description: Nested workflow runs. workflow-manager's subworkflow-handlers.js
+-- (start_sub_workflow / complete_sub_workflow / get_sub_workflow_status) has
+-- read and written a sub_workflow_executions table since the phase-based
+-- system, but no migration ever created it, so start_sub_workflow failed on
+-- every fresh database. This creates it in the fictionlab schema, keyed to
+-- fictionlab.active_workflows:
+--
+--   parent_instance_id  the running workflow whose node launched the run
+--   parent_node_id      that node (a graph node id -- phases are gone since 032)
+--   child_instance_id   the sub-workflow's own active_workflows row, registered
+--                       by start_sub_workflow with parent_workflow_id set (033)
+--
+-- Completing a run marks parent_node_id completed on the parent (same
+-- completed_node_ids/completed_nodes/progress_percent update as
+-- mark_node_completed) and merges output_json into the parent's new
+-- `context` column -- the JSON that edge conditions ($.approved == true,
+-- see fictionlab.evaluate_edge_condition) are evaluated against.
+--
+-- Numbered 064: next free after 063_kanban_board_lifecycle.sql.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '064_sub_workflow_executions.sql') THEN
+        RAISE NOTICE 'Migration 064_sub_workflow_executions.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    ALTER TABLE fictionlab.active_workflows
+        ADD COLUMN IF NOT EXISTS context JSONB DEFAULT '{}'::jsonb;
+
+    COMMENT ON COLUMN fictionlab.active_workflows.context IS
+        'Run data that edge conditions are evaluated against. A sub-workflow starts with its input_json here; a completed sub-workflow''s output_json is merged in (top-level keys, later runs win).';
+
+    CREATE TABLE IF NOT EXISTS fictionlab.sub_workflow_executions (
+        id                   SERIAL PRIMARY KEY,
+        parent_instance_id   UUID NOT NULL
+            REFERENCES fictionlab.active_workflows(id) ON DELETE CASCADE,
+        parent_node_id       VARCHAR(255) NOT NULL,
+        child_instance_id    UUID UNIQUE
+            REFERENCES fictionlab.active_workflows(id) ON DELETE SET NULL,
+        sub_workflow_def_id  TEXT NOT NULL
+            REFERENCES fictionlab.workflow_definitions(workflow_id) ON DELETE CASCADE,
+        sub_workflow_version TEXT,
+        status               VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+            CHECK (status IN ('in_progress', 'complete', 'failed')),
+        input_json           JSONB DEFAULT '{}'::jsonb,
+        output_json          JSONB,
+        error                TEXT,
+        started_at           TIMESTAMPTZ DEFAULT NOW(),
+        completed_at         TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fictionlab_subwf_parent
+        ON fictionlab.sub_workflow_executions(parent_instance_id);
+
+    -- One live run per parent node: a second start_sub_workflow for the same
+    -- node while the first is in progress is refused.
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_fictionlab_subwf_one_live_per_node
+        ON fictionlab.sub_workflow_executions(parent_instance_id, parent_node_id)
+        WHERE status = 'in_progress';
+
+    COMMENT ON TABLE fictionlab.sub_workflow_executions IS 'Nested workflow runs: which node of which active workflow launched which child run, its input and output.';
+    COMMENT ON COLUMN fictionlab.sub_workflow_executions.child_instance_id IS 'The sub-workflow''s own fictionlab.active_workflows row (parent_workflow_id = parent_instance_id).';
+    COMMENT ON COLUMN fictionlab.sub_workflow_executions.status IS 'in_progress, complete (parent node marked completed, output merged into parent context) or failed (parent node left open).';
+
+    INSERT INTO migrations (filename) VALUES ('064_sub_workflow_executions.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 064_sub_workflow_executions.sql completed successfully.';
+END $$;
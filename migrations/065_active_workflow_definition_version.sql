@@ -0,0 +1,44 @@
+-- Migration: 065_active_workflow_definition_version
+-- Description: Record which definition version an active workflow runs
+-- against. fictionlab.active_workflows keeps completed_node_ids,
+-- current_node_id and available_nodes in terms of the graph that was current
+-- at registration, but never said which graph that was -- so after
+-- graph-handlers deleted or renamed a node, nothing could tell a running
+-- instance was pointing at nodes that no longer exist.
+--
+--   definition_version  set by register_active_workflow and start_sub_workflow
+--                       from the definition they read, and by
+--                       migrate_active_workflow when it maps the instance onto
+--                       another version (old -> new in metadata.last_migration)
+--
+-- Running and paused rows are backfilled with their definition's current
+-- version: the best guess available, and what migrate_active_workflow will
+-- check them against.
+--
+-- Numbered 065: next free after 064_sub_workflow_executions.sql.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '065_active_workflow_definition_version.sql') THEN
+        RAISE NOTICE 'Migration 065_active_workflow_definition_version.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    ALTER TABLE fictionlab.active_workflows
+        ADD COLUMN IF NOT EXISTS definition_version TEXT;
+
+    COMMENT ON COLUMN fictionlab.active_workflows.definition_version IS
+        'Version of the workflow definition whose graph completed_node_ids, current_node_id and available_nodes refer to. Changed only by migrate_active_workflow.';
+
+    UPDATE fictionlab.active_workflows aw
+    SET definition_version = wd.version
+    FROM fictionlab.workflow_definitions wd
+    WHERE aw.workflow_id = wd.workflow_id
+      AND aw.definition_version IS NULL
+      AND aw.status IN ('running', 'paused');
+
+    INSERT INTO migrations (filename) VALUES ('065_active_workflow_definition_version.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 065_active_workflow_definition_version.sql completed successfully.';
+END $$;
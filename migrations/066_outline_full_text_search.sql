@@ -0,0 +1,68 @@
+-- Migration: 066_outline_full_text_search
+-- Description: Full-text search for the outline-server. search_works ran
+-- three ILIKE '%query%' scans over outline_works (title, summary, content):
+-- no ranking, no stemming, no phrases, and a sequential scan of every drafted
+-- scene on each call. This adds a stored, weighted tsvector to each table
+-- search_works reads, with a GIN index:
+--
+--   outline_works.search_tsv     title (A), summary (B), content (C)
+--   outline_facts.search_tsv     statement (A), canonical_source (B), notes (C)
+--   outline_promises.search_tsv  label (A), description (B), notes (C)
+--
+-- The weights make a title or statement hit outrank the same word buried in
+-- drafted content (ts_rank_cd). The columns are GENERATED ... STORED with the
+-- 'english' configuration, so they stay current without triggers; the
+-- handler queries them with websearch_to_tsquery('english', ...) and must
+-- use the same configuration.
+--
+-- Numbered 066: next free after 065_active_workflow_definition_version.sql.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '066_outline_full_text_search.sql') THEN
+        RAISE NOTICE 'Migration 066_outline_full_text_search.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    ALTER TABLE outline_works
+        ADD COLUMN IF NOT EXISTS search_tsv tsvector
+        GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(summary, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(content, '')), 'C')
+        ) STORED;
+
+    CREATE INDEX IF NOT EXISTS idx_outline_works_search
+        ON outline_works USING GIN (search_tsv);
+
+    ALTER TABLE outline_facts
+        ADD COLUMN IF NOT EXISTS search_tsv tsvector
+        GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', coalesce(statement, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(canonical_source, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(notes, '')), 'C')
+        ) STORED;
+
+    CREATE INDEX IF NOT EXISTS idx_outline_facts_search
+        ON outline_facts USING GIN (search_tsv);
+
+    ALTER TABLE outline_promises
+        ADD COLUMN IF NOT EXISTS search_tsv tsvector
+        GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', coalesce(label, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(notes, '')), 'C')
+        ) STORED;
+
+    CREATE INDEX IF NOT EXISTS idx_outline_promises_search
+        ON outline_promises USING GIN (search_tsv);
+
+    COMMENT ON COLUMN outline_works.search_tsv IS 'Weighted full-text vector (title A, summary B, content C) for search_works.';
+    COMMENT ON COLUMN outline_facts.search_tsv IS 'Weighted full-text vector (statement A, canonical_source B, notes C) for search_works.';
+    COMMENT ON COLUMN outline_promises.search_tsv IS 'Weighted full-text vector (label A, description B, notes C) for search_works.';
+
+    INSERT INTO migrations (filename) VALUES ('066_outline_full_text_search.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 066_outline_full_text_search.sql completed successfully.';
+END $$;
@@ -0,0 +1,83 @@
+-- Migration: 067_series_calendars
+-- Description: In-world calendars. timeline_events.event_date is a Postgres
+-- DATE and chapters.story_time_start/end are free text ("Day 1, 3pm"), so a
+-- series with its own calendar -- thirteen months, a nine-day week, eras --
+-- had nothing the timeline tools could sort, subtract or overlap-check.
+--
+--   series_calendars  one per series: months (name + days), weekdays and which
+--                     one year 1 starts on, hours per day, minutes per hour,
+--                     eras, an optional leap rule, and epoch_offset
+--
+-- Times are stored normalized as BIGINT minutes since the calendar epoch
+-- (year 1, first month, day 1, 00:00), plus epoch_offset -- so several
+-- series' calendars can be lined up on one scale, or a story's opening set
+-- to 0. The timeline server converts between calendar text and this value
+-- (handlers/world-calendar.js); the columns below hold it:
+--
+--   timeline_events.world_time_start / world_time_end
+--   chapters.story_world_time_start / story_world_time_end
+--
+-- An end is optional; a start with no end is an instant.
+--
+-- Numbered 067: next free after 066_outline_full_text_search.sql.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '067_series_calendars.sql') THEN
+        RAISE NOTICE 'Migration 067_series_calendars.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    CREATE TABLE IF NOT EXISTS series_calendars (
+        id                SERIAL PRIMARY KEY,
+        series_id         INTEGER NOT NULL UNIQUE REFERENCES series(id) ON DELETE CASCADE,
+        calendar_name     VARCHAR(255) NOT NULL,
+        months            JSONB NOT NULL,              -- [{"name": "Frostfall", "days": 30}, ...]
+        weekdays          JSONB NOT NULL DEFAULT '[]'::jsonb,  -- ["Moonday", ...]; empty = no week
+        first_weekday     INTEGER NOT NULL DEFAULT 0,  -- index into weekdays for year 1, day 1
+        hours_per_day     INTEGER NOT NULL DEFAULT 24 CHECK (hours_per_day > 0),
+        minutes_per_hour  INTEGER NOT NULL DEFAULT 60 CHECK (minutes_per_hour > 0),
+        eras              JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{"name", "abbreviation", "start_year", "backward"}]
+        leap_year_every   INTEGER CHECK (leap_year_every IS NULL OR leap_year_every > 0),
+        leap_month        INTEGER,                     -- 1-based month that gains a day in leap years
+        epoch_offset      BIGINT NOT NULL DEFAULT 0,
+        notes             TEXT,
+        created_at        TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at        TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE timeline_events
+        ADD COLUMN IF NOT EXISTS world_time_start BIGINT,
+        ADD COLUMN IF NOT EXISTS world_time_end BIGINT;
+
+    ALTER TABLE timeline_events
+        ADD CONSTRAINT timeline_events_world_time_order
+        CHECK (world_time_end IS NULL OR (world_time_start IS NOT NULL AND world_time_end >= world_time_start));
+
+    CREATE INDEX IF NOT EXISTS idx_timeline_events_world_time
+        ON timeline_events(series_id, world_time_start);
+
+    ALTER TABLE chapters
+        ADD COLUMN IF NOT EXISTS story_world_time_start BIGINT,
+        ADD COLUMN IF NOT EXISTS story_world_time_end BIGINT;
+
+    ALTER TABLE chapters
+        ADD CONSTRAINT chapters_story_world_time_order
+        CHECK (story_world_time_end IS NULL OR (story_world_time_start IS NOT NULL AND story_world_time_end >= story_world_time_start));
+
+    COMMENT ON TABLE series_calendars IS
+        'In-world calendar for a series. Normalized times are minutes since year 1, first month, day 1, 00:00, plus epoch_offset.';
+    COMMENT ON COLUMN timeline_events.world_time_start IS
+        'Normalized in-world time (minutes, see series_calendars) the event starts. Sorts ahead of sort_order/event_date when set.';
+    COMMENT ON COLUMN timeline_events.world_time_end IS
+        'Normalized in-world time the event ends; NULL for an instant.';
+    COMMENT ON COLUMN chapters.story_world_time_start IS
+        'Normalized in-world time (minutes, see series_calendars) the chapter starts; the structured form of story_time_start.';
+    COMMENT ON COLUMN chapters.story_world_time_end IS
+        'Normalized in-world time the chapter ends; the structured form of story_time_end.';
+
+    INSERT INTO migrations (filename) VALUES ('067_series_calendars.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 067_series_calendars.sql completed successfully.';
+END $$;
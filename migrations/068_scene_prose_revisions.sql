@@ -0,0 +1,116 @@
+-- Migration: 068_scene_prose_revisions
+-- Description: Prose revision history for scenes. chapter_scenes.scene_content
+-- (014_Scene_Schema_updates) holds the current draft, but writes overwrote it
+-- in place, scene_revisions TEXT[] was a free-form array callers had to
+-- maintain themselves, and word_count was whatever the caller last passed.
+--
+--   scene_prose_revisions  one row per saved draft of a scene: its full text,
+--                          derived word count, author, note, when, and a
+--                          unified diff against the previous revision
+--
+-- The table is append-only (updates are rejected by trigger); restoring an
+-- old revision appends a copy of it with restored_from_revision set. The
+-- book server keeps chapter_scenes.scene_content equal to the latest
+-- revision and derives chapter_scenes.word_count and chapters.word_count
+-- from the text.
+--
+-- Existing prose is imported: scene_revisions entries oldest first, then
+-- scene_content as the latest revision. Imported rows have no author or
+-- diff (the tools compute a missing diff on read). scene_revisions is left
+-- in place but no longer written.
+--
+-- Numbered 068: next free after 067_series_calendars.sql.
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM migrations WHERE filename = '068_scene_prose_revisions.sql') THEN
+        RAISE NOTICE 'Migration 068_scene_prose_revisions.sql already applied, skipping.';
+        RETURN;
+    END IF;
+
+    CREATE TABLE IF NOT EXISTS scene_prose_revisions (
+        id                      SERIAL PRIMARY KEY,
+        scene_id                INTEGER NOT NULL REFERENCES chapter_scenes(id) ON DELETE CASCADE,
+        revision_number         INTEGER NOT NULL CHECK (revision_number > 0),
+        content                 TEXT NOT NULL,
+        word_count              INTEGER NOT NULL DEFAULT 0,
+        author                  VARCHAR(255),
+        change_note             TEXT,
+        diff_from_previous      TEXT,               -- unified diff; NULL for revision 1 and imported rows
+        words_added             INTEGER,
+        words_removed           INTEGER,
+        restored_from_revision  INTEGER,
+        created_at              TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scene_id, revision_number)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scene_prose_revisions_scene
+        ON scene_prose_revisions(scene_id, revision_number DESC);
+
+    CREATE OR REPLACE FUNCTION reject_scene_prose_revision_update()
+    RETURNS TRIGGER AS $function$
+    BEGIN
+        RAISE EXCEPTION 'scene_prose_revisions is append-only; restore a revision to roll back';
+    END;
+    $function$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS scene_prose_revisions_append_only ON scene_prose_revisions;
+    CREATE TRIGGER scene_prose_revisions_append_only
+        BEFORE UPDATE ON scene_prose_revisions
+        FOR EACH ROW
+        EXECUTE FUNCTION reject_scene_prose_revision_update();
+
+    -- Import existing prose. Word counts match the server's
+    -- text.split(/\s+/).filter(Boolean).length.
+    WITH legacy AS (
+        SELECT s.id AS scene_id, v.body, v.position, s.created_at
+        FROM chapter_scenes s
+            CROSS JOIN LATERAL unnest(COALESCE(s.scene_revisions, '{}'::text[])) WITH ORDINALITY AS v(body, position)
+        WHERE v.body IS NOT NULL AND v.body <> ''
+        UNION ALL
+        SELECT s.id, s.scene_content, 2147483647, COALESCE(s.updated_at, s.created_at)
+        FROM chapter_scenes s
+        WHERE s.scene_content IS NOT NULL AND s.scene_content <> ''
+    )
+    INSERT INTO scene_prose_revisions (scene_id, revision_number, content, word_count, change_note, created_at)
+    SELECT
+        scene_id,
+        ROW_NUMBER() OVER (PARTITION BY scene_id ORDER BY position),
+        body,
+        (SELECT COUNT(*) FROM regexp_split_to_table(body, '\s+') AS word WHERE word <> ''),
+        CASE WHEN position = 2147483647
+            THEN 'Imported from chapter_scenes.scene_content'
+            ELSE 'Imported from chapter_scenes.scene_revisions'
+        END,
+        created_at
+    FROM legacy
+    ON CONFLICT (scene_id, revision_number) DO NOTHING;
+
+    UPDATE chapter_scenes s
+    SET word_count = r.word_count
+    FROM scene_prose_revisions r
+    WHERE r.scene_id = s.id
+      AND r.revision_number = (SELECT MAX(revision_number) FROM scene_prose_revisions WHERE scene_id = s.id);
+
+    UPDATE chapters c
+    SET word_count = totals.words
+    FROM (
+        SELECT chapter_id, SUM(word_count) AS words
+        FROM chapter_scenes
+        GROUP BY chapter_id
+        HAVING COUNT(*) FILTER (WHERE scene_content IS NOT NULL) > 0
+    ) totals
+    WHERE totals.chapter_id = c.id;
+
+    COMMENT ON TABLE scene_prose_revisions IS
+        'Append-only prose history per scene. The latest revision equals chapter_scenes.scene_content.';
+    COMMENT ON COLUMN chapter_scenes.scene_content IS
+        'The current prose of the scene: the latest row in scene_prose_revisions. Write it through the book server so a revision is recorded.';
+    COMMENT ON COLUMN chapter_scenes.scene_revisions IS
+        'Deprecated: imported into scene_prose_revisions by migration 068 and no longer written.';
+
+    INSERT INTO migrations (filename) VALUES ('068_scene_prose_revisions.sql')
+    ON CONFLICT (filename) DO NOTHING;
+
+    RAISE NOTICE 'Migration 068_scene_prose_revisions.sql completed successfully.';
+END $$;
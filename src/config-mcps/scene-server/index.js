@@ -15,6 +15,7 @@ import { BaseMCPServer } from '../../shared/base-server.js';
 // Import ONLY handler classes - NOT full servers
 // This prevents creating multiple database connections
 import { SceneHandlers } from '../../mcps/book-server/handlers/scene-handlers.js';
+import { ProseHandlers } from '../../mcps/book-server/handlers/prose-handlers.js';
 import { CharacterDetailHandlers } from '../../mcps/character-server/handlers/character-detail-handlers.js';
 import { CharacterTimelineHandlers } from '../../mcps/character-server/handlers/character-timeline-handlers.js';
 import { ValidationHandlers } from '../../mcps/writing-server/handlers/validation-handlers.js';
@@ -24,6 +25,7 @@ import { TropeHandlers } from '../../mcps/trope-server/handlers/trope-handlers.j
 
 // Import phase-specific schemas directly to reduce token usage
 import { minimalSceneWritingSchemas } from '../../mcps/book-server/schemas/scene-writing-schemas.js';
+import { sceneProseSchemas } from '../../mcps/book-server/schemas/scene-prose-schemas.js';
 
 class SceneWritingMCPServer extends BaseMCPServer {
     constructor() {
@@ -42,6 +44,7 @@ class SceneWritingMCPServer extends BaseMCPServer {
         // Create handler instances passing our shared database
         // These handlers are lightweight and don't create their own DB connections
         this.sceneHandlers = new SceneHandlers(this.db);
+        this.proseHandlers = new ProseHandlers(this.db);
         this.characterDetailHandlers = new CharacterDetailHandlers(this.db);
         this.characterTimelineHandlers = new CharacterTimelineHandlers(this.db);
         this.validationHandlers = new ValidationHandlers(this.db);
@@ -80,6 +83,37 @@ class SceneWritingMCPServer extends BaseMCPServer {
             description: 'Review existing scenes before adding new ones'
         });
 
+        // BOOK - Scene Prose Tools
+        tools.push({
+            ...sceneProseSchemas.save_scene_prose,
+            name: 'save_scene_prose',
+            description: 'Save a new draft of a scene\'s prose; word counts follow the text'
+        });
+
+        tools.push({
+            ...sceneProseSchemas.list_scene_revisions,
+            name: 'list_scene_revisions',
+            description: 'See the revision history of a scene\'s prose'
+        });
+
+        tools.push({
+            ...sceneProseSchemas.get_scene_revision,
+            name: 'get_scene_revision',
+            description: 'Read an earlier draft of a scene'
+        });
+
+        tools.push({
+            ...sceneProseSchemas.diff_scene_revisions,
+            name: 'diff_scene_revisions',
+            description: 'Compare two drafts of a scene'
+        });
+
+        tools.push({
+            ...sceneProseSchemas.restore_scene_revision,
+            name: 'restore_scene_revision',
+            description: 'Bring back an earlier draft of a scene as a new revision'
+        });
+
         // CHARACTER Tools
         const characterTimelineTools = this.characterTimelineHandlers.getCharacterTimelineTools();
         const getCharactersInChapter = characterTimelineTools.find(t => t.name === 'get_characters_in_chapter');
@@ -177,6 +211,13 @@ class SceneWritingMCPServer extends BaseMCPServer {
             'get_scene': (args) => this.sceneHandlers.handleGetScene(args),
             'list_scenes': (args) => this.sceneHandlers.handleListScenes(args),
 
+            // BOOK - Scene Prose Tools
+            'save_scene_prose': (args) => this.proseHandlers.handleSaveSceneProse(args),
+            'list_scene_revisions': (args) => this.proseHandlers.handleListSceneRevisions(args),
+            'get_scene_revision': (args) => this.proseHandlers.handleGetSceneRevision(args),
+            'diff_scene_revisions': (args) => this.proseHandlers.handleDiffSceneRevisions(args),
+            'restore_scene_revision': (args) => this.proseHandlers.handleRestoreSceneRevision(args),
+
             // CHARACTER Tools
             'get_character_details': (args) => this.characterDetailHandlers.handleGetCharacterDetails(args),
             'get_characters_in_chapter': (args) => this.characterTimelineHandlers.handleGetCharactersInChapter(args),
@@ -243,7 +243,21 @@ async function loadServers() {
         console.error('✗ Failed to load Story Analysis Server:', error.message);
     }
 
-    console.error(`\n✅ Successfully loaded ${servers.length}/15 servers\n`);
+    try {
+        // Business Server (S15 business tracker, fictionlab.biz_* tables)
+        const { BusinessMCPServer } = await import('./mcps/business-server/index.js');
+        servers.push({
+            name: 'business',
+            path: '/business',
+            serverClass: BusinessMCPServer,
+            port: 3017
+        });
+        console.error('✓ Business Server loaded');
+    } catch (error) {
+        console.error('✗ Failed to load Business Server:', error.message);
+    }
+
+    console.error(`\n✅ Successfully loaded ${servers.length}/16 servers\n`);
     return servers;
 }
 
@@ -21,8 +21,8 @@ export class ChapterHandlers {
             chapterPlanningSchemas.update_chapter,
             chapterPlanningSchemas.get_chapter,
             chapterPlanningSchemas.list_chapters,
-            chapterPlanningSchemas.delete_chapter
-            // Note: reorder_chapters is commented out - add to schema file if needed
+            chapterPlanningSchemas.delete_chapter,
+            chapterPlanningSchemas.reorder_chapters
         ];
     }
 
@@ -384,69 +384,188 @@ export class ChapterHandlers {
     }
 
 
-    // async handleReorderChapters(args) {
-    //     try {
-    //         const { book_id, chapter_order } = args;
-            
-    //         // Start a transaction for atomic reordering
-    //         return await this.db.transaction(async (client) => {
-    //             // Verify all chapters belong to the specified book
-    //             const chapterIds = chapter_order.map(item => item.chapter_id);
-    //             const verifyQuery = `
-    //                 SELECT chapter_id FROM chapters 
-    //                 WHERE book_id = $1 AND chapter_id = ANY($2)
-    //             `;
-    //             const verifyResult = await client.query(verifyQuery, [book_id, chapterIds]);
-
-                
-    //             if (verifyResult.rows.length !== chapter_order.length) {
-    //                 throw new Error('One or more chapters do not belong to the specified book');
-    //             }
-                
-    //             // Check for duplicate chapter numbers
-    //             const newNumbers = chapter_order.map(item => item.new_chapter_number);
-    //             const uniqueNumbers = new Set(newNumbers);
-    //             if (uniqueNumbers.size !== newNumbers.length) {
-    //                 throw new Error('Duplicate chapter numbers detected in reorder request');
-    //             }
-                
-
-    //             // Update each chapter's number
-    //             const updates = [];
-    //             for (const item of chapter_order) {
-    //                 const updateQuery = `
-    //                     UPDATE chapters 
-    //                     SET chapter_number = $1, updated_at = CURRENT_TIMESTAMP 
-    //                     WHERE chapter_id = $2
-    //                     RETURNING chapter_id, chapter_number, title
-    //                 `;
-    //                 const updateResult = await client.query(updateQuery, [item.new_chapter_number, item.chapter_id]);
-    //                 updates.push(updateResult.rows[0]);
-    //             }
-
-                
-    //             // Get book title for response
-    //             const bookQuery = 'SELECT title FROM books WHERE id = $1';
-    //             const bookResult = await client.query(bookQuery, [book_id]);
-    //             const bookTitle = bookResult.rows[0]?.title || 'Unknown';
-                
-    //             let responseText = `Successfully reordered chapters in "${bookTitle}":\n\n`;
-    //             updates.sort((a, b) => a.chapter_number - b.chapter_number);
-    //             updates.forEach(chapter => {
-    //                 responseText += `Chapter ${chapter.chapter_number}${chapter.title ? `: ${chapter.title}` : ''}\n`;
-    //             });
-                
-    //             return {
-    //                 content: [{
-    //                     type: 'text',
-    //                     text: responseText
-    //                 }]
-    //             };
-    //         });
-    //     } catch (error) {
-    //         throw new Error(`Failed to reorder chapters: ${error.message}`);
-    //     }
-    // }
+    async handleReorderChapters(args) {
+        try {
+            const { book_id, chapter_ids, dry_run = false } = args;
+
+            if (!Array.isArray(chapter_ids) || chapter_ids.length === 0) {
+                throw new Error('chapter_ids must list the book\'s chapters in their new order');
+            }
+            const duplicates = chapter_ids.filter((id, i) => chapter_ids.indexOf(id) !== i);
+            if (duplicates.length > 0) {
+                throw new Error(`chapter_ids lists chapter ${[...new Set(duplicates)].join(', ')} more than once`);
+            }
+
+            // One transaction: chapter numbers, outline order and the reads
+            // behind the before/after map all see the same state.
+            return await this.db.transaction(async (client) => {
+                const bookResult = await client.query('SELECT id, title FROM books WHERE id = $1', [book_id]);
+                if (bookResult.rows.length === 0) {
+                    throw new Error(`Book with ID ${book_id} not found`);
+                }
+                const bookTitle = bookResult.rows[0].title;
+
+                const chaptersResult = await client.query(`
+                    SELECT id, chapter_number, title FROM chapters
+                    WHERE book_id = $1
+                    ORDER BY chapter_number
+                    FOR UPDATE
+                `, [book_id]);
+                const chapters = chaptersResult.rows;
+                const inBook = new Set(chapters.map(c => c.id));
+
+                const foreign = chapter_ids.filter(id => !inBook.has(id));
+                if (foreign.length > 0) {
+                    throw new Error(`Chapter(s) ${foreign.join(', ')} do not belong to book ${book_id}`);
+                }
+                const listed = new Set(chapter_ids);
+                const missing = chapters.filter(c => !listed.has(c.id));
+                if (missing.length > 0) {
+                    throw new Error('chapter_ids must include every chapter in the book; missing ' +
+                        missing.map(c => `${c.id} (Chapter ${c.chapter_number})`).join(', '));
+                }
+
+                // New numbers are 1..N in the order given.
+                const byId = new Map(chapters.map(c => [c.id, c]));
+                const chapterMap = chapter_ids.map((id, index) => ({
+                    chapter_id: id,
+                    title: byId.get(id).title,
+                    before: byId.get(id).chapter_number,
+                    after: index + 1
+                }));
+                const moved = chapterMap.filter(m => m.before !== m.after);
+                const newNumberOf = new Map(chapterMap.map(m => [m.chapter_id, m.after]));
+
+                const outlineMoves = await this.planOutlineSequences(client, chapter_ids, newNumberOf);
+                const dependents = await this.getReorderDependents(client, chapter_ids, chapterMap);
+
+                if (moved.length > 0 && !dry_run) {
+                    // UNIQUE(book_id, chapter_number) is checked per row, so
+                    // park the moving chapters on negative numbers (-id is
+                    // unique) before giving them their final numbers.
+                    const movedIds = moved.map(m => m.chapter_id);
+                    await client.query(`
+                        UPDATE chapters SET chapter_number = -id
+                        WHERE book_id = $1 AND id = ANY($2)
+                    `, [book_id, movedIds]);
+                    await client.query(`
+                        UPDATE chapters AS c
+                        SET chapter_number = v.chapter_number, updated_at = CURRENT_TIMESTAMP
+                        FROM unnest($1::int[], $2::int[]) AS v(id, chapter_number)
+                        WHERE c.id = v.id
+                    `, [movedIds, moved.map(m => m.after)]);
+                }
+                // Also run when the chapters are already in order: it brings
+                // an outline that drifted out of chapter order back in line.
+                if (outlineMoves.length > 0 && !dry_run) {
+                    await client.query(`
+                        UPDATE outline_works AS w
+                        SET sequence = v.sequence, updated_at = CURRENT_TIMESTAMP
+                        FROM unnest($1::int[], $2::int[]) AS v(id, sequence)
+                        WHERE w.id = v.id
+                    `, [outlineMoves.map(o => o.work_id), outlineMoves.map(o => o.after)]);
+                }
+
+                let responseText = moved.length === 0
+                    ? `Chapters in "${bookTitle}" are already in that order.\n\n`
+                    : `${dry_run ? 'Dry run — would reorder' : 'Successfully reordered'} ${moved.length} chapter(s) in "${bookTitle}":\n\n`;
+                for (const m of chapterMap) {
+                    const label = `Chapter ${m.after}${m.title ? `: ${m.title}` : ''} (ID ${m.chapter_id})`;
+                    responseText += m.before === m.after ? `  ${label}\n` : `  ${label} — was Chapter ${m.before}\n`;
+                }
+
+                if (moved.length > 0 || outlineMoves.length > 0) {
+                    responseText += `\nOutline: ${outlineMoves.length} linked outline node(s) ${dry_run ? 'would be ' : ''}resequenced\n`;
+                    responseText += `Timeline: ${dependents.eventMappings} event-chapter mapping(s) and ` +
+                        `${dependents.presenceRows} character presence record(s) move with their chapters\n`;
+                    if (dependents.firstAppearances.length > 0) {
+                        responseText += `\nFirst appearances that change:\n`;
+                        for (const f of dependents.firstAppearances) {
+                            responseText += `  ${f.name}: Chapter ${f.before} → Chapter ${f.after}\n`;
+                        }
+                    }
+                }
+
+                responseText += `\nChapter map (before → after):\n` + JSON.stringify(
+                    chapterMap.map(({ chapter_id, before, after }) => ({ chapter_id, before, after })), null, 2);
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: responseText
+                    }]
+                };
+            });
+        } catch (error) {
+            throw new Error(`Failed to reorder chapters: ${error.message}`);
+        }
+    }
+
+    // Outline nodes cross-linked to these chapters keep the sequence slots
+    // they already hold under each parent, handed out again in the new
+    // chapter order; unlinked siblings (beats, interludes) stay put.
+    async planOutlineSequences(client, chapter_ids, newNumberOf) {
+        const result = await client.query(`
+            SELECT id, parent_id, sequence, chapter_id FROM outline_works
+            WHERE chapter_id = ANY($1)
+            ORDER BY parent_id, sequence, id
+            FOR UPDATE
+        `, [chapter_ids]);
+
+        const byParent = new Map();
+        for (const work of result.rows) {
+            if (!byParent.has(work.parent_id)) byParent.set(work.parent_id, []);
+            byParent.get(work.parent_id).push(work);
+        }
+
+        const moves = [];
+        for (const works of byParent.values()) {
+            const slots = works.map(w => w.sequence);
+            const ordered = [...works].sort((a, b) =>
+                newNumberOf.get(a.chapter_id) - newNumberOf.get(b.chapter_id) || a.sequence - b.sequence || a.id - b.id);
+            ordered.forEach((work, i) => {
+                if (work.sequence !== slots[i]) {
+                    moves.push({ work_id: work.id, chapter_id: work.chapter_id, before: work.sequence, after: slots[i] });
+                }
+            });
+        }
+        return moves;
+    }
+
+    // event_chapter_mappings and character_chapter_presence point at
+    // chapters by id, so they follow their chapter; what changes is the order
+    // they are read in. Counted here, with the characters whose first
+    // appearance lands in a different chapter.
+    async getReorderDependents(client, chapter_ids, chapterMap) {
+        const eventsResult = await client.query(
+            'SELECT COUNT(*)::int AS count FROM event_chapter_mappings WHERE chapter_id = ANY($1)',
+            [chapter_ids]
+        );
+        const presenceResult = await client.query(`
+            SELECT p.character_id, p.chapter_id, ch.name
+            FROM character_chapter_presence p
+            JOIN characters ch ON ch.id = p.character_id
+            WHERE p.chapter_id = ANY($1)
+        `, [chapter_ids]);
+
+        const numbers = new Map(chapterMap.map(m => [m.chapter_id, m]));
+        const firsts = new Map();
+        for (const row of presenceResult.rows) {
+            const m = numbers.get(row.chapter_id);
+            const f = firsts.get(row.character_id) || { name: row.name, before: Infinity, after: Infinity };
+            f.before = Math.min(f.before, m.before);
+            f.after = Math.min(f.after, m.after);
+            firsts.set(row.character_id, f);
+        }
+
+        return {
+            eventMappings: eventsResult.rows[0]?.count ?? 0,
+            presenceRows: presenceResult.rows.length,
+            firstAppearances: [...firsts.values()]
+                .filter(f => f.before !== f.after)
+                .sort((a, b) => a.after - b.after || a.name.localeCompare(b.name))
+        };
+    }
 
     // =============================================
     // UTILITY METHODS FOR CROSS-COMPONENT USE
@@ -0,0 +1,202 @@
+/**
+ * Prose diffing for scene revisions
+ *
+ * Pure functions, no DB: prose-handlers.js stores the unified diff between
+ * consecutive revisions (migration 068) and uses these to diff any two
+ * revisions on request. Lines are paragraphs in practice, so the unified
+ * diff is line-based; words_added/words_removed come from a word-level edit
+ * distance so a one-word fix in a long paragraph counts as one word, not the
+ * whole paragraph.
+ */
+
+// Above this many cells the line LCS table is skipped and the changed middle
+// reported as replaced wholesale.
+const MAX_LCS_CELLS = 4000000;
+
+// Word edit distances above this fall back to comparing word counts as bags.
+const MAX_WORD_EDIT_DISTANCE = 4000;
+
+/**
+ * Word count as the book server has always computed it for scene_content.
+ */
+export function countWords(text) {
+    return text ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+const splitLines = (text) => (text ? text.split(/\r?\n/) : []);
+const splitWords = (text) => (text ? text.split(/\s+/).filter(Boolean) : []);
+
+/**
+ * Length of the common prefix and suffix of two arrays (the suffix never
+ * overlaps the prefix)
+ */
+function commonEnds(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    return { prefix, suffix };
+}
+
+function diffMiddle(a, b) {
+    const n = a.length;
+    const m = b.length;
+    if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+        return [...a.map(line => ({ op: 'delete', line })), ...b.map(line => ({ op: 'insert', line }))];
+    }
+
+    // lcs[i * width + j]: longest common subsequence of a[i..] and b[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ op: 'equal', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            ops.push({ op: 'delete', line: a[i++] });
+        } else {
+            ops.push({ op: 'insert', line: b[j++] });
+        }
+    }
+    while (i < n) ops.push({ op: 'delete', line: a[i++] });
+    while (j < m) ops.push({ op: 'insert', line: b[j++] });
+    return ops;
+}
+
+/**
+ * Line-level edit script from oldText to newText: [{ op, line }] with op
+ * one of equal, delete, insert.
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    const { prefix, suffix } = commonEnds(a, b);
+    return [
+        ...a.slice(0, prefix).map(line => ({ op: 'equal', line })),
+        ...diffMiddle(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)),
+        ...a.slice(a.length - suffix).map(line => ({ op: 'equal', line }))
+    ];
+}
+
+/**
+ * Myers shortest edit (insertions + deletions) between two word arrays, or
+ * null once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+    const offset = a.length + b.length + 1;
+    const v = new Int32Array(2 * offset + 1);
+    for (let d = 0; d <= Math.min(maxDistance, a.length + b.length); d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) return d;
+        }
+    }
+    return null;
+}
+
+/**
+ * Words inserted and removed going from oldText to newText
+ */
+export function wordChanges(oldText, newText) {
+    const a = splitWords(oldText);
+    const b = splitWords(newText);
+    const { prefix, suffix } = commonEnds(a, b);
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+
+    const distance = editDistance(midA, midB, MAX_WORD_EDIT_DISTANCE);
+    if (distance !== null) {
+        // distance = inserted + removed; midB.length - midA.length = inserted - removed
+        const growth = midB.length - midA.length;
+        return { words_added: (distance + growth) / 2, words_removed: (distance - growth) / 2 };
+    }
+
+    // Large rewrite: count words that appear more often on one side.
+    const counts = new Map();
+    midA.forEach(w => counts.set(w, (counts.get(w) || 0) - 1));
+    midB.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+    let added = 0;
+    let removed = 0;
+    counts.forEach(c => {
+        if (c > 0) added += c;
+        else removed -= c;
+    });
+    return { words_added: added, words_removed: removed };
+}
+
+/**
+ * Unified diff text ("--- / +++ / @@" hunks) for an edit script from
+ * diffLines, or '' when nothing changed
+ */
+export function formatUnifiedDiff(ops, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+    if (!ops.some(o => o.op !== 'equal')) return '';
+
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(o => {
+        const entry = { ...o, oldLine, newLine };
+        if (o.op !== 'insert') oldLine++;
+        if (o.op !== 'delete') newLine++;
+        return entry;
+    });
+
+    const hunks = [];
+    numbered.forEach((o, index) => {
+        if (o.op === 'equal') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(numbered.length - 1, index + context);
+        const last = hunks[hunks.length - 1];
+        if (last && from <= last.to + 1) last.to = to;
+        else hunks.push({ from, to });
+    });
+
+    const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+    for (const hunk of hunks) {
+        const slice = numbered.slice(hunk.from, hunk.to + 1);
+        const oldSide = slice.filter(o => o.op !== 'insert');
+        const newSide = slice.filter(o => o.op !== 'delete');
+        // An empty side is written as the line before the hunk, per diff -u.
+        const oldStart = oldSide.length ? oldSide[0].oldLine : slice[0].oldLine - 1;
+        const newStart = newSide.length ? newSide[0].newLine : slice[0].newLine - 1;
+        lines.push(`@@ -${oldStart},${oldSide.length} +${newStart},${newSide.length} @@`);
+        for (const o of slice) {
+            lines.push(`${o.op === 'equal' ? ' ' : o.op === 'delete' ? '-' : '+'}${o.line}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Everything a revision records about its change from the previous text
+ * @returns {Object} { diff, lines_added, lines_removed, words_added, words_removed }
+ */
+export function diffProse(oldText, newText, { fromLabel, toLabel, context } = {}) {
+    const ops = diffLines(oldText, newText);
+    return {
+        diff: formatUnifiedDiff(ops, { fromLabel, toLabel, context }),
+        lines_added: ops.filter(o => o.op === 'insert').length,
+        lines_removed: ops.filter(o => o.op === 'delete').length,
+        ...wordChanges(oldText, newText)
+    };
+}
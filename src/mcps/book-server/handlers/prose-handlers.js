@@ -0,0 +1,367 @@
+// src/mcps/book-server/handlers/prose-handlers.js
+// Scene Prose Handler - scene text with an append-only revision history
+// (scene_prose_revisions, migration 068). chapter_scenes.scene_content is
+// always the latest revision; scene and chapter word_count follow the text.
+
+import { sceneProseSchemas } from '../schemas/scene-prose-schemas.js';
+import { countWords, diffProse } from './prose-diff.js';
+
+// Everything but the text, for listings
+const REVISION_SUMMARY_COLUMNS = `
+    revision_number, word_count, author, change_note, words_added, words_removed,
+    restored_from_revision, created_at
+`;
+
+function summarizeRevision(row) {
+    return {
+        revision_number: row.revision_number,
+        word_count: row.word_count,
+        author: row.author,
+        note: row.change_note,
+        words_added: row.words_added,
+        words_removed: row.words_removed,
+        restored_from_revision: row.restored_from_revision,
+        created_at: row.created_at
+    };
+}
+
+async function insertRevision(client, sceneId, previous, content, { author = null, note = null, restoredFrom = null } = {}) {
+    const revisionNumber = (previous?.revision_number ?? 0) + 1;
+    const change = previous
+        ? diffProse(previous.content, content, {
+            fromLabel: `revision ${previous.revision_number}`,
+            toLabel: `revision ${revisionNumber}`
+        })
+        : { diff: null, words_added: countWords(content), words_removed: 0 };
+
+    const result = await client.query(`
+        INSERT INTO scene_prose_revisions (
+            scene_id, revision_number, content, word_count, author, change_note,
+            diff_from_previous, words_added, words_removed, restored_from_revision
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${REVISION_SUMMARY_COLUMNS}, content, diff_from_previous
+    `, [
+        sceneId, revisionNumber, content, countWords(content), author, note,
+        change.diff, change.words_added, change.words_removed, restoredFrom
+    ]);
+    return result.rows[0];
+}
+
+/**
+ * Record `content` as the scene's next prose revision and make it current:
+ * chapter_scenes.scene_content and word_count, and the chapter's word_count
+ * (the sum of its scenes). Run inside a transaction; the scene row is locked
+ * so concurrent saves get consecutive revision numbers.
+ *
+ * If scene_content was changed without a revision (direct SQL), that text is
+ * recorded first so the history never loses a draft.
+ *
+ * @param {Object} client - Transaction client
+ * @param {number} sceneId - Scene ID
+ * @param {string} content - Full prose
+ * @param {Object} options - author, note, restoredFrom, expectedRevision
+ * @returns {Object} { conflict, current_revision } when expectedRevision is
+ *   stale; otherwise { revision, unchanged, scene_word_count, chapter_word_count }
+ */
+export async function appendProseRevision(client, sceneId, content, { author, note, restoredFrom, expectedRevision } = {}) {
+    if (typeof content !== 'string') {
+        throw new Error('content must be a string');
+    }
+
+    const sceneResult = await client.query(
+        'SELECT id, chapter_id, scene_content FROM chapter_scenes WHERE id = $1 FOR UPDATE', [sceneId]);
+    if (sceneResult.rows.length === 0) {
+        throw new Error(`Scene with ID ${sceneId} not found`);
+    }
+    const scene = sceneResult.rows[0];
+
+    const latestResult = await client.query(`
+        SELECT ${REVISION_SUMMARY_COLUMNS}, content, diff_from_previous
+        FROM scene_prose_revisions
+        WHERE scene_id = $1
+        ORDER BY revision_number DESC
+        LIMIT 1
+    `, [sceneId]);
+    let latest = latestResult.rows[0] ?? null;
+    let recorded = false;
+
+    if (scene.scene_content && scene.scene_content !== (latest?.content ?? '')) {
+        latest = await insertRevision(client, sceneId, latest, scene.scene_content, {
+            note: 'Recorded from chapter_scenes.scene_content, which was changed without a revision'
+        });
+        recorded = true;
+    }
+
+    const currentRevision = latest?.revision_number ?? 0;
+    if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== currentRevision) {
+        return { conflict: true, current_revision: currentRevision };
+    }
+
+    let revision = latest;
+    const unchanged = latest !== null && latest.content === content;
+    if (!unchanged) {
+        revision = await insertRevision(client, sceneId, latest, content, { author, note, restoredFrom });
+        recorded = true;
+    }
+
+    let chapterWordCount = null;
+    if (recorded) {
+        await client.query(`
+            UPDATE chapter_scenes
+            SET scene_content = $2, word_count = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [sceneId, revision.content, revision.word_count]);
+
+        const chapterResult = await client.query(`
+            UPDATE chapters
+            SET word_count = (SELECT COALESCE(SUM(word_count), 0) FROM chapter_scenes WHERE chapter_id = $1),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING word_count
+        `, [scene.chapter_id]);
+        chapterWordCount = chapterResult.rows[0]?.word_count ?? null;
+    }
+
+    return {
+        chapter_id: scene.chapter_id,
+        revision,
+        unchanged,
+        scene_word_count: revision?.word_count ?? 0,
+        chapter_word_count: chapterWordCount
+    };
+}
+
+export class ProseHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // =============================================
+    // PROSE TOOL DEFINITIONS
+    // =============================================
+    getProseTools() {
+        return [
+            sceneProseSchemas.save_scene_prose,
+            sceneProseSchemas.list_scene_revisions,
+            sceneProseSchemas.get_scene_revision,
+            sceneProseSchemas.diff_scene_revisions,
+            sceneProseSchemas.restore_scene_revision
+        ];
+    }
+
+    // =============================================
+    // PROSE HANDLERS
+    // =============================================
+
+    async handleSaveSceneProse(args) {
+        try {
+            const { scene_id, content, author, note, expected_revision } = args;
+            if (!author || !author.trim()) {
+                throw new Error('author is required');
+            }
+
+            const saved = await this.db.transaction(client => appendProseRevision(client, scene_id, content, {
+                author: author.trim(), note: note || null, expectedRevision: expected_revision
+            }));
+            if (saved.conflict) {
+                return this.conflictResult(scene_id, expected_revision, saved.current_revision);
+            }
+
+            const { revision } = saved;
+            return {
+                scene_id,
+                chapter_id: saved.chapter_id,
+                unchanged: saved.unchanged,
+                revision: summarizeRevision(revision),
+                scene_word_count: saved.scene_word_count,
+                chapter_word_count: saved.chapter_word_count,
+                diff: saved.unchanged ? null : revision.diff_from_previous,
+                message: saved.unchanged
+                    ? `Text is identical to revision ${revision.revision_number}; nothing saved.`
+                    : `Saved revision ${revision.revision_number} (${revision.word_count} words, +${revision.words_added}/-${revision.words_removed}).`
+            };
+        } catch (error) {
+            throw new Error(`Failed to save scene prose: ${error.message}`);
+        }
+    }
+
+    async handleListSceneRevisions(args) {
+        try {
+            const { scene_id, limit = 20 } = args;
+            const scene = await this.getScene(scene_id);
+
+            const result = await this.db.query(`
+                SELECT ${REVISION_SUMMARY_COLUMNS}
+                FROM scene_prose_revisions
+                WHERE scene_id = $1
+                ORDER BY revision_number DESC
+                LIMIT $2
+            `, [scene_id, limit]);
+
+            // Revision numbers are contiguous, so the newest is also the count.
+            const currentRevision = result.rows[0]?.revision_number ?? 0;
+            const response = {
+                scene_id,
+                scene_number: scene.scene_number,
+                scene_title: scene.scene_title,
+                current_revision: currentRevision,
+                total_revisions: currentRevision,
+                revisions: result.rows.map(summarizeRevision)
+            };
+            if (currentRevision === 0) {
+                response.message = `Scene ${scene.scene_number} has no saved prose yet.`;
+            }
+            return response;
+        } catch (error) {
+            throw new Error(`Failed to list scene revisions: ${error.message}`);
+        }
+    }
+
+    async handleGetSceneRevision(args) {
+        try {
+            const { scene_id, revision_number, include_diff = false } = args;
+            await this.getScene(scene_id);
+
+            const revision = await this.getRevision(this.db, scene_id, revision_number);
+            const currentResult = await this.db.query(
+                'SELECT MAX(revision_number) AS current_revision FROM scene_prose_revisions WHERE scene_id = $1',
+                [scene_id]
+            );
+
+            const response = {
+                scene_id,
+                revision: { ...summarizeRevision(revision), content: revision.content },
+                current_revision: currentResult.rows[0]?.current_revision ?? revision.revision_number
+            };
+            response.is_current = response.current_revision === revision.revision_number;
+
+            if (include_diff) {
+                // Imported revisions have no stored diff; work it out.
+                let diff = revision.diff_from_previous;
+                if (diff === null && revision.revision_number > 1) {
+                    const previous = await this.getRevision(this.db, scene_id, revision.revision_number - 1);
+                    diff = diffProse(previous.content, revision.content, {
+                        fromLabel: `revision ${previous.revision_number}`,
+                        toLabel: `revision ${revision.revision_number}`
+                    }).diff;
+                }
+                response.revision.diff_from_previous = diff;
+            }
+            return response;
+        } catch (error) {
+            throw new Error(`Failed to get scene revision: ${error.message}`);
+        }
+    }
+
+    async handleDiffSceneRevisions(args) {
+        try {
+            const { scene_id, from_revision, to_revision, context_lines = 3 } = args;
+            await this.getScene(scene_id);
+
+            const from = await this.getRevision(this.db, scene_id, from_revision);
+            const to = await this.getRevision(this.db, scene_id, to_revision);
+            const change = diffProse(from.content, to.content, {
+                fromLabel: `revision ${from.revision_number}`,
+                toLabel: `revision ${to.revision_number}`,
+                context: context_lines
+            });
+
+            return {
+                scene_id,
+                from_revision: summarizeRevision(from),
+                to_revision: summarizeRevision(to),
+                identical: change.diff === '',
+                lines_added: change.lines_added,
+                lines_removed: change.lines_removed,
+                words_added: change.words_added,
+                words_removed: change.words_removed,
+                word_count_change: to.word_count - from.word_count,
+                diff: change.diff
+            };
+        } catch (error) {
+            throw new Error(`Failed to diff scene revisions: ${error.message}`);
+        }
+    }
+
+    async handleRestoreSceneRevision(args) {
+        try {
+            const { scene_id, revision_number, author, note, expected_revision } = args;
+            if (!author || !author.trim()) {
+                throw new Error('author is required');
+            }
+
+            const saved = await this.db.transaction(async (client) => {
+                const target = await this.getRevision(client, scene_id, revision_number);
+                return appendProseRevision(client, scene_id, target.content, {
+                    author: author.trim(),
+                    note: note || `Restored revision ${revision_number}`,
+                    restoredFrom: revision_number,
+                    expectedRevision: expected_revision
+                });
+            });
+            if (saved.conflict) {
+                return this.conflictResult(scene_id, expected_revision, saved.current_revision);
+            }
+
+            const { revision } = saved;
+            return {
+                scene_id,
+                restored_revision: revision_number,
+                unchanged: saved.unchanged,
+                revision: summarizeRevision(revision),
+                scene_word_count: saved.scene_word_count,
+                chapter_word_count: saved.chapter_word_count,
+                message: saved.unchanged
+                    ? `The current text (revision ${revision.revision_number}) already matches revision ${revision_number}; nothing saved.`
+                    : `Restored revision ${revision_number} as revision ${revision.revision_number} (${revision.word_count} words).`
+            };
+        } catch (error) {
+            throw new Error(`Failed to restore scene revision: ${error.message}`);
+        }
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    async getScene(sceneId) {
+        const result = await this.db.query(
+            'SELECT id, chapter_id, scene_number, scene_title FROM chapter_scenes WHERE id = $1', [sceneId]);
+        if (result.rows.length === 0) {
+            throw new Error(`Scene with ID ${sceneId} not found`);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * One revision with its text; the latest when revisionNumber is omitted
+     */
+    async getRevision(db, sceneId, revisionNumber) {
+        const latest = revisionNumber === undefined || revisionNumber === null;
+        const result = await db.query(`
+            SELECT ${REVISION_SUMMARY_COLUMNS}, content, diff_from_previous
+            FROM scene_prose_revisions
+            WHERE scene_id = $1 ${latest ? '' : 'AND revision_number = $2'}
+            ORDER BY revision_number DESC
+            LIMIT 1
+        `, latest ? [sceneId] : [sceneId, revisionNumber]);
+        if (result.rows.length === 0) {
+            throw new Error(latest
+                ? `Scene ${sceneId} has no saved prose`
+                : `Scene ${sceneId} has no revision ${revisionNumber}`);
+        }
+        return result.rows[0];
+    }
+
+    conflictResult(sceneId, expectedRevision, currentRevision) {
+        return {
+            error: 'conflict',
+            status: 409,
+            scene_id: sceneId,
+            expected_revision: expectedRevision,
+            current_revision: currentRevision,
+            message: `Scene prose is at revision ${currentRevision}, not ${expectedRevision}; diff against the current revision before saving again.`
+        };
+    }
+}
@@ -5,6 +5,8 @@
 
 import { sceneWritingSchemas } from '../schemas/scene-writing-schemas.js';
 import { LookupManagementHandlers } from '../../metadata-server/handlers/lookup-management-handlers.js';
+import { appendProseRevision } from './prose-handlers.js';
+import { countWords } from './prose-diff.js';
 
 export class SceneHandlers {
     constructor(db) {
@@ -41,7 +43,7 @@ export class SceneHandlers {
                     location, time_of_day, duration, summary, pov_character_id,
                     scene_participants, writing_status = 'planned', target_word_count,
                     intensity_level, scene_elements, scene_outline, scene_content,
-                    scene_revisions, notes } = args;
+                    revision_author, revision_note, notes } = args;
 
             // Check if scene number already exists in this chapter
             const checkQuery = 'SELECT id FROM chapter_scenes WHERE chapter_id = $1 AND scene_number = $2';
@@ -80,22 +82,31 @@ export class SceneHandlers {
                     chapter_id, scene_number, scene_title, scene_purpose, scene_type,
                     location, time_of_day, duration, summary, pov_character_id,
                     scene_participants, writing_status, target_word_count, intensity_level,
-                    scene_elements, scene_outline, scene_content, scene_revisions, notes
+                    scene_elements, scene_outline, notes
                 ) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
                 RETURNING *
             `;
             
-            const result = await this.db.query(query, [
-                chapter_id, scene_number, scene_title || null, scene_purpose || null,
-                scene_type || null, location || null, time_of_day || null, 
-                duration || null, summary || null, pov_character_id || null,
-                scene_participants || [], writing_status, target_word_count || null,
-                intensity_level || null, scene_elements || [], scene_outline || null, 
-                scene_content || null, scene_revisions || [], notes || null
-            ]);
-            
-            const scene = result.rows[0];
+            // Prose goes in as revision 1 in the same transaction, which
+            // also sets scene_content and the derived word counts.
+            const { scene, prose } = await this.db.transaction(async (client) => {
+                const result = await client.query(query, [
+                    chapter_id, scene_number, scene_title || null, scene_purpose || null,
+                    scene_type || null, location || null, time_of_day || null, 
+                    duration || null, summary || null, pov_character_id || null,
+                    scene_participants || [], writing_status, target_word_count || null,
+                    intensity_level || null, scene_elements || [], scene_outline || null, 
+                    notes || null
+                ]);
+                const created = result.rows[0];
+                const saved = scene_content
+                    ? await appendProseRevision(client, created.id, scene_content, {
+                        author: revision_author || null, note: revision_note || 'First draft'
+                    })
+                    : null;
+                return { scene: created, prose: saved };
+            });
             const chapterInfo = chapterResult.rows[0];
             
             let responseText = `Created scene successfully!\n\n`;
@@ -120,6 +131,9 @@ export class SceneHandlers {
             if (scene.duration) {
                 responseText += `Duration: ${scene.duration}\n`;
             }
+            if (prose) {
+                responseText += `Prose: revision ${prose.revision.revision_number}, ${prose.scene_word_count} words\n`;
+            }
             if (scene.target_word_count) {
                 responseText += `Target Words: ${scene.target_word_count}\n`;
             }
@@ -156,7 +170,23 @@ export class SceneHandlers {
 
     async handleUpdateScene(args) {
         try {
-            const { scene_id, expected_updated_at, ...updates } = args;
+            const { scene_id, expected_updated_at, scene_content, revision_author, revision_note, ...updates } = args;
+
+            // Prose history lives in scene_prose_revisions (migration 068) and
+            // word_count follows the prose once there is any.
+            if (updates.scene_revisions !== undefined) {
+                throw new Error('scene_revisions is no longer written; prose history is kept automatically (see list_scene_revisions)');
+            }
+            if (updates.word_count !== undefined) {
+                if (scene_content !== undefined) {
+                    throw new Error('word_count is derived from scene_content; omit it');
+                }
+                const proseResult = await this.db.query(
+                    'SELECT 1 FROM scene_prose_revisions WHERE scene_id = $1 LIMIT 1', [scene_id]);
+                if (proseResult.rows.length > 0) {
+                    throw new Error('word_count is derived from the scene\'s saved prose and cannot be set directly');
+                }
+            }
 
             // Auto-create lookup values if they don't exist
             if (updates.scene_purpose) {
@@ -182,7 +212,7 @@ export class SceneHandlers {
                 }
             }
 
-            if (updateFields.length === 0) {
+            if (updateFields.length === 0 && scene_content === undefined) {
                 throw new Error('No fields to update');
             }
 
@@ -206,9 +236,26 @@ export class SceneHandlers {
 
             query += ' RETURNING *';
 
-            const result = await this.db.query(query, params);
+            // The metadata update (and its concurrency guard) and the prose
+            // revision commit together.
+            const { scene, prose } = await this.db.transaction(async (client) => {
+                const result = await client.query(query, params);
+                if (result.rows.length === 0) {
+                    return { scene: null, prose: null };
+                }
+                if (scene_content === undefined) {
+                    return { scene: result.rows[0], prose: null };
+                }
+                const saved = await appendProseRevision(client, scene_id, scene_content, {
+                    author: revision_author || null, note: revision_note || null
+                });
+                return {
+                    scene: { ...result.rows[0], scene_content, word_count: saved.scene_word_count },
+                    prose: saved
+                };
+            });
 
-            if (result.rows.length === 0) {
+            if (!scene) {
                 // Distinguish "no such scene" from "row changed underneath you"
                 const existsResult = await this.db.query(
                     'SELECT updated_at FROM chapter_scenes WHERE id = $1',
@@ -233,8 +280,6 @@ export class SceneHandlers {
                 };
             }
 
-            const scene = result.rows[0];
-
             // Get chapter and book info
             const contextQuery = `
                 SELECT c.chapter_number, c.title as chapter_title, b.title as book_title
@@ -246,7 +291,7 @@ export class SceneHandlers {
             const contextResult = await this.db.query(contextQuery, [scene_id]);
             const context = contextResult.rows[0] || {};
 
-            return {
+            const response = {
                 scene: {
                     id: scene.id,
                     chapter_id: scene.chapter_id,
@@ -261,12 +306,22 @@ export class SceneHandlers {
                     intensity_level: scene.intensity_level,
                     scene_elements: scene.scene_elements || [],
                     scene_outline: scene.scene_outline,
-                    scene_content_word_count: scene.scene_content ? scene.scene_content.split(/\s+/).filter(Boolean).length : 0,
-                    scene_revisions_count: scene.scene_revisions ? scene.scene_revisions.length : 0,
+                    scene_content_word_count: countWords(scene.scene_content),
                     created_at: scene.created_at,
                     updated_at: scene.updated_at
                 }
             };
+
+            if (prose) {
+                response.prose_revision = {
+                    revision_number: prose.revision.revision_number,
+                    unchanged: prose.unchanged,
+                    words_added: prose.unchanged ? 0 : prose.revision.words_added,
+                    words_removed: prose.unchanged ? 0 : prose.revision.words_removed,
+                    chapter_word_count: prose.chapter_word_count
+                };
+            }
+            return response;
         } catch (error) {
             throw new Error(`Failed to update scene: ${error.message}`);
         }
@@ -278,7 +333,8 @@ export class SceneHandlers {
 
             const query = `
                 SELECT s.*, c.chapter_number, c.title as chapter_title,
-                    b.title as book_title, ch.name as pov_character_name
+                    b.title as book_title, ch.name as pov_character_name,
+                    (SELECT MAX(r.revision_number) FROM scene_prose_revisions r WHERE r.scene_id = s.id) AS current_revision
                 FROM chapter_scenes s
                 JOIN chapters c ON s.chapter_id = c.id
                 JOIN books b ON c.book_id = b.id
@@ -331,7 +387,7 @@ export class SceneHandlers {
                 scene_content: sceneContent,
                 content_length: contentLength,
                 content_truncated: contentTruncated,
-                scene_revisions_count: scene.scene_revisions ? scene.scene_revisions.length : 0,
+                current_revision: scene.current_revision ?? 0,
                 created_at: scene.created_at,
                 updated_at: scene.updated_at
             };
@@ -360,7 +416,8 @@ export class SceneHandlers {
                     intensity_filter, scene_elements } = args;
             
             let query = `
-                SELECT s.*, ch.name as pov_character_name
+                SELECT s.*, ch.name as pov_character_name,
+                    (SELECT MAX(r.revision_number) FROM scene_prose_revisions r WHERE r.scene_id = s.id) AS current_revision
                 FROM chapter_scenes s
                 LEFT JOIN characters ch ON s.pov_character_id = ch.id
                 WHERE s.chapter_id = $1
@@ -463,8 +520,8 @@ export class SceneHandlers {
                     notes: scene.notes,
                     summary: scene.summary,
                     scene_outline: scene.scene_outline,
-                    content_word_count: scene.scene_content ? scene.scene_content.split(/\s+/).filter(Boolean).length : 0,
-                    scene_revisions_count: scene.scene_revisions ? scene.scene_revisions.length : 0,
+                    content_word_count: countWords(scene.scene_content),
+                    current_revision: scene.current_revision ?? 0,
                     created_at: scene.created_at,
                     updated_at: scene.updated_at
                 };
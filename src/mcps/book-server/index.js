@@ -14,6 +14,7 @@ import { BaseMCPServer } from '../../shared/base-server.js';
 import { BookHandlers } from './handlers/book-handlers.js';
 import { ChapterHandlers } from './handlers/chapter-handlers.js';
 import { SceneHandlers } from './handlers/scene-handlers.js';
+import { ProseHandlers } from './handlers/prose-handlers.js';
 
 class BookMCPServer extends BaseMCPServer {
     constructor() {
@@ -30,6 +31,7 @@ class BookMCPServer extends BaseMCPServer {
         this.bookHandlers = new BookHandlers(this.db);
         this.chapterHandlers = new ChapterHandlers(this.db);
         this.sceneHandlers = new SceneHandlers(this.db);
+        this.proseHandlers = new ProseHandlers(this.db);
         
         // FIXED: Properly bind handler methods to maintain context
         this.bindHandlerMethods();
@@ -66,7 +68,7 @@ class BookMCPServer extends BaseMCPServer {
         this.handleGetChapter = this.chapterHandlers.handleGetChapter.bind(this.chapterHandlers);
         this.handleListChapters = this.chapterHandlers.handleListChapters.bind(this.chapterHandlers);
         this.handleDeleteChapter = this.chapterHandlers.handleDeleteChapter.bind(this.chapterHandlers);
-        //this.handleReorderChapters = this.chapterHandlers.handleReorderChapters.bind(this.chapterHandlers);
+        this.handleReorderChapters = this.chapterHandlers.handleReorderChapters.bind(this.chapterHandlers);
         
         // Bind scene handler methods (when scene handlers are implemented)
         this.handleCreateScene = this.sceneHandlers.handleCreateScene.bind(this.sceneHandlers);
@@ -76,6 +78,13 @@ class BookMCPServer extends BaseMCPServer {
         this.handleDeleteScene = this.sceneHandlers.handleDeleteScene.bind(this.sceneHandlers);
         this.handleReorderScenes = this.sceneHandlers.handleReorderScenes.bind(this.sceneHandlers);
         this.handleAnalyzeSceneFlow = this.sceneHandlers.handleAnalyzeSceneFlow.bind(this.sceneHandlers);
+        
+        // Bind scene prose handler methods
+        this.handleSaveSceneProse = this.proseHandlers.handleSaveSceneProse.bind(this.proseHandlers);
+        this.handleListSceneRevisions = this.proseHandlers.handleListSceneRevisions.bind(this.proseHandlers);
+        this.handleGetSceneRevision = this.proseHandlers.handleGetSceneRevision.bind(this.proseHandlers);
+        this.handleDiffSceneRevisions = this.proseHandlers.handleDiffSceneRevisions.bind(this.proseHandlers);
+        this.handleRestoreSceneRevision = this.proseHandlers.handleRestoreSceneRevision.bind(this.proseHandlers);
     }
 
     async testDatabaseConnection() {
@@ -110,7 +119,10 @@ class BookMCPServer extends BaseMCPServer {
             ...this.chapterHandlers.getChapterTools(),
             
             // Scene Management Tools (when implemented)
-             ...this.sceneHandlers.getSceneTools()
+             ...this.sceneHandlers.getSceneTools(),
+            
+            // Scene Prose & Revision Tools
+            ...this.proseHandlers.getProseTools()
         ];
     }
 
@@ -132,7 +144,7 @@ class BookMCPServer extends BaseMCPServer {
             'get_chapter': this.handleGetChapter,
             'list_chapters': this.handleListChapters,
             'delete_chapter': this.handleDeleteChapter,
-            //'reorder_chapters': this.handleReorderChapters,
+            'reorder_chapters': this.handleReorderChapters,
             
             // Scene Management Handlers (when implemented)
             'create_scene': this.handleCreateScene,
@@ -143,6 +155,13 @@ class BookMCPServer extends BaseMCPServer {
             'reorder_scenes': this.handleReorderScenes,
             'analyze_scene_flow': this.handleAnalyzeSceneFlow,
             
+            // Scene Prose & Revision Handlers
+            'save_scene_prose': this.handleSaveSceneProse,
+            'list_scene_revisions': this.handleListSceneRevisions,
+            'get_scene_revision': this.handleGetSceneRevision,
+            'diff_scene_revisions': this.handleDiffSceneRevisions,
+            'restore_scene_revision': this.handleRestoreSceneRevision,
+            
             // Cross-component Analysis Tools
             'get_book_structure': this.handleGetBookStructure,
             'analyze_book_progress': this.handleAnalyzeBookProgress,
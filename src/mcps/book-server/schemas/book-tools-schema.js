@@ -391,34 +391,31 @@ export const chapterToolsSchema = [
             },
             required: ['chapter_id', 'confirm_deletion']
         }
+    },
+    {
+        name: 'reorder_chapters',
+        description: 'Reorder all chapters in a book in one transaction. Renumbers them 1..N in the order given, resequences linked outline nodes, and returns a before/after chapter map.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                book_id: {
+                    type: 'integer',
+                    description: 'Book ID'
+                },
+                chapter_ids: {
+                    type: 'array',
+                    items: { type: 'integer' },
+                    description: 'Every chapter ID in the book, in the new order'
+                },
+                dry_run: {
+                    type: 'boolean',
+                    default: false,
+                    description: 'Return the before/after map without changing anything'
+                }
+            },
+            required: ['book_id', 'chapter_ids']
+        }
     }
-    //,
-    // {
-    //     name: 'reorder_chapters',
-    //     description: 'Reorder chapters within a book by updating chapter numbers',
-    //     inputSchema: {
-    //         type: 'object',
-    //         properties: {
-    //             book_id: {
-    //                 type: 'integer',
-    //                 description: 'ID of the book'
-    //             },
-    //             chapter_order: {
-    //                 type: 'array',
-    //                 items: {
-    //                     type: 'object',
-    //                     properties: {
-    //                         chapter_id: { type: 'integer' },
-    //                         new_chapter_number: { type: 'integer' }
-    //                     },
-    //                     required: ['chapter_id', 'new_chapter_number']
-    //                 },
-    //                 description: 'Array of chapter IDs and their new chapter numbers'
-    //             }
-    //         },
-    //         required: ['book_id', 'chapter_order']
-    //     }
-    // }
 ];
 
 // =============================================
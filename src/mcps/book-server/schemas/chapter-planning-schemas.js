@@ -204,6 +204,31 @@ export const chapterPlanningSchemas = {
             },
             required: ['chapter_id', 'confirm_deletion']
         }
+    },
+
+    reorder_chapters: {
+        name: 'reorder_chapters',
+        description: 'Reorder all chapters in a book in one transaction. Renumbers them 1..N in the order given, resequences linked outline nodes, and returns a before/after chapter map.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                book_id: {
+                    type: 'integer',
+                    description: 'Book ID'
+                },
+                chapter_ids: {
+                    type: 'array',
+                    items: { type: 'integer' },
+                    description: 'Every chapter ID in the book, in the new order'
+                },
+                dry_run: {
+                    type: 'boolean',
+                    default: false,
+                    description: 'Return the before/after map without changing anything'
+                }
+            },
+            required: ['book_id', 'chapter_ids']
+        }
     }
 };
 
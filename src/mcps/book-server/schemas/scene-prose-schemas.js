@@ -0,0 +1,143 @@
+// src/mcps/book-server/schemas/scene-prose-schemas.js
+// Schemas for scene prose and its revision history (scene_prose_revisions, migration 068)
+// Used by: book-server, config-mcps/scene-server
+
+// =============================================
+// SCENE PROSE SCHEMAS
+// =============================================
+
+export const sceneProseSchemas = {
+    save_scene_prose: {
+        name: 'save_scene_prose',
+        description: 'Save a new draft of a scene\'s prose as a revision (author, note, diff from the previous revision). Scene and chapter word_count are derived from the text. Saving identical text records nothing.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scene_id: {
+                    type: 'integer',
+                    description: 'Scene ID'
+                },
+                content: {
+                    type: 'string',
+                    description: 'Full prose of the scene'
+                },
+                author: {
+                    type: 'string',
+                    description: 'Who wrote this revision'
+                },
+                note: {
+                    type: 'string',
+                    description: 'What changed and why'
+                },
+                expected_revision: {
+                    type: 'integer',
+                    description: 'Revision number this draft was based on (0 for none). If the scene has moved on since, nothing is saved and a conflict result (status 409) is returned.'
+                }
+            },
+            required: ['scene_id', 'content', 'author']
+        }
+    },
+
+    list_scene_revisions: {
+        name: 'list_scene_revisions',
+        description: 'List a scene\'s prose revisions, newest first, without their text',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scene_id: {
+                    type: 'integer',
+                    description: 'Scene ID'
+                },
+                limit: {
+                    type: 'integer',
+                    default: 20,
+                    description: 'Max revisions'
+                }
+            },
+            required: ['scene_id']
+        }
+    },
+
+    get_scene_revision: {
+        name: 'get_scene_revision',
+        description: 'Get the full text of one prose revision of a scene (latest if revision_number is omitted)',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scene_id: {
+                    type: 'integer',
+                    description: 'Scene ID'
+                },
+                revision_number: {
+                    type: 'integer',
+                    description: 'Revision number (latest if omitted)'
+                },
+                include_diff: {
+                    type: 'boolean',
+                    default: false,
+                    description: 'Include the unified diff from the previous revision'
+                }
+            },
+            required: ['scene_id']
+        }
+    },
+
+    diff_scene_revisions: {
+        name: 'diff_scene_revisions',
+        description: 'Unified diff between two prose revisions of a scene, with lines and words added/removed',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scene_id: {
+                    type: 'integer',
+                    description: 'Scene ID'
+                },
+                from_revision: {
+                    type: 'integer',
+                    description: 'Older revision number'
+                },
+                to_revision: {
+                    type: 'integer',
+                    description: 'Newer revision number (latest if omitted)'
+                },
+                context_lines: {
+                    type: 'integer',
+                    default: 3,
+                    description: 'Unchanged lines shown around each change'
+                }
+            },
+            required: ['scene_id', 'from_revision']
+        }
+    },
+
+    restore_scene_revision: {
+        name: 'restore_scene_revision',
+        description: 'Make an earlier prose revision current again. History is append-only: the restored text is saved as a new revision.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                scene_id: {
+                    type: 'integer',
+                    description: 'Scene ID'
+                },
+                revision_number: {
+                    type: 'integer',
+                    description: 'Revision to restore'
+                },
+                author: {
+                    type: 'string',
+                    description: 'Who is restoring it'
+                },
+                note: {
+                    type: 'string',
+                    description: 'Why (default: "Restored revision N")'
+                },
+                expected_revision: {
+                    type: 'integer',
+                    description: 'Current revision number the caller expects; conflict result (status 409) if the scene has moved on'
+                }
+            },
+            required: ['scene_id', 'revision_number', 'author']
+        }
+    }
+};
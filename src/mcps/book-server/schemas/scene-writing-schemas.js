@@ -88,12 +88,15 @@ export const sceneWritingSchemas = {
                 },
                 scene_content: {
                     type: 'string',
-                    description: 'Written content'
+                    description: 'Prose; saved as a new revision (see list_scene_revisions) and word_count derived from it'
                 },
-                scene_revisions: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Previous versions'
+                revision_author: {
+                    type: 'string',
+                    description: 'Who wrote the scene_content revision'
+                },
+                revision_note: {
+                    type: 'string',
+                    description: 'What changed in scene_content'
                 }
             },
             required: ['chapter_id', 'scene_number']
@@ -144,7 +147,7 @@ export const sceneWritingSchemas = {
                 },
                 word_count: {
                     type: 'integer',
-                    description: 'Current word count'
+                    description: 'Current word count (only for scenes without saved prose; otherwise derived from it)'
                 },
                 target_word_count: {
                     type: 'integer',
@@ -184,12 +187,15 @@ export const sceneWritingSchemas = {
                 },
                 scene_content: {
                     type: 'string',
-                    description: 'Written content'
+                    description: 'Prose; saved as a new revision (see list_scene_revisions) and word_count derived from it'
                 },
-                scene_revisions: {
-                    type: 'array',
-                    items: { type: 'string' },
-                    description: 'Previous versions'
+                revision_author: {
+                    type: 'string',
+                    description: 'Who wrote the scene_content revision'
+                },
+                revision_note: {
+                    type: 'string',
+                    description: 'What changed in scene_content'
                 }
             },
             required: ['scene_id']
@@ -0,0 +1,181 @@
+// src/mcps/business-server/handlers/biz-helpers.js
+// Shared utilities for every business-server handler class. The one rule all
+// of them enforce (S15 §0b): every biz_* row belongs to exactly one company,
+// and every tool is scoped by company_id -- defaulting to the seeded
+// 'Broad Quill' company when the caller omits it (v1 has no per-entry
+// company picker).
+
+export const DEFAULT_COMPANY_NAME = 'Broad Quill';
+
+// Enum values mirror the inline column comments in migrations 048-053 --
+// none of these are CHECK-constrained in the DB, so the handlers are the gate.
+export const COMPANY_STATUSES = ['active', 'closed'];
+export const CONTACT_TYPES = ['vendor', 'collaborator', 'reader', 'professional', 'other'];
+export const ACCOUNT_TYPES = ['checking', 'savings', 'credit_card', 'payment_processor', 'other'];
+export const TRANSACTION_DIRECTIONS = ['income', 'expense', 'transfer'];
+export const DEADLINE_RECURRENCES = ['none', 'monthly', 'quarterly', 'annual'];
+export const DEADLINE_CATEGORIES = ['compliance', 'renewal', 'launch', 'custom'];
+export const PIPELINE_STAGES = ['dossier', 'outline', 'draft', 'edit', 'cover', 'format', 'upload', 'live'];
+export const SUBSCRIPTION_CADENCES = ['monthly', 'quarterly', 'annual'];
+export const DEBT_STATUSES = ['active', 'paid_off'];
+export const SAVINGS_GOAL_STATUSES = ['active', 'reached', 'abandoned'];
+export const PLATFORM_TYPES = ['retail', 'social', 'email', 'other'];
+export const CONTENT_TYPES = ['newsletter_ref', 'blog', 'social_post', 'video', 'other'];
+export const CONTENT_STATUSES = ['idea', 'draft', 'scheduled', 'published'];
+export const ASSET_TYPES = ['image', 'video', 'audio', 'doc', 'receipt'];
+
+/**
+ * Resolve the company every tool call is scoped to. An explicit company_id
+ * must exist; omitting it falls back to the 'Broad Quill' seed row from
+ * migration 048. Throws if neither resolves.
+ */
+export async function resolveCompanyId(db, company_id) {
+    if (company_id) {
+        const result = await db.query('SELECT id FROM fictionlab.biz_companies WHERE id = $1', [company_id]);
+        if (result.rows.length === 0) {
+            throw new Error(`Company not found: ${company_id}`);
+        }
+        return result.rows[0].id;
+    }
+
+    const result = await db.query('SELECT id FROM fictionlab.biz_companies WHERE name = $1', [DEFAULT_COMPANY_NAME]);
+    if (result.rows.length === 0) {
+        throw new Error(`Default company '${DEFAULT_COMPANY_NAME}' not found -- has migration 048 been applied?`);
+    }
+    return result.rows[0].id;
+}
+
+/**
+ * Throw unless value is unset or one of allowed.
+ */
+export function assertEnum(value, allowed, field) {
+    if (value !== undefined && value !== null && !allowed.includes(value)) {
+        throw new Error(`Invalid ${field}: ${value} (expected one of ${allowed.join(', ')})`);
+    }
+}
+
+/**
+ * Copy only the listed columns that the caller actually provided (undefined
+ * means "not provided"; null is kept so an update can clear a column).
+ */
+export function pickColumns(args, columns) {
+    const picked = {};
+    for (const column of columns) {
+        if (args && args[column] !== undefined) {
+            picked[column] = args[column];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Fetch a company-owned row or throw '<label> not found'. scopeClause lets
+ * tables without a direct company_id column (biz_transactions via its
+ * account, biz_kpis via its platform) express their transitive scoping; it
+ * is always written against $2 = companyId.
+ */
+export async function findCompanyRow(db, table, id, companyId, label, scopeClause = 'company_id = $2') {
+    const result = await db.query(
+        `SELECT * FROM ${table} WHERE id = $1 AND ${scopeClause}`,
+        [id, companyId]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`${label} not found: ${id}`);
+    }
+    return result.rows[0];
+}
+
+/**
+ * Validate an optional cross-table reference (vendor_contact_id, account_id,
+ * deadline_id, platform_id, ...) points at a row owned by the SAME company --
+ * the FK alone would happily link two companies' books together, which is
+ * exactly what §0b's per-company rule exists to prevent.
+ */
+export async function assertCompanyRef(db, table, id, companyId, field) {
+    if (id === undefined || id === null) {
+        return;
+    }
+    const result = await db.query(
+        `SELECT 1 FROM ${table} WHERE id = $1 AND company_id = $2`,
+        [id, companyId]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`${field} ${id} not found for company ${companyId}`);
+    }
+}
+
+/**
+ * Fetch a canon books row (with its series title) for an optional book_id
+ * link (migration 058). Books belong to no company, so this only checks
+ * existence. Returns null when bookId is unset.
+ */
+export async function findBook(db, bookId, field = 'book_id') {
+    if (bookId === undefined || bookId === null) {
+        return null;
+    }
+    const result = await db.query(
+        `SELECT b.id, b.title, b.book_number, b.series_id, s.title AS series_title
+         FROM books b
+         JOIN series s ON s.id = b.series_id
+         WHERE b.id = $1`,
+        [bookId]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`${field} ${bookId} not found in books`);
+    }
+    return result.rows[0];
+}
+
+/**
+ * INSERT ... RETURNING * from a { column: value } map. Column names only
+ * ever come from the handlers' own whitelists, never from caller input.
+ */
+export async function insertRow(db, table, values) {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, index) => `$${index + 1}`);
+    const result = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')})
+         VALUES (${placeholders.join(', ')})
+         RETURNING *`,
+        Object.values(values)
+    );
+    return result.rows[0];
+}
+
+/**
+ * Partial UPDATE ... RETURNING * of one company-scoped row; only the keys in
+ * patch change. Throws 'No fields to update' on an empty patch and
+ * '<label> not found' when the row doesn't exist for this company.
+ */
+export async function updateRow(db, table, { id, companyId, patch, label, scopeClause = 'company_id = $2' }) {
+    const columns = Object.keys(patch);
+    if (columns.length === 0) {
+        throw new Error('No fields to update');
+    }
+
+    const sets = columns.map((column, index) => `${column} = $${index + 3}`);
+    const result = await db.query(
+        `UPDATE ${table} SET ${sets.join(', ')}
+         WHERE id = $1 AND ${scopeClause}
+         RETURNING *`,
+        [id, companyId, ...Object.values(patch)]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`${label} not found: ${id}`);
+    }
+    return result.rows[0];
+}
+
+/**
+ * DELETE ... RETURNING * of one company-scoped row.
+ */
+export async function deleteRow(db, table, { id, companyId, label, scopeClause = 'company_id = $2' }) {
+    const result = await db.query(
+        `DELETE FROM ${table} WHERE id = $1 AND ${scopeClause} RETURNING *`,
+        [id, companyId]
+    );
+    if (result.rows.length === 0) {
+        throw new Error(`${label} not found: ${id}`);
+    }
+    return result.rows[0];
+}
@@ -0,0 +1,193 @@
+// src/mcps/business-server/handlers/book-link-handlers.js
+// Optional links from the business side's free-text book labels to the
+// canon books table (migration 058). book_ref stays free text (S15 §0/§2);
+// biz_book_refs maps a company's label to the books row it means, and
+// biz_v_series_pnl rolls linked labels up per series. Suggestion scoring
+// lives in utils/book-matching.js.
+
+import {
+    resolveCompanyId,
+    findBook
+} from './biz-helpers.js';
+import { suggestBooks } from '../utils/book-matching.js';
+
+export class BookLinkHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async loadBooks() {
+        const result = await this.db.query(
+            `SELECT b.id, b.title, b.book_number, b.series_id, s.title AS series_title
+             FROM books b
+             JOIN series s ON s.id = b.series_id
+             ORDER BY b.id`
+        );
+        return result.rows;
+    }
+
+    /**
+     * link_book_ref — point a book_ref label at a canon book. Re-linking a
+     * label replaces its book; the label's transactions and content items
+     * are not touched.
+     */
+    async handleLinkBookRef(args) {
+        const { company_id, book_ref, book_id, notes } = args || {};
+
+        if (!book_ref || !book_id) {
+            throw new Error('book_ref and book_id are required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const book = await findBook(this.db, book_id);
+
+        const result = await this.db.query(
+            `INSERT INTO fictionlab.biz_book_refs (company_id, book_ref, book_id, notes)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (company_id, book_ref)
+             DO UPDATE SET book_id = EXCLUDED.book_id, notes = COALESCE(EXCLUDED.notes, fictionlab.biz_book_refs.notes)
+             RETURNING *`,
+            [companyId, book_ref, book_id, notes ?? null]
+        );
+
+        return { book_ref_link: result.rows[0], book };
+    }
+
+    async handleUnlinkBookRef(args) {
+        const { company_id, book_ref } = args || {};
+
+        if (!book_ref) {
+            throw new Error('book_ref is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const result = await this.db.query(
+            'DELETE FROM fictionlab.biz_book_refs WHERE company_id = $1 AND book_ref = $2 RETURNING *',
+            [companyId, book_ref]
+        );
+        if (result.rows.length === 0) {
+            throw new Error(`book_ref '${book_ref}' is not linked`);
+        }
+
+        return { unlinked: true, book_ref_link: result.rows[0] };
+    }
+
+    /**
+     * resolve_book_refs — every book_ref label the company uses (on
+     * transactions and content items) plus pipeline items without a
+     * book_id, each with ranked canon-book suggestions. Read-only: link a
+     * suggestion with link_book_ref or update_pipeline_item book_id.
+     */
+    async handleResolveBookRefs(args) {
+        const { company_id, include_linked = false, min_score = 40, limit = 3 } = args || {};
+
+        if (!(Number(min_score) >= 0 && Number(min_score) <= 100)) {
+            throw new Error(`Invalid min_score: ${min_score} (expected 0-100)`);
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const labels = await this.db.query(
+            `WITH used AS (
+                SELECT t.book_ref, COUNT(*) AS transaction_count, 0 AS content_item_count
+                FROM fictionlab.biz_transactions t
+                JOIN fictionlab.biz_accounts a ON a.id = t.account_id
+                WHERE a.company_id = $1 AND t.book_ref IS NOT NULL
+                GROUP BY t.book_ref
+                UNION ALL
+                SELECT c.book_ref, 0, COUNT(*)
+                FROM fictionlab.biz_content_items c
+                WHERE c.company_id = $1 AND c.book_ref IS NOT NULL
+                GROUP BY c.book_ref
+            )
+            SELECT u.book_ref,
+                   SUM(u.transaction_count)::int AS transaction_count,
+                   SUM(u.content_item_count)::int AS content_item_count,
+                   r.book_id AS linked_book_id,
+                   b.title AS linked_book_title
+            FROM used u
+            LEFT JOIN fictionlab.biz_book_refs r ON r.company_id = $1 AND r.book_ref = u.book_ref
+            LEFT JOIN books b ON b.id = r.book_id
+            GROUP BY u.book_ref, r.book_id, b.title
+            ORDER BY u.book_ref`,
+            [companyId]
+        );
+
+        const pipelineItems = await this.db.query(
+            `SELECT id, title, persona, stage
+             FROM fictionlab.biz_pipeline_items
+             WHERE company_id = $1 AND book_id IS NULL
+             ORDER BY id`,
+            [companyId]
+        );
+
+        const books = await this.loadBooks();
+        const options = { minScore: Number(min_score), limit };
+
+        const bookRefs = labels.rows
+            .filter((row) => include_linked || !row.linked_book_id)
+            .map((row) => ({
+                ...row,
+                suggestions: row.linked_book_id ? [] : suggestBooks(row.book_ref, books, options)
+            }));
+
+        return {
+            company_id: companyId,
+            unlinked_count: labels.rows.filter((row) => !row.linked_book_id).length,
+            book_refs: bookRefs,
+            pipeline_items: pipelineItems.rows.map((item) => ({
+                pipeline_item_id: item.id,
+                title: item.title,
+                persona: item.persona,
+                stage: item.stage,
+                suggestions: suggestBooks(item.title, books, options)
+            }))
+        };
+    }
+
+    /**
+     * get_series_pnl — biz_v_series_pnl rows, each with its per-book
+     * breakdown from biz_v_book_pnl. Only linked book_ref labels count;
+     * unlinked_net says how much P&L is still outside any series.
+     */
+    async handleGetSeriesPnl(args) {
+        const { company_id, series_id } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const params = [companyId];
+        let seriesFilter = '';
+        if (series_id) {
+            seriesFilter = 'AND series_id = $2';
+            params.push(series_id);
+        }
+
+        const series = await this.db.query(
+            `SELECT * FROM fictionlab.biz_v_series_pnl
+             WHERE company_id = $1 ${seriesFilter}
+             ORDER BY net DESC`,
+            params
+        );
+        const books = await this.db.query(
+            `SELECT * FROM fictionlab.biz_v_book_pnl
+             WHERE company_id = $1 ${series_id ? 'AND series_id = $2' : ''}
+             ORDER BY net DESC`,
+            params
+        );
+
+        const result = {
+            company_id: companyId,
+            series: series.rows.map((row) => ({
+                ...row,
+                books: books.rows.filter((book) => book.series_id === row.series_id)
+            }))
+        };
+
+        if (!series_id) {
+            const unlinked = books.rows.filter((book) => !book.book_id);
+            result.unlinked_book_refs = unlinked.map((book) => book.book_ref);
+            result.unlinked_net = Math.round(unlinked.reduce((sum, book) => sum + Number(book.net), 0) * 100) / 100;
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,326 @@
+// src/mcps/business-server/handlers/bundle-handlers.js
+// Company close/hand-off bundle (S15 §0b): export one company's biz_* rows
+// to a self-contained directory -- JSON + CSV per table, snapshots of the
+// cash and P&L views, and a manifest with sha256 checksums -- and load such
+// a bundle into another database under a new company id. Table layout,
+// scoping and id remapping live in utils/company-bundle.js.
+
+import { access, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { resolveCompanyId } from './biz-helpers.js';
+import {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    MANIFEST_FILE,
+    BUNDLE_TABLES,
+    BUNDLE_VIEWS,
+    scopeClause,
+    sha256,
+    toCsv,
+    isBundlePath,
+    verifyManifest,
+    remapRow
+} from '../utils/company-bundle.js';
+
+const COMPANY_FILE = 'company.json';
+
+async function readIfPresent(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return undefined;
+        }
+        throw error;
+    }
+}
+
+function parseBundleJson(text, path) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON: ${error.message}`);
+    }
+}
+
+export class BundleHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Rows as JSON objects via to_jsonb, so DATE columns stay 'YYYY-MM-DD'
+     * and NUMERIC/arrays/JSONB round-trip without per-column casts.
+     */
+    async selectJson(sql, params) {
+        const result = await this.db.query(sql, params);
+        return result.rows.map((row) => row.row);
+    }
+
+    /**
+     * export_company_bundle — write dir_path/{company.json, tables/*.json,
+     * tables/*.csv, views/*.json, views/*.csv, manifest.json}. The manifest
+     * is written last, so a directory without one is an interrupted
+     * export. Refuses to overwrite an existing bundle unless overwrite.
+     */
+    async handleExportCompanyBundle(args) {
+        const { company_id, dir_path, overwrite = false } = args || {};
+
+        if (!dir_path) {
+            throw new Error('dir_path is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const [company] = await this.selectJson(
+            'SELECT to_jsonb(t) AS row FROM fictionlab.biz_companies t WHERE t.id = $1',
+            [companyId]
+        );
+        if (!company) {
+            throw new Error(`Company not found: ${companyId}`);
+        }
+
+        const manifestPath = join(dir_path, MANIFEST_FILE);
+        const hasBundle = await access(manifestPath).then(() => true, () => false);
+        if (hasBundle && !overwrite) {
+            throw new Error(`${manifestPath} already exists -- pass overwrite: true to replace that bundle`);
+        }
+        await mkdir(join(dir_path, 'tables'), { recursive: true });
+        await mkdir(join(dir_path, 'views'), { recursive: true });
+
+        const files = [];
+        const write = async (path, text, rows) => {
+            await writeFile(join(dir_path, path), text, 'utf8');
+            files.push({ path, sha256: sha256(text), bytes: Buffer.byteLength(text, 'utf8'), rows });
+        };
+        const writeRows = async (base, rows) => {
+            await write(`${base}.json`, JSON.stringify(rows, null, 2) + '\n', rows.length);
+            await write(`${base}.csv`, toCsv(rows), rows.length);
+        };
+
+        await write(COMPANY_FILE, JSON.stringify(company, null, 2) + '\n', 1);
+
+        const tableCounts = {};
+        for (const spec of BUNDLE_TABLES) {
+            const rows = await this.selectJson(
+                `SELECT to_jsonb(t) AS row FROM fictionlab.${spec.table} t
+                 WHERE ${scopeClause(spec.scope)}
+                 ORDER BY t.id`,
+                [companyId]
+            );
+            tableCounts[spec.table] = rows.length;
+            await writeRows(`tables/${spec.table}`, rows);
+        }
+
+        const viewCounts = {};
+        for (const view of BUNDLE_VIEWS) {
+            const rows = await this.selectJson(
+                `SELECT to_jsonb(v) AS row FROM fictionlab.${view} v WHERE v.company_id = $1`,
+                [companyId]
+            );
+            viewCounts[view] = rows.length;
+            await writeRows(`views/${view}`, rows);
+        }
+
+        const migration = await this.db.query('SELECT filename FROM migrations ORDER BY filename DESC LIMIT 1');
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exported_at: new Date().toISOString(),
+            source: { company_id: company.id, name: company.name, status: company.status },
+            schema_migration: migration.rows[0] ? migration.rows[0].filename : null,
+            tables: tableCounts,
+            views: viewCounts,
+            files
+        };
+        await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+        return {
+            company_id: companyId,
+            dir_path,
+            manifest_path: manifestPath,
+            table_counts: tableCounts,
+            view_counts: viewCounts,
+            file_count: files.length + 1
+        };
+    }
+
+    async insertBundledRow(client, table, values) {
+        const columns = Object.keys(values).join(', ');
+        const result = await client.query(
+            `INSERT INTO fictionlab.${table} (${columns})
+             SELECT ${columns} FROM jsonb_populate_record(NULL::fictionlab.${table}, $1::jsonb)
+             RETURNING id`,
+            [JSON.stringify(values)]
+        );
+        return result.rows[0].id;
+    }
+
+    /**
+     * import_company_bundle — verify every checksum, then insert the bundle
+     * as a new company in one transaction, remapping all ids. The view
+     * snapshots are not loaded; the views recompute from the tables.
+     *
+     * - Columns the target database does not have are dropped and listed.
+     * - Canon book links (book_id) are kept only when that books.id exists
+     *   here: pipeline items lose the link, biz_book_refs rows are skipped.
+     * - Debt balances are restored from the bundle after the transactions
+     *   load, because migration 057's trigger counts each debt payment again
+     *   on insert.
+     *
+     * dry_run runs every check and reports the counts without writing.
+     */
+    async handleImportCompanyBundle(args) {
+        const { dir_path, name, dry_run = false } = args || {};
+
+        if (!dir_path) {
+            throw new Error('dir_path is required');
+        }
+
+        const manifestText = await readIfPresent(join(dir_path, MANIFEST_FILE));
+        if (manifestText === undefined) {
+            throw new Error(`No ${MANIFEST_FILE} in ${dir_path}`);
+        }
+        const manifest = parseBundleJson(manifestText, MANIFEST_FILE);
+
+        const files = {};
+        for (const entry of (manifest && manifest.files) || []) {
+            if (isBundlePath(entry.path)) {
+                files[entry.path] = await readIfPresent(join(dir_path, entry.path));
+            }
+        }
+        const problems = verifyManifest(manifest, files);
+        if (problems.length > 0) {
+            throw new Error(`Bundle ${dir_path} failed verification: ${problems.join('; ')}`);
+        }
+
+        const required = [COMPANY_FILE, ...BUNDLE_TABLES.map((spec) => `tables/${spec.table}.json`)];
+        const missing = required.filter((path) => files[path] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Bundle ${dir_path} is missing ${missing.join(', ')}`);
+        }
+
+        const company = parseBundleJson(files[COMPANY_FILE], COMPANY_FILE);
+        const tables = Object.fromEntries(
+            BUNDLE_TABLES.map((spec) => [spec.table, parseBundleJson(files[`tables/${spec.table}.json`], spec.table)])
+        );
+
+        const companyName = name || company.name;
+        const taken = await this.db.query('SELECT id FROM fictionlab.biz_companies WHERE name = $1', [companyName]);
+        if (taken.rows.length > 0) {
+            throw new Error(`A company named '${companyName}' already exists (id ${taken.rows[0].id}) -- pass name to import under another name`);
+        }
+
+        const bookIds = new Set();
+        for (const spec of BUNDLE_TABLES) {
+            for (const row of tables[spec.table]) {
+                for (const column of spec.bookRefs || []) {
+                    if (row[column] !== null && row[column] !== undefined) {
+                        bookIds.add(Number(row[column]));
+                    }
+                }
+            }
+        }
+        const canon = await this.db.query('SELECT id FROM books WHERE id = ANY($1::int[])', [[...bookIds]]);
+        const knownBooks = new Set(canon.rows.map((row) => Number(row.id)));
+        const unresolvedBookIds = [...bookIds].filter((id) => !knownBooks.has(id)).sort((a, b) => a - b);
+
+        const targetColumns = await this.db.query(
+            `SELECT table_name, column_name FROM information_schema.columns
+             WHERE table_schema = 'fictionlab' AND table_name = ANY($1::text[])`,
+            [['biz_companies', ...BUNDLE_TABLES.map((spec) => spec.table)]]
+        );
+        const columnsByTable = new Map();
+        for (const row of targetColumns.rows) {
+            if (!columnsByTable.has(row.table_name)) {
+                columnsByTable.set(row.table_name, new Set());
+            }
+            columnsByTable.get(row.table_name).add(row.column_name);
+        }
+        const skippedColumns = {};
+        const fitToTarget = (table, values) => {
+            const known = columnsByTable.get(table) || new Set();
+            const kept = {};
+            for (const [column, value] of Object.entries(values)) {
+                if (known.has(column)) {
+                    kept[column] = value;
+                } else {
+                    skippedColumns[table] = [...new Set([...(skippedColumns[table] || []), column])];
+                }
+            }
+            return kept;
+        };
+
+        const load = async (client) => {
+            let nextDryRunId = 1;
+            const insert = async (table, values) => (dry_run ? nextDryRunId++ : this.insertBundledRow(client, table, fitToTarget(table, values)));
+
+            const companyValues = { ...company, name: companyName };
+            delete companyValues.id;
+            const newCompanyId = await insert('biz_companies', companyValues);
+
+            const idMaps = {};
+            const counts = {};
+            const skippedBookRefs = [];
+            for (const spec of BUNDLE_TABLES) {
+                idMaps[spec.table] = new Map();
+                counts[spec.table] = 0;
+                const deferred = spec.table === 'biz_transactions' ? ['transfer_pair_id'] : [];
+
+                for (const row of tables[spec.table]) {
+                    const values = remapRow(row, spec, newCompanyId, idMaps, deferred);
+                    const lostBook = (spec.bookRefs || []).find(
+                        (column) => values[column] !== null && values[column] !== undefined && !knownBooks.has(Number(values[column]))
+                    );
+                    if (lostBook && spec.table === 'biz_book_refs') {
+                        skippedBookRefs.push(row.book_ref);
+                        continue;
+                    }
+                    if (lostBook) {
+                        values[lostBook] = null;
+                    }
+
+                    idMaps[spec.table].set(String(row.id), await insert(spec.table, values));
+                    counts[spec.table] += 1;
+                }
+            }
+
+            if (!dry_run) {
+                const transactionIds = idMaps.biz_transactions;
+                for (const row of tables.biz_transactions) {
+                    if (row.transfer_pair_id !== null && row.transfer_pair_id !== undefined) {
+                        const pairId = transactionIds.get(String(row.transfer_pair_id));
+                        if (pairId === undefined) {
+                            throw new Error(`biz_transactions row ${row.id}: transfer_pair_id ${row.transfer_pair_id} is not in the bundle`);
+                        }
+                        await client.query(
+                            'UPDATE fictionlab.biz_transactions SET transfer_pair_id = $2 WHERE id = $1',
+                            [transactionIds.get(String(row.id)), pairId]
+                        );
+                    }
+                }
+                for (const row of tables.biz_debts) {
+                    await client.query(
+                        'UPDATE fictionlab.biz_debts SET balance = $2, status = $3 WHERE id = $1',
+                        [idMaps.biz_debts.get(String(row.id)), row.balance, row.status]
+                    );
+                }
+            }
+
+            return { newCompanyId: dry_run ? null : newCompanyId, counts, skippedBookRefs };
+        };
+
+        const outcome = dry_run ? await load(this.db) : await this.db.transaction(load);
+
+        return {
+            dry_run,
+            company: { id: outcome.newCompanyId, name: companyName },
+            source: manifest.source,
+            exported_at: manifest.exported_at,
+            schema_migration: manifest.schema_migration,
+            table_counts: outcome.counts,
+            unresolved_book_ids: unresolvedBookIds,
+            skipped_book_refs: outcome.skippedBookRefs,
+            skipped_columns: skippedColumns
+        };
+    }
+}
@@ -0,0 +1,379 @@
+// src/mcps/business-server/handlers/calendar-handlers.js
+// Content calendar over biz_content_items (S15 §4b): plan, reschedule and
+// advance items through idea -> draft -> scheduled -> published, read the
+// calendar for a date range grouped by platform, and export it as an .ics
+// file a calendar app can subscribe to without a live service. Plain CRUD
+// for the same rows stays in content-handlers.js.
+
+import { writeFile } from 'node:fs/promises';
+import {
+    CONTENT_TYPES,
+    CONTENT_STATUSES,
+    resolveCompanyId,
+    assertEnum,
+    assertCompanyRef,
+    pickColumns,
+    findCompanyRow,
+    insertRow
+} from './biz-helpers.js';
+import { daysBetween, parseIsoDate, todayIso } from '../utils/deadline-dates.js';
+import { buildCalendar, recurrenceRule } from '../utils/icalendar.js';
+
+const PLAN_COLUMNS = ['title', 'content_type', 'platform_id', 'status', 'publish_date', 'book_ref', 'external_ref', 'notes'];
+
+// A calendar read is capped so a typo'd year cannot pull the whole table.
+const MAX_CALENDAR_DAYS = 366;
+
+const CONTENT_ITEM_SELECT = `
+    SELECT c.id, c.title, c.content_type, c.platform_id, p.name AS platform_name, c.status,
+           c.publish_date::text AS publish_date, c.book_ref, c.external_ref, c.notes
+    FROM fictionlab.biz_content_items c
+    LEFT JOIN fictionlab.biz_platforms p ON p.id = c.platform_id`;
+
+export class CalendarHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Only 'scheduled' needs a date; 'published' is reached through
+     * advance_content_item so it always gets one.
+     */
+    assertSchedulable(status, publishDate) {
+        if (status === 'scheduled' && !publishDate) {
+            throw new Error("A scheduled content item needs a publish_date");
+        }
+    }
+
+    async findItem(contentItemId, companyId, client = this.db) {
+        const result = await client.query(
+            `${CONTENT_ITEM_SELECT}
+             WHERE c.id = $1 AND c.company_id = $2`,
+            [contentItemId, companyId]
+        );
+        if (result.rows.length === 0) {
+            throw new Error(`Content item not found: ${contentItemId}`);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Other items already on the same platform and day -- a planning hint,
+     * never a block.
+     */
+    async sameDayItems(companyId, item) {
+        if (!item.publish_date) {
+            return [];
+        }
+        const result = await this.db.query(
+            `SELECT id, title, status
+             FROM fictionlab.biz_content_items
+             WHERE company_id = $1 AND publish_date = $2 AND id <> $3
+               AND platform_id IS NOT DISTINCT FROM $4
+             ORDER BY id`,
+            [companyId, item.publish_date, item.id, item.platform_id]
+        );
+        return result.rows;
+    }
+
+    /**
+     * plan_content_item — add an item to the calendar. status defaults to
+     * 'idea' and may start at draft or scheduled, never published.
+     */
+    async handlePlanContentItem(args) {
+        const { company_id, title, content_type, status = 'idea', publish_date } = args || {};
+
+        if (!title) {
+            throw new Error('title is required');
+        }
+        assertEnum(content_type, CONTENT_TYPES, 'content_type');
+        assertEnum(status, CONTENT_STATUSES, 'status');
+        if (status === 'published') {
+            throw new Error('Plan the item first and mark it published with advance_content_item');
+        }
+        if (publish_date) {
+            parseIsoDate(publish_date);
+        }
+        this.assertSchedulable(status, publish_date);
+
+        const fields = pickColumns(args, PLAN_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await assertCompanyRef(this.db, 'fictionlab.biz_platforms', fields.platform_id, companyId, 'platform_id');
+
+        const inserted = await insertRow(this.db, 'fictionlab.biz_content_items', {
+            company_id: companyId,
+            ...fields,
+            status
+        });
+        const contentItem = await this.findItem(inserted.id, companyId);
+
+        return { content_item: contentItem, same_day: await this.sameDayItems(companyId, contentItem) };
+    }
+
+    /**
+     * reschedule_content_item — move publish_date, or clear it with null.
+     * Clearing the date of a scheduled item drops it back to draft.
+     * Published items are history and do not move.
+     */
+    async handleRescheduleContentItem(args) {
+        const { company_id, content_item_id, publish_date } = args || {};
+
+        if (!content_item_id || publish_date === undefined) {
+            throw new Error('content_item_id and publish_date are required (null unschedules)');
+        }
+        if (publish_date !== null) {
+            parseIsoDate(publish_date);
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        return this.db.transaction(async (client) => {
+            const locked = await client.query(
+                'SELECT id, status, publish_date::text AS publish_date FROM fictionlab.biz_content_items WHERE id = $1 AND company_id = $2 FOR UPDATE',
+                [content_item_id, companyId]
+            );
+            if (locked.rows.length === 0) {
+                throw new Error(`Content item not found: ${content_item_id}`);
+            }
+            const existing = locked.rows[0];
+            if (existing.status === 'published') {
+                throw new Error(`Content item ${content_item_id} is already published on ${existing.publish_date}; edit it with update_content_item`);
+            }
+
+            const status = publish_date === null && existing.status === 'scheduled' ? 'draft' : existing.status;
+            await client.query(
+                'UPDATE fictionlab.biz_content_items SET publish_date = $3, status = $4 WHERE id = $1 AND company_id = $2',
+                [content_item_id, companyId, publish_date, status]
+            );
+            const contentItem = await this.findItem(content_item_id, companyId, client);
+
+            return {
+                content_item: contentItem,
+                previous_publish_date: existing.publish_date,
+                same_day: await this.sameDayItems(companyId, contentItem)
+            };
+        });
+    }
+
+    /**
+     * advance_content_item — move an item forward through idea -> draft ->
+     * scheduled -> published: one step by default, or straight to
+     * to_status, never backwards (update_content_item can still set any
+     * status). Entering 'scheduled' needs a publish_date (pass one here or
+     * set it first); entering 'published' stamps today when the item has
+     * no date, or published_on when given.
+     */
+    async handleAdvanceContentItem(args) {
+        const { company_id, content_item_id, to_status, publish_date, published_on, external_ref } = args || {};
+
+        if (!content_item_id) {
+            throw new Error('content_item_id is required');
+        }
+        assertEnum(to_status, CONTENT_STATUSES, 'to_status');
+        for (const date of [publish_date, published_on]) {
+            if (date) {
+                parseIsoDate(date);
+            }
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        return this.db.transaction(async (client) => {
+            const locked = await client.query(
+                'SELECT id, status, publish_date::text AS publish_date FROM fictionlab.biz_content_items WHERE id = $1 AND company_id = $2 FOR UPDATE',
+                [content_item_id, companyId]
+            );
+            if (locked.rows.length === 0) {
+                throw new Error(`Content item not found: ${content_item_id}`);
+            }
+            const existing = locked.rows[0];
+
+            const from = CONTENT_STATUSES.indexOf(existing.status);
+            const target = to_status ? CONTENT_STATUSES.indexOf(to_status) : from + 1;
+            if (from === CONTENT_STATUSES.length - 1) {
+                throw new Error(`Content item ${content_item_id} is already published`);
+            }
+            if (target <= from) {
+                throw new Error(
+                    `Cannot advance content item ${content_item_id} from ${existing.status} to ${to_status} -- use update_content_item to move it back`
+                );
+            }
+
+            const status = CONTENT_STATUSES[target];
+            let date = publish_date || existing.publish_date;
+            if (status === 'published') {
+                date = published_on || existing.publish_date || todayIso();
+            }
+            this.assertSchedulable(status, date);
+
+            await client.query(
+                `UPDATE fictionlab.biz_content_items
+                 SET status = $3, publish_date = $4, external_ref = COALESCE($5, external_ref)
+                 WHERE id = $1 AND company_id = $2`,
+                [content_item_id, companyId, status, date || null, external_ref ?? null]
+            );
+
+            return {
+                content_item: await this.findItem(content_item_id, companyId, client),
+                previous_status: existing.status
+            };
+        });
+    }
+
+    /**
+     * get_content_calendar — items with a publish_date in [date_from,
+     * date_to], grouped by platform (items without one under a null
+     * platform group), each group in date order. include_unscheduled adds
+     * the undated idea/draft backlog.
+     */
+    async handleGetContentCalendar(args) {
+        const { company_id, date_from, date_to, platform_id, status, include_unscheduled = false } = args || {};
+
+        if (!date_from || !date_to) {
+            throw new Error('date_from and date_to are required');
+        }
+        const span = daysBetween(date_from, date_to);
+        if (span < 0 || span >= MAX_CALENDAR_DAYS) {
+            throw new Error(`date_from..date_to must span 1-${MAX_CALENDAR_DAYS} days`);
+        }
+        assertEnum(status, CONTENT_STATUSES, 'status');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['c.company_id = $1'];
+        const params = [companyId, date_from, date_to];
+        let i = 4;
+        conditions.push(include_unscheduled
+            ? '(c.publish_date BETWEEN $2 AND $3 OR c.publish_date IS NULL)'
+            : 'c.publish_date BETWEEN $2 AND $3');
+        if (platform_id) {
+            conditions.push(`c.platform_id = $${i++}`);
+            params.push(platform_id);
+        }
+        if (status) {
+            conditions.push(`c.status = $${i++}`);
+            params.push(status);
+        }
+
+        const result = await this.db.query(
+            `${CONTENT_ITEM_SELECT}
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY p.name NULLS LAST, c.publish_date NULLS LAST, c.id`,
+            params
+        );
+
+        const groups = new Map();
+        for (const item of result.rows) {
+            const key = item.platform_id ?? null;
+            if (!groups.has(key)) {
+                groups.set(key, { platform_id: key, platform_name: item.platform_name ?? null, items: [] });
+            }
+            groups.get(key).items.push(item);
+        }
+
+        const statusCounts = Object.fromEntries(CONTENT_STATUSES.map((name) => [name, 0]));
+        for (const item of result.rows) {
+            statusCounts[item.status] = (statusCounts[item.status] || 0) + 1;
+        }
+
+        return {
+            company_id: companyId,
+            date_from,
+            date_to,
+            item_count: result.rows.length,
+            status_counts: statusCounts,
+            platforms: [...groups.values()]
+        };
+    }
+
+    /**
+     * export_content_calendar_ics — scheduled (and optionally published)
+     * items as all-day events, plus open biz_deadlines when
+     * include_deadlines. Recurring deadlines become one event with an
+     * RRULE. UIDs are stable per row, so re-exporting to the same file_path
+     * updates a subscribed calendar in place.
+     */
+    async handleExportContentCalendarIcs(args) {
+        const {
+            company_id,
+            date_from,
+            date_to,
+            include_published = false,
+            include_deadlines = false,
+            file_path
+        } = args || {};
+
+        for (const date of [date_from, date_to]) {
+            if (date) {
+                parseIsoDate(date);
+            }
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const company = await findCompanyRow(this.db, 'fictionlab.biz_companies', companyId, companyId, 'Company', 'id = $2');
+
+        const statuses = include_published ? ['scheduled', 'published'] : ['scheduled'];
+        const items = await this.db.query(
+            `${CONTENT_ITEM_SELECT}
+             WHERE c.company_id = $1 AND c.status = ANY($2::text[]) AND c.publish_date IS NOT NULL
+               AND ($3::date IS NULL OR c.publish_date >= $3::date)
+               AND ($4::date IS NULL OR c.publish_date <= $4::date)
+             ORDER BY c.publish_date, c.id`,
+            [companyId, statuses, date_from || null, date_to || null]
+        );
+
+        const events = items.rows.map((item) => ({
+            uid: `biz-content-item-${item.id}@fictionlab`,
+            date: item.publish_date,
+            summary: item.platform_name ? `[${item.platform_name}] ${item.title}` : item.title,
+            description: [
+                `Status: ${item.status}`,
+                `Type: ${item.content_type}`,
+                item.book_ref ? `Book: ${item.book_ref}` : null,
+                item.notes
+            ].filter(Boolean).join('\n'),
+            categories: ['Content', item.content_type],
+            url: /^https?:\/\//.test(item.external_ref || '') ? item.external_ref : null
+        }));
+
+        let deadlineCount = 0;
+        if (include_deadlines) {
+            // Recurring deadlines are exported from their current due date
+            // with an RRULE, so they are kept even when due after date_to.
+            const deadlines = await this.db.query(
+                `SELECT id, title, due_date::text AS due_date, recurrence, category, notes
+                 FROM fictionlab.biz_deadlines
+                 WHERE company_id = $1 AND done_at IS NULL
+                   AND ($2::date IS NULL OR due_date >= $2::date OR recurrence <> 'none')
+                   AND ($3::date IS NULL OR due_date <= $3::date)
+                 ORDER BY due_date, id`,
+                [companyId, date_from || null, date_to || null]
+            );
+            deadlineCount = deadlines.rows.length;
+            for (const deadline of deadlines.rows) {
+                events.push({
+                    uid: `biz-deadline-${deadline.id}@fictionlab`,
+                    date: deadline.due_date,
+                    summary: `Due: ${deadline.title}`,
+                    description: deadline.notes,
+                    categories: ['Deadline', deadline.category],
+                    rrule: recurrenceRule(deadline.recurrence)
+                });
+            }
+        }
+
+        const ics = buildCalendar({ name: `${company.name} content calendar`, events });
+
+        if (file_path) {
+            await writeFile(file_path, ics, 'utf8');
+        }
+
+        return {
+            company_id: companyId,
+            content_item_count: items.rows.length,
+            deadline_count: deadlineCount,
+            file_path: file_path || null,
+            ...(file_path ? {} : { ics })
+        };
+    }
+}
@@ -0,0 +1,206 @@
+// src/mcps/business-server/handlers/company-handlers.js
+// Company identity + contacts: list/create/update/close_company and
+// contact CRUD. Companies are never deleted -- closing one is a status
+// change (status='closed' + closed_on) so its history survives alongside
+// any successor company (migration 048, S15 §0b).
+
+import {
+    CONTACT_TYPES,
+    resolveCompanyId,
+    assertEnum,
+    pickColumns,
+    insertRow,
+    updateRow,
+    deleteRow
+} from './biz-helpers.js';
+
+const CONTACT_COLUMNS = ['name', 'contact_type', 'company', 'email', 'phone', 'tags', 'notes'];
+
+export class CompanyHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * list_companies — every company, active first. include_closed defaults
+     * to true: closed companies are history, not garbage.
+     */
+    async handleListCompanies(args) {
+        const { include_closed = true } = args || {};
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_companies
+             ${include_closed ? '' : "WHERE status = 'active'"}
+             ORDER BY (status = 'active') DESC, name`
+        );
+
+        return { companies: result.rows };
+    }
+
+    /**
+     * create_company — a new company identity (e.g. a successor entity).
+     */
+    async handleCreateCompany(args) {
+        const { name, legal_name, notes } = args || {};
+
+        if (!name) {
+            throw new Error('name is required');
+        }
+
+        const existing = await this.db.query('SELECT id FROM fictionlab.biz_companies WHERE name = $1', [name]);
+        if (existing.rows.length > 0) {
+            throw new Error(`Company already exists: ${name} (id ${existing.rows[0].id})`);
+        }
+
+        const company = await insertRow(this.db, 'fictionlab.biz_companies', {
+            name,
+            legal_name: legal_name || null,
+            notes: notes || null
+        });
+
+        return { company };
+    }
+
+    /**
+     * update_company — partial patch of name/legal_name/notes. Status only
+     * changes through close_company.
+     */
+    async handleUpdateCompany(args) {
+        const { company_id } = args || {};
+
+        if (!company_id) {
+            throw new Error('company_id is required');
+        }
+
+        const patch = pickColumns(args, ['name', 'legal_name', 'notes']);
+        const company = await updateRow(this.db, 'fictionlab.biz_companies', {
+            id: company_id,
+            companyId: company_id,
+            patch,
+            label: 'Company',
+            scopeClause: 'id = $2'
+        });
+
+        return { company };
+    }
+
+    /**
+     * close_company — status='closed' + closed_on (default today). Never a
+     * delete; every biz_* row stays attached for export/hand-off
+     * (export_company_bundle).
+     */
+    async handleCloseCompany(args) {
+        const { company_id, closed_on } = args || {};
+
+        if (!company_id) {
+            throw new Error('company_id is required');
+        }
+
+        const result = await this.db.query(
+            `UPDATE fictionlab.biz_companies
+                SET status = 'closed', closed_on = COALESCE($2::date, CURRENT_DATE)
+              WHERE id = $1
+              RETURNING *`,
+            [company_id, closed_on || null]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error(`Company not found: ${company_id}`);
+        }
+
+        return { company: result.rows[0] };
+    }
+
+    /**
+     * list_contacts — filters: contact_type, tag, q (name/company/email ILIKE).
+     */
+    async handleListContacts(args) {
+        const { company_id, contact_type, tag, q } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (contact_type) {
+            assertEnum(contact_type, CONTACT_TYPES, 'contact_type');
+            conditions.push(`contact_type = $${i++}`);
+            params.push(contact_type);
+        }
+        if (tag) {
+            conditions.push(`$${i++} = ANY(tags)`);
+            params.push(tag);
+        }
+        if (q) {
+            conditions.push(`(name ILIKE '%' || $${i} || '%' OR company ILIKE '%' || $${i} || '%' OR email ILIKE '%' || $${i} || '%')`);
+            params.push(q);
+            i++;
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_contacts
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY name`,
+            params
+        );
+
+        return { company_id: companyId, contacts: result.rows };
+    }
+
+    async handleCreateContact(args) {
+        const { company_id, name, contact_type } = args || {};
+
+        if (!name) {
+            throw new Error('name is required');
+        }
+        assertEnum(contact_type, CONTACT_TYPES, 'contact_type');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const contact = await insertRow(this.db, 'fictionlab.biz_contacts', {
+            company_id: companyId,
+            ...pickColumns(args, CONTACT_COLUMNS)
+        });
+
+        return { contact };
+    }
+
+    async handleUpdateContact(args) {
+        const { company_id, contact_id, contact_type } = args || {};
+
+        if (!contact_id) {
+            throw new Error('contact_id is required');
+        }
+        assertEnum(contact_type, CONTACT_TYPES, 'contact_type');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const contact = await updateRow(this.db, 'fictionlab.biz_contacts', {
+            id: contact_id,
+            companyId,
+            patch: pickColumns(args, CONTACT_COLUMNS),
+            label: 'Contact'
+        });
+
+        return { contact };
+    }
+
+    /**
+     * delete_contact — hard delete. Transactions/subscriptions/debts that
+     * pointed at it keep their rows (FKs are ON DELETE SET NULL).
+     */
+    async handleDeleteContact(args) {
+        const { company_id, contact_id } = args || {};
+
+        if (!contact_id) {
+            throw new Error('contact_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const contact = await deleteRow(this.db, 'fictionlab.biz_contacts', {
+            id: contact_id,
+            companyId,
+            label: 'Contact'
+        });
+
+        return { deleted: true, contact };
+    }
+}
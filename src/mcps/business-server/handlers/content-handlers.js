@@ -0,0 +1,390 @@
+// src/mcps/business-server/handlers/content-handlers.js
+// Content Manager tables (migration 053): platforms, content items, asset
+// pointers and the KPI time series. biz_kpis has no company_id column --
+// it is company-scoped transitively through platform_id (S15 §0b), so every
+// KPI query goes through biz_platforms.
+
+import {
+    PLATFORM_TYPES,
+    CONTENT_TYPES,
+    CONTENT_STATUSES,
+    ASSET_TYPES,
+    resolveCompanyId,
+    assertEnum,
+    assertCompanyRef,
+    pickColumns,
+    findCompanyRow,
+    insertRow,
+    updateRow,
+    deleteRow
+} from './biz-helpers.js';
+import { TRANSACTION_SCOPE } from './finance-handlers.js';
+
+const PLATFORM_COLUMNS = ['name', 'platform_type', 'handle_or_url', 'notes'];
+const CONTENT_ITEM_COLUMNS = [
+    'title', 'content_type', 'platform_id', 'status', 'publish_date', 'book_ref', 'external_ref', 'notes'
+];
+const ASSET_COLUMNS = [
+    'title', 'asset_type', 'path_or_url', 'content_item_id', 'transaction_id', 'platform_id', 'tags', 'notes'
+];
+
+export class ContentHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async validateRefs(fields, companyId) {
+        await assertCompanyRef(this.db, 'fictionlab.biz_platforms', fields.platform_id, companyId, 'platform_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_content_items', fields.content_item_id, companyId, 'content_item_id');
+        if (fields.transaction_id !== undefined && fields.transaction_id !== null) {
+            await findCompanyRow(
+                this.db, 'fictionlab.biz_transactions', fields.transaction_id, companyId, 'Transaction', TRANSACTION_SCOPE
+            );
+        }
+    }
+
+    async handleListPlatforms(args) {
+        const { company_id, platform_type } = args || {};
+        assertEnum(platform_type, PLATFORM_TYPES, 'platform_type');
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const params = [companyId];
+        let typeFilter = '';
+        if (platform_type) {
+            typeFilter = 'AND platform_type = $2';
+            params.push(platform_type);
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_platforms
+             WHERE company_id = $1 ${typeFilter}
+             ORDER BY name`,
+            params
+        );
+
+        return { company_id: companyId, platforms: result.rows };
+    }
+
+    /**
+     * create_platform — name is UNIQUE per company (not globally).
+     */
+    async handleCreatePlatform(args) {
+        const { company_id, name, platform_type } = args || {};
+
+        if (!name) {
+            throw new Error('name is required');
+        }
+        assertEnum(platform_type, PLATFORM_TYPES, 'platform_type');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const existing = await this.db.query(
+            'SELECT id FROM fictionlab.biz_platforms WHERE company_id = $1 AND name = $2',
+            [companyId, name]
+        );
+        if (existing.rows.length > 0) {
+            throw new Error(`Platform already exists for company ${companyId}: ${name} (id ${existing.rows[0].id})`);
+        }
+
+        const platform = await insertRow(this.db, 'fictionlab.biz_platforms', {
+            company_id: companyId,
+            ...pickColumns(args, PLATFORM_COLUMNS)
+        });
+
+        return { platform };
+    }
+
+    async handleUpdatePlatform(args) {
+        const { company_id, platform_id, platform_type } = args || {};
+
+        if (!platform_id) {
+            throw new Error('platform_id is required');
+        }
+        assertEnum(platform_type, PLATFORM_TYPES, 'platform_type');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const platform = await updateRow(this.db, 'fictionlab.biz_platforms', {
+            id: platform_id,
+            companyId,
+            patch: pickColumns(args, PLATFORM_COLUMNS),
+            label: 'Platform'
+        });
+
+        return { platform };
+    }
+
+    /**
+     * list_content_items — filters: status, content_type, platform_id,
+     * date_from/date_to on publish_date.
+     */
+    async handleListContentItems(args) {
+        const { company_id, status, content_type, platform_id, date_from, date_to } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['c.company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (status) {
+            assertEnum(status, CONTENT_STATUSES, 'status');
+            conditions.push(`c.status = $${i++}`);
+            params.push(status);
+        }
+        if (content_type) {
+            assertEnum(content_type, CONTENT_TYPES, 'content_type');
+            conditions.push(`c.content_type = $${i++}`);
+            params.push(content_type);
+        }
+        if (platform_id) {
+            conditions.push(`c.platform_id = $${i++}`);
+            params.push(platform_id);
+        }
+        if (date_from) {
+            conditions.push(`c.publish_date >= $${i++}`);
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push(`c.publish_date <= $${i++}`);
+            params.push(date_to);
+        }
+
+        const result = await this.db.query(
+            `SELECT c.*, p.name AS platform_name
+             FROM fictionlab.biz_content_items c
+             LEFT JOIN fictionlab.biz_platforms p ON p.id = c.platform_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY c.publish_date NULLS LAST, c.id`,
+            params
+        );
+
+        return { company_id: companyId, content_items: result.rows };
+    }
+
+    async handleCreateContentItem(args) {
+        const { company_id, title, content_type, status } = args || {};
+
+        if (!title) {
+            throw new Error('title is required');
+        }
+        assertEnum(content_type, CONTENT_TYPES, 'content_type');
+        assertEnum(status, CONTENT_STATUSES, 'status');
+
+        const fields = pickColumns(args, CONTENT_ITEM_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const contentItem = await insertRow(this.db, 'fictionlab.biz_content_items', {
+            company_id: companyId,
+            ...fields
+        });
+
+        return { content_item: contentItem };
+    }
+
+    async handleUpdateContentItem(args) {
+        const { company_id, content_item_id, content_type, status } = args || {};
+
+        if (!content_item_id) {
+            throw new Error('content_item_id is required');
+        }
+        assertEnum(content_type, CONTENT_TYPES, 'content_type');
+        assertEnum(status, CONTENT_STATUSES, 'status');
+
+        const fields = pickColumns(args, CONTENT_ITEM_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const contentItem = await updateRow(this.db, 'fictionlab.biz_content_items', {
+            id: content_item_id,
+            companyId,
+            patch: fields,
+            label: 'Content item'
+        });
+
+        return { content_item: contentItem };
+    }
+
+    async handleDeleteContentItem(args) {
+        const { company_id, content_item_id } = args || {};
+
+        if (!content_item_id) {
+            throw new Error('content_item_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const contentItem = await deleteRow(this.db, 'fictionlab.biz_content_items', {
+            id: content_item_id,
+            companyId,
+            label: 'Content item'
+        });
+
+        return { deleted: true, content_item: contentItem };
+    }
+
+    /**
+     * list_assets — filters: asset_type, content_item_id, platform_id, tag.
+     */
+    async handleListAssets(args) {
+        const { company_id, asset_type, content_item_id, platform_id, tag } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (asset_type) {
+            assertEnum(asset_type, ASSET_TYPES, 'asset_type');
+            conditions.push(`asset_type = $${i++}`);
+            params.push(asset_type);
+        }
+        if (content_item_id) {
+            conditions.push(`content_item_id = $${i++}`);
+            params.push(content_item_id);
+        }
+        if (platform_id) {
+            conditions.push(`platform_id = $${i++}`);
+            params.push(platform_id);
+        }
+        if (tag) {
+            conditions.push(`$${i++} = ANY(tags)`);
+            params.push(tag);
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_assets
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY created_at DESC, id DESC`,
+            params
+        );
+
+        return { company_id: companyId, assets: result.rows };
+    }
+
+    /**
+     * create_asset — a pointer (path_or_url) to a file produced elsewhere,
+     * never a second copy of binary storage.
+     */
+    async handleCreateAsset(args) {
+        const { company_id, title, path_or_url, asset_type } = args || {};
+
+        if (!title || !path_or_url) {
+            throw new Error('title and path_or_url are required');
+        }
+        assertEnum(asset_type, ASSET_TYPES, 'asset_type');
+
+        const fields = pickColumns(args, ASSET_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const asset = await insertRow(this.db, 'fictionlab.biz_assets', {
+            company_id: companyId,
+            ...fields
+        });
+
+        return { asset };
+    }
+
+    async handleUpdateAsset(args) {
+        const { company_id, asset_id, asset_type } = args || {};
+
+        if (!asset_id) {
+            throw new Error('asset_id is required');
+        }
+        assertEnum(asset_type, ASSET_TYPES, 'asset_type');
+
+        const fields = pickColumns(args, ASSET_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const asset = await updateRow(this.db, 'fictionlab.biz_assets', {
+            id: asset_id,
+            companyId,
+            patch: fields,
+            label: 'Asset'
+        });
+
+        return { asset };
+    }
+
+    async handleDeleteAsset(args) {
+        const { company_id, asset_id } = args || {};
+
+        if (!asset_id) {
+            throw new Error('asset_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const asset = await deleteRow(this.db, 'fictionlab.biz_assets', {
+            id: asset_id,
+            companyId,
+            label: 'Asset'
+        });
+
+        return { deleted: true, asset };
+    }
+
+    /**
+     * record_kpi — upsert one (platform_id, metric_name, metric_date) point;
+     * re-recording the same day overwrites value/notes.
+     */
+    async handleRecordKpi(args) {
+        const { company_id, platform_id, metric_name, metric_date, value, notes } = args || {};
+
+        if (!platform_id || !metric_name || !metric_date || value === undefined) {
+            throw new Error('platform_id, metric_name, metric_date, and value are required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await assertCompanyRef(this.db, 'fictionlab.biz_platforms', platform_id, companyId, 'platform_id');
+
+        const result = await this.db.query(
+            `INSERT INTO fictionlab.biz_kpis (platform_id, metric_name, metric_date, value, notes)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (platform_id, metric_name, metric_date)
+             DO UPDATE SET value = EXCLUDED.value, notes = COALESCE(EXCLUDED.notes, fictionlab.biz_kpis.notes)
+             RETURNING *`,
+            [platform_id, metric_name, metric_date, value, notes || null]
+        );
+
+        return { kpi: result.rows[0] };
+    }
+
+    /**
+     * list_kpis — filters: platform_id, metric_name, date_from/date_to.
+     */
+    async handleListKpis(args) {
+        const { company_id, platform_id, metric_name, date_from, date_to } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['p.company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (platform_id) {
+            conditions.push(`k.platform_id = $${i++}`);
+            params.push(platform_id);
+        }
+        if (metric_name) {
+            conditions.push(`k.metric_name = $${i++}`);
+            params.push(metric_name);
+        }
+        if (date_from) {
+            conditions.push(`k.metric_date >= $${i++}`);
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push(`k.metric_date <= $${i++}`);
+            params.push(date_to);
+        }
+
+        const result = await this.db.query(
+            `SELECT k.*, p.name AS platform_name
+             FROM fictionlab.biz_kpis k
+             JOIN fictionlab.biz_platforms p ON p.id = k.platform_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY k.metric_date DESC, p.name, k.metric_name`,
+            params
+        );
+
+        return { company_id: companyId, kpis: result.rows };
+    }
+}
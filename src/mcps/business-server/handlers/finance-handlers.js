@@ -0,0 +1,551 @@
+// src/mcps/business-server/handlers/finance-handlers.js
+// Accounts, transactions and the read-only reporting views
+// (biz_v_cash_position, biz_v_monthly_category_totals, biz_v_book_pnl).
+// biz_transactions has no company_id column of its own -- it is scoped
+// transitively through its account, so every transaction query joins or
+// sub-selects biz_accounts on company_id.
+//
+// Transfers (migration 056) are two rows written together by
+// create_transfer: an out leg on the source account carrying to_account_id
+// and an in leg on the destination, linked both ways by transfer_pair_id.
+// The generic transaction tools never create or re-point a leg, so the two
+// halves cannot drift apart.
+
+import {
+    ACCOUNT_TYPES,
+    TRANSACTION_DIRECTIONS,
+    resolveCompanyId,
+    assertEnum,
+    assertCompanyRef,
+    pickColumns,
+    findCompanyRow,
+    insertRow,
+    updateRow,
+    deleteRow
+} from './biz-helpers.js';
+
+const ACCOUNT_COLUMNS = [
+    'name', 'account_type', 'institution', 'currency', 'opening_balance',
+    'credit_limit', 'apr', 'statement_day', 'is_archived', 'notes'
+];
+const CARD_ONLY_COLUMNS = ['credit_limit', 'apr', 'statement_day'];
+const TRANSACTION_COLUMNS = [
+    'account_id', 'occurred_on', 'amount', 'direction', 'category',
+    'vendor_contact_id', 'book_ref', 'subscription_id', 'debt_id', 'description'
+];
+
+// Columns a transfer leg must keep in step with its pair.
+const TRANSFER_LOCKED_COLUMNS = ['account_id', 'occurred_on', 'amount', 'direction'];
+
+export const TRANSACTION_SCOPE = 'account_id IN (SELECT id FROM fictionlab.biz_accounts WHERE company_id = $2)';
+
+export class FinanceHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Card-only columns (credit_limit/apr/statement_day) stay NULL on
+     * non-card accounts -- migration 048 folds "Credit Cards" into
+     * biz_accounts rather than a parallel table, so this is the only place
+     * that distinction is enforced.
+     */
+    validateAccountFields(fields, accountType) {
+        assertEnum(fields.account_type, ACCOUNT_TYPES, 'account_type');
+
+        if (accountType !== 'credit_card') {
+            const cardFields = CARD_ONLY_COLUMNS.filter((column) => fields[column] !== undefined && fields[column] !== null);
+            if (cardFields.length > 0) {
+                throw new Error(`${cardFields.join(', ')} only apply to account_type 'credit_card'`);
+            }
+        }
+
+        if (fields.statement_day !== undefined && fields.statement_day !== null
+            && (fields.statement_day < 1 || fields.statement_day > 28)) {
+            throw new Error(`Invalid statement_day: ${fields.statement_day} (expected 1-28)`);
+        }
+    }
+
+    validateTransactionFields(fields) {
+        assertEnum(fields.direction, TRANSACTION_DIRECTIONS, 'direction');
+
+        if (fields.amount !== undefined && !(Number(fields.amount) > 0)) {
+            throw new Error(`Invalid amount: ${fields.amount} (amounts are positive; sign comes from direction)`);
+        }
+    }
+
+    /**
+     * list_accounts — include_archived defaults to false.
+     */
+    async handleListAccounts(args) {
+        const { company_id, account_type, include_archived = false } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['company_id = $1'];
+        const params = [companyId];
+
+        if (account_type) {
+            assertEnum(account_type, ACCOUNT_TYPES, 'account_type');
+            conditions.push('account_type = $2');
+            params.push(account_type);
+        }
+        if (!include_archived) {
+            conditions.push('is_archived = FALSE');
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_accounts
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY name`,
+            params
+        );
+
+        return { company_id: companyId, accounts: result.rows };
+    }
+
+    async handleCreateAccount(args) {
+        const { company_id, name, account_type = 'checking' } = args || {};
+
+        if (!name) {
+            throw new Error('name is required');
+        }
+
+        const fields = pickColumns(args, ACCOUNT_COLUMNS);
+        this.validateAccountFields(fields, account_type);
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const account = await insertRow(this.db, 'fictionlab.biz_accounts', {
+            company_id: companyId,
+            ...fields
+        });
+
+        return { account };
+    }
+
+    /**
+     * update_account — partial patch. Archive an account with
+     * is_archived:true (it drops out of biz_v_cash_position); accounts are
+     * not deleted here because that would cascade away their transactions.
+     */
+    async handleUpdateAccount(args) {
+        const { company_id, account_id } = args || {};
+
+        if (!account_id) {
+            throw new Error('account_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const existing = await findCompanyRow(this.db, 'fictionlab.biz_accounts', account_id, companyId, 'Account');
+
+        const patch = pickColumns(args, ACCOUNT_COLUMNS);
+        // Validate against the row as it will look AFTER the patch, so moving
+        // a card to account_type 'checking' must also clear its card fields.
+        this.validateAccountFields({ ...existing, ...patch }, patch.account_type || existing.account_type);
+
+        const account = await updateRow(this.db, 'fictionlab.biz_accounts', {
+            id: account_id,
+            companyId,
+            patch,
+            label: 'Account'
+        });
+
+        return { account };
+    }
+
+    /**
+     * list_transactions — filters: account_id, direction, category, book_ref,
+     * vendor_contact_id, date_from/date_to (inclusive), limit.
+     */
+    async handleListTransactions(args) {
+        const {
+            company_id,
+            account_id,
+            direction,
+            category,
+            book_ref,
+            vendor_contact_id,
+            debt_id,
+            date_from,
+            date_to,
+            limit = 200
+        } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['a.company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (account_id) {
+            conditions.push(`t.account_id = $${i++}`);
+            params.push(account_id);
+        }
+        if (direction) {
+            assertEnum(direction, TRANSACTION_DIRECTIONS, 'direction');
+            conditions.push(`t.direction = $${i++}`);
+            params.push(direction);
+        }
+        if (category) {
+            conditions.push(`t.category = $${i++}`);
+            params.push(category);
+        }
+        if (book_ref) {
+            conditions.push(`t.book_ref = $${i++}`);
+            params.push(book_ref);
+        }
+        if (vendor_contact_id) {
+            conditions.push(`t.vendor_contact_id = $${i++}`);
+            params.push(vendor_contact_id);
+        }
+        if (debt_id) {
+            conditions.push(`t.debt_id = $${i++}`);
+            params.push(debt_id);
+        }
+        if (date_from) {
+            conditions.push(`t.occurred_on >= $${i++}`);
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push(`t.occurred_on <= $${i++}`);
+            params.push(date_to);
+        }
+
+        params.push(limit);
+
+        const result = await this.db.query(
+            `SELECT t.*, a.name AS account_name, ta.name AS to_account_name
+             FROM fictionlab.biz_transactions t
+             JOIN fictionlab.biz_accounts a ON a.id = t.account_id
+             LEFT JOIN fictionlab.biz_accounts ta ON ta.id = t.to_account_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY t.occurred_on DESC, t.id DESC
+             LIMIT $${i}`,
+            params
+        );
+
+        return { company_id: companyId, transactions: result.rows };
+    }
+
+    /**
+     * create_transaction — the manual quick-add fallback (statement import is
+     * the system of record, §5b pillar 1). amount is always positive.
+     * Transfers go through create_transfer so both legs exist.
+     */
+    async handleCreateTransaction(args) {
+        const { company_id, account_id, occurred_on, amount, direction } = args || {};
+
+        if (!account_id || !occurred_on || amount === undefined || !direction) {
+            throw new Error('account_id, occurred_on, amount, and direction are required');
+        }
+        if (direction === 'transfer') {
+            throw new Error('Use create_transfer to record a transfer (it writes both legs)');
+        }
+
+        const fields = pickColumns(args, TRANSACTION_COLUMNS);
+        this.validateTransactionFields(fields);
+        this.assertDebtPaymentDirection(fields.debt_id, direction);
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateTransactionRefs(fields, companyId);
+
+        const transaction = await insertRow(this.db, 'fictionlab.biz_transactions', fields);
+
+        return { transaction };
+    }
+
+    /**
+     * update_transaction — partial patch. A transfer leg only accepts
+     * descriptive changes (category, description, ...); moving its account,
+     * date, amount or direction would unbalance it against its pair, so
+     * delete and re-create the transfer instead.
+     */
+    async handleUpdateTransaction(args) {
+        const { company_id, transaction_id } = args || {};
+
+        if (!transaction_id) {
+            throw new Error('transaction_id is required');
+        }
+
+        const fields = pickColumns(args, TRANSACTION_COLUMNS);
+        this.validateTransactionFields(fields);
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const existing = await findCompanyRow(
+            this.db, 'fictionlab.biz_transactions', transaction_id, companyId, 'Transaction', TRANSACTION_SCOPE
+        );
+
+        if (existing.transfer_pair_id || existing.to_account_id) {
+            const locked = TRANSFER_LOCKED_COLUMNS.filter((column) => fields[column] !== undefined);
+            if (locked.length > 0) {
+                throw new Error(
+                    `Transaction ${transaction_id} is a transfer leg; ${locked.join(', ')} cannot change -- delete the transfer and create it again`
+                );
+            }
+        } else if (fields.direction === 'transfer') {
+            throw new Error('Use create_transfer to record a transfer (it writes both legs)');
+        }
+        this.assertDebtPaymentDirection(
+            fields.debt_id === undefined ? existing.debt_id : fields.debt_id,
+            fields.direction || existing.direction
+        );
+
+        await this.validateTransactionRefs(fields, companyId);
+
+        const transaction = await updateRow(this.db, 'fictionlab.biz_transactions', {
+            id: transaction_id,
+            companyId,
+            patch: fields,
+            label: 'Transaction',
+            scopeClause: TRANSACTION_SCOPE
+        });
+
+        return { transaction };
+    }
+
+    /**
+     * delete_transaction — deleting either leg of a transfer deletes both.
+     */
+    async handleDeleteTransaction(args) {
+        const { company_id, transaction_id } = args || {};
+
+        if (!transaction_id) {
+            throw new Error('transaction_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        return this.db.transaction(async (client) => {
+            const transaction = await deleteRow(client, 'fictionlab.biz_transactions', {
+                id: transaction_id,
+                companyId,
+                label: 'Transaction',
+                scopeClause: TRANSACTION_SCOPE
+            });
+
+            let pairedTransaction = null;
+            if (transaction.transfer_pair_id) {
+                const paired = await client.query(
+                    'DELETE FROM fictionlab.biz_transactions WHERE id = $1 RETURNING *',
+                    [transaction.transfer_pair_id]
+                );
+                pairedTransaction = paired.rows[0] || null;
+            }
+
+            return { deleted: true, transaction, paired_transaction: pairedTransaction };
+        });
+    }
+
+    /**
+     * create_transfer — move money between two of the company's own
+     * accounts. Writes the out leg (source, to_account_id = destination)
+     * and the in leg (destination) in one transaction and links them via
+     * transfer_pair_id; biz_v_cash_position debits one and credits the
+     * other, while the P&L views ignore both.
+     */
+    async handleCreateTransfer(args) {
+        const {
+            company_id,
+            from_account_id,
+            to_account_id,
+            occurred_on,
+            amount,
+            category,
+            description
+        } = args || {};
+
+        if (!from_account_id || !to_account_id || !occurred_on || amount === undefined) {
+            throw new Error('from_account_id, to_account_id, occurred_on, and amount are required');
+        }
+        if (from_account_id === to_account_id) {
+            throw new Error('from_account_id and to_account_id must be different accounts');
+        }
+        this.validateTransactionFields({ amount });
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const fromAccount = await findCompanyRow(this.db, 'fictionlab.biz_accounts', from_account_id, companyId, 'Account');
+        const toAccount = await findCompanyRow(this.db, 'fictionlab.biz_accounts', to_account_id, companyId, 'Account');
+
+        for (const account of [fromAccount, toAccount]) {
+            if (account.is_archived) {
+                throw new Error(`Account ${account.id} (${account.name}) is archived`);
+            }
+        }
+        if (fromAccount.currency !== toAccount.currency) {
+            throw new Error(
+                `Cannot transfer between ${fromAccount.currency} and ${toAccount.currency} accounts -- record the conversion as income/expense instead`
+            );
+        }
+
+        return this.db.transaction(async (client) => {
+            const leg = { occurred_on, amount, direction: 'transfer', category: category || null };
+
+            const outLeg = await insertRow(client, 'fictionlab.biz_transactions', {
+                ...leg,
+                account_id: from_account_id,
+                to_account_id,
+                description: description || `Transfer to ${toAccount.name}`
+            });
+            const inLeg = await insertRow(client, 'fictionlab.biz_transactions', {
+                ...leg,
+                account_id: to_account_id,
+                transfer_pair_id: outLeg.id,
+                description: description || `Transfer from ${fromAccount.name}`
+            });
+            const linked = await client.query(
+                'UPDATE fictionlab.biz_transactions SET transfer_pair_id = $2 WHERE id = $1 RETURNING *',
+                [outLeg.id, inLeg.id]
+            );
+
+            return {
+                transfer: {
+                    from_account_id,
+                    to_account_id,
+                    occurred_on,
+                    amount,
+                    out_leg: linked.rows[0],
+                    in_leg: inLeg
+                }
+            };
+        });
+    }
+
+    /**
+     * list_transfers — one row per transfer (its out leg), with both
+     * account names. account_id matches either side.
+     */
+    async handleListTransfers(args) {
+        const { company_id, account_id, date_from, date_to, limit = 200 } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['fa.company_id = $1', "t.direction = 'transfer'", 't.to_account_id IS NOT NULL'];
+        const params = [companyId];
+        let i = 2;
+
+        if (account_id) {
+            conditions.push(`(t.account_id = $${i} OR t.to_account_id = $${i})`);
+            i++;
+            params.push(account_id);
+        }
+        if (date_from) {
+            conditions.push(`t.occurred_on >= $${i++}`);
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push(`t.occurred_on <= $${i++}`);
+            params.push(date_to);
+        }
+
+        params.push(limit);
+
+        const result = await this.db.query(
+            `SELECT t.id AS out_leg_id, t.transfer_pair_id AS in_leg_id, t.occurred_on, t.amount,
+                    t.account_id AS from_account_id, fa.name AS from_account_name,
+                    t.to_account_id, ta.name AS to_account_name,
+                    t.category, t.description
+             FROM fictionlab.biz_transactions t
+             JOIN fictionlab.biz_accounts fa ON fa.id = t.account_id
+             JOIN fictionlab.biz_accounts ta ON ta.id = t.to_account_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY t.occurred_on DESC, t.id DESC
+             LIMIT $${i}`,
+            params
+        );
+
+        return { company_id: companyId, transfers: result.rows };
+    }
+
+    async validateTransactionRefs(fields, companyId) {
+        await assertCompanyRef(this.db, 'fictionlab.biz_accounts', fields.account_id, companyId, 'account_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_contacts', fields.vendor_contact_id, companyId, 'vendor_contact_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_subscriptions', fields.subscription_id, companyId, 'subscription_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_debts', fields.debt_id, companyId, 'debt_id');
+    }
+
+    /**
+     * debt_id marks an expense as a payment on that debt; the migration 057
+     * trigger then moves the debt's balance. Nothing else may carry it.
+     */
+    assertDebtPaymentDirection(debtId, direction) {
+        if (debtId && direction !== 'expense') {
+            throw new Error(`debt_id only applies to expense transactions (this one is ${direction})`);
+        }
+    }
+
+    /**
+     * get_cash_position — biz_v_cash_position rows for the company plus a
+     * total across its active accounts.
+     */
+    async handleGetCashPosition(args) {
+        const { company_id } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_v_cash_position
+             WHERE company_id = $1
+             ORDER BY account_name`,
+            [companyId]
+        );
+
+        const total = result.rows.reduce((sum, row) => sum + Number(row.current_balance), 0);
+
+        return {
+            company_id: companyId,
+            accounts: result.rows,
+            total_balance: Math.round(total * 100) / 100
+        };
+    }
+
+    /**
+     * get_category_totals — biz_v_monthly_category_totals, optionally bounded
+     * by month_from/month_to (any date inside the month works).
+     */
+    async handleGetCategoryTotals(args) {
+        const { company_id, month_from, month_to } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (month_from) {
+            conditions.push(`month >= date_trunc('month', $${i++}::date)`);
+            params.push(month_from);
+        }
+        if (month_to) {
+            conditions.push(`month <= date_trunc('month', $${i++}::date)`);
+            params.push(month_to);
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_v_monthly_category_totals
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY month DESC, category NULLS LAST`,
+            params
+        );
+
+        return { company_id: companyId, totals: result.rows };
+    }
+
+    /**
+     * get_book_pnl — biz_v_book_pnl, optionally narrowed to one book_ref.
+     */
+    async handleGetBookPnl(args) {
+        const { company_id, book_ref } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const params = [companyId];
+        let bookFilter = '';
+        if (book_ref) {
+            bookFilter = 'AND book_ref = $2';
+            params.push(book_ref);
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_v_book_pnl
+             WHERE company_id = $1 ${bookFilter}
+             ORDER BY net DESC`,
+            params
+        );
+
+        return { company_id: companyId, books: result.rows };
+    }
+}
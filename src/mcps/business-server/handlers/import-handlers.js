@@ -0,0 +1,217 @@
+// src/mcps/business-server/handlers/import-handlers.js
+// Statement CSV import (S15 §5b pillar 1) -- the system of record for
+// biz_transactions. Each account keeps one column-mapping profile
+// (biz_import_profiles, migration 054); an import maps every CSV row
+// through it and skips rows already on file under the migration 050 dedupe
+// key (account_id, occurred_on, amount, normalized_description), so
+// re-importing the same monthly statement is a no-op.
+
+import { readFile } from 'node:fs/promises';
+import {
+    resolveCompanyId,
+    assertEnum,
+    pickColumns,
+    findCompanyRow,
+    insertRow
+} from './biz-helpers.js';
+import {
+    DATE_FORMATS,
+    AMOUNT_SIGNS,
+    readCsvTable,
+    profileColumns,
+    mapStatementRecord,
+    dedupeKey
+} from '../utils/statement-csv.js';
+
+const PROFILE_COLUMNS = [
+    'date_column', 'date_format', 'description_column', 'amount_column', 'amount_sign',
+    'debit_column', 'credit_column', 'category_column', 'default_category', 'delimiter',
+    'skip_rows', 'notes'
+];
+
+export class ImportHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findProfile(accountId) {
+        const result = await this.db.query(
+            'SELECT * FROM fictionlab.biz_import_profiles WHERE account_id = $1',
+            [accountId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Mirrors the biz_import_profiles_amount_shape CHECK so a bad profile
+     * fails with a readable message instead of a constraint name.
+     */
+    validateProfile(profile) {
+        assertEnum(profile.date_format, DATE_FORMATS, 'date_format');
+        assertEnum(profile.amount_sign, AMOUNT_SIGNS, 'amount_sign');
+
+        if (!profile.date_column || !profile.description_column) {
+            throw new Error('date_column and description_column are required');
+        }
+
+        const split = profile.debit_column || profile.credit_column;
+        if (profile.amount_column && split) {
+            throw new Error('Use either amount_column or debit_column + credit_column, not both');
+        }
+        if (!profile.amount_column && !(profile.debit_column && profile.credit_column)) {
+            throw new Error('A profile needs amount_column, or both debit_column and credit_column');
+        }
+        if (profile.delimiter !== undefined && profile.delimiter !== null && String(profile.delimiter).length !== 1) {
+            throw new Error(`Invalid delimiter: '${profile.delimiter}' (expected a single character)`);
+        }
+    }
+
+    /**
+     * set_import_profile — create or replace-in-part the account's profile.
+     * Omitted keys keep their saved value; pass null to clear one (e.g.
+     * amount_column:null when switching to debit/credit columns).
+     */
+    async handleSetImportProfile(args) {
+        const { company_id, account_id } = args || {};
+
+        if (!account_id) {
+            throw new Error('account_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_accounts', account_id, companyId, 'Account');
+
+        const existing = await this.findProfile(account_id);
+        const fields = { ...pickColumns(existing, PROFILE_COLUMNS), ...pickColumns(args, PROFILE_COLUMNS) };
+        this.validateProfile(fields);
+
+        const columns = Object.keys(fields);
+        const values = { account_id, ...fields };
+        const placeholders = Object.keys(values).map((_, index) => `$${index + 1}`);
+        const result = await this.db.query(
+            `INSERT INTO fictionlab.biz_import_profiles (${Object.keys(values).join(', ')})
+             VALUES (${placeholders.join(', ')})
+             ON CONFLICT (account_id)
+             DO UPDATE SET ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(', ')}
+             RETURNING *`,
+            Object.values(values)
+        );
+
+        return { import_profile: result.rows[0], created: !existing };
+    }
+
+    async handleGetImportProfile(args) {
+        const { company_id, account_id } = args || {};
+
+        if (!account_id) {
+            throw new Error('account_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_accounts', account_id, companyId, 'Account');
+
+        return { import_profile: await this.findProfile(account_id) };
+    }
+
+    /**
+     * import_statement_csv — map and insert one statement. Pass the CSV as
+     * csv_text or a server-readable file_path. dry_run reports what would
+     * happen without writing.
+     *
+     * Dedupe is count-based per key: a statement can legitimately hold two
+     * identical rows (two same-price coffees on one day), so a row is only
+     * a duplicate while the account already has an unmatched transaction
+     * with the same key. Re-importing a file therefore inserts nothing, and
+     * a later statement that overlaps it only inserts the new rows.
+     */
+    async handleImportStatementCsv(args) {
+        const { company_id, account_id, csv_text, file_path, dry_run = false } = args || {};
+
+        if (!account_id) {
+            throw new Error('account_id is required');
+        }
+        if (!csv_text === !file_path) {
+            throw new Error('Provide exactly one of csv_text or file_path');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_accounts', account_id, companyId, 'Account');
+
+        const profile = await this.findProfile(account_id);
+        if (!profile) {
+            throw new Error(`No import profile for account ${account_id} -- create one with set_import_profile`);
+        }
+
+        const text = csv_text || await readFile(file_path, 'utf8');
+        const { rows: dataRows } = readCsvTable(text, {
+            delimiter: profile.delimiter,
+            skipRows: profile.skip_rows,
+            requiredColumns: profileColumns(profile)
+        });
+
+        const accepted = [];
+        const rejected = [];
+        for (const row of dataRows) {
+            try {
+                accepted.push({ line: row.line, ...mapStatementRecord(row.record, profile) });
+            } catch (error) {
+                rejected.push({ line: row.line, reason: error.message, cells: row.cells });
+            }
+        }
+
+        const outcome = await this.db.transaction(async (client) => {
+            const inserted = [];
+            const duplicates = [];
+            if (accepted.length === 0) {
+                return { inserted, duplicates };
+            }
+
+            // Row lock on the account serializes concurrent imports into it,
+            // so two overlapping runs cannot both see a key as missing.
+            await client.query('SELECT id FROM fictionlab.biz_accounts WHERE id = $1 FOR UPDATE', [account_id]);
+
+            const dates = accepted.map((row) => row.occurred_on).sort();
+            const existing = await client.query(
+                `SELECT occurred_on::text AS occurred_on, amount::text AS amount, description
+                 FROM fictionlab.biz_transactions
+                 WHERE account_id = $1 AND occurred_on BETWEEN $2 AND $3`,
+                [account_id, dates[0], dates[dates.length - 1]]
+            );
+
+            const onFile = new Map();
+            for (const row of existing.rows) {
+                const key = dedupeKey(row.occurred_on, row.amount, row.description);
+                onFile.set(key, (onFile.get(key) || 0) + 1);
+            }
+
+            for (const row of accepted) {
+                const key = dedupeKey(row.occurred_on, row.amount, row.description);
+                if (onFile.get(key) > 0) {
+                    onFile.set(key, onFile.get(key) - 1);
+                    duplicates.push(row);
+                    continue;
+                }
+
+                const { line, ...values } = row;
+                inserted.push(dry_run
+                    ? row
+                    : { line, ...await insertRow(client, 'fictionlab.biz_transactions', { account_id, ...values }) });
+            }
+
+            return { inserted, duplicates };
+        });
+
+        return {
+            account_id,
+            import_profile_id: profile.id,
+            dry_run,
+            rows_read: dataRows.length,
+            inserted_count: outcome.inserted.length,
+            duplicate_count: outcome.duplicates.length,
+            rejected_count: rejected.length,
+            inserted: outcome.inserted,
+            duplicates: outcome.duplicates,
+            rejected
+        };
+    }
+}
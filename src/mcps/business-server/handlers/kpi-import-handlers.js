@@ -0,0 +1,295 @@
+// src/mcps/business-server/handlers/kpi-import-handlers.js
+// KPI ingestion (S15 §4b biz_kpis): each platform keeps one CSV column ->
+// metric_name mapping (biz_kpi_import_profiles, migration 059), an import
+// folds the export's rows into one value per (metric_name, metric_date) and
+// upserts them, and get_kpi_trend reads a metric back in ISO-week buckets
+// with week-over-week deltas. Parsing and bucketing live in
+// utils/kpi-csv.js.
+
+import { readFile } from 'node:fs/promises';
+import {
+    resolveCompanyId,
+    assertEnum,
+    pickColumns,
+    findCompanyRow
+} from './biz-helpers.js';
+import { DATE_FORMATS, readCsvTable } from '../utils/statement-csv.js';
+import {
+    KPI_AGGREGATES,
+    KPI_IMPORT_PRESETS,
+    normalizeMetricColumns,
+    aggregateKpiRecords,
+    weekStart,
+    weeklyTrend
+} from '../utils/kpi-csv.js';
+import { addDays, parseIsoDate, todayIso } from '../utils/deadline-dates.js';
+
+const KPI_PROFILE_COLUMNS = [
+    'date_column', 'date_format', 'metric_columns', 'filter_column', 'filter_value',
+    'delimiter', 'skip_rows', 'notes'
+];
+
+export class KpiImportHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findProfile(platformId) {
+        const result = await this.db.query(
+            'SELECT * FROM fictionlab.biz_kpi_import_profiles WHERE platform_id = $1',
+            [platformId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Readable errors for what migration 059's CHECKs would otherwise
+     * reject by constraint name. Returns the profile with metric_columns
+     * normalized to { header: { metric_name, aggregate } }.
+     */
+    validateProfile(profile) {
+        assertEnum(profile.date_format, DATE_FORMATS, 'date_format');
+
+        if (!profile.date_column) {
+            throw new Error('date_column is required');
+        }
+        if (!profile.filter_column !== !profile.filter_value) {
+            throw new Error('filter_column and filter_value go together');
+        }
+        if (profile.delimiter !== undefined && profile.delimiter !== null && String(profile.delimiter).length !== 1) {
+            throw new Error(`Invalid delimiter: '${profile.delimiter}' (expected a single character)`);
+        }
+
+        return { ...profile, metric_columns: normalizeMetricColumns(profile.metric_columns) };
+    }
+
+    /**
+     * set_kpi_import_profile — create or replace-in-part a platform's
+     * mapping. Precedence: explicit args, then the chosen preset, then the
+     * saved profile. metric_columns is replaced as a whole, never merged.
+     */
+    async handleSetKpiImportProfile(args) {
+        const { company_id, platform_id, preset } = args || {};
+
+        if (!platform_id) {
+            throw new Error('platform_id is required');
+        }
+        assertEnum(preset, Object.keys(KPI_IMPORT_PRESETS), 'preset');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_platforms', platform_id, companyId, 'Platform');
+
+        const existing = await this.findProfile(platform_id);
+        const fields = this.validateProfile({
+            ...pickColumns(existing, KPI_PROFILE_COLUMNS),
+            ...(preset ? KPI_IMPORT_PRESETS[preset] : {}),
+            ...pickColumns(args, KPI_PROFILE_COLUMNS)
+        });
+
+        const values = { platform_id, ...fields, metric_columns: JSON.stringify(fields.metric_columns) };
+        const columns = Object.keys(fields);
+        const placeholders = Object.keys(values).map((_, index) => `$${index + 1}`);
+        const result = await this.db.query(
+            `INSERT INTO fictionlab.biz_kpi_import_profiles (${Object.keys(values).join(', ')})
+             VALUES (${placeholders.join(', ')})
+             ON CONFLICT (platform_id)
+             DO UPDATE SET ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(', ')}
+             RETURNING *`,
+            Object.values(values)
+        );
+
+        return { kpi_import_profile: result.rows[0], created: !existing };
+    }
+
+    async handleGetKpiImportProfile(args) {
+        const { company_id, platform_id } = args || {};
+
+        if (!platform_id) {
+            throw new Error('platform_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_platforms', platform_id, companyId, 'Platform');
+
+        return { kpi_import_profile: await this.findProfile(platform_id) };
+    }
+
+    /**
+     * import_kpi_csv — fold one platform export into daily points and upsert
+     * them into biz_kpis. Re-importing the same file changes nothing: points
+     * whose stored value already matches are reported as unchanged and not
+     * written. dry_run reports the same counts without writing.
+     */
+    async handleImportKpiCsv(args) {
+        const { company_id, platform_id, csv_text, file_path, dry_run = false } = args || {};
+
+        if (!platform_id) {
+            throw new Error('platform_id is required');
+        }
+        if (!csv_text === !file_path) {
+            throw new Error('Provide exactly one of csv_text or file_path');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findCompanyRow(this.db, 'fictionlab.biz_platforms', platform_id, companyId, 'Platform');
+
+        const saved = await this.findProfile(platform_id);
+        if (!saved) {
+            throw new Error(`No KPI import profile for platform ${platform_id} -- create one with set_kpi_import_profile`);
+        }
+        const profile = this.validateProfile(saved);
+
+        const text = csv_text || await readFile(file_path, 'utf8');
+        const { rows } = readCsvTable(text, {
+            delimiter: profile.delimiter,
+            skipRows: profile.skip_rows,
+            requiredColumns: [profile.date_column, profile.filter_column, ...Object.keys(profile.metric_columns)].filter(Boolean)
+        });
+
+        const { points, rejected, filtered_out } = aggregateKpiRecords(rows, profile);
+
+        const outcome = await this.db.transaction(async (client) => {
+            const created = [];
+            const updated = [];
+            const unchanged = [];
+            if (points.length === 0) {
+                return { created, updated, unchanged };
+            }
+
+            const dates = points.map((point) => point.metric_date);
+            const existing = await client.query(
+                `SELECT metric_name, metric_date::text AS metric_date, value
+                 FROM fictionlab.biz_kpis
+                 WHERE platform_id = $1 AND metric_name = ANY($2::text[])
+                   AND metric_date BETWEEN $3 AND $4`,
+                [platform_id, [...new Set(points.map((point) => point.metric_name))], dates[0], dates[dates.length - 1]]
+            );
+            const onFile = new Map(existing.rows.map((row) => [`${row.metric_name}|${row.metric_date}`, Number(row.value)]));
+
+            for (const point of points) {
+                const stored = onFile.get(`${point.metric_name}|${point.metric_date}`);
+                if (stored === point.value) {
+                    unchanged.push(point);
+                    continue;
+                }
+
+                if (!dry_run) {
+                    await client.query(
+                        `INSERT INTO fictionlab.biz_kpis (platform_id, metric_name, metric_date, value)
+                         VALUES ($1, $2, $3, $4)
+                         ON CONFLICT (platform_id, metric_name, metric_date)
+                         DO UPDATE SET value = EXCLUDED.value`,
+                        [platform_id, point.metric_name, point.metric_date, point.value]
+                    );
+                }
+                if (stored === undefined) {
+                    created.push(point);
+                } else {
+                    updated.push({ ...point, previous_value: stored });
+                }
+            }
+
+            return { created, updated, unchanged };
+        });
+
+        return {
+            platform_id,
+            kpi_import_profile_id: saved.id,
+            dry_run,
+            rows_read: rows.length,
+            filtered_out,
+            point_count: points.length,
+            created_count: outcome.created.length,
+            updated_count: outcome.updated.length,
+            unchanged_count: outcome.unchanged.length,
+            rejected_count: rejected.length,
+            created: outcome.created,
+            updated: outcome.updated,
+            rejected
+        };
+    }
+
+    /**
+     * The aggregate a metric is imported with, read from the company's KPI
+     * profiles; null when no profile maps it.
+     */
+    async profileAggregate(companyId, metricName) {
+        const result = await this.db.query(
+            `SELECT m.value->>'aggregate' AS aggregate
+             FROM fictionlab.biz_kpi_import_profiles ip
+             JOIN fictionlab.biz_platforms p ON p.id = ip.platform_id
+             CROSS JOIN LATERAL jsonb_each(ip.metric_columns) m
+             WHERE p.company_id = $1 AND m.value->>'metric_name' = $2
+             LIMIT 1`,
+            [companyId, metricName]
+        );
+        return result.rows[0] ? result.rows[0].aggregate : null;
+    }
+
+    /**
+     * get_kpi_trend — one metric in ISO-week buckets (Monday start) for the
+     * `weeks` weeks ending with as_of's week, per platform, with
+     * week-over-week delta and delta_percent. aggregate defaults to the one
+     * the metric is imported with (avg for rates), else sum.
+     */
+    async handleGetKpiTrend(args) {
+        const { company_id, metric_name, platform_id, weeks = 8, as_of, aggregate } = args || {};
+
+        if (!metric_name) {
+            throw new Error('metric_name is required');
+        }
+        if (!Number.isInteger(weeks) || weeks < 2 || weeks > 104) {
+            throw new Error(`Invalid weeks: ${weeks} (expected a whole number 2-104)`);
+        }
+        assertEnum(aggregate, KPI_AGGREGATES, 'aggregate');
+        const asOf = as_of || todayIso();
+        parseIsoDate(asOf);
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        if (platform_id) {
+            await findCompanyRow(this.db, 'fictionlab.biz_platforms', platform_id, companyId, 'Platform');
+        }
+
+        const profileAggregate = aggregate ? null : await this.profileAggregate(companyId, metric_name);
+        const effectiveAggregate = aggregate || profileAggregate || 'sum';
+        const from = addDays(weekStart(asOf), -7 * (weeks - 1));
+
+        const params = [companyId, metric_name, from, asOf];
+        let platformFilter = '';
+        if (platform_id) {
+            platformFilter = 'AND k.platform_id = $5';
+            params.push(platform_id);
+        }
+
+        const result = await this.db.query(
+            `SELECT k.platform_id, p.name AS platform_name, k.metric_date::text AS metric_date, k.value
+             FROM fictionlab.biz_kpis k
+             JOIN fictionlab.biz_platforms p ON p.id = k.platform_id
+             WHERE p.company_id = $1 AND k.metric_name = $2
+               AND k.metric_date BETWEEN $3 AND $4 ${platformFilter}
+             ORDER BY p.name, k.metric_date`,
+            params
+        );
+
+        const byPlatform = new Map();
+        for (const row of result.rows) {
+            if (!byPlatform.has(row.platform_id)) {
+                byPlatform.set(row.platform_id, { platform_id: row.platform_id, platform_name: row.platform_name, points: [] });
+            }
+            byPlatform.get(row.platform_id).points.push(row);
+        }
+
+        return {
+            company_id: companyId,
+            metric_name,
+            aggregate: effectiveAggregate,
+            aggregate_source: aggregate ? 'argument' : (profileAggregate ? 'kpi_import_profile' : 'default'),
+            as_of: asOf,
+            weeks,
+            platforms: [...byPlatform.values()].map(({ points, ...platform }) => ({
+                ...platform,
+                trend: weeklyTrend(points, { weeks, asOf, aggregate: effectiveAggregate })
+            }))
+        };
+    }
+}
@@ -0,0 +1,352 @@
+// src/mcps/business-server/handlers/obligation-handlers.js
+// Recurring money obligations and targets: subscriptions, debts and
+// savings goals (migrations 051/052). None of these are hard-deleted --
+// subscriptions go is_active=false, debts go status='paid_off', goals go
+// 'reached'/'abandoned' -- so their transaction history stays explainable.
+
+import {
+    SUBSCRIPTION_CADENCES,
+    DEBT_STATUSES,
+    SAVINGS_GOAL_STATUSES,
+    resolveCompanyId,
+    assertEnum,
+    assertCompanyRef,
+    pickColumns,
+    insertRow,
+    updateRow
+} from './biz-helpers.js';
+import { addRecurrencePeriod, parseIsoDate, todayIso } from '../utils/deadline-dates.js';
+import { PAYOFF_STRATEGIES, buildPayoffSchedule } from '../utils/debt-payoff.js';
+
+const SUBSCRIPTION_COLUMNS = [
+    'name', 'vendor_contact_id', 'account_id', 'amount', 'cadence',
+    'category', 'deadline_id', 'is_active', 'notes'
+];
+const DEBT_COLUMNS = [
+    'name', 'creditor_contact_id', 'principal', 'balance', 'apr',
+    'minimum_payment', 'deadline_id', 'payoff_target_date', 'status', 'notes'
+];
+const SAVINGS_GOAL_COLUMNS = [
+    'name', 'target_amount', 'current_amount', 'target_date', 'account_id', 'status', 'notes'
+];
+
+export class ObligationHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Same-company checks for every optional cross-table link these three
+     * tables carry.
+     */
+    async validateRefs(fields, companyId) {
+        await assertCompanyRef(this.db, 'fictionlab.biz_contacts', fields.vendor_contact_id, companyId, 'vendor_contact_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_contacts', fields.creditor_contact_id, companyId, 'creditor_contact_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_accounts', fields.account_id, companyId, 'account_id');
+        await assertCompanyRef(this.db, 'fictionlab.biz_deadlines', fields.deadline_id, companyId, 'deadline_id');
+    }
+
+    /**
+     * list_subscriptions — active only unless include_inactive. Joins the
+     * renewal deadline's due_date so callers see the next renewal inline.
+     */
+    async handleListSubscriptions(args) {
+        const { company_id, include_inactive = false } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const result = await this.db.query(
+            `SELECT s.*, d.due_date AS next_renewal_date
+             FROM fictionlab.biz_subscriptions s
+             LEFT JOIN fictionlab.biz_deadlines d ON d.id = s.deadline_id
+             WHERE s.company_id = $1 ${include_inactive ? '' : 'AND s.is_active = TRUE'}
+             ORDER BY s.name`,
+            [companyId]
+        );
+
+        return { company_id: companyId, subscriptions: result.rows };
+    }
+
+    /**
+     * create_subscription — unless an existing deadline_id is passed, also
+     * creates its renewal deadline (category 'renewal', recurrence = cadence)
+     * due on next_renewal_date, defaulting to one cadence period from today.
+     * Both rows are written in one transaction.
+     */
+    async handleCreateSubscription(args) {
+        const { company_id, name, amount, cadence = 'monthly', next_renewal_date } = args || {};
+
+        if (!name || amount === undefined) {
+            throw new Error('name and amount are required');
+        }
+        assertEnum(cadence, SUBSCRIPTION_CADENCES, 'cadence');
+        if (next_renewal_date !== undefined) {
+            if (args.deadline_id !== undefined) {
+                throw new Error('next_renewal_date cannot be combined with deadline_id');
+            }
+            parseIsoDate(next_renewal_date);
+        }
+
+        const fields = pickColumns(args, SUBSCRIPTION_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        return this.db.transaction(async (client) => {
+            let renewalDeadline = null;
+            if (fields.deadline_id === undefined) {
+                renewalDeadline = await insertRow(client, 'fictionlab.biz_deadlines', {
+                    company_id: companyId,
+                    title: `${name} renewal`,
+                    due_date: next_renewal_date || addRecurrencePeriod(todayIso(), cadence),
+                    recurrence: cadence,
+                    category: 'renewal'
+                });
+                fields.deadline_id = renewalDeadline.id;
+            }
+
+            const subscription = await insertRow(client, 'fictionlab.biz_subscriptions', {
+                company_id: companyId,
+                ...fields
+            });
+
+            return { subscription, renewal_deadline: renewalDeadline };
+        });
+    }
+
+    /**
+     * update_subscription — partial patch; cancel with is_active:false. A
+     * cadence change is carried over to the linked renewal deadline's
+     * recurrence so the two cannot disagree.
+     */
+    async handleUpdateSubscription(args) {
+        const { company_id, subscription_id, cadence } = args || {};
+
+        if (!subscription_id) {
+            throw new Error('subscription_id is required');
+        }
+        assertEnum(cadence, SUBSCRIPTION_CADENCES, 'cadence');
+
+        const fields = pickColumns(args, SUBSCRIPTION_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        return this.db.transaction(async (client) => {
+            const subscription = await updateRow(client, 'fictionlab.biz_subscriptions', {
+                id: subscription_id,
+                companyId,
+                patch: fields,
+                label: 'Subscription'
+            });
+
+            if (fields.cadence && subscription.deadline_id) {
+                await client.query(
+                    'UPDATE fictionlab.biz_deadlines SET recurrence = $2 WHERE id = $1 AND company_id = $3',
+                    [subscription.deadline_id, fields.cadence, companyId]
+                );
+            }
+
+            return { subscription };
+        });
+    }
+
+    async handleListDebts(args) {
+        const { company_id, status } = args || {};
+        assertEnum(status, DEBT_STATUSES, 'status');
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const params = [companyId];
+        let statusFilter = '';
+        if (status) {
+            statusFilter = 'AND d.status = $2';
+            params.push(status);
+        }
+
+        const result = await this.db.query(
+            `SELECT d.*, dl.due_date AS next_payment_date
+             FROM fictionlab.biz_debts d
+             LEFT JOIN fictionlab.biz_deadlines dl ON dl.id = d.deadline_id
+             WHERE d.company_id = $1 ${statusFilter}
+             ORDER BY d.name`,
+            params
+        );
+
+        return { company_id: companyId, debts: result.rows };
+    }
+
+    /**
+     * create_debt — balance defaults to principal for a brand-new debt.
+     */
+    async handleCreateDebt(args) {
+        const { company_id, name, principal, balance, status } = args || {};
+
+        if (!name || principal === undefined) {
+            throw new Error('name and principal are required');
+        }
+        assertEnum(status, DEBT_STATUSES, 'status');
+
+        const fields = pickColumns(args, DEBT_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const debt = await insertRow(this.db, 'fictionlab.biz_debts', {
+            company_id: companyId,
+            ...fields,
+            balance: balance === undefined ? principal : balance
+        });
+
+        return { debt };
+    }
+
+    async handleUpdateDebt(args) {
+        const { company_id, debt_id, status } = args || {};
+
+        if (!debt_id) {
+            throw new Error('debt_id is required');
+        }
+        assertEnum(status, DEBT_STATUSES, 'status');
+
+        const fields = pickColumns(args, DEBT_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const debt = await updateRow(this.db, 'fictionlab.biz_debts', {
+            id: debt_id,
+            companyId,
+            patch: fields,
+            label: 'Debt'
+        });
+
+        return { debt };
+    }
+
+    /**
+     * plan_debt_payoff — amortize every active debt with a balance under
+     * avalanche, snowball or a custom order. Starts from the stored
+     * balances, which payments recorded with debt_id have already reduced
+     * (migration 057 trigger). Read-only: nothing is written.
+     */
+    async handlePlanDebtPayoff(args) {
+        const {
+            company_id,
+            strategy = 'avalanche',
+            extra_payment = 0,
+            debt_order,
+            start_date,
+            include_schedule = true
+        } = args || {};
+
+        assertEnum(strategy, PAYOFF_STRATEGIES, 'strategy');
+        if (!(Number(extra_payment) >= 0)) {
+            throw new Error(`Invalid extra_payment: ${extra_payment}`);
+        }
+        if (debt_order !== undefined && strategy !== 'custom') {
+            throw new Error("debt_order only applies to strategy 'custom'");
+        }
+        if (strategy === 'custom' && (!Array.isArray(debt_order) || debt_order.length === 0)) {
+            throw new Error("strategy 'custom' requires debt_order (debt ids in payoff order)");
+        }
+        const startDate = start_date || todayIso();
+        parseIsoDate(startDate);
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const result = await this.db.query(
+            `SELECT id, name, balance, apr, minimum_payment, payoff_target_date::text AS payoff_target_date
+             FROM fictionlab.biz_debts
+             WHERE company_id = $1 AND status = 'active' AND balance > 0
+             ORDER BY id`,
+            [companyId]
+        );
+
+        const plan = buildPayoffSchedule(result.rows, {
+            strategy,
+            customOrder: debt_order || [],
+            extraPayment: extra_payment,
+            startDate
+        });
+        if (!include_schedule) {
+            delete plan.schedule;
+        }
+
+        return {
+            company_id: companyId,
+            strategy,
+            extra_payment: Number(extra_payment),
+            start_date: startDate,
+            ...plan
+        };
+    }
+
+    /**
+     * list_savings_goals — with a computed progress_percent per goal.
+     */
+    async handleListSavingsGoals(args) {
+        const { company_id, status } = args || {};
+        assertEnum(status, SAVINGS_GOAL_STATUSES, 'status');
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const params = [companyId];
+        let statusFilter = '';
+        if (status) {
+            statusFilter = 'AND status = $2';
+            params.push(status);
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_savings_goals
+             WHERE company_id = $1 ${statusFilter}
+             ORDER BY target_date NULLS LAST, name`,
+            params
+        );
+
+        return {
+            company_id: companyId,
+            savings_goals: result.rows.map((row) => ({
+                ...row,
+                progress_percent: Number(row.target_amount) > 0
+                    ? Math.round((Number(row.current_amount) / Number(row.target_amount)) * 100)
+                    : null
+            }))
+        };
+    }
+
+    async handleCreateSavingsGoal(args) {
+        const { company_id, name, target_amount, status } = args || {};
+
+        if (!name || target_amount === undefined) {
+            throw new Error('name and target_amount are required');
+        }
+        assertEnum(status, SAVINGS_GOAL_STATUSES, 'status');
+
+        const fields = pickColumns(args, SAVINGS_GOAL_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const savingsGoal = await insertRow(this.db, 'fictionlab.biz_savings_goals', {
+            company_id: companyId,
+            ...fields
+        });
+
+        return { savings_goal: savingsGoal };
+    }
+
+    async handleUpdateSavingsGoal(args) {
+        const { company_id, savings_goal_id, status } = args || {};
+
+        if (!savings_goal_id) {
+            throw new Error('savings_goal_id is required');
+        }
+        assertEnum(status, SAVINGS_GOAL_STATUSES, 'status');
+
+        const fields = pickColumns(args, SAVINGS_GOAL_COLUMNS);
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await this.validateRefs(fields, companyId);
+
+        const savingsGoal = await updateRow(this.db, 'fictionlab.biz_savings_goals', {
+            id: savings_goal_id,
+            companyId,
+            patch: fields,
+            label: 'Savings goal'
+        });
+
+        return { savings_goal: savingsGoal };
+    }
+}
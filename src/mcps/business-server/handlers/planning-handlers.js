@@ -0,0 +1,393 @@
+// src/mcps/business-server/handlers/planning-handlers.js
+// Deadline and book-pipeline CRUD (the two S14 tables, migration 049), plus
+// the S14 §5 recurring deadline engine: complete (roll forward), snooze and
+// the upcoming/alerts queries. biz_deadlines rows are also the due-date
+// carrier for biz_subscriptions and biz_debts (their deadline_id), so
+// deleting one here just nulls those links (ON DELETE SET NULL) rather than
+// removing the subscription/debt.
+
+import {
+    DEADLINE_RECURRENCES,
+    DEADLINE_CATEGORIES,
+    PIPELINE_STAGES,
+    resolveCompanyId,
+    assertEnum,
+    pickColumns,
+    findCompanyRow,
+    findBook,
+    insertRow,
+    updateRow,
+    deleteRow
+} from './biz-helpers.js';
+import { addRecurrencePeriod, addDays, daysBetween, parseIsoDate, todayIso } from '../utils/deadline-dates.js';
+
+const DEADLINE_COLUMNS = ['title', 'due_date', 'recurrence', 'category', 'notes', 'snoozed_until'];
+const PIPELINE_COLUMNS = ['title', 'persona', 'stage', 'target_date', 'book_id', 'notes'];
+
+// DATE columns come back as text so the roll/alert math never goes through
+// a timezone-shifted JS Date; linked subscriptions/debts are listed inline
+// so an alert says what it is for.
+const DEADLINE_VIEW_SELECT = `
+    SELECT d.id, d.company_id, d.title, d.due_date::text AS due_date, d.recurrence, d.category,
+           d.notes, d.snoozed_until::text AS snoozed_until, d.anchor_day, d.last_completed_at,
+           ARRAY(SELECT s.name FROM fictionlab.biz_subscriptions s WHERE s.deadline_id = d.id ORDER BY s.name) AS subscriptions,
+           ARRAY(SELECT b.name FROM fictionlab.biz_debts b WHERE b.deadline_id = d.id ORDER BY b.name) AS debts
+    FROM fictionlab.biz_deadlines d`;
+
+export class PlanningHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * list_deadlines — open deadlines by due_date. include_done adds
+     * completed one-off rows (recurring rows never carry done_at).
+     */
+    async handleListDeadlines(args) {
+        const { company_id, category, due_before, include_done = false } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['company_id = $1'];
+        const params = [companyId];
+        let i = 2;
+
+        if (category) {
+            assertEnum(category, DEADLINE_CATEGORIES, 'category');
+            conditions.push(`category = $${i++}`);
+            params.push(category);
+        }
+        if (due_before) {
+            conditions.push(`due_date <= $${i++}`);
+            params.push(due_before);
+        }
+        if (!include_done) {
+            conditions.push('done_at IS NULL');
+        }
+
+        const result = await this.db.query(
+            `SELECT * FROM fictionlab.biz_deadlines
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY due_date, id`,
+            params
+        );
+
+        return { company_id: companyId, deadlines: result.rows };
+    }
+
+    async handleCreateDeadline(args) {
+        const { company_id, title, due_date, recurrence, category } = args || {};
+
+        if (!title || !due_date) {
+            throw new Error('title and due_date are required');
+        }
+        assertEnum(recurrence, DEADLINE_RECURRENCES, 'recurrence');
+        assertEnum(category, DEADLINE_CATEGORIES, 'category');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const deadline = await insertRow(this.db, 'fictionlab.biz_deadlines', {
+            company_id: companyId,
+            ...pickColumns(args, DEADLINE_COLUMNS)
+        });
+
+        return { deadline };
+    }
+
+    async handleUpdateDeadline(args) {
+        const { company_id, deadline_id, recurrence, category } = args || {};
+
+        if (!deadline_id) {
+            throw new Error('deadline_id is required');
+        }
+        assertEnum(recurrence, DEADLINE_RECURRENCES, 'recurrence');
+        assertEnum(category, DEADLINE_CATEGORIES, 'category');
+
+        const patch = pickColumns(args, DEADLINE_COLUMNS);
+        if (patch.due_date !== undefined) {
+            // A hand-set due date re-anchors the recurrence on its own day.
+            patch.anchor_day = null;
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const deadline = await updateRow(this.db, 'fictionlab.biz_deadlines', {
+            id: deadline_id,
+            companyId,
+            patch,
+            label: 'Deadline'
+        });
+
+        return { deadline };
+    }
+
+    async handleDeleteDeadline(args) {
+        const { company_id, deadline_id } = args || {};
+
+        if (!deadline_id) {
+            throw new Error('deadline_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const deadline = await deleteRow(this.db, 'fictionlab.biz_deadlines', {
+            id: deadline_id,
+            companyId,
+            label: 'Deadline'
+        });
+
+        return { deleted: true, deadline };
+    }
+
+    /**
+     * complete_deadline — a one-off deadline gets done_at; a recurring one
+     * rolls due_date forward exactly one period (S14 §5: one row, never a
+     * duplicate) and clears any snooze. The row is locked so two
+     * concurrent completes cannot roll it twice from the same date.
+     */
+    async handleCompleteDeadline(args) {
+        const { company_id, deadline_id } = args || {};
+
+        if (!deadline_id) {
+            throw new Error('deadline_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        return this.db.transaction(async (client) => {
+            const existing = await client.query(
+                `SELECT id, recurrence, done_at, due_date::text AS due_date, anchor_day
+                 FROM fictionlab.biz_deadlines
+                 WHERE id = $1 AND company_id = $2
+                 FOR UPDATE`,
+                [deadline_id, companyId]
+            );
+            if (existing.rows.length === 0) {
+                throw new Error(`Deadline not found: ${deadline_id}`);
+            }
+
+            const current = existing.rows[0];
+            if (current.done_at) {
+                throw new Error(`Deadline ${deadline_id} is already completed`);
+            }
+
+            if (current.recurrence === 'none') {
+                const result = await client.query(
+                    `UPDATE fictionlab.biz_deadlines
+                     SET done_at = NOW(), snoozed_until = NULL
+                     WHERE id = $1
+                     RETURNING *`,
+                    [deadline_id]
+                );
+                return { deadline: result.rows[0], rolled: false, completed_due_date: current.due_date };
+            }
+
+            const anchorDay = current.anchor_day || parseIsoDate(current.due_date).day;
+            const nextDueDate = addRecurrencePeriod(current.due_date, current.recurrence, anchorDay);
+            const result = await client.query(
+                `UPDATE fictionlab.biz_deadlines
+                 SET due_date = $2, anchor_day = $3, snoozed_until = NULL, last_completed_at = NOW()
+                 WHERE id = $1
+                 RETURNING *`,
+                [deadline_id, nextDueDate, anchorDay]
+            );
+
+            return {
+                deadline: result.rows[0],
+                rolled: true,
+                completed_due_date: current.due_date,
+                next_due_date: nextDueDate
+            };
+        });
+    }
+
+    /**
+     * snooze_deadline — hide an open deadline from get_deadline_alerts until
+     * snoozed_until (or `days` from today). snoozed_until: null un-snoozes.
+     * The due date itself never moves.
+     */
+    async handleSnoozeDeadline(args) {
+        const { company_id, deadline_id, snoozed_until, days } = args || {};
+
+        if (!deadline_id) {
+            throw new Error('deadline_id is required');
+        }
+        if ((snoozed_until !== undefined) === (days !== undefined)) {
+            throw new Error('Provide exactly one of snoozed_until or days');
+        }
+
+        let snoozedUntil = snoozed_until;
+        if (days !== undefined) {
+            if (!Number.isInteger(days) || days < 1) {
+                throw new Error(`Invalid days: ${days} (expected a positive whole number)`);
+            }
+            snoozedUntil = addDays(todayIso(), days);
+        } else if (snoozedUntil !== null) {
+            parseIsoDate(snoozedUntil);
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const current = await findCompanyRow(this.db, 'fictionlab.biz_deadlines', deadline_id, companyId, 'Deadline');
+        if (current.done_at) {
+            throw new Error(`Deadline ${deadline_id} is already completed`);
+        }
+
+        const deadline = await updateRow(this.db, 'fictionlab.biz_deadlines', {
+            id: deadline_id,
+            companyId,
+            patch: { snoozed_until: snoozedUntil },
+            label: 'Deadline'
+        });
+
+        return { deadline };
+    }
+
+    /**
+     * Open deadlines due on or before as_of + within_days (overdue ones
+     * included), each annotated with days_until (negative = overdue) and
+     * is_snoozed.
+     */
+    async findOpenDeadlinesDueBy(companyId, asOf, withinDays, { excludeSnoozed }) {
+        parseIsoDate(asOf);
+        if (!Number.isInteger(withinDays) || withinDays < 0) {
+            throw new Error(`Invalid within_days: ${withinDays} (expected a whole number >= 0)`);
+        }
+
+        const result = await this.db.query(
+            `${DEADLINE_VIEW_SELECT}
+             WHERE d.company_id = $1
+               AND d.done_at IS NULL
+               AND d.due_date <= $2::date + $3::int
+               ${excludeSnoozed ? 'AND (d.snoozed_until IS NULL OR d.snoozed_until <= $2::date)' : ''}
+             ORDER BY d.due_date, d.id`,
+            [companyId, asOf, withinDays]
+        );
+
+        return result.rows.map((row) => ({
+            ...row,
+            days_until: daysBetween(asOf, row.due_date),
+            is_overdue: row.due_date < asOf,
+            is_snoozed: row.snoozed_until !== null && row.snoozed_until > asOf
+        }));
+    }
+
+    /**
+     * list_upcoming_deadlines — everything open in the window, snoozed rows
+     * included (flagged), for a calendar-style view.
+     */
+    async handleListUpcomingDeadlines(args) {
+        const { company_id, within_days = 30, as_of = todayIso() } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const deadlines = await this.findOpenDeadlinesDueBy(companyId, as_of, within_days, { excludeSnoozed: false });
+
+        return { company_id: companyId, as_of, within_days, deadlines };
+    }
+
+    /**
+     * get_deadline_alerts — what needs attention now: open deadlines due
+     * within N days or overdue, minus anything snoozed past as_of. A snooze
+     * that has run out puts the deadline back in the alerts.
+     */
+    async handleGetDeadlineAlerts(args) {
+        const { company_id, within_days = 7, as_of = todayIso() } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const alerts = await this.findOpenDeadlinesDueBy(companyId, as_of, within_days, { excludeSnoozed: true });
+
+        return {
+            company_id: companyId,
+            as_of,
+            within_days,
+            overdue_count: alerts.filter((alert) => alert.is_overdue).length,
+            alerts
+        };
+    }
+
+    /**
+     * list_pipeline_items — ordered by stage (pipeline order), then
+     * target_date. Filters: stage, persona. Linked canon books (book_id,
+     * migration 058) come back with their title and series.
+     */
+    async handleListPipelineItems(args) {
+        const { company_id, stage, persona } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['p.company_id = $1'];
+        const params = [companyId, PIPELINE_STAGES];
+        let i = 3;
+
+        if (stage) {
+            assertEnum(stage, PIPELINE_STAGES, 'stage');
+            conditions.push(`p.stage = $${i++}`);
+            params.push(stage);
+        }
+        if (persona) {
+            conditions.push(`p.persona = $${i++}`);
+            params.push(persona);
+        }
+
+        const result = await this.db.query(
+            `SELECT p.*, b.title AS book_title, b.series_id, s.title AS series_title
+             FROM fictionlab.biz_pipeline_items p
+             LEFT JOIN books b ON b.id = p.book_id
+             LEFT JOIN series s ON s.id = b.series_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY array_position($2::text[], p.stage), p.target_date NULLS LAST, p.id`,
+            params
+        );
+
+        return { company_id: companyId, pipeline_items: result.rows };
+    }
+
+    async handleCreatePipelineItem(args) {
+        const { company_id, title, stage } = args || {};
+
+        if (!title) {
+            throw new Error('title is required');
+        }
+        assertEnum(stage, PIPELINE_STAGES, 'stage');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findBook(this.db, args.book_id);
+        const pipelineItem = await insertRow(this.db, 'fictionlab.biz_pipeline_items', {
+            company_id: companyId,
+            ...pickColumns(args, PIPELINE_COLUMNS)
+        });
+
+        return { pipeline_item: pipelineItem };
+    }
+
+    async handleUpdatePipelineItem(args) {
+        const { company_id, pipeline_item_id, stage } = args || {};
+
+        if (!pipeline_item_id) {
+            throw new Error('pipeline_item_id is required');
+        }
+        assertEnum(stage, PIPELINE_STAGES, 'stage');
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        await findBook(this.db, args.book_id);
+        const pipelineItem = await updateRow(this.db, 'fictionlab.biz_pipeline_items', {
+            id: pipeline_item_id,
+            companyId,
+            patch: pickColumns(args, PIPELINE_COLUMNS),
+            label: 'Pipeline item'
+        });
+
+        return { pipeline_item: pipelineItem };
+    }
+
+    async handleDeletePipelineItem(args) {
+        const { company_id, pipeline_item_id } = args || {};
+
+        if (!pipeline_item_id) {
+            throw new Error('pipeline_item_id is required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const pipelineItem = await deleteRow(this.db, 'fictionlab.biz_pipeline_items', {
+            id: pipeline_item_id,
+            companyId,
+            label: 'Pipeline item'
+        });
+
+        return { deleted: true, pipeline_item: pipelineItem };
+    }
+}
@@ -0,0 +1,242 @@
+// src/mcps/business-server/handlers/receipt-handlers.js
+// Receipt reconciliation (S15 §5b pillar 2). A receipt is a biz_assets row
+// with asset_type='receipt' whose transaction_id stays NULL until it is
+// reconciled. These tools propose candidate expense transactions for each
+// unreconciled receipt, link a confirmed match, and report expenses that
+// still have no receipt at tax time. Scoring rules live in
+// utils/receipt-matching.js.
+
+import {
+    resolveCompanyId,
+    findCompanyRow
+} from './biz-helpers.js';
+import { TRANSACTION_SCOPE } from './finance-handlers.js';
+import { receiptHints, scoreReceiptCandidate } from '../utils/receipt-matching.js';
+import { addDays } from '../utils/deadline-dates.js';
+
+// An expense already carrying a receipt is not offered again.
+const HAS_RECEIPT = `EXISTS (
+    SELECT 1 FROM fictionlab.biz_assets r
+    WHERE r.transaction_id = t.id AND r.asset_type = 'receipt'
+)`;
+
+export class ReceiptHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async findUnreconciledReceipts(companyId, assetId = null) {
+        const params = [companyId];
+        let assetFilter = '';
+        if (assetId) {
+            assetFilter = 'AND id = $2';
+            params.push(assetId);
+        }
+
+        const result = await this.db.query(
+            `SELECT id, title, notes, path_or_url, tags, created_at, created_at::date::text AS created_on
+             FROM fictionlab.biz_assets
+             WHERE company_id = $1 AND asset_type = 'receipt' AND transaction_id IS NULL ${assetFilter}
+             ORDER BY created_at DESC, id DESC`,
+            params
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Score every unreceipted expense that either matches one of the
+     * receipt's amounts or falls inside the date window, best first.
+     */
+    async proposeCandidates(companyId, receipt, windowDays, limit) {
+        const hints = receiptHints(receipt);
+        const referenceDate = hints.reference_date;
+
+        const result = await this.db.query(
+            `SELECT t.id, t.account_id, a.name AS account_name, t.occurred_on::text AS occurred_on,
+                    t.amount, t.category, t.description, t.vendor_contact_id, c.name AS vendor_name
+             FROM fictionlab.biz_transactions t
+             JOIN fictionlab.biz_accounts a ON a.id = t.account_id
+             LEFT JOIN fictionlab.biz_contacts c ON c.id = t.vendor_contact_id
+             WHERE a.company_id = $1
+               AND t.direction = 'expense'
+               AND NOT ${HAS_RECEIPT}
+               AND (t.amount = ANY($2::numeric[])
+                    OR ($3::date IS NOT NULL AND t.occurred_on BETWEEN $3::date AND $4::date))
+             ORDER BY t.occurred_on DESC`,
+            [
+                companyId,
+                hints.amounts,
+                referenceDate ? addDays(referenceDate, -windowDays) : null,
+                referenceDate ? addDays(referenceDate, windowDays) : null
+            ]
+        );
+
+        const candidates = result.rows
+            .map((transaction) => ({ transaction, ...scoreReceiptCandidate(hints, transaction, windowDays) }))
+            .filter((candidate) => candidate.score > 0)
+            .sort((x, y) => y.score - x.score || x.transaction.id - y.transaction.id)
+            .slice(0, limit);
+
+        return {
+            hints: {
+                amounts: hints.amounts,
+                reference_date: hints.reference_date,
+                reference_date_source: hints.reference_date_source
+            },
+            candidates
+        };
+    }
+
+    /**
+     * list_unreconciled_receipts — receipt assets with no transaction yet,
+     * newest first, with the amount/date hints the matcher reads from them.
+     */
+    async handleListUnreconciledReceipts(args) {
+        const { company_id } = args || {};
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const receipts = await this.findUnreconciledReceipts(companyId);
+
+        return {
+            company_id: companyId,
+            receipts: receipts.map((receipt) => {
+                const { amounts, reference_date, reference_date_source } = receiptHints(receipt);
+                return { ...receipt, hints: { amounts, reference_date, reference_date_source } };
+            })
+        };
+    }
+
+    /**
+     * propose_receipt_matches — ranked candidate expense transactions for
+     * one receipt (asset_id), or for every unreconciled receipt when
+     * asset_id is omitted. Nothing is linked until confirm_receipt_match.
+     */
+    async handleProposeReceiptMatches(args) {
+        const { company_id, asset_id, window_days = 7, limit = 5 } = args || {};
+
+        if (!Number.isInteger(window_days) || window_days < 0) {
+            throw new Error(`Invalid window_days: ${window_days} (expected a whole number >= 0)`);
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const receipts = await this.findUnreconciledReceipts(companyId, asset_id);
+
+        if (asset_id && receipts.length === 0) {
+            const asset = await findCompanyRow(this.db, 'fictionlab.biz_assets', asset_id, companyId, 'Asset');
+            if (asset.asset_type !== 'receipt') {
+                throw new Error(`Asset ${asset_id} is a ${asset.asset_type}, not a receipt`);
+            }
+            throw new Error(`Receipt ${asset_id} is already reconciled to transaction ${asset.transaction_id}`);
+        }
+
+        const proposals = [];
+        for (const receipt of receipts) {
+            proposals.push({
+                asset_id: receipt.id,
+                title: receipt.title,
+                ...await this.proposeCandidates(companyId, receipt, window_days, limit)
+            });
+        }
+
+        return { company_id: companyId, window_days, proposals };
+    }
+
+    /**
+     * confirm_receipt_match — link a receipt to the transaction the user
+     * picked. Only an unreconciled receipt and an expense transaction of the
+     * same company qualify; to re-link, clear it first with
+     * update_asset transaction_id:null.
+     */
+    async handleConfirmReceiptMatch(args) {
+        const { company_id, asset_id, transaction_id } = args || {};
+
+        if (!asset_id || !transaction_id) {
+            throw new Error('asset_id and transaction_id are required');
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+        const asset = await findCompanyRow(this.db, 'fictionlab.biz_assets', asset_id, companyId, 'Asset');
+        if (asset.asset_type !== 'receipt') {
+            throw new Error(`Asset ${asset_id} is a ${asset.asset_type}, not a receipt`);
+        }
+        if (asset.transaction_id) {
+            throw new Error(
+                `Receipt ${asset_id} is already reconciled to transaction ${asset.transaction_id} -- clear it with update_asset transaction_id:null to re-link`
+            );
+        }
+
+        const transaction = await findCompanyRow(
+            this.db, 'fictionlab.biz_transactions', transaction_id, companyId, 'Transaction', TRANSACTION_SCOPE
+        );
+        if (transaction.direction !== 'expense') {
+            throw new Error(`Transaction ${transaction_id} is ${transaction.direction}, not an expense`);
+        }
+
+        // The transaction_id IS NULL guard makes a concurrent confirm of the
+        // same receipt lose cleanly instead of silently re-pointing it.
+        const result = await this.db.query(
+            `UPDATE fictionlab.biz_assets SET transaction_id = $3
+             WHERE id = $1 AND company_id = $2 AND transaction_id IS NULL
+             RETURNING *`,
+            [asset_id, companyId, transaction_id]
+        );
+        if (result.rows.length === 0) {
+            throw new Error(`Receipt ${asset_id} was reconciled by another call -- reload and try again`);
+        }
+
+        return { asset: result.rows[0], transaction };
+    }
+
+    /**
+     * list_transactions_missing_receipts — the tax-time report: expense
+     * transactions of at least min_amount with no receipt asset linked.
+     */
+    async handleListTransactionsMissingReceipts(args) {
+        const { company_id, min_amount = 75, date_from, date_to, category } = args || {};
+
+        if (!(Number(min_amount) >= 0)) {
+            throw new Error(`Invalid min_amount: ${min_amount}`);
+        }
+
+        const companyId = await resolveCompanyId(this.db, company_id);
+
+        const conditions = ['a.company_id = $1', "t.direction = 'expense'", 't.amount >= $2', `NOT ${HAS_RECEIPT}`];
+        const params = [companyId, min_amount];
+        let i = 3;
+
+        if (date_from) {
+            conditions.push(`t.occurred_on >= $${i++}`);
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push(`t.occurred_on <= $${i++}`);
+            params.push(date_to);
+        }
+        if (category) {
+            conditions.push(`t.category = $${i++}`);
+            params.push(category);
+        }
+
+        const result = await this.db.query(
+            `SELECT t.id, t.account_id, a.name AS account_name, t.occurred_on, t.amount,
+                    t.category, t.description, c.name AS vendor_name
+             FROM fictionlab.biz_transactions t
+             JOIN fictionlab.biz_accounts a ON a.id = t.account_id
+             LEFT JOIN fictionlab.biz_contacts c ON c.id = t.vendor_contact_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY t.amount DESC, t.occurred_on`,
+            params
+        );
+
+        const total = result.rows.reduce((sum, row) => sum + Number(row.amount), 0);
+
+        return {
+            company_id: companyId,
+            min_amount,
+            count: result.rows.length,
+            total_amount: Math.round(total * 100) / 100,
+            transactions: result.rows
+        };
+    }
+}
@@ -0,0 +1,228 @@
+// src/mcps/business-server/index.js
+// Business MCP Server (S15 business tracker)
+// Typed CRUD over the fictionlab.biz_* tables from migrations 048-059, so
+// the business tracker no longer has to be driven through
+// database-admin-server's raw db_insert_record tools. Every tool is scoped
+// by company_id and defaults to the seeded 'Broad Quill' company.
+// Port 3017 (next free after story-analysis's 3016).
+
+// Protect stdout from debug logging in MCP stdio mode
+if (process.env.MCP_STDIO_MODE === 'true') {
+    console.error = function () {
+        process.stderr.write(Array.from(arguments).join(' ') + '\n');
+    };
+}
+
+import { BaseMCPServer } from '../../shared/base-server.js';
+import { CompanyHandlers } from './handlers/company-handlers.js';
+import { FinanceHandlers } from './handlers/finance-handlers.js';
+import { PlanningHandlers } from './handlers/planning-handlers.js';
+import { ObligationHandlers } from './handlers/obligation-handlers.js';
+import { ContentHandlers } from './handlers/content-handlers.js';
+import { ImportHandlers } from './handlers/import-handlers.js';
+import { ReceiptHandlers } from './handlers/receipt-handlers.js';
+import { BookLinkHandlers } from './handlers/book-link-handlers.js';
+import { KpiImportHandlers } from './handlers/kpi-import-handlers.js';
+import { CalendarHandlers } from './handlers/calendar-handlers.js';
+import { BundleHandlers } from './handlers/bundle-handlers.js';
+import { businessToolsSchema } from './schemas/business-tools-schema.js';
+
+class BusinessMCPServer extends BaseMCPServer {
+    constructor() {
+        console.error('[BUSINESS] Constructor starting...');
+        try {
+            super('business', '1.0.0');
+            console.error('[BUSINESS] Constructor completed successfully');
+        } catch (error) {
+            console.error('[BUSINESS] Constructor failed:', error.message);
+            console.error('[BUSINESS] Stack:', error.stack);
+            throw error;
+        }
+
+        // All handlers share the ONE database pool (BaseMCPServer's shared
+        // pool via getSharedDatabasePool()) — no per-request pools.
+        this.companyHandlers = new CompanyHandlers(this.db);
+        this.financeHandlers = new FinanceHandlers(this.db);
+        this.planningHandlers = new PlanningHandlers(this.db);
+        this.obligationHandlers = new ObligationHandlers(this.db);
+        this.contentHandlers = new ContentHandlers(this.db);
+        this.importHandlers = new ImportHandlers(this.db);
+        this.receiptHandlers = new ReceiptHandlers(this.db);
+        this.bookLinkHandlers = new BookLinkHandlers(this.db);
+        this.kpiImportHandlers = new KpiImportHandlers(this.db);
+        this.calendarHandlers = new CalendarHandlers(this.db);
+        this.bundleHandlers = new BundleHandlers(this.db);
+
+        this.tools = this.getTools();
+
+        if (process.env.MCP_STDIO_MODE !== 'true') {
+            console.error(`[BUSINESS] Initialized with ${this.tools.length} tools`);
+        }
+
+        this.testDatabaseConnection();
+    }
+
+    async testDatabaseConnection() {
+        try {
+            if (this.db) {
+                const healthPromise = this.db.healthCheck();
+                const timeoutPromise = new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Database health check timed out')), 5000)
+                );
+
+                const health = await Promise.race([healthPromise, timeoutPromise]);
+                if (health.healthy) {
+                    console.error('[BUSINESS] Database connection verified');
+                } else {
+                    console.error('[BUSINESS] Database health check failed:', health.error);
+                }
+            }
+        } catch (error) {
+            console.error('[BUSINESS] Database connection test failed:', error.message);
+        }
+    }
+
+    getTools() {
+        return [...businessToolsSchema];
+    }
+
+    getToolHandler(toolName) {
+        const handlers = {
+            // Company handlers (8 tools)
+            'list_companies': this.companyHandlers.handleListCompanies.bind(this.companyHandlers),
+            'create_company': this.companyHandlers.handleCreateCompany.bind(this.companyHandlers),
+            'update_company': this.companyHandlers.handleUpdateCompany.bind(this.companyHandlers),
+            'close_company': this.companyHandlers.handleCloseCompany.bind(this.companyHandlers),
+            'list_contacts': this.companyHandlers.handleListContacts.bind(this.companyHandlers),
+            'create_contact': this.companyHandlers.handleCreateContact.bind(this.companyHandlers),
+            'update_contact': this.companyHandlers.handleUpdateContact.bind(this.companyHandlers),
+            'delete_contact': this.companyHandlers.handleDeleteContact.bind(this.companyHandlers),
+            // Finance handlers (12 tools)
+            'list_accounts': this.financeHandlers.handleListAccounts.bind(this.financeHandlers),
+            'create_account': this.financeHandlers.handleCreateAccount.bind(this.financeHandlers),
+            'update_account': this.financeHandlers.handleUpdateAccount.bind(this.financeHandlers),
+            'list_transactions': this.financeHandlers.handleListTransactions.bind(this.financeHandlers),
+            'create_transaction': this.financeHandlers.handleCreateTransaction.bind(this.financeHandlers),
+            'update_transaction': this.financeHandlers.handleUpdateTransaction.bind(this.financeHandlers),
+            'delete_transaction': this.financeHandlers.handleDeleteTransaction.bind(this.financeHandlers),
+            'create_transfer': this.financeHandlers.handleCreateTransfer.bind(this.financeHandlers),
+            'list_transfers': this.financeHandlers.handleListTransfers.bind(this.financeHandlers),
+            'get_cash_position': this.financeHandlers.handleGetCashPosition.bind(this.financeHandlers),
+            'get_category_totals': this.financeHandlers.handleGetCategoryTotals.bind(this.financeHandlers),
+            'get_book_pnl': this.financeHandlers.handleGetBookPnl.bind(this.financeHandlers),
+            // Planning handlers (12 tools)
+            'list_deadlines': this.planningHandlers.handleListDeadlines.bind(this.planningHandlers),
+            'create_deadline': this.planningHandlers.handleCreateDeadline.bind(this.planningHandlers),
+            'update_deadline': this.planningHandlers.handleUpdateDeadline.bind(this.planningHandlers),
+            'delete_deadline': this.planningHandlers.handleDeleteDeadline.bind(this.planningHandlers),
+            'complete_deadline': this.planningHandlers.handleCompleteDeadline.bind(this.planningHandlers),
+            'snooze_deadline': this.planningHandlers.handleSnoozeDeadline.bind(this.planningHandlers),
+            'list_upcoming_deadlines': this.planningHandlers.handleListUpcomingDeadlines.bind(this.planningHandlers),
+            'get_deadline_alerts': this.planningHandlers.handleGetDeadlineAlerts.bind(this.planningHandlers),
+            'list_pipeline_items': this.planningHandlers.handleListPipelineItems.bind(this.planningHandlers),
+            'create_pipeline_item': this.planningHandlers.handleCreatePipelineItem.bind(this.planningHandlers),
+            'update_pipeline_item': this.planningHandlers.handleUpdatePipelineItem.bind(this.planningHandlers),
+            'delete_pipeline_item': this.planningHandlers.handleDeletePipelineItem.bind(this.planningHandlers),
+            // Obligation handlers (10 tools)
+            'list_subscriptions': this.obligationHandlers.handleListSubscriptions.bind(this.obligationHandlers),
+            'create_subscription': this.obligationHandlers.handleCreateSubscription.bind(this.obligationHandlers),
+            'update_subscription': this.obligationHandlers.handleUpdateSubscription.bind(this.obligationHandlers),
+            'list_debts': this.obligationHandlers.handleListDebts.bind(this.obligationHandlers),
+            'create_debt': this.obligationHandlers.handleCreateDebt.bind(this.obligationHandlers),
+            'update_debt': this.obligationHandlers.handleUpdateDebt.bind(this.obligationHandlers),
+            'plan_debt_payoff': this.obligationHandlers.handlePlanDebtPayoff.bind(this.obligationHandlers),
+            'list_savings_goals': this.obligationHandlers.handleListSavingsGoals.bind(this.obligationHandlers),
+            'create_savings_goal': this.obligationHandlers.handleCreateSavingsGoal.bind(this.obligationHandlers),
+            'update_savings_goal': this.obligationHandlers.handleUpdateSavingsGoal.bind(this.obligationHandlers),
+            // Content handlers (13 tools)
+            'list_platforms': this.contentHandlers.handleListPlatforms.bind(this.contentHandlers),
+            'create_platform': this.contentHandlers.handleCreatePlatform.bind(this.contentHandlers),
+            'update_platform': this.contentHandlers.handleUpdatePlatform.bind(this.contentHandlers),
+            'list_content_items': this.contentHandlers.handleListContentItems.bind(this.contentHandlers),
+            'create_content_item': this.contentHandlers.handleCreateContentItem.bind(this.contentHandlers),
+            'update_content_item': this.contentHandlers.handleUpdateContentItem.bind(this.contentHandlers),
+            'delete_content_item': this.contentHandlers.handleDeleteContentItem.bind(this.contentHandlers),
+            'list_assets': this.contentHandlers.handleListAssets.bind(this.contentHandlers),
+            'create_asset': this.contentHandlers.handleCreateAsset.bind(this.contentHandlers),
+            'update_asset': this.contentHandlers.handleUpdateAsset.bind(this.contentHandlers),
+            'delete_asset': this.contentHandlers.handleDeleteAsset.bind(this.contentHandlers),
+            'record_kpi': this.contentHandlers.handleRecordKpi.bind(this.contentHandlers),
+            'list_kpis': this.contentHandlers.handleListKpis.bind(this.contentHandlers),
+            // Import handlers (3 tools)
+            'set_import_profile': this.importHandlers.handleSetImportProfile.bind(this.importHandlers),
+            'get_import_profile': this.importHandlers.handleGetImportProfile.bind(this.importHandlers),
+            'import_statement_csv': this.importHandlers.handleImportStatementCsv.bind(this.importHandlers),
+            // Receipt handlers (4 tools)
+            'list_unreconciled_receipts': this.receiptHandlers.handleListUnreconciledReceipts.bind(this.receiptHandlers),
+            'propose_receipt_matches': this.receiptHandlers.handleProposeReceiptMatches.bind(this.receiptHandlers),
+            'confirm_receipt_match': this.receiptHandlers.handleConfirmReceiptMatch.bind(this.receiptHandlers),
+            'list_transactions_missing_receipts': this.receiptHandlers.handleListTransactionsMissingReceipts.bind(this.receiptHandlers),
+            // KPI import handlers (4 tools)
+            'set_kpi_import_profile': this.kpiImportHandlers.handleSetKpiImportProfile.bind(this.kpiImportHandlers),
+            'get_kpi_import_profile': this.kpiImportHandlers.handleGetKpiImportProfile.bind(this.kpiImportHandlers),
+            'import_kpi_csv': this.kpiImportHandlers.handleImportKpiCsv.bind(this.kpiImportHandlers),
+            'get_kpi_trend': this.kpiImportHandlers.handleGetKpiTrend.bind(this.kpiImportHandlers),
+            // Book link handlers (4 tools)
+            'link_book_ref': this.bookLinkHandlers.handleLinkBookRef.bind(this.bookLinkHandlers),
+            'unlink_book_ref': this.bookLinkHandlers.handleUnlinkBookRef.bind(this.bookLinkHandlers),
+            'resolve_book_refs': this.bookLinkHandlers.handleResolveBookRefs.bind(this.bookLinkHandlers),
+            'get_series_pnl': this.bookLinkHandlers.handleGetSeriesPnl.bind(this.bookLinkHandlers),
+            // Calendar handlers (5 tools)
+            'plan_content_item': this.calendarHandlers.handlePlanContentItem.bind(this.calendarHandlers),
+            'reschedule_content_item': this.calendarHandlers.handleRescheduleContentItem.bind(this.calendarHandlers),
+            'advance_content_item': this.calendarHandlers.handleAdvanceContentItem.bind(this.calendarHandlers),
+            'get_content_calendar': this.calendarHandlers.handleGetContentCalendar.bind(this.calendarHandlers),
+            'export_content_calendar_ics': this.calendarHandlers.handleExportContentCalendarIcs.bind(this.calendarHandlers),
+            // Bundle handlers (2 tools)
+            'export_company_bundle': this.bundleHandlers.handleExportCompanyBundle.bind(this.bundleHandlers),
+            'import_company_bundle': this.bundleHandlers.handleImportCompanyBundle.bind(this.bundleHandlers)
+        };
+        return handlers[toolName];
+    }
+}
+
+export { BusinessMCPServer };
+
+// CLI runner when called directly
+const normalizePath = (path) => {
+    if (!path) return '';
+    let normalizedPath = path.replace(/\\/g, '/');
+    if (!normalizedPath.startsWith('file:')) {
+        if (process.platform === 'win32') {
+            normalizedPath = `file:///${normalizedPath}`;
+        } else {
+            normalizedPath = `file://${normalizedPath}`;
+        }
+    }
+    normalizedPath = normalizedPath.replace(/^file:\/+/, 'file:///');
+    return normalizedPath;
+};
+
+const normalizedScriptPath = normalizePath(process.argv[1]);
+const normalizedCurrentModuleUrl = import.meta.url.replace(/\/{3,}/g, '///')
+    .replace(/^file:\/([^\/])/, 'file:///$1');
+
+const isDirectExecution = normalizedCurrentModuleUrl === normalizedScriptPath ||
+    decodeURIComponent(normalizedCurrentModuleUrl) === normalizedScriptPath;
+
+if (process.env.MCP_STDIO_MODE && isDirectExecution) {
+    console.error('[BUSINESS] Running in MCP stdio mode - starting server...');
+    try {
+        const server = new BusinessMCPServer();
+        await server.run();
+    } catch (error) {
+        console.error('[BUSINESS] Failed to start MCP server:', error.message);
+        console.error('[BUSINESS] Stack:', error.stack);
+        process.exit(1);
+    }
+} else if (isDirectExecution) {
+    console.error('[BUSINESS] Starting CLI runner...');
+    try {
+        const { CLIRunner } = await import('../../shared/cli-runner.js');
+        const runner = new CLIRunner(BusinessMCPServer);
+        await runner.run();
+    } catch (error) {
+        console.error('[BUSINESS] CLI runner failed:', error.message);
+        throw error;
+    }
+}
@@ -0,0 +1,1130 @@
+// src/mcps/business-server/schemas/business-tools-schema.js
+// Tool schemas for the business-server MCP (S15 business tracker, the
+// fictionlab.biz_* tables from migrations 048-059). Shape matches
+// kanban-server/schemas/kanban-tools-schema.js:
+// { name, description, inputSchema: { type:'object', properties, required } }.
+// Every tool accepts an optional company_id and defaults to the seeded
+// 'Broad Quill' company when it is omitted (see handlers/biz-helpers.js).
+
+import {
+    CONTACT_TYPES,
+    ACCOUNT_TYPES,
+    TRANSACTION_DIRECTIONS,
+    DEADLINE_RECURRENCES,
+    DEADLINE_CATEGORIES,
+    PIPELINE_STAGES,
+    SUBSCRIPTION_CADENCES,
+    DEBT_STATUSES,
+    SAVINGS_GOAL_STATUSES,
+    PLATFORM_TYPES,
+    CONTENT_TYPES,
+    CONTENT_STATUSES,
+    ASSET_TYPES
+} from '../handlers/biz-helpers.js';
+import { DATE_FORMATS, AMOUNT_SIGNS } from '../utils/statement-csv.js';
+import { PAYOFF_STRATEGIES } from '../utils/debt-payoff.js';
+import { KPI_AGGREGATES, KPI_IMPORT_PRESETS } from '../utils/kpi-csv.js';
+
+const COMPANY_ID = {
+    type: 'integer',
+    description: "biz_companies.id to scope this call to. Defaults to the 'Broad Quill' company."
+};
+const DATE = (description) => ({ type: 'string', description: `${description} (YYYY-MM-DD)` });
+const MONEY = (description) => ({ type: 'number', description });
+
+const IMPORT_PROFILE_PROPERTIES = {
+    date_column: { type: 'string', description: 'CSV header of the transaction date' },
+    date_format: { type: 'string', enum: DATE_FORMATS, default: 'YYYY-MM-DD' },
+    description_column: { type: 'string', description: 'CSV header of the payee/description' },
+    amount_column: { type: 'string', description: 'Single signed amount column (leave unset when using debit_column + credit_column)' },
+    amount_sign: {
+        type: 'string',
+        enum: AMOUNT_SIGNS,
+        default: 'negative_is_expense',
+        description: 'Which sign of amount_column is money out: bank exports are usually negative_is_expense, card exports positive_is_expense'
+    },
+    debit_column: { type: 'string', description: 'Unsigned money-out column (with credit_column, instead of amount_column)' },
+    credit_column: { type: 'string', description: 'Unsigned money-in column (with debit_column, instead of amount_column)' },
+    category_column: { type: 'string', description: 'Optional CSV header copied into category' },
+    default_category: { type: 'string', description: 'Category when category_column is unset or blank' },
+    delimiter: { type: 'string', default: ',' },
+    skip_rows: { type: 'integer', default: 0, description: 'Preamble lines before the header row' },
+    notes: { type: 'string' }
+};
+
+const CONTACT_PROPERTIES = {
+    name: { type: 'string' },
+    contact_type: { type: 'string', enum: CONTACT_TYPES, default: 'vendor' },
+    company: { type: 'string', description: "The contact's own organization (free text, not a biz_companies row)" },
+    email: { type: 'string' },
+    phone: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'string' }
+};
+
+const ACCOUNT_PROPERTIES = {
+    name: { type: 'string' },
+    account_type: { type: 'string', enum: ACCOUNT_TYPES, default: 'checking' },
+    institution: { type: 'string' },
+    currency: { type: 'string', default: 'USD' },
+    opening_balance: MONEY('Balance before the first recorded transaction'),
+    credit_limit: MONEY("credit_card only"),
+    apr: { type: 'number', description: 'credit_card only, percent (e.g. 24.99)' },
+    statement_day: { type: 'integer', minimum: 1, maximum: 28, description: 'credit_card only, day of month 1-28' },
+    is_archived: { type: 'boolean', description: 'Archived accounts drop out of get_cash_position' },
+    notes: { type: 'string' }
+};
+
+const TRANSACTION_PROPERTIES = {
+    account_id: { type: 'integer' },
+    occurred_on: DATE('Transaction date'),
+    amount: MONEY('Always positive; the sign comes from direction'),
+    direction: { type: 'string', enum: TRANSACTION_DIRECTIONS, description: "Use create_transfer for 'transfer'" },
+    category: { type: 'string' },
+    vendor_contact_id: { type: 'integer' },
+    book_ref: { type: 'string', description: 'Free-text book label -- groups get_book_pnl; link it to a canon book with link_book_ref' },
+    subscription_id: { type: 'integer' },
+    debt_id: { type: 'integer', description: 'Marks an expense as a payment on this debt; the debt balance goes down by amount automatically' },
+    description: { type: 'string' }
+};
+
+const DEADLINE_PROPERTIES = {
+    title: { type: 'string' },
+    due_date: DATE('Next due date'),
+    recurrence: { type: 'string', enum: DEADLINE_RECURRENCES, default: 'none' },
+    category: { type: 'string', enum: DEADLINE_CATEGORIES, default: 'compliance' },
+    notes: { type: 'string' },
+    snoozed_until: DATE('Hide from alerts until this date')
+};
+
+const PIPELINE_PROPERTIES = {
+    title: { type: 'string', description: 'Book title' },
+    persona: { type: 'string', description: 'Pen name / imprint' },
+    stage: { type: 'string', enum: PIPELINE_STAGES, default: 'dossier' },
+    target_date: DATE('Target date for the current stage'),
+    book_id: { type: ['integer', 'null'], description: 'Canon books.id this item produces (optional; null clears). See resolve_book_refs for suggestions' },
+    notes: { type: 'string' }
+};
+
+const SUBSCRIPTION_PROPERTIES = {
+    name: { type: 'string' },
+    vendor_contact_id: { type: 'integer' },
+    account_id: { type: 'integer', description: 'Account the subscription is charged to' },
+    amount: MONEY('Charge per cadence period'),
+    cadence: { type: 'string', enum: SUBSCRIPTION_CADENCES, default: 'monthly' },
+    category: { type: 'string' },
+    deadline_id: { type: 'integer', description: "biz_deadlines row (category='renewal') carrying the renewal date" },
+    is_active: { type: 'boolean' },
+    notes: { type: 'string' }
+};
+
+const DEBT_PROPERTIES = {
+    name: { type: 'string' },
+    creditor_contact_id: { type: 'integer' },
+    principal: MONEY('Original amount borrowed'),
+    balance: MONEY('Current balance (defaults to principal on create)'),
+    apr: { type: 'number', description: 'Percent, e.g. 7.5' },
+    minimum_payment: MONEY('Minimum monthly payment'),
+    deadline_id: { type: 'integer', description: 'biz_deadlines row carrying the recurring payment-due date' },
+    payoff_target_date: DATE('Date the debt should be paid off by'),
+    status: { type: 'string', enum: DEBT_STATUSES },
+    notes: { type: 'string' }
+};
+
+const SAVINGS_GOAL_PROPERTIES = {
+    name: { type: 'string' },
+    target_amount: MONEY('Amount to reach'),
+    current_amount: MONEY('Amount saved so far'),
+    target_date: DATE('Goal date'),
+    account_id: { type: 'integer', description: 'Account the savings live in' },
+    status: { type: 'string', enum: SAVINGS_GOAL_STATUSES },
+    notes: { type: 'string' }
+};
+
+const PLATFORM_PROPERTIES = {
+    name: { type: 'string', description: 'e.g. "Amazon KDP", "Instagram" -- unique per company' },
+    platform_type: { type: 'string', enum: PLATFORM_TYPES },
+    handle_or_url: { type: 'string' },
+    notes: { type: 'string' }
+};
+
+const CONTENT_ITEM_PROPERTIES = {
+    title: { type: 'string' },
+    content_type: { type: 'string', enum: CONTENT_TYPES, default: 'social_post' },
+    platform_id: { type: 'integer' },
+    status: { type: 'string', enum: CONTENT_STATUSES, default: 'idea' },
+    publish_date: DATE('Planned or actual publish date'),
+    book_ref: { type: 'string', description: 'Free-text book label (not an FK)' },
+    external_ref: { type: 'string', description: "URL, or for content_type='newsletter_ref' the issue filename" },
+    notes: { type: 'string' }
+};
+
+const ASSET_PROPERTIES = {
+    title: { type: 'string' },
+    asset_type: { type: 'string', enum: ASSET_TYPES, default: 'image' },
+    path_or_url: { type: 'string', description: 'Pointer to a file produced elsewhere -- never a copy' },
+    content_item_id: { type: 'integer' },
+    transaction_id: { type: 'integer', description: 'For receipts: the transaction this receipt backs (NULL until reconciled)' },
+    platform_id: { type: 'integer' },
+    tags: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'string' }
+};
+
+export const businessToolsSchema = [
+    // ---- Companies (4) ----
+    {
+        name: 'list_companies',
+        description: 'Lists business companies (active first). Closed companies are kept as history.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                include_closed: { type: 'boolean', default: true }
+            }
+        }
+    },
+    {
+        name: 'create_company',
+        description: 'Creates a new company identity (e.g. a successor entity). Every other business tool is scoped by company_id.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Unique company name' },
+                legal_name: { type: 'string' },
+                notes: { type: 'string' }
+            },
+            required: ['name']
+        }
+    },
+    {
+        name: 'update_company',
+        description: "Partial patch of a company's name/legal_name/notes. Use close_company to change status.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: { type: 'integer' },
+                name: { type: 'string' },
+                legal_name: { type: 'string' },
+                notes: { type: 'string' }
+            },
+            required: ['company_id']
+        }
+    },
+    {
+        name: 'close_company',
+        description: "Closes a company (status='closed' + closed_on). Never deletes -- its history stays intact.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: { type: 'integer' },
+                closed_on: DATE('Close date, defaults to today')
+            },
+            required: ['company_id']
+        }
+    },
+
+    // ---- Contacts (4) ----
+    {
+        name: 'list_contacts',
+        description: 'Lists contacts/vendors for a company. Filters: contact_type, tag, q (name/company/email search).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                contact_type: { type: 'string', enum: CONTACT_TYPES },
+                tag: { type: 'string' },
+                q: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'create_contact',
+        description: 'Creates a contact (vendor, collaborator, reader, professional, other).',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...CONTACT_PROPERTIES },
+            required: ['name']
+        }
+    },
+    {
+        name: 'update_contact',
+        description: 'Partial patch of a contact -- only provided keys change.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, contact_id: { type: 'integer' }, ...CONTACT_PROPERTIES },
+            required: ['contact_id']
+        }
+    },
+    {
+        name: 'delete_contact',
+        description: 'Deletes a contact. Transactions, subscriptions and debts that referenced it keep their rows with the link cleared.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, contact_id: { type: 'integer' } },
+            required: ['contact_id']
+        }
+    },
+
+    // ---- Accounts (3) ----
+    {
+        name: 'list_accounts',
+        description: 'Lists finance accounts (bank, savings, credit cards, payment processors). Archived accounts are excluded unless include_archived.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                account_type: { type: 'string', enum: ACCOUNT_TYPES },
+                include_archived: { type: 'boolean', default: false }
+            }
+        }
+    },
+    {
+        name: 'create_account',
+        description: 'Creates a finance account. credit_limit/apr/statement_day are only valid for account_type credit_card.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...ACCOUNT_PROPERTIES },
+            required: ['name']
+        }
+    },
+    {
+        name: 'update_account',
+        description: 'Partial patch of an account. Archive with is_archived:true (accounts are never deleted -- that would cascade away their transactions).',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, account_id: { type: 'integer' }, ...ACCOUNT_PROPERTIES },
+            required: ['account_id']
+        }
+    },
+
+    // ---- Transactions (6) ----
+    {
+        name: 'list_transactions',
+        description: 'Lists transactions, newest first. Filters: account_id, direction, category, book_ref, vendor_contact_id, debt_id, date_from/date_to (inclusive).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                account_id: { type: 'integer' },
+                direction: { type: 'string', enum: TRANSACTION_DIRECTIONS },
+                category: { type: 'string' },
+                book_ref: { type: 'string' },
+                vendor_contact_id: { type: 'integer' },
+                debt_id: { type: 'integer', description: 'Payments recorded against this debt' },
+                date_from: DATE('Earliest occurred_on'),
+                date_to: DATE('Latest occurred_on'),
+                limit: { type: 'integer', default: 200 }
+            }
+        }
+    },
+    {
+        name: 'create_transaction',
+        description: 'Manual quick-add of one transaction (statement import is the system of record). amount is positive; direction carries the sign.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...TRANSACTION_PROPERTIES },
+            required: ['account_id', 'occurred_on', 'amount', 'direction']
+        }
+    },
+    {
+        name: 'update_transaction',
+        description: 'Partial patch of a transaction -- only provided keys change. Transfer legs only accept descriptive changes (category, description, ...).',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, transaction_id: { type: 'integer' }, ...TRANSACTION_PROPERTIES },
+            required: ['transaction_id']
+        }
+    },
+    {
+        name: 'delete_transaction',
+        description: 'Deletes a transaction (e.g. a mistaken manual entry). Deleting either leg of a transfer deletes both.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, transaction_id: { type: 'integer' } },
+            required: ['transaction_id']
+        }
+    },
+
+    {
+        name: 'create_transfer',
+        description: "Moves money between two of the company's accounts: writes the out leg on the source and the in leg on the destination together. Cash position moves; P&L is unaffected.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                from_account_id: { type: 'integer' },
+                to_account_id: { type: 'integer' },
+                occurred_on: DATE('Transfer date'),
+                amount: MONEY('Amount moved (positive)'),
+                category: { type: 'string' },
+                description: { type: 'string', description: "Defaults to 'Transfer to/from <account>' on each leg" }
+            },
+            required: ['from_account_id', 'to_account_id', 'occurred_on', 'amount']
+        }
+    },
+    {
+        name: 'list_transfers',
+        description: 'Lists transfers, newest first, one row per transfer with both account names. account_id matches either side.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                account_id: { type: 'integer' },
+                date_from: DATE('Earliest occurred_on'),
+                date_to: DATE('Latest occurred_on'),
+                limit: { type: 'integer', default: 200 }
+            }
+        }
+    },
+
+    // ---- Statement import (3) ----
+    {
+        name: 'set_import_profile',
+        description: "Creates or updates the account's statement CSV column mapping. Omitted keys keep their saved value; null clears one.",
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, account_id: { type: 'integer' }, ...IMPORT_PROFILE_PROPERTIES },
+            required: ['account_id']
+        }
+    },
+    {
+        name: 'get_import_profile',
+        description: "Returns the account's statement CSV column mapping (null if none is set).",
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, account_id: { type: 'integer' } },
+            required: ['account_id']
+        }
+    },
+    {
+        name: 'import_statement_csv',
+        description: 'Imports a bank/card statement CSV into transactions through the account\'s import profile. Idempotent: rows already on file (same date, amount and normalized description) are skipped, so re-importing a statement never duplicates. Reports inserted, duplicate and rejected rows.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                account_id: { type: 'integer' },
+                csv_text: { type: 'string', description: 'Statement CSV contents (or use file_path)' },
+                file_path: { type: 'string', description: 'Path to the statement CSV, readable by the server (or use csv_text)' },
+                dry_run: { type: 'boolean', default: false, description: 'Report what would be imported without writing' }
+            },
+            required: ['account_id']
+        }
+    },
+
+    // ---- Reports (3, read-only views) ----
+    {
+        name: 'get_cash_position',
+        description: 'Current balance per active account (opening_balance + net transactions, transfers moving money between accounts) plus the company total.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID }
+        }
+    },
+    {
+        name: 'get_category_totals',
+        description: 'Net income/expense per category per month. Optional month_from/month_to bounds (any date inside the month).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                month_from: DATE('First month to include'),
+                month_to: DATE('Last month to include')
+            }
+        }
+    },
+    {
+        name: 'get_book_pnl',
+        description: 'Per-book P&L (income, expense, net) grouped by transaction book_ref, with the linked canon book_id/book_title/series_id when the label is linked.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                book_ref: { type: 'string', description: 'Narrow to one book label' }
+            }
+        }
+    },
+
+    // ---- Deadlines (8) ----
+    {
+        name: 'list_deadlines',
+        description: 'Lists open deadlines by due date. Filters: category, due_before; include_done adds completed one-off deadlines.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                category: { type: 'string', enum: DEADLINE_CATEGORIES },
+                due_before: DATE('Only deadlines due on or before this date'),
+                include_done: { type: 'boolean', default: false }
+            }
+        }
+    },
+    {
+        name: 'create_deadline',
+        description: 'Creates a deadline. Recurring deadlines (monthly/quarterly/annual) are one row whose due_date rolls forward.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...DEADLINE_PROPERTIES },
+            required: ['title', 'due_date']
+        }
+    },
+    {
+        name: 'update_deadline',
+        description: 'Partial patch of a deadline -- only provided keys change.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, deadline_id: { type: 'integer' }, ...DEADLINE_PROPERTIES },
+            required: ['deadline_id']
+        }
+    },
+    {
+        name: 'delete_deadline',
+        description: 'Deletes a deadline. Subscriptions/debts that used it as their due date keep their rows with deadline_id cleared.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, deadline_id: { type: 'integer' } },
+            required: ['deadline_id']
+        }
+    },
+
+    {
+        name: 'complete_deadline',
+        description: 'Completes a deadline. One-off deadlines are marked done; recurring ones roll due_date forward one period (month-end dates clamp, e.g. Jan 31 -> Feb 28 -> Mar 31) and any snooze is cleared.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, deadline_id: { type: 'integer' } },
+            required: ['deadline_id']
+        }
+    },
+    {
+        name: 'snooze_deadline',
+        description: 'Hides an open deadline from get_deadline_alerts until a date (snoozed_until) or for N days. snoozed_until: null un-snoozes. The due date does not move.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                deadline_id: { type: 'integer' },
+                snoozed_until: { ...DATE('Hide from alerts until this date'), type: ['string', 'null'] },
+                days: { type: 'integer', minimum: 1, description: 'Snooze for this many days from today (instead of snoozed_until)' }
+            },
+            required: ['deadline_id']
+        }
+    },
+    {
+        name: 'list_upcoming_deadlines',
+        description: 'Open deadlines due within the next N days, overdue ones included, with days_until and is_snoozed flags and the subscriptions/debts each one carries.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                within_days: { type: 'integer', minimum: 0, default: 30 },
+                as_of: DATE('Reference date (defaults to today)')
+            }
+        }
+    },
+    {
+        name: 'get_deadline_alerts',
+        description: 'Deadlines needing attention: open, due within N days or overdue, and not snoozed past as_of.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                within_days: { type: 'integer', minimum: 0, default: 7 },
+                as_of: DATE('Reference date (defaults to today)')
+            }
+        }
+    },
+
+    // ---- Pipeline items (4) ----
+    {
+        name: 'list_pipeline_items',
+        description: 'Lists books in the publishing pipeline in stage order (dossier -> live). Filters: stage, persona.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                stage: { type: 'string', enum: PIPELINE_STAGES },
+                persona: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'create_pipeline_item',
+        description: 'Adds a book to the publishing pipeline.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...PIPELINE_PROPERTIES },
+            required: ['title']
+        }
+    },
+    {
+        name: 'update_pipeline_item',
+        description: 'Partial patch of a pipeline item, e.g. advance its stage.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, pipeline_item_id: { type: 'integer' }, ...PIPELINE_PROPERTIES },
+            required: ['pipeline_item_id']
+        }
+    },
+    {
+        name: 'delete_pipeline_item',
+        description: 'Removes a book from the publishing pipeline.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, pipeline_item_id: { type: 'integer' } },
+            required: ['pipeline_item_id']
+        }
+    },
+
+    // ---- Subscriptions (3) ----
+    {
+        name: 'list_subscriptions',
+        description: 'Lists subscriptions with their next renewal date. Active only unless include_inactive.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                include_inactive: { type: 'boolean', default: false }
+            }
+        }
+    },
+    {
+        name: 'create_subscription',
+        description: "Creates a recurring subscription. Unless deadline_id is given, its renewal deadline (category 'renewal', recurring on the cadence) is created with it.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                ...SUBSCRIPTION_PROPERTIES,
+                next_renewal_date: DATE('Due date of the generated renewal deadline (defaults to one cadence period from today)')
+            },
+            required: ['name', 'amount']
+        }
+    },
+    {
+        name: 'update_subscription',
+        description: 'Partial patch of a subscription. Cancel with is_active:false.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, subscription_id: { type: 'integer' }, ...SUBSCRIPTION_PROPERTIES },
+            required: ['subscription_id']
+        }
+    },
+
+    // ---- Debts (4) ----
+    {
+        name: 'list_debts',
+        description: 'Lists debts with their next payment date. Optional status filter.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                status: { type: 'string', enum: DEBT_STATUSES }
+            }
+        }
+    },
+    {
+        name: 'create_debt',
+        description: 'Creates a debt. balance defaults to principal.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...DEBT_PROPERTIES },
+            required: ['name', 'principal']
+        }
+    },
+    {
+        name: 'update_debt',
+        description: "Partial patch of a debt. Mark it settled with status:'paid_off'.",
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, debt_id: { type: 'integer' }, ...DEBT_PROPERTIES },
+            required: ['debt_id']
+        }
+    },
+    {
+        name: 'plan_debt_payoff',
+        description: 'Month-by-month payoff schedule for every active debt with a balance. Each month pays all minimums plus extra_payment; the surplus goes to debts in strategy order (avalanche = highest APR first, snowball = smallest balance first, custom = debt_order). Returns total interest, each debt\'s payoff date and whether its payoff_target_date is achievable. Balances already reflect payments recorded with debt_id.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                strategy: { type: 'string', enum: PAYOFF_STRATEGIES, default: 'avalanche' },
+                extra_payment: MONEY('Amount paid each month on top of all minimums (default 0)'),
+                debt_order: {
+                    type: 'array',
+                    items: { type: 'integer' },
+                    description: "strategy 'custom' only: debt ids in payoff order; unlisted debts follow in avalanche order"
+                },
+                start_date: DATE('First payment date (default today); later payments fall on the same day each month'),
+                include_schedule: { type: 'boolean', default: true, description: 'false returns only the per-debt summary and totals' }
+            }
+        }
+    },
+
+    // ---- Savings goals (3) ----
+    {
+        name: 'list_savings_goals',
+        description: 'Lists savings goals with progress_percent. Optional status filter.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                status: { type: 'string', enum: SAVINGS_GOAL_STATUSES }
+            }
+        }
+    },
+    {
+        name: 'create_savings_goal',
+        description: 'Creates a savings goal.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...SAVINGS_GOAL_PROPERTIES },
+            required: ['name', 'target_amount']
+        }
+    },
+    {
+        name: 'update_savings_goal',
+        description: "Partial patch of a savings goal, e.g. current_amount, or status 'reached'/'abandoned'.",
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, savings_goal_id: { type: 'integer' }, ...SAVINGS_GOAL_PROPERTIES },
+            required: ['savings_goal_id']
+        }
+    },
+
+    // ---- Platforms (3) ----
+    {
+        name: 'list_platforms',
+        description: 'Lists content/marketing platforms (retail, social, email, other).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_type: { type: 'string', enum: PLATFORM_TYPES }
+            }
+        }
+    },
+    {
+        name: 'create_platform',
+        description: 'Creates a platform. name is unique per company.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...PLATFORM_PROPERTIES },
+            required: ['name']
+        }
+    },
+    {
+        name: 'update_platform',
+        description: 'Partial patch of a platform.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, platform_id: { type: 'integer' }, ...PLATFORM_PROPERTIES },
+            required: ['platform_id']
+        }
+    },
+
+    // ---- Content items (4) ----
+    {
+        name: 'list_content_items',
+        description: 'Lists content calendar items by publish date. Filters: status, content_type, platform_id, date_from/date_to.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                status: { type: 'string', enum: CONTENT_STATUSES },
+                content_type: { type: 'string', enum: CONTENT_TYPES },
+                platform_id: { type: 'integer' },
+                date_from: DATE('Earliest publish_date'),
+                date_to: DATE('Latest publish_date')
+            }
+        }
+    },
+    {
+        name: 'create_content_item',
+        description: 'Creates a content calendar item (idea -> draft -> scheduled -> published).',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...CONTENT_ITEM_PROPERTIES },
+            required: ['title']
+        }
+    },
+    {
+        name: 'update_content_item',
+        description: 'Partial patch of a content item.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, content_item_id: { type: 'integer' }, ...CONTENT_ITEM_PROPERTIES },
+            required: ['content_item_id']
+        }
+    },
+    {
+        name: 'delete_content_item',
+        description: 'Deletes a content item. Assets attached to it keep their rows with content_item_id cleared.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, content_item_id: { type: 'integer' } },
+            required: ['content_item_id']
+        }
+    },
+
+    // ---- Assets (4) ----
+    {
+        name: 'list_assets',
+        description: 'Lists asset pointers (images, video, audio, docs, receipts). Filters: asset_type, content_item_id, platform_id, tag.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                asset_type: { type: 'string', enum: ASSET_TYPES },
+                content_item_id: { type: 'integer' },
+                platform_id: { type: 'integer' },
+                tag: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'create_asset',
+        description: 'Registers an asset pointer (path_or_url) to a file produced elsewhere. Receipts use asset_type receipt.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, ...ASSET_PROPERTIES },
+            required: ['title', 'path_or_url']
+        }
+    },
+    {
+        name: 'update_asset',
+        description: 'Partial patch of an asset pointer.',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, asset_id: { type: 'integer' }, ...ASSET_PROPERTIES },
+            required: ['asset_id']
+        }
+    },
+    {
+        name: 'delete_asset',
+        description: 'Deletes an asset pointer (the file itself is untouched).',
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID, asset_id: { type: 'integer' } },
+            required: ['asset_id']
+        }
+    },
+
+    // ---- Receipt reconciliation (4) ----
+    {
+        name: 'list_unreconciled_receipts',
+        description: "Receipt assets (asset_type 'receipt') not yet linked to a transaction, newest first, with the amounts and date read from their title/notes.",
+        inputSchema: {
+            type: 'object',
+            properties: { company_id: COMPANY_ID }
+        }
+    },
+    {
+        name: 'propose_receipt_matches',
+        description: 'Ranks candidate expense transactions for a receipt (or every unreconciled receipt when asset_id is omitted) by amount on the receipt, date proximity and vendor/description match. Links nothing; confirm with confirm_receipt_match.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                asset_id: { type: 'integer', description: 'Receipt asset to match; omit for all unreconciled receipts' },
+                window_days: { type: 'integer', minimum: 0, default: 7, description: "Days either side of the receipt's date to search" },
+                limit: { type: 'integer', default: 5, description: 'Candidates per receipt' }
+            }
+        }
+    },
+    {
+        name: 'confirm_receipt_match',
+        description: 'Links an unreconciled receipt to the expense transaction it documents.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                asset_id: { type: 'integer' },
+                transaction_id: { type: 'integer' }
+            },
+            required: ['asset_id', 'transaction_id']
+        }
+    },
+    {
+        name: 'list_transactions_missing_receipts',
+        description: 'Tax-time report: expense transactions of at least min_amount with no receipt linked, largest first, with count and total.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                min_amount: MONEY('Smallest expense to report (default 75)'),
+                date_from: DATE('Earliest occurred_on, e.g. start of the tax year'),
+                date_to: DATE('Latest occurred_on'),
+                category: { type: 'string' }
+            }
+        }
+    },
+
+    // ---- KPIs (2) ----
+    {
+        name: 'record_kpi',
+        description: 'Records one KPI data point for a platform. Re-recording the same (platform, metric, date) overwrites it.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_id: { type: 'integer' },
+                metric_name: { type: 'string', description: 'e.g. kdp_units, newsletter_open_rate' },
+                metric_date: DATE('Date the value applies to'),
+                value: { type: 'number' },
+                notes: { type: 'string' }
+            },
+            required: ['platform_id', 'metric_name', 'metric_date', 'value']
+        }
+    },
+    {
+        name: 'list_kpis',
+        description: 'Lists KPI data points, newest first. Filters: platform_id, metric_name, date_from/date_to.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_id: { type: 'integer' },
+                metric_name: { type: 'string' },
+                date_from: DATE('Earliest metric_date'),
+                date_to: DATE('Latest metric_date')
+            }
+        }
+    },
+
+    // ---- KPI import (4) ----
+    {
+        name: 'set_kpi_import_profile',
+        description: "Creates or updates a platform's KPI CSV mapping: date column/format and metric_columns (CSV header -> metric_name, with how same-day rows fold). preset 'kdp' or 'email' fills in the stock export columns; explicit fields override it.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_id: { type: 'integer' },
+                preset: { type: 'string', enum: Object.keys(KPI_IMPORT_PRESETS), description: 'Start from a stock export layout' },
+                date_column: { type: 'string', description: 'CSV header of the metric date' },
+                date_format: { type: 'string', enum: DATE_FORMATS, default: 'YYYY-MM-DD', description: 'A trailing time in the cell is ignored' },
+                metric_columns: {
+                    type: 'object',
+                    description: 'Replaces the whole mapping. { "CSV header": "metric_name" } or { "CSV header": { "metric_name": "...", "aggregate": "sum|avg|max|last" } }; aggregate defaults to sum',
+                    additionalProperties: {
+                        oneOf: [
+                            { type: 'string' },
+                            {
+                                type: 'object',
+                                properties: {
+                                    metric_name: { type: 'string' },
+                                    aggregate: { type: 'string', enum: KPI_AGGREGATES }
+                                },
+                                required: ['metric_name']
+                            }
+                        ]
+                    }
+                },
+                filter_column: { type: ['string', 'null'], description: 'Only import rows where this column equals filter_value (e.g. Currency)' },
+                filter_value: { type: ['string', 'null'] },
+                delimiter: { type: 'string', default: ',' },
+                skip_rows: { type: 'integer', minimum: 0, default: 0, description: 'Preamble lines before the header row' },
+                notes: { type: 'string' }
+            },
+            required: ['platform_id']
+        }
+    },
+    {
+        name: 'get_kpi_import_profile',
+        description: "Returns a platform's KPI import profile, or null if none is set.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_id: { type: 'integer' }
+            },
+            required: ['platform_id']
+        }
+    },
+    {
+        name: 'import_kpi_csv',
+        description: "Imports a platform's KPI export (e.g. KDP units/royalties, newsletter open rates) through its KPI import profile. Rows fold into one value per metric and date, then upsert into the KPI series; re-importing the same file changes nothing. Reports created, updated, unchanged and rejected points.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                platform_id: { type: 'integer' },
+                csv_text: { type: 'string', description: 'Export CSV contents (or use file_path)' },
+                file_path: { type: 'string', description: 'Path to the export CSV, readable by the server (or use csv_text)' },
+                dry_run: { type: 'boolean', default: false, description: 'Report what would change without writing' }
+            },
+            required: ['platform_id']
+        }
+    },
+    {
+        name: 'get_kpi_trend',
+        description: 'One metric in Monday-start weeks, per platform, with week-over-week delta and delta_percent. aggregate defaults to the one the metric is imported with (avg for rates), else sum.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                metric_name: { type: 'string' },
+                platform_id: { type: 'integer', description: 'Default: every platform with this metric' },
+                weeks: { type: 'integer', minimum: 2, maximum: 104, default: 8 },
+                as_of: DATE('Last day counted (default today); its week is the last bucket'),
+                aggregate: { type: 'string', enum: KPI_AGGREGATES }
+            },
+            required: ['metric_name']
+        }
+    },
+
+    // ---- Book links (4) ----
+    {
+        name: 'link_book_ref',
+        description: 'Links a free-text book_ref label to a canon books row. Covers every transaction and content item carrying that label; re-linking replaces the book.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                book_ref: { type: 'string', description: 'The label exactly as written on transactions/content items' },
+                book_id: { type: 'integer', description: 'books.id (book-server)' },
+                notes: { type: 'string' }
+            },
+            required: ['book_ref', 'book_id']
+        }
+    },
+    {
+        name: 'unlink_book_ref',
+        description: 'Removes the canon-book link from a book_ref label. The label itself stays on its rows.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                book_ref: { type: 'string' }
+            },
+            required: ['book_ref']
+        }
+    },
+    {
+        name: 'resolve_book_refs',
+        description: 'Lists book_ref labels with no canon-book link, and pipeline items with no book_id, each with ranked book suggestions (100 = same title). Read-only: apply a suggestion with link_book_ref or update_pipeline_item.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                include_linked: { type: 'boolean', default: false, description: 'Also list labels that are already linked' },
+                min_score: { type: 'integer', minimum: 0, maximum: 100, default: 40 },
+                limit: { type: 'integer', default: 3, description: 'Suggestions per label' }
+            }
+        }
+    },
+    {
+        name: 'get_series_pnl',
+        description: 'Per-series P&L over book_ref labels linked to canon books, each series with its per-book breakdown. Without series_id also reports the unlinked labels left out.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                series_id: { type: 'integer' }
+            }
+        }
+    },
+
+    // ---- Content calendar (5) ----
+    {
+        name: 'plan_content_item',
+        description: 'Adds a content item to the calendar as idea, draft or scheduled (scheduled needs publish_date). Returns other items on the same platform and day.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                ...CONTENT_ITEM_PROPERTIES,
+                status: { type: 'string', enum: CONTENT_STATUSES.filter((status) => status !== 'published'), default: 'idea' }
+            },
+            required: ['title']
+        }
+    },
+    {
+        name: 'reschedule_content_item',
+        description: 'Moves a content item to another publish_date, or unschedules it with null (a scheduled item drops back to draft). Published items cannot be rescheduled.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                content_item_id: { type: 'integer' },
+                publish_date: { type: ['string', 'null'], description: 'New publish date (YYYY-MM-DD), or null to unschedule' }
+            },
+            required: ['content_item_id', 'publish_date']
+        }
+    },
+    {
+        name: 'advance_content_item',
+        description: 'Moves a content item forward through idea -> draft -> scheduled -> published: one step, or straight to to_status. Never moves backwards. Publishing without a date stamps today.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                content_item_id: { type: 'integer' },
+                to_status: { type: 'string', enum: CONTENT_STATUSES, description: 'Default: the next status' },
+                publish_date: DATE('Sets the date while scheduling'),
+                published_on: DATE('Actual publish date when marking published'),
+                external_ref: { type: 'string', description: 'Published URL or newsletter issue filename' }
+            },
+            required: ['content_item_id']
+        }
+    },
+    {
+        name: 'get_content_calendar',
+        description: 'Content items with a publish_date in a date range (at most 366 days), grouped by platform in date order, with per-status counts.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                date_from: DATE('First day'),
+                date_to: DATE('Last day'),
+                platform_id: { type: 'integer' },
+                status: { type: 'string', enum: CONTENT_STATUSES },
+                include_unscheduled: { type: 'boolean', default: false, description: 'Also list items with no publish_date' }
+            },
+            required: ['date_from', 'date_to']
+        }
+    },
+    {
+        name: 'export_content_calendar_ics',
+        description: 'Exports scheduled content items (and optionally open deadlines) as an iCalendar (.ics) feed of all-day events with stable UIDs. Writes file_path when given, otherwise returns the text.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                date_from: DATE('Optional first day'),
+                date_to: DATE('Optional last day'),
+                include_published: { type: 'boolean', default: false },
+                include_deadlines: { type: 'boolean', default: false, description: 'Add open biz_deadlines; recurring ones export with an RRULE' },
+                file_path: { type: 'string', description: 'Write the .ics here (e.g. a synced folder a calendar app subscribes to)' }
+            }
+        }
+    },
+
+    // ---- Company bundle (2) ----
+    {
+        name: 'export_company_bundle',
+        description: "Writes one company's books to a hand-off directory: JSON + CSV per biz table, cash/P&L view snapshots and a manifest.json with sha256 checksums. Read-only on the database.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                company_id: COMPANY_ID,
+                dir_path: { type: 'string', description: 'Directory to write (created if missing)' },
+                overwrite: { type: 'boolean', default: false, description: 'Replace a bundle already in dir_path' }
+            },
+            required: ['dir_path']
+        }
+    },
+    {
+        name: 'import_company_bundle',
+        description: 'Loads an export_company_bundle directory as a new company (new ids throughout) after verifying every checksum. Canon book links are kept only for books.id values present in this database.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                dir_path: { type: 'string' },
+                name: { type: 'string', description: "New company's name (default: the bundled name; must be unused)" },
+                dry_run: { type: 'boolean', default: false, description: 'Verify and count without writing' }
+            },
+            required: ['dir_path']
+        }
+    }
+];
@@ -0,0 +1,85 @@
+// src/mcps/business-server/utils/book-matching.js
+// Pure matching rules for linking free-text book labels (book_ref, pipeline
+// titles) to canon books rows (migration 058). Suggestions only -- nothing
+// is linked until link_book_ref / update_pipeline_item. No database access
+// here.
+
+import { normalizeDescription } from './statement-csv.js';
+
+const LEADING_ARTICLE = /^(the|a|an) /;
+const NUMBER_WORDS = /\b(?:book|bk|vol|volume|part|no|n)\b/g;
+
+/**
+ * Lowercased, punctuation-free title with a leading article dropped, so
+ * 'The Glass Oath' and 'glass oath' compare equal.
+ */
+export function normalizeTitle(title) {
+    return normalizeDescription(title).replace(LEADING_ARTICLE, '');
+}
+
+function words(text) {
+    return new Set(text.split(' ').filter((word) => word.length > 1 || /\d/.test(word)));
+}
+
+function containsPhrase(haystack, phrase) {
+    return phrase.length > 0 && ` ${haystack} `.includes(` ${phrase} `);
+}
+
+/**
+ * Score one label against one book ({ title, book_number, series_title }).
+ * Returns { score, reason } with score 0-100:
+ *   100 same title; 90 series title + book number ('Ashfall #2');
+ *   75 one title contains the other; else word overlap scaled to 60.
+ */
+export function scoreBookMatch(label, book) {
+    const normalizedLabel = normalizeTitle(label);
+    const title = normalizeTitle(book.title);
+
+    if (!normalizedLabel || !title) {
+        return { score: 0, reason: null };
+    }
+    if (normalizedLabel === title) {
+        return { score: 100, reason: 'same title' };
+    }
+
+    const series = normalizeTitle(book.series_title);
+    if (series && book.book_number !== null && book.book_number !== undefined && containsPhrase(normalizedLabel, series)) {
+        const rest = normalizedLabel.replace(series, ' ').replace(NUMBER_WORDS, ' ');
+        if (containsPhrase(rest.replace(/\s+/g, ' ').trim(), String(book.book_number))) {
+            return { score: 90, reason: `series '${book.series_title}' book ${book.book_number}` };
+        }
+    }
+
+    if (containsPhrase(normalizedLabel, title) || containsPhrase(title, normalizedLabel)) {
+        return { score: 75, reason: 'one title contains the other' };
+    }
+
+    const labelWords = words(normalizedLabel);
+    const titleWords = words(title);
+    const shared = [...labelWords].filter((word) => titleWords.has(word));
+    if (shared.length === 0) {
+        return { score: 0, reason: null };
+    }
+    const overlap = (2 * shared.length) / (labelWords.size + titleWords.size);
+
+    return { score: Math.round(60 * overlap), reason: `shares '${shared.join("', '")}'` };
+}
+
+/**
+ * Best-first book suggestions for a label, dropping anything under
+ * minScore. Ties go to the lower book id.
+ */
+export function suggestBooks(label, books, { minScore = 40, limit = 3 } = {}) {
+    return books
+        .map((book) => ({
+            book_id: book.id,
+            title: book.title,
+            series_id: book.series_id,
+            series_title: book.series_title,
+            book_number: book.book_number,
+            ...scoreBookMatch(label, book)
+        }))
+        .filter((suggestion) => suggestion.score >= minScore && suggestion.score > 0)
+        .sort((x, y) => y.score - x.score || x.book_id - y.book_id)
+        .slice(0, limit);
+}
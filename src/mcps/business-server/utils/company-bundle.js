@@ -0,0 +1,187 @@
+// src/mcps/business-server/utils/company-bundle.js
+// Layout and pure helpers for the company hand-off bundle (S15 §0b: every
+// company-owned row carries company_id so one company's books can leave as
+// a unit). Which tables go in, how each is scoped to the company, and which
+// columns point at other bundled rows are declared here; the handler only
+// reads and writes. No database access here.
+
+import { createHash } from 'node:crypto';
+
+export const BUNDLE_FORMAT = 'fictionlab-biz-company-bundle';
+export const BUNDLE_VERSION = 1;
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Bundled tables in insert order: every table appears after the tables its
+ * refs point at. scope is how a row belongs to the company -- its own
+ * company_id, or transitively through an account or platform. refs maps a
+ * column to the bundled table whose ids it holds (remapped on import);
+ * bookRefs are canon books.id columns, kept as-is when the book exists.
+ */
+export const BUNDLE_TABLES = [
+    { table: 'biz_contacts', scope: 'company' },
+    { table: 'biz_accounts', scope: 'company' },
+    { table: 'biz_deadlines', scope: 'company' },
+    { table: 'biz_platforms', scope: 'company' },
+    { table: 'biz_pipeline_items', scope: 'company', bookRefs: ['book_id'] },
+    {
+        table: 'biz_subscriptions',
+        scope: 'company',
+        refs: { vendor_contact_id: 'biz_contacts', account_id: 'biz_accounts', deadline_id: 'biz_deadlines' }
+    },
+    {
+        table: 'biz_debts',
+        scope: 'company',
+        refs: { creditor_contact_id: 'biz_contacts', deadline_id: 'biz_deadlines' }
+    },
+    { table: 'biz_savings_goals', scope: 'company', refs: { account_id: 'biz_accounts' } },
+    {
+        table: 'biz_transactions',
+        scope: 'account',
+        refs: {
+            account_id: 'biz_accounts',
+            to_account_id: 'biz_accounts',
+            vendor_contact_id: 'biz_contacts',
+            subscription_id: 'biz_subscriptions',
+            debt_id: 'biz_debts',
+            transfer_pair_id: 'biz_transactions'
+        }
+    },
+    { table: 'biz_content_items', scope: 'company', refs: { platform_id: 'biz_platforms' } },
+    {
+        table: 'biz_assets',
+        scope: 'company',
+        refs: { content_item_id: 'biz_content_items', transaction_id: 'biz_transactions', platform_id: 'biz_platforms' }
+    },
+    { table: 'biz_kpis', scope: 'platform', refs: { platform_id: 'biz_platforms' } },
+    { table: 'biz_import_profiles', scope: 'account', refs: { account_id: 'biz_accounts' } },
+    { table: 'biz_kpi_import_profiles', scope: 'platform', refs: { platform_id: 'biz_platforms' } },
+    { table: 'biz_book_refs', scope: 'company', bookRefs: ['book_id'] }
+];
+
+/**
+ * Read-only views snapshotted at export time for the receiving accountant.
+ * They are recomputed from the tables after an import, never loaded.
+ */
+export const BUNDLE_VIEWS = [
+    'biz_v_cash_position',
+    'biz_v_monthly_category_totals',
+    'biz_v_book_pnl',
+    'biz_v_series_pnl'
+];
+
+/**
+ * WHERE clause selecting one company's rows of a bundled table (aliased t),
+ * with the company id as $1.
+ */
+export function scopeClause(scope) {
+    switch (scope) {
+        case 'company':
+            return 't.company_id = $1';
+        case 'account':
+            return 't.account_id IN (SELECT id FROM fictionlab.biz_accounts WHERE company_id = $1)';
+        case 'platform':
+            return 't.platform_id IN (SELECT id FROM fictionlab.biz_platforms WHERE company_id = $1)';
+        default:
+            throw new Error(`Unknown bundle scope: ${scope}`);
+    }
+}
+
+export function sha256(text) {
+    return createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV of rows (objects). Columns are the union of the rows' keys
+ * in first-seen order; arrays and JSON objects are written as JSON text.
+ */
+export function toCsv(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        }
+    }
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map((column) => csvCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * A manifest path must stay inside the bundle directory.
+ */
+export function isBundlePath(path) {
+    return typeof path === 'string' && path !== '' && !path.startsWith('/') &&
+        !path.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Check a parsed manifest and the files it lists. files maps each listed
+ * path to its text (undefined when missing). Returns the problems found;
+ * an empty list means the bundle is intact.
+ */
+export function verifyManifest(manifest, files) {
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+        return [`Not a company bundle (manifest format is not '${BUNDLE_FORMAT}')`];
+    }
+    if (manifest.version !== BUNDLE_VERSION) {
+        return [`Unsupported bundle version ${manifest.version} (expected ${BUNDLE_VERSION})`];
+    }
+
+    const problems = [];
+    for (const entry of manifest.files || []) {
+        const text = files[entry.path];
+        if (!isBundlePath(entry.path)) {
+            problems.push(`${entry.path}: path leaves the bundle directory`);
+        } else if (text === undefined) {
+            problems.push(`${entry.path}: missing`);
+        } else if (sha256(text) !== entry.sha256) {
+            problems.push(`${entry.path}: checksum mismatch`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Rewrite a bundled row for insertion under newCompanyId: drop id, replace
+ * company_id, and map each ref through idMaps (table -> Map(oldId ->
+ * newId)). Refs listed in `deferred` are left null for a later UPDATE
+ * (self-references). A non-null ref with no mapping means the bundle is
+ * incomplete and throws.
+ */
+export function remapRow(row, spec, newCompanyId, idMaps, deferred = []) {
+    const { id, ...values } = row;
+    if ('company_id' in values) {
+        values.company_id = newCompanyId;
+    }
+
+    for (const [column, target] of Object.entries(spec.refs || {})) {
+        const oldId = values[column];
+        if (oldId === null || oldId === undefined) {
+            continue;
+        }
+        if (deferred.includes(column)) {
+            values[column] = null;
+            continue;
+        }
+        const newId = idMaps[target] && idMaps[target].get(String(oldId));
+        if (newId === undefined) {
+            throw new Error(`${spec.table} row ${id}: ${column} ${oldId} is not in the bundle's ${target}`);
+        }
+        values[column] = newId;
+    }
+
+    return values;
+}
@@ -0,0 +1,78 @@
+// src/mcps/business-server/utils/deadline-dates.js
+// Calendar arithmetic for the recurring deadline engine (S14 §5). Dates are
+// plain 'YYYY-MM-DD' strings end to end -- handlers read DATE columns as
+// ::text -- so no timezone ever shifts a due date by a day.
+
+const PERIOD_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+function daysInMonth(year, monthIndex) {
+    return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+function formatDate(year, monthIndex, day) {
+    return `${String(year).padStart(4, '0')}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split 'YYYY-MM-DD' into numbers, throwing on anything else.
+ */
+export function parseIsoDate(value) {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month - 1)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return { year, month, day };
+}
+
+/**
+ * Roll a due date forward one recurrence period. anchorDay is the intended
+ * day of month (defaults to the date's own day); months too short for it
+ * clamp to their last day, and the next roll returns to the anchor:
+ * Jan 31 -> Feb 28 -> Mar 31, and Feb 29 (annual, anchor 29) -> Feb 28 ->
+ * ... -> Feb 29 on the next leap year.
+ */
+export function addRecurrencePeriod(dueDate, recurrence, anchorDay = null) {
+    const months = PERIOD_MONTHS[recurrence];
+    if (!months) {
+        throw new Error(`Cannot roll a deadline with recurrence '${recurrence}'`);
+    }
+
+    const { year, month, day } = parseIsoDate(dueDate);
+    const totalMonths = year * 12 + (month - 1) + months;
+    const nextYear = Math.floor(totalMonths / 12);
+    const nextMonthIndex = totalMonths % 12;
+    const nextDay = Math.min(anchorDay || day, daysInMonth(nextYear, nextMonthIndex));
+
+    return formatDate(nextYear, nextMonthIndex, nextDay);
+}
+
+/**
+ * dateString plus a whole number of days (negative allowed).
+ */
+export function addDays(dateString, days) {
+    const { year, month, day } = parseIsoDate(dateString);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return formatDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Whole days from `from` to `to` (negative when `to` is earlier).
+ */
+export function daysBetween(from, to) {
+    const a = parseIsoDate(from);
+    const b = parseIsoDate(to);
+    return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+/**
+ * Today's date as 'YYYY-MM-DD' in the server's local timezone -- the same
+ * day CURRENT_DATE reports for a server-local Postgres.
+ */
+export function todayIso() {
+    const now = new Date();
+    return formatDate(now.getFullYear(), now.getMonth(), now.getDate());
+}
@@ -0,0 +1,204 @@
+// src/mcps/business-server/utils/debt-payoff.js
+// Pure amortization for the debt payoff planner (S15 §4a biz_debts). Money
+// is simulated in whole cents so a long schedule never drifts by a rounding
+// penny. No database access here.
+
+import { addRecurrencePeriod, parseIsoDate } from './deadline-dates.js';
+
+export const PAYOFF_STRATEGIES = ['avalanche', 'snowball', 'custom'];
+
+// 50 years of monthly payments: past this the plan is reported as
+// unfinished instead of looping.
+export const MAX_PAYOFF_MONTHS = 600;
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+const toMoney = (cents) => cents / 100;
+
+/**
+ * Order debts for extra-payment targeting. avalanche = highest APR first,
+ * snowball = smallest balance first; ties fall back to the other rule, then
+ * id. custom = the ids in customOrder first, in that order, then any
+ * unlisted debts in avalanche order.
+ */
+export function orderDebts(debts, strategy, customOrder = []) {
+    const avalanche = (x, y) =>
+        Number(y.apr || 0) - Number(x.apr || 0) || Number(x.balance) - Number(y.balance) || x.id - y.id;
+    const snowball = (x, y) =>
+        Number(x.balance) - Number(y.balance) || Number(y.apr || 0) - Number(x.apr || 0) || x.id - y.id;
+
+    if (strategy === 'avalanche') {
+        return [...debts].sort(avalanche);
+    }
+    if (strategy === 'snowball') {
+        return [...debts].sort(snowball);
+    }
+    if (strategy !== 'custom') {
+        throw new Error(`Invalid strategy: ${strategy} (expected one of: ${PAYOFF_STRATEGIES.join(', ')})`);
+    }
+
+    const byId = new Map(debts.map((debt) => [Number(debt.id), debt]));
+    const listed = [];
+    for (const id of customOrder) {
+        const debt = byId.get(Number(id));
+        if (!debt) {
+            throw new Error(`debt_order: debt ${id} is not an active debt with a balance`);
+        }
+        if (listed.includes(debt)) {
+            throw new Error(`debt_order: debt ${id} is listed twice`);
+        }
+        listed.push(debt);
+    }
+    const rest = debts.filter((debt) => !listed.includes(debt)).sort(avalanche);
+
+    return [...listed, ...rest];
+}
+
+/**
+ * Month-by-month schedule for a debt portfolio.
+ *
+ * Each month every open debt accrues apr/12 interest on its balance, gets
+ * its minimum payment, and whatever is left of the monthly budget (all
+ * minimums + extraPayment) goes to open debts in strategy order. A paid-off
+ * debt's minimum therefore rolls into the next target -- the budget never
+ * shrinks until everything is gone.
+ *
+ * debts: [{ id, name, balance, apr, minimum_payment, payoff_target_date }]
+ * Returns { order, monthly_budget, schedule, debts, total_interest,
+ * total_paid, months_to_debt_free, debt_free_date, warnings }.
+ */
+export function buildPayoffSchedule(debts, {
+    strategy = 'avalanche',
+    customOrder = [],
+    extraPayment = 0,
+    startDate,
+    maxMonths = MAX_PAYOFF_MONTHS
+} = {}) {
+    parseIsoDate(startDate);
+    const anchorDay = Number(startDate.slice(8, 10));
+
+    const ordered = orderDebts(debts, strategy, customOrder);
+    const state = ordered.map((debt) => ({
+        debt,
+        balance: toCents(debt.balance),
+        rate: Number(debt.apr || 0) / 1200,
+        minimum: toCents(debt.minimum_payment),
+        interest: 0,
+        paid: 0,
+        payoffDate: null,
+        months: null
+    }));
+
+    const budget = state.reduce((sum, entry) => sum + entry.minimum, 0) + toCents(extraPayment);
+    const schedule = [];
+    const warnings = [];
+    let paymentDate = startDate;
+
+    for (let month = 1; month <= maxMonths && state.some((entry) => entry.balance > 0); month++) {
+        const open = state.filter((entry) => entry.balance > 0);
+        const payments = new Map(open.map((entry) => [entry, 0]));
+        const interests = new Map();
+        let monthInterest = 0;
+
+        for (const entry of open) {
+            const interest = Math.round(entry.balance * entry.rate);
+            interests.set(entry, interest);
+            entry.balance += interest;
+            entry.interest += interest;
+            monthInterest += interest;
+        }
+
+        let remaining = budget;
+        for (const entry of open) {
+            const pay = Math.min(entry.minimum, entry.balance, remaining);
+            payments.set(entry, pay);
+            remaining -= pay;
+        }
+        for (const entry of open) {
+            const pay = Math.min(remaining, entry.balance - payments.get(entry));
+            payments.set(entry, payments.get(entry) + pay);
+            remaining -= pay;
+        }
+
+        let monthPaid = 0;
+        const rows = [];
+        for (const entry of open) {
+            const payment = payments.get(entry);
+            entry.balance -= payment;
+            entry.paid += payment;
+            monthPaid += payment;
+            if (entry.balance === 0) {
+                entry.payoffDate = paymentDate;
+                entry.months = month;
+            }
+            rows.push({
+                debt_id: entry.debt.id,
+                payment: toMoney(payment),
+                interest: toMoney(interests.get(entry)),
+                principal: toMoney(payment - interests.get(entry)),
+                balance: toMoney(entry.balance)
+            });
+        }
+
+        schedule.push({
+            month,
+            payment_date: paymentDate,
+            payments: rows,
+            total_payment: toMoney(monthPaid),
+            total_interest: toMoney(monthInterest),
+            remaining_balance: toMoney(state.reduce((sum, entry) => sum + entry.balance, 0))
+        });
+
+        // With a fixed budget, a month whose payments do not beat its
+        // interest can only be followed by a worse one.
+        if (monthPaid <= monthInterest) {
+            warnings.push(
+                `The monthly budget of ${toMoney(budget).toFixed(2)} does not cover the interest accruing (${toMoney(monthInterest).toFixed(2)} in month ${month}); the balance never comes down`
+            );
+            break;
+        }
+
+        paymentDate = addRecurrencePeriod(paymentDate, 'monthly', anchorDay);
+    }
+
+    const unfinished = state.filter((entry) => entry.balance > 0);
+    if (unfinished.length > 0 && warnings.length === 0) {
+        warnings.push(`Stopped after ${maxMonths} months with ${unfinished.length} debt(s) still open`);
+    }
+    for (const entry of state) {
+        if (entry.minimum === 0 && entry.debt.minimum_payment == null) {
+            warnings.push(`Debt ${entry.debt.id} (${entry.debt.name}) has no minimum_payment; it is only paid from the extra payment and freed-up minimums`);
+        }
+    }
+
+    const totalInterest = state.reduce((sum, entry) => sum + entry.interest, 0);
+    const totalPaid = state.reduce((sum, entry) => sum + entry.paid, 0);
+    const debtFree = unfinished.length === 0;
+    const lastMonth = schedule[schedule.length - 1];
+
+    return {
+        order: ordered.map((debt) => debt.id),
+        monthly_budget: toMoney(budget),
+        months_to_debt_free: debtFree ? (lastMonth ? lastMonth.month : 0) : null,
+        debt_free_date: debtFree ? (lastMonth ? lastMonth.payment_date : null) : null,
+        total_interest: toMoney(totalInterest),
+        total_paid: toMoney(totalPaid),
+        debts: state.map((entry, index) => ({
+            debt_id: entry.debt.id,
+            name: entry.debt.name,
+            priority: index + 1,
+            starting_balance: Number(entry.debt.balance),
+            apr: entry.debt.apr === null || entry.debt.apr === undefined ? null : Number(entry.debt.apr),
+            minimum_payment: toMoney(entry.minimum),
+            interest_paid: toMoney(entry.interest),
+            total_paid: toMoney(entry.paid),
+            payoff_date: entry.payoffDate,
+            months_to_payoff: entry.months,
+            payoff_target_date: entry.debt.payoff_target_date || null,
+            target_achievable: entry.debt.payoff_target_date
+                ? entry.payoffDate !== null && entry.payoffDate <= entry.debt.payoff_target_date
+                : null
+        })),
+        schedule,
+        warnings
+    };
+}
@@ -0,0 +1,113 @@
+// src/mcps/business-server/utils/icalendar.js
+// Minimal RFC 5545 writer for the content calendar export: all-day VEVENTs
+// with stable UIDs (so a subscribed calendar app updates an event instead
+// of duplicating it) and optional RRULEs for recurring deadlines. No
+// database access here.
+
+import { addDays, parseIsoDate } from './deadline-dates.js';
+
+const RRULES = {
+    monthly: 'FREQ=MONTHLY',
+    quarterly: 'FREQ=MONTHLY;INTERVAL=3',
+    annual: 'FREQ=YEARLY'
+};
+
+/**
+ * RRULE for a biz_deadlines recurrence, or null for 'none'.
+ */
+export function recurrenceRule(recurrence) {
+    return RRULES[recurrence] || null;
+}
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and newlines.
+ */
+export function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with one
+ * space), never splitting a multi-byte character.
+ */
+export function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function basicDate(isoDate) {
+    parseIsoDate(isoDate);
+    return isoDate.replace(/-/g, '');
+}
+
+/**
+ * 'YYYYMMDDTHHMMSSZ' for DTSTAMP.
+ */
+export function utcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VCALENDAR document. events: [{ uid, date ('YYYY-MM-DD'),
+ * summary, description?, categories?: [], url?, rrule? }]. generatedAt
+ * (a Date) becomes every DTSTAMP so one export is internally consistent.
+ */
+export function buildCalendar({ name, events, generatedAt = new Date() }) {
+    const stamp = utcStamp(generatedAt);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//FictionLab//business-server content calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${basicDate(event.date)}`,
+            `DTEND;VALUE=DATE:${basicDate(addDays(event.date, 1))}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.rrule) {
+            lines.push(`RRULE:${event.rrule}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.categories && event.categories.length > 0) {
+            lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+        }
+        if (event.url) {
+            lines.push(`URL:${event.url}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,202 @@
+// src/mcps/business-server/utils/kpi-csv.js
+// Pure rules for KPI ingestion (S15 §4b biz_kpis): per-platform column ->
+// metric mappings, folding a platform export's rows into one value per
+// (metric_name, metric_date), and week-over-week trend buckets. No database
+// access here.
+
+import { parseAmount, parseStatementDate } from './statement-csv.js';
+import { addDays, parseIsoDate } from './deadline-dates.js';
+
+// How several rows for the same metric and date fold into one point: KDP
+// writes one row per title/marketplace (sum), a newsletter tool one row
+// per campaign (avg for rates).
+export const KPI_AGGREGATES = ['sum', 'avg', 'max', 'last'];
+
+// Starting points for set_kpi_import_profile `preset`. Column names follow
+// the stock exports; anything the caller passes explicitly wins.
+export const KPI_IMPORT_PRESETS = {
+    kdp: {
+        date_column: 'Royalty Date',
+        date_format: 'YYYY-MM-DD',
+        metric_columns: {
+            'Net Units Sold': { metric_name: 'kdp_units', aggregate: 'sum' },
+            Royalty: { metric_name: 'kdp_royalties', aggregate: 'sum' }
+        }
+    },
+    email: {
+        date_column: 'Send Date',
+        date_format: 'MM/DD/YYYY',
+        metric_columns: {
+            Recipients: { metric_name: 'newsletter_recipients', aggregate: 'sum' },
+            'Open Rate': { metric_name: 'newsletter_open_rate', aggregate: 'avg' },
+            'Click Rate': { metric_name: 'newsletter_click_rate', aggregate: 'avg' }
+        }
+    }
+};
+
+/**
+ * Normalize a metric_columns mapping to { header: { metric_name,
+ * aggregate } }. A bare string value is shorthand for { metric_name,
+ * aggregate: 'sum' }.
+ */
+export function normalizeMetricColumns(metricColumns) {
+    if (!metricColumns || typeof metricColumns !== 'object' || Array.isArray(metricColumns)) {
+        throw new Error('metric_columns must be an object of { "CSV header": "metric_name" }');
+    }
+
+    const entries = Object.entries(metricColumns);
+    if (entries.length === 0) {
+        throw new Error('metric_columns must map at least one CSV column');
+    }
+
+    const normalized = {};
+    const seen = new Set();
+    for (const [header, target] of entries) {
+        const mapping = typeof target === 'string' ? { metric_name: target } : { ...target };
+        const metricName = String(mapping.metric_name || '').trim();
+        const aggregate = mapping.aggregate || 'sum';
+
+        if (!metricName) {
+            throw new Error(`metric_columns['${header}'] needs a metric_name`);
+        }
+        if (!KPI_AGGREGATES.includes(aggregate)) {
+            throw new Error(`Invalid aggregate for '${header}': ${aggregate} (expected one of ${KPI_AGGREGATES.join(', ')})`);
+        }
+        if (seen.has(metricName)) {
+            throw new Error(`metric_name '${metricName}' is mapped from more than one column`);
+        }
+        seen.add(metricName);
+        normalized[header] = { metric_name: metricName, aggregate };
+    }
+
+    return normalized;
+}
+
+/**
+ * A KPI cell as a number: currency symbols, thousands separators and a
+ * trailing '%' are dropped ('42.5%' -> 42.5, i.e. rates stay in percent).
+ * '' returns null (no data that day); anything else unreadable is NaN.
+ */
+export function parseKpiValue(raw) {
+    const text = String(raw ?? '').trim().replace(/%$/, '');
+    return parseAmount(text);
+}
+
+/**
+ * Date cell -> 'YYYY-MM-DD'. Exports often append a time ('2026-01-05
+ * 09:00'), which is ignored.
+ */
+export function parseKpiDate(raw, format) {
+    const datePart = String(raw ?? '').trim().split(/[\sT]/)[0];
+    return parseStatementDate(datePart, format);
+}
+
+function fold(values, aggregate) {
+    if (aggregate === 'sum') return values.reduce((sum, value) => sum + value, 0);
+    if (aggregate === 'avg') return values.reduce((sum, value) => sum + value, 0) / values.length;
+    if (aggregate === 'max') return Math.max(...values);
+    return values[values.length - 1];
+}
+
+const roundValue = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Fold CSV records ([{ line, record: { header: cell } }]) through a KPI
+ * profile into one point per (metric_name, metric_date). Rows outside the
+ * profile's filter are skipped; unreadable dates reject the row and
+ * unreadable values reject just that cell. Returns { points, rejected,
+ * filtered_out }.
+ */
+export function aggregateKpiRecords(rows, profile) {
+    const groups = new Map();
+    const rejected = [];
+    let filteredOut = 0;
+
+    for (const { line, record } of rows) {
+        if (profile.filter_column && String(record[profile.filter_column] ?? '').trim() !== profile.filter_value) {
+            filteredOut++;
+            continue;
+        }
+
+        const metricDate = parseKpiDate(record[profile.date_column], profile.date_format);
+        if (!metricDate) {
+            rejected.push({ line, reason: `unparseable ${profile.date_column} '${record[profile.date_column] ?? ''}' (expected ${profile.date_format})` });
+            continue;
+        }
+
+        for (const [header, { metric_name: metricName, aggregate }] of Object.entries(profile.metric_columns)) {
+            const value = parseKpiValue(record[header]);
+            if (value === null) {
+                continue;
+            }
+            if (Number.isNaN(value)) {
+                rejected.push({ line, reason: `unparseable ${header} '${record[header]}'` });
+                continue;
+            }
+
+            const key = `${metricName}|${metricDate}`;
+            if (!groups.has(key)) {
+                groups.set(key, { metric_name: metricName, metric_date: metricDate, aggregate, values: [] });
+            }
+            groups.get(key).values.push(value);
+        }
+    }
+
+    const points = [...groups.values()]
+        .map(({ metric_name, metric_date, aggregate, values }) => ({
+            metric_name,
+            metric_date,
+            value: roundValue(fold(values, aggregate)),
+            rows: values.length
+        }))
+        .sort((x, y) => x.metric_date.localeCompare(y.metric_date) || x.metric_name.localeCompare(y.metric_name));
+
+    return { points, rejected, filtered_out: filteredOut };
+}
+
+/**
+ * Monday of the ISO week containing dateString.
+ */
+export function weekStart(dateString) {
+    const { year, month, day } = parseIsoDate(dateString);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return addDays(dateString, -((weekday + 6) % 7));
+}
+
+/**
+ * Bucket daily points ([{ metric_date, value }]) into the `weeks` ISO weeks
+ * ending with asOf's week, oldest first. Each bucket folds its days with
+ * `aggregate` and carries delta / delta_percent against the previous
+ * bucket; a week with no data has value null and breaks the delta chain.
+ */
+export function weeklyTrend(points, { weeks, asOf, aggregate = 'sum' }) {
+    const firstWeek = addDays(weekStart(asOf), -7 * (weeks - 1));
+    const buckets = [];
+    for (let index = 0; index < weeks; index++) {
+        const start = addDays(firstWeek, 7 * index);
+        buckets.push({ week_start: start, week_end: addDays(start, 6), values: [] });
+    }
+
+    const sorted = [...points].sort((x, y) => x.metric_date.localeCompare(y.metric_date));
+    for (const point of sorted) {
+        if (point.metric_date > asOf) {
+            continue;
+        }
+        const bucket = buckets.find((candidate) => point.metric_date >= candidate.week_start && point.metric_date <= candidate.week_end);
+        if (bucket) {
+            bucket.values.push(Number(point.value));
+        }
+    }
+
+    let previous = null;
+    return buckets.map(({ week_start, week_end, values }) => {
+        const value = values.length > 0 ? roundValue(fold(values, aggregate)) : null;
+        const delta = value !== null && previous !== null ? roundValue(value - previous) : null;
+        const deltaPercent = delta !== null && previous !== 0
+            ? Math.round((delta / Math.abs(previous)) * 1000) / 10
+            : null;
+        previous = value;
+
+        return { week_start, week_end, days_with_data: values.length, value, delta, delta_percent: deltaPercent };
+    });
+}
@@ -0,0 +1,113 @@
+// src/mcps/business-server/utils/receipt-matching.js
+// Pure matching rules for receipt reconciliation (S15 §5b pillar 2): pull
+// amount/date hints out of a receipt asset's free text and score candidate
+// expense transactions against them. No database access here.
+
+import { normalizeDescription, parseStatementDate } from './statement-csv.js';
+import { daysBetween } from './deadline-dates.js';
+
+// Candidate weights: an exact amount is the strongest signal, then date
+// proximity, then a vendor/description match. Max score is 100.
+const AMOUNT_WEIGHT = 50;
+const DATE_WEIGHT = 30;
+const VENDOR_WEIGHT = 20;
+
+/**
+ * Money amounts mentioned in receipt text: '$12', '12.99', '1,204.33',
+ * '€8.50'. Bare integers without a currency symbol are skipped -- they are
+ * far more often order numbers or years than totals.
+ */
+export function parseReceiptAmounts(text) {
+    const amounts = new Set();
+    const pattern = /([$€£]\s*)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{2})?(?!\d)/g;
+
+    for (const match of String(text || '').matchAll(pattern)) {
+        const [, symbol, whole, cents] = match;
+        if (!symbol && !cents) {
+            continue;
+        }
+        const value = Number(`${whole.replace(/,/g, '')}${cents || ''}`);
+        if (value > 0) {
+            amounts.add(value);
+        }
+    }
+
+    return [...amounts];
+}
+
+/**
+ * First date written in the receipt text (YYYY-MM-DD or MM/DD/YYYY), as
+ * 'YYYY-MM-DD', or null.
+ */
+export function parseReceiptDate(text) {
+    const source = String(text || '');
+    const iso = source.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (iso && parseStatementDate(iso[1], 'YYYY-MM-DD')) {
+        return parseStatementDate(iso[1], 'YYYY-MM-DD');
+    }
+    const us = source.match(/\b(\d{1,2}\/\d{1,2}\/\d{4})\b/);
+    if (us) {
+        return parseStatementDate(us[1], 'MM/DD/YYYY');
+    }
+    return null;
+}
+
+/**
+ * Everything the matcher knows about one receipt asset. The reference date
+ * is a date written in the title/notes, else the day the asset was filed.
+ */
+export function receiptHints(asset) {
+    const text = [asset.title, asset.notes].filter(Boolean).join(' ');
+    const writtenDate = parseReceiptDate(text);
+
+    return {
+        amounts: parseReceiptAmounts(text),
+        reference_date: writtenDate || asset.created_on || null,
+        reference_date_source: writtenDate ? 'text' : 'created_at',
+        normalized_text: normalizeDescription(text)
+    };
+}
+
+function containsPhrase(haystack, phrase) {
+    return phrase.length > 0 && ` ${haystack} `.includes(` ${phrase} `);
+}
+
+/**
+ * Score one candidate transaction ({ amount, occurred_on, vendor_name,
+ * description }) against receipt hints. Returns { score, reasons }.
+ */
+export function scoreReceiptCandidate(hints, transaction, windowDays) {
+    const reasons = [];
+    let score = 0;
+
+    const amount = Number(transaction.amount);
+    if (hints.amounts.some((value) => Math.abs(value - amount) < 0.005)) {
+        score += AMOUNT_WEIGHT;
+        reasons.push(`amount ${amount.toFixed(2)} appears on the receipt`);
+    }
+
+    if (hints.reference_date) {
+        const distance = Math.abs(daysBetween(hints.reference_date, transaction.occurred_on));
+        if (distance <= windowDays) {
+            score += Math.round(DATE_WEIGHT * (1 - distance / (windowDays + 1)));
+            reasons.push(`${distance} day(s) from the receipt's ${hints.reference_date_source === 'text' ? 'date' : 'filing date'}`);
+        }
+    }
+
+    const vendor = normalizeDescription(transaction.vendor_name);
+    if (containsPhrase(hints.normalized_text, vendor)) {
+        score += VENDOR_WEIGHT;
+        reasons.push(`vendor '${transaction.vendor_name}' named on the receipt`);
+    } else {
+        const descriptionWords = normalizeDescription(transaction.description)
+            .split(' ')
+            .filter((word) => word.length >= 4 && !/^\d+$/.test(word));
+        const shared = descriptionWords.filter((word) => containsPhrase(hints.normalized_text, word));
+        if (shared.length > 0) {
+            score += Math.round(VENDOR_WEIGHT / 2);
+            reasons.push(`description shares '${shared.join("', '")}'`);
+        }
+    }
+
+    return { score, reasons };
+}
@@ -0,0 +1,247 @@
+// src/mcps/business-server/utils/statement-csv.js
+// Pure parsing helpers for the statement CSV importer (S15 §5b pillar 1):
+// CSV tokenizing, per-profile row mapping and the dedupe key. No database
+// access here, so the import rules can be tested without a pool.
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+export const AMOUNT_SIGNS = ['negative_is_expense', 'positive_is_expense'];
+
+/**
+ * Split CSV text into rows of raw string cells. Handles quoted cells
+ * (including embedded delimiters, doubled quotes and line breaks), CRLF
+ * line endings and a leading UTF-8 BOM. Each row carries the 1-based line
+ * it started on so rejections can point back into the file.
+ */
+export function parseCsv(text, delimiter = ',') {
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let cells = [];
+    let current = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(current);
+            current = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            cells.push(current);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            current = '';
+            line++;
+            rowLine = line;
+        } else {
+            current += char;
+        }
+    }
+
+    if (current !== '' || cells.length > 0) {
+        cells.push(current);
+        rows.push({ line: rowLine, cells });
+    }
+
+    return rows;
+}
+
+/**
+ * parseCsv plus the conventions every importer shares: drop skipRows
+ * preamble lines and blank rows, take the first remaining row as the
+ * header, and key each data row's cells by header name. Throws when the
+ * header lacks any of requiredColumns.
+ */
+export function readCsvTable(text, { delimiter = ',', skipRows = 0, requiredColumns = [] } = {}) {
+    const rows = parseCsv(text, delimiter || ',').slice(skipRows || 0)
+        .filter((row) => row.cells.some((cell) => cell.trim() !== ''));
+    if (rows.length === 0) {
+        throw new Error('CSV has no header row');
+    }
+
+    const [header, ...dataRows] = rows;
+    const headerNames = header.cells.map((cell) => cell.trim());
+    const missing = requiredColumns.filter((column) => !headerNames.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing profile column(s): ${missing.join(', ')} (found: ${headerNames.join(', ')})`);
+    }
+
+    return {
+        headerNames,
+        rows: dataRows.map((row) => ({
+            line: row.line,
+            cells: row.cells,
+            record: Object.fromEntries(headerNames.map((name, index) => [name, row.cells[index]]))
+        }))
+    };
+}
+
+/**
+ * The description half of the dedupe key: case, punctuation and spacing
+ * differences between two exports of the same statement must not make the
+ * same charge look new.
+ */
+export function normalizeDescription(description) {
+    return String(description || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse a statement amount cell: tolerates currency symbols, thousands
+ * separators, accounting-style parentheses and a trailing minus. Returns
+ * NaN for anything else; '' returns null (an empty debit/credit cell).
+ */
+export function parseAmount(raw) {
+    const text = String(raw ?? '').trim();
+    if (text === '') {
+        return null;
+    }
+
+    let negative = false;
+    let cleaned = text;
+    if (/^\(.*\)$/.test(cleaned)) {
+        negative = true;
+        cleaned = cleaned.slice(1, -1);
+    }
+    if (cleaned.endsWith('-')) {
+        negative = !negative;
+        cleaned = cleaned.slice(0, -1);
+    }
+    cleaned = cleaned.replace(/[$€£,\s]/g, '');
+
+    if (!/^[-+]?\d+(\.\d+)?$/.test(cleaned) && !/^[-+]?\.\d+$/.test(cleaned)) {
+        return NaN;
+    }
+
+    const value = Number(cleaned);
+    return negative ? -value : value;
+}
+
+/**
+ * Parse a date cell in the profile's date_format into 'YYYY-MM-DD', or
+ * null when it is not a real calendar date.
+ */
+export function parseStatementDate(raw, format = 'YYYY-MM-DD') {
+    const text = String(raw ?? '').trim();
+    let year;
+    let month;
+    let day;
+
+    if (format === 'YYYY-MM-DD') {
+        const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) return null;
+        [, year, month, day] = match;
+    } else {
+        const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (!match) return null;
+        [, month, day, year] = match;
+        if (format === 'DD/MM/YYYY') {
+            [month, day] = [day, month];
+        }
+        if (year.length === 2) {
+            year = `20${year}`;
+        }
+    }
+
+    const y = Number(year);
+    const m = Number(month);
+    const d = Number(day);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+        return null;
+    }
+
+    return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Header names a profile needs to find in the CSV header row.
+ */
+export function profileColumns(profile) {
+    return [
+        profile.date_column,
+        profile.description_column,
+        profile.amount_column,
+        profile.debit_column,
+        profile.credit_column,
+        profile.category_column
+    ].filter(Boolean);
+}
+
+/**
+ * Map one CSV record ({ header: cell }) through an import profile into a
+ * biz_transactions row shape. Throws with a human-readable reason for a
+ * row that cannot be imported; the caller reports it as rejected.
+ */
+export function mapStatementRecord(record, profile) {
+    const occurredOn = parseStatementDate(record[profile.date_column], profile.date_format);
+    if (!occurredOn) {
+        throw new Error(`unparseable ${profile.date_column} '${record[profile.date_column] ?? ''}' (expected ${profile.date_format})`);
+    }
+
+    const description = String(record[profile.description_column] ?? '').trim();
+    if (!description) {
+        throw new Error(`empty ${profile.description_column}`);
+    }
+
+    // Signed value where negative always means money out of this account.
+    let signed;
+    if (profile.amount_column) {
+        const value = parseAmount(record[profile.amount_column]);
+        if (value === null || Number.isNaN(value)) {
+            throw new Error(`unparseable ${profile.amount_column} '${record[profile.amount_column] ?? ''}'`);
+        }
+        signed = profile.amount_sign === 'positive_is_expense' ? -value : value;
+    } else {
+        const debit = parseAmount(record[profile.debit_column]);
+        const credit = parseAmount(record[profile.credit_column]);
+        if (Number.isNaN(debit) || Number.isNaN(credit)) {
+            throw new Error(`unparseable ${profile.debit_column}/${profile.credit_column}`);
+        }
+        if (debit && credit) {
+            throw new Error(`both ${profile.debit_column} and ${profile.credit_column} are set`);
+        }
+        signed = credit ? Math.abs(credit) : -Math.abs(debit || 0);
+    }
+
+    const amount = Math.round(Math.abs(signed) * 100) / 100;
+    if (amount === 0) {
+        throw new Error('zero amount');
+    }
+
+    const category = profile.category_column
+        ? String(record[profile.category_column] ?? '').trim()
+        : '';
+
+    return {
+        occurred_on: occurredOn,
+        amount,
+        direction: signed < 0 ? 'expense' : 'income',
+        category: category || profile.default_category || null,
+        description
+    };
+}
+
+/**
+ * The (occurred_on, amount, normalized_description) part of the migration
+ * 050 dedupe key; account_id is fixed for a whole import.
+ */
+export function dedupeKey(occurredOn, amount, description) {
+    return `${occurredOn}|${Number(amount).toFixed(2)}|${normalizeDescription(description)}`;
+}
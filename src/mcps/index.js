@@ -12,3 +12,4 @@ export { NPECharacterMCPServer } from './npe-character-server/index.js';
 export { NPESceneMCPServer } from './npe-scene-server/index.js';
 export { NPEAnalysisMCPServer } from './npe-analysis-server/index.js';
 export { ProjectManagerServer } from './project-manager-server/index.js';
+export { BusinessMCPServer } from './business-server/index.js';
@@ -1,6 +1,60 @@
 // src/mcps/kanban-server/handlers/board-handlers.js
-// Board-level read tools: get_board (the board-render call) and the
-// supporting list_boards.
+// Board-level tools: get_board (the board-render call) and the supporting
+// list_boards, plus the board lifecycle (migration 063) -- create_board from
+// a column template, clone_board, update_board, archive_board -- and column
+// management: add_board_column, update_board_column, reorder_board_columns,
+// retire_board_column.
+//
+// A column is a lane keyed 1:1 to a card status, and kanban_cards.status is
+// a CHECK-constrained list, so a board chooses which of the eight lanes it
+// shows and how they look -- it cannot invent a status.
+
+import { resolveBoardId, logActivity, notifyKanbanChanged, releaseDependentsOf } from './kanban-helpers.js';
+
+/**
+ * Lane layouts for create_board. 'standard' is dev-backlog's seed
+ * (migration 042); 'lean' drops backlog and review for boards whose cards
+ * go straight from ready to done.
+ */
+export const BOARD_TEMPLATES = {
+    standard: [
+        { status_key: 'backlog', name: 'Backlog' },
+        { status_key: 'ready', name: 'Ready to work', is_agent_pickup: true },
+        { status_key: 'in_progress', name: 'In progress' },
+        { status_key: 'review', name: 'In review' },
+        { status_key: 'blocked', name: 'Blocked / decision' },
+        { status_key: 'done', name: 'Done' },
+        { status_key: 'archived', name: 'Archived' },
+        { status_key: 'claimed', name: 'Claimed' }
+    ],
+    lean: [
+        { status_key: 'ready', name: 'Ready to work', is_agent_pickup: true },
+        { status_key: 'claimed', name: 'Claimed' },
+        { status_key: 'in_progress', name: 'In progress' },
+        { status_key: 'blocked', name: 'Blocked' },
+        { status_key: 'done', name: 'Done' },
+        { status_key: 'archived', name: 'Archived' }
+    ]
+};
+
+const COLUMN_STATUSES = BOARD_TEMPLATES.standard.map((column) => column.status_key);
+
+// Lanes the server itself moves cards into: claim_card (claimed,
+// in_progress), the lease sweep and dependency release (ready), dependency
+// holds (blocked), the GitHub sync poller (done), archive_card (archived).
+// Every board keeps these; only backlog and review can be retired.
+export const REQUIRED_COLUMNS = ['ready', 'claimed', 'in_progress', 'blocked', 'done', 'archived'];
+
+const BOARD_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,99}$/;
+
+function validateColumnFields({ status_key, wip_limit, is_agent_pickup }) {
+    if (wip_limit !== undefined && wip_limit !== null && (!Number.isInteger(wip_limit) || wip_limit < 1)) {
+        throw new Error(`Invalid wip_limit: ${wip_limit} (expected a positive whole number, or null for no limit)`);
+    }
+    if (is_agent_pickup && status_key !== 'ready') {
+        throw new Error('is_agent_pickup is only valid on the ready column (the agent pool)');
+    }
+}
 
 export class BoardHandlers {
     constructor(db) {
@@ -60,12 +114,16 @@ export class BoardHandlers {
 
     /**
      * list_boards (supporting tool) — all boards + their total card counts.
+     * Archived boards only with include_archived.
      */
-    async handleListBoards() {
+    async handleListBoards(args) {
+        const { include_archived = false } = args || {};
+
         const result = await this.db.query(
             `SELECT b.*, COUNT(c.id) AS card_count
              FROM fictionlab.kanban_boards b
              LEFT JOIN fictionlab.kanban_cards c ON c.board_id = b.id
+             ${include_archived ? '' : 'WHERE NOT b.is_archived'}
              GROUP BY b.id
              ORDER BY b.created_at`
         );
@@ -77,4 +135,371 @@ export class BoardHandlers {
             }))
         };
     }
+
+    /**
+     * The board row for board_key|board_id. With open: true, an archived
+     * board is refused -- it accepts no changes.
+     */
+    async findBoard({ board_id, board_key }, { open = false } = {}) {
+        const boardId = await resolveBoardId(this.db, { board_id, board_key });
+        const result = await this.db.query('SELECT * FROM fictionlab.kanban_boards WHERE id = $1', [boardId]);
+        if (result.rows.length === 0) {
+            throw new Error(`Board not found: ${board_id || board_key}`);
+        }
+
+        const board = result.rows[0];
+        if (open && board.is_archived) {
+            throw new Error(`Board '${board.board_key}' is archived`);
+        }
+        return board;
+    }
+
+    async listColumns(db, boardId) {
+        const result = await db.query(
+            'SELECT * FROM fictionlab.kanban_columns WHERE board_id = $1 ORDER BY position',
+            [boardId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Insert a new board and its columns in one transaction. board_key is
+     * checked up front for a clear error; the UNIQUE constraint still
+     * arbitrates a concurrent create of the same key.
+     */
+    async insertBoard({ board_key, name, description, created_by, metadata }, columns, detail) {
+        if (!board_key || !BOARD_KEY_PATTERN.test(board_key)) {
+            throw new Error(`Invalid board_key: ${board_key} (lowercase letters, digits and dashes, e.g. 'series-launch')`);
+        }
+        if (!name) {
+            throw new Error('name is required');
+        }
+
+        const taken = await this.db.query('SELECT 1 FROM fictionlab.kanban_boards WHERE board_key = $1', [board_key]);
+        if (taken.rows.length > 0) {
+            throw new Error(`Board already exists: ${board_key}`);
+        }
+
+        const result = await this.db.transaction(async (client) => {
+            const inserted = await client.query(
+                `INSERT INTO fictionlab.kanban_boards (board_key, name, description, created_by, metadata)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+                [board_key, name, description || null, created_by, metadata || {}]
+            );
+            const board = inserted.rows[0];
+
+            for (const [position, column] of columns.entries()) {
+                await client.query(
+                    `INSERT INTO fictionlab.kanban_columns
+                        (board_id, status_key, name, position, color, wip_limit, is_agent_pickup)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                    [board.id, column.status_key, column.name, position, column.color || null,
+                        column.wip_limit ?? null, Boolean(column.is_agent_pickup)]
+                );
+            }
+
+            return { board, columns: await this.listColumns(client, board.id) };
+        });
+
+        await logActivity(this.db, {
+            boardId: result.board.id,
+            actor: created_by,
+            action: 'board_created',
+            detail
+        });
+
+        return result;
+    }
+
+    /**
+     * create_board — a new board with a template's lanes ('standard', the
+     * dev-backlog layout, or 'lean').
+     */
+    async handleCreateBoard(args) {
+        const { board_key, name, description, template = 'standard', created_by = 'rebecca', metadata } = args || {};
+
+        const columns = BOARD_TEMPLATES[template];
+        if (!columns) {
+            throw new Error(`Unknown template: ${template} (expected one of ${Object.keys(BOARD_TEMPLATES).join(', ')})`);
+        }
+
+        return this.insertBoard({ board_key, name, description, created_by, metadata }, columns, { template });
+    }
+
+    /**
+     * clone_board — a new, empty board with the source board's column
+     * layout (names, order, colors, WIP limits, agent pickup). Cards are
+     * never copied. An archived board can be cloned.
+     */
+    async handleCloneBoard(args) {
+        const { source_board_key, source_board_id, board_key, name, description, created_by = 'rebecca' } = args || {};
+
+        const source = await this.findBoard({ board_key: source_board_key, board_id: source_board_id });
+        const columns = await this.listColumns(this.db, source.id);
+
+        return this.insertBoard(
+            { board_key, name: name || source.name, description: description ?? source.description, created_by, metadata: {} },
+            columns,
+            { cloned_from: source.board_key }
+        );
+    }
+
+    /**
+     * update_board — rename or re-describe a board, or replace its
+     * metadata. board_key is permanent (cards, scripts and the GitHub sync
+     * config refer to it).
+     */
+    async handleUpdateBoard(args) {
+        const { board_key, board_id, name, description, metadata, actor = 'rebecca' } = args || {};
+        const board = await this.findBoard({ board_key, board_id }, { open: true });
+
+        const fields = { name, description, metadata };
+        const changed = Object.keys(fields).filter((key) => fields[key] !== undefined);
+        if (changed.length === 0) {
+            throw new Error('Nothing to update: pass name, description or metadata');
+        }
+        if (name === '' || name === null) {
+            throw new Error('name cannot be empty');
+        }
+
+        const sets = changed.map((key, index) => `${key} = $${index + 2}`);
+        const result = await this.db.query(
+            `UPDATE fictionlab.kanban_boards SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+            [board.id, ...changed.map((key) => fields[key])]
+        );
+
+        await logActivity(this.db, { boardId: board.id, actor, action: 'board_updated', detail: { fields: changed } });
+
+        return { board: result.rows[0] };
+    }
+
+    /**
+     * archive_board — mark the board archived and move every card on it
+     * that isn't already archived to 'archived' (claims and leases
+     * cleared), one 'archived' activity row per card. Cards elsewhere that
+     * were waiting only on these cards are released (migration 062). An
+     * archived board accepts no new cards, moves or column changes.
+     */
+    async handleArchiveBoard(args) {
+        const { board_key, board_id, actor = 'rebecca' } = args || {};
+        const board = await this.findBoard({ board_key, board_id });
+        if (board.is_archived) {
+            return { board, already_archived: true, archived_cards: 0 };
+        }
+
+        const { archivedBoard, cards } = await this.db.transaction(async (client) => {
+            const updated = await client.query(
+                'UPDATE fictionlab.kanban_boards SET is_archived = TRUE WHERE id = $1 RETURNING *',
+                [board.id]
+            );
+            const moved = await client.query(
+                `WITH open_cards AS (
+                     SELECT id, status FROM fictionlab.kanban_cards
+                     WHERE board_id = $1 AND status <> 'archived'
+                     FOR UPDATE
+                 )
+                 UPDATE fictionlab.kanban_cards c
+                    SET status = 'archived',
+                        claimed_by = NULL,
+                        claimed_at = NULL,
+                        lease_seconds = NULL,
+                        lease_expires_at = NULL,
+                        last_heartbeat_at = NULL
+                   FROM open_cards o
+                  WHERE c.id = o.id
+                 RETURNING c.id, o.status AS from_status`,
+                [board.id]
+            );
+            return { archivedBoard: updated.rows[0], cards: moved.rows };
+        });
+
+        for (const card of cards) {
+            await logActivity(this.db, {
+                boardId: board.id,
+                cardId: card.id,
+                actor,
+                action: 'archived',
+                fromStatus: card.from_status,
+                toStatus: 'archived',
+                detail: { reason: 'board_archived' }
+            });
+            await notifyKanbanChanged(this.db, card.id);
+        }
+        for (const card of cards.filter((c) => c.from_status !== 'done')) {
+            await releaseDependentsOf(this.db, card.id, { triggeredBy: actor });
+        }
+
+        await logActivity(this.db, {
+            boardId: board.id,
+            actor,
+            action: 'board_archived',
+            detail: { archived_cards: cards.length }
+        });
+
+        return { board: archivedBoard, already_archived: false, archived_cards: cards.length };
+    }
+
+    /**
+     * add_board_column — show another status lane on a board (one of the
+     * eight card statuses the board doesn't have yet). Appended last unless
+     * a position is given.
+     */
+    async handleAddBoardColumn(args) {
+        const { board_key, board_id, status_key, name, position, color, wip_limit, is_agent_pickup = false, actor = 'rebecca' } = args || {};
+        if (!COLUMN_STATUSES.includes(status_key)) {
+            throw new Error(`Invalid status_key: ${status_key} (columns are keyed to a card status: ${COLUMN_STATUSES.join(', ')})`);
+        }
+        validateColumnFields({ status_key, wip_limit, is_agent_pickup });
+
+        const board = await this.findBoard({ board_key, board_id }, { open: true });
+        const columns = await this.listColumns(this.db, board.id);
+        if (columns.some((column) => column.status_key === status_key)) {
+            throw new Error(`Board '${board.board_key}' already has a '${status_key}' column`);
+        }
+
+        const template = BOARD_TEMPLATES.standard.find((column) => column.status_key === status_key);
+        const result = await this.db.query(
+            `INSERT INTO fictionlab.kanban_columns
+                (board_id, status_key, name, position, color, wip_limit, is_agent_pickup)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [
+                board.id,
+                status_key,
+                name || template.name,
+                position ?? columns.reduce((max, column) => Math.max(max, column.position + 1), 0),
+                color || null,
+                wip_limit ?? null,
+                is_agent_pickup
+            ]
+        );
+
+        await logActivity(this.db, { boardId: board.id, actor, action: 'column_added', detail: { status_key } });
+
+        return { column: result.rows[0] };
+    }
+
+    /**
+     * update_board_column — rename or recolor a lane, set or clear
+     * (null) its WIP limit, or toggle agent pickup (ready only).
+     */
+    async handleUpdateBoardColumn(args) {
+        const { board_key, board_id, status_key, name, color, wip_limit, is_agent_pickup, actor = 'rebecca' } = args || {};
+        validateColumnFields({ status_key, wip_limit, is_agent_pickup });
+
+        const fields = { name, color, wip_limit, is_agent_pickup };
+        const changed = Object.keys(fields).filter((key) => fields[key] !== undefined);
+        if (changed.length === 0) {
+            throw new Error('Nothing to update: pass name, color, wip_limit or is_agent_pickup');
+        }
+
+        const board = await this.findBoard({ board_key, board_id }, { open: true });
+        const sets = changed.map((key, index) => `${key} = $${index + 3}`);
+        const result = await this.db.query(
+            `UPDATE fictionlab.kanban_columns SET ${sets.join(', ')}
+             WHERE board_id = $1 AND status_key = $2
+             RETURNING *`,
+            [board.id, status_key, ...changed.map((key) => fields[key])]
+        );
+        if (result.rows.length === 0) {
+            throw new Error(`Board '${board.board_key}' has no '${status_key}' column`);
+        }
+
+        await logActivity(this.db, {
+            boardId: board.id,
+            actor,
+            action: 'column_updated',
+            detail: { status_key, ...Object.fromEntries(changed.map((key) => [key, fields[key]])) }
+        });
+
+        return { column: result.rows[0] };
+    }
+
+    /**
+     * reorder_board_columns — status_keys lists every column of the board
+     * in the new left-to-right order.
+     */
+    async handleReorderBoardColumns(args) {
+        const { board_key, board_id, status_keys, actor = 'rebecca' } = args || {};
+        if (!Array.isArray(status_keys) || status_keys.length === 0) {
+            throw new Error('status_keys is required (every column of the board, in the new order)');
+        }
+
+        const board = await this.findBoard({ board_key, board_id }, { open: true });
+        const current = (await this.listColumns(this.db, board.id)).map((column) => column.status_key);
+        const missing = current.filter((key) => !status_keys.includes(key));
+        const unknown = status_keys.filter((key) => !current.includes(key));
+        if (missing.length > 0 || unknown.length > 0 || new Set(status_keys).size !== status_keys.length) {
+            throw new Error(
+                `status_keys must list each of the board's columns exactly once: ${current.join(', ')}` +
+                (missing.length > 0 ? ` (missing ${missing.join(', ')})` : '') +
+                (unknown.length > 0 ? ` (not on this board: ${unknown.join(', ')})` : '')
+            );
+        }
+
+        const columns = await this.db.transaction(async (client) => {
+            for (const [position, statusKey] of status_keys.entries()) {
+                await client.query(
+                    'UPDATE fictionlab.kanban_columns SET position = $3 WHERE board_id = $1 AND status_key = $2',
+                    [board.id, statusKey, position]
+                );
+            }
+            return this.listColumns(client, board.id);
+        });
+
+        await logActivity(this.db, { boardId: board.id, actor, action: 'columns_reordered', detail: { status_keys } });
+
+        return { columns };
+    }
+
+    /**
+     * retire_board_column — remove a lane from a board. Refused for the
+     * lanes the server moves cards into (REQUIRED_COLUMNS) and for a lane
+     * that still holds cards: with no lane, those cards would drop off the
+     * board while still carrying the status. Once retired, create_card and
+     * move_card refuse that status on this board; add_board_column brings
+     * it back.
+     */
+    async handleRetireBoardColumn(args) {
+        const { board_key, board_id, status_key, actor = 'rebecca' } = args || {};
+        if (REQUIRED_COLUMNS.includes(status_key)) {
+            throw new Error(
+                `The '${status_key}' column can't be retired — the server moves cards into it (required: ${REQUIRED_COLUMNS.join(', ')})`
+            );
+        }
+
+        const board = await this.findBoard({ board_key, board_id }, { open: true });
+
+        const retired = await this.db.transaction(async (client) => {
+            // Lock the lane first so a concurrent move_card into it (which
+            // locks the same row in lockWipLane) lands before the count or
+            // waits and then finds no column.
+            const column = await client.query(
+                'SELECT id FROM fictionlab.kanban_columns WHERE board_id = $1 AND status_key = $2 FOR UPDATE',
+                [board.id, status_key]
+            );
+            if (column.rows.length === 0) {
+                throw new Error(`Board '${board.board_key}' has no '${status_key}' column`);
+            }
+
+            const count = await client.query(
+                'SELECT COUNT(*) AS in_lane FROM fictionlab.kanban_cards WHERE board_id = $1 AND status = $2',
+                [board.id, status_key]
+            );
+            const inLane = parseInt(count.rows[0].in_lane, 10);
+            if (inLane > 0) {
+                throw new Error(
+                    `The '${status_key}' column still holds ${inLane} card(s) — move them to another status before retiring it`
+                );
+            }
+
+            await client.query('DELETE FROM fictionlab.kanban_columns WHERE id = $1', [column.rows[0].id]);
+            return this.listColumns(client, board.id);
+        });
+
+        await logActivity(this.db, { boardId: board.id, actor, action: 'column_retired', detail: { status_key } });
+
+        return { retired: status_key, columns: retired };
+    }
 }
@@ -4,7 +4,19 @@
 // claim_card lives in claim-handlers.js — the atomic compare-and-swap is
 // kept in exactly one place.
 
-import { resolveBoardId, logActivity, notifyKanbanChanged, inferReviewPolicy, validateAssignee } from './kanban-helpers.js';
+import {
+    resolveBoardId,
+    logActivity,
+    notifyKanbanChanged,
+    inferReviewPolicy,
+    validateAssignee,
+    lockWipLane,
+    isHumanIdentity,
+    findOpenBlockers,
+    releaseDependentsOf,
+    loadDependencyTree,
+    assertBoardAcceptsStatus
+} from './kanban-helpers.js';
 
 const CARD_STATUSES = ['backlog', 'ready', 'claimed', 'in_progress', 'review', 'blocked', 'done', 'archived'];
 
@@ -231,6 +243,7 @@ export class CardHandlers {
             board_key,
             defaultBoardKey: 'dev-backlog'
         });
+        await assertBoardAcceptsStatus(this.db, resolvedBoardId, status);
 
         // Agents may escalate a card to review-required but never downgrade it
         // themselves -- an explicit override is only ever honored as-is here;
@@ -470,9 +483,22 @@ export class CardHandlers {
      * from_status, to_status}. Per S11 §11.5 decision 5: a review-required
      * card moving into 'review' is automatically reassigned to 'rebecca'
      * (an auto-done card may move straight to 'done' without this).
+     *
+     * A move into a lane whose kanban_columns.wip_limit is already reached
+     * is refused with a 'wip_denied' activity row. A human identity may pass
+     * override_wip: true to move anyway; the 'moved' row then records the
+     * override. Reordering within a lane never counts against the limit.
+     *
+     * The target status must have a lane on the card's board, and the
+     * board must not be archived (migration 063).
+     *
+     * Card dependencies (migration 062): a card with an unmet blocker can't
+     * be moved to 'ready' -- it would land in the agent pickup pool. A card
+     * reaching done/archived releases the blocked cards it was the last
+     * unmet blocker of.
      */
     async handleMoveCard(args) {
-        const { card_id, to_status, actor = 'rebecca', position } = args || {};
+        const { card_id, to_status, actor = 'rebecca', position, override_wip = false } = args || {};
 
         if (!card_id || !to_status) {
             throw new Error('card_id and to_status are required');
@@ -480,6 +506,9 @@ export class CardHandlers {
         if (!CARD_STATUSES.includes(to_status)) {
             throw new Error(`Invalid to_status: ${to_status}`);
         }
+        if (override_wip && !(await isHumanIdentity(this.db, actor))) {
+            throw new Error(`override_wip is reserved for human identities — '${actor}' is not an active human identity`);
+        }
 
         const existing = await this.db.query('SELECT * FROM fictionlab.kanban_cards WHERE id = $1', [card_id]);
         if (existing.rows.length === 0) {
@@ -488,6 +517,16 @@ export class CardHandlers {
         const existingCard = existing.rows[0];
         const fromStatus = existingCard.status;
 
+        if (to_status === 'ready' && fromStatus !== 'ready') {
+            const blockers = await findOpenBlockers(this.db, card_id);
+            if (blockers.length > 0) {
+                const names = blockers.map((b) => `'${b.title}' (${b.status})`).join(', ');
+                throw new Error(
+                    `Card has unmet blockers and can't be made ready: ${names} — finish them or remove_card_dependency first`
+                );
+            }
+        }
+
         const sets = ['status = $2'];
         const params = [card_id, to_status];
         let i = 3;
@@ -497,16 +536,68 @@ export class CardHandlers {
             params.push(position);
         }
 
+        // A claim lease (migration 060) only survives claimed <-> in_progress
+        // moves. Any other move drops it, so a card a human later moves back
+        // into progress can't be swept on a stale lease.
+        const leaseStatuses = ['claimed', 'in_progress'];
+        if (!leaseStatuses.includes(fromStatus) || !leaseStatuses.includes(to_status)) {
+            sets.push('lease_seconds = NULL', 'lease_expires_at = NULL', 'last_heartbeat_at = NULL');
+        }
+
         if (to_status === 'review' && existingCard.review_policy === 'review-required') {
             sets.push(`assignee = $${i++}`);
             params.push('rebecca');
         }
 
-        const result = await this.db.query(
-            `UPDATE fictionlab.kanban_cards SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
-            params
-        );
-        const card = result.rows[0];
+        if (fromStatus !== to_status) {
+            await assertBoardAcceptsStatus(this.db, existingCard.board_id, to_status);
+        }
+
+        // The WIP check and the UPDATE share one transaction so the lane's
+        // column row stays locked until this card is counted in it.
+        const outcome = await this.db.transaction(async (client) => {
+            const lane = fromStatus === to_status
+                ? null
+                : await lockWipLane(client, { boardId: existingCard.board_id, status: to_status, cardId: card_id });
+            if (lane && !lane.hasColumn) {
+                // Retired between the check above and this lock.
+                throw new Error(`This board has no '${to_status}' column`);
+            }
+            if (lane?.full && !override_wip) {
+                return { lane };
+            }
+
+            const result = await client.query(
+                `UPDATE fictionlab.kanban_cards SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+                params
+            );
+            return { lane, card: result.rows[0] };
+        });
+
+        // Logged after the transaction: a denial writes nothing else, and
+        // the audit row must survive the refusal.
+        if (!outcome.card) {
+            const { wipLimit, inLane } = outcome.lane;
+            await logActivity(this.db, {
+                boardId: existingCard.board_id,
+                cardId: card_id,
+                actor,
+                action: 'wip_denied',
+                fromStatus,
+                toStatus: to_status,
+                detail: { tool: 'move_card', wip_limit: wipLimit, in_lane: inLane }
+            });
+
+            throw new Error(
+                `WIP limit reached: '${to_status}' already holds ${inLane} card(s) (limit ${wipLimit}) — move a card out of it first` +
+                ' (a human identity may pass override_wip: true)'
+            );
+        }
+
+        const { card, lane } = outcome;
+        const detail = lane?.full
+            ? { wip_override: { wip_limit: lane.wipLimit, in_lane: lane.inLane } }
+            : {};
 
         await logActivity(this.db, {
             boardId: card.board_id,
@@ -515,16 +606,24 @@ export class CardHandlers {
             action: 'moved',
             fromStatus,
             toStatus: to_status,
-            detail: {}
+            detail
         });
         await notifyKanbanChanged(this.db, card.id);
 
+        if (['done', 'archived'].includes(to_status) && !['done', 'archived'].includes(fromStatus)) {
+            const released = await releaseDependentsOf(this.db, card.id, { triggeredBy: actor });
+            if (released.length > 0) {
+                return { card, released: released.map(({ id, title }) => ({ id, title })) };
+            }
+        }
+
         return { card };
     }
 
     /**
      * get_card (supporting tool) — card + comments + links + activity + live
-     * workflow_phase. The detail-drawer call.
+     * workflow_phase + dependency tree (blocked_by / blocks). The
+     * detail-drawer call.
      */
     async handleGetCard(args) {
         const { card_id } = args || {};
@@ -547,17 +646,19 @@ export class CardHandlers {
             throw new Error(`Card not found: ${card_id}`);
         }
 
-        const [comments, links, activity] = await Promise.all([
+        const [comments, links, activity, dependencies] = await Promise.all([
             this.db.query('SELECT * FROM fictionlab.kanban_comments WHERE card_id = $1 ORDER BY created_at', [card_id]),
             this.db.query('SELECT * FROM fictionlab.kanban_card_links WHERE card_id = $1 ORDER BY created_at', [card_id]),
-            this.db.query('SELECT * FROM fictionlab.kanban_activity WHERE card_id = $1 ORDER BY created_at DESC', [card_id])
+            this.db.query('SELECT * FROM fictionlab.kanban_activity WHERE card_id = $1 ORDER BY created_at DESC', [card_id]),
+            loadDependencyTree(this.db, card_id)
         ]);
 
         return {
             card: cardResult.rows[0],
             comments: comments.rows,
             links: links.rows,
-            activity: activity.rows
+            activity: activity.rows,
+            dependencies
         };
     }
 
@@ -4,8 +4,30 @@
 // UPDATE ... RETURNING relies on Postgres row locking to guarantee exactly
 // one concurrent caller matches. No transaction/advisory-lock gymnastics
 // needed (S11 issue #58 §2c / spec §4c).
+//
+// A winning claim also carries a lease (migration 060): heartbeat_card
+// extends it, and sweep_expired_claims hands cards whose claimant stopped
+// heartbeating back to the ready pool. Same single-UPDATE discipline as the
+// claim itself -- heartbeat and sweep race on the same row lock.
+//
+// WIP limits are the one exception to "no transaction": the column-row lock
+// taken by lockWipLane has to be held across the compare-and-swap, so the
+// claim runs inside a short transaction when it targets a lane.
 
-import { logActivity, notifyKanbanChanged } from './kanban-helpers.js';
+import { resolveBoardId, logActivity, notifyKanbanChanged, lockWipLane, findOpenBlockers } from './kanban-helpers.js';
+
+export const DEFAULT_LEASE_SECONDS = 30 * 60;
+const MIN_LEASE_SECONDS = 60;
+const MAX_LEASE_SECONDS = 24 * 60 * 60;
+const LEASE_SWEEP_ACTOR = 'lease-sweep';
+
+function validateLeaseSeconds(leaseSeconds) {
+    if (!Number.isInteger(leaseSeconds) || leaseSeconds < MIN_LEASE_SECONDS || leaseSeconds > MAX_LEASE_SECONDS) {
+        throw new Error(
+            `Invalid lease_seconds: ${leaseSeconds} (expected a whole number of seconds, ${MIN_LEASE_SECONDS}-${MAX_LEASE_SECONDS})`
+        );
+    }
+}
 
 export class ClaimHandlers {
     constructor(db) {
@@ -13,7 +35,13 @@ export class ClaimHandlers {
     }
 
     async handleClaimCard(args) {
-        const { card_id, agent, expected_status = 'ready', move_to = 'claimed' } = args || {};
+        const {
+            card_id,
+            agent,
+            expected_status = 'ready',
+            move_to = 'claimed',
+            lease_seconds = DEFAULT_LEASE_SECONDS
+        } = args || {};
 
         if (!card_id) {
             throw new Error('card_id is required');
@@ -41,6 +69,12 @@ export class ClaimHandlers {
         if (!['claimed', 'in_progress'].includes(move_to)) {
             throw new Error(`Invalid move_to: ${move_to}`);
         }
+        validateLeaseSeconds(lease_seconds);
+
+        // Lazy reclaim: any lapsed claim goes back to 'ready' before this
+        // compare-and-swap runs, so the next agent looking for work is what
+        // recovers a crashed session's card -- no daemon required.
+        await this.sweepExpiredClaims();
 
         // Self-register this agent id as kind='agent' (idempotent, ON
         // CONFLICT DO NOTHING) the first time it's ever seen claiming. This
@@ -66,26 +100,53 @@ export class ClaimHandlers {
         //   - agent_claimable = TRUE    -> not reserved (kept true by the DB trigger)
         //   - NOT EXISTS (... kind='human' ...) -> human-assigned cards NEVER agent-claimable
         //   - assignee IS NULL OR assignee = agent -> unassigned pool, or already this agent's
-        const result = await this.db.query(
-            `UPDATE fictionlab.kanban_cards
-                SET status     = $2,
-                    assignee   = $3,
-                    claimed_by = $3,
-                    claimed_at = NOW()
-              WHERE id = $1
-                AND status = $4
-                AND agent_claimable = TRUE
-                AND NOT EXISTS (
-                    SELECT 1 FROM fictionlab.kanban_identities ki
-                    WHERE ki.id = assignee AND ki.kind = 'human' AND ki.active
-                )
-                AND (assignee IS NULL OR assignee = $3)
-              RETURNING *`,
-            [card_id, move_to, agent, expected_status]
-        );
+        //   - NOT EXISTS (... unmet blocker ...) -> a card still waiting on another
+        //     never leaves the pool (it should already be in 'blocked', migration 062)
+        //
+        // It runs after lockWipLane in the same transaction: a full target
+        // lane skips the swap, and concurrent claims into the lane queue on
+        // its column row instead of each counting the same free slot.
+        const target = await this.db.query('SELECT board_id FROM fictionlab.kanban_cards WHERE id = $1', [card_id]);
+        if (target.rows.length === 0) {
+            return { claimed: false, reason: 'not_found' };
+        }
 
-        if (result.rows.length > 0) {
-            const card = result.rows[0];
+        const outcome = await this.db.transaction(async (client) => {
+            const lane = await lockWipLane(client, { boardId: target.rows[0].board_id, status: move_to, cardId: card_id });
+            if (lane.full) {
+                return { lane };
+            }
+
+            const result = await client.query(
+                `UPDATE fictionlab.kanban_cards
+                    SET status     = $2,
+                        assignee   = $3,
+                        claimed_by = $3,
+                        claimed_at = NOW(),
+                        lease_seconds     = $5::integer,
+                        lease_expires_at  = NOW() + make_interval(secs => $5::integer),
+                        last_heartbeat_at = NULL
+                  WHERE id = $1
+                    AND status = $4
+                    AND agent_claimable = TRUE
+                    AND NOT EXISTS (
+                        SELECT 1 FROM fictionlab.kanban_identities ki
+                        WHERE ki.id = assignee AND ki.kind = 'human' AND ki.active
+                    )
+                    AND (assignee IS NULL OR assignee = $3)
+                    AND NOT EXISTS (
+                        SELECT 1 FROM fictionlab.kanban_card_dependencies d
+                        JOIN fictionlab.kanban_cards b ON b.id = d.blocker_card_id
+                        WHERE d.blocked_card_id = $1 AND b.status NOT IN ('done', 'archived')
+                    )
+                  RETURNING *`,
+                [card_id, move_to, agent, expected_status, lease_seconds]
+            );
+            return { lane, card: result.rows[0] };
+        });
+
+        if (outcome.card) {
+            const { card } = outcome;
 
             await logActivity(this.db, {
                 boardId: card.board_id,
@@ -94,7 +155,7 @@ export class ClaimHandlers {
                 action: 'claimed',
                 fromStatus: expected_status,
                 toStatus: move_to,
-                detail: { agent }
+                detail: { agent, lease_seconds }
             });
             await notifyKanbanChanged(this.db, card.id);
 
@@ -110,7 +171,30 @@ export class ClaimHandlers {
         }
 
         const card = current.rows[0];
-        const reason = this.inferDenyReason(card, { agent, expectedStatus: expected_status });
+
+        // A full lane only explains the loss when the card was otherwise
+        // there for the taking; a card already gone reports why it's gone.
+        if (outcome.lane?.full && card.status === expected_status && card.agent_claimable &&
+            (!card.assignee || card.assignee === agent)) {
+            const { wipLimit, inLane } = outcome.lane;
+            await logActivity(this.db, {
+                boardId: card.board_id,
+                cardId: card.id,
+                actor: agent,
+                action: 'wip_denied',
+                fromStatus: expected_status,
+                toStatus: move_to,
+                detail: { tool: 'claim_card', agent, wip_limit: wipLimit, in_lane: inLane }
+            });
+
+            return { claimed: false, reason: 'wip_limit_reached', status: move_to, wip_limit: wipLimit, in_lane: inLane };
+        }
+
+        let reason = this.inferDenyReason(card, { agent, expectedStatus: expected_status });
+        if (reason === 'wrong_status' && card.status === expected_status &&
+            (await findOpenBlockers(this.db, card.id)).length > 0) {
+            reason = 'unmet_blockers';
+        }
 
         await logActivity(this.db, {
             boardId: card.board_id,
@@ -145,4 +229,147 @@ export class ClaimHandlers {
 
         return 'wrong_status';
     }
+
+    /**
+     * heartbeat_card — the claimant extends its lease to NOW() + lease_seconds
+     * (default: the lease the claim was made with). Only claimed_by may
+     * renew, and only while the card is still claimed/in_progress: a lease
+     * that already lapsed but has not been swept yet is still the agent's to
+     * renew; once swept, the card is back in the pool and the heartbeat
+     * reports lease_expired. Deliberately writes no kanban_activity row -- a
+     * heartbeat every few minutes would drown the board's feed.
+     */
+    async handleHeartbeatCard(args) {
+        const { card_id, agent, lease_seconds } = args || {};
+
+        if (!card_id) {
+            throw new Error('card_id is required');
+        }
+        if (!agent) {
+            throw new Error('agent is required');
+        }
+        if (lease_seconds !== undefined) {
+            validateLeaseSeconds(lease_seconds);
+        }
+
+        const result = await this.db.query(
+            `UPDATE fictionlab.kanban_cards
+                SET lease_seconds     = COALESCE($3::integer, lease_seconds, $4::integer),
+                    lease_expires_at  = NOW() + make_interval(secs => COALESCE($3::integer, lease_seconds, $4::integer)),
+                    last_heartbeat_at = NOW()
+              WHERE id = $1
+                AND claimed_by = $2
+                AND status IN ('claimed', 'in_progress')
+              RETURNING *`,
+            [card_id, agent, lease_seconds ?? null, DEFAULT_LEASE_SECONDS]
+        );
+
+        if (result.rows.length > 0) {
+            const card = result.rows[0];
+            return { renewed: true, lease_expires_at: card.lease_expires_at, card };
+        }
+
+        const current = await this.db.query('SELECT * FROM fictionlab.kanban_cards WHERE id = $1', [card_id]);
+        if (current.rows.length === 0) {
+            return { renewed: false, reason: 'not_found' };
+        }
+
+        const card = current.rows[0];
+        if (card.claimed_by && card.claimed_by !== agent) {
+            return { renewed: false, reason: 'claimed_by_other', claimed_by: card.claimed_by };
+        }
+        const expired = await this.db.query(
+            `SELECT 1 FROM fictionlab.kanban_activity
+             WHERE card_id = $1 AND action = 'claim_expired' AND detail->>'claimed_by' = $2
+             LIMIT 1`,
+            [card_id, agent]
+        );
+        return { renewed: false, reason: expired.rows.length > 0 ? 'lease_expired' : 'not_claimed', status: card.status };
+    }
+
+    /**
+     * Return every claimed/in_progress card whose lease has lapsed to
+     * 'ready': claimed_by/claimed_at and the lease are cleared, and the
+     * assignee too when it is just the claim's own agent (an assignee set by
+     * a human stays). One 'claim_expired' activity row + one NOTIFY per card.
+     * Cards without a lease (pre-060 claims) are never touched.
+     */
+    async sweepExpiredClaims({ boardId } = {}) {
+        const params = [];
+        let boardFilter = '';
+        if (boardId) {
+            params.push(boardId);
+            boardFilter = 'AND c.board_id = $1';
+        }
+
+        // The CTE captures each row's pre-sweep values; RETURNING on the
+        // UPDATE alone would only see the cleared columns.
+        const result = await this.db.query(
+            `WITH expired AS (
+                SELECT c.id, c.status, c.claimed_by, c.claimed_at, c.lease_expires_at, c.last_heartbeat_at
+                FROM fictionlab.kanban_cards c
+                WHERE c.lease_expires_at < NOW()
+                  AND c.status IN ('claimed', 'in_progress')
+                  ${boardFilter}
+                FOR UPDATE SKIP LOCKED
+            )
+            UPDATE fictionlab.kanban_cards k
+               SET status            = 'ready',
+                   assignee          = CASE WHEN k.assignee = k.claimed_by THEN NULL ELSE k.assignee END,
+                   claimed_by        = NULL,
+                   claimed_at        = NULL,
+                   lease_seconds     = NULL,
+                   lease_expires_at  = NULL,
+                   last_heartbeat_at = NULL
+              FROM expired e
+             WHERE k.id = e.id
+            RETURNING k.id, k.board_id, k.title,
+                      e.status AS from_status, e.claimed_by, e.claimed_at,
+                      e.lease_expires_at, e.last_heartbeat_at`,
+            params
+        );
+
+        for (const row of result.rows) {
+            await logActivity(this.db, {
+                boardId: row.board_id,
+                cardId: row.id,
+                actor: LEASE_SWEEP_ACTOR,
+                action: 'claim_expired',
+                fromStatus: row.from_status,
+                toStatus: 'ready',
+                detail: {
+                    claimed_by: row.claimed_by,
+                    claimed_at: row.claimed_at,
+                    lease_expires_at: row.lease_expires_at,
+                    last_heartbeat_at: row.last_heartbeat_at
+                }
+            });
+            await notifyKanbanChanged(this.db, row.id);
+        }
+
+        return result.rows;
+    }
+
+    /**
+     * sweep_expired_claims — run the lease sweep now, optionally for one
+     * board. claim_card already runs it before every claim; this is for a
+     * scheduled job or a human tidying the board.
+     */
+    async handleSweepExpiredClaims(args) {
+        const { board_key, board_id } = args || {};
+
+        const boardId = board_key || board_id ? await resolveBoardId(this.db, { board_id, board_key }) : null;
+        const reclaimed = await this.sweepExpiredClaims({ boardId });
+
+        return {
+            reclaimed_count: reclaimed.length,
+            reclaimed: reclaimed.map((row) => ({
+                card_id: row.id,
+                title: row.title,
+                from_status: row.from_status,
+                claimed_by: row.claimed_by,
+                lease_expires_at: row.lease_expires_at
+            }))
+        };
+    }
 }
@@ -0,0 +1,196 @@
+// src/mcps/kanban-server/handlers/dependency-handlers.js
+// Card dependencies (migration 062): add_card_dependency and
+// remove_card_dependency. An edge means "blocker blocks blocked"; a card
+// with an unmet blocker is held in 'blocked' so it never sits in the agent
+// pickup pool, and is released back to 'ready' when its last blocker is
+// done (releaseDependentsOf in kanban-helpers.js, called by move_card and
+// the GitHub sync poller).
+
+import {
+    logActivity,
+    notifyKanbanChanged,
+    findOpenBlockers,
+    releaseBlockedCards,
+    DEPENDENCY_RELEASE_ACTOR
+} from './kanban-helpers.js';
+
+// Serializes dependency inserts. Two concurrent edges (A blocks B, B blocks
+// A) each pass a cycle check that can't see the other's uncommitted row;
+// with this lock the second one runs its check after the first commits.
+const DEPENDENCY_LOCK_KEY = 'fictionlab.kanban_card_dependencies';
+
+/**
+ * card_id plus exactly one of blocked_by_card_id / blocks_card_id ->
+ * { blockerId, blockedId }.
+ */
+function resolveEdge({ card_id, blocked_by_card_id, blocks_card_id }) {
+    if (!card_id) {
+        throw new Error('card_id is required');
+    }
+    if (Boolean(blocked_by_card_id) === Boolean(blocks_card_id)) {
+        throw new Error('Pass exactly one of blocked_by_card_id or blocks_card_id');
+    }
+
+    const edge = blocked_by_card_id
+        ? { blockerId: blocked_by_card_id, blockedId: card_id }
+        : { blockerId: card_id, blockedId: blocks_card_id };
+    if (edge.blockerId === edge.blockedId) {
+        throw new Error('A card cannot depend on itself');
+    }
+    return edge;
+}
+
+export class DependencyHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * add_card_dependency — record that one card blocks another. Refused if
+     * it would close a cycle (the error spells the cycle out). If the
+     * blocker isn't done and the blocked card is in 'ready', the blocked
+     * card is moved to 'blocked'; a card already claimed or in progress is
+     * left where it is (held: false) -- pulling work out from under an
+     * agent is a human's call.
+     */
+    async handleAddCardDependency(args) {
+        const { actor = 'rebecca' } = args || {};
+        const { blockerId, blockedId } = resolveEdge(args || {});
+
+        const outcome = await this.db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [DEPENDENCY_LOCK_KEY]);
+
+            const cards = await client.query(
+                'SELECT id, board_id, title, status FROM fictionlab.kanban_cards WHERE id = ANY($1::uuid[])',
+                [[blockerId, blockedId]]
+            );
+            const byId = new Map(cards.rows.map((card) => [card.id, card]));
+            for (const id of [blockerId, blockedId]) {
+                if (!byId.has(id)) {
+                    throw new Error(`Card not found: ${id}`);
+                }
+            }
+
+            // Walk upstream from the blocker through its own blockers. If
+            // that reaches the blocked card, the blocked card already
+            // (transitively) blocks the blocker and the new edge closes a loop.
+            const cycle = await client.query(
+                `WITH RECURSIVE upstream(id, path) AS (
+                     SELECT $1::uuid, ARRAY[$1::uuid]
+                     UNION ALL
+                     SELECT d.blocker_card_id, u.path || d.blocker_card_id
+                     FROM upstream u
+                     JOIN fictionlab.kanban_card_dependencies d ON d.blocked_card_id = u.id
+                     WHERE NOT d.blocker_card_id = ANY(u.path)
+                 )
+                 SELECT path FROM upstream WHERE id = $2 LIMIT 1`,
+                [blockerId, blockedId]
+            );
+            if (cycle.rows.length > 0) {
+                const path = [...cycle.rows[0].path].reverse();
+                const titles = await client.query(
+                    'SELECT id, title FROM fictionlab.kanban_cards WHERE id = ANY($1::uuid[])',
+                    [path]
+                );
+                const titleOf = new Map(titles.rows.map((row) => [row.id, row.title]));
+                const chain = [...path, blockedId].map((id) => `'${titleOf.get(id) || id}'`).join(' blocks ');
+                throw new Error(`Dependency would create a cycle: ${chain}`);
+            }
+
+            const inserted = await client.query(
+                `INSERT INTO fictionlab.kanban_card_dependencies (blocker_card_id, blocked_card_id, created_by)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (blocker_card_id, blocked_card_id) DO NOTHING
+                 RETURNING *`,
+                [blockerId, blockedId, actor]
+            );
+
+            let held = null;
+            if (!['done', 'archived'].includes(byId.get(blockerId).status)) {
+                const result = await client.query(
+                    `UPDATE fictionlab.kanban_cards SET status = 'blocked'
+                     WHERE id = $1 AND status = 'ready'
+                     RETURNING id, board_id, status`,
+                    [blockedId]
+                );
+                held = result.rows[0] || null;
+            }
+
+            return { dependency: inserted.rows[0] || null, blocker: byId.get(blockerId), blocked: byId.get(blockedId), held };
+        });
+
+        const { dependency, blocker, blocked, held } = outcome;
+        if (dependency) {
+            await logActivity(this.db, {
+                boardId: blocked.board_id,
+                cardId: blocked.id,
+                actor,
+                action: 'dependency_added',
+                detail: { blocker_card_id: blocker.id, blocker_title: blocker.title }
+            });
+        }
+        if (held) {
+            await logActivity(this.db, {
+                boardId: held.board_id,
+                cardId: held.id,
+                actor: DEPENDENCY_RELEASE_ACTOR,
+                action: 'auto-moved',
+                fromStatus: 'ready',
+                toStatus: 'blocked',
+                detail: { reason: 'blocker_not_done', blocker_card_id: blocker.id }
+            });
+        }
+        if (dependency || held) {
+            await notifyKanbanChanged(this.db, blocked.id);
+        }
+
+        return {
+            added: Boolean(dependency),
+            already_existed: !dependency,
+            blocker_card_id: blocker.id,
+            blocked_card_id: blocked.id,
+            blocked_status: held ? held.status : blocked.status,
+            held: Boolean(held)
+        };
+    }
+
+    /**
+     * remove_card_dependency — drop one edge. If that was the blocked
+     * card's last unmet blocker and it sits in 'blocked', it moves to
+     * 'ready' exactly as if the blocker had been finished.
+     */
+    async handleRemoveCardDependency(args) {
+        const { actor = 'rebecca' } = args || {};
+        const { blockerId, blockedId } = resolveEdge(args || {});
+
+        const deleted = await this.db.query(
+            `DELETE FROM fictionlab.kanban_card_dependencies
+             WHERE blocker_card_id = $1 AND blocked_card_id = $2
+             RETURNING blocked_card_id`,
+            [blockerId, blockedId]
+        );
+        if (deleted.rows.length === 0) {
+            return { removed: false, blocker_card_id: blockerId, blocked_card_id: blockedId };
+        }
+
+        const card = await this.db.query('SELECT board_id FROM fictionlab.kanban_cards WHERE id = $1', [blockedId]);
+        await logActivity(this.db, {
+            boardId: card.rows[0]?.board_id,
+            cardId: blockedId,
+            actor,
+            action: 'dependency_removed',
+            detail: { blocker_card_id: blockerId }
+        });
+        await notifyKanbanChanged(this.db, blockedId);
+
+        const released = await releaseBlockedCards(this.db, [blockedId], { removed_blocker_card_id: blockerId, triggered_by: actor });
+
+        return {
+            removed: true,
+            blocker_card_id: blockerId,
+            blocked_card_id: blockedId,
+            released: released.length > 0,
+            open_blockers: await findOpenBlockers(this.db, blockedId)
+        };
+    }
+}
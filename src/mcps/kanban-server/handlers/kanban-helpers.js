@@ -63,6 +63,226 @@ export async function notifyKanbanChanged(db, cardId) {
     await db.query('SELECT pg_notify($1, $2)', ['kanban_changed', String(cardId)]);
 }
 
+/**
+ * WIP gate for a move into a lane. Locks the lane's kanban_columns row FOR
+ * UPDATE, then counts the cards already in it (excluding cardId). Must run
+ * on a transaction client: the row lock is what makes the check safe under
+ * concurrency -- a second move into the same lane blocks on the lock until
+ * the first commits, and its COUNT (a fresh READ COMMITTED snapshot) then
+ * sees the first card. A plain COUNT-then-UPDATE would let twenty agents
+ * all see "one slot left".
+ *
+ * Returns { hasColumn, wipLimit, inLane, full }; wipLimit is null (never
+ * full) for a lane with no limit or no column row. hasColumn false means
+ * the board has no lane for this status (retired, migration 063) -- read
+ * under the same lock retire_board_column takes, so it can't go stale
+ * before the caller's write commits.
+ */
+export async function lockWipLane(client, { boardId, status, cardId }) {
+    const column = await client.query(
+        `SELECT wip_limit FROM fictionlab.kanban_columns
+         WHERE board_id = $1 AND status_key = $2
+         FOR UPDATE`,
+        [boardId, status]
+    );
+    const hasColumn = column.rows.length > 0;
+    const wipLimit = column.rows[0]?.wip_limit ?? null;
+    if (wipLimit === null) {
+        return { hasColumn, wipLimit: null, inLane: null, full: false };
+    }
+
+    const count = await client.query(
+        `SELECT COUNT(*) AS in_lane FROM fictionlab.kanban_cards
+         WHERE board_id = $1 AND status = $2 AND id <> $3`,
+        [boardId, status, cardId]
+    );
+    const inLane = parseInt(count.rows[0].in_lane, 10);
+
+    return { hasColumn, wipLimit, inLane, full: inLane >= wipLimit };
+}
+
+/**
+ * Refuse a card write onto an archived board or into a status the board
+ * has no lane for (board lifecycle, migration 063). create_card's check;
+ * move_card re-checks the lane under lockWipLane's lock.
+ */
+export async function assertBoardAcceptsStatus(db, boardId, status) {
+    const result = await db.query(
+        `SELECT b.board_key, b.is_archived,
+                EXISTS (
+                    SELECT 1 FROM fictionlab.kanban_columns col
+                    WHERE col.board_id = b.id AND col.status_key = $2
+                ) AS has_column
+         FROM fictionlab.kanban_boards b
+         WHERE b.id = $1`,
+        [boardId, status]
+    );
+    const board = result.rows[0];
+    if (!board) {
+        throw new Error(`Board not found: ${boardId}`);
+    }
+    if (board.is_archived) {
+        throw new Error(`Board '${board.board_key}' is archived — it accepts no new cards or moves`);
+    }
+    if (status && !board.has_column) {
+        throw new Error(`Board '${board.board_key}' has no '${status}' column (add_board_column adds it)`);
+    }
+}
+
+/**
+ * Whether an id is an active human identity -- the only kind allowed to
+ * override a WIP limit.
+ */
+export async function isHumanIdentity(db, id) {
+    const result = await db.query(
+        'SELECT kind FROM fictionlab.kanban_identities WHERE id = $1 AND active',
+        [id]
+    );
+    return result.rows[0]?.kind === 'human';
+}
+
+// Card dependencies (migration 062). A blocker is met once it is done or
+// archived; the SQL below spells that out as NOT IN ('done', 'archived').
+export const DEPENDENCY_RELEASE_ACTOR = 'dependency-release';
+const MET_BLOCKER_STATUSES = ['done', 'archived'];
+const DEPENDENCY_TREE_DEPTH = 10;
+
+/**
+ * Unmet blockers of a card (id, title, status), oldest edge first.
+ */
+export async function findOpenBlockers(db, cardId) {
+    const result = await db.query(
+        `SELECT b.id, b.title, b.status
+         FROM fictionlab.kanban_card_dependencies d
+         JOIN fictionlab.kanban_cards b ON b.id = d.blocker_card_id
+         WHERE d.blocked_card_id = $1 AND b.status NOT IN ('done', 'archived')
+         ORDER BY d.created_at`,
+        [cardId]
+    );
+    return result.rows;
+}
+
+/**
+ * Move each of cardIds that is 'blocked' and has no unmet blocker left to
+ * 'ready' -- one conditional UPDATE, so a card a human moved elsewhere in
+ * the meantime is left alone. Each released card gets an 'auto-moved'
+ * activity row (actor dependency-release) and a NOTIFY. Returns the
+ * released cards.
+ */
+export async function releaseBlockedCards(db, cardIds, detail = {}) {
+    if (cardIds.length === 0) {
+        return [];
+    }
+
+    const result = await db.query(
+        `UPDATE fictionlab.kanban_cards c
+            SET status = 'ready'
+          WHERE c.id = ANY($1::uuid[])
+            AND c.status = 'blocked'
+            AND NOT EXISTS (
+                SELECT 1 FROM fictionlab.kanban_card_dependencies d
+                JOIN fictionlab.kanban_cards b ON b.id = d.blocker_card_id
+                WHERE d.blocked_card_id = c.id AND b.status NOT IN ('done', 'archived')
+            )
+          RETURNING c.id, c.board_id, c.title`,
+        [cardIds]
+    );
+
+    for (const card of result.rows) {
+        await logActivity(db, {
+            boardId: card.board_id,
+            cardId: card.id,
+            actor: DEPENDENCY_RELEASE_ACTOR,
+            action: 'auto-moved',
+            fromStatus: 'blocked',
+            toStatus: 'ready',
+            detail: { reason: 'dependencies_met', ...detail }
+        });
+        await notifyKanbanChanged(db, card.id);
+    }
+
+    return result.rows;
+}
+
+/**
+ * Called whenever a card reaches done/archived: release the cards it was
+ * the last unmet blocker of. triggeredBy is the actor whose move did it.
+ */
+export async function releaseDependentsOf(db, blockerCardId, { triggeredBy } = {}) {
+    const dependents = await db.query(
+        'SELECT blocked_card_id FROM fictionlab.kanban_card_dependencies WHERE blocker_card_id = $1',
+        [blockerCardId]
+    );
+    return releaseBlockedCards(
+        db,
+        dependents.rows.map((row) => row.blocked_card_id),
+        { blocker_card_id: blockerCardId, triggered_by: triggeredBy || null }
+    );
+}
+
+/**
+ * Nest flat (id, parent_id, title, status) rows into a tree under rootId.
+ * childKey names the child list ('blocked_by' or 'blocks'). A card reached
+ * along two paths appears under both parents; depth is capped so a cycle
+ * slipped in by raw SQL cannot recurse forever.
+ */
+export function nestDependencyRows(rows, rootId, childKey, maxDepth = DEPENDENCY_TREE_DEPTH) {
+    const byParent = new Map();
+    for (const row of rows) {
+        if (!byParent.has(row.parent_id)) {
+            byParent.set(row.parent_id, []);
+        }
+        byParent.get(row.parent_id).push(row);
+    }
+
+    const build = (parentId, depth) => (depth > maxDepth ? [] : (byParent.get(parentId) || []).map((row) => ({
+        id: row.id,
+        title: row.title,
+        status: row.status,
+        met: MET_BLOCKER_STATUSES.includes(row.status),
+        [childKey]: build(row.id, depth + 1)
+    })));
+
+    return build(rootId, 1);
+}
+
+/**
+ * get_card's dependency view: the transitive blocked_by tree (what this
+ * card waits on) and blocks tree (what waits on it), plus the count of
+ * direct blockers not yet met.
+ */
+export async function loadDependencyTree(db, cardId) {
+    const walk = (from, to) => db.query(
+        `WITH RECURSIVE tree AS (
+             SELECT d.${from} AS id, d.${to} AS parent_id, 1 AS depth
+             FROM fictionlab.kanban_card_dependencies d
+             WHERE d.${to} = $1
+             UNION ALL
+             SELECT d.${from}, d.${to}, t.depth + 1
+             FROM tree t
+             JOIN fictionlab.kanban_card_dependencies d ON d.${to} = t.id
+             WHERE t.depth < $2
+         )
+         SELECT DISTINCT t.id, t.parent_id, c.title, c.status
+         FROM tree t
+         JOIN fictionlab.kanban_cards c ON c.id = t.id
+         ORDER BY c.title`,
+        [cardId, DEPENDENCY_TREE_DEPTH]
+    );
+
+    const [upstream, downstream] = await Promise.all([
+        walk('blocker_card_id', 'blocked_card_id'),
+        walk('blocked_card_id', 'blocker_card_id')
+    ]);
+    const blockedBy = nestDependencyRows(upstream.rows, cardId, 'blocked_by');
+
+    return {
+        blocked_by: blockedBy,
+        blocks: nestDependencyRows(downstream.rows, cardId, 'blocks'),
+        unmet_blocker_count: blockedBy.filter((node) => !node.met).length
+    };
+}
+
 /**
  * S11 §11.5 (decision 5): default review_policy by risk class at create_card
  * time. This can't be a DB column default because it needs to inspect the
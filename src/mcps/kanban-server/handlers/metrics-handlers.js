@@ -0,0 +1,301 @@
+// src/mcps/kanban-server/handlers/metrics-handlers.js
+// get_flow_metrics — lead time, per-status cycle time, weekly throughput and
+// aging WIP for one board, read back from the append-only kanban_activity
+// feed. The handler only fetches; computeFlowMetrics and its helpers are
+// pure (exported for tests/kanban-server/flow-metrics.test.js).
+//
+// A card's "worker" is claimed_by when an agent claimed it, else its
+// assignee -- a review-required card is reassigned to 'rebecca' on its way
+// to review, so the assignee alone would credit every reviewed card to her.
+// The worker's kanban_identities.kind is what the agent/human comparison
+// groups by ('unknown' for an unregistered id, 'unassigned' for none).
+
+import { resolveBoardId } from './kanban-helpers.js';
+
+// Activity actions that record a status change ('archived' is
+// archive_board's per-card row). wip_denied carries a to_status too, but
+// the move never happened.
+const TRANSITION_ACTIONS = ['created', 'claimed', 'moved', 'auto-moved', 'claim_expired', 'archived'];
+const WIP_STATUSES = ['claimed', 'in_progress', 'review', 'blocked'];
+const IDENTITY_KINDS = ['human', 'persona', 'agent', 'unknown', 'unassigned'];
+const DEFAULT_WINDOW_DAYS = 84;
+const DEFAULT_STALE_AFTER_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDays(ms) {
+    return Math.round((ms / DAY_MS) * 100) / 100;
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value} (expected an ISO date or timestamp)`);
+    }
+    return date;
+}
+
+/**
+ * { count, mean_days, median_days, p85_days } of a list of durations in
+ * days. p85 is nearest-rank, the usual "85% of cards finish within" figure.
+ */
+export function summarizeDurations(days) {
+    if (days.length === 0) {
+        return { count: 0, mean_days: null, median_days: null, p85_days: null };
+    }
+    const sorted = [...days].sort((a, b) => a - b);
+    const at = (p) => sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    const round = (n) => Math.round(n * 100) / 100;
+
+    return {
+        count: sorted.length,
+        mean_days: round(sorted.reduce((sum, n) => sum + n, 0) / sorted.length),
+        median_days: round(median),
+        p85_days: round(at(0.85))
+    };
+}
+
+/**
+ * Monday (UTC) of the week containing date, as 'YYYY-MM-DD'.
+ */
+export function weekStart(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * A card's status history as [{ status, start, end }] from its transition
+ * rows (oldest first). The first interval starts at created_at in the
+ * status the first transition left (or the current status when there are
+ * none); the last one is open (end null).
+ */
+export function statusIntervals(card, transitions) {
+    const createdAt = new Date(card.created_at);
+    const rows = transitions.filter((row) => row.action !== 'created');
+    const created = transitions.find((row) => row.action === 'created');
+
+    let status = created?.to_status || rows[0]?.from_status || card.status;
+    let start = createdAt;
+    const intervals = [];
+    for (const row of rows) {
+        const at = new Date(row.created_at);
+        intervals.push({ status, start, end: at });
+        status = row.to_status;
+        start = at;
+    }
+    intervals.push({ status, start, end: null });
+    return intervals;
+}
+
+/**
+ * Flow metrics for cards ({ id, title, status, created_at, worker,
+ * worker_kind }) and their transition rows ({ card_id, action, from_status,
+ * to_status, created_at }, oldest first), over [since, until].
+ *
+ * - Completed: a card now done/archived, at its last entry into 'done'
+ *   inside the window. Counted once, however often it was reopened.
+ * - lead_time: created_at -> completion, for completed cards.
+ * - cycle_time_by_status: time spent per stay in each status, for stays
+ *   that ended inside the window.
+ * - throughput: completions per week (Monday start), split by worker kind.
+ * - aging_wip: cards now in claimed/in_progress/review/blocked, aged to
+ *   `now` (the board as it stands, whatever the window), oldest stay
+ *   first; stale once a stay passes staleAfterDays.
+ */
+export function computeFlowMetrics({ cards, transitions, since, until, now = until, staleAfterDays = DEFAULT_STALE_AFTER_DAYS }) {
+    const byCard = new Map(cards.map((card) => [card.id, []]));
+    for (const row of transitions) {
+        byCard.get(row.card_id)?.push(row);
+    }
+    const inWindow = (date) => date >= since && date <= until;
+
+    const leadDays = [];
+    const leadByKind = new Map();
+    const stays = new Map();
+    const weeks = new Map();
+    const aging = [];
+
+    for (let week = new Date(`${weekStart(since)}T00:00:00Z`); week <= until; week = new Date(week.getTime() + 7 * DAY_MS)) {
+        weeks.set(weekStart(week), { week_start: weekStart(week), completed: 0, by_kind: {} });
+    }
+
+    for (const card of cards) {
+        const intervals = statusIntervals(card, byCard.get(card.id));
+
+        for (const { status, start, end } of intervals) {
+            if (end && inWindow(end)) {
+                if (!stays.has(status)) {
+                    stays.set(status, []);
+                }
+                stays.get(status).push(toDays(end - start));
+            }
+        }
+
+        const doneAt = ['done', 'archived'].includes(card.status)
+            ? intervals.filter((interval) => interval.status === 'done').map((interval) => interval.start).pop()
+            : undefined;
+        if (doneAt && inWindow(doneAt)) {
+            const days = toDays(doneAt - new Date(card.created_at));
+            leadDays.push(days);
+            if (!leadByKind.has(card.worker_kind)) {
+                leadByKind.set(card.worker_kind, []);
+            }
+            leadByKind.get(card.worker_kind).push(days);
+
+            const week = weeks.get(weekStart(doneAt));
+            if (week) {
+                week.completed += 1;
+                week.by_kind[card.worker_kind] = (week.by_kind[card.worker_kind] || 0) + 1;
+            }
+        }
+
+        if (WIP_STATUSES.includes(card.status)) {
+            const current = intervals[intervals.length - 1];
+            const started = intervals.find((interval) => WIP_STATUSES.includes(interval.status));
+            const daysInStatus = toDays(now - current.start);
+            aging.push({
+                id: card.id,
+                title: card.title,
+                status: card.status,
+                worker: card.worker,
+                worker_kind: card.worker_kind,
+                days_in_status: daysInStatus,
+                days_in_progress: toDays(now - (started ? started.start : current.start)),
+                stale: daysInStatus >= staleAfterDays
+            });
+        }
+    }
+
+    aging.sort((a, b) => b.days_in_status - a.days_in_status);
+    const agingByStatus = {};
+    for (const item of aging) {
+        const entry = agingByStatus[item.status] || { count: 0, stale: 0, oldest_days: 0 };
+        entry.count += 1;
+        entry.stale += item.stale ? 1 : 0;
+        entry.oldest_days = Math.max(entry.oldest_days, item.days_in_status);
+        agingByStatus[item.status] = entry;
+    }
+
+    return {
+        lead_time: summarizeDurations(leadDays),
+        cycle_time_by_status: Object.fromEntries(
+            [...stays.entries()].map(([status, days]) => [status, summarizeDurations(days)])
+        ),
+        throughput: {
+            completed: leadDays.length,
+            weeks: [...weeks.values()]
+        },
+        by_worker_kind: Object.fromEntries(
+            [...leadByKind.entries()].map(([kind, days]) => [kind, summarizeDurations(days)])
+        ),
+        aging_wip: {
+            stale_after_days: staleAfterDays,
+            by_status: agingByStatus,
+            cards: aging
+        }
+    };
+}
+
+export class MetricsHandlers {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * get_flow_metrics — one board's flow metrics over a window (default the
+     * last 12 weeks). Filters narrow the cards considered: label, assignee
+     * (matches the card's worker or current assignee) and identity_kind (of
+     * the worker).
+     */
+    async handleGetFlowMetrics(args) {
+        const {
+            board_key,
+            board_id,
+            since,
+            until,
+            label,
+            assignee,
+            identity_kind,
+            stale_after_days = DEFAULT_STALE_AFTER_DAYS
+        } = args || {};
+
+        if (identity_kind && !IDENTITY_KINDS.includes(identity_kind)) {
+            throw new Error(`Invalid identity_kind: ${identity_kind} (expected one of ${IDENTITY_KINDS.join(', ')})`);
+        }
+        if (typeof stale_after_days !== 'number' || stale_after_days <= 0) {
+            throw new Error(`Invalid stale_after_days: ${stale_after_days}`);
+        }
+
+        const untilDate = until ? parseDate(until, 'until') : new Date();
+        const sinceDate = since ? parseDate(since, 'since') : new Date(untilDate.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+        if (sinceDate >= untilDate) {
+            throw new Error('since must be before until');
+        }
+
+        const boardId = await resolveBoardId(this.db, { board_id, board_key, defaultBoardKey: 'dev-backlog' });
+
+        // Cards that can contribute: created before the window closes, and
+        // either still open or touched since it opened.
+        const conditions = [
+            'c.board_id = $1',
+            'c.created_at <= $3',
+            `(c.status NOT IN ('done', 'archived') OR c.updated_at >= $2)`
+        ];
+        const params = [boardId, sinceDate.toISOString(), untilDate.toISOString()];
+        let i = 4;
+        if (label) {
+            conditions.push(`$${i++} = ANY(c.labels)`);
+            params.push(label);
+        }
+        if (assignee) {
+            conditions.push(`(c.assignee = $${i} OR c.claimed_by = $${i})`);
+            i++;
+            params.push(assignee);
+        }
+        if (identity_kind) {
+            conditions.push(`(CASE WHEN COALESCE(c.claimed_by, c.assignee) IS NULL THEN 'unassigned'
+                                   ELSE COALESCE(ki.kind, 'unknown') END) = $${i++}`);
+            params.push(identity_kind);
+        }
+
+        const cards = await this.db.query(
+            `SELECT c.id, c.title, c.status, c.created_at,
+                    COALESCE(c.claimed_by, c.assignee) AS worker,
+                    CASE WHEN COALESCE(c.claimed_by, c.assignee) IS NULL THEN 'unassigned'
+                         ELSE COALESCE(ki.kind, 'unknown') END AS worker_kind
+             FROM fictionlab.kanban_cards c
+             LEFT JOIN fictionlab.kanban_identities ki ON ki.id = COALESCE(c.claimed_by, c.assignee)
+             WHERE ${conditions.join(' AND ')}`,
+            params
+        );
+
+        const transitions = cards.rows.length === 0
+            ? { rows: [] }
+            : await this.db.query(
+                `SELECT card_id, action, from_status, to_status, created_at
+                 FROM fictionlab.kanban_activity
+                 WHERE card_id = ANY($1::uuid[])
+                   AND action = ANY($2::text[])
+                   AND to_status IS NOT NULL
+                 ORDER BY card_id, created_at, id`,
+                [cards.rows.map((card) => card.id), TRANSITION_ACTIONS]
+            );
+
+        return {
+            board_id: boardId,
+            window: { since: sinceDate.toISOString(), until: untilDate.toISOString() },
+            filters: { label: label || null, assignee: assignee || null, identity_kind: identity_kind || null },
+            card_count: cards.rows.length,
+            ...computeFlowMetrics({
+                cards: cards.rows,
+                transitions: transitions.rows,
+                since: sinceDate,
+                until: untilDate,
+                now: new Date(),
+                staleAfterDays: stale_after_days
+            })
+        };
+    }
+}
@@ -18,6 +18,8 @@ import { CardHandlers } from './handlers/card-handlers.js';
 import { ClaimHandlers } from './handlers/claim-handlers.js';
 import { CommentHandlers } from './handlers/comment-handlers.js';
 import { IdentityHandlers } from './handlers/identity-handlers.js';
+import { DependencyHandlers } from './handlers/dependency-handlers.js';
+import { MetricsHandlers } from './handlers/metrics-handlers.js';
 import { kanbanToolsSchema } from './schemas/kanban-tools-schema.js';
 
 class KanbanMCPServer extends BaseMCPServer {
@@ -39,6 +41,8 @@ class KanbanMCPServer extends BaseMCPServer {
         this.claimHandlers = new ClaimHandlers(this.db);
         this.commentHandlers = new CommentHandlers(this.db);
         this.identityHandlers = new IdentityHandlers(this.db);
+        this.dependencyHandlers = new DependencyHandlers(this.db);
+        this.metricsHandlers = new MetricsHandlers(this.db);
 
         this.tools = this.getTools();
 
@@ -75,9 +79,18 @@ class KanbanMCPServer extends BaseMCPServer {
 
     getToolHandler(toolName) {
         const handlers = {
-            // Board handlers (2 tools)
+            // Board handlers (10 tools — get/list, plus the board lifecycle
+            // and column management from migration 063)
             'get_board': this.boardHandlers.handleGetBoard.bind(this.boardHandlers),
             'list_boards': this.boardHandlers.handleListBoards.bind(this.boardHandlers),
+            'create_board': this.boardHandlers.handleCreateBoard.bind(this.boardHandlers),
+            'clone_board': this.boardHandlers.handleCloneBoard.bind(this.boardHandlers),
+            'update_board': this.boardHandlers.handleUpdateBoard.bind(this.boardHandlers),
+            'archive_board': this.boardHandlers.handleArchiveBoard.bind(this.boardHandlers),
+            'add_board_column': this.boardHandlers.handleAddBoardColumn.bind(this.boardHandlers),
+            'update_board_column': this.boardHandlers.handleUpdateBoardColumn.bind(this.boardHandlers),
+            'reorder_board_columns': this.boardHandlers.handleReorderBoardColumns.bind(this.boardHandlers),
+            'retire_board_column': this.boardHandlers.handleRetireBoardColumn.bind(this.boardHandlers),
             // Card handlers (7 tools)
             'list_cards': this.cardHandlers.handleListCards.bind(this.cardHandlers),
             'create_card': this.cardHandlers.handleCreateCard.bind(this.cardHandlers),
@@ -86,15 +99,23 @@ class KanbanMCPServer extends BaseMCPServer {
             'get_card': this.cardHandlers.handleGetCard.bind(this.cardHandlers),
             'add_card_link': this.cardHandlers.handleAddCardLink.bind(this.cardHandlers),
             'archive_card': this.cardHandlers.handleArchiveCard.bind(this.cardHandlers),
-            // Claim handler (1 tool — the atomic compare-and-swap)
+            // Claim handlers (3 tools — the atomic compare-and-swap, plus its
+            // lease heartbeat and sweep from migration 060)
             'claim_card': this.claimHandlers.handleClaimCard.bind(this.claimHandlers),
+            'heartbeat_card': this.claimHandlers.handleHeartbeatCard.bind(this.claimHandlers),
+            'sweep_expired_claims': this.claimHandlers.handleSweepExpiredClaims.bind(this.claimHandlers),
             // Comment handler (1 tool)
             'comment_card': this.commentHandlers.handleCommentCard.bind(this.commentHandlers),
             // Identity handlers (3 tools) — GH issue #62 identities model;
             // delete_identity added by bead mws-1783883496146-1
             'list_identities': this.identityHandlers.handleListIdentities.bind(this.identityHandlers),
             'upsert_identity': this.identityHandlers.handleUpsertIdentity.bind(this.identityHandlers),
-            'delete_identity': this.identityHandlers.handleDeleteIdentity.bind(this.identityHandlers)
+            'delete_identity': this.identityHandlers.handleDeleteIdentity.bind(this.identityHandlers),
+            // Dependency handlers (2 tools — blocks/blocked-by, migration 062)
+            'add_card_dependency': this.dependencyHandlers.handleAddCardDependency.bind(this.dependencyHandlers),
+            'remove_card_dependency': this.dependencyHandlers.handleRemoveCardDependency.bind(this.dependencyHandlers),
+            // Metrics handler (1 tool — flow metrics from kanban_activity)
+            'get_flow_metrics': this.metricsHandlers.handleGetFlowMetrics.bind(this.metricsHandlers)
         };
         return handlers[toolName];
     }
@@ -105,7 +105,7 @@ export const kanbanToolsSchema = [
     },
     {
         name: 'claim_card',
-        description: 'ATOMIC compare-and-swap claim. Two agents can NEVER both win the same card. NEVER pass an agent id that resolves to an active human identity (see list_identities) — human cards are permanently reserved.',
+        description: 'ATOMIC compare-and-swap claim. Two agents can NEVER both win the same card. A win carries a lease (lease_seconds); expired claims anywhere are swept back to ready first. A claim into a lane at its column wip_limit loses with reason wip_limit_reached. NEVER pass an agent id that resolves to an active human identity (see list_identities) — human cards are permanently reserved.',
         inputSchema: {
             type: 'object',
             properties: {
@@ -124,6 +124,13 @@ export const kanbanToolsSchema = [
                     default: 'claimed',
                     enum: ['claimed', 'in_progress'],
                     description: 'Status to set on a winning claim'
+                },
+                lease_seconds: {
+                    type: 'integer',
+                    default: 1800,
+                    minimum: 60,
+                    maximum: 86400,
+                    description: 'Claim lease length. Renew it with heartbeat_card before it lapses, or the card is swept back to ready.'
                 }
             },
             required: ['card_id', 'agent']
@@ -167,14 +174,18 @@ export const kanbanToolsSchema = [
     },
     {
         name: 'move_card',
-        description: "Changes a card's status/lane. Writes activity {action:'moved', from_status, to_status}. A review-required card moving to 'review' is auto-reassigned to 'rebecca'.",
+        description: "Changes a card's status/lane. Writes activity {action:'moved', from_status, to_status}. A review-required card moving to 'review' is auto-reassigned to 'rebecca'. A move into a lane at its column wip_limit is refused (activity 'wip_denied') unless a human actor passes override_wip.",
         inputSchema: {
             type: 'object',
             properties: {
                 card_id: { type: 'string' },
                 to_status: { type: 'string', enum: CARD_STATUS_ENUM },
                 actor: { type: 'string' },
-                position: { type: 'integer', description: 'Optional new order within the target lane' }
+                position: { type: 'integer', description: 'Optional new order within the target lane' },
+                override_wip: {
+                    type: 'boolean',
+                    description: "Move even though the target lane is at its wip_limit. Only an active human identity may pass this; the override is recorded on the 'moved' activity row."
+                }
             },
             required: ['card_id', 'to_status']
         }
@@ -196,15 +207,17 @@ export const kanbanToolsSchema = [
     // ---- 4 supporting tools ----
     {
         name: 'list_boards',
-        description: 'Lists all boards with their total card counts.',
+        description: 'Lists all boards with their total card counts. Archived boards are left out unless include_archived is true.',
         inputSchema: {
             type: 'object',
-            properties: {}
+            properties: {
+                include_archived: { type: 'boolean', default: false }
+            }
         }
     },
     {
         name: 'get_card',
-        description: 'Gets a single card plus its comments, links, activity log, and live workflow_phase if linked — the detail-drawer call.',
+        description: 'Gets a single card plus its comments, links, activity log, live workflow_phase if linked, and dependency tree (blocked_by / blocks, each node with status and met) — the detail-drawer call.',
         inputSchema: {
             type: 'object',
             properties: {
@@ -281,5 +294,206 @@ export const kanbanToolsSchema = [
             },
             required: ['id']
         }
+    },
+
+    // ---- 2 claim lease tools (migration 060) ----
+    {
+        name: 'heartbeat_card',
+        description: "Extends the caller's claim lease on a card to now + lease_seconds (default: the claim's own lease). Only the claiming agent can renew, and only while the card is claimed/in_progress. Returns renewed:false with reason lease_expired once the sweep has reclaimed the card.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                card_id: { type: 'string' },
+                agent: { type: 'string', description: 'The agent id that claimed the card' },
+                lease_seconds: { type: 'integer', minimum: 60, maximum: 86400 }
+            },
+            required: ['card_id', 'agent']
+        }
+    },
+    {
+        name: 'sweep_expired_claims',
+        description: "Returns claimed/in_progress cards whose lease lapsed to 'ready' (claim and the agent's own assignment cleared), logging a claim_expired activity row per card. claim_card runs the same sweep before every claim.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string', description: 'Limit the sweep to one board (default: all boards)' },
+                board_id: { type: 'string' }
+            }
+        }
+    },
+
+    // ---- 2 card dependency tools (migration 062) ----
+    {
+        name: 'add_card_dependency',
+        description: "Records that one card blocks another: pass card_id plus blocked_by_card_id (card_id waits on it) or blocks_card_id (it waits on card_id). Refused if it would create a cycle. A 'ready' card with an unmet blocker moves to 'blocked' and leaves the agent pickup pool; it returns to 'ready' automatically when its last blocker is done.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                card_id: { type: 'string' },
+                blocked_by_card_id: { type: 'string', description: 'The card card_id depends on' },
+                blocks_card_id: { type: 'string', description: 'The card that depends on card_id' },
+                actor: { type: 'string' }
+            },
+            required: ['card_id']
+        }
+    },
+    {
+        name: 'remove_card_dependency',
+        description: "Removes one blocks/blocked-by edge (same arguments as add_card_dependency). A 'blocked' card left with no unmet blocker moves back to 'ready'.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                card_id: { type: 'string' },
+                blocked_by_card_id: { type: 'string' },
+                blocks_card_id: { type: 'string' },
+                actor: { type: 'string' }
+            },
+            required: ['card_id']
+        }
+    },
+
+    // ---- 1 flow metrics tool ----
+    {
+        name: 'get_flow_metrics',
+        description: "Flow metrics for one board from the kanban_activity feed: lead time (created -> done), cycle time per status, weekly throughput split by worker identity kind (agent/human/persona), and aging WIP (claimed/in_progress/review/blocked cards, oldest stay first, flagged stale). The worker is the agent that claimed a card, else its assignee. Durations are in days.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string', description: "Default 'dev-backlog'" },
+                board_id: { type: 'string' },
+                since: { type: 'string', description: 'Window start, ISO date/timestamp (default: 12 weeks before until)' },
+                until: { type: 'string', description: 'Window end (default: now). Aging WIP is always as of now.' },
+                label: { type: 'string', description: 'Only cards carrying this label' },
+                assignee: { type: 'string', description: 'Only cards this identity claimed or is assigned' },
+                identity_kind: { type: 'string', enum: ['human', 'persona', 'agent', 'unknown', 'unassigned'], description: "Only cards whose worker is of this kind" },
+                stale_after_days: { type: 'number', description: 'Aging WIP marks a card stale after this many days in its status (default 3)' }
+            }
+        }
+    },
+
+    // ---- 8 board lifecycle tools (migration 063) ----
+    {
+        name: 'create_board',
+        description: "Creates a board with a column template: 'standard' (dev-backlog's eight lanes) or 'lean' (no backlog/review lanes).",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string', description: "Permanent slug: lowercase letters, digits, dashes (e.g. 'series-launch')" },
+                name: { type: 'string' },
+                description: { type: 'string' },
+                template: { type: 'string', enum: ['standard', 'lean'], default: 'standard' },
+                created_by: { type: 'string' },
+                metadata: { type: 'object' }
+            },
+            required: ['board_key', 'name']
+        }
+    },
+    {
+        name: 'clone_board',
+        description: "Creates an empty board with another board's column layout (names, order, colors, WIP limits, agent pickup). Cards are not copied.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source_board_key: { type: 'string' },
+                source_board_id: { type: 'string' },
+                board_key: { type: 'string', description: 'Slug of the new board' },
+                name: { type: 'string', description: "Default: the source board's name" },
+                description: { type: 'string' },
+                created_by: { type: 'string' }
+            },
+            required: ['board_key']
+        }
+    },
+    {
+        name: 'update_board',
+        description: 'Renames a board or replaces its description/metadata. board_key never changes.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                name: { type: 'string' },
+                description: { type: 'string' },
+                metadata: { type: 'object' },
+                actor: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'archive_board',
+        description: "Archives a board and moves every card on it to 'archived' (claims and leases cleared, one activity row per card). An archived board accepts no new cards, moves or column changes.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                actor: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'add_board_column',
+        description: 'Adds a lane for a card status the board does not show yet. Columns are keyed to the eight card statuses; there are no custom statuses.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                status_key: { type: 'string', enum: CARD_STATUS_ENUM },
+                name: { type: 'string', description: 'Default: the standard lane name' },
+                position: { type: 'integer', description: 'Default: last' },
+                color: { type: 'string' },
+                wip_limit: { type: 'integer', minimum: 1 },
+                is_agent_pickup: { type: 'boolean', description: 'ready column only' },
+                actor: { type: 'string' }
+            },
+            required: ['status_key']
+        }
+    },
+    {
+        name: 'update_board_column',
+        description: 'Renames or recolors a lane, sets or clears (null) its WIP limit, or toggles agent pickup (ready only).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                status_key: { type: 'string', enum: CARD_STATUS_ENUM },
+                name: { type: 'string' },
+                color: { type: 'string' },
+                wip_limit: { type: ['integer', 'null'], minimum: 1 },
+                is_agent_pickup: { type: 'boolean' },
+                actor: { type: 'string' }
+            },
+            required: ['status_key']
+        }
+    },
+    {
+        name: 'reorder_board_columns',
+        description: "Sets the left-to-right lane order. status_keys must list every column of the board exactly once.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                status_keys: { type: 'array', items: { type: 'string', enum: CARD_STATUS_ENUM } },
+                actor: { type: 'string' }
+            },
+            required: ['status_keys']
+        }
+    },
+    {
+        name: 'retire_board_column',
+        description: "Removes a lane from a board. Refused while any card is in that status, and for the lanes the server moves cards into (ready, claimed, in_progress, blocked, done, archived) — in practice backlog and review. Afterwards create_card/move_card refuse that status on the board.",
+        inputSchema: {
+            type: 'object',
+            properties: {
+                board_key: { type: 'string' },
+                board_id: { type: 'string' },
+                status_key: { type: 'string', enum: CARD_STATUS_ENUM },
+                actor: { type: 'string' }
+            },
+            required: ['status_key']
+        }
     }
 ];
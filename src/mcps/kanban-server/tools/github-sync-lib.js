@@ -1,7 +1,9 @@
 // src/mcps/kanban-server/tools/github-sync-lib.js
 // Pure, dependency-free logic for the GitHub sync poller (GH issue #64):
 // URL / "owner/repo#N" parsing, "Fixes #N"-style closing-keyword extraction,
-// card <-> event matching, and the conservative status-transition rule.
+// card <-> event matching, the conservative status-transition rule, and
+// turning a GitHub webhook payload into the same event shape the poller
+// builds from `gh api` search results.
 //
 // Deliberately has NO gh CLI calls and NO database access -- everything here
 // is a pure function over plain objects so it can be unit tested without
@@ -160,6 +162,60 @@ export function cardMatchesTargets(card, targets) {
     return null;
 }
 
+/**
+ * Build a sync event from a PR/issue object ({ number, html_url, title,
+ * body }) -- a search/issues result item or a webhook payload's
+ * pull_request/issue. Match targets are the item itself plus, for a merged
+ * PR, every issue its body closes.
+ */
+export function buildSyncEvent(kind, owner, repo, item) {
+    const matchTargets = [{ owner, repo, number: item.number }];
+    if (kind === 'pr_merged') {
+        for (const ref of extractClosingReferences(item.body || '', { owner, repo })) {
+            matchTargets.push(ref);
+        }
+    }
+    return {
+        kind,
+        owner,
+        repo,
+        number: item.number,
+        url: item.html_url,
+        title: item.title,
+        matchTargets
+    };
+}
+
+/**
+ * Normalize one webhook delivery (the X-GitHub-Event name plus its JSON
+ * payload) into a sync event. Only two deliveries can complete a card:
+ * `pull_request` with action 'closed' and merged: true, and `issues` with
+ * action 'closed'. Everything else comes back as { ignored: reason } --
+ * 'unsupported_event', 'not_closed', 'closed_unmerged' or 'malformed' --
+ * never as an error, because a relay forwards whatever GitHub sends.
+ * Returns { event } for an actionable delivery.
+ */
+export function eventFromWebhook(eventName, payload) {
+    if (eventName !== 'pull_request' && eventName !== 'issues') {
+        return { ignored: 'unsupported_event' };
+    }
+
+    const item = eventName === 'pull_request' ? payload?.pull_request : payload?.issue;
+    const fullName = payload?.repository?.full_name;
+    if (!item || !Number.isInteger(item.number) || typeof fullName !== 'string' || !fullName.includes('/')) {
+        return { ignored: 'malformed' };
+    }
+    if (payload.action !== 'closed') {
+        return { ignored: 'not_closed' };
+    }
+    if (eventName === 'pull_request' && item.merged !== true) {
+        return { ignored: 'closed_unmerged' };
+    }
+
+    const [owner, repo] = fullName.split('/');
+    return { event: buildSyncEvent(eventName === 'pull_request' ? 'pr_merged' : 'issue_closed', owner, repo, item) };
+}
+
 /** Stable idempotency key for an event, stamped into metadata.github_sync. */
 export function buildEventKey(event) {
     return `${event.kind}:${event.owner}/${event.repo}#${event.number}`;
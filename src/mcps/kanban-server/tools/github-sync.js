@@ -9,6 +9,13 @@
 // 10-15 min via a Windows Scheduled Task -- see README.md "GitHub Sync"
 // section for the exact (NOT auto-registered) schtasks command.
 //
+// Two webhook modes feed GitHub webhook payloads through the same
+// planCardTransition() rule instead of polling: --listen <port> accepts
+// deliveries on a local HTTP endpoint (for a relay such as `gh webhook
+// forward` or smee), and --replay <dir> applies a directory of saved
+// deliveries in filename order (offline, deterministic -- what the tests
+// use). Neither reads or advances the poll watermark.
+//
 // Reuses kanban-server's own conventions on purpose:
 //   - DB access: shared/database.js's DatabaseManager (same DATABASE_URL /
 //     .env convention as every other kanban-server entry point).
@@ -27,14 +34,16 @@
 
 import { execFile } from 'child_process';
 import { promisify } from 'util';
+import crypto from 'crypto';
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 
 import { DatabaseManager } from '../../../shared/database.js';
-import { logActivity, notifyKanbanChanged } from '../handlers/kanban-helpers.js';
-import { extractClosingReferences, planCardTransition } from './github-sync-lib.js';
+import { logActivity, notifyKanbanChanged, releaseDependentsOf } from '../handlers/kanban-helpers.js';
+import { buildSyncEvent, eventFromWebhook, planCardTransition } from './github-sync-lib.js';
 
 const execFileAsync = promisify(execFile);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -151,23 +160,7 @@ export function createGhClient() {
 
 function toEvents(items, repoFullName, kind) {
     const [owner, repo] = repoFullName.split('/');
-    return items.map((item) => {
-        const matchTargets = [{ owner, repo, number: item.number }];
-        if (kind === 'pr_merged') {
-            for (const ref of extractClosingReferences(item.body || '', { owner, repo })) {
-                matchTargets.push(ref);
-            }
-        }
-        return {
-            kind,
-            owner,
-            repo,
-            number: item.number,
-            url: item.html_url,
-            title: item.title,
-            matchTargets
-        };
-    });
+    return items.map((item) => buildSyncEvent(kind, owner, repo, item));
 }
 
 // ---------------------------------------------------------------------------
@@ -199,7 +192,9 @@ export async function fetchCandidateCards(db) {
  * gracefully to any concurrent change instead of clobbering it -- returns
  * null rather than throwing), stamp metadata.github_sync for idempotency,
  * write the kanban_activity row via the SAME logActivity() every other
- * kanban-server tool uses, and NOTIFY like every other mutation.
+ * kanban-server tool uses, and NOTIFY like every other mutation. Like
+ * move_card to done, this releases cards the card was the last unmet
+ * blocker of (migration 062).
  */
 export async function applyTransition(db, card, transition, event, { actor = 'github-sync' } = {}) {
     const stamp = { event: transition.eventKey, url: event.url, at: new Date().toISOString() };
@@ -240,6 +235,7 @@ export async function applyTransition(db, card, transition, event, { actor = 'gi
         }
     });
     await notifyKanbanChanged(db, updated.id);
+    await releaseDependentsOf(db, updated.id, { triggeredBy: actor });
 
     return updated;
 }
@@ -251,22 +247,58 @@ export async function applyTransition(db, card, transition, event, { actor = 'gi
 // matching/plan-building but skips the write loop entirely.
 // ---------------------------------------------------------------------------
 
+/**
+ * Every (card, event) pair planCardTransition() says to move, de-duped to
+ * one move per card. A card can match more than one event in the same run
+ * (its own PR merges AND a different merged PR's "Fixes #N" hits the same
+ * linked issue) -- first match wins.
+ */
+export function planTransitions(cards, events) {
+    const seenCardIds = new Set();
+    const plan = [];
+    for (const event of events) {
+        for (const card of cards) {
+            if (seenCardIds.has(card.id)) {
+                continue;
+            }
+            const transition = planCardTransition(card, event);
+            if (transition.action === 'move') {
+                seenCardIds.add(card.id);
+                plan.push({ card, event, transition });
+            }
+        }
+    }
+    return plan;
+}
+
+async function applyPlan(db, plan, { dryRun, errors, log }) {
+    const moved = [];
+    if (dryRun) {
+        return moved;
+    }
+    for (const item of plan) {
+        try {
+            const updated = await applyTransition(db, item.card, item.transition, item.event);
+            if (updated) {
+                moved.push({ ...item, updated });
+            }
+        } catch (error) {
+            errors.push({ card_id: item.card.id, phase: 'apply_transition', error: error.message });
+            log(`ERROR applying transition for card ${item.card.id}: ${error.message}`);
+        }
+    }
+    return moved;
+}
+
 export async function runSync({ db, ghClient, config, since, dryRun, log = () => {} }) {
     const cards = await fetchCandidateCards(db);
-    const planned = [];
+    const events = [];
     const errors = [];
 
     for (const repoFullName of config.watched_repos) {
         try {
             const mergedItems = await ghClient.searchMergedPRs(repoFullName, since);
-            for (const event of toEvents(mergedItems, repoFullName, 'pr_merged')) {
-                for (const card of cards) {
-                    const transition = planCardTransition(card, event);
-                    if (transition.action === 'move') {
-                        planned.push({ card, event, transition });
-                    }
-                }
-            }
+            events.push(...toEvents(mergedItems, repoFullName, 'pr_merged'));
         } catch (error) {
             errors.push({ repo: repoFullName, phase: 'merged_prs', error: error.message });
             log(`ERROR searching merged PRs for ${repoFullName}: ${error.message}`);
@@ -274,49 +306,180 @@ export async function runSync({ db, ghClient, config, since, dryRun, log = () =>
 
         try {
             const closedItems = await ghClient.searchClosedIssues(repoFullName, since);
-            for (const event of toEvents(closedItems, repoFullName, 'issue_closed')) {
-                for (const card of cards) {
-                    const transition = planCardTransition(card, event);
-                    if (transition.action === 'move') {
-                        planned.push({ card, event, transition });
-                    }
-                }
-            }
+            events.push(...toEvents(closedItems, repoFullName, 'issue_closed'));
         } catch (error) {
             errors.push({ repo: repoFullName, phase: 'closed_issues', error: error.message });
             log(`ERROR searching closed issues for ${repoFullName}: ${error.message}`);
         }
     }
 
-    // A card can match more than one event in the same run (its own PR
-    // merges AND a different merged PR's "Fixes #N" hits the same linked
-    // issue) -- only move it once per run; first match wins.
-    const seenCardIds = new Set();
-    const plan = [];
-    for (const item of planned) {
-        if (seenCardIds.has(item.card.id)) {
-            continue;
+    const plan = planTransitions(cards, events);
+    const moved = await applyPlan(db, plan, { dryRun, errors, log });
+
+    return { plan, moved, errors };
+}
+
+// ---------------------------------------------------------------------------
+// Webhook side: saved deliveries (--replay) and the local endpoint
+// (--listen) both end up in runWebhookDeliveries(), which is runSync()
+// with the gh search swapped for webhook payloads.
+// ---------------------------------------------------------------------------
+
+/**
+ * Process webhook deliveries ([{ id, eventName, payload }], in order).
+ * Deliveries that can't complete a card -- another event type, an
+ * unmerged PR, a repo not in config.watched_repos -- are reported in
+ * `ignored` with a reason; they are expected traffic, not errors.
+ */
+export async function runWebhookDeliveries({ db, config, deliveries, dryRun, log = () => {} }) {
+    const watched = new Set(config.watched_repos.map((name) => name.toLowerCase()));
+    const events = [];
+    const ignored = [];
+    const errors = [];
+
+    for (const delivery of deliveries) {
+        const { event, ignored: reason } = eventFromWebhook(delivery.eventName, delivery.payload);
+        if (!event) {
+            ignored.push({ id: delivery.id, event_name: delivery.eventName, reason });
+        } else if (!watched.has(`${event.owner}/${event.repo}`.toLowerCase())) {
+            ignored.push({ id: delivery.id, event_name: delivery.eventName, reason: 'unwatched_repo' });
+        } else {
+            events.push(event);
         }
-        seenCardIds.add(item.card.id);
-        plan.push(item);
     }
 
-    const moved = [];
-    if (!dryRun) {
-        for (const item of plan) {
-            try {
-                const updated = await applyTransition(db, item.card, item.transition, item.event);
-                if (updated) {
-                    moved.push({ ...item, updated });
-                }
-            } catch (error) {
-                errors.push({ card_id: item.card.id, phase: 'apply_transition', error: error.message });
-                log(`ERROR applying transition for card ${item.card.id}: ${error.message}`);
-            }
+    if (events.length === 0) {
+        return { plan: [], moved: [], ignored, errors };
+    }
+
+    const cards = await fetchCandidateCards(db);
+    const plan = planTransitions(cards, events);
+    const moved = await applyPlan(db, plan, { dryRun, errors, log });
+
+    return { plan, moved, ignored, errors };
+}
+
+/**
+ * Read saved deliveries from a directory: every *.json file, in filename
+ * order (name them by timestamp or sequence number). A file is either an
+ * envelope { "event": "<X-GitHub-Event>", "payload": {...} } or a bare
+ * payload, whose event is inferred from its pull_request/issue key. A file
+ * that doesn't parse becomes an error entry and the rest still load.
+ */
+export function readWebhookDir(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Replay directory not found: ${dir}`);
+    }
+
+    const deliveries = [];
+    const errors = [];
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort()) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const isEnvelope = typeof parsed.event === 'string' && parsed.payload && typeof parsed.payload === 'object';
+            const payload = isEnvelope ? parsed.payload : parsed;
+            const eventName = isEnvelope
+                ? parsed.event
+                : payload.pull_request ? 'pull_request' : payload.issue ? 'issues' : null;
+            deliveries.push({ id: file, eventName, payload });
+        } catch (error) {
+            errors.push({ file, phase: 'read_delivery', error: error.message });
         }
     }
+    return { deliveries, errors };
+}
 
-    return { plan, moved, errors };
+/**
+ * X-Hub-Signature-256 check: 'sha256=' + HMAC-SHA256(secret, raw body),
+ * compared in constant time.
+ */
+export function verifyWebhookSignature(secret, rawBody, signatureHeader) {
+    if (typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+    const received = Buffer.from(signatureHeader);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const MAX_WEBHOOK_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * The local webhook endpoint: POST any path with GitHub's headers. With a
+ * secret, deliveries without a valid X-Hub-Signature-256 get 401.
+ * Deliveries are processed one at a time, in arrival order, and answered
+ * with a JSON summary once applied. 'ping' (sent when a hook is created)
+ * gets 200 and does nothing. Not started here -- call .listen().
+ */
+export function createWebhookServer({ db, config, secret, dryRun, log = () => {} }) {
+    let queue = Promise.resolve();
+
+    const reply = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method !== 'POST') {
+            reply(res, 405, { error: 'POST only' });
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_WEBHOOK_BODY_BYTES) {
+                reply(res, 413, { error: 'payload too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const rawBody = Buffer.concat(chunks);
+            const eventName = req.headers['x-github-event'];
+            const id = req.headers['x-github-delivery'] || null;
+
+            if (secret && !verifyWebhookSignature(secret, rawBody, req.headers['x-hub-signature-256'])) {
+                log(`WARN rejected webhook delivery ${id}: bad or missing X-Hub-Signature-256`);
+                reply(res, 401, { error: 'invalid signature' });
+                return;
+            }
+            if (eventName === 'ping') {
+                reply(res, 200, { ok: true, ping: true });
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(rawBody.toString('utf8'));
+            } catch {
+                reply(res, 400, { error: 'body is not JSON' });
+                return;
+            }
+
+            queue = queue.then(async () => {
+                try {
+                    const result = await runWebhookDeliveries({ db, config, deliveries: [{ id, eventName, payload }], dryRun, log });
+                    for (const item of result.plan) {
+                        log(describePlanItem(item, dryRun, result.moved).trim());
+                    }
+                    reply(res, 200, {
+                        delivery: id,
+                        dry_run: dryRun,
+                        planned: result.plan.map((item) => item.card.id),
+                        moved: result.moved.map((item) => item.card.id),
+                        ignored: result.ignored.map((item) => item.reason),
+                        errors: result.errors
+                    });
+                } catch (error) {
+                    log(`ERROR processing webhook delivery ${id}: ${error.message}`);
+                    reply(res, 500, { error: error.message });
+                }
+            });
+        });
+    });
 }
 
 // ---------------------------------------------------------------------------
@@ -333,6 +496,9 @@ function parseArgs(argv) {
         else if (a === '--state') args.state = argv[++i];
         else if (a === '--log') args.log = argv[++i];
         else if (a === '--since') args.since = argv[++i];
+        else if (a === '--replay') args.replay = argv[++i];
+        else if (a === '--listen') args.listen = parseInt(argv[++i], 10);
+        else if (a === '--host') args.host = argv[++i];
     }
     return args;
 }
@@ -349,6 +515,73 @@ function describePlanItem(item, dryRun, moved) {
     );
 }
 
+function printRunSummary({ plan, moved, errors, dryRun, logPath, verbose }) {
+    console.log(`github-sync: ${plan.length} card(s) matched an eligible transition.`);
+    for (const item of plan) {
+        console.log(describePlanItem(item, dryRun, moved));
+    }
+    if (errors.length > 0) {
+        console.log(`github-sync: ${errors.length} error(s) occurred -- see ${logPath}`);
+        if (verbose) {
+            for (const e of errors) console.log(`  ERROR: ${JSON.stringify(e)}`);
+        }
+    }
+}
+
+async function replayDirectory({ db, config, dir, dryRun, log, logPath, verbose }) {
+    const { deliveries, errors: readErrors } = readWebhookDir(dir);
+    for (const e of readErrors) {
+        log(`ERROR reading webhook delivery ${e.file}: ${e.error}`);
+    }
+
+    const result = await runWebhookDeliveries({ db, config, deliveries, dryRun, log });
+    const errors = [...readErrors, ...result.errors];
+
+    console.log(`github-sync: replay dir=${dir} deliveries=${deliveries.length} dryRun=${dryRun}`);
+    printRunSummary({ plan: result.plan, moved: result.moved, errors, dryRun, logPath, verbose });
+    if (result.ignored.length > 0) {
+        console.log(`github-sync: ${result.ignored.length} delivery(ies) ignored (not a merged PR / closed issue in a watched repo).`);
+        if (verbose) {
+            for (const item of result.ignored) console.log(`  IGNORED: ${item.id} (${item.event_name}) ${item.reason}`);
+        }
+    }
+    console.log(`github-sync: replay mode, watermark NOT read or advanced${dryRun ? ', zero writes performed' : ''}.`);
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+async function startWebhookListener({ db, config, port, host, dryRun, log }) {
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error('--listen needs a port number');
+    }
+    // Unsigned deliveries are only acceptable when nothing but this machine
+    // (i.e. a local relay) can reach the port.
+    const secret = process.env.GITHUB_WEBHOOK_SECRET || null;
+    if (!secret && !LOOPBACK_HOSTS.includes(host)) {
+        throw new Error(`--host ${host} is reachable from other machines; set GITHUB_WEBHOOK_SECRET so deliveries are signature-checked`);
+    }
+
+    const server = createWebhookServer({ db, config, secret, dryRun, log });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    const { port: boundPort } = server.address();
+    console.log(
+        `github-sync: listening for webhooks on http://${host}:${boundPort} dryRun=${dryRun} ` +
+        `signatures=${secret ? 'required' : 'not checked'} watched_repos=[${config.watched_repos.join(', ')}]`
+    );
+
+    const shutdown = () => {
+        server.close(() => {
+            db.close().catch(() => {}).finally(() => process.exit(0));
+        });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
 async function main() {
     const args = parseArgs(process.argv.slice(2));
     const configPath = args.config || DEFAULT_CONFIG_PATH;
@@ -357,14 +590,29 @@ async function main() {
     const log = (line) => appendLog(logPath, line);
 
     let db;
+    let listening = false;
     try {
         const config = loadConfig(configPath);
         const dryRun = args.dryRun || config.dry_run_default;
+        if (args.replay && args.listen !== undefined) {
+            throw new Error('--replay and --listen are separate modes; pass one');
+        }
+
+        db = new DatabaseManager();
+
+        if (args.replay) {
+            await replayDirectory({ db, config, dir: args.replay, dryRun, log, logPath, verbose: args.verbose });
+            return;
+        }
+        if (args.listen !== undefined) {
+            await startWebhookListener({ db, config, port: args.listen, host: args.host || '127.0.0.1', dryRun, log });
+            listening = true;
+            return;
+        }
+
         const state = loadState(statePath);
         const since = args.since || state.last_run_at || computeInitialSince(config.initial_lookback_hours);
         const runStartedAt = new Date().toISOString();
-
-        db = new DatabaseManager();
         const ghClient = createGhClient();
 
         const { plan, moved, errors } = await runSync({ db, ghClient, config, since, dryRun, log });
@@ -372,16 +620,7 @@ async function main() {
         console.log(
             `github-sync: since=${since} dryRun=${dryRun} watched_repos=[${config.watched_repos.join(', ')}]`
         );
-        console.log(`github-sync: ${plan.length} card(s) matched an eligible transition.`);
-        for (const item of plan) {
-            console.log(describePlanItem(item, dryRun, moved));
-        }
-        if (errors.length > 0) {
-            console.log(`github-sync: ${errors.length} error(s) occurred -- see ${logPath}`);
-            if (args.verbose) {
-                for (const e of errors) console.log(`  ERROR: ${JSON.stringify(e)}`);
-            }
-        }
+        printRunSummary({ plan, moved, errors, dryRun, logPath, verbose: args.verbose });
 
         if (dryRun) {
             console.log('github-sync: --dry-run, watermark NOT advanced, zero writes performed.');
@@ -394,7 +633,8 @@ async function main() {
         console.error(`github-sync: fatal error (logged to ${logPath}): ${error.message}`);
         process.exitCode = 1;
     } finally {
-        if (db) {
+        // The listener keeps the pool until SIGINT/SIGTERM.
+        if (db && !listening) {
             await db.close().catch(() => {});
         }
     }
@@ -12,6 +12,100 @@ const CROSS_LINK_TABLES = {
     scene_id: 'chapter_scenes'
 };
 
+// search_works sources, in the order their hits are gathered.
+const SEARCH_SOURCES = ['works', 'facts', 'promises'];
+
+// ts_headline options for search snippets: matches wrapped in ** **, up to
+// two short fragments.
+const HEADLINE_OPTIONS = 'StartSel="**", StopSel="**", MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "';
+
+// One ranked full-text query for a search_works source. $1 is the
+// websearch query text, $2 the headline options; the search_tsv columns
+// (migration 066) use the 'english' configuration, so the query must too.
+function buildSearchQuery(source, { query, ancestor_id, work_type, limit }) {
+    const values = [query, HEADLINE_OPTIONS];
+    let p = 3;
+    const scoped = ancestor_id !== undefined;
+    const ctes = ["q AS (SELECT websearch_to_tsquery('english', $1) AS query)"];
+    if (scoped) {
+        ctes.unshift(`subtree AS (
+                        SELECT id FROM outline_works WHERE id = $${p++}
+                        UNION ALL
+                        SELECT c.id FROM outline_works c JOIN subtree s ON c.parent_id = s.id
+                    )`);
+        values.push(ancestor_id);
+    }
+    const withClause = `WITH ${scoped ? 'RECURSIVE ' : ''}${ctes.join(',\n                    ')}`;
+
+    let sql;
+    if (source === 'works') {
+        const where = ['w.search_tsv @@ q.query'];
+        if (scoped) where.push('w.id IN (SELECT id FROM subtree)');
+        if (work_type) { where.push(`w.work_type = $${p++}`); values.push(work_type); }
+        // Rank and limit first, then headline only the rows returned.
+        sql = `
+                    ${withClause}
+                    SELECT m.id, m.work_type, m.sequence, m.title, m.summary, m.rank, m.hit_field,
+                           ts_headline('english',
+                               CASE m.hit_field
+                                 WHEN 'title' THEN m.title
+                                 WHEN 'summary' THEN m.summary
+                                 WHEN 'content' THEN m.content
+                                 ELSE concat_ws(' — ', m.title, m.summary, m.content)
+                               END,
+                               m.query, $2) AS snippet
+                      FROM (
+                        SELECT w.id, w.work_type, w.sequence, w.title, w.summary, w.content, q.query,
+                               ts_rank_cd(w.search_tsv, q.query) AS rank,
+                               CASE
+                                 WHEN to_tsvector('english', coalesce(w.title, '')) @@ q.query THEN 'title'
+                                 WHEN to_tsvector('english', coalesce(w.summary, '')) @@ q.query THEN 'summary'
+                                 WHEN to_tsvector('english', coalesce(w.content, '')) @@ q.query THEN 'content'
+                                 ELSE 'several fields'
+                               END AS hit_field
+                          FROM outline_works w, q
+                         WHERE ${where.join(' AND ')}
+                         ORDER BY rank DESC, w.id
+                         LIMIT $${p++}
+                      ) m
+                     ORDER BY m.rank DESC, m.id`;
+    } else if (source === 'facts') {
+        const where = ['f.search_tsv @@ q.query'];
+        if (scoped) {
+            where.push(`(f.series_root_id IN (SELECT id FROM subtree)
+                            OR EXISTS (SELECT 1 FROM outline_scene_events e
+                                        WHERE e.fact_id = f.id AND e.work_id IN (SELECT id FROM subtree)))`);
+        }
+        sql = `
+                    ${withClause}
+                    SELECT f.id, f.statement, f.fact_type, f.series_root_id,
+                           ts_rank_cd(f.search_tsv, q.query) AS rank,
+                           ts_headline('english', concat_ws(' — ', f.statement, f.canonical_source, f.notes), q.query, $2) AS snippet
+                      FROM outline_facts f, q
+                     WHERE ${where.join(' AND ')}
+                     ORDER BY rank DESC, f.id
+                     LIMIT $${p++}`;
+    } else {
+        const where = ['pr.search_tsv @@ q.query'];
+        if (scoped) {
+            where.push(`(pr.series_root_id IN (SELECT id FROM subtree)
+                            OR pr.planted_work_id IN (SELECT id FROM subtree)
+                            OR pr.payoff_work_id IN (SELECT id FROM subtree))`);
+        }
+        sql = `
+                    ${withClause}
+                    SELECT pr.id, pr.label, pr.promise_type, pr.status, pr.series_root_id,
+                           ts_rank_cd(pr.search_tsv, q.query) AS rank,
+                           ts_headline('english', concat_ws(' — ', pr.label, pr.description, pr.notes), q.query, $2) AS snippet
+                      FROM outline_promises pr, q
+                     WHERE ${where.join(' AND ')}
+                     ORDER BY rank DESC, pr.id
+                     LIMIT $${p++}`;
+    }
+    values.push(limit);
+    return { sql, values };
+}
+
 export class WorksHandlers {
     constructor(db) {
         this.db = db;
@@ -413,69 +507,54 @@ export class WorksHandlers {
         }
     }
 
+    // Full-text search (migration 066) over outline_works, outline_facts and
+    // outline_promises. The query uses websearch_to_tsquery syntax: words are
+    // ANDed and stemmed, "quoted phrases" match in order, `or` between terms,
+    // and -word excludes. Each source is ranked with ts_rank_cd on its
+    // weighted search_tsv; the merged list is ordered by rank. ancestor_id
+    // scopes works to that subtree, facts and promises to those rooted in it
+    // or tied to a work in it (scene events, planted/payoff works).
     async handleSearchWorks(args) {
         try {
             const { query, ancestor_id, work_type, limit = 50 } = args;
             if (!query || !query.trim()) {
                 throw new Error('query is required.');
             }
+            const sources = args.sources ?? (work_type ? ['works'] : SEARCH_SOURCES);
+            const unknown = sources.filter(s => !SEARCH_SOURCES.includes(s));
+            if (sources.length === 0 || unknown.length) {
+                throw new Error(`sources must be one or more of: ${SEARCH_SOURCES.join(', ')}.`);
+            }
+            if (work_type && sources.some(s => s !== 'works')) {
+                throw new Error('work_type only applies to works; drop it or search sources: ["works"].');
+            }
 
-            const values = [];
-            let p = 1;
-            const pattern = `%${query}%`;
-            values.push(pattern, pattern, pattern);
-            const matchClause = `(w.title ILIKE $${p++} OR w.summary ILIKE $${p++} OR w.content ILIKE $${p++})`;
-
-            const extra = [];
-            if (work_type) { extra.push(`w.work_type = $${p++}`); values.push(work_type); }
-
-            let sql;
-            if (ancestor_id !== undefined) {
-                sql = `
-                    WITH RECURSIVE subtree AS (
-                        SELECT id FROM outline_works WHERE id = $${p++}
-                        UNION ALL
-                        SELECT c.id FROM outline_works c JOIN subtree s ON c.parent_id = s.id
-                    )
-                    SELECT w.id, w.work_type, w.sequence, w.title, w.summary,
-                           CASE
-                             WHEN w.title ILIKE $1 THEN 'title'
-                             WHEN w.summary ILIKE $2 THEN 'summary'
-                             ELSE 'content'
-                           END AS hit_field
-                      FROM outline_works w
-                     WHERE ${matchClause}
-                       AND w.id IN (SELECT id FROM subtree)
-                       ${extra.length ? 'AND ' + extra.join(' AND ') : ''}
-                     ORDER BY w.work_type, w.sequence, w.id
-                     LIMIT $${p++}`;
-                values.push(ancestor_id, limit);
-            } else {
-                sql = `
-                    SELECT w.id, w.work_type, w.sequence, w.title, w.summary,
-                           CASE
-                             WHEN w.title ILIKE $1 THEN 'title'
-                             WHEN w.summary ILIKE $2 THEN 'summary'
-                             ELSE 'content'
-                           END AS hit_field
-                      FROM outline_works w
-                     WHERE ${matchClause}
-                       ${extra.length ? 'AND ' + extra.join(' AND ') : ''}
-                     ORDER BY w.work_type, w.sequence, w.id
-                     LIMIT $${p++}`;
-                values.push(limit);
+            const hits = [];
+            for (const source of sources) {
+                const { sql, values } = buildSearchQuery(source, { query, ancestor_id, work_type, limit });
+                const result = await this.db.query(sql, values);
+                hits.push(...result.rows.map(r => ({ ...r, source })));
             }
+            hits.sort((a, b) => Number(b.rank) - Number(a.rank) || a.id - b.id);
+            const top = hits.slice(0, limit);
 
-            const result = await this.db.query(sql, values);
-            if (result.rows.length === 0) {
-                return { content: [{ type: 'text', text: `No works match "${query}".` }] };
+            if (top.length === 0) {
+                return { content: [{ type: 'text', text: `No matches for "${query}".` }] };
             }
-            const lines = result.rows.map(r =>
-                `[${r.work_type}#${r.id}] ${r.title ?? '(untitled)'} — hit in ${r.hit_field}` +
-                (r.summary ? `\n    ${r.summary}` : '')
-            );
+            const lines = top.map(r => {
+                const rank = Number(r.rank).toFixed(3);
+                let head;
+                if (r.source === 'facts') {
+                    head = `[fact#${r.id}] ${r.statement}` + (r.fact_type ? ` (${r.fact_type})` : '');
+                } else if (r.source === 'promises') {
+                    head = `[promise#${r.id}] ${r.label} (${r.status})`;
+                } else {
+                    head = `[${r.work_type}#${r.id}] ${r.title ?? '(untitled)'} — hit in ${r.hit_field}`;
+                }
+                return `${head} — rank ${rank}` + (r.snippet ? `\n    ${r.snippet.replace(/\s+/g, ' ').trim()}` : '');
+            });
             return { content: [{ type: 'text', text:
-                `${result.rows.length} match(es) for "${query}":\n\n${lines.join('\n\n')}`
+                `${top.length} match(es) for "${query}":\n\n${lines.join('\n\n')}`
             }] };
         } catch (err) {
             throw new Error(`search_works failed: ${err.message}`);
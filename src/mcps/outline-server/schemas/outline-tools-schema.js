@@ -90,13 +90,18 @@ export const worksToolsSchema = [
     },
     {
         name: 'search_works',
-        description: 'Full-text-ish search across title, summary, and content. Scope optional. Useful for "where did I describe X" lookups.',
+        description: 'Ranked full-text search across outline works (title, summary, content), facts and promises, with highlighted snippets. Stemmed ("betrayed" finds "betrayal"). Scope optional. Useful for "where did I describe X" lookups.',
         inputSchema: {
             type: 'object',
             properties: {
-                query: { type: 'string', description: 'ILIKE match against title/summary/content' },
-                ancestor_id: { type: 'integer', description: 'Limit to descendants of this node' },
-                work_type: { type: 'string' },
+                query: { type: 'string', description: 'Web-search syntax: words are ANDed, "quoted phrase" matches in order, `or` between terms, -word excludes' },
+                ancestor_id: { type: 'integer', description: 'Limit to descendants of this node (facts/promises: rooted in or tied to a work in the subtree)' },
+                work_type: { type: 'string', description: 'Only works of this type (searches works only)' },
+                sources: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['works', 'facts', 'promises'] },
+                    description: 'What to search. Default all three (just works when work_type is given)'
+                },
                 limit: { type: 'integer', description: 'Default 50' }
             },
             required: ['query']
@@ -0,0 +1,308 @@
+/**
+ * Calendar Handlers for Timeline Server MCP
+ *
+ * Manages per-series in-world calendars (series_calendars, migration 067)
+ * and the normalized world times stored on timeline events and chapters.
+ * The calendar arithmetic itself lives in world-calendar.js.
+ */
+
+import { calendarSchemas } from '../schemas/calendar-schema.js';
+import { normalizeCalendar, parseCalendarText, fromWorldTime, formatWorldTime, formatDuration } from './world-calendar.js';
+
+/**
+ * Calendars for several series, keyed by series_id (series without one are
+ * left out)
+ * @param {Object} db - Database connection or transaction client
+ * @param {Array<number>} seriesIds - Series IDs
+ * @returns {Map} series_id -> normalized calendar
+ */
+export async function loadSeriesCalendars(db, seriesIds) {
+    const ids = [...new Set(seriesIds.filter(id => id !== null && id !== undefined))];
+    if (ids.length === 0) return new Map();
+    const result = await db.query('SELECT * FROM series_calendars WHERE series_id = ANY($1)', [ids]);
+    return new Map(result.rows.map(row => [row.series_id, normalizeCalendar(row)]));
+}
+
+/**
+ * @param {Object} db - Database connection or transaction client
+ * @param {number} seriesId - Series ID
+ * @returns {Object|null} Normalized calendar, or null if the series has none
+ */
+export async function loadSeriesCalendar(db, seriesId) {
+    return (await loadSeriesCalendars(db, [seriesId])).get(seriesId) ?? null;
+}
+
+/**
+ * Normalized world time for a tool argument: an integer (or integer string)
+ * is taken as is; anything else is calendar text for `calendar`.
+ * @returns {number|null} World time, or null when value is null
+ */
+export function resolveWorldTime(calendar, value, { anchor, label = 'world time' } = {}) {
+    if (value === null) return null;
+    if (Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim()))) {
+        return Number(value);
+    }
+    if (!calendar) {
+        throw new Error(`${label} "${value}" is calendar text, but this series has no calendar; ` +
+            'define one with define_series_calendar or pass normalized minutes');
+    }
+    try {
+        return parseCalendarText(calendar, value, { anchor }).world_time;
+    } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+    }
+}
+
+/**
+ * Start/end world times as stored (pg returns BIGINT as strings), written
+ * out in the series calendar when there is one, with the duration
+ * @returns {Object|null} null when there is no start
+ */
+export function describeWorldTime(calendar, start, end) {
+    if (start === null || start === undefined) return null;
+    const startTime = Number(start);
+    const endTime = end === null || end === undefined ? null : Number(end);
+    return {
+        start: startTime,
+        end: endTime,
+        start_text: calendar ? formatWorldTime(calendar, startTime) : null,
+        end_text: calendar && endTime !== null ? formatWorldTime(calendar, endTime) : null,
+        duration_minutes: endTime !== null ? endTime - startTime : 0,
+        duration: endTime !== null && calendar ? formatDuration(calendar, endTime - startTime) : null
+    };
+}
+
+export class CalendarHandlers {
+    /**
+     * @param {Object} db - Database connection instance
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Get all calendar tools
+     * @returns {Array} Array of tool definitions
+     */
+    getCalendarTools() {
+        return calendarSchemas;
+    }
+
+    /**
+     * Create or replace a series' calendar
+     * @param {Object} args - Function arguments
+     * @returns {Object} Saved calendar
+     */
+    async handleDefineSeriesCalendar(args) {
+        try {
+            const { series_id, notes } = args;
+            const calendar = normalizeCalendar(args);
+
+            const seriesResult = await this.db.query('SELECT id, title FROM series WHERE id = $1', [series_id]);
+            if (seriesResult.rows.length === 0) {
+                throw new Error(`Series with ID ${series_id} not found`);
+            }
+
+            const upsertQuery = `
+                INSERT INTO series_calendars (
+                    series_id, calendar_name, months, weekdays, first_weekday, hours_per_day,
+                    minutes_per_hour, eras, leap_year_every, leap_month, epoch_offset, notes
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (series_id) DO UPDATE SET
+                    calendar_name = EXCLUDED.calendar_name,
+                    months = EXCLUDED.months,
+                    weekdays = EXCLUDED.weekdays,
+                    first_weekday = EXCLUDED.first_weekday,
+                    hours_per_day = EXCLUDED.hours_per_day,
+                    minutes_per_hour = EXCLUDED.minutes_per_hour,
+                    eras = EXCLUDED.eras,
+                    leap_year_every = EXCLUDED.leap_year_every,
+                    leap_month = EXCLUDED.leap_month,
+                    epoch_offset = EXCLUDED.epoch_offset,
+                    notes = EXCLUDED.notes,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING id, (xmax <> 0) AS replaced
+            `;
+            const result = await this.db.query(upsertQuery, [
+                series_id, calendar.calendar_name, JSON.stringify(calendar.months), JSON.stringify(calendar.weekdays),
+                calendar.first_weekday, calendar.hours_per_day, calendar.minutes_per_hour, JSON.stringify(calendar.eras),
+                calendar.leap_year_every, calendar.leap_month, calendar.epoch_offset, notes ?? null
+            ]);
+            const replaced = result.rows[0]?.replaced === true;
+
+            let storedTimes = 0;
+            if (replaced) {
+                const storedResult = await this.db.query(`
+                    SELECT
+                        (SELECT COUNT(*) FROM timeline_events WHERE series_id = $1 AND world_time_start IS NOT NULL) +
+                        (SELECT COUNT(*) FROM chapters c JOIN books b ON c.book_id = b.id
+                          WHERE b.series_id = $1 AND c.story_world_time_start IS NOT NULL) AS stored
+                `, [series_id]);
+                storedTimes = Number(storedResult.rows[0]?.stored ?? 0);
+            }
+
+            const yearDays = calendar.months.reduce((sum, m) => sum + m.days, 0);
+            return {
+                calendar_id: result.rows[0]?.id,
+                series_id,
+                series_title: seriesResult.rows[0].title,
+                ...calendar,
+                days_per_year: yearDays,
+                epoch: formatWorldTime(calendar, calendar.epoch_offset),
+                message: replaced
+                    ? `Replaced the calendar for "${seriesResult.rows[0].title}". ${storedTimes} stored event/chapter world time(s) keep their normalized values and are now written in this calendar.`
+                    : `Defined calendar "${calendar.calendar_name}" for "${seriesResult.rows[0].title}".`
+            };
+        }
+        catch (error) {
+            throw new Error(`Failed to define series calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a series' calendar
+     * @param {Object} args - Function arguments
+     * @returns {Object} Calendar definition
+     */
+    async handleGetSeriesCalendar(args) {
+        try {
+            const { series_id } = args;
+            const calendar = await loadSeriesCalendar(this.db, series_id);
+            if (!calendar) {
+                throw new Error(`Series ${series_id} has no calendar; define one with define_series_calendar`);
+            }
+            return {
+                series_id,
+                ...calendar,
+                days_per_year: calendar.months.reduce((sum, m) => sum + m.days, 0),
+                epoch: formatWorldTime(calendar, calendar.epoch_offset)
+            };
+        }
+        catch (error) {
+            throw new Error(`Failed to get series calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert calendar text to world time or back, optionally measuring a
+     * duration
+     * @param {Object} args - Function arguments
+     * @returns {Object} Both forms of the time (and of until, with the duration)
+     */
+    async handleConvertCalendarTime(args) {
+        try {
+            const { series_id, value, until, anchor } = args;
+            const calendar = await loadSeriesCalendar(this.db, series_id);
+            if (!calendar) {
+                throw new Error(`Series ${series_id} has no calendar; define one with define_series_calendar`);
+            }
+
+            const convert = (input, label) => {
+                const worldTime = resolveWorldTime(calendar, input, { anchor, label });
+                return { input, world_time: worldTime, text: formatWorldTime(calendar, worldTime), parts: fromWorldTime(calendar, worldTime) };
+            };
+
+            const response = { series_id, calendar_name: calendar.calendar_name, ...convert(value, 'value') };
+            if (until !== undefined && until !== null) {
+                response.until = convert(until, 'until');
+                response.duration_minutes = response.until.world_time - response.world_time;
+                response.duration = formatDuration(calendar, response.duration_minutes);
+            }
+            return response;
+        }
+        catch (error) {
+            throw new Error(`Failed to convert calendar time: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the normalized world start/end of a timeline event or chapter
+     * @param {Object} args - Function arguments
+     * @returns {Object} Stored world time
+     */
+    async handleSetWorldTime(args) {
+        try {
+            const { event_id, chapter_id, duration_minutes, from_story_time = false, anchor } = args;
+            let { start, end } = args;
+
+            if ((event_id === undefined) === (chapter_id === undefined)) {
+                throw new Error('Pass exactly one of event_id or chapter_id');
+            }
+
+            let target;
+            if (event_id !== undefined) {
+                if (from_story_time) throw new Error('from_story_time applies to chapters only');
+                const result = await this.db.query(
+                    'SELECT id, series_id, event_name FROM timeline_events WHERE id = $1', [event_id]);
+                if (result.rows.length === 0) throw new Error(`Timeline event with ID ${event_id} not found`);
+                target = { ...result.rows[0], label: `event "${result.rows[0].event_name}"` };
+            } else {
+                const result = await this.db.query(`
+                    SELECT c.id, c.chapter_number, c.title, c.story_time_start, c.story_time_end, b.series_id
+                    FROM chapters c
+                        JOIN books b ON c.book_id = b.id
+                    WHERE c.id = $1
+                `, [chapter_id]);
+                if (result.rows.length === 0) throw new Error(`Chapter with ID ${chapter_id} not found`);
+                const chapter = result.rows[0];
+                target = { ...chapter, label: `Chapter ${chapter.chapter_number}${chapter.title ? `: ${chapter.title}` : ''}` };
+                if (from_story_time) {
+                    if (!chapter.story_time_start) throw new Error(`${target.label} has no story_time_start to read`);
+                    start = chapter.story_time_start;
+                    end = chapter.story_time_end || undefined;
+                }
+            }
+
+            if (start === undefined) throw new Error('start is required (or from_story_time for a chapter)');
+            if (end !== undefined && duration_minutes !== undefined) {
+                throw new Error('Pass end or duration_minutes, not both');
+            }
+
+            const calendar = await loadSeriesCalendar(this.db, target.series_id);
+            const startTime = resolveWorldTime(calendar, start, { anchor, label: 'start' });
+            let endTime = null;
+            if (startTime !== null) {
+                if (duration_minutes !== undefined) {
+                    if (!Number.isInteger(duration_minutes) || duration_minutes < 0) {
+                        throw new Error('duration_minutes must be a non-negative integer');
+                    }
+                    endTime = startTime + duration_minutes;
+                } else if (end !== undefined) {
+                    endTime = resolveWorldTime(calendar, end, { anchor, label: 'end' });
+                }
+                if (endTime !== null && endTime < startTime) {
+                    throw new Error(`end (${calendar ? formatWorldTime(calendar, endTime) : endTime}) is before start (${calendar ? formatWorldTime(calendar, startTime) : startTime})`);
+                }
+            }
+
+            if (event_id !== undefined) {
+                await this.db.query(`
+                    UPDATE timeline_events
+                    SET world_time_start = $2, world_time_end = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [event_id, startTime, endTime]);
+            } else {
+                await this.db.query(`
+                    UPDATE chapters
+                    SET story_world_time_start = $2, story_world_time_end = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [chapter_id, startTime, endTime]);
+            }
+
+            const worldTime = describeWorldTime(calendar, startTime, endTime);
+            return {
+                ...(event_id !== undefined ? { event_id } : { chapter_id }),
+                series_id: target.series_id,
+                world_time: worldTime,
+                message: worldTime
+                    ? `Set world time of ${target.label} to ${worldTime.start_text ?? worldTime.start}` +
+                      (worldTime.end !== null ? ` – ${worldTime.end_text ?? worldTime.end} (${worldTime.duration ?? `${worldTime.duration_minutes} minutes`})` : '')
+                    : `Cleared world time of ${target.label}`
+            };
+        }
+        catch (error) {
+            throw new Error(`Failed to set world time: ${error.message}`);
+        }
+    }
+}
@@ -5,6 +5,247 @@
  * which represent the chronological history of events in a story world.
  */
 
+import { loadSeriesCalendar, loadSeriesCalendars, resolveWorldTime, describeWorldTime } from './calendar-handlers.js';
+
+const INCONSISTENCY_CHECKS = ['simultaneous_events', 'after_death', 'chapter_order'];
+
+const DEFAULT_DEATH_ROLES = ['died', 'killed', 'deceased'];
+
+// Presentation types that tell an event out of order on purpose; only
+// direct scenes (or unlabelled mappings) are expected to follow the timeline.
+const NONLINEAR_PRESENTATIONS = ['flashback', 'memory', 'reference', 'foreshadowing', 'dream', 'retelling'];
+
+/**
+ * Calendar-day key for an event_date (pg returns DATE columns as local
+ * midnight Date objects), or null when the event is undated
+ */
+function dateKey(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Timeline order of two events: negative if a happens first, positive if b
+ * does, 0 if the data can't tell them apart. The normalized world time
+ * (migration 067) decides when both have one and they differ, then
+ * event_date when both are dated and differ; otherwise sort_order does.
+ */
+function compareChronology(a, b) {
+    if (a.world_time_start != null && b.world_time_start != null && a.world_time_start !== b.world_time_start) {
+        return a.world_time_start - b.world_time_start;
+    }
+    const dateA = dateKey(a.event_date);
+    const dateB = dateKey(b.event_date);
+    if (dateA && dateB && dateA !== dateB) {
+        return dateA < dateB ? -1 : 1;
+    }
+    return (a.sort_order ?? 0) - (b.sort_order ?? 0);
+}
+
+function eventRef(event) {
+    return {
+        event_id: event.event_id,
+        name: event.event_name,
+        date: dateKey(event.event_date),
+        sort_order: event.sort_order ?? 0,
+        world_time_start: event.world_time_start ?? null,
+        world_time_end: event.world_time_end ?? null
+    };
+}
+
+/**
+ * A character taking part in two events at once. Events with a world time
+ * clash when their spans overlap (an event without world_time_end is an
+ * instant); that is critical. Events without one fall back to sharing a
+ * date and sort_order: critical for an explicit shared sort_order, a warning
+ * for two left on the default 0, which may just be unordered within the day.
+ */
+function findSimultaneousEvents(events, participants) {
+    const byCharacter = new Map();
+    for (const p of participants) {
+        if (!byCharacter.has(p.character_id)) byCharacter.set(p.character_id, []);
+        byCharacter.get(p.character_id).push(p);
+    }
+
+    const issues = [];
+    for (const [characterId, rows] of byCharacter) {
+        const timed = rows
+            .map(row => events.get(row.event_id))
+            .filter(e => e && e.world_time_start != null)
+            .sort((a, b) => a.world_time_start - b.world_time_start || a.event_id - b.event_id);
+        timed.forEach((a, i) => {
+            const endA = a.world_time_end ?? a.world_time_start;
+            for (const b of timed.slice(i + 1)) {
+                if (b.world_time_start > endA || (b.world_time_start === endA && a.world_time_start !== endA)) break;
+                issues.push({
+                    issue_type: 'character_in_simultaneous_events',
+                    severity: 'critical',
+                    description: `Character "${rows[0].character_name}" takes part in "${a.event_name}" and "${b.event_name}", whose in-world times overlap`,
+                    character_ids: [characterId],
+                    event_ids: [a.event_id, b.event_id],
+                    details: {
+                        character_name: rows[0].character_name,
+                        events: [eventRef(a), eventRef(b)],
+                        overlap_minutes: Math.min(endA, b.world_time_end ?? b.world_time_start) - b.world_time_start
+                    }
+                });
+            }
+        });
+
+        const slots = new Map();
+        for (const row of rows) {
+            const event = events.get(row.event_id);
+            const day = event && event.world_time_start == null && dateKey(event.event_date);
+            if (!day) continue;
+            const slot = `${day}#${event.sort_order ?? 0}`;
+            if (!slots.has(slot)) slots.set(slot, []);
+            slots.get(slot).push(event);
+        }
+        for (const clashing of slots.values()) {
+            if (clashing.length < 2) continue;
+            clashing.sort((a, b) => a.event_id - b.event_id);
+            const explicitOrder = (clashing[0].sort_order ?? 0) !== 0;
+            issues.push({
+                issue_type: 'character_in_simultaneous_events',
+                severity: explicitOrder ? 'critical' : 'warning',
+                description: `Character "${rows[0].character_name}" takes part in ${clashing.length} events at the same point in time: ` +
+                    clashing.map(e => `"${e.event_name}"`).join(', ') +
+                    (explicitOrder ? '' : ' (same date, no sort_order set — give them distinct sort_order values if they happen one after another)'),
+                character_ids: [characterId],
+                event_ids: clashing.map(e => e.event_id),
+                details: { character_name: rows[0].character_name, events: clashing.map(eventRef) }
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * A character who takes part in, or narrates, an event that comes after the
+ * event they died in. A death event is one where their role_in_event is one
+ * of deathRoles; if there are several, the earliest counts and the others
+ * are reported too.
+ */
+function findAppearancesAfterDeath(events, participants, mappings, deathRoles) {
+    const roles = new Set(deathRoles.map(r => r.toLowerCase()));
+    const deaths = new Map();
+    for (const p of participants) {
+        const event = events.get(p.event_id);
+        if (!event || !roles.has((p.role_in_event || '').toLowerCase())) continue;
+        if (!deaths.has(p.character_id)) deaths.set(p.character_id, { name: p.character_name, events: [] });
+        deaths.get(p.character_id).events.push(event);
+    }
+
+    const issues = [];
+    for (const [characterId, death] of deaths) {
+        death.events.sort((a, b) => compareChronology(a, b) || a.event_id - b.event_id);
+        const [deathEvent, ...laterDeaths] = death.events;
+
+        if (laterDeaths.length > 0) {
+            issues.push({
+                issue_type: 'character_dies_more_than_once',
+                severity: 'warning',
+                description: `Character "${death.name}" has ${death.events.length} death events: ` +
+                    death.events.map(e => `"${e.event_name}"`).join(', '),
+                character_ids: [characterId],
+                event_ids: death.events.map(e => e.event_id),
+                details: { character_name: death.name, death_event: eventRef(deathEvent) }
+            });
+        }
+
+        const deathIds = new Set(death.events.map(e => e.event_id));
+        const later = participants
+            .filter(p => p.character_id === characterId && !deathIds.has(p.event_id))
+            .map(p => events.get(p.event_id))
+            .filter(e => e && compareChronology(deathEvent, e) < 0);
+        for (const event of later) {
+            issues.push({
+                issue_type: 'character_appears_after_death',
+                severity: 'critical',
+                description: `Character "${death.name}" takes part in "${event.event_name}" after dying in "${deathEvent.event_name}"`,
+                character_ids: [characterId],
+                event_ids: [deathEvent.event_id, event.event_id],
+                details: { character_name: death.name, death_event: eventRef(deathEvent), later_event: eventRef(event) }
+            });
+        }
+
+        for (const mapping of mappings) {
+            const event = events.get(mapping.event_id);
+            if (mapping.pov_character_id !== characterId || !event || compareChronology(deathEvent, event) >= 0) continue;
+            issues.push({
+                issue_type: 'character_appears_after_death',
+                severity: 'critical',
+                description: `Character "${death.name}" is the POV character for "${event.event_name}" ` +
+                    `(Book ${mapping.book_number ?? '?'}, Chapter ${mapping.chapter_number}) after dying in "${deathEvent.event_name}"`,
+                character_ids: [characterId],
+                event_ids: [deathEvent.event_id, event.event_id],
+                chapter_ids: [mapping.chapter_id],
+                mapping_ids: [mapping.mapping_id],
+                details: { character_name: death.name, death_event: eventRef(deathEvent), later_event: eventRef(event) }
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Narrative position of a mapping: book, chapter, then scene. Mappings in
+ * the same chapter without scene numbers have no known order between them.
+ */
+function compareNarrative(a, b) {
+    return ((a.book_number ?? 0) - (b.book_number ?? 0)) ||
+        (a.chapter_number - b.chapter_number) ||
+        (a.scene_number != null && b.scene_number != null ? a.scene_number - b.scene_number : 0);
+}
+
+/**
+ * Direct-scene mappings narrated in an order that contradicts the timeline:
+ * one issue per mapping, listing the later events already narrated before it.
+ */
+function findChapterOrderConflicts(events, mappings) {
+    const linear = mappings
+        .filter(m => !NONLINEAR_PRESENTATIONS.includes((m.presentation_type || '').toLowerCase()))
+        .filter(m => events.has(m.event_id))
+        .sort((a, b) => compareNarrative(a, b) || a.mapping_id - b.mapping_id);
+
+    const issues = [];
+    linear.forEach((mapping, index) => {
+        const event = events.get(mapping.event_id);
+        const narratedEarlier = linear.slice(0, index).filter(other =>
+            other.event_id !== mapping.event_id &&
+            compareNarrative(other, mapping) < 0 &&
+            compareChronology(events.get(other.event_id), event) > 0
+        );
+        if (narratedEarlier.length === 0) return;
+
+        issues.push({
+            issue_type: 'chapter_order_contradicts_timeline',
+            severity: 'warning',
+            description: `"${event.event_name}" (Book ${mapping.book_number ?? '?'}, Chapter ${mapping.chapter_number}) happens before ` +
+                narratedEarlier.map(o => `"${events.get(o.event_id).event_name}" (Chapter ${o.chapter_number})`).join(', ') +
+                ' but is narrated after them. Mark it as a flashback or similar if that is intended.',
+            event_ids: [mapping.event_id, ...new Set(narratedEarlier.map(o => o.event_id))],
+            chapter_ids: [...new Set([mapping.chapter_id, ...narratedEarlier.map(o => o.chapter_id)])],
+            mapping_ids: [mapping.mapping_id, ...narratedEarlier.map(o => o.mapping_id)],
+            details: {
+                event: eventRef(event),
+                narrated_earlier: narratedEarlier.map(o => ({
+                    ...eventRef(events.get(o.event_id)),
+                    mapping_id: o.mapping_id,
+                    chapter_id: o.chapter_id,
+                    chapter_number: o.chapter_number,
+                    book_number: o.book_number
+                }))
+            }
+        });
+    });
+    return issues;
+}
+
 export class TimelineEventHandlers {
     /**
      * @param {Object} db - Database connection instance
@@ -56,6 +297,8 @@ export class TimelineEventHandlers {
                         book_id: { type: 'integer', description: 'Associated book ID (optional)' },
                         sort_order: { type: 'integer', description: 'Order in timeline (optional)' },
                         time_period: { type: 'string', description: 'Time period grouping (optional)' },
+                        world_time_start: { type: ['integer', 'string'], description: 'In-world start: normalized minutes or text in the series calendar, e.g. "3 Frostfall 1042 AR, 15:00" (optional)' },
+                        world_time_end: { type: ['integer', 'string'], description: 'In-world end, same forms (optional; omit for an instant)' },
                         participants: { 
                             type: 'array', 
                             items: { type: 'integer' },
@@ -87,6 +330,8 @@ export class TimelineEventHandlers {
                         book_id: { type: 'integer', description: 'Associated book ID' },
                         sort_order: { type: 'integer', description: 'Order in timeline' },
                         time_period: { type: 'string', description: 'Time period grouping' },
+                        world_time_start: { type: ['integer', 'string', 'null'], description: 'In-world start: normalized minutes or text in the series calendar (null clears start and end)' },
+                        world_time_end: { type: ['integer', 'string', 'null'], description: 'In-world end, same forms (null for an instant)' },
                         participants: { 
                             type: 'array', 
                             items: { type: 'integer' },
@@ -133,22 +378,27 @@ export class TimelineEventHandlers {
                     required: ['character_id']
                 }
             },
-            // {
-            //     name: 'find_timeline_inconsistencies',
-            //     description: 'Analyze the timeline for potential continuity problems',
-            //     inputSchema: {
-            //         type: 'object',
-            //         properties: {
-            //             series_id: { type: 'integer', description: 'Series ID to analyze' },
-            //             check_character_logistics: { 
-            //                 type: 'boolean', 
-            //                 description: 'Check for character travel/location inconsistencies',
-            //                 default: true
-            //             }
-            //         },
-            //         required: ['series_id']
-            //     }
-            // }
+            {
+                name: 'find_timeline_inconsistencies',
+                description: 'Check a series timeline for continuity problems: a character in two simultaneous or overlapping events, a character appearing after their death event, and chapters that narrate events in an order contradicting the timeline (world time, else event_date/sort_order). Each issue has a severity (critical, warning) and the offending IDs.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        series_id: { type: 'integer', description: 'Series ID to analyze' },
+                        checks: {
+                            type: 'array',
+                            items: { type: 'string', enum: ['simultaneous_events', 'after_death', 'chapter_order'] },
+                            description: 'Checks to run (default: all)'
+                        },
+                        death_roles: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'event_participants.role_in_event values that mark a character\'s death (case-insensitive, default: died, killed, deceased)'
+                        }
+                    },
+                    required: ['series_id']
+                }
+            }
         ];
     }
 
@@ -195,6 +445,8 @@ export class TimelineEventHandlers {
                     t.event_date, 
                     t.sort_order,
                     t.time_period,
+                    t.world_time_start,
+                    t.world_time_end,
                     t.significance,
                     t.is_public_knowledge,
                     t.created_at,
@@ -215,11 +467,13 @@ export class TimelineEventHandlers {
                 GROUP BY 
                     t.id, s.id, b.id
                 ORDER BY 
+                    t.world_time_start NULLS LAST,
                     t.sort_order,
                     t.event_date
             `;
             
             const result = await this.db.query(query, params);
+            const calendars = await loadSeriesCalendars(this.db, result.rows.map(event => event.series_id));
             
             // Format the response
             const formattedEvents = result.rows.map(event => ({
@@ -239,6 +493,7 @@ export class TimelineEventHandlers {
                 significance: event.significance,
                 is_public_knowledge: event.is_public_knowledge,
                 sort_order: event.sort_order,
+                world_time: describeWorldTime(calendars.get(event.series_id), event.world_time_start, event.world_time_end),
                 participants: event.participant_ids && event.participant_ids.length > 0 ?
                     event.participant_ids.map((id, index) => ({
                         character_id: id,
@@ -276,6 +531,8 @@ export class TimelineEventHandlers {
                     t.event_date, 
                     t.sort_order,
                     t.time_period,
+                    t.world_time_start,
+                    t.world_time_end,
                     t.significance,
                     t.is_public_knowledge,
                     t.created_at,
@@ -305,6 +562,7 @@ export class TimelineEventHandlers {
             }
             
             const event = result.rows[0];
+            const calendar = await loadSeriesCalendar(this.db, event.series_id);
             
             // Get chapter references for this event (if implemented)
             let chapterReferences = [];
@@ -375,6 +633,7 @@ export class TimelineEventHandlers {
                 significance: event.significance,
                 is_public_knowledge: event.is_public_knowledge,
                 sort_order: event.sort_order,
+                world_time: describeWorldTime(calendar, event.world_time_start, event.world_time_end),
                 participants: event.participant_ids && event.participant_ids.length > 0 ?
                     event.participant_ids.map((id, index) => ({
                         character_id: id,
@@ -410,6 +669,10 @@ export class TimelineEventHandlers {
                 is_public_knowledge = true
             } = args;
             
+            // Calendar text is resolved before the transaction starts
+            const { worldTimeStart, worldTimeEnd, calendar } =
+                await this.resolveEventWorldTimes(series_id, args.world_time_start ?? null, args.world_time_end ?? null);
+            
             // Start a transaction
             await this.db.query('BEGIN');
             
@@ -424,9 +687,11 @@ export class TimelineEventHandlers {
                     sort_order,
                     time_period,
                     significance,
-                    is_public_knowledge
+                    is_public_knowledge,
+                    world_time_start,
+                    world_time_end
                 ) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
                 RETURNING *
             `;
             
@@ -441,7 +706,9 @@ export class TimelineEventHandlers {
                     sort_order,
                     time_period,
                     significance,
-                    is_public_knowledge
+                    is_public_knowledge,
+                    worldTimeStart,
+                    worldTimeEnd
                 ]
             );
             
@@ -507,6 +774,7 @@ export class TimelineEventHandlers {
                 significance: event.significance,
                 is_public_knowledge: event.is_public_knowledge,
                 sort_order: event.sort_order,
+                world_time: describeWorldTime(calendar, event.world_time_start, event.world_time_end),
                 participants: participantInfo,
                 created_at: event.created_at,
                 message: `Successfully created timeline event "${event_name}"`
@@ -565,6 +833,15 @@ export class TimelineEventHandlers {
             
             const seriesId = checkResult.rows[0].series_id;
             
+            // world_time_start and world_time_end are set together: giving
+            // only a start makes the event an instant
+            if (args.world_time_start === undefined && args.world_time_end !== undefined) {
+                throw new Error('world_time_end needs world_time_start');
+            }
+            const worldTimes = args.world_time_start !== undefined
+                ? await this.resolveEventWorldTimes(seriesId, args.world_time_start, args.world_time_end ?? null)
+                : null;
+            
             // Start a transaction
             await this.db.query('BEGIN');
             
@@ -613,6 +890,13 @@ export class TimelineEventHandlers {
                 values.push(is_public_knowledge);
             }
             
+            if (worldTimes) {
+                updates.push(`world_time_start = $${paramCounter++}`);
+                values.push(worldTimes.worldTimeStart);
+                updates.push(`world_time_end = $${paramCounter++}`);
+                values.push(worldTimes.worldTimeEnd);
+            }
+            
             // Add updated_at timestamp
             updates.push(`updated_at = CURRENT_TIMESTAMP`);
             
@@ -722,6 +1006,11 @@ export class TimelineEventHandlers {
                 significance: updatedEvent.significance,
                 is_public_knowledge: updatedEvent.is_public_knowledge,
                 sort_order: updatedEvent.sort_order,
+                world_time: describeWorldTime(
+                    worldTimes ? worldTimes.calendar : await loadSeriesCalendar(this.db, seriesId),
+                    updatedEvent.world_time_start,
+                    updatedEvent.world_time_end
+                ),
                 participants: participantInfo,
                 updated_at: updatedEvent.updated_at,
                 message: `Successfully updated timeline event "${updatedEvent.event_name}"`
@@ -744,6 +1033,25 @@ export class TimelineEventHandlers {
         }
     }
 
+    /**
+     * Resolve an event's world_time_start/end arguments (normalized minutes
+     * or text in the series calendar)
+     * @param {number} seriesId - Series the event belongs to
+     * @returns {Object} worldTimeStart, worldTimeEnd and the calendar used
+     */
+    async resolveEventWorldTimes(seriesId, start, end) {
+        const calendar = await loadSeriesCalendar(this.db, seriesId);
+        if (start === null && end !== null) {
+            throw new Error('world_time_end needs world_time_start');
+        }
+        const worldTimeStart = resolveWorldTime(calendar, start, { label: 'world_time_start' });
+        const worldTimeEnd = resolveWorldTime(calendar, end, { label: 'world_time_end' });
+        if (worldTimeEnd !== null && worldTimeEnd < worldTimeStart) {
+            throw new Error('world_time_end is before world_time_start');
+        }
+        return { worldTimeStart, worldTimeEnd, calendar };
+    }
+
     /**
      * Delete a timeline event
      * @param {Object} args - Function arguments
@@ -949,267 +1257,85 @@ export class TimelineEventHandlers {
     }
 
     /**
-     * Analyze the timeline for potential continuity problems
+     * Check a series timeline for continuity problems
      * @param {Object} args - Function arguments
-     * @returns {Object} Analysis results
+     * @returns {Object} Issues found, each with a severity and the offending IDs
      */
-    // async handleFindTimelineInconsistencies(args) {
-    //     try {
-    //         const { series_id, check_character_logistics = true } = args;
-            
-    //         // Check if series exists
-    //         const seriesQuery = `
-    //             SELECT title FROM series WHERE series_id = $1
-    //         `;
-            
-    //         const seriesResult = await this.db.query(seriesQuery, [series_id]);
-            
-    //         if (seriesResult.rows.length === 0) {
-    //             throw new Error(`Series with ID ${series_id} not found`);
-    //         }
-            
-    //         const seriesTitle = seriesResult.rows[0].title;
-            
-    //         // Initialize the response object
-    //         const response = {
-    //             series_id,
-    //             series_title: seriesTitle,
-    //             analysis_date: new Date().toISOString(),
-    //             issues: []
-    //         };
-            
-    //         // Check for overlapping events with the same characters
-    //         const overlapQuery = `
-    //             WITH character_events AS (
-    //                 SELECT 
-    //                     t.id as event_id,
-    //                     t.event_name,
-    //                     t.event_date,
-    //                     ep.character_id,
-    //                     c.name AS character_name
-    //                 FROM 
-    //                     timeline_events t
-    //                     JOIN event_participants ep ON t.id = ep.event_id
-    //                     JOIN characters c ON ep.character_id = c.id
-    //                 WHERE 
-    //                     t.series_id = $1
-    //             ),
-    //             character_pairs AS (
-    //                 SELECT 
-    //                     a.character_id,
-    //                     a.character_name,
-    //                     a.event_id AS event_a_id,
-    //                     a.event_name AS event_a_name,
-    //                     a.event_date AS event_a_date,
-    //                     b.event_id AS event_b_id,
-    //                     b.event_name AS event_b_name,
-    //                     b.event_date AS event_b_date
-    //                 FROM 
-    //                     character_events a
-    //                     JOIN character_events b ON a.character_id = b.character_id AND a.event_id < b.event_id
-    //                 WHERE 
-    //                     a.event_date = b.event_date
-    //             )
-    //             SELECT * FROM character_pairs
-    //         `;
-            
-    //         const overlapResult = await this.db.query(overlapQuery, [series_id]);
-            
-    //         // Add overlap issues to the response
-    //         if (overlapResult.rows.length > 0) {
-    //             for (const overlap of overlapResult.rows) {
-    //                 response.issues.push({
-    //                     issue_type: 'character_double_booking',
-    //                     severity: 'warning',
-    //                     description: `Character "${overlap.character_name}" appears in two events on the same date: "${overlap.event_a_name}" and "${overlap.event_b_name}"`,
-    //                     details: {
-    //                         character_id: overlap.character_id,
-    //                         character_name: overlap.character_name,
-    //                         event1: {
-    //                             event_id: overlap.event_a_id,
-    //                             name: overlap.event_a_name,
-    //                             date: overlap.event_a_date
-    //                         },
-    //                         event2: {
-    //                             event_id: overlap.event_b_id,
-    //                             name: overlap.event_b_name,
-    //                             date: overlap.event_b_date
-    //                         }
-    //                     }
-    //                 });
-    //             }
-    //         }
-            
-    //         // Check for character logistics issues if requested
-    //         if (check_character_logistics) {
-    //             try {
-    //                 // This is a more complex check that would involve looking at locations,
-    //                 // travel times, and potentially chapter mappings if implemented
-    //                 // Here's a simplified version that checks for rapid location changes
-                    
-    //                 const logisticsQuery = `
-    //                     WITH event_locations AS (
-    //                         SELECT 
-    //                             t.id as event_id,
-    //                             t.event_name,
-    //                             t.event_date,
-    //                             t.book_id,
-    //                             ep.character_id,
-    //                             c.name AS character_name,
-    //                             b.title AS book_title,
-    //                             COALESCE(t.event_description, '') AS event_description
-    //                         FROM 
-    //                             timeline_events t
-    //                             JOIN event_participants ep ON t.id = ep.event_id
-    //                             JOIN characters c ON ep.character_id = c.id
-    //                             LEFT JOIN books b ON t.book_id = b.id
-    //                         WHERE 
-    //                             t.series_id = $1
-    //                     ),
-    //                     location_pairs AS (
-    //                         SELECT 
-    //                             a.character_id,
-    //                             a.character_name,
-    //                             a.event_id AS event_a_id,
-    //                             a.event_name AS event_a_name,
-    //                             a.event_date AS event_a_date,
-    //                             a.event_description AS event_a_description,
-    //                             b.event_id AS event_b_id,
-    //                             b.event_name AS event_b_name,
-    //                             b.event_date AS event_b_date,
-    //                             b.event_description AS event_b_description
-    //                         FROM 
-    //                             event_locations a
-    //                             JOIN event_locations b ON a.character_id = b.character_id 
-    //                                                    AND a.event_id < b.event_id
-    //                                                    AND a.event_date = b.event_date
-    //                                                    AND position(lower(a.event_description) in lower(b.event_description)) = 0
-    //                         WHERE
-    //                             a.event_description ~ '[Ll]ocation|[Pp]lace|[Cc]ity|[Tt]own|[Cc]ountry|[Vv]illage' AND
-    //                             b.event_description ~ '[Ll]ocation|[Pp]lace|[Cc]ity|[Tt]own|[Cc]ountry|[Vv]illage'
-    //                     )
-    //                     SELECT * FROM location_pairs
-    //                 `;
-                    
-    //                 const logisticsResult = await this.db.query(logisticsQuery, [series_id]);
-                    
-    //                 // Add logistics issues to the response
-    //                 if (logisticsResult.rows.length > 0) {
-    //                     for (const logistics of logisticsResult.rows) {
-    //                         response.issues.push({
-    //                             issue_type: 'possible_travel_inconsistency',
-    //                             severity: 'info',
-    //                             description: `Character "${logistics.character_name}" might be in different locations on the same date: "${logistics.event_a_name}" and "${logistics.event_b_name}"`,
-    //                             details: {
-    //                                 character_id: logistics.character_id,
-    //                                 character_name: logistics.character_name,
-    //                                 event1: {
-    //                                     event_id: logistics.event_a_id,
-    //                                     name: logistics.event_a_name,
-    //                                     date: logistics.event_a_date,
-    //                                     description: logistics.event_a_description
-    //                                 },
-    //                                 event2: {
-    //                                     event_id: logistics.event_b_id,
-    //                                     name: logistics.event_b_name,
-    //                                     date: logistics.event_b_date,
-    //                                     description: logistics.event_b_description
-    //                                 }
-    //                             }
-    //                         });
-    //                     }
-    //                 }
-    //             } catch (error) {
-    //                 console.log(`Character logistics check error: ${error.message}`);
-    //                 // Continue with other checks if this one fails
-    //             }
-    //         }
-            
-    //         // Check for chronology issues in event-chapter mappings
-    //         try {
-    //             const chronologyQuery = `
-    //                 WITH event_chapters AS (
-    //                     SELECT 
-    //                         t.id as event_id,
-    //                         t.event_name,
-    //                         t.event_date,
-    //                         m.chapter_id,
-    //                         c.chapter_number,
-    //                         b.book_number
-    //                     FROM 
-    //                         timeline_events t
-    //                         JOIN event_chapter_mappings m ON t.id = m.event_id
-    //                         JOIN chapters c ON m.chapter_id = c.chapter_id
-    //                         JOIN books b ON c.book_id = b.id
-    //                     WHERE 
-    //                         t.series_id = $1 AND
-    //                         m.presentation_type = 'direct_scene'
-    //                     ORDER BY
-    //                         t.event_date
-    //                 ),
-    //                 chronology_pairs AS (
-    //                     SELECT 
-    //                         a.event_id AS event_a_id,
-    //                         a.event_name AS event_a_name,
-    //                         a.event_date AS event_a_date,
-    //                         a.chapter_id AS chapter_a_id,
-    //                         a.chapter_number AS chapter_a_number,
-    //                         a.book_number AS book_a_number,
-    //                         b.event_id AS event_b_id,
-    //                         b.event_name AS event_b_name,
-    //                         b.event_date AS event_b_date,
-    //                         b.chapter_id AS chapter_b_id,
-    //                         b.chapter_number AS chapter_b_number,
-    //                         b.book_number AS book_b_number
-    //                     FROM 
-    //                         event_chapters a
-    //                         JOIN event_chapters b ON a.event_date < b.event_date AND
-    //                                                 ((a.book_number > b.book_number) OR 
-    //                                                  (a.book_number = b.book_number AND a.chapter_number > b.chapter_number))
-    //                 )
-    //                 SELECT * FROM chronology_pairs
-    //             `;
-                
-    //             const chronologyResult = await this.db.query(chronologyQuery, [series_id]);
-                
-    //             // Add chronology issues to the response
-    //             if (chronologyResult.rows.length > 0) {
-    //                 for (const chronology of chronologyResult.rows) {
-    //                     response.issues.push({
-    //                         issue_type: 'chronology_narrative_mismatch',
-    //                         severity: 'warning',
-    //                         description: `Chronology issue: Event "${chronology.event_a_name}" occurs before "${chronology.event_b_name}" in timeline, but appears later in the narrative`,
-    //                         details: {
-    //                             earlier_event: {
-    //                                 event_id: chronology.event_a_id,
-    //                                 name: chronology.event_a_name,
-    //                                 date: chronology.event_a_date,
-    //                                 chapter: `Book ${chronology.book_a_number}, Chapter ${chronology.chapter_a_number}`
-    //                             },
-    //                             later_event: {
-    //                                 event_id: chronology.event_b_id,
-    //                                 name: chronology.event_b_name,
-    //                                 date: chronology.event_b_date,
-    //                                 chapter: `Book ${chronology.book_b_number}, Chapter ${chronology.chapter_b_number}`
-    //                             }
-    //                         }
-    //                     });
-    //                 }
-    //             }
-    //         } catch (error) {
-    //             // Event-chapter mappings might not be implemented yet
-    //             console.log(`Chronology check error: ${error.message}`);
-    //         }
-            
-    //         // Set overall status
-    //         response.issue_count = response.issues.length;
-    //         response.has_critical_issues = response.issues.some(issue => issue.severity === 'critical');
-    //         response.has_warnings = response.issues.some(issue => issue.severity === 'warning');
-            
-    //         return response;
-    //     } 
-    //     catch (error) {
-    //         throw new Error(`Failed to analyze timeline: ${error.message}`);
-    //     }
-    // }
+    async handleFindTimelineInconsistencies(args) {
+        try {
+            const { series_id, checks = INCONSISTENCY_CHECKS, death_roles = DEFAULT_DEATH_ROLES } = args;
+
+            const unknownChecks = checks.filter(c => !INCONSISTENCY_CHECKS.includes(c));
+            if (unknownChecks.length > 0) {
+                throw new Error(`Unknown check(s): ${unknownChecks.join(', ')}. Valid checks: ${INCONSISTENCY_CHECKS.join(', ')}`);
+            }
+
+            const seriesResult = await this.db.query('SELECT id, title FROM series WHERE id = $1', [series_id]);
+            if (seriesResult.rows.length === 0) {
+                throw new Error(`Series with ID ${series_id} not found`);
+            }
+
+            const eventsResult = await this.db.query(`
+                SELECT id AS event_id, event_name, event_date, sort_order, world_time_start, world_time_end
+                FROM timeline_events
+                WHERE series_id = $1
+            `, [series_id]);
+
+            const participantsResult = await this.db.query(`
+                SELECT ep.event_id, ep.character_id, ep.role_in_event, c.name AS character_name
+                FROM event_participants ep
+                    JOIN timeline_events t ON ep.event_id = t.id
+                    JOIN characters c ON ep.character_id = c.id
+                WHERE t.series_id = $1
+            `, [series_id]);
+
+            const mappingsResult = await this.db.query(`
+                SELECT 
+                    m.id AS mapping_id, m.event_id, m.chapter_id, m.scene_number,
+                    m.presentation_type, m.pov_character_id,
+                    c.chapter_number, b.id AS book_id, b.book_number, b.title AS book_title
+                FROM event_chapter_mappings m
+                    JOIN timeline_events t ON m.event_id = t.id
+                    JOIN chapters c ON m.chapter_id = c.id
+                    JOIN books b ON c.book_id = b.id
+                WHERE t.series_id = $1
+            `, [series_id]);
+
+            // pg returns BIGINT as strings
+            const toNumber = value => (value === null || value === undefined ? null : Number(value));
+            const events = new Map(eventsResult.rows.map(e => [e.event_id, {
+                ...e,
+                world_time_start: toNumber(e.world_time_start),
+                world_time_end: toNumber(e.world_time_end)
+            }]));
+            const issues = [];
+            if (checks.includes('simultaneous_events')) {
+                issues.push(...findSimultaneousEvents(events, participantsResult.rows));
+            }
+            if (checks.includes('after_death')) {
+                issues.push(...findAppearancesAfterDeath(events, participantsResult.rows, mappingsResult.rows, death_roles));
+            }
+            if (checks.includes('chapter_order')) {
+                issues.push(...findChapterOrderConflicts(events, mappingsResult.rows));
+            }
+
+            const severityRank = { critical: 0, warning: 1 };
+            issues.sort((a, b) => severityRank[a.severity] - severityRank[b.severity]);
+
+            return {
+                series_id,
+                series_title: seriesResult.rows[0].title,
+                checks_run: checks,
+                events_checked: events.size,
+                mappings_checked: mappingsResult.rows.length,
+                issue_count: issues.length,
+                has_critical_issues: issues.some(issue => issue.severity === 'critical'),
+                has_warnings: issues.some(issue => issue.severity === 'warning'),
+                issues
+            };
+        } 
+        catch (error) {
+            throw new Error(`Failed to analyze timeline: ${error.message}`);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,379 @@
+/**
+ * In-world calendar arithmetic for the timeline server
+ *
+ * Pure functions, no DB: calendar-handlers.js loads a series_calendars row
+ * (migration 067) and uses these to turn calendar text such as
+ * "Moonday, 3 Frostfall 1042 AR, 15:00" or "Day 4, 3pm" into a normalized
+ * world time and back.
+ *
+ * A normalized world time is whole minutes since the calendar epoch -- year
+ * 1, first month, day 1, 00:00 -- plus the calendar's epoch_offset. Years
+ * are absolute (year 0 and negative years come before the epoch); eras only
+ * change how a year is written. Months have fixed lengths, except that one
+ * month can gain a day in leap years (every leap_year_every years).
+ */
+
+const floorDiv = (a, b) => Math.floor(a / b);
+const mod = (a, b) => ((a % b) + b) % b;
+const fold = (s) => String(s).trim().toLowerCase().replace(/\./g, '');
+
+function requireInteger(value, label) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isSafeInteger(n)) {
+        throw new Error(`${label} must be an integer`);
+    }
+    return n;
+}
+
+/**
+ * Validate a calendar definition (tool args or a series_calendars row) and
+ * return it with defaults filled in and eras in chronological order.
+ */
+export function normalizeCalendar(def) {
+    const months = Array.isArray(def.months) ? def.months : [];
+    if (months.length === 0) {
+        throw new Error('months must list at least one month');
+    }
+    const seenMonths = new Set();
+    const normalizedMonths = months.map((m, i) => {
+        const name = typeof m?.name === 'string' ? m.name.trim() : '';
+        if (!name) throw new Error(`months[${i}] needs a name`);
+        if (seenMonths.has(fold(name))) throw new Error(`Month "${name}" is listed twice`);
+        seenMonths.add(fold(name));
+        const days = requireInteger(m.days, `months[${i}].days`);
+        if (days < 1) throw new Error(`months[${i}].days must be at least 1`);
+        return { name, days };
+    });
+
+    const weekdays = (def.weekdays || []).map(w => String(w).trim());
+    if (new Set(weekdays.map(fold)).size !== weekdays.length || weekdays.some(w => !w)) {
+        throw new Error('weekdays must be distinct, non-empty names');
+    }
+    const firstWeekday = requireInteger(def.first_weekday ?? 0, 'first_weekday');
+    if (weekdays.length > 0 && (firstWeekday < 0 || firstWeekday >= weekdays.length)) {
+        throw new Error(`first_weekday must be between 0 and ${weekdays.length - 1}`);
+    }
+
+    const hoursPerDay = requireInteger(def.hours_per_day ?? 24, 'hours_per_day');
+    const minutesPerHour = requireInteger(def.minutes_per_hour ?? 60, 'minutes_per_hour');
+    if (hoursPerDay < 1 || minutesPerHour < 1) {
+        throw new Error('hours_per_day and minutes_per_hour must be at least 1');
+    }
+
+    const leapEvery = def.leap_year_every == null ? null : requireInteger(def.leap_year_every, 'leap_year_every');
+    const leapMonth = def.leap_month == null ? null : requireInteger(def.leap_month, 'leap_month');
+    if (leapEvery !== null) {
+        if (leapEvery < 1) throw new Error('leap_year_every must be at least 1');
+        if (leapMonth === null || leapMonth < 1 || leapMonth > normalizedMonths.length) {
+            throw new Error(`leap_month must be a month number between 1 and ${normalizedMonths.length} when leap_year_every is set`);
+        }
+    }
+
+    const eras = (def.eras || []).map((e, i) => {
+        const name = typeof e?.name === 'string' ? e.name.trim() : '';
+        if (!name) throw new Error(`eras[${i}] needs a name`);
+        return {
+            name,
+            abbreviation: e.abbreviation ? String(e.abbreviation).trim() : null,
+            start_year: e.start_year == null ? null : requireInteger(e.start_year, `eras[${i}].start_year`),
+            backward: e.backward === true
+        };
+    });
+    const seenEras = new Set();
+    for (const era of eras) {
+        for (const token of [era.name, era.abbreviation].filter(Boolean)) {
+            if (seenEras.has(fold(token))) throw new Error(`Era name or abbreviation "${token}" is used twice`);
+            seenEras.add(fold(token));
+        }
+    }
+    eras.sort((a, b) => (a.start_year ?? -Infinity) - (b.start_year ?? -Infinity));
+    eras.forEach((era, i) => {
+        if (era.start_year === null && i > 0) {
+            throw new Error(`Only the earliest era may leave start_year open ("${era.name}")`);
+        }
+        if (i > 0 && era.start_year === eras[i - 1].start_year) {
+            throw new Error(`Eras "${eras[i - 1].name}" and "${era.name}" start in the same year`);
+        }
+        if (era.backward && i === eras.length - 1) {
+            throw new Error(`Era "${era.name}" counts backward, so a later era must follow it`);
+        }
+        if (!era.backward && era.start_year === null) {
+            throw new Error(`Era "${era.name}" needs a start_year (only a backward-counting era may leave it open)`);
+        }
+    });
+
+    return {
+        calendar_name: def.calendar_name || def.name || 'Calendar',
+        months: normalizedMonths,
+        weekdays,
+        first_weekday: firstWeekday,
+        hours_per_day: hoursPerDay,
+        minutes_per_hour: minutesPerHour,
+        eras,
+        leap_year_every: leapEvery,
+        leap_month: leapMonth,
+        epoch_offset: requireInteger(def.epoch_offset ?? 0, 'epoch_offset')
+    };
+}
+
+const minutesPerDay = (cal) => cal.hours_per_day * cal.minutes_per_hour;
+const baseYearDays = (cal) => cal.months.reduce((sum, m) => sum + m.days, 0);
+
+export function isLeapYear(cal, year) {
+    return cal.leap_year_every !== null && mod(year, cal.leap_year_every) === 0;
+}
+
+function monthLength(cal, year, month) {
+    const extra = isLeapYear(cal, year) && month === cal.leap_month ? 1 : 0;
+    return cal.months[month - 1].days + extra;
+}
+
+// Days from the epoch to the first day of `year` (negative before year 1).
+function daysBeforeYear(cal, year) {
+    const leaps = cal.leap_year_every === null ? 0 : floorDiv(year - 1, cal.leap_year_every);
+    return (year - 1) * baseYearDays(cal) + leaps;
+}
+
+/**
+ * Era and year-within-era for an absolute year. Years before the first era
+ * (or with no eras defined) are written as plain absolute years.
+ */
+export function eraOfYear(cal, year) {
+    for (let i = cal.eras.length - 1; i >= 0; i--) {
+        const era = cal.eras[i];
+        if (era.start_year !== null && year < era.start_year) continue;
+        const eraYear = era.backward ? cal.eras[i + 1].start_year - year : year - era.start_year + 1;
+        return { era, era_year: eraYear };
+    }
+    return { era: null, era_year: year };
+}
+
+function findEra(cal, token) {
+    const era = cal.eras.find(e => fold(e.name) === fold(token) || (e.abbreviation && fold(e.abbreviation) === fold(token)));
+    if (!era) {
+        const known = cal.eras.map(e => e.abbreviation || e.name);
+        throw new Error(`Unknown era "${token}"${known.length ? ` (known: ${known.join(', ')})` : ' (this calendar defines no eras)'}`);
+    }
+    return era;
+}
+
+/**
+ * Absolute year for a year written in an era (or, with no era, the absolute
+ * year itself).
+ */
+export function absoluteYear(cal, eraYear, eraToken) {
+    if (!eraToken) return eraYear;
+    const era = findEra(cal, eraToken);
+    if (eraYear < 1) throw new Error(`Year ${eraYear} ${eraToken}: years within an era start at 1`);
+    if (era.backward) {
+        const next = cal.eras[cal.eras.indexOf(era) + 1];
+        return next.start_year - eraYear;
+    }
+    return era.start_year + eraYear - 1;
+}
+
+function findMonth(cal, token) {
+    if (/^\d+$/.test(token)) {
+        const n = Number(token);
+        if (n < 1 || n > cal.months.length) throw new Error(`Month ${n} is out of range (1-${cal.months.length})`);
+        return n;
+    }
+    const index = cal.months.findIndex(m => fold(m.name) === fold(token));
+    if (index === -1) throw new Error(`Unknown month "${token}"`);
+    return index + 1;
+}
+
+/**
+ * Normalized world time for calendar parts. year is absolute; month and day
+ * are 1-based.
+ */
+export function toWorldTime(cal, { year, month = 1, day = 1, hour = 0, minute = 0 }) {
+    if (month < 1 || month > cal.months.length) {
+        throw new Error(`Month ${month} is out of range (1-${cal.months.length})`);
+    }
+    const length = monthLength(cal, year, month);
+    if (day < 1 || day > length) {
+        throw new Error(`${cal.months[month - 1].name} has ${length} days in year ${year}; day ${day} is out of range`);
+    }
+    if (hour < 0 || hour >= cal.hours_per_day) throw new Error(`Hour ${hour} is out of range (0-${cal.hours_per_day - 1})`);
+    if (minute < 0 || minute >= cal.minutes_per_hour) throw new Error(`Minute ${minute} is out of range (0-${cal.minutes_per_hour - 1})`);
+
+    let days = daysBeforeYear(cal, year) + day - 1;
+    for (let m = 1; m < month; m++) days += monthLength(cal, year, m);
+    return days * minutesPerDay(cal) + hour * cal.minutes_per_hour + minute + cal.epoch_offset;
+}
+
+/**
+ * Calendar parts for a normalized world time.
+ */
+export function fromWorldTime(cal, worldTime) {
+    const t = requireInteger(worldTime, 'world_time') - cal.epoch_offset;
+    const days = floorDiv(t, minutesPerDay(cal));
+    const minuteOfDay = t - days * minutesPerDay(cal);
+
+    let year = floorDiv(days, baseYearDays(cal)) + 1;
+    while (daysBeforeYear(cal, year) > days) year--;
+    while (daysBeforeYear(cal, year + 1) <= days) year++;
+
+    let dayOfYear = days - daysBeforeYear(cal, year);
+    let month = 1;
+    while (dayOfYear >= monthLength(cal, year, month)) {
+        dayOfYear -= monthLength(cal, year, month);
+        month++;
+    }
+
+    const { era, era_year } = eraOfYear(cal, year);
+    return {
+        year,
+        era: era ? (era.abbreviation || era.name) : null,
+        era_year,
+        month,
+        month_name: cal.months[month - 1].name,
+        day: dayOfYear + 1,
+        hour: Math.floor(minuteOfDay / cal.minutes_per_hour),
+        minute: minuteOfDay % cal.minutes_per_hour,
+        weekday: cal.weekdays.length ? cal.weekdays[mod(days + cal.first_weekday, cal.weekdays.length)] : null
+    };
+}
+
+/**
+ * "Moonday, 3 Frostfall 1042 AR, 15:00" (weekday and era only when the
+ * calendar has them; the time is left off with includeTime false).
+ */
+export function formatWorldTime(cal, worldTime, { includeTime = true } = {}) {
+    const p = fromWorldTime(cal, worldTime);
+    const pad = n => String(n).padStart(2, '0');
+    let text = `${p.day} ${p.month_name} ${p.era_year}${p.era ? ` ${p.era}` : ''}`;
+    if (p.weekday) text = `${p.weekday}, ${text}`;
+    if (includeTime) text += `, ${pad(p.hour)}:${pad(p.minute)}`;
+    return text;
+}
+
+/**
+ * A span of minutes as days, hours and minutes of this calendar.
+ */
+export function formatDuration(cal, minutes) {
+    const total = Math.abs(requireInteger(minutes, 'duration'));
+    const perDay = minutesPerDay(cal);
+    const parts = [];
+    const days = Math.floor(total / perDay);
+    const hours = Math.floor((total % perDay) / cal.minutes_per_hour);
+    const mins = total % cal.minutes_per_hour;
+    if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+    if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+    if (mins || parts.length === 0) parts.push(`${mins} minute${mins === 1 ? '' : 's'}`);
+    return (minutes < 0 ? '-' : '') + parts.join(', ');
+}
+
+// Trailing time of day: "15:00", "3:30pm", "3pm", "noon", "midnight",
+// optionally after a comma or "at".
+const TIME_PATTERN = /(?:^|,\s*|\s+)(?:at\s+)?(?:(\d{1,2}):(\d{2})\s*(am|pm)?|(\d{1,2})\s*(am|pm)|(noon|midnight))$/i;
+
+function parseTimeOfDay(cal, text) {
+    const match = text.match(TIME_PATTERN);
+    // An era written "AM" or "PM" wins over a bare "12 AM" time.
+    const eraClash = match && match[5] && cal.eras.some(e => [e.name, e.abbreviation].some(t => t && fold(t) === fold(match[5])));
+    if (!match || eraClash) return { rest: text, hour: 0, minute: 0, hasTime: false };
+
+    let hour;
+    let minute = 0;
+    let meridiem = null;
+    if (match[6]) {
+        hour = match[6].toLowerCase() === 'noon' ? 12 : 0;
+        if (cal.hours_per_day !== 24) throw new Error('noon/midnight need a 24-hour day; use HH:MM');
+    } else if (match[1] !== undefined) {
+        hour = Number(match[1]);
+        minute = Number(match[2]);
+        meridiem = match[3];
+    } else {
+        hour = Number(match[4]);
+        meridiem = match[5];
+    }
+    if (meridiem) {
+        if (cal.hours_per_day !== 24) throw new Error('am/pm need a 24-hour day; use HH:MM');
+        if (hour < 1 || hour > 12) throw new Error(`"${match[0].trim()}" is not a valid 12-hour time`);
+        hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return { rest: text.slice(0, match.index).trim(), hour, minute, hasTime: true };
+}
+
+/**
+ * Parse calendar text into a normalized world time. Accepted forms (an
+ * optional leading weekday is checked against the date; a trailing time of
+ * day is optional):
+ *
+ *   3 Frostfall 1042 AR, 15:00     day month year [era]
+ *   Frostfall 3, 1042 AR 3pm       month day, year [era]
+ *   1042-3-3 AR 15:00              year-month-day [era]
+ *   Frostfall 1042 AR              month year [era]  (day 1)
+ *   Year 1042 AR                   year [era]        (first day)
+ *   Day 4, 3pm                     day N counted from `anchor` (day 1)
+ *
+ * A year without an era is absolute. `anchor` (a world time or calendar
+ * text) is only needed for "Day N". Returns the world time, the calendar
+ * parts it resolved to and its precision (year, month, day or minute).
+ */
+export function parseCalendarText(cal, text, { anchor } = {}) {
+    const original = String(text ?? '').trim();
+    if (!original) throw new Error('Calendar text is empty');
+
+    const time = parseTimeOfDay(cal, original);
+    let rest = time.rest.replace(/,\s*$/, '').trim();
+
+    let weekday = null;
+    const weekdayMatch = cal.weekdays.find(w => fold(rest).startsWith(fold(w)) &&
+        /^[\s,]/.test(rest.slice(w.length)));
+    if (weekdayMatch) {
+        weekday = weekdayMatch;
+        rest = rest.slice(weekdayMatch.length).replace(/^[\s,]+/, '');
+    }
+
+    let m;
+    let parts;
+    let precision = time.hasTime ? 'minute' : 'day';
+    if ((m = rest.match(/^day\s+(-?\d+)$/i))) {
+        if (anchor === undefined || anchor === null || anchor === '') {
+            throw new Error(`"${original}" is relative; pass an anchor (the world time or calendar date of Day 1)`);
+        }
+        const anchorTime = typeof anchor === 'number' || /^-?\d+$/.test(String(anchor).trim())
+            ? requireInteger(anchor, 'anchor')
+            : parseCalendarText(cal, anchor).world_time;
+        const perDay = minutesPerDay(cal);
+        const anchorDay = floorDiv(anchorTime - cal.epoch_offset, perDay);
+        const worldTime = (anchorDay + Number(m[1]) - 1) * perDay + time.hour * cal.minutes_per_hour + time.minute + cal.epoch_offset;
+        if (time.hour >= cal.hours_per_day || time.minute >= cal.minutes_per_hour) {
+            throw new Error(`"${original}" has a time of day outside this calendar's day`);
+        }
+        return finish(cal, original, worldTime, weekday, precision);
+    } else if ((m = rest.match(/^(\d{1,3})\s+(.+?)\s+(-?\d+)(?:\s+(.+))?$/))) {
+        parts = { day: Number(m[1]), month: findMonth(cal, m[2]), year: absoluteYear(cal, Number(m[3]), m[4]) };
+    } else if ((m = rest.match(/^(.+?)\s+(\d{1,3}),?\s+(-?\d+)(?:\s+(.+))?$/)) && !/^\d+$/.test(m[1])) {
+        parts = { day: Number(m[2]), month: findMonth(cal, m[1]), year: absoluteYear(cal, Number(m[3]), m[4]) };
+    } else if ((m = rest.match(/^(-?\d+)-(\d{1,3})-(\d{1,3})(?:\s+(.+))?$/))) {
+        parts = { year: absoluteYear(cal, Number(m[1]), m[4]), month: findMonth(cal, m[2]), day: Number(m[3]) };
+    } else if ((m = rest.match(/^year\s+(-?\d+)(?:\s+(.+))?$/i))) {
+        parts = { year: absoluteYear(cal, Number(m[1]), m[2]), month: 1, day: 1 };
+        precision = time.hasTime ? 'minute' : 'year';
+    } else if ((m = rest.match(/^(\D.*?)\s+(-?\d+)(?:\s+(.+))?$/))) {
+        parts = { year: absoluteYear(cal, Number(m[2]), m[3]), month: findMonth(cal, m[1]), day: 1 };
+        precision = time.hasTime ? 'minute' : 'month';
+    } else {
+        throw new Error(`Can't read "${original}" as a date in ${cal.calendar_name} (try "3 ${cal.months[0].name} 12, 15:00" or "Day 4, 3pm")`);
+    }
+
+    const worldTime = toWorldTime(cal, { ...parts, hour: time.hour, minute: time.minute });
+    return finish(cal, original, worldTime, weekday, precision);
+}
+
+function finish(cal, original, worldTime, weekday, precision) {
+    const parts = fromWorldTime(cal, worldTime);
+    if (weekday && precision !== 'year' && precision !== 'month' && fold(weekday) !== fold(parts.weekday)) {
+        throw new Error(`"${original}": that day is a ${parts.weekday}, not a ${weekday}`);
+    }
+    return {
+        world_time: worldTime,
+        formatted: formatWorldTime(cal, worldTime),
+        precision,
+        parts
+    };
+}
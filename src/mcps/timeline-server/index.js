@@ -11,6 +11,7 @@ import { BaseMCPServer } from '../../shared/base-server.js';
 // Import handlers
 import { TimelineEventHandlers } from './handlers/timeline-event-handlers.js';
 import { EventChapterMappingHandlers } from './handlers/timeline-chapter-mapping-handler.js'; // Add the new import
+import { CalendarHandlers } from './handlers/calendar-handlers.js';
 
 class TimelineMCPServer extends BaseMCPServer {
     constructor() {
@@ -22,6 +23,7 @@ class TimelineMCPServer extends BaseMCPServer {
         // Create handler instances
         this.timelineEventHandlers = new TimelineEventHandlers(this.db);
         this.eventChapterMappingHandlers = new EventChapterMappingHandlers(this.db); // Add new handler
+        this.calendarHandlers = new CalendarHandlers(this.db);
         
         // Properly bind handler methods to maintain context
         this.bindHandlerMethods();
@@ -36,7 +38,8 @@ class TimelineMCPServer extends BaseMCPServer {
     getTools() {
         return [
             ...this.timelineEventHandlers.getTimelineEventTools(),
-            ...this.eventChapterMappingHandlers.getEventChapterMappingTools() // Add mapping tools
+            ...this.eventChapterMappingHandlers.getEventChapterMappingTools(), // Add mapping tools
+            ...this.calendarHandlers.getCalendarTools()
         ];
     }
     
@@ -52,13 +55,19 @@ class TimelineMCPServer extends BaseMCPServer {
             'update_timeline_event': this.handleUpdateTimelineEvent,
             'delete_timeline_event': this.handleDeleteTimelineEvent,
             'get_character_timeline_events': this.handleGetCharacterTimelineEvents,
+            'find_timeline_inconsistencies': this.handleFindTimelineInconsistencies,
             // Event-Chapter mapping handlers
             'map_event_to_chapter': this.handleMapEventToChapter,
             'get_event_mappings': this.handleGetEventMappings,
             'get_chapter_events': this.handleGetChapterEvents,
             'update_event_mapping': this.handleUpdateEventMapping,
             'delete_event_mapping': this.handleDeleteEventMapping,
-            'analyze_narrative_structure': this.handleAnalyzeNarrativeStructure
+            'analyze_narrative_structure': this.handleAnalyzeNarrativeStructure,
+            // In-world calendar handlers
+            'define_series_calendar': this.handleDefineSeriesCalendar,
+            'get_series_calendar': this.handleGetSeriesCalendar,
+            'convert_calendar_time': this.handleConvertCalendarTime,
+            'set_world_time': this.handleSetWorldTime
         };
         return handlers[toolName] || null;
     }
@@ -80,6 +89,7 @@ class TimelineMCPServer extends BaseMCPServer {
         this.handleUpdateTimelineEvent = this.timelineEventHandlers.handleUpdateTimelineEvent.bind(this.timelineEventHandlers);
         this.handleDeleteTimelineEvent = this.timelineEventHandlers.handleDeleteTimelineEvent.bind(this.timelineEventHandlers);
         this.handleGetCharacterTimelineEvents = this.timelineEventHandlers.handleGetCharacterTimeline.bind(this.timelineEventHandlers);
+        this.handleFindTimelineInconsistencies = this.timelineEventHandlers.handleFindTimelineInconsistencies.bind(this.timelineEventHandlers);
         
         // Event-Chapter mapping handler methods
         this.handleMapEventToChapter = this.eventChapterMappingHandlers.handleMapEventToChapter.bind(this.eventChapterMappingHandlers);
@@ -88,6 +98,12 @@ class TimelineMCPServer extends BaseMCPServer {
         this.handleUpdateEventMapping = this.eventChapterMappingHandlers.handleUpdateEventMapping.bind(this.eventChapterMappingHandlers);
         this.handleDeleteEventMapping = this.eventChapterMappingHandlers.handleDeleteEventMapping.bind(this.eventChapterMappingHandlers);
         this.handleAnalyzeNarrativeStructure = this.eventChapterMappingHandlers.handleAnalyzeNarrativeStructure.bind(this.eventChapterMappingHandlers);
+        
+        // In-world calendar handler methods
+        this.handleDefineSeriesCalendar = this.calendarHandlers.handleDefineSeriesCalendar.bind(this.calendarHandlers);
+        this.handleGetSeriesCalendar = this.calendarHandlers.handleGetSeriesCalendar.bind(this.calendarHandlers);
+        this.handleConvertCalendarTime = this.calendarHandlers.handleConvertCalendarTime.bind(this.calendarHandlers);
+        this.handleSetWorldTime = this.calendarHandlers.handleSetWorldTime.bind(this.calendarHandlers);
     }
     
     /**
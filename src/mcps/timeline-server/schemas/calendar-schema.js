@@ -0,0 +1,97 @@
+// src/mcps/timeline-server/schemas/calendar-schema.js
+// Schema definitions for in-world calendar tools (series_calendars, migration 067)
+
+const WORLD_TIME = {
+    type: ['integer', 'string'],
+    description: 'Normalized world time (integer minutes) or calendar text, e.g. "3 Frostfall 1042 AR, 15:00" or "Day 4, 3pm" (needs anchor)'
+};
+
+export const calendarSchemas = [
+    {
+        name: 'define_series_calendar',
+        description: 'Create or replace the in-world calendar for a series: months, week, hours, eras, leap rule and epoch offset. Times already stored stay at the same normalized value; only how they are written changes.',
+        inputSchema: {
+            type: 'object',
+            required: ['series_id', 'calendar_name', 'months'],
+            properties: {
+                series_id: { type: 'integer', description: 'Series ID' },
+                calendar_name: { type: 'string', description: 'Name, e.g. "Imperial Reckoning"' },
+                months: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'days'],
+                        properties: {
+                            name: { type: 'string' },
+                            days: { type: 'integer', minimum: 1 }
+                        }
+                    },
+                    description: 'Months in order with their lengths in days'
+                },
+                weekdays: { type: 'array', items: { type: 'string' }, description: 'Day names of the week, in order (optional)' },
+                first_weekday: { type: 'integer', description: 'Index into weekdays of year 1, day 1 (default 0)' },
+                hours_per_day: { type: 'integer', description: 'Default 24' },
+                minutes_per_hour: { type: 'integer', description: 'Default 60' },
+                eras: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string' },
+                            abbreviation: { type: 'string' },
+                            start_year: { type: 'integer', description: 'Absolute year the era\'s year 1 falls in' },
+                            backward: { type: 'boolean', description: 'Counts down to the next era (like BC); start_year may be left open' }
+                        }
+                    },
+                    description: 'Eras; years without an era are absolute (year 1 = epoch)'
+                },
+                leap_year_every: { type: 'integer', description: 'Years divisible by this are leap years (optional)' },
+                leap_month: { type: 'integer', description: '1-based month that gains a day in leap years' },
+                epoch_offset: { type: 'integer', description: 'Normalized value of year 1, day 1, 00:00 (default 0)' },
+                notes: { type: 'string' }
+            }
+        }
+    },
+    {
+        name: 'get_series_calendar',
+        description: 'Get a series\' in-world calendar definition',
+        inputSchema: {
+            type: 'object',
+            required: ['series_id'],
+            properties: {
+                series_id: { type: 'integer', description: 'Series ID' }
+            }
+        }
+    },
+    {
+        name: 'convert_calendar_time',
+        description: 'Convert between calendar text and normalized world time for a series; with until, also the duration between the two',
+        inputSchema: {
+            type: 'object',
+            required: ['series_id', 'value'],
+            properties: {
+                series_id: { type: 'integer', description: 'Series ID' },
+                value: WORLD_TIME,
+                until: { ...WORLD_TIME, description: 'Second time to measure the duration to (optional)' },
+                anchor: { ...WORLD_TIME, description: 'Day 1 for relative "Day N" text' }
+            }
+        }
+    },
+    {
+        name: 'set_world_time',
+        description: 'Set the normalized in-world start/end of a timeline event or chapter from calendar text or world time. For a chapter, from_story_time reads its story_time_start/story_time_end text.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                event_id: { type: 'integer', description: 'Timeline event ID (or chapter_id)' },
+                chapter_id: { type: 'integer', description: 'Chapter ID (or event_id)' },
+                start: { ...WORLD_TIME, type: ['integer', 'string', 'null'], description: 'Start; null clears start and end' },
+                end: { ...WORLD_TIME, type: ['integer', 'string', 'null'], description: 'End (omit or null for an instant)' },
+                duration_minutes: { type: 'integer', description: 'End as start + this many minutes (instead of end)' },
+                from_story_time: { type: 'boolean', description: 'Chapters only: parse story_time_start/story_time_end' },
+                anchor: { ...WORLD_TIME, description: 'Day 1 for relative "Day N" text' }
+            }
+        }
+    }
+];
@@ -1,6 +1,98 @@
 // src/mcps/workflow-manager-server/handlers/active-workflow-handlers.js
 // Active Workflow Registry Management Handlers (Migration 032 - FictionLab schema)
 
+import { deriveAvailableNodes, validateGraph, computeNextNodes } from './graph-validation.js';
+import { loadWorkflowVersion } from './version-snapshots.js';
+
+// get_active_workflow walks child runs at most this deep (matches the
+// nesting cap in subworkflow-handlers.js).
+const CHILD_RUN_DEPTH = 10;
+
+/**
+ * Nest flat descendant rows (each with parent_workflow_id) under rootId as
+ * { ...row, child_runs: [...] }, oldest run first.
+ */
+function nestChildRuns(rows, rootId) {
+    const byParent = new Map();
+    for (const row of rows) {
+        if (!byParent.has(row.parent_workflow_id)) {
+            byParent.set(row.parent_workflow_id, []);
+        }
+        byParent.get(row.parent_workflow_id).push(row);
+    }
+    const build = (parentId) => (byParent.get(parentId) || []).map(row => ({
+        ...row,
+        child_runs: build(row.id)
+    }));
+    return build(rootId);
+}
+
+// migrate_active_workflow problems that force cannot override.
+const BLOCKING_PROBLEMS = ['target_graph_invalid', 'mapping_target_missing', 'sub_workflow_node_missing'];
+
+/**
+ * Map one active workflow onto a target graph. node_mapping renames old
+ * node ids (old -> new) or drops them (old -> null); ids not in the mapping
+ * keep their name. Returns the new node state and any problems: completed
+ * or current nodes that resolve to nothing in the target, and live
+ * sub-workflow runs launched from such a node.
+ */
+function planMigration(instance, graph, nodeMapping, liveRuns) {
+    const availableNodes = deriveAvailableNodes(graph);
+    const names = new Map(availableNodes.map(n => [String(n.id), n.name]));
+    const resolve = (id) => (Object.prototype.hasOwnProperty.call(nodeMapping, id) ? nodeMapping[id] : id);
+    const problems = [];
+    const dropped = [];
+    const completed = [];
+
+    for (const id of Array.isArray(instance.completed_node_ids) ? instance.completed_node_ids : []) {
+        const mapped = resolve(String(id));
+        if (mapped === null) {
+            dropped.push(String(id));
+        } else if (!names.has(String(mapped))) {
+            problems.push({ code: 'completed_node_missing', node_id: String(id), message: `Completed node ${id} is not in the target graph and has no mapping` });
+        } else if (!completed.includes(String(mapped))) {
+            completed.push(String(mapped));
+        }
+    }
+
+    let currentNodeId = instance.current_node_id || null;
+    if (currentNodeId) {
+        const mapped = resolve(currentNodeId);
+        if (mapped !== null && !names.has(String(mapped))) {
+            problems.push({ code: 'current_node_missing', node_id: currentNodeId, message: `Current node ${currentNodeId} is not in the target graph and has no mapping` });
+        }
+        currentNodeId = mapped !== null && names.has(String(mapped)) ? String(mapped) : null;
+    }
+
+    const renamedRuns = [];
+    for (const run of liveRuns) {
+        const mapped = resolve(run.parent_node_id);
+        if (mapped === null || !names.has(String(mapped))) {
+            problems.push({
+                code: 'sub_workflow_node_missing',
+                node_id: run.parent_node_id,
+                message: `Sub-workflow execution ${run.id} is in progress on node ${run.parent_node_id}, which is not in the target graph`
+            });
+        } else if (String(mapped) !== run.parent_node_id) {
+            renamedRuns.push({ id: run.id, parent_node_id: String(mapped) });
+        }
+    }
+
+    const totalNodes = availableNodes.length;
+    return {
+        problems,
+        dropped,
+        completed,
+        currentNodeId,
+        currentNodeName: currentNodeId ? names.get(currentNodeId) : null,
+        renamedRuns,
+        availableNodes,
+        totalNodes,
+        progressPercent: Math.min(100, Math.round(completed.length * 100 / Math.max(totalNodes, 1)))
+    };
+}
+
 export class ActiveWorkflowHandlers {
     constructor(db) {
         this.db = db;
@@ -96,32 +188,29 @@ export class ActiveWorkflowHandlers {
             throw new Error(`Invalid source: ${source}. Must be one of: ${validSources.join(', ')}`);
         }
 
-        // Get workflow name, total_nodes, and available_nodes from definition if not provided
+        // available_nodes and total_nodes come from the definition graph when
+        // there is one; the caller's values are only a fallback for workflows
+        // without a stored graph.
         let resolvedWorkflowName = workflow_name;
         let resolvedTotalNodes = total_nodes;
         let resolvedAvailableNodes = available_nodes || [];
+        let definitionVersion = null;
 
-        if (!resolvedWorkflowName || resolvedTotalNodes === 0 || resolvedAvailableNodes.length === 0) {
-            const defResult = await this.db.query(
-                `SELECT name, graph_json FROM fictionlab.workflow_definitions WHERE workflow_id = $1 LIMIT 1`,
-                [workflow_id]
-            );
+        const defResult = await this.db.query(
+            `SELECT name, version, graph_json FROM fictionlab.workflow_definitions WHERE workflow_id = $1 LIMIT 1`,
+            [workflow_id]
+        );
 
-            if (defResult.rows.length > 0) {
-                const graphNodes = defResult.rows[0].graph_json?.nodes || [];
+        if (defResult.rows.length > 0) {
+            definitionVersion = defResult.rows[0].version;
+            const derivedNodes = deriveAvailableNodes(defResult.rows[0].graph_json);
 
-                if (!resolvedWorkflowName) {
-                    resolvedWorkflowName = defResult.rows[0].name;
-                }
-                if (resolvedTotalNodes === 0) {
-                    resolvedTotalNodes = graphNodes.length;
-                }
-                if (resolvedAvailableNodes.length === 0 && graphNodes.length > 0) {
-                    resolvedAvailableNodes = graphNodes.map(n => ({
-                        id: n.id,
-                        name: n.name || n.data?.name || n.id
-                    }));
-                }
+            if (!resolvedWorkflowName) {
+                resolvedWorkflowName = defResult.rows[0].name;
+            }
+            if (derivedNodes.length > 0) {
+                resolvedTotalNodes = derivedNodes.length;
+                resolvedAvailableNodes = derivedNodes;
             }
         }
 
@@ -136,10 +225,11 @@ export class ActiveWorkflowHandlers {
                 available_nodes,
                 parent_workflow_id,
                 metadata,
+                definition_version,
                 status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'running')
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'running')
             RETURNING id, started_at`,
-            [workflow_id, resolvedWorkflowName, source, project_folder, project_name, resolvedTotalNodes, JSON.stringify(resolvedAvailableNodes), parent_workflow_id || null, metadata]
+            [workflow_id, resolvedWorkflowName, source, project_folder, project_name, resolvedTotalNodes, JSON.stringify(resolvedAvailableNodes), parent_workflow_id || null, metadata, definitionVersion]
         );
 
         return {
@@ -149,6 +239,7 @@ export class ActiveWorkflowHandlers {
             source,
             total_nodes: resolvedTotalNodes,
             available_nodes: resolvedAvailableNodes,
+            definition_version: definitionVersion,
             parent_workflow_id: parent_workflow_id || null,
             started_at: result.rows[0].started_at,
             message: `Workflow registered successfully from ${source}`
@@ -440,7 +531,10 @@ export class ActiveWorkflowHandlers {
     }
 
     /**
-     * Get a single active workflow by ID with full details
+     * Get a single active workflow by ID with full details, including its
+     * context and the tree of child runs (sub-workflows registered with
+     * parent_workflow_id, each with its sub_workflow_executions row when it
+     * was started through start_sub_workflow).
      */
     async handleGetActiveWorkflow(args) {
         const { registry_id } = args;
@@ -467,6 +561,7 @@ export class ActiveWorkflowHandlers {
                 awr.metadata,
                 awr.breadcrumb,
                 awr.parent_workflow_id,
+                awr.context,
                 wd.graph_json,
                 COALESCE(
                     (SELECT jsonb_agg(jsonb_build_object('id', n->>'id', 'name', COALESCE(n->'data'->>'name', n->>'id')))
@@ -483,7 +578,46 @@ export class ActiveWorkflowHandlers {
             throw new Error(`Workflow ${registry_id} not found`);
         }
 
-        return result.rows[0];
+        const descendants = await this.db.query(
+            `WITH RECURSIVE tree(id, depth) AS (
+                SELECT id, 1 FROM fictionlab.active_workflows WHERE parent_workflow_id = $1
+                UNION ALL
+                SELECT aw.id, tree.depth + 1
+                FROM fictionlab.active_workflows aw
+                JOIN tree ON aw.parent_workflow_id = tree.id
+                WHERE tree.depth < $2
+            )
+            SELECT
+                aw.id,
+                aw.parent_workflow_id,
+                aw.workflow_id,
+                COALESCE(aw.workflow_name, wd.name) as workflow_name,
+                aw.status,
+                aw.current_node_id,
+                aw.current_node_name,
+                aw.progress_percent,
+                aw.total_nodes,
+                aw.completed_nodes,
+                aw.started_at,
+                aw.completed_at,
+                aw.error_message,
+                swe.id as sub_workflow_execution_id,
+                swe.parent_node_id,
+                swe.status as execution_status,
+                swe.output_json,
+                swe.error as execution_error
+            FROM tree
+            JOIN fictionlab.active_workflows aw ON aw.id = tree.id
+            LEFT JOIN fictionlab.workflow_definitions wd ON aw.workflow_id = wd.workflow_id
+            LEFT JOIN fictionlab.sub_workflow_executions swe ON swe.child_instance_id = aw.id
+            ORDER BY aw.started_at`,
+            [registry_id, CHILD_RUN_DEPTH]
+        );
+
+        return {
+            ...result.rows[0],
+            child_runs: nestChildRuns(descendants.rows, registry_id)
+        };
     }
 
     /**
@@ -604,4 +738,169 @@ export class ActiveWorkflowHandlers {
             message: `Node ${node_id} marked as completed`
         };
     }
+
+    /**
+     * Map running/paused instances onto another definition version (default:
+     * the current definition) using node_mapping for renamed or removed
+     * nodes. Recomputes completed_node_ids, total_nodes, progress_percent,
+     * available_nodes and the current node, and records the move in
+     * definition_version and metadata.last_migration.
+     *
+     * An instance is flagged, and left alone, when a completed or current
+     * node resolves to nothing in the target; force migrates it anyway,
+     * dropping those ids. Nothing is migrated onto a target graph with
+     * structural errors, through a mapping that names a node the target does
+     * not have, or away from a node that has a sub-workflow in progress.
+     * Pass workflow_id instead of registry_id to do every running or paused
+     * instance of that workflow (with dry_run, just to see which are safe).
+     */
+    async handleMigrateActiveWorkflow(args) {
+        const {
+            registry_id,
+            workflow_id,
+            target_version,
+            node_mapping = {},
+            force = false,
+            dry_run = false
+        } = args || {};
+
+        if (Boolean(registry_id) === Boolean(workflow_id)) {
+            throw new Error('Provide exactly one of registry_id or workflow_id');
+        }
+        if (node_mapping === null || typeof node_mapping !== 'object' || Array.isArray(node_mapping)) {
+            throw new Error('node_mapping must be an object of old node id -> new node id (or null to drop)');
+        }
+        for (const [from, to] of Object.entries(node_mapping)) {
+            if (to !== null && typeof to !== 'string') {
+                throw new Error(`node_mapping.${from} must be a node id or null`);
+            }
+        }
+
+        return this.db.transaction(async (client) => {
+            const instanceResult = await client.query(
+                `SELECT id, workflow_id, workflow_name, status, definition_version,
+                        completed_node_ids, current_node_id, context
+                FROM fictionlab.active_workflows
+                WHERE ${registry_id ? 'id = $1' : `workflow_id = $1 AND status IN ('running', 'paused')`}
+                ORDER BY started_at
+                FOR UPDATE`,
+                [registry_id || workflow_id]
+            );
+
+            if (registry_id) {
+                if (instanceResult.rows.length === 0) {
+                    throw new Error(`Active workflow ${registry_id} not found`);
+                }
+                const { status } = instanceResult.rows[0];
+                if (!['running', 'paused'].includes(status)) {
+                    throw new Error(`Active workflow ${registry_id} is ${status}; only running or paused workflows can be migrated`);
+                }
+            }
+
+            const resolvedWorkflowId = workflow_id || instanceResult.rows[0].workflow_id;
+            const target = await loadWorkflowVersion(client, resolvedWorkflowId, target_version);
+            const targetIds = new Set(deriveAvailableNodes(target.graph).map(n => String(n.id)));
+
+            const globalProblems = [];
+            const targetValidation = validateGraph(target.graph);
+            if (!targetValidation.valid) {
+                globalProblems.push({
+                    code: 'target_graph_invalid',
+                    message: `Version ${target.version} has graph errors: ${targetValidation.errors.map(e => e.message).join('; ')}`
+                });
+            }
+            for (const [from, to] of Object.entries(node_mapping)) {
+                if (to !== null && !targetIds.has(to)) {
+                    globalProblems.push({ code: 'mapping_target_missing', node_id: from, message: `node_mapping sends ${from} to ${to}, which is not in version ${target.version}` });
+                }
+            }
+
+            const ids = instanceResult.rows.map(row => row.id);
+            const liveRuns = ids.length > 0
+                ? (await client.query(
+                    `SELECT id, parent_instance_id, parent_node_id FROM fictionlab.sub_workflow_executions
+                    WHERE parent_instance_id = ANY($1) AND status = 'in_progress'`,
+                    [ids]
+                )).rows
+                : [];
+
+            const instances = [];
+            for (const instance of instanceResult.rows) {
+                const plan = planMigration(instance, target.graph, node_mapping, liveRuns.filter(run => run.parent_instance_id === instance.id));
+                const problems = [...globalProblems, ...plan.problems];
+                const blocked = problems.some(p => BLOCKING_PROBLEMS.includes(p.code));
+                const migrate = !dry_run && !blocked && (problems.length === 0 || force);
+
+                if (migrate) {
+                    await client.query(
+                        `UPDATE fictionlab.active_workflows
+                        SET completed_node_ids = $2,
+                            completed_nodes = $3,
+                            total_nodes = $4,
+                            progress_percent = $5,
+                            available_nodes = $6,
+                            current_node_id = $7,
+                            current_node_name = $8,
+                            definition_version = $9,
+                            metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('last_migration', $10::jsonb)
+                        WHERE id = $1`,
+                        [
+                            instance.id,
+                            JSON.stringify(plan.completed),
+                            plan.completed.length,
+                            plan.totalNodes,
+                            plan.progressPercent,
+                            JSON.stringify(plan.availableNodes),
+                            plan.currentNodeId,
+                            plan.currentNodeName,
+                            target.version,
+                            JSON.stringify({
+                                from_version: instance.definition_version || null,
+                                to_version: target.version,
+                                node_mapping,
+                                dropped_node_ids: plan.dropped,
+                                forced: problems.length > 0,
+                                migrated_at: new Date().toISOString()
+                            })
+                        ]
+                    );
+                    for (const run of plan.renamedRuns) {
+                        await client.query(
+                            `UPDATE fictionlab.sub_workflow_executions SET parent_node_id = $2 WHERE id = $1`,
+                            [run.id, run.parent_node_id]
+                        );
+                    }
+                }
+
+                instances.push({
+                    registry_id: instance.id,
+                    workflow_name: instance.workflow_name,
+                    from_version: instance.definition_version || null,
+                    to_version: target.version,
+                    safe: problems.length === 0,
+                    migrated: migrate,
+                    problems,
+                    dropped_node_ids: plan.dropped,
+                    completed_node_ids: plan.completed,
+                    current_node_id: plan.currentNodeId,
+                    total_nodes: plan.totalNodes,
+                    progress_percent: plan.progressPercent,
+                    runnable: computeNextNodes(target.graph, plan.completed, instance.context || {}).runnable
+                });
+            }
+
+            const migrated = instances.filter(i => i.migrated).length;
+            return {
+                workflow_id: resolvedWorkflowId,
+                target_version: target.version,
+                dry_run,
+                migrated,
+                flagged: instances.filter(i => !i.safe).length,
+                instances,
+                message: dry_run
+                    ? `Dry run: ${instances.filter(i => i.safe).length} of ${instances.length} instance(s) can be migrated safely to ${target.version}`
+                    : `${migrated} of ${instances.length} instance(s) migrated to ${target.version}`
+            };
+        });
+    }
 }
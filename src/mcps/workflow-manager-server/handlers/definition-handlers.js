@@ -1,6 +1,12 @@
 // src/mcps/workflow-manager-server/handlers/definition-handlers.js
 // Workflow Definition Management Handlers - Graph-based workflow system (Migration 032 - FictionLab schema)
 
+import { diffGraphs, mergeGraphs } from './graph-diff.js';
+import { validateGraph, newErrors } from './graph-validation.js';
+import { loadWorkflowVersion, withGraph } from './version-snapshots.js';
+
+const CONFLICT_STRATEGIES = ['fail', 'upstream', 'local'];
+
 export class DefinitionHandlers {
     constructor(db) {
         this.db = db;
@@ -267,6 +273,127 @@ export class DefinitionHandlers {
         return result.rows;
     }
 
+    /**
+     * What changed between two versions: added, removed and modified nodes
+     * and edges (matched by id), with field-level changes for the modified
+     * ones. to_version defaults to the current definition.
+     */
+    async handleDiffWorkflowVersions(args) {
+        const { workflow_id, from_version, to_version } = args || {};
+
+        if (!workflow_id || !from_version) {
+            throw new Error('workflow_id and from_version are required');
+        }
+
+        const from = await loadWorkflowVersion(this.db, workflow_id, from_version);
+        const to = await loadWorkflowVersion(this.db, workflow_id, to_version);
+
+        return {
+            workflow_id,
+            from_version: from.version,
+            to_version: to.version,
+            ...diffGraphs(from.graph, to.graph)
+        };
+    }
+
+    /**
+     * Three-way merge: carry local's changes since base (e.g. node positions
+     * from update_workflow_positions) onto upstream (e.g. a newer
+     * marketplace version) and record the result as new_version in
+     * workflow_versions, with parent_version = upstream_version.
+     * local_version defaults to the current definition.
+     *
+     * Conflicts (both sides changed the same field differently, or one side
+     * removed what the other changed) are reported; with on_conflict 'fail'
+     * (the default) nothing is written, 'upstream' or 'local' resolves them
+     * toward that side. A merge that would add graph errors upstream does
+     * not have (e.g. a local edge to a node upstream removed) is never
+     * written.
+     */
+    async handleMergeWorkflowVersions(args) {
+        const {
+            workflow_id,
+            base_version,
+            upstream_version,
+            local_version,
+            new_version,
+            on_conflict = 'fail',
+            changelog,
+            created_by,
+            dry_run = false
+        } = args || {};
+
+        if (!workflow_id || !base_version || !upstream_version) {
+            throw new Error('workflow_id, base_version and upstream_version are required');
+        }
+        if (!dry_run && !new_version) {
+            throw new Error('new_version is required unless dry_run is set');
+        }
+        if (!CONFLICT_STRATEGIES.includes(on_conflict)) {
+            throw new Error(`Invalid on_conflict: ${on_conflict}. Must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+        }
+
+        const base = await loadWorkflowVersion(this.db, workflow_id, base_version);
+        const upstream = await loadWorkflowVersion(this.db, workflow_id, upstream_version);
+        const local = await loadWorkflowVersion(this.db, workflow_id, local_version);
+
+        const { graph, conflicts } = mergeGraphs(base.graph, upstream.graph, local.graph, {
+            prefer: on_conflict === 'local' ? 'local' : 'upstream'
+        });
+        const validation = validateGraph(graph);
+        const graphErrors = newErrors(validateGraph(upstream.graph), validation);
+
+        const result = {
+            workflow_id,
+            base_version: base.version,
+            upstream_version: upstream.version,
+            local_version: local.version,
+            new_version: new_version || null,
+            conflicts,
+            graph_errors: graphErrors,
+            changes: diffGraphs(upstream.graph, graph).summary,
+            merged_graph: graph
+        };
+
+        if (conflicts.length > 0 && on_conflict === 'fail') {
+            return { ...result, written: false, message: `${conflicts.length} conflict(s); nothing written (pass on_conflict: 'upstream' or 'local' to resolve)` };
+        }
+        if (graphErrors.length > 0) {
+            return { ...result, written: false, message: `Merged graph would be invalid: ${graphErrors.map(e => e.message).join('; ')}` };
+        }
+        if (dry_run) {
+            return { ...result, written: false, message: 'Dry run: merge is clean, nothing written' };
+        }
+
+        const insert = await this.db.query(
+            `INSERT INTO fictionlab.workflow_versions (
+                workflow_id, version, definition_json, changelog, parent_version, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (workflow_id, version) DO NOTHING
+            RETURNING id, created_at`,
+            [
+                workflow_id,
+                new_version,
+                JSON.stringify(withGraph(upstream.definition, graph, new_version)),
+                changelog || `Merged ${local.version} onto ${upstream.version} (base ${base.version})`,
+                upstream.version,
+                created_by
+            ]
+        );
+        if (insert.rows.length === 0) {
+            throw new Error(`Workflow ${workflow_id} already has a version ${new_version}`);
+        }
+
+        return {
+            ...result,
+            written: true,
+            version_id: insert.rows[0].id,
+            created_at: insert.rows[0].created_at,
+            message: `Version ${new_version} created from a merge of ${local.version} onto ${upstream.version}` +
+                (conflicts.length > 0 ? ` (${conflicts.length} conflict(s) resolved toward ${on_conflict})` : '')
+        };
+    }
+
     // REMOVED: handleLockWorkflowVersion - version locking removed in migration 032
     // Workflows can now run independently across different project instances
 
@@ -0,0 +1,231 @@
+// src/mcps/workflow-manager-server/handlers/graph-diff.js
+// Semantic diff and three-way merge of workflow graph_json.
+//
+// Pure functions, no DB: definition-handlers.js loads the versions and uses
+// these for diff_workflow_versions and merge_workflow_versions.
+//
+// Nodes and edges are matched by id, not by array position, so reordering is
+// not a change. Within a node or edge, plain objects are compared key by key
+// down to their leaves (e.g. position.x, data.prompt); arrays and scalars are
+// compared whole. The merge works on those same leaves, so an upstream
+// change to data.prompt and a local move (position.x/y) of the same node
+// combine without a conflict.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Flatten plain objects to a Map of JSON-encoded key path -> leaf value.
+ */
+function flatten(value, path = [], leaves = new Map()) {
+    if (isPlainObject(value) && (path.length === 0 || Object.keys(value).length > 0)) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, [...path, key], leaves);
+        }
+    } else {
+        leaves.set(JSON.stringify(path), value);
+    }
+    return leaves;
+}
+
+function unflatten(leaves) {
+    const result = {};
+    for (const [encoded, value] of leaves) {
+        const path = JSON.parse(encoded);
+        let target = result;
+        for (const key of path.slice(0, -1)) {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            target = target[key];
+        }
+        target[path[path.length - 1]] = value;
+    }
+    return result;
+}
+
+const displayPath = (encoded) => JSON.parse(encoded).join('.');
+
+/**
+ * Leaf-level changes between two versions of one node or edge.
+ */
+function fieldChanges(before, after) {
+    const from = flatten(before);
+    const to = flatten(after);
+    const changes = [];
+    for (const key of new Set([...from.keys(), ...to.keys()])) {
+        if (!sameValue(from.get(key), to.get(key))) {
+            changes.push({ field: displayPath(key), from: from.get(key), to: to.get(key) });
+        }
+    }
+    return changes;
+}
+
+function indexById(items) {
+    return new Map((Array.isArray(items) ? items : []).map(item => [String(item.id), item]));
+}
+
+function diffCollection(before, after) {
+    const from = indexById(before);
+    const to = indexById(after);
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    for (const [id, item] of to) {
+        if (!from.has(id)) {
+            added.push(item);
+        } else {
+            const changes = fieldChanges(from.get(id), item);
+            if (changes.length > 0) {
+                modified.push({ id, changes });
+            }
+        }
+    }
+    for (const [id, item] of from) {
+        if (!to.has(id)) {
+            removed.push(item);
+        }
+    }
+    return { added, removed, modified };
+}
+
+function graphSettings(graph) {
+    const { nodes, edges, ...rest } = graph || {};
+    return rest;
+}
+
+/**
+ * Added, removed and modified nodes and edges between two graphs, plus
+ * changes to any other top-level graph keys (viewport etc.). A node whose
+ * only changes are under position is a layout-only change.
+ */
+export function diffGraphs(before, after) {
+    const nodes = diffCollection(before?.nodes, after?.nodes);
+    const edges = diffCollection(before?.edges, after?.edges);
+    const settings = fieldChanges(graphSettings(before), graphSettings(after));
+
+    for (const entry of nodes.modified) {
+        entry.layout_only = entry.changes.every(c => c.field === 'position' || c.field.startsWith('position.'));
+    }
+
+    return {
+        nodes,
+        edges,
+        settings,
+        summary: {
+            nodes_added: nodes.added.length,
+            nodes_removed: nodes.removed.length,
+            nodes_modified: nodes.modified.length,
+            nodes_moved_only: nodes.modified.filter(m => m.layout_only).length,
+            edges_added: edges.added.length,
+            edges_removed: edges.removed.length,
+            edges_modified: edges.modified.length,
+            settings_changed: settings.length
+        },
+        identical: nodes.added.length + nodes.removed.length + nodes.modified.length +
+            edges.added.length + edges.removed.length + edges.modified.length + settings.length === 0
+    };
+}
+
+/**
+ * Three-way merge of one object's leaves. Returns the merged object and the
+ * leaves both sides changed differently; those take `prefer`'s value
+ * ('upstream' or 'local').
+ */
+function mergeFields(base, upstream, local, prefer) {
+    const b = flatten(base || {});
+    const u = flatten(upstream || {});
+    const l = flatten(local || {});
+    const merged = new Map();
+    const conflicts = [];
+
+    for (const key of new Set([...b.keys(), ...u.keys(), ...l.keys()])) {
+        const [bv, uv, lv] = [b.get(key), u.get(key), l.get(key)];
+        let value;
+        if (sameValue(uv, lv) || sameValue(lv, bv)) {
+            value = uv;
+        } else if (sameValue(uv, bv)) {
+            value = lv;
+        } else {
+            conflicts.push({ field: displayPath(key), base: bv, upstream: uv, local: lv });
+            value = prefer === 'local' ? lv : uv;
+        }
+        if (value !== undefined) {
+            merged.set(key, value);
+        }
+    }
+    return { merged: unflatten(merged), conflicts };
+}
+
+function mergeCollection(kind, base, upstream, local, prefer) {
+    const b = indexById(base);
+    const u = indexById(upstream);
+    const l = indexById(local);
+    const merged = new Map();
+    const conflicts = [];
+
+    // Upstream order first, then anything only local has, in local order.
+    const ids = [...new Set([...u.keys(), ...l.keys(), ...b.keys()])];
+    for (const id of ids) {
+        const inBase = b.has(id);
+        const inUpstream = u.has(id);
+        const inLocal = l.has(id);
+
+        if (inBase && (!inUpstream || !inLocal)) {
+            // Removed on at least one side.
+            const survivor = inUpstream ? u.get(id) : inLocal ? l.get(id) : null;
+            if (!survivor) continue;
+            const survivorSide = inUpstream ? 'upstream' : 'local';
+            if (sameValue(survivor, b.get(id))) continue;
+            conflicts.push({
+                kind,
+                id,
+                type: survivorSide === 'upstream' ? 'modified_upstream_removed_locally' : 'removed_upstream_modified_locally'
+            });
+            if (prefer === survivorSide) {
+                merged.set(id, survivor);
+            }
+            continue;
+        }
+
+        if (!inBase && inUpstream !== inLocal) {
+            merged.set(id, inUpstream ? u.get(id) : l.get(id));
+            continue;
+        }
+
+        // In all three, or added on both sides (merged against an empty base).
+        const result = mergeFields(inBase ? b.get(id) : {}, u.get(id), l.get(id), prefer);
+        for (const conflict of result.conflicts) {
+            conflicts.push({ kind, id, type: inBase ? 'both_modified' : 'both_added', ...conflict });
+        }
+        merged.set(id, result.merged);
+    }
+    return { items: [...merged.values()], conflicts };
+}
+
+/**
+ * Three-way merge: apply both upstream's and local's changes since base.
+ * Conflicts are listed; each one is resolved toward `prefer` ('upstream' by
+ * default, or 'local') in the returned graph, so the caller decides whether
+ * a merge with conflicts is kept.
+ */
+export function mergeGraphs(base, upstream, local, { prefer = 'upstream' } = {}) {
+    const nodes = mergeCollection('node', base?.nodes, upstream?.nodes, local?.nodes, prefer);
+    const edges = mergeCollection('edge', base?.edges, upstream?.edges, local?.edges, prefer);
+    const settings = mergeFields(graphSettings(base), graphSettings(upstream), graphSettings(local), prefer);
+
+    return {
+        graph: { ...settings.merged, nodes: nodes.items, edges: edges.items },
+        conflicts: [
+            ...nodes.conflicts,
+            ...edges.conflicts,
+            ...settings.conflicts.map(c => ({ kind: 'setting', type: 'both_modified', ...c }))
+        ]
+    };
+}
@@ -1,5 +1,28 @@
 // src/mcps/workflow-manager-server/handlers/graph-handlers.js
 // Graph-Based Workflow Operation Handlers - Node and edge manipulation (Migration 032 - FictionLab schema)
+//
+// Every mutation validates the graph before and after the change (see
+// graph-validation.js) and is refused if it introduces a new structural
+// error. Errors the graph already had do not block, so a broken graph can
+// be repaired one edit at a time.
+
+import { validateGraph, newErrors, computeNextNodes } from './graph-validation.js';
+
+/**
+ * Throw if `after` has errors that `before` did not; otherwise return the
+ * validation of `after` so the caller can report its warnings.
+ */
+function assertNoNewErrors(workflowId, before, graphJson) {
+    const after = validateGraph(graphJson);
+    const introduced = newErrors(before, after);
+    if (introduced.length > 0) {
+        throw new Error(
+            `Change refused: it would leave workflow ${workflowId} with ${introduced.length === 1 ? 'an invalid graph' : `${introduced.length} graph errors`}: ` +
+            introduced.map(e => e.message).join('; ')
+        );
+    }
+    return after;
+}
 
 export class GraphHandlers {
     constructor(db) {
@@ -24,6 +47,9 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Check if node already exists
         const existingNodeIndex = graphJson.nodes.findIndex(n => String(n.id) === String(node_id));
@@ -41,6 +67,8 @@ export class GraphHandlers {
         // Add node to graph
         graphJson.nodes.push(newNode);
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -54,6 +82,7 @@ export class GraphHandlers {
             workflow_id,
             node_id,
             message: `Node ${node_id} added to workflow ${workflow_id}`,
+            graph_warnings: validation.warnings,
             nodes_count: graphJson.nodes.length
         };
     }
@@ -76,6 +105,9 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Find and update the node
         const nodeIndex = graphJson.nodes.findIndex(n => String(n.id) === String(node_id));
@@ -89,6 +121,8 @@ export class GraphHandlers {
             ...updates
         };
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -101,7 +135,8 @@ export class GraphHandlers {
             success: true,
             workflow_id,
             node_id,
-            message: `Node ${node_id} updated in workflow ${workflow_id}`
+            message: `Node ${node_id} updated in workflow ${workflow_id}`,
+            graph_warnings: validation.warnings
         };
     }
 
@@ -123,6 +158,9 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Remove the node
         graphJson.nodes = graphJson.nodes.filter(n => String(n.id) !== String(node_id));
@@ -132,6 +170,8 @@ export class GraphHandlers {
             e => String(e.source) !== String(node_id) && String(e.target) !== String(node_id)
         );
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -145,6 +185,7 @@ export class GraphHandlers {
             workflow_id,
             node_id,
             message: `Node ${node_id} and connected edges deleted from workflow ${workflow_id}`,
+            graph_warnings: validation.warnings,
             nodes_count: graphJson.nodes.length,
             edges_count: graphJson.edges.length
         };
@@ -168,6 +209,9 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Verify source and target nodes exist
         const sourceExists = graphJson.nodes.some(n => String(n.id) === String(source_node_id));
@@ -196,6 +240,8 @@ export class GraphHandlers {
 
         graphJson.edges.push(newEdge);
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -209,6 +255,7 @@ export class GraphHandlers {
             workflow_id,
             edge_id,
             message: `Edge ${edge_id} created in workflow ${workflow_id}`,
+            graph_warnings: validation.warnings,
             edges_count: graphJson.edges.length
         };
     }
@@ -231,6 +278,9 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Find and update the edge
         const edgeIndex = graphJson.edges.findIndex(e => e.id === edge_id);
@@ -244,6 +294,8 @@ export class GraphHandlers {
             ...updates
         };
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -256,7 +308,8 @@ export class GraphHandlers {
             success: true,
             workflow_id,
             edge_id,
-            message: `Edge ${edge_id} updated in workflow ${workflow_id}`
+            message: `Edge ${edge_id} updated in workflow ${workflow_id}`,
+            graph_warnings: validation.warnings
         };
     }
 
@@ -278,10 +331,15 @@ export class GraphHandlers {
 
         const workflow = workflowResult.rows[0];
         const graphJson = workflow.graph_json || { nodes: [], edges: [] };
+        graphJson.nodes = graphJson.nodes || [];
+        graphJson.edges = graphJson.edges || [];
+        const before = validateGraph(graphJson);
 
         // Remove the edge
         graphJson.edges = graphJson.edges.filter(e => e.id !== edge_id);
 
+        const validation = assertNoNewErrors(workflow_id, before, graphJson);
+
         // Update the workflow definition
         await this.db.query(
             `UPDATE fictionlab.workflow_definitions
@@ -295,7 +353,98 @@ export class GraphHandlers {
             workflow_id,
             edge_id,
             message: `Edge ${edge_id} deleted from workflow ${workflow_id}`,
+            graph_warnings: validation.warnings,
             edges_count: graphJson.edges.length
         };
     }
+
+    /**
+     * Validate a workflow's latest graph (workflow_id) or an unsaved
+     * graph_json. Reports errors, warnings, start and end nodes.
+     */
+    async handleValidateWorkflowGraph(args) {
+        const { workflow_id, graph_json } = args || {};
+
+        if (graph_json) {
+            return { workflow_id: workflow_id || null, ...validateGraph(graph_json) };
+        }
+        if (!workflow_id) {
+            throw new Error('Either workflow_id or graph_json must be provided');
+        }
+
+        const workflowResult = await this.db.query(
+            `SELECT workflow_id, version, graph_json FROM fictionlab.workflow_definitions
+            WHERE workflow_id = $1
+            ORDER BY created_at DESC
+            LIMIT 1`,
+            [workflow_id]
+        );
+
+        if (workflowResult.rows.length === 0) {
+            throw new Error(`Workflow definition ${workflow_id} not found`);
+        }
+
+        const workflow = workflowResult.rows[0];
+        return {
+            workflow_id,
+            version: workflow.version,
+            ...validateGraph(workflow.graph_json || { nodes: [], edges: [] })
+        };
+    }
+
+    /**
+     * Compute the runnable nodes of a workflow. With registry_id the active
+     * workflow's completed_node_ids and context are used; otherwise the
+     * caller passes workflow_id, completed_node_ids and context.
+     */
+    async handleGetNextNodes(args) {
+        const { registry_id, workflow_id, completed_node_ids = [], context = {} } = args || {};
+
+        let graph;
+        let completed = completed_node_ids;
+        let runContext = context;
+        let resolvedWorkflowId = workflow_id;
+
+        if (registry_id) {
+            const result = await this.db.query(
+                `SELECT awr.workflow_id, awr.completed_node_ids, awr.context, wd.graph_json
+                FROM fictionlab.active_workflows awr
+                LEFT JOIN fictionlab.workflow_definitions wd ON awr.workflow_id = wd.workflow_id
+                WHERE awr.id = $1`,
+                [registry_id]
+            );
+            if (result.rows.length === 0) {
+                throw new Error(`Active workflow ${registry_id} not found`);
+            }
+            const row = result.rows[0];
+            if (!row.graph_json) {
+                throw new Error(`Workflow definition ${row.workflow_id} not found`);
+            }
+            graph = row.graph_json;
+            completed = row.completed_node_ids || [];
+            runContext = row.context || {};
+            resolvedWorkflowId = row.workflow_id;
+        } else if (workflow_id) {
+            const workflowResult = await this.db.query(
+                `SELECT workflow_id, version, graph_json FROM fictionlab.workflow_definitions
+                WHERE workflow_id = $1
+                ORDER BY created_at DESC
+                LIMIT 1`,
+                [workflow_id]
+            );
+            if (workflowResult.rows.length === 0) {
+                throw new Error(`Workflow definition ${workflow_id} not found`);
+            }
+            graph = workflowResult.rows[0].graph_json || { nodes: [], edges: [] };
+        } else {
+            throw new Error('Either registry_id or workflow_id must be provided');
+        }
+
+        return {
+            registry_id: registry_id || null,
+            workflow_id: resolvedWorkflowId,
+            completed_node_ids: completed,
+            ...computeNextNodes(graph, completed, runContext)
+        };
+    }
 }
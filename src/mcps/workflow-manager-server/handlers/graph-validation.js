@@ -0,0 +1,400 @@
+// src/mcps/workflow-manager-server/handlers/graph-validation.js
+// Structural checks and next-node computation for workflow graph_json.
+//
+// Pure functions, no DB: graph-handlers.js runs validateGraph before and
+// after every node/edge mutation, get_next_nodes uses computeNextNodes, and
+// register_active_workflow / start_sub_workflow use deriveAvailableNodes.
+//
+// Start nodes are nodes with no incoming edge other than a loop-back edge.
+// End nodes are nodes whose only outgoing edges (if any) are conditional back
+// edges -- a back edge being a loop-back edge or one that closes a cycle when
+// walking from the start nodes -- so the run can stop there. A cycle is a
+// valid loop only if one of its edges is a loop-back edge or carries a
+// condition; otherwise nothing can ever leave it.
+//
+// Edge conditions use the syntax documented on fictionlab.evaluate_edge_condition
+// (migration 032): `$.path op literal` with op one of == != >= <= > <, a
+// literal number, true, false, null or a quoted string; or a bare `$.flag`
+// / `!$.flag` truth test. Paths are dotted keys into the run context.
+
+const CONDITION_PATTERN = /^\s*(!?)\s*\$\.([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*$/;
+
+function nodeName(node) {
+    return node.name || node.data?.name || node.id;
+}
+
+function isLoopBack(edge) {
+    return edge.type === 'loop-back';
+}
+
+function hasCondition(edge) {
+    return typeof edge.condition === 'string' && edge.condition.trim() !== '';
+}
+
+function parseLiteral(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    if (quoted) return quoted[2];
+    throw new Error(`Unsupported literal "${text}" (use a number, true, false, null or a quoted string)`);
+}
+
+/**
+ * Parse an edge condition into { path, op, value, negate }. Throws on
+ * anything outside the supported syntax.
+ */
+export function parseCondition(condition) {
+    const match = String(condition).match(CONDITION_PATTERN);
+    if (!match) {
+        throw new Error(`Cannot parse condition "${condition}" (expected e.g. "$.score >= 70" or "$.approved")`);
+    }
+    const [, bang, path, op, literal] = match;
+    if (bang && op) {
+        throw new Error(`Cannot parse condition "${condition}" (! applies only to a bare $.flag)`);
+    }
+    return {
+        path: path.split('.'),
+        op: op || null,
+        value: op ? parseLiteral(literal.trim()) : undefined,
+        negate: Boolean(bang)
+    };
+}
+
+/**
+ * Evaluate an edge condition against a run context. A missing or empty
+ * condition is true. A path missing from the context makes every
+ * comparison false except !=. Ordering operators compare numbers only.
+ */
+export function evaluateEdgeCondition(condition, context = {}) {
+    if (condition === undefined || condition === null || String(condition).trim() === '') {
+        return true;
+    }
+    const { path, op, value, negate } = parseCondition(condition);
+
+    let current = context;
+    for (const key of path) {
+        current = current !== null && typeof current === 'object' ? current[key] : undefined;
+    }
+
+    if (!op) {
+        return negate ? !current : Boolean(current);
+    }
+    if (current === undefined) {
+        return op === '!=';
+    }
+    switch (op) {
+        case '==': return current === value;
+        case '!=': return current !== value;
+    }
+    if (typeof current !== 'number' || typeof value !== 'number') {
+        return false;
+    }
+    switch (op) {
+        case '>=': return current >= value;
+        case '<=': return current <= value;
+        case '>': return current > value;
+        default: return current < value;
+    }
+}
+
+/**
+ * Shared structure for validateGraph and computeNextNodes: node ids, the
+ * edges whose endpoints both exist, start nodes, and the back edges
+ * (loop-back edges plus those found by depth-first search from the start
+ * nodes).
+ */
+function analyzeGraph(graph) {
+    const nodes = Array.isArray(graph?.nodes) ? graph.nodes : [];
+    const edges = Array.isArray(graph?.edges) ? graph.edges : [];
+    const nodeIds = nodes.map(n => String(n.id));
+    const nodeSet = new Set(nodeIds);
+
+    const liveEdges = edges.filter(e => nodeSet.has(String(e.source)) && nodeSet.has(String(e.target)));
+    const outgoing = new Map(nodeIds.map(id => [id, []]));
+    const incoming = new Map(nodeIds.map(id => [id, []]));
+    for (const edge of liveEdges) {
+        outgoing.get(String(edge.source)).push(edge);
+        incoming.get(String(edge.target)).push(edge);
+    }
+
+    const startNodes = nodeIds.filter(id => incoming.get(id).every(isLoopBack));
+
+    // Edges into a node that is still on the DFS stack close a cycle.
+    const backEdges = new Set(liveEdges.filter(isLoopBack));
+    const state = new Map();
+    const visit = (id) => {
+        state.set(id, 'active');
+        for (const edge of outgoing.get(id)) {
+            const target = String(edge.target);
+            if (state.get(target) === 'active') {
+                backEdges.add(edge);
+            } else if (!state.has(target)) {
+                visit(target);
+            }
+        }
+        state.set(id, 'done');
+    };
+    for (const id of startNodes) {
+        if (!state.has(id)) visit(id);
+    }
+
+    return { nodes, edges, nodeIds, liveEdges, outgoing, incoming, startNodes, backEdges, reached: new Set(state.keys()) };
+}
+
+/**
+ * Strongly connected components with more than one node, or with a
+ * self-edge (Tarjan).
+ */
+function findCycles(nodeIds, outgoing) {
+    let index = 0;
+    const indices = new Map();
+    const lowlink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+
+    const connect = (id) => {
+        indices.set(id, index);
+        lowlink.set(id, index);
+        index++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const edge of outgoing.get(id)) {
+            const target = String(edge.target);
+            if (!indices.has(target)) {
+                connect(target);
+                lowlink.set(id, Math.min(lowlink.get(id), lowlink.get(target)));
+            } else if (onStack.has(target)) {
+                lowlink.set(id, Math.min(lowlink.get(id), indices.get(target)));
+            }
+        }
+
+        if (lowlink.get(id) === indices.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            const selfLoop = outgoing.get(id).some(e => String(e.target) === id);
+            if (component.length > 1 || selfLoop) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    for (const id of nodeIds) {
+        if (!indices.has(id)) connect(id);
+    }
+    return cycles;
+}
+
+/**
+ * Check a graph_json for structural problems.
+ *
+ * errors (the graph cannot run as drawn): duplicate_node_id,
+ * duplicate_edge_id, dangling_edge, invalid_condition, no_start_node,
+ * no_end_node, unconditional_cycle.
+ * warnings: orphan_node (no edges at all), unreachable_node (not reachable
+ * from any start node), loop (a cycle with a loop-back or conditional edge).
+ *
+ * Each finding is { code, message, node_id?, edge_id?, node_ids? }.
+ */
+export function validateGraph(graph) {
+    const errors = [];
+    const warnings = [];
+    const analysis = analyzeGraph(graph);
+    const { nodes, edges, nodeIds, liveEdges, outgoing, incoming, startNodes, backEdges, reached } = analysis;
+    const nodeSet = new Set(nodeIds);
+
+    const seenNodes = new Set();
+    for (const id of nodeIds) {
+        if (seenNodes.has(id)) {
+            errors.push({ code: 'duplicate_node_id', node_id: id, message: `Node id ${id} is used more than once` });
+        }
+        seenNodes.add(id);
+    }
+
+    const seenEdges = new Set();
+    for (const edge of edges) {
+        const edgeId = String(edge.id);
+        if (seenEdges.has(edgeId)) {
+            errors.push({ code: 'duplicate_edge_id', edge_id: edgeId, message: `Edge id ${edgeId} is used more than once` });
+        }
+        seenEdges.add(edgeId);
+
+        const missing = [edge.source, edge.target].map(String).filter(id => !nodeSet.has(id));
+        if (missing.length > 0) {
+            errors.push({
+                code: 'dangling_edge',
+                edge_id: edgeId,
+                message: `Edge ${edgeId} (${edge.source} -> ${edge.target}) points at missing node ${[...new Set(missing)].join(', ')}`
+            });
+        }
+
+        if (hasCondition(edge)) {
+            try {
+                parseCondition(edge.condition);
+            } catch (error) {
+                errors.push({ code: 'invalid_condition', edge_id: edgeId, message: `Edge ${edgeId}: ${error.message}` });
+            }
+        }
+    }
+
+    const endNodes = nodeIds.filter(id => outgoing.get(id).every(e => backEdges.has(e) && hasCondition(e)));
+    if (nodeIds.length > 0 && startNodes.length === 0) {
+        errors.push({ code: 'no_start_node', message: 'Every node has an incoming edge, so there is nowhere to start' });
+    }
+    if (nodeIds.length > 0 && endNodes.length === 0) {
+        errors.push({ code: 'no_end_node', message: 'Every node has an outgoing edge, so the workflow can never finish' });
+    }
+
+    for (const cycle of findCycles(nodeIds, outgoing)) {
+        const members = new Set(cycle);
+        const cycleEdges = liveEdges.filter(e => members.has(String(e.source)) && members.has(String(e.target)));
+        const path = cycle.join(' -> ');
+        if (cycleEdges.some(e => isLoopBack(e) || hasCondition(e))) {
+            warnings.push({ code: 'loop', node_ids: cycle, message: `Loop ${path} (exits through a loop-back or conditional edge)` });
+        } else {
+            errors.push({ code: 'unconditional_cycle', node_ids: cycle, message: `Cycle ${path} has no loop-back or conditional edge, so it can never be left` });
+        }
+    }
+
+    for (const id of nodeIds) {
+        if (nodeIds.length > 1 && incoming.get(id).length === 0 && outgoing.get(id).length === 0) {
+            warnings.push({ code: 'orphan_node', node_id: id, message: `Node ${id} has no edges` });
+        } else if (startNodes.length > 0 && !reached.has(id)) {
+            warnings.push({ code: 'unreachable_node', node_id: id, message: `Node ${id} cannot be reached from any start node` });
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        warnings,
+        start_nodes: startNodes,
+        end_nodes: endNodes,
+        nodes_count: nodes.length,
+        edges_count: edges.length
+    };
+}
+
+function findingKey(finding) {
+    return [finding.code, finding.node_id, finding.edge_id, finding.node_ids && [...finding.node_ids].sort().join(',')].join('|');
+}
+
+/**
+ * Errors present in `after` that were not already in `before`. Mutations
+ * are refused only for these, so a graph that was already broken can still
+ * be repaired one edit at a time.
+ */
+export function newErrors(before, after) {
+    const existing = new Set(before.errors.map(findingKey));
+    return after.errors.filter(error => !existing.has(findingKey(error)));
+}
+
+/**
+ * Which nodes can run next, given the ids completed so far and the run
+ * context the edge conditions are evaluated against.
+ *
+ * A start node is runnable until it is completed. Any other node needs at
+ * least one satisfied incoming edge (source completed, condition true); if
+ * some other incoming source has not completed but still could, the node
+ * is waiting on it instead (a join). A node whose every incoming edge is
+ * from a completed source with a false condition, or from a node that is
+ * itself skipped, is skipped. Back edges never hold a node back; a
+ * satisfied back edge into an already completed node is reported under
+ * reentry (the loop wants another pass). Conditions that do not parse are
+ * treated as false and listed in condition_errors.
+ */
+export function computeNextNodes(graph, completedIds = [], context = {}) {
+    const { nodes, nodeIds, incoming, startNodes, backEdges } = analyzeGraph(graph);
+    const completed = new Set((completedIds || []).map(String));
+    const names = new Map(nodes.map(n => [String(n.id), nodeName(n)]));
+    const startSet = new Set(startNodes);
+    const conditionErrors = [];
+
+    const conditionHolds = new Map();
+    const holds = (edge) => {
+        if (!conditionHolds.has(edge)) {
+            let value = false;
+            try {
+                value = evaluateEdgeCondition(edge.condition, context || {});
+            } catch (error) {
+                conditionErrors.push({ edge_id: String(edge.id), message: error.message });
+            }
+            conditionHolds.set(edge, value);
+        }
+        return conditionHolds.get(edge);
+    };
+    const forwardIncoming = (id) => incoming.get(id).filter(e => !backEdges.has(e));
+
+    // Least fixed point: a node is skipped once none of its inputs can fire.
+    const skipped = new Set();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const id of nodeIds) {
+            if (completed.has(id) || startSet.has(id) || skipped.has(id)) continue;
+            const dead = forwardIncoming(id).every(e => {
+                const source = String(e.source);
+                return skipped.has(source) || (completed.has(source) && !holds(e));
+            });
+            if (dead) {
+                skipped.add(id);
+                changed = true;
+            }
+        }
+    }
+
+    const runnable = [];
+    const waiting = [];
+    const reentry = [];
+    for (const id of nodeIds) {
+        if (completed.has(id)) {
+            for (const edge of incoming.get(id)) {
+                if (backEdges.has(edge) && completed.has(String(edge.source)) && holds(edge)) {
+                    reentry.push({ id, name: names.get(id), via_edge: String(edge.id), from: String(edge.source) });
+                }
+            }
+            continue;
+        }
+        if (skipped.has(id)) continue;
+        if (startSet.has(id)) {
+            runnable.push({ id, name: names.get(id) });
+            continue;
+        }
+        const inputs = forwardIncoming(id);
+        const satisfied = inputs.filter(e => completed.has(String(e.source)) && holds(e));
+        if (satisfied.length === 0) continue;
+        const waitingOn = [...new Set(inputs
+            .map(e => String(e.source))
+            .filter(source => !completed.has(source) && !skipped.has(source)))];
+        if (waitingOn.length > 0) {
+            waiting.push({ id, name: names.get(id), waiting_on: waitingOn });
+        } else {
+            runnable.push({ id, name: names.get(id), via_edges: satisfied.map(e => String(e.id)) });
+        }
+    }
+
+    return {
+        runnable,
+        waiting,
+        reentry,
+        skipped: [...skipped],
+        is_complete: runnable.length === 0 && waiting.length === 0 && reentry.length === 0,
+        condition_errors: conditionErrors
+    };
+}
+
+/**
+ * The { id, name } list stored in active_workflows.available_nodes.
+ */
+export function deriveAvailableNodes(graph) {
+    const nodes = Array.isArray(graph?.nodes) ? graph.nodes : [];
+    return nodes.map(n => ({ id: n.id, name: nodeName(n) }));
+}
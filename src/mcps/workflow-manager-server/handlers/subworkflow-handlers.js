@@ -1,74 +1,294 @@
 // src/mcps/workflow-manager-server/handlers/subworkflow-handlers.js
-// Sub-Workflow Execution Handlers - Nested workflow support (Migration 028)
+// Sub-Workflow Execution Handlers - Nested workflow support (Migration 064)
+//
+// A sub-workflow run is launched from one node of a running
+// fictionlab.active_workflows row. start_sub_workflow registers the child as
+// its own active workflow (parent_workflow_id = parent) and records the link
+// in fictionlab.sub_workflow_executions; complete_sub_workflow closes both and,
+// on success, marks the parent's node completed and merges output_json into
+// the parent's context.
+
+import { deriveAvailableNodes } from './graph-validation.js';
+
+// Nesting deeper than this is almost certainly a runaway recursion.
+const MAX_NESTING_DEPTH = 10;
 
 export class SubworkflowHandlers {
     constructor(db) {
         this.db = db;
     }
 
+    /**
+     * Start a sub-workflow from a node of a running/paused parent workflow.
+     * The child inherits the parent's source and project, starts with
+     * input_json as its context, and gets the parent's breadcrumb plus the
+     * launching node. Refused if the parent node already has a live run, or
+     * if the sub-workflow is already running further up the same chain.
+     */
     async handleStartSubWorkflow(args) {
         const {
             parent_instance_id,
-            parent_phase_number,
-            sub_workflow_def_id,
-            sub_workflow_version
-        } = args;
-
-        const result = await this.db.query(
-            `INSERT INTO sub_workflow_executions (
-                parent_instance_id, parent_phase_number,
-                sub_workflow_def_id, sub_workflow_version,
-                status, started_at
-            ) VALUES ($1, $2, $3, $4, 'in_progress', NOW())
-            RETURNING id, started_at`,
-            [parent_instance_id, parent_phase_number, sub_workflow_def_id, sub_workflow_version]
-        );
-
-        return {
-            sub_workflow_execution_id: result.rows[0].id,
-            status: 'in_progress',
-            started_at: result.rows[0].started_at,
-            message: `Sub-workflow ${sub_workflow_def_id} v${sub_workflow_version} started`
-        };
+            parent_node_id,
+            sub_workflow_id,
+            sub_workflow_version,
+            input_json = {}
+        } = args || {};
+
+        if (!parent_instance_id || !parent_node_id || !sub_workflow_id) {
+            throw new Error('parent_instance_id, parent_node_id and sub_workflow_id are required');
+        }
+
+        return this.db.transaction(async (client) => {
+            const parentResult = await client.query(
+                `SELECT awr.id, awr.workflow_id, COALESCE(awr.workflow_name, wd.name) AS workflow_name,
+                        awr.source, awr.project_folder, awr.project_name, awr.status, awr.breadcrumb,
+                        wd.graph_json
+                FROM fictionlab.active_workflows awr
+                LEFT JOIN fictionlab.workflow_definitions wd ON awr.workflow_id = wd.workflow_id
+                WHERE awr.id = $1
+                FOR UPDATE OF awr`,
+                [parent_instance_id]
+            );
+
+            if (parentResult.rows.length === 0) {
+                throw new Error(`Parent workflow ${parent_instance_id} not found`);
+            }
+            const parent = parentResult.rows[0];
+            if (!['running', 'paused'].includes(parent.status)) {
+                throw new Error(`Parent workflow ${parent_instance_id} is ${parent.status}; sub-workflows start only from a running or paused workflow`);
+            }
+
+            let parentNodeName = parent_node_id;
+            if (parent.graph_json?.nodes) {
+                const node = parent.graph_json.nodes.find(n => n.id === parent_node_id);
+                if (!node) {
+                    throw new Error(`Node ${parent_node_id} not found in workflow graph`);
+                }
+                parentNodeName = node.name || node.data?.name || parent_node_id;
+            }
+
+            const live = await client.query(
+                `SELECT id FROM fictionlab.sub_workflow_executions
+                WHERE parent_instance_id = $1 AND parent_node_id = $2 AND status = 'in_progress'`,
+                [parent_instance_id, parent_node_id]
+            );
+            if (live.rows.length > 0) {
+                throw new Error(`Node ${parent_node_id} already has a sub-workflow in progress (execution ${live.rows[0].id})`);
+            }
+
+            const defResult = await client.query(
+                `SELECT workflow_id, name, version, graph_json FROM fictionlab.workflow_definitions WHERE workflow_id = $1`,
+                [sub_workflow_id]
+            );
+            if (defResult.rows.length === 0) {
+                throw new Error(`Sub-workflow definition ${sub_workflow_id} not found`);
+            }
+            const definition = defResult.rows[0];
+
+            let version = definition.version;
+            if (sub_workflow_version && sub_workflow_version !== definition.version) {
+                const versionResult = await client.query(
+                    `SELECT 1 FROM fictionlab.workflow_versions WHERE workflow_id = $1 AND version = $2`,
+                    [sub_workflow_id, sub_workflow_version]
+                );
+                if (versionResult.rows.length === 0) {
+                    throw new Error(`Sub-workflow ${sub_workflow_id} has no version ${sub_workflow_version}`);
+                }
+                version = sub_workflow_version;
+            }
+
+            // The parent and everything above it, nearest first.
+            const ancestors = await client.query(
+                `WITH RECURSIVE chain(id, workflow_id, parent_workflow_id, depth) AS (
+                    SELECT id, workflow_id, parent_workflow_id, 1
+                    FROM fictionlab.active_workflows WHERE id = $1
+                    UNION ALL
+                    SELECT aw.id, aw.workflow_id, aw.parent_workflow_id, chain.depth + 1
+                    FROM fictionlab.active_workflows aw
+                    JOIN chain ON aw.id = chain.parent_workflow_id
+                    WHERE chain.depth < $2
+                )
+                SELECT workflow_id, depth FROM chain ORDER BY depth`,
+                [parent_instance_id, MAX_NESTING_DEPTH + 1]
+            );
+            if (ancestors.rows.some(row => row.workflow_id === sub_workflow_id)) {
+                throw new Error(`Sub-workflow ${sub_workflow_id} is already running above node ${parent_node_id} in this chain (recursive nesting)`);
+            }
+            if (ancestors.rows.length >= MAX_NESTING_DEPTH) {
+                throw new Error(`Sub-workflows can nest at most ${MAX_NESTING_DEPTH} levels deep`);
+            }
+
+            const availableNodes = deriveAvailableNodes(definition.graph_json);
+            const breadcrumb = [
+                ...(Array.isArray(parent.breadcrumb) ? parent.breadcrumb : []),
+                {
+                    workflowId: parent.workflow_id,
+                    workflowName: parent.workflow_name,
+                    nodeId: parent_node_id,
+                    nodeName: parentNodeName
+                }
+            ];
+
+            const child = await client.query(
+                `INSERT INTO fictionlab.active_workflows (
+                    workflow_id,
+                    workflow_name,
+                    source,
+                    project_folder,
+                    project_name,
+                    total_nodes,
+                    available_nodes,
+                    parent_workflow_id,
+                    breadcrumb,
+                    context,
+                    definition_version,
+                    status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'running')
+                RETURNING id, started_at`,
+                [
+                    sub_workflow_id,
+                    definition.name,
+                    parent.source,
+                    parent.project_folder,
+                    parent.project_name,
+                    availableNodes.length,
+                    JSON.stringify(availableNodes),
+                    parent_instance_id,
+                    JSON.stringify(breadcrumb),
+                    JSON.stringify(input_json),
+                    version
+                ]
+            );
+
+            const execution = await client.query(
+                `INSERT INTO fictionlab.sub_workflow_executions (
+                    parent_instance_id, parent_node_id, child_instance_id,
+                    sub_workflow_def_id, sub_workflow_version, input_json,
+                    status, started_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, 'in_progress', NOW())
+                RETURNING id, started_at`,
+                [parent_instance_id, parent_node_id, child.rows[0].id, sub_workflow_id, version, JSON.stringify(input_json)]
+            );
+
+            return {
+                sub_workflow_execution_id: execution.rows[0].id,
+                child_registry_id: child.rows[0].id,
+                parent_instance_id,
+                parent_node_id,
+                status: 'in_progress',
+                started_at: execution.rows[0].started_at,
+                message: `Sub-workflow ${sub_workflow_id} v${version} started from node ${parentNodeName}`
+            };
+        });
     }
 
+    /**
+     * Complete (or, with error, fail) a sub-workflow run. The child's
+     * active_workflows row is closed the same way. On success the parent's
+     * node is marked completed and output_json is merged into the parent's
+     * context; a parent that is no longer running or paused is left as is
+     * (parent_updated: false). A run can only be completed once.
+     */
     async handleCompleteSubWorkflow(args) {
-        const { sub_workflow_execution_id, output_json, error } = args;
+        const { sub_workflow_execution_id, output_json = {}, error } = args || {};
+
+        if (!sub_workflow_execution_id) {
+            throw new Error('sub_workflow_execution_id is required');
+        }
+        if (output_json === null || typeof output_json !== 'object' || Array.isArray(output_json)) {
+            throw new Error('output_json must be an object (its keys are merged into the parent context)');
+        }
 
         const status = error ? 'failed' : 'complete';
 
-        const result = await this.db.query(
-            `UPDATE sub_workflow_executions
-            SET status = $1, completed_at = NOW(), output_json = $2, error = $3
-            WHERE id = $4
-            RETURNING parent_instance_id, parent_phase_number, sub_workflow_def_id`,
-            [status, output_json, error, sub_workflow_execution_id]
-        );
+        return this.db.transaction(async (client) => {
+            const result = await client.query(
+                `UPDATE fictionlab.sub_workflow_executions
+                SET status = $1, completed_at = NOW(), output_json = $2, error = $3
+                WHERE id = $4 AND status = 'in_progress'
+                RETURNING parent_instance_id, parent_node_id, child_instance_id, sub_workflow_def_id`,
+                [status, JSON.stringify(output_json), error || null, sub_workflow_execution_id]
+            );
 
-        if (result.rows.length === 0) {
-            throw new Error(`Sub-workflow execution ${sub_workflow_execution_id} not found`);
-        }
+            if (result.rows.length === 0) {
+                const existing = await client.query(
+                    `SELECT status FROM fictionlab.sub_workflow_executions WHERE id = $1`,
+                    [sub_workflow_execution_id]
+                );
+                if (existing.rows.length === 0) {
+                    throw new Error(`Sub-workflow execution ${sub_workflow_execution_id} not found`);
+                }
+                throw new Error(`Sub-workflow execution ${sub_workflow_execution_id} is already ${existing.rows[0].status}`);
+            }
 
-        return {
-            sub_workflow_execution_id,
-            status,
-            parent_instance_id: result.rows[0].parent_instance_id,
-            parent_phase_number: result.rows[0].parent_phase_number,
-            message: `Sub-workflow ${result.rows[0].sub_workflow_def_id} ${status}`
-        };
+            const execution = result.rows[0];
+
+            if (execution.child_instance_id) {
+                await client.query(
+                    error
+                        ? `UPDATE fictionlab.active_workflows
+                           SET status = 'failed', error_message = $2, completed_at = NOW()
+                           WHERE id = $1 AND status IN ('running', 'paused')`
+                        : `UPDATE fictionlab.active_workflows
+                           SET status = 'completed', progress_percent = 100, completed_at = NOW()
+                           WHERE id = $1 AND status IN ('running', 'paused')`,
+                    error ? [execution.child_instance_id, error] : [execution.child_instance_id]
+                );
+            }
+
+            let parent = null;
+            if (!error) {
+                // Same completed_node_ids append as mark_node_completed, plus
+                // the context merge, then recount from the new array.
+                await client.query(
+                    `UPDATE fictionlab.active_workflows
+                    SET completed_node_ids = CASE
+                            WHEN COALESCE(completed_node_ids, '[]'::jsonb) @> to_jsonb($2::text)
+                            THEN completed_node_ids
+                            ELSE COALESCE(completed_node_ids, '[]'::jsonb) || to_jsonb($2::text)
+                        END,
+                        context = COALESCE(context, '{}'::jsonb) || $3::jsonb
+                    WHERE id = $1 AND status IN ('running', 'paused')`,
+                    [execution.parent_instance_id, execution.parent_node_id, JSON.stringify(output_json)]
+                );
+                const parentResult = await client.query(
+                    `UPDATE fictionlab.active_workflows
+                    SET completed_nodes = jsonb_array_length(completed_node_ids),
+                        progress_percent = LEAST(100, ROUND(jsonb_array_length(completed_node_ids) * 100.0 / GREATEST(total_nodes, 1)))
+                    WHERE id = $1 AND status IN ('running', 'paused') AND completed_node_ids @> to_jsonb($2::text)
+                    RETURNING id, completed_node_ids, completed_nodes, progress_percent, context`,
+                    [execution.parent_instance_id, execution.parent_node_id]
+                );
+                parent = parentResult.rows[0] || null;
+            }
+
+            return {
+                sub_workflow_execution_id,
+                status,
+                parent_instance_id: execution.parent_instance_id,
+                parent_node_id: execution.parent_node_id,
+                child_registry_id: execution.child_instance_id,
+                parent_updated: Boolean(parent),
+                parent_progress: parent
+                    ? { completed_node_ids: parent.completed_node_ids, completed_nodes: parent.completed_nodes, progress_percent: parent.progress_percent }
+                    : null,
+                parent_context: parent ? parent.context : null,
+                message: `Sub-workflow ${execution.sub_workflow_def_id} ${status}`
+            };
+        });
     }
 
     async handleGetSubWorkflowStatus(args) {
-        const { sub_workflow_execution_id, parent_instance_id } = args;
+        const { sub_workflow_execution_id, parent_instance_id } = args || {};
 
         let query;
         let params;
 
         if (sub_workflow_execution_id) {
-            query = `SELECT * FROM sub_workflow_executions WHERE id = $1`;
+            query = `SELECT * FROM fictionlab.sub_workflow_executions WHERE id = $1`;
             params = [sub_workflow_execution_id];
         } else if (parent_instance_id) {
-            query = `SELECT * FROM sub_workflow_executions WHERE parent_instance_id = $1 ORDER BY started_at DESC`;
+            query = `SELECT * FROM fictionlab.sub_workflow_executions WHERE parent_instance_id = $1 ORDER BY started_at DESC`;
             params = [parent_instance_id];
         } else {
             throw new Error('Either sub_workflow_execution_id or parent_instance_id must be provided');
@@ -76,6 +296,10 @@ export class SubworkflowHandlers {
 
         const result = await this.db.query(query, params);
 
+        if (sub_workflow_execution_id && result.rows.length === 0) {
+            throw new Error(`Sub-workflow execution ${sub_workflow_execution_id} not found`);
+        }
+
         return sub_workflow_execution_id ? result.rows[0] : result.rows;
     }
 }
@@ -0,0 +1,72 @@
+// src/mcps/workflow-manager-server/handlers/version-snapshots.js
+// Reading workflow versions: the snapshots in fictionlab.workflow_versions
+// and the current fictionlab.workflow_definitions row. Used by the version
+// diff/merge tools (definition-handlers.js) and migrate_active_workflow
+// (active-workflow-handlers.js).
+
+/**
+ * The graph inside a workflow_versions.definition_json snapshot. Snapshots
+ * have been written as import_workflow_definition args (graph_json), as
+ * export packages (graph) and as a bare graph.
+ */
+export function graphFromDefinition(definition) {
+    if (definition?.graph_json) return definition.graph_json;
+    if (definition?.graph) return definition.graph;
+    if (Array.isArray(definition?.nodes)) return definition;
+    return null;
+}
+
+/**
+ * Copy of a snapshot with its graph replaced, keeping the snapshot's shape.
+ */
+export function withGraph(definition, graph, version) {
+    if (definition === graphFromDefinition(definition)) {
+        return graph;
+    }
+    const key = definition.graph_json ? 'graph_json' : 'graph';
+    return { ...definition, [key]: graph, ...('version' in definition ? { version } : {}) };
+}
+
+/**
+ * Load one version's definition snapshot and graph. A version recorded
+ * in workflow_versions wins; otherwise the current workflow_definitions
+ * row is used if its version matches (or if no version is given).
+ */
+export async function loadWorkflowVersion(db, workflow_id, version) {
+    if (version) {
+        const history = await db.query(
+            `SELECT version, definition_json FROM fictionlab.workflow_versions
+            WHERE workflow_id = $1 AND version = $2`,
+            [workflow_id, version]
+        );
+        if (history.rows.length > 0) {
+            const graph = graphFromDefinition(history.rows[0].definition_json);
+            if (!graph) {
+                throw new Error(`Version ${version} of workflow ${workflow_id} has no graph in its definition_json`);
+            }
+            return { version, source: 'history', definition: history.rows[0].definition_json, graph };
+        }
+    }
+
+    const current = await db.query(
+        `SELECT workflow_id, name, version, description, graph_json, dependencies, tags, metadata
+        FROM fictionlab.workflow_definitions
+        WHERE workflow_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1`,
+        [workflow_id]
+    );
+    if (current.rows.length === 0) {
+        throw new Error(`Workflow definition ${workflow_id} not found`);
+    }
+    const row = current.rows[0];
+    if (version && row.version !== version) {
+        throw new Error(`Workflow ${workflow_id} has no version ${version}`);
+    }
+    return {
+        version: row.version,
+        source: 'current',
+        definition: { ...row, graph_json: row.graph_json || { nodes: [], edges: [] } },
+        graph: row.graph_json || { nodes: [], edges: [] }
+    };
+}
@@ -72,13 +72,15 @@ class WorkflowManagerMCPServer extends BaseMCPServer {
 
     getToolHandler(toolName) {
         const handlers = {
-            // Definition Handlers (8 tools)
+            // Definition Handlers (12 tools)
             'import_workflow_definition': this.definitionHandlers.handleImportWorkflowDefinition.bind(this.definitionHandlers),
             'get_workflow_definitions': this.definitionHandlers.handleGetWorkflowDefinitions.bind(this.definitionHandlers),
             'get_workflow_definition': this.definitionHandlers.handleGetWorkflowDefinition.bind(this.definitionHandlers),
             'update_workflow_positions': this.definitionHandlers.handleUpdateWorkflowPositions.bind(this.definitionHandlers),
             'create_workflow_version': this.definitionHandlers.handleCreateWorkflowVersion.bind(this.definitionHandlers),
             'get_workflow_versions': this.definitionHandlers.handleGetWorkflowVersions.bind(this.definitionHandlers),
+            'diff_workflow_versions': this.definitionHandlers.handleDiffWorkflowVersions.bind(this.definitionHandlers),
+            'merge_workflow_versions': this.definitionHandlers.handleMergeWorkflowVersions.bind(this.definitionHandlers),
             // REMOVED: lock_workflow_version - version locking removed in migration 032
             // REMOVED: unlock_workflow_version - version locking removed in migration 032
             'update_phase_execution': this.definitionHandlers.handleUpdatePhaseExecution.bind(this.definitionHandlers),
@@ -89,14 +91,16 @@ class WorkflowManagerMCPServer extends BaseMCPServer {
             'start_sub_workflow': this.subworkflowHandlers.handleStartSubWorkflow.bind(this.subworkflowHandlers),
             'complete_sub_workflow': this.subworkflowHandlers.handleCompleteSubWorkflow.bind(this.subworkflowHandlers),
             'get_sub_workflow_status': this.subworkflowHandlers.handleGetSubWorkflowStatus.bind(this.subworkflowHandlers),
-            // Graph Handlers (6 tools)
+            // Graph Handlers (8 tools)
             'add_node': this.graphHandlers.handleAddNode.bind(this.graphHandlers),
             'update_node': this.graphHandlers.handleUpdateNode.bind(this.graphHandlers),
             'delete_node': this.graphHandlers.handleDeleteNode.bind(this.graphHandlers),
             'create_edge': this.graphHandlers.handleCreateEdge.bind(this.graphHandlers),
             'update_edge': this.graphHandlers.handleUpdateEdge.bind(this.graphHandlers),
             'delete_edge': this.graphHandlers.handleDeleteEdge.bind(this.graphHandlers),
-            // Active Workflow Handlers (13 tools)
+            'validate_workflow_graph': this.graphHandlers.handleValidateWorkflowGraph.bind(this.graphHandlers),
+            'get_next_nodes': this.graphHandlers.handleGetNextNodes.bind(this.graphHandlers),
+            // Active Workflow Handlers (14 tools)
             'list_active_workflows': this.activeWorkflowHandlers.handleListActiveWorkflows.bind(this.activeWorkflowHandlers),
             'register_active_workflow': this.activeWorkflowHandlers.handleRegisterActiveWorkflow.bind(this.activeWorkflowHandlers),
             'update_workflow_progress': this.activeWorkflowHandlers.handleUpdateWorkflowProgress.bind(this.activeWorkflowHandlers),
@@ -110,7 +114,8 @@ class WorkflowManagerMCPServer extends BaseMCPServer {
             'cleanup_old_workflows': this.activeWorkflowHandlers.handleCleanupOldWorkflows.bind(this.activeWorkflowHandlers),
             // NEW: Atomic node status tracking
             'mark_node_started': this.activeWorkflowHandlers.handleMarkNodeStarted.bind(this.activeWorkflowHandlers),
-            'mark_node_completed': this.activeWorkflowHandlers.handleMarkNodeCompleted.bind(this.activeWorkflowHandlers)
+            'mark_node_completed': this.activeWorkflowHandlers.handleMarkNodeCompleted.bind(this.activeWorkflowHandlers),
+            'migrate_active_workflow': this.activeWorkflowHandlers.handleMigrateActiveWorkflow.bind(this.activeWorkflowHandlers)
         };
         return handlers[toolName];
     }
@@ -42,10 +42,10 @@ export const activeWorkflowToolsSchema = [
                 },
                 project_folder: { type: 'string', description: 'Project folder path' },
                 project_name: { type: 'string', description: 'Project name for display' },
-                total_nodes: { type: 'number', description: 'Total number of nodes in workflow (optional, will be calculated if not provided)' },
+                total_nodes: { type: 'number', description: 'Total number of nodes in workflow (derived from the definition graph; only used when the definition has no graph)' },
                 available_nodes: {
                     type: 'array',
-                    description: 'Array of available nodes with id and name (optional, will be fetched from definition if not provided)',
+                    description: 'Array of available nodes with id and name (derived from the definition graph; only used when the definition has no graph)',
                     items: {
                         type: 'object',
                         properties: {
@@ -154,7 +154,7 @@ export const activeWorkflowToolsSchema = [
     },
     {
         name: 'get_active_workflow',
-        description: 'Gets detailed information about a single active workflow',
+        description: 'Gets detailed information about a single active workflow, including its context and the tree of child runs (child_runs, nested)',
         inputSchema: {
             type: 'object',
             properties: {
@@ -201,5 +201,24 @@ export const activeWorkflowToolsSchema = [
             },
             required: ['registry_id', 'node_id']
         }
+    },
+    {
+        name: 'migrate_active_workflow',
+        description: 'Moves a running or paused workflow onto another definition version (default: the current definition) using a node-id mapping for renamed or removed nodes. Recomputes completed nodes, total_nodes, progress and available nodes. Instances whose completed or current nodes would not resolve are flagged and left alone unless force is set; instances with a sub-workflow in progress on a removed node are never migrated.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                registry_id: { type: 'string', description: 'Active workflow registry ID (UUID) to migrate' },
+                workflow_id: { type: 'string', description: 'Instead of registry_id: migrate every running or paused instance of this workflow' },
+                target_version: { type: 'string', description: 'Definition version to migrate to (optional, defaults to the current definition)' },
+                node_mapping: {
+                    type: 'object',
+                    description: 'Old node id -> new node id for renamed nodes, or -> null for nodes removed on purpose. Ids not listed keep their name.',
+                    additionalProperties: { type: ['string', 'null'] }
+                },
+                force: { type: 'boolean', description: 'Migrate flagged instances anyway, dropping completed/current nodes that do not resolve', default: false },
+                dry_run: { type: 'boolean', description: 'Report what would happen without changing anything', default: false }
+            }
+        }
     }
 ];
@@ -101,6 +101,43 @@ export const workflowToolsSchema = [
             required: ['workflow_id']
         }
     },
+    {
+        name: 'diff_workflow_versions',
+        description: 'Shows what changed between two versions of a workflow: added, removed and modified nodes and edges (matched by id), with field-level changes. Nodes that only moved are flagged layout_only.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflow_id: { type: 'string', description: 'Workflow definition ID' },
+                from_version: { type: 'string', description: 'Older version' },
+                to_version: { type: 'string', description: 'Newer version (optional, defaults to the current definition)' }
+            },
+            required: ['workflow_id', 'from_version']
+        }
+    },
+    {
+        name: 'merge_workflow_versions',
+        description: 'Three-way merge of workflow versions: applies the changes local made since base (e.g. node positions) onto upstream (e.g. a newer marketplace version), reports conflicts, and records the result as a new version',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflow_id: { type: 'string', description: 'Workflow definition ID' },
+                base_version: { type: 'string', description: 'Common ancestor version' },
+                upstream_version: { type: 'string', description: 'Version whose changes are taken as the starting point (parent of the new version)' },
+                local_version: { type: 'string', description: 'Version with the local edits (optional, defaults to the current definition)' },
+                new_version: { type: 'string', description: 'Version number to record the merge as (required unless dry_run)' },
+                on_conflict: {
+                    type: 'string',
+                    enum: ['fail', 'upstream', 'local'],
+                    description: "fail: write nothing when there are conflicts (default); upstream/local: resolve conflicts toward that side",
+                    default: 'fail'
+                },
+                changelog: { type: 'string', description: 'What changed in this version (optional, defaults to a merge note)' },
+                created_by: { type: 'string', description: 'Who created this version' },
+                dry_run: { type: 'boolean', description: 'Report the merge and conflicts without writing', default: false }
+            },
+            required: ['workflow_id', 'base_version', 'upstream_version']
+        }
+    },
     // REMOVED: lock_workflow_version - version locking removed in migration 032
     // REMOVED: unlock_workflow_version - version locking removed in migration 032
     {
@@ -162,30 +199,31 @@ export const workflowToolsSchema = [
         }
     },
     // =============================================
-    // SUB-WORKFLOW SUPPORT (Migration 028)
+    // SUB-WORKFLOW SUPPORT (Migration 064)
     // =============================================
     {
         name: 'start_sub_workflow',
-        description: 'Starts execution of a sub-workflow (nested workflow)',
+        description: 'Starts a sub-workflow (nested workflow) from a node of a running or paused active workflow. The child is registered as its own active workflow (parent_workflow_id set, breadcrumb extended) and starts with input_json as its context. One live run per parent node.',
         inputSchema: {
             type: 'object',
             properties: {
-                parent_instance_id: { type: 'number', description: 'Parent workflow instance ID' },
-                parent_phase_number: { type: 'number', description: 'Phase number in parent workflow' },
+                parent_instance_id: { type: 'string', description: 'Parent active workflow registry ID (UUID)' },
+                parent_node_id: { type: 'string', description: 'Node in the parent graph that launches the sub-workflow' },
                 sub_workflow_id: { type: 'string', description: 'Sub-workflow definition ID' },
-                sub_workflow_version: { type: 'string', description: 'Sub-workflow version' }
+                sub_workflow_version: { type: 'string', description: "Sub-workflow version (default: the definition's current version)" },
+                input_json: { type: 'object', description: "Initial context for the child run" }
             },
-            required: ['parent_instance_id', 'parent_phase_number', 'sub_workflow_id', 'sub_workflow_version']
+            required: ['parent_instance_id', 'parent_node_id', 'sub_workflow_id']
         }
     },
     {
         name: 'complete_sub_workflow',
-        description: 'Marks a sub-workflow execution as complete',
+        description: "Completes a sub-workflow execution (or fails it, when error is given) and closes the child's active workflow. On success the parent node is marked completed and output_json is merged into the parent's context.",
         inputSchema: {
             type: 'object',
             properties: {
                 sub_workflow_execution_id: { type: 'number', description: 'Sub-workflow execution ID' },
-                output_json: { type: 'object', description: 'Output from sub-workflow' },
+                output_json: { type: 'object', description: 'Output from sub-workflow; its top-level keys are merged into the parent context' },
                 error: { type: 'string', description: 'Error message if failed' }
             },
             required: ['sub_workflow_execution_id']
@@ -193,12 +231,12 @@ export const workflowToolsSchema = [
     },
     {
         name: 'get_sub_workflow_status',
-        description: 'Gets status of a sub-workflow execution',
+        description: 'Gets status of a sub-workflow execution, or all executions launched by a parent workflow',
         inputSchema: {
             type: 'object',
             properties: {
                 sub_workflow_execution_id: { type: 'number', description: 'Sub-workflow execution ID' },
-                parent_instance_id: { type: 'number', description: 'Parent workflow instance ID (alternative)' }
+                parent_instance_id: { type: 'string', description: 'Parent active workflow registry ID (alternative)' }
             }
         }
     },
@@ -285,5 +323,29 @@ export const workflowToolsSchema = [
             },
             required: ['workflow_id', 'edge_id']
         }
+    },
+    {
+        name: 'validate_workflow_graph',
+        description: 'Checks a workflow graph for structural problems. Errors: dangling edges, duplicate ids, unparseable edge conditions, no start node, no end node, cycles with no loop-back or conditional edge. Warnings: orphan and unreachable nodes, loops. The node and edge tools refuse changes that would add an error.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                workflow_id: { type: 'string', description: 'Workflow definition ID (validates its latest graph)' },
+                graph_json: { type: 'object', description: 'Unsaved graph ({ nodes, edges }) to validate instead of a stored one' }
+            }
+        }
+    },
+    {
+        name: 'get_next_nodes',
+        description: 'Computes which nodes can run next from the completed node ids and the edge conditions (e.g. "$.score >= 70", "$.approved == true"). Returns runnable nodes, joins still waiting on other branches, skipped branches, and loops that want another pass.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                registry_id: { type: 'string', description: 'Active workflow registry ID (UUID); uses its completed_node_ids and context' },
+                workflow_id: { type: 'string', description: 'Workflow definition ID (when no registry_id is given)' },
+                completed_node_ids: { type: 'array', items: { type: 'string' }, description: 'Completed node IDs (when no registry_id is given)' },
+                context: { type: 'object', description: 'Values the edge conditions are evaluated against (when no registry_id is given)' }
+            }
+        }
     }
 ];
@@ -1,4 +1,7 @@
 // Export handlers for AI writing team to automatically prepare manuscripts
+
+const MISSING_PROSE = '[No prose drafted for this chapter yet]';
+
 export class ExportHandlers {
     constructor(db) {
         this.db = db;
@@ -124,22 +127,40 @@ export class ExportHandlers {
                 ORDER BY c.chapter_number
             `, query_params);
 
+            // Scene prose (chapter_scenes.scene_content, the latest revision
+            // from the book server) in reading order
+            const scenes_data = await this.db.query(`
+                SELECT s.chapter_id, s.scene_number, s.scene_content
+                FROM chapter_scenes s
+                JOIN chapters c ON s.chapter_id = c.id
+                WHERE c.book_id = $1 ${chapter_filter}
+                    AND s.scene_content IS NOT NULL AND btrim(s.scene_content) <> ''
+                ORDER BY c.chapter_number, s.scene_number
+            `, query_params);
+
+            const chapters = chapters_data.rows.map(chapter => ({
+                ...chapter,
+                scene_texts: scenes_data.rows
+                    .filter(scene => scene.chapter_id === chapter.chapter_id)
+                    .map(scene => scene.scene_content.trim())
+            }));
+
             // Generate export content based on format
             let export_content = '';
             let filename = `${this.sanitizeFilename(book.title)}.${export_format}`;
 
             switch (export_format) {
                 case 'txt':
-                    export_content = await this.generateTextExport(book, chapters_data.rows, include_metadata);
+                    export_content = await this.generateTextExport(book, chapters, include_metadata);
                     break;
                 case 'md':
-                    export_content = await this.generateMarkdownExport(book, chapters_data.rows, include_metadata);
+                    export_content = await this.generateMarkdownExport(book, chapters, include_metadata);
                     break;
                 case 'rtf':
-                    export_content = await this.generateRTFExport(book, chapters_data.rows, include_metadata);
+                    export_content = await this.generateRTFExport(book, chapters, include_metadata);
                     break;
                 case 'standard_manuscript':
-                    export_content = await this.generateStandardManuscriptExport(book, chapters_data.rows, export_purpose);
+                    export_content = await this.generateStandardManuscriptExport(book, chapters, export_purpose);
                     break;
             }
 
@@ -152,7 +173,10 @@ export class ExportHandlers {
                     number: ch.chapter_number, 
                     title: ch.title,
                     word_count: ch.word_count 
-                }))
+                })),
+                chapters_without_prose: chapters
+                    .filter(ch => ch.scene_texts.length === 0)
+                    .map(ch => ch.chapter_number)
             };
 
             // Log export activity
@@ -166,7 +190,7 @@ export class ExportHandlers {
                 book_id, 
                 export_format,
                 chapters_to_include ? 'partial' : 'full_manuscript',
-                chapters_to_include || chapters_data.rows.map(ch => ch.id),
+                chapters_to_include || chapters_data.rows.map(ch => ch.chapter_id),
                 export_stats.total_words,
                 filename,
                 `AI team export for ${export_purpose}`,
@@ -383,7 +407,9 @@ export class ExportHandlers {
                 content += '\n';
             }
 
-            content += '[Chapter content would be inserted here from actual chapter text]\n\n';
+            content += (chapter.scene_texts.length
+                ? chapter.scene_texts.join('\n\n* * *\n\n')
+                : MISSING_PROSE) + '\n\n';
             content += '* * *\n\n'; // Scene break
         });
 
@@ -425,7 +451,9 @@ export class ExportHandlers {
                 content += '\n';
             }
 
-            content += '*[Chapter content would be inserted here from actual chapter text]*\n\n';
+            content += (chapter.scene_texts.length
+                ? chapter.scene_texts.join('\n\n* * *\n\n')
+                : `*${MISSING_PROSE}*`) + '\n\n';
             content += '---\n\n'; // Horizontal rule between chapters
         });
 
@@ -450,7 +478,9 @@ export class ExportHandlers {
                 content += `{\\i ${chapter.summary}\\par}\n\\par\n`;
             }
 
-            content += '[Chapter content would be inserted here from actual chapter text]\\par\n\\par\n';
+            content += (chapter.scene_texts.length
+                ? chapter.scene_texts.map(text => this.rtfParagraphs(text)).join('{\\qc * * *\\par}\n')
+                : `${MISSING_PROSE}\\par\n`) + '\\par\n';
             content += '\\page\n'; // Page break between chapters
         });
 
@@ -491,12 +521,28 @@ export class ExportHandlers {
             }
             content += '\n\n';
 
-            content += '[Chapter content would be inserted here from actual chapter text]\n\n';
+            // Standard manuscript format marks scene breaks with a centred #
+            content += (chapter.scene_texts.length
+                ? chapter.scene_texts.join('\n\n#\n\n')
+                : MISSING_PROSE) + '\n\n';
         });
 
         return content;
     }
 
+    // Prose as RTF paragraphs: control characters escaped, non-ASCII as \uN
+    rtfParagraphs(text) {
+        return text.split(/\r?\n/).map(line => {
+            const escaped = Array.from(line.replace(/[\\{}]/g, ch => `\\${ch}`)).map(ch => {
+                const code = ch.codePointAt(0);
+                if (code < 128) return ch;
+                // \uN takes a signed 16-bit value; astral characters go as surrogate pairs
+                return ch.split('').map(unit => `\\u${unit.charCodeAt(0) > 32767 ? unit.charCodeAt(0) - 65536 : unit.charCodeAt(0)}?`).join('');
+            }).join('');
+            return `${escaped}\\par\n`;
+        }).join('');
+    }
+
     // Utility method to sanitize filenames
     sanitizeFilename(filename) {
         return filename
@@ -0,0 +1,162 @@
+// tests/book-server/chapter-handlers.test.js
+// Tests for ChapterHandlers.handleReorderChapters: the reorder_chapters tool
+// was advertised in book-tools-schema.js but its handler was commented out.
+// Exercises the re-enabled handler against a mocked db (no live database
+// required), matching tests/outline-server/works-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ChapterHandlers } from '../../src/mcps/book-server/handlers/chapter-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, rows);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params, inTransaction: this.inTransaction === true });
+        for (const [pattern, rows] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return { rows: typeof rows === 'function' ? rows(params) : rows };
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        this.inTransaction = true;
+        try {
+            return await callback(this);
+        } finally {
+            this.inTransaction = false;
+        }
+    }
+
+    writes() {
+        return this.queries.filter(q => q.text.trim().startsWith('UPDATE'));
+    }
+}
+
+// Book 1: chapters 10, 11, 12 numbered 1, 2, 3. Outline chapter nodes 100,
+// 101, 102 are linked to them under act 50, with an unlinked beat (103) in
+// sequence slot 2 between the first two.
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM books WHERE id = $1', [{ id: 1, title: 'The Long Night' }]);
+    mockDb.setQueryResult('SELECT id, chapter_number, title FROM chapters', [
+        { id: 10, chapter_number: 1, title: 'Arrival' },
+        { id: 11, chapter_number: 2, title: 'The Ledger' },
+        { id: 12, chapter_number: 3, title: 'Fire' }
+    ]);
+    mockDb.setQueryResult('SELECT id, parent_id, sequence, chapter_id FROM outline_works', [
+        { id: 100, parent_id: 50, sequence: 1, chapter_id: 10 },
+        { id: 101, parent_id: 50, sequence: 3, chapter_id: 11 },
+        { id: 102, parent_id: 50, sequence: 4, chapter_id: 12 }
+    ]);
+    mockDb.setQueryResult('FROM event_chapter_mappings', [{ count: 4 }]);
+    mockDb.setQueryResult('FROM character_chapter_presence', [
+        { character_id: 7, chapter_id: 10, name: 'Mara' },
+        { character_id: 7, chapter_id: 12, name: 'Mara' },
+        { character_id: 8, chapter_id: 12, name: 'Oren' }
+    ]);
+    return mockDb;
+}
+
+describe('ChapterHandlers.handleReorderChapters', () => {
+    it('is advertised by getChapterTools', () => {
+        const handlers = new ChapterHandlers(new MockDatabase());
+        assert.ok(handlers.getChapterTools().some(t => t.name === 'reorder_chapters'));
+    });
+
+    it('renumbers every chapter in one transaction, parking moved chapters first', async () => {
+        const mockDb = seededDb();
+        const handlers = new ChapterHandlers(mockDb);
+
+        const result = await handlers.handleReorderChapters({ book_id: 1, chapter_ids: [12, 10, 11] });
+        assert.ok(mockDb.queries.every(q => q.inTransaction));
+
+        const [park, renumber, outline] = mockDb.writes();
+        assert.ok(park.text.includes('SET chapter_number = -id'));
+        assert.deepStrictEqual(park.params, [1, [12, 10, 11]]);
+        assert.ok(renumber.text.includes('unnest($1::int[], $2::int[])'));
+        assert.deepStrictEqual(renumber.params, [[12, 10, 11], [1, 2, 3]]);
+
+        // Linked outline nodes reuse their slots (1, 3, 4) in the new order;
+        // the unlinked beat in slot 2 is not touched.
+        assert.ok(outline.text.includes('UPDATE outline_works'));
+        assert.deepStrictEqual(outline.params, [[102, 100, 101], [1, 3, 4]]);
+
+        const text = result.content[0].text;
+        assert.ok(text.includes('Successfully reordered 3 chapter(s) in "The Long Night"'));
+        assert.ok(text.includes('Chapter 1: Fire (ID 12) — was Chapter 3'));
+        assert.ok(text.includes('4 event-chapter mapping(s) and 3 character presence record(s)'));
+        assert.ok(text.includes('Oren: Chapter 3 → Chapter 1'));
+        assert.ok(!text.includes('Mara:'), "Mara's first appearance stays Chapter 1");
+    });
+
+    it('returns a before/after map', async () => {
+        const mockDb = seededDb();
+        const handlers = new ChapterHandlers(mockDb);
+
+        const result = await handlers.handleReorderChapters({ book_id: 1, chapter_ids: [10, 12, 11] });
+        const text = result.content[0].text;
+        const map = JSON.parse(text.slice(text.indexOf('[')));
+        assert.deepStrictEqual(map, [
+            { chapter_id: 10, before: 1, after: 1 },
+            { chapter_id: 12, before: 3, after: 2 },
+            { chapter_id: 11, before: 2, after: 3 }
+        ]);
+        // Only the chapters that move are parked and renumbered.
+        assert.deepStrictEqual(mockDb.writes()[0].params, [1, [12, 11]]);
+    });
+
+    it('writes nothing on dry_run', async () => {
+        const mockDb = seededDb();
+        const handlers = new ChapterHandlers(mockDb);
+
+        const result = await handlers.handleReorderChapters({ book_id: 1, chapter_ids: [12, 10, 11], dry_run: true });
+        assert.strictEqual(mockDb.writes().length, 0);
+        assert.ok(result.content[0].text.includes('Dry run — would reorder 3 chapter(s)'));
+        assert.ok(result.content[0].text.includes('3 linked outline node(s) would be resequenced'));
+    });
+
+    it('leaves chapters alone when the order is unchanged', async () => {
+        const mockDb = seededDb();
+        const handlers = new ChapterHandlers(mockDb);
+
+        const result = await handlers.handleReorderChapters({ book_id: 1, chapter_ids: [10, 11, 12] });
+        assert.strictEqual(mockDb.writes().length, 0);
+        assert.ok(result.content[0].text.includes('already in that order'));
+    });
+
+    it('rejects duplicates, chapters from another book, and incomplete lists', async () => {
+        const handlers = new ChapterHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleReorderChapters({ book_id: 1, chapter_ids: [10, 10, 11, 12] }),
+            /lists chapter 10 more than once/
+        );
+        await assert.rejects(
+            handlers.handleReorderChapters({ book_id: 1, chapter_ids: [10, 11, 12, 99] }),
+            /Chapter\(s\) 99 do not belong to book 1/
+        );
+        await assert.rejects(
+            handlers.handleReorderChapters({ book_id: 1, chapter_ids: [12, 10] }),
+            /missing 11 \(Chapter 2\)/
+        );
+    });
+
+    it('rejects an unknown book', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM books WHERE id = $1', []);
+        const handlers = new ChapterHandlers(mockDb);
+        await assert.rejects(
+            handlers.handleReorderChapters({ book_id: 9, chapter_ids: [10] }),
+            /Book with ID 9 not found/
+        );
+    });
+});
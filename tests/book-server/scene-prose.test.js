@@ -0,0 +1,277 @@
+// tests/book-server/scene-prose.test.js
+// Tests for scene prose revisions (migration 068): the diff helpers in
+// prose-diff.js, ProseHandlers, and update_scene routing scene_content through
+// the revision history. Runs against a mocked db (no live database
+// required), matching tests/book-server/chapter-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { countWords, diffProse, wordChanges } from '../../src/mcps/book-server/handlers/prose-diff.js';
+import { ProseHandlers } from '../../src/mcps/book-server/handlers/prose-handlers.js';
+import { SceneHandlers } from '../../src/mcps/book-server/handlers/scene-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, rows);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params, inTransaction: this.inTransaction === true });
+        for (const [pattern, rows] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return { rows: typeof rows === 'function' ? rows(params) : rows };
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        this.inTransaction = true;
+        try {
+            return await callback(this);
+        } finally {
+            this.inTransaction = false;
+        }
+    }
+}
+
+// Scene 5 (chapter 2, alongside scene 6 with 40 words) backed by an in-memory
+// scene_prose_revisions table. Patterns are matched in insertion order.
+function seededDb({ revisions = [], sceneContent = null } = {}) {
+    const state = {
+        revisions: revisions.map((r, i) => ({
+            revision_number: i + 1, word_count: countWords(r.content), author: null, change_note: null,
+            words_added: null, words_removed: null, restored_from_revision: null, diff_from_previous: null,
+            created_at: '2026-01-01T00:00:00Z', ...r
+        })),
+        scene: { id: 5, chapter_id: 2, scene_number: 1, scene_title: 'The Gate', scene_content: sceneContent, word_count: 0 },
+        otherSceneWords: 40
+    };
+    const latestFirst = () => [...state.revisions].sort((a, b) => b.revision_number - a.revision_number);
+
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('INSERT INTO scene_prose_revisions', (params) => {
+        const [, revision_number, content, word_count, author, change_note, diff_from_previous,
+            words_added, words_removed, restored_from_revision] = params;
+        const row = {
+            revision_number, content, word_count, author, change_note, diff_from_previous,
+            words_added, words_removed, restored_from_revision, created_at: '2026-01-02T00:00:00Z'
+        };
+        state.revisions.push(row);
+        return [row];
+    });
+    mockDb.setQueryResult('AND revision_number = $2', (params) =>
+        state.revisions.filter(r => r.revision_number === params[1]));
+    mockDb.setQueryResult('MAX(revision_number)', () => [{ current_revision: latestFirst()[0]?.revision_number ?? null }]);
+    mockDb.setQueryResult('SELECT 1 FROM scene_prose_revisions', () => state.revisions.slice(0, 1));
+    mockDb.setQueryResult('FROM scene_prose_revisions', (params) => latestFirst().slice(0, params[1] ?? 1));
+    mockDb.setQueryResult('FOR UPDATE', () => [state.scene]);
+    mockDb.setQueryResult('SET scene_content = $2', (params) => {
+        state.scene.scene_content = params[1];
+        state.scene.word_count = params[2];
+        return [];
+    });
+    mockDb.setQueryResult('UPDATE chapters', () => [{ word_count: state.scene.word_count + state.otherSceneWords }]);
+    mockDb.setQueryResult('FROM chapter_scenes WHERE id = $1', () => [state.scene]);
+    mockDb.setQueryResult('UPDATE chapter_scenes', () => [{ ...state.scene }]);
+    return { mockDb, state };
+}
+
+const DRAFT_ONE = 'The rain fell.\nMara waited at the gate.\nShe counted the bells.';
+const DRAFT_TWO = 'The rain fell hard.\nMara waited at the gate.\nShe counted the bells.\nNo one came.';
+
+describe('prose-diff', () => {
+    it('counts words the way scene_content always has', () => {
+        assert.strictEqual(countWords('  The rain\n\nfell.  '), 3);
+        assert.strictEqual(countWords(''), 0);
+        assert.strictEqual(countWords(null), 0);
+    });
+
+    it('writes a unified diff with per-line hunks', () => {
+        const change = diffProse(DRAFT_ONE, DRAFT_TWO, { fromLabel: 'revision 1', toLabel: 'revision 2' });
+        assert.strictEqual(change.diff, [
+            '--- revision 1',
+            '+++ revision 2',
+            '@@ -1,3 +1,4 @@',
+            '-The rain fell.',
+            '+The rain fell hard.',
+            ' Mara waited at the gate.',
+            ' She counted the bells.',
+            '+No one came.'
+        ].join('\n'));
+        assert.deepStrictEqual([change.lines_added, change.lines_removed], [2, 1]);
+        assert.strictEqual(diffProse(DRAFT_ONE, DRAFT_ONE).diff, '');
+    });
+
+    it('counts word changes inside a paragraph, not the whole paragraph', () => {
+        const paragraph = 'She crossed the square and did not look back at the burning tower.';
+        const edited = paragraph.replace('did not look', 'never looked');
+        assert.deepStrictEqual(wordChanges(paragraph, edited), { words_added: 2, words_removed: 3 });
+        assert.deepStrictEqual(wordChanges('', 'one two'), { words_added: 2, words_removed: 0 });
+    });
+});
+
+describe('ProseHandlers', () => {
+    it('lists its tools', () => {
+        const names = new ProseHandlers(new MockDatabase()).getProseTools().map(t => t.name);
+        assert.deepStrictEqual(names, [
+            'save_scene_prose', 'list_scene_revisions', 'get_scene_revision', 'diff_scene_revisions', 'restore_scene_revision'
+        ]);
+    });
+
+    it('saves revisions with author, diff and derived word counts', async () => {
+        const { mockDb, state } = seededDb();
+        const handlers = new ProseHandlers(mockDb);
+
+        const first = await handlers.handleSaveSceneProse({ scene_id: 5, content: DRAFT_ONE, author: 'Ana' });
+        assert.strictEqual(first.revision.revision_number, 1);
+        assert.strictEqual(first.diff, null);
+        assert.strictEqual(first.revision.words_added, 12);
+        assert.strictEqual(first.scene_word_count, 12);
+        assert.strictEqual(first.chapter_word_count, 52);
+
+        const second = await handlers.handleSaveSceneProse({
+            scene_id: 5, content: DRAFT_TWO, author: 'Ben', note: 'Sharper opening', expected_revision: 1
+        });
+        assert.strictEqual(second.revision.revision_number, 2);
+        assert.strictEqual(second.revision.author, 'Ben');
+        assert.strictEqual(second.revision.note, 'Sharper opening');
+        assert.deepStrictEqual([second.revision.words_added, second.revision.words_removed], [5, 1]);
+        assert.match(second.diff, /^--- revision 1\n\+\+\+ revision 2\n/);
+        assert.strictEqual(state.scene.scene_content, DRAFT_TWO);
+        assert.strictEqual(state.scene.word_count, 16);
+
+        const writes = mockDb.queries.filter(q => /INSERT|UPDATE|FOR UPDATE/.test(q.text));
+        assert.ok(writes.every(q => q.inTransaction));
+    });
+
+    it('records nothing for identical text and reports a stale expected_revision', async () => {
+        const { mockDb, state } = seededDb({ revisions: [{ content: DRAFT_ONE }], sceneContent: DRAFT_ONE });
+        const handlers = new ProseHandlers(mockDb);
+
+        const same = await handlers.handleSaveSceneProse({ scene_id: 5, content: DRAFT_ONE, author: 'Ana' });
+        assert.strictEqual(same.unchanged, true);
+        assert.strictEqual(state.revisions.length, 1);
+
+        const stale = await handlers.handleSaveSceneProse({ scene_id: 5, content: DRAFT_TWO, author: 'Ana', expected_revision: 0 });
+        assert.strictEqual(stale.error, 'conflict');
+        assert.strictEqual(stale.status, 409);
+        assert.strictEqual(stale.current_revision, 1);
+        assert.strictEqual(state.revisions.length, 1);
+
+        await assert.rejects(
+            handlers.handleSaveSceneProse({ scene_id: 5, content: DRAFT_TWO }),
+            /Failed to save scene prose: author is required/
+        );
+    });
+
+    it('first records scene_content that was changed without a revision', async () => {
+        const { mockDb, state } = seededDb({ revisions: [{ content: DRAFT_ONE }], sceneContent: 'Edited by hand.' });
+        const handlers = new ProseHandlers(mockDb);
+
+        const saved = await handlers.handleSaveSceneProse({ scene_id: 5, content: DRAFT_TWO, author: 'Ana' });
+        assert.strictEqual(saved.revision.revision_number, 3);
+        assert.strictEqual(state.revisions[1].content, 'Edited by hand.');
+        assert.match(state.revisions[1].change_note, /changed without a revision/);
+        assert.match(state.revisions[2].diff_from_previous, /^-Edited by hand\.$/m);
+    });
+
+    it('lists revisions newest first without their text', async () => {
+        const { mockDb } = seededDb({ revisions: [{ content: DRAFT_ONE }, { content: DRAFT_TWO, author: 'Ben' }] });
+        const result = await new ProseHandlers(mockDb).handleListSceneRevisions({ scene_id: 5 });
+        assert.strictEqual(result.current_revision, 2);
+        assert.deepStrictEqual(result.revisions.map(r => r.revision_number), [2, 1]);
+        assert.ok(result.revisions.every(r => !('content' in r)));
+    });
+
+    it('fetches any revision and works out the diff an imported revision lacks', async () => {
+        const { mockDb } = seededDb({ revisions: [{ content: DRAFT_ONE }, { content: DRAFT_TWO }] });
+        const handlers = new ProseHandlers(mockDb);
+
+        const old = await handlers.handleGetSceneRevision({ scene_id: 5, revision_number: 1 });
+        assert.strictEqual(old.revision.content, DRAFT_ONE);
+        assert.strictEqual(old.is_current, false);
+
+        const latest = await handlers.handleGetSceneRevision({ scene_id: 5, include_diff: true });
+        assert.strictEqual(latest.revision.revision_number, 2);
+        assert.strictEqual(latest.is_current, true);
+        assert.match(latest.revision.diff_from_previous, /^\+No one came\.$/m);
+
+        await assert.rejects(
+            handlers.handleGetSceneRevision({ scene_id: 5, revision_number: 9 }),
+            /Scene 5 has no revision 9/
+        );
+    });
+
+    it('diffs two revisions in either direction', async () => {
+        const { mockDb } = seededDb({ revisions: [{ content: DRAFT_ONE }, { content: DRAFT_TWO }] });
+        const handlers = new ProseHandlers(mockDb);
+
+        const forward = await handlers.handleDiffSceneRevisions({ scene_id: 5, from_revision: 1 });
+        assert.strictEqual(forward.to_revision.revision_number, 2);
+        assert.strictEqual(forward.word_count_change, 4);
+        assert.deepStrictEqual([forward.words_added, forward.words_removed], [5, 1]);
+
+        const backward = await handlers.handleDiffSceneRevisions({ scene_id: 5, from_revision: 2, to_revision: 1, context_lines: 0 });
+        assert.strictEqual(backward.diff.split('\n').filter(l => l.startsWith('@@')).length, 2);
+        assert.deepStrictEqual([backward.words_added, backward.words_removed], [1, 5]);
+    });
+
+    it('restores an old revision by appending it', async () => {
+        const { mockDb, state } = seededDb({
+            revisions: [{ content: DRAFT_ONE }, { content: DRAFT_TWO }], sceneContent: DRAFT_TWO
+        });
+        const handlers = new ProseHandlers(mockDb);
+
+        const restored = await handlers.handleRestoreSceneRevision({ scene_id: 5, revision_number: 1, author: 'Ana' });
+        assert.strictEqual(restored.revision.revision_number, 3);
+        assert.strictEqual(restored.revision.restored_from_revision, 1);
+        assert.strictEqual(restored.revision.note, 'Restored revision 1');
+        assert.strictEqual(state.scene.scene_content, DRAFT_ONE);
+        assert.strictEqual(state.revisions.length, 3);
+
+        const again = await handlers.handleRestoreSceneRevision({ scene_id: 5, revision_number: 1, author: 'Ana' });
+        assert.strictEqual(again.unchanged, true);
+        assert.strictEqual(state.revisions.length, 3);
+    });
+});
+
+describe('SceneHandlers.handleUpdateScene prose', () => {
+    it('saves scene_content as a revision and derives word_count', async () => {
+        const { mockDb, state } = seededDb({ revisions: [{ content: DRAFT_ONE }], sceneContent: DRAFT_ONE });
+        const handlers = new SceneHandlers(mockDb);
+
+        const result = await handlers.handleUpdateScene({
+            scene_id: 5, scene_content: DRAFT_TWO, revision_author: 'Ben', revision_note: 'Second pass'
+        });
+        assert.strictEqual(result.prose_revision.revision_number, 2);
+        assert.strictEqual(result.scene.word_count, 16);
+        assert.strictEqual(state.revisions[1].author, 'Ben');
+
+        // The metadata update only touches updated_at; the text goes through the revision.
+        const update = mockDb.queries.find(q => q.text.includes('UPDATE chapter_scenes'));
+        assert.deepStrictEqual(update.params, [5]);
+        assert.ok(update.inTransaction);
+    });
+
+    it('refuses a hand-set word_count once the scene has prose, and scene_revisions', async () => {
+        const { mockDb } = seededDb({ revisions: [{ content: DRAFT_ONE }] });
+        const handlers = new SceneHandlers(mockDb);
+
+        await assert.rejects(handlers.handleUpdateScene({ scene_id: 5, word_count: 900 }), /derived from the scene's saved prose/);
+        await assert.rejects(
+            handlers.handleUpdateScene({ scene_id: 5, scene_content: DRAFT_TWO, word_count: 900 }),
+            /derived from scene_content/
+        );
+        await assert.rejects(handlers.handleUpdateScene({ scene_id: 5, scene_revisions: ['old'] }), /no longer written/);
+
+        const { mockDb: emptyDb } = seededDb();
+        const result = await new SceneHandlers(emptyDb).handleUpdateScene({ scene_id: 5, word_count: 900 });
+        assert.ok(!('prose_revision' in result));
+    });
+});
@@ -0,0 +1,142 @@
+// tests/business-server/book-links.test.js
+// Tests for the canon-book links (migration 058): title matching for
+// suggestions, link/unlink of book_ref labels, validated pipeline book_id
+// and the per-series P&L rollup. DB is mocked, matching
+// tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeTitle, scoreBookMatch, suggestBooks } from '../../src/mcps/business-server/utils/book-matching.js';
+import { BookLinkHandlers } from '../../src/mcps/business-server/handlers/book-link-handlers.js';
+import { PlanningHandlers } from '../../src/mcps/business-server/handlers/planning-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    return mockDb;
+}
+
+const BOOKS = [
+    { id: 10, title: 'The Glass Oath', book_number: 1, series_id: 3, series_title: 'Ashfall' },
+    { id: 11, title: 'Ember Crown', book_number: 2, series_id: 3, series_title: 'Ashfall' },
+    { id: 12, title: 'Salt and Iron', book_number: 1, series_id: 4, series_title: 'Tidewrack' }
+];
+
+describe('book title matching', () => {
+    it('ignores case, punctuation and a leading article', () => {
+        assert.strictEqual(normalizeTitle('The Glass-Oath!'), 'glass oath');
+        assert.strictEqual(scoreBookMatch('glass oath', BOOKS[0]).score, 100);
+    });
+
+    it('matches a series label with a book number', () => {
+        assert.strictEqual(scoreBookMatch('Ashfall #2', BOOKS[1]).score, 90);
+        assert.strictEqual(scoreBookMatch('Ashfall Book 2 ads', BOOKS[1]).score, 90);
+        assert.notStrictEqual(scoreBookMatch('Ashfall 12', BOOKS[1]).score, 90);
+    });
+
+    it('ranks suggestions best first and drops weak ones', () => {
+        const suggestions = suggestBooks('Ember Crown launch', BOOKS);
+
+        assert.deepStrictEqual(suggestions.map(s => s.book_id), [11]);
+        assert.strictEqual(suggestions[0].score, 75);
+        assert.deepStrictEqual(suggestBooks('Website hosting', BOOKS), []);
+    });
+});
+
+describe('BookLinkHandlers', () => {
+    it('links a label after checking the book exists', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM books b', [BOOKS[1]]);
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_book_refs', [{ id: 1, book_ref: 'Ember', book_id: 11 }]);
+        const handlers = new BookLinkHandlers(mockDb);
+
+        const result = await handlers.handleLinkBookRef({ book_ref: 'Ember', book_id: 11 });
+        const insertCall = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_book_refs'));
+
+        assert.strictEqual(result.book.series_title, 'Ashfall');
+        assert.ok(insertCall.text.includes('ON CONFLICT (company_id, book_ref)'));
+        assert.deepStrictEqual(insertCall.params, [1, 'Ember', 11, null]);
+    });
+
+    it('refuses a book that does not exist', async () => {
+        const handlers = new BookLinkHandlers(seededDb());
+        await assert.rejects(handlers.handleLinkBookRef({ book_ref: 'Ember', book_id: 99 }), /book_id 99 not found in books/);
+    });
+
+    it('suggests books only for unlinked labels and pipeline items', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('WITH used AS', [
+            { book_ref: 'Glass Oath', transaction_count: 4, content_item_count: 1, linked_book_id: null },
+            { book_ref: 'Ember', transaction_count: 2, content_item_count: 0, linked_book_id: 11 }
+        ]);
+        mockDb.setQueryResult('FROM fictionlab.biz_pipeline_items', [{ id: 5, title: 'Salt & Iron', stage: 'edit' }]);
+        mockDb.setQueryResult('FROM books b', BOOKS);
+        const handlers = new BookLinkHandlers(mockDb);
+
+        const result = await handlers.handleResolveBookRefs({});
+
+        assert.strictEqual(result.unlinked_count, 1);
+        assert.deepStrictEqual(result.book_refs.map(r => r.book_ref), ['Glass Oath']);
+        assert.strictEqual(result.book_refs[0].suggestions[0].book_id, 10);
+        assert.strictEqual(result.pipeline_items[0].suggestions[0].book_id, 12);
+    });
+
+    it('nests books under their series and totals what is unlinked', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_v_series_pnl', [{ series_id: 3, series_title: 'Ashfall', net: '400.00' }]);
+        mockDb.setQueryResult('FROM fictionlab.biz_v_book_pnl', [
+            { book_ref: 'Ember', book_id: 11, series_id: 3, net: '250.00' },
+            { book_ref: 'Glass Oath', book_id: 10, series_id: 3, net: '150.00' },
+            { book_ref: 'misc ads', book_id: null, series_id: null, net: '-35.50' }
+        ]);
+        const handlers = new BookLinkHandlers(mockDb);
+
+        const result = await handlers.handleGetSeriesPnl({});
+
+        assert.deepStrictEqual(result.series[0].books.map(b => b.book_id), [11, 10]);
+        assert.deepStrictEqual(result.unlinked_book_refs, ['misc ads']);
+        assert.strictEqual(result.unlinked_net, -35.5);
+    });
+});
+
+describe('PlanningHandlers pipeline book_id', () => {
+    it('rejects a pipeline item pointing at a missing book', async () => {
+        const handlers = new PlanningHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleUpdatePipelineItem({ pipeline_item_id: 5, book_id: 99 }),
+            /book_id 99 not found in books/
+        );
+    });
+
+    it('lets book_id be cleared without a lookup', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('UPDATE fictionlab.biz_pipeline_items SET', [{ id: 5, book_id: null }]);
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleUpdatePipelineItem({ pipeline_item_id: 5, book_id: null });
+
+        assert.strictEqual(result.pipeline_item.book_id, null);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('FROM books b')));
+    });
+});
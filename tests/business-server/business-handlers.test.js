@@ -0,0 +1,267 @@
+// tests/business-server/business-handlers.test.js
+// Tests for the business-server handlers (S15 business tracker): default
+// 'Broad Quill' company resolution, company-scoped updates/deletes,
+// same-company reference checks, enum validation, two-leg transfers and the
+// biz_kpis upsert.
+// Exercises the handlers against a mocked db (no live database required),
+// matching the pattern used in tests/outline-server/works-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveCompanyId, DEFAULT_COMPANY_NAME } from '../../src/mcps/business-server/handlers/biz-helpers.js';
+import { CompanyHandlers } from '../../src/mcps/business-server/handlers/company-handlers.js';
+import { FinanceHandlers } from '../../src/mcps/business-server/handlers/finance-handlers.js';
+import { ObligationHandlers } from '../../src/mcps/business-server/handlers/obligation-handlers.js';
+import { ContentHandlers } from '../../src/mcps/business-server/handlers/content-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    setQueryHandler(queryPattern, handler) {
+        this.queryResults.set(queryPattern, handler);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE id = $1', [{ id: 2 }]);
+    return mockDb;
+}
+
+describe('resolveCompanyId', () => {
+    it('falls back to the Broad Quill company when company_id is omitted', async () => {
+        const mockDb = seededDb();
+        const companyId = await resolveCompanyId(mockDb, undefined);
+
+        assert.strictEqual(companyId, 1);
+        assert.deepStrictEqual(mockDb.queries[0].params, [DEFAULT_COMPANY_NAME]);
+    });
+
+    it('rejects an unknown explicit company_id', async () => {
+        const mockDb = new MockDatabase();
+        await assert.rejects(resolveCompanyId(mockDb, 99), /Company not found: 99/);
+    });
+
+    it('explains a missing default company', async () => {
+        const mockDb = new MockDatabase();
+        await assert.rejects(resolveCompanyId(mockDb, undefined), /Default company 'Broad Quill' not found/);
+    });
+});
+
+describe('CompanyHandlers', () => {
+    it('refuses a duplicate company name', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+        const handlers = new CompanyHandlers(mockDb);
+
+        await assert.rejects(handlers.handleCreateCompany({ name: 'Broad Quill' }), /already exists/);
+    });
+
+    it('rejects an invalid contact_type', async () => {
+        const handlers = new CompanyHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateContact({ name: 'Ada', contact_type: 'friend' }),
+            /Invalid contact_type: friend/
+        );
+    });
+
+    it('scopes contact updates to the resolved company', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('UPDATE fictionlab.biz_contacts SET', [{ id: 7, name: 'Ada' }]);
+        const handlers = new CompanyHandlers(mockDb);
+
+        const result = await handlers.handleUpdateContact({ contact_id: 7, name: 'Ada' });
+        const updateCall = mockDb.queries.find(q => q.text.includes('UPDATE fictionlab.biz_contacts SET'));
+
+        assert.strictEqual(result.contact.id, 7);
+        assert.ok(updateCall.text.includes('WHERE id = $1 AND company_id = $2'));
+        assert.deepStrictEqual(updateCall.params, [7, 1, 'Ada']);
+    });
+
+    it('reports a contact owned by another company as not found', async () => {
+        const handlers = new CompanyHandlers(seededDb());
+        await assert.rejects(handlers.handleDeleteContact({ contact_id: 7 }), /Contact not found: 7/);
+    });
+});
+
+describe('FinanceHandlers', () => {
+    it('rejects card-only fields on a non-card account', async () => {
+        const handlers = new FinanceHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateAccount({ name: 'Checking', account_type: 'checking', apr: 19.99 }),
+            /apr only apply to account_type 'credit_card'/
+        );
+    });
+
+    it('accepts card fields on a credit card', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_accounts', [{ id: 3, account_type: 'credit_card' }]);
+        const handlers = new FinanceHandlers(mockDb);
+
+        const result = await handlers.handleCreateAccount({
+            name: 'Card', account_type: 'credit_card', apr: 19.99, statement_day: 15
+        });
+        assert.strictEqual(result.account.id, 3);
+    });
+
+    it('rejects a non-positive transaction amount', async () => {
+        const handlers = new FinanceHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateTransaction({
+                account_id: 3, occurred_on: '2026-01-05', amount: -12, direction: 'expense'
+            }),
+            /Invalid amount: -12/
+        );
+    });
+
+    it('rejects a transaction on another company\'s account', async () => {
+        const handlers = new FinanceHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateTransaction({
+                account_id: 3, occurred_on: '2026-01-05', amount: 12, direction: 'expense'
+            }),
+            /account_id 3 not found for company 1/
+        );
+    });
+});
+
+describe('FinanceHandlers transfers', () => {
+    function transferDb() {
+        const mockDb = seededDb();
+        mockDb.setQueryHandler('SELECT * FROM fictionlab.biz_accounts WHERE id = $1', (params) => ({
+            rows: [{ id: params[0], name: `Account ${params[0]}`, currency: 'USD', is_archived: false }]
+        }));
+        let nextId = 50;
+        mockDb.setQueryHandler('INSERT INTO fictionlab.biz_transactions', () => ({ rows: [{ id: nextId++ }] }));
+        mockDb.setQueryHandler('SET transfer_pair_id = $2', (params) => ({
+            rows: [{ id: params[0], transfer_pair_id: params[1] }]
+        }));
+        return mockDb;
+    }
+
+    it('writes an out leg and an in leg linked to each other', async () => {
+        const mockDb = transferDb();
+        const handlers = new FinanceHandlers(mockDb);
+
+        const result = await handlers.handleCreateTransfer({
+            from_account_id: 3, to_account_id: 4, occurred_on: '2026-02-01', amount: 250
+        });
+        const inserts = mockDb.queries.filter(q => q.text.includes('INSERT INTO fictionlab.biz_transactions'));
+        const outColumns = inserts[0].text.match(/\(([^)]*)\)/)[1].split(', ');
+        const inColumns = inserts[1].text.match(/\(([^)]*)\)/)[1].split(', ');
+
+        assert.strictEqual(inserts[0].params[outColumns.indexOf('account_id')], 3);
+        assert.strictEqual(inserts[0].params[outColumns.indexOf('to_account_id')], 4);
+        assert.strictEqual(inserts[1].params[inColumns.indexOf('account_id')], 4);
+        assert.strictEqual(inserts[1].params[inColumns.indexOf('transfer_pair_id')], 50);
+        assert.strictEqual(result.transfer.out_leg.transfer_pair_id, 51);
+    });
+
+    it('refuses a transfer to the same account', async () => {
+        const handlers = new FinanceHandlers(transferDb());
+        await assert.rejects(
+            handlers.handleCreateTransfer({ from_account_id: 3, to_account_id: 3, occurred_on: '2026-02-01', amount: 5 }),
+            /must be different accounts/
+        );
+    });
+
+    it('refuses direction transfer on create_transaction', async () => {
+        const handlers = new FinanceHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateTransaction({ account_id: 3, occurred_on: '2026-02-01', amount: 5, direction: 'transfer' }),
+            /Use create_transfer/
+        );
+    });
+
+    it('refuses to change the amount of a transfer leg', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_transactions', [{ id: 50, transfer_pair_id: 51, to_account_id: 4 }]);
+        const handlers = new FinanceHandlers(mockDb);
+
+        await assert.rejects(
+            handlers.handleUpdateTransaction({ transaction_id: 50, amount: 300 }),
+            /transfer leg; amount cannot change/
+        );
+    });
+
+    it('deletes both legs together', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryHandler('DELETE FROM fictionlab.biz_transactions', (params) => ({
+            rows: [{ id: params[0], transfer_pair_id: params[0] === 50 ? 51 : null }]
+        }));
+        const handlers = new FinanceHandlers(mockDb);
+
+        const result = await handlers.handleDeleteTransaction({ transaction_id: 50 });
+
+        assert.strictEqual(result.paired_transaction.id, 51);
+    });
+});
+
+describe('ObligationHandlers', () => {
+    it('defaults a new debt\'s balance to its principal', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_debts', [{ id: 4 }]);
+        const handlers = new ObligationHandlers(mockDb);
+
+        await handlers.handleCreateDebt({ name: 'Loan', principal: 5000 });
+        const insertCall = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_debts'));
+        const columns = insertCall.text.match(/\(([^)]*)\)/)[1].split(', ');
+
+        assert.strictEqual(insertCall.params[columns.indexOf('balance')], 5000);
+    });
+
+    it('rejects a subscription cadence outside the enum', async () => {
+        const handlers = new ObligationHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateSubscription({ name: 'Canva', amount: 12.99, cadence: 'weekly' }),
+            /Invalid cadence: weekly/
+        );
+    });
+});
+
+describe('ContentHandlers.handleRecordKpi', () => {
+    it('upserts on (platform_id, metric_name, metric_date)', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT 1 FROM fictionlab.biz_platforms', [{ '?column?': 1 }]);
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_kpis', [{ id: 9, value: '42' }]);
+        const handlers = new ContentHandlers(mockDb);
+
+        const result = await handlers.handleRecordKpi({
+            platform_id: 5, metric_name: 'units', metric_date: '2026-01-05', value: 42
+        });
+        const insertCall = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_kpis'));
+
+        assert.strictEqual(result.kpi.id, 9);
+        assert.ok(insertCall.text.includes('ON CONFLICT (platform_id, metric_name, metric_date)'));
+    });
+
+    it('rejects a platform owned by another company', async () => {
+        const handlers = new ContentHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleRecordKpi({ platform_id: 5, metric_name: 'units', metric_date: '2026-01-05', value: 1 }),
+            /platform_id 5 not found for company 1/
+        );
+    });
+});
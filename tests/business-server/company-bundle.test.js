@@ -0,0 +1,195 @@
+// tests/business-server/company-bundle.test.js
+// Tests for the company hand-off bundle (S15 §0b): CSV writing, checksum
+// verification, id remapping and an export -> import round trip through a
+// temp directory. DB is mocked, matching
+// tests/business-server/business-handlers.test.js.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    BUNDLE_TABLES,
+    toCsv,
+    sha256,
+    verifyManifest,
+    remapRow
+} from '../../src/mcps/business-server/utils/company-bundle.js';
+import { BundleHandlers } from '../../src/mcps/business-server/handlers/bundle-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    setQueryHandler(queryPattern, handler) {
+        this.queryResults.set(queryPattern, handler);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(text, params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+const SOURCE_ROWS = {
+    biz_accounts: [{ id: 10, company_id: 1, name: 'Checking', account_type: 'checking' }, { id: 11, company_id: 1, name: 'Savings', account_type: 'savings' }],
+    biz_debts: [{ id: 30, company_id: 1, name: 'Card loan', principal: 1000, balance: 600, status: 'active' }],
+    biz_pipeline_items: [{ id: 40, company_id: 1, title: 'Ember Crown', stage: 'draft', book_id: 7 }],
+    biz_transactions: [
+        { id: 50, account_id: 10, occurred_on: '2026-03-02', amount: 200, direction: 'expense', debt_id: 30, to_account_id: null, transfer_pair_id: null },
+        { id: 51, account_id: 10, occurred_on: '2026-03-03', amount: 50, direction: 'transfer', debt_id: null, to_account_id: 11, transfer_pair_id: 52 },
+        { id: 52, account_id: 11, occurred_on: '2026-03-03', amount: 50, direction: 'transfer', debt_id: null, to_account_id: null, transfer_pair_id: 51 }
+    ],
+    biz_book_refs: [{ id: 60, company_id: 1, book_ref: 'Ember Crown', book_id: 7 }, { id: 61, company_id: 1, book_ref: 'Lost Book', book_id: 99 }]
+};
+
+function sourceDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    mockDb.setQueryResult('FROM fictionlab.biz_companies t', [{ row: { id: 1, name: 'Broad Quill', status: 'closed', closed_on: '2026-03-31' } }]);
+    mockDb.setQueryResult('FROM migrations', [{ filename: '059_biz_kpi_import_profiles.sql' }]);
+    mockDb.setQueryHandler('SELECT to_jsonb(', (text) => {
+        const table = text.match(/FROM fictionlab\.(biz_\w+)/)[1];
+        return { rows: (SOURCE_ROWS[table] || []).map(row => ({ row })) };
+    });
+    return mockDb;
+}
+
+function targetDb({ books = [7] } = {}) {
+    const mockDb = new MockDatabase();
+    let nextId = 500;
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', []);
+    mockDb.setQueryResult('FROM books WHERE id = ANY', books.map(id => ({ id })));
+    mockDb.setQueryResult('FROM information_schema.columns', ['biz_companies', ...BUNDLE_TABLES.map(spec => spec.table)].flatMap(table =>
+        ['company_id', 'name', 'status', 'closed_on', 'account_type', 'principal', 'balance', 'title', 'stage', 'book_id',
+            'account_id', 'occurred_on', 'amount', 'direction', 'debt_id', 'to_account_id', 'transfer_pair_id', 'book_ref']
+            .map(column_name => ({ table_name: table, column_name }))
+    ));
+    mockDb.setQueryHandler('jsonb_populate_record', () => ({ rows: [{ id: nextId++ }] }));
+    return mockDb;
+}
+
+function inserts(mockDb, table) {
+    return mockDb.queries
+        .filter(q => q.text.includes(`INSERT INTO fictionlab.${table} (`))
+        .map(q => JSON.parse(q.params[0]));
+}
+
+describe('company bundle helpers', () => {
+    it('writes CSV with quoting and JSON for arrays', () => {
+        assert.strictEqual(
+            toCsv([{ name: 'Ink, Inc.', tags: ['a', 'b'] }, { name: 'Say "hi"', extra: null }]),
+            'name,tags,extra\r\n"Ink, Inc.","[""a"",""b""]",\r\n"Say ""hi""",,\r\n'
+        );
+    });
+
+    it('reports tampered files and paths outside the bundle', () => {
+        const manifest = {
+            format: 'fictionlab-biz-company-bundle',
+            version: 1,
+            files: [{ path: 'company.json', sha256: sha256('{}') }, { path: '../secrets.json', sha256: 'x' }]
+        };
+
+        assert.deepStrictEqual(verifyManifest(manifest, { 'company.json': '{ }' }), [
+            'company.json: checksum mismatch',
+            '../secrets.json: path leaves the bundle directory'
+        ]);
+        assert.match(verifyManifest({ format: 'other' }, {})[0], /Not a company bundle/);
+    });
+
+    it('remaps refs and refuses a ref the bundle does not contain', () => {
+        const spec = BUNDLE_TABLES.find(entry => entry.table === 'biz_savings_goals');
+        const idMaps = { biz_accounts: new Map([['10', 500]]) };
+
+        assert.deepStrictEqual(remapRow({ id: 3, company_id: 1, account_id: 10 }, spec, 9, idMaps), { company_id: 9, account_id: 500 });
+        assert.throws(() => remapRow({ id: 3, company_id: 1, account_id: 12 }, spec, 9, idMaps), /account_id 12 is not in the bundle's biz_accounts/);
+    });
+});
+
+describe('BundleHandlers export -> import', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'biz-bundle-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('exports every table with a checksummed manifest and refuses to overwrite it', async () => {
+        const handlers = new BundleHandlers(sourceDb());
+
+        const result = await handlers.handleExportCompanyBundle({ dir_path: dir });
+        const manifest = JSON.parse(await readFile(join(dir, 'manifest.json'), 'utf8'));
+        const csv = await readFile(join(dir, 'tables/biz_transactions.csv'), 'utf8');
+
+        assert.strictEqual(result.table_counts.biz_transactions, 3);
+        assert.strictEqual(manifest.schema_migration, '059_biz_kpi_import_profiles.sql');
+        assert.strictEqual(manifest.files.find(file => file.path === 'tables/biz_transactions.csv').sha256, sha256(csv));
+        assert.ok(manifest.files.some(file => file.path === 'views/biz_v_cash_position.json'));
+        await assert.rejects(handlers.handleExportCompanyBundle({ dir_path: dir }), /already exists -- pass overwrite/);
+    });
+
+    it('imports under a new company with remapped ids, transfer pairs and debt balances', async () => {
+        const mockDb = targetDb();
+        const handlers = new BundleHandlers(mockDb);
+
+        const result = await handlers.handleImportCompanyBundle({ dir_path: dir, name: 'Broad Quill Archive' });
+        const [company] = inserts(mockDb, 'biz_companies');
+        const transactions = inserts(mockDb, 'biz_transactions');
+        const pairUpdates = mockDb.queries.filter(q => q.text.includes('SET transfer_pair_id'));
+        const debtRestore = mockDb.queries.find(q => q.text.includes('UPDATE fictionlab.biz_debts'));
+
+        assert.strictEqual(company.name, 'Broad Quill Archive');
+        assert.strictEqual(result.company.id, 500);
+        assert.deepStrictEqual(transactions.map(t => [t.account_id, t.debt_id, t.transfer_pair_id]), [[501, 504, null], [501, null, null], [502, null, null]]);
+        assert.deepStrictEqual(pairUpdates.map(q => q.params), [[506, 507], [507, 506]]);
+        assert.deepStrictEqual(debtRestore.params, [504, 600, 'active']);
+        assert.deepStrictEqual(result.unresolved_book_ids, [99]);
+        assert.deepStrictEqual(result.skipped_book_refs, ['Lost Book']);
+        assert.strictEqual(result.table_counts.biz_book_refs, 1);
+    });
+
+    it('writes nothing on a dry run and refuses a taken name', async () => {
+        const dryDb = targetDb();
+        const dry = await new BundleHandlers(dryDb).handleImportCompanyBundle({ dir_path: dir, dry_run: true });
+        assert.strictEqual(dry.company.id, null);
+        assert.ok(!dryDb.queries.some(q => q.text.includes('INSERT INTO')));
+
+        const takenDb = targetDb();
+        takenDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+        await assert.rejects(
+            new BundleHandlers(takenDb).handleImportCompanyBundle({ dir_path: dir }),
+            /A company named 'Broad Quill' already exists/
+        );
+    });
+
+    it('refuses a bundle whose files no longer match the manifest', async () => {
+        const path = join(dir, 'tables/biz_debts.json');
+        const rows = JSON.parse(await readFile(path, 'utf8'));
+        rows[0].balance = 1;
+        await writeFile(path, JSON.stringify(rows, null, 2) + '\n', 'utf8');
+
+        await assert.rejects(
+            new BundleHandlers(targetDb()).handleImportCompanyBundle({ dir_path: dir }),
+            /failed verification: tables\/biz_debts.json: checksum mismatch/
+        );
+    });
+});
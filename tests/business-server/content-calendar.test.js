@@ -0,0 +1,207 @@
+// tests/business-server/content-calendar.test.js
+// Tests for the content calendar (S15 §4b biz_content_items): forward-only
+// status moves, rescheduling, platform grouping and the .ics export. DB is
+// mocked, matching tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildCalendar, escapeText, foldLine } from '../../src/mcps/business-server/utils/icalendar.js';
+import { CalendarHandlers } from '../../src/mcps/business-server/handlers/calendar-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    return mockDb;
+}
+
+function updateCall(mockDb) {
+    return mockDb.queries.find(q => q.text.includes('UPDATE fictionlab.biz_content_items'));
+}
+
+describe('iCalendar writer', () => {
+    it('escapes TEXT values and folds long lines at 75 octets', () => {
+        assert.strictEqual(escapeText('Launch; day, 1\nnotes'), 'Launch\\; day\\, 1\\nnotes');
+
+        const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n ');
+        assert.ok(folded.every(part => Buffer.byteLength(part, 'utf8') <= 75));
+        assert.strictEqual(folded.join(''), `SUMMARY:${'é'.repeat(60)}`);
+    });
+
+    it('writes all-day events with an exclusive DTEND and CRLF line endings', () => {
+        const ics = buildCalendar({
+            name: 'Broad Quill content calendar',
+            events: [{ uid: 'biz-deadline-4@fictionlab', date: '2026-12-31', summary: 'Due: Q4 taxes', rrule: 'FREQ=MONTHLY;INTERVAL=3' }],
+            generatedAt: new Date('2026-03-01T09:30:00.123Z')
+        });
+        const lines = ics.split('\r\n');
+
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(lines.includes('DTSTAMP:20260301T093000Z'));
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+        assert.ok(lines.includes('RRULE:FREQ=MONTHLY;INTERVAL=3'));
+    });
+});
+
+describe('CalendarHandlers.handlePlanContentItem', () => {
+    it('needs a publish_date to plan an item as scheduled', async () => {
+        const handlers = new CalendarHandlers(seededDb());
+        await assert.rejects(
+            handlers.handlePlanContentItem({ title: 'Cover reveal', status: 'scheduled' }),
+            /A scheduled content item needs a publish_date/
+        );
+        await assert.rejects(
+            handlers.handlePlanContentItem({ title: 'Cover reveal', status: 'published', publish_date: '2026-03-02' }),
+            /advance_content_item/
+        );
+    });
+
+    it('reports other items on the same platform and day', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT 1 FROM fictionlab.biz_platforms', [{ id: 5 }]);
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_content_items', [{ id: 12 }]);
+        mockDb.setQueryResult('WHERE c.id = $1', [{ id: 12, platform_id: 5, status: 'scheduled', publish_date: '2026-03-02' }]);
+        mockDb.setQueryResult('AND id <> $3', [{ id: 9, title: 'Preorder post', status: 'scheduled' }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handlePlanContentItem({
+            title: 'Cover reveal', platform_id: 5, status: 'scheduled', publish_date: '2026-03-02'
+        });
+        const sameDayQuery = mockDb.queries.find(q => q.text.includes('AND id <> $3'));
+
+        assert.deepStrictEqual(sameDayQuery.params, [1, '2026-03-02', 12, 5]);
+        assert.deepStrictEqual(result.same_day.map(item => item.id), [9]);
+    });
+});
+
+describe('CalendarHandlers.handleRescheduleContentItem', () => {
+    it('drops a scheduled item back to draft when its date is cleared', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 12, status: 'scheduled', publish_date: '2026-03-02' }]);
+        mockDb.setQueryResult('WHERE c.id = $1', [{ id: 12 }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        await assert.rejects(handlers.handleRescheduleContentItem({ content_item_id: 12 }), /null unschedules/);
+        const result = await handlers.handleRescheduleContentItem({ content_item_id: 12, publish_date: null });
+
+        assert.deepStrictEqual(updateCall(mockDb).params, [12, 1, null, 'draft']);
+        assert.strictEqual(result.previous_publish_date, '2026-03-02');
+    });
+
+    it('leaves published items alone', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 12, status: 'published', publish_date: '2026-03-02' }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        await assert.rejects(
+            handlers.handleRescheduleContentItem({ content_item_id: 12, publish_date: '2026-03-09' }),
+            /already published on 2026-03-02/
+        );
+        assert.strictEqual(updateCall(mockDb), undefined);
+    });
+});
+
+describe('CalendarHandlers.handleAdvanceContentItem', () => {
+    it('moves one step by default and refuses to schedule without a date', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 12, status: 'draft', publish_date: null }]);
+        mockDb.setQueryResult('WHERE c.id = $1', [{ id: 12 }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        await assert.rejects(handlers.handleAdvanceContentItem({ content_item_id: 12 }), /needs a publish_date/);
+        await handlers.handleAdvanceContentItem({ content_item_id: 12, publish_date: '2026-03-09' });
+
+        assert.deepStrictEqual(updateCall(mockDb).params, [12, 1, 'scheduled', '2026-03-09', null]);
+    });
+
+    it('can jump straight to published but never moves backwards', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 12, status: 'scheduled', publish_date: '2026-03-09' }]);
+        mockDb.setQueryResult('WHERE c.id = $1', [{ id: 12 }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        await assert.rejects(
+            handlers.handleAdvanceContentItem({ content_item_id: 12, to_status: 'draft' }),
+            /Cannot advance content item 12 from scheduled to draft/
+        );
+        const result = await handlers.handleAdvanceContentItem({
+            content_item_id: 12, to_status: 'published', published_on: '2026-03-10', external_ref: 'https://example.com/p/1'
+        });
+
+        assert.deepStrictEqual(updateCall(mockDb).params, [12, 1, 'published', '2026-03-10', 'https://example.com/p/1']);
+        assert.strictEqual(result.previous_status, 'scheduled');
+    });
+});
+
+describe('CalendarHandlers.handleGetContentCalendar', () => {
+    it('groups by platform and keeps unassigned items together', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('ORDER BY p.name NULLS LAST', [
+            { id: 1, platform_id: 5, platform_name: 'Instagram', status: 'scheduled', publish_date: '2026-03-02' },
+            { id: 2, platform_id: 5, platform_name: 'Instagram', status: 'published', publish_date: '2026-03-05' },
+            { id: 3, platform_id: null, platform_name: null, status: 'draft', publish_date: '2026-03-04' }
+        ]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleGetContentCalendar({ date_from: '2026-03-01', date_to: '2026-03-31' });
+
+        assert.deepStrictEqual(result.platforms.map(group => [group.platform_id, group.items.length]), [[5, 2], [null, 1]]);
+        assert.deepStrictEqual(result.status_counts, { idea: 0, draft: 1, scheduled: 1, published: 1 });
+    });
+
+    it('rejects a reversed or over-long range', async () => {
+        const handlers = new CalendarHandlers(seededDb());
+        await assert.rejects(handlers.handleGetContentCalendar({ date_from: '2026-03-31', date_to: '2026-03-01' }), /must span/);
+        await assert.rejects(handlers.handleGetContentCalendar({ date_from: '2026-01-01', date_to: '2027-06-01' }), /must span/);
+    });
+});
+
+describe('CalendarHandlers.handleExportContentCalendarIcs', () => {
+    it('exports scheduled items and recurring deadlines with stable UIDs', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE id = $1', [{ id: 1, name: 'Broad Quill' }]);
+        mockDb.setQueryResult('c.status = ANY($2::text[])', [
+            { id: 12, title: 'Cover reveal', content_type: 'social_post', platform_name: 'Instagram', status: 'scheduled', publish_date: '2026-03-02', external_ref: 'draft-07.md' }
+        ]);
+        mockDb.setQueryResult('FROM fictionlab.biz_deadlines', [
+            { id: 4, title: 'Sales tax filing', due_date: '2026-03-31', recurrence: 'quarterly', category: 'compliance', notes: null }
+        ]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleExportContentCalendarIcs({ include_deadlines: true });
+        const lines = result.ics.split('\r\n');
+
+        assert.strictEqual(result.content_item_count, 1);
+        assert.strictEqual(result.deadline_count, 1);
+        assert.ok(lines.includes('UID:biz-content-item-12@fictionlab'));
+        assert.ok(lines.includes('SUMMARY:[Instagram] Cover reveal'));
+        assert.ok(!lines.some(line => line.startsWith('URL:')), 'a filename is not a URL');
+        assert.ok(lines.includes('UID:biz-deadline-4@fictionlab'));
+        assert.ok(lines.includes('RRULE:FREQ=MONTHLY;INTERVAL=3'));
+    });
+});
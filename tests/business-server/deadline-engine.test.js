@@ -0,0 +1,197 @@
+// tests/business-server/deadline-engine.test.js
+// Tests for the recurring deadline engine (S14 §5): period rolling with
+// month-end clamping, complete/snooze, the alert window and the renewal
+// deadline generated by create_subscription. DB is mocked, matching
+// tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { addRecurrencePeriod, daysBetween } from '../../src/mcps/business-server/utils/deadline-dates.js';
+import { PlanningHandlers } from '../../src/mcps/business-server/handlers/planning-handlers.js';
+import { ObligationHandlers } from '../../src/mcps/business-server/handlers/obligation-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    setQueryHandler(queryPattern, handler) {
+        this.queryResults.set(queryPattern, handler);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    return mockDb;
+}
+
+describe('addRecurrencePeriod', () => {
+    it('clamps month-end dates and returns to the anchor day', () => {
+        assert.strictEqual(addRecurrencePeriod('2026-01-31', 'monthly'), '2026-02-28');
+        assert.strictEqual(addRecurrencePeriod('2026-02-28', 'monthly', 31), '2026-03-31');
+        assert.strictEqual(addRecurrencePeriod('2026-03-31', 'monthly', 31), '2026-04-30');
+        assert.strictEqual(addRecurrencePeriod('2028-01-31', 'monthly'), '2028-02-29');
+    });
+
+    it('rolls quarterly and annual periods across year ends', () => {
+        assert.strictEqual(addRecurrencePeriod('2026-11-30', 'quarterly'), '2027-02-28');
+        assert.strictEqual(addRecurrencePeriod('2026-12-15', 'monthly'), '2027-01-15');
+        assert.strictEqual(addRecurrencePeriod('2028-02-29', 'annual'), '2029-02-28');
+        assert.strictEqual(addRecurrencePeriod('2031-02-28', 'annual', 29), '2032-02-29');
+    });
+
+    it('refuses to roll a one-off deadline', () => {
+        assert.throws(() => addRecurrencePeriod('2026-01-31', 'none'), /recurrence 'none'/);
+    });
+
+    it('counts days across a month boundary', () => {
+        assert.strictEqual(daysBetween('2026-01-30', '2026-02-02'), 3);
+        assert.strictEqual(daysBetween('2026-02-02', '2026-01-30'), -3);
+    });
+});
+
+describe('PlanningHandlers.handleCompleteDeadline', () => {
+    it('rolls a recurring deadline one period and stores its anchor day', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 4, recurrence: 'monthly', done_at: null, due_date: '2026-01-31', anchor_day: null }]);
+        mockDb.setQueryHandler('SET due_date = $2', (params) => ({ rows: [{ id: 4, due_date: params[1], anchor_day: params[2] }] }));
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleCompleteDeadline({ deadline_id: 4 });
+
+        assert.strictEqual(result.rolled, true);
+        assert.strictEqual(result.next_due_date, '2026-02-28');
+        assert.strictEqual(result.deadline.anchor_day, 31);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('INSERT')), 'never duplicates the row');
+    });
+
+    it('uses the stored anchor day on later rolls', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 4, recurrence: 'monthly', done_at: null, due_date: '2026-02-28', anchor_day: 31 }]);
+        mockDb.setQueryHandler('SET due_date = $2', (params) => ({ rows: [{ id: 4, due_date: params[1] }] }));
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleCompleteDeadline({ deadline_id: 4 });
+        assert.strictEqual(result.next_due_date, '2026-03-31');
+    });
+
+    it('marks a one-off deadline done and refuses to complete it twice', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 5, recurrence: 'none', done_at: null, due_date: '2026-04-15', anchor_day: null }]);
+        mockDb.setQueryResult('SET done_at = NOW()', [{ id: 5, done_at: '2026-04-10T00:00:00Z' }]);
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleCompleteDeadline({ deadline_id: 5 });
+        assert.strictEqual(result.rolled, false);
+
+        mockDb.setQueryResult('FOR UPDATE', [{ id: 5, recurrence: 'none', done_at: '2026-04-10T00:00:00Z', due_date: '2026-04-15' }]);
+        await assert.rejects(handlers.handleCompleteDeadline({ deadline_id: 5 }), /already completed/);
+    });
+});
+
+describe('PlanningHandlers.handleSnoozeDeadline', () => {
+    it('requires exactly one of snoozed_until or days', async () => {
+        const handlers = new PlanningHandlers(seededDb());
+        await assert.rejects(handlers.handleSnoozeDeadline({ deadline_id: 4 }), /exactly one of snoozed_until or days/);
+        await assert.rejects(
+            handlers.handleSnoozeDeadline({ deadline_id: 4, snoozed_until: '2026-05-01', days: 3 }),
+            /exactly one of snoozed_until or days/
+        );
+    });
+
+    it('clears a snooze with snoozed_until: null', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_deadlines', [{ id: 4, done_at: null }]);
+        mockDb.setQueryResult('UPDATE fictionlab.biz_deadlines SET', [{ id: 4, snoozed_until: null }]);
+        const handlers = new PlanningHandlers(mockDb);
+
+        await handlers.handleSnoozeDeadline({ deadline_id: 4, snoozed_until: null });
+        const updateCall = mockDb.queries.find(q => q.text.includes('UPDATE fictionlab.biz_deadlines SET'));
+        assert.deepStrictEqual(updateCall.params, [4, 1, null]);
+    });
+});
+
+describe('PlanningHandlers.handleGetDeadlineAlerts', () => {
+    it('filters snoozed rows in SQL and annotates overdue/days_until', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_deadlines d', [
+            { id: 1, due_date: '2026-03-28', snoozed_until: null, subscriptions: [], debts: [] },
+            { id: 2, due_date: '2026-04-03', snoozed_until: '2026-03-30', subscriptions: ['Canva'], debts: [] }
+        ]);
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleGetDeadlineAlerts({ as_of: '2026-04-01', within_days: 7 });
+        const alertQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_deadlines d'));
+
+        assert.ok(alertQuery.text.includes('d.snoozed_until IS NULL OR d.snoozed_until <= $2::date'));
+        assert.deepStrictEqual(alertQuery.params, [1, '2026-04-01', 7]);
+        assert.strictEqual(result.overdue_count, 1);
+        assert.strictEqual(result.alerts[0].days_until, -4);
+        assert.strictEqual(result.alerts[1].is_snoozed, false, 'an expired snooze no longer counts');
+    });
+
+    it('keeps snoozed rows in list_upcoming_deadlines', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_deadlines d', [
+            { id: 2, due_date: '2026-04-03', snoozed_until: '2026-04-02', subscriptions: [], debts: [] }
+        ]);
+        const handlers = new PlanningHandlers(mockDb);
+
+        const result = await handlers.handleListUpcomingDeadlines({ as_of: '2026-04-01' });
+        const listQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_deadlines d'));
+
+        assert.ok(!listQuery.text.includes('snoozed_until <='));
+        assert.strictEqual(result.deadlines[0].is_snoozed, true);
+    });
+});
+
+describe('ObligationHandlers.handleCreateSubscription renewal deadline', () => {
+    it('creates a renewal deadline recurring on the subscription cadence', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_deadlines', [{ id: 30, due_date: '2026-06-01' }]);
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_subscriptions', [{ id: 8, deadline_id: 30 }]);
+        const handlers = new ObligationHandlers(mockDb);
+
+        const result = await handlers.handleCreateSubscription({
+            name: 'Canva', amount: 119.99, cadence: 'annual', next_renewal_date: '2026-06-01'
+        });
+        const deadlineInsert = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_deadlines'));
+        const subscriptionInsert = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_subscriptions'));
+
+        assert.deepStrictEqual(deadlineInsert.params, [1, 'Canva renewal', '2026-06-01', 'annual', 'renewal']);
+        assert.ok(subscriptionInsert.params.includes(30), 'subscription points at the new deadline');
+        assert.strictEqual(result.renewal_deadline.id, 30);
+    });
+
+    it('reuses a caller-supplied deadline_id', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT 1 FROM fictionlab.biz_deadlines', [{}]);
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_subscriptions', [{ id: 8, deadline_id: 12 }]);
+        const handlers = new ObligationHandlers(mockDb);
+
+        const result = await handlers.handleCreateSubscription({ name: 'Canva', amount: 12.99, deadline_id: 12 });
+
+        assert.strictEqual(result.renewal_deadline, null);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('INSERT INTO fictionlab.biz_deadlines')));
+    });
+});
@@ -0,0 +1,157 @@
+// tests/business-server/debt-payoff.test.js
+// Tests for the debt payoff planner (S15 §4a biz_debts): avalanche/snowball/
+// custom ordering, the rolling monthly budget, payoff target checks and the
+// debt_id payment link on transactions. DB is mocked, matching
+// tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { orderDebts, buildPayoffSchedule } from '../../src/mcps/business-server/utils/debt-payoff.js';
+import { ObligationHandlers } from '../../src/mcps/business-server/handlers/obligation-handlers.js';
+import { FinanceHandlers } from '../../src/mcps/business-server/handlers/finance-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    return mockDb;
+}
+
+const CARD = { id: 1, name: 'Card', balance: '2000.00', apr: '24.99', minimum_payment: '60.00', payoff_target_date: null };
+const LOAN = { id: 2, name: 'Loan', balance: '800.00', apr: '6.00', minimum_payment: '40.00', payoff_target_date: null };
+const SMALL = { id: 3, name: 'Small', balance: '300.00', apr: '0', minimum_payment: '50.00', payoff_target_date: null };
+
+describe('orderDebts', () => {
+    it('puts the highest APR first for avalanche and the smallest balance first for snowball', () => {
+        assert.deepStrictEqual(orderDebts([LOAN, SMALL, CARD], 'avalanche').map(d => d.id), [1, 2, 3]);
+        assert.deepStrictEqual(orderDebts([LOAN, SMALL, CARD], 'snowball').map(d => d.id), [3, 2, 1]);
+    });
+
+    it('follows debt_order for custom and appends unlisted debts in avalanche order', () => {
+        assert.deepStrictEqual(orderDebts([LOAN, SMALL, CARD], 'custom', [3]).map(d => d.id), [3, 1, 2]);
+        assert.throws(() => orderDebts([LOAN], 'custom', [9]), /debt 9 is not an active debt/);
+        assert.throws(() => orderDebts([LOAN], 'custom', [2, 2]), /listed twice/);
+    });
+});
+
+describe('buildPayoffSchedule', () => {
+    it('rolls a paid-off minimum into the next debt', () => {
+        const zeroRate = { ...LOAN, apr: '0', balance: '500.00', minimum_payment: '50.00' };
+        const plan = buildPayoffSchedule([SMALL, zeroRate], {
+            strategy: 'snowball', extraPayment: 100, startDate: '2026-01-31'
+        });
+
+        assert.strictEqual(plan.monthly_budget, 200);
+        assert.deepStrictEqual(plan.schedule.map(m => m.remaining_balance), [600, 400, 200, 0]);
+        assert.deepStrictEqual(plan.schedule.map(m => m.payment_date), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+        assert.strictEqual(plan.debts[0].payoff_date, '2026-02-28');
+        assert.strictEqual(plan.months_to_debt_free, 4);
+        assert.strictEqual(plan.total_interest, 0);
+    });
+
+    it('splits each payment into interest and principal', () => {
+        const plan = buildPayoffSchedule([{ ...LOAN, apr: '12.00', balance: '1000.00', minimum_payment: '100.00' }], {
+            startDate: '2026-01-01'
+        });
+        const first = plan.schedule[0].payments[0];
+
+        assert.deepStrictEqual(first, { debt_id: 2, payment: 100, interest: 10, principal: 90, balance: 910 });
+        assert.strictEqual(plan.total_paid, Math.round((1000 + plan.total_interest) * 100) / 100);
+    });
+
+    it('costs less interest under avalanche than snowball', () => {
+        const options = { extraPayment: 200, startDate: '2026-01-01' };
+        const avalanche = buildPayoffSchedule([CARD, LOAN], { ...options, strategy: 'avalanche' });
+        const snowball = buildPayoffSchedule([CARD, LOAN], { ...options, strategy: 'snowball' });
+
+        assert.ok(avalanche.total_interest < snowball.total_interest);
+        assert.deepStrictEqual(avalanche.order, [1, 2]);
+        assert.deepStrictEqual(snowball.order, [2, 1]);
+    });
+
+    it('reports whether each payoff_target_date is achievable', () => {
+        const plan = buildPayoffSchedule([
+            { ...SMALL, payoff_target_date: '2026-12-31' },
+            { ...LOAN, payoff_target_date: '2026-03-01' }
+        ], { startDate: '2026-01-01' });
+        const byId = Object.fromEntries(plan.debts.map(d => [d.debt_id, d]));
+
+        assert.strictEqual(byId[3].target_achievable, true);
+        assert.strictEqual(byId[2].target_achievable, false);
+    });
+
+    it('stops with a warning when the budget cannot outrun the interest', () => {
+        const plan = buildPayoffSchedule([{ ...CARD, minimum_payment: '20.00' }], { startDate: '2026-01-01' });
+
+        assert.strictEqual(plan.schedule.length, 1);
+        assert.strictEqual(plan.months_to_debt_free, null);
+        assert.strictEqual(plan.debts[0].target_achievable, null);
+        assert.match(plan.warnings[0], /does not cover the interest/);
+    });
+});
+
+describe('ObligationHandlers.handlePlanDebtPayoff', () => {
+    it('plans from active debts with a balance', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_debts', [CARD, LOAN]);
+        const handlers = new ObligationHandlers(mockDb);
+
+        const result = await handlers.handlePlanDebtPayoff({
+            strategy: 'custom', debt_order: [2], extra_payment: 100, start_date: '2026-02-01', include_schedule: false
+        });
+        const debtQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_debts'));
+
+        assert.ok(debtQuery.text.includes("status = 'active' AND balance > 0"));
+        assert.deepStrictEqual(result.order, [2, 1]);
+        assert.strictEqual(result.monthly_budget, 200);
+        assert.strictEqual(result.schedule, undefined);
+    });
+
+    it('rejects debt_order without the custom strategy, and custom without debt_order', async () => {
+        const handlers = new ObligationHandlers(seededDb());
+        await assert.rejects(handlers.handlePlanDebtPayoff({ debt_order: [1] }), /only applies to strategy 'custom'/);
+        await assert.rejects(handlers.handlePlanDebtPayoff({ strategy: 'custom' }), /requires debt_order/);
+        await assert.rejects(handlers.handlePlanDebtPayoff({ extra_payment: -5 }), /Invalid extra_payment: -5/);
+    });
+});
+
+describe('FinanceHandlers debt payments', () => {
+    it('refuses debt_id on a non-expense transaction', async () => {
+        const handlers = new FinanceHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleCreateTransaction({ account_id: 3, occurred_on: '2026-02-01', amount: 5, direction: 'income', debt_id: 2 }),
+            /debt_id only applies to expense transactions/
+        );
+    });
+
+    it('refuses to turn a debt payment into income', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_transactions', [{ id: 50, direction: 'expense', debt_id: 2 }]);
+        const handlers = new FinanceHandlers(mockDb);
+
+        await assert.rejects(
+            handlers.handleUpdateTransaction({ transaction_id: 50, direction: 'income' }),
+            /debt_id only applies to expense transactions \(this one is income\)/
+        );
+    });
+});
@@ -0,0 +1,219 @@
+// tests/business-server/kpi-import.test.js
+// Tests for KPI ingestion (S15 §4b biz_kpis): metric mappings, folding
+// same-day export rows, idempotent upserts and week-over-week trends. DB is
+// mocked, matching tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    normalizeMetricColumns,
+    parseKpiValue,
+    aggregateKpiRecords,
+    weekStart,
+    weeklyTrend
+} from '../../src/mcps/business-server/utils/kpi-csv.js';
+import { KpiImportHandlers } from '../../src/mcps/business-server/handlers/kpi-import-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    mockDb.setQueryResult('SELECT * FROM fictionlab.biz_platforms', [{ id: 5, company_id: 1, name: 'KDP' }]);
+    return mockDb;
+}
+
+const KDP_PROFILE = {
+    id: 3,
+    platform_id: 5,
+    date_column: 'Royalty Date',
+    date_format: 'YYYY-MM-DD',
+    metric_columns: {
+        'Net Units Sold': { metric_name: 'kdp_units', aggregate: 'sum' },
+        Royalty: { metric_name: 'kdp_royalties', aggregate: 'sum' }
+    },
+    filter_column: 'Currency',
+    filter_value: 'USD',
+    delimiter: ',',
+    skip_rows: 0
+};
+
+const KDP_CSV = [
+    'Royalty Date,Title,Net Units Sold,Royalty,Currency',
+    '2026-03-02,Ember Crown,3,"$10.47",USD',
+    '2026-03-02,The Glass Oath,2,6.98,USD',
+    '2026-03-02,Ember Crown,1,2.10,GBP',
+    '2026-03-03 00:00:00,Ember Crown,4,13.96,USD',
+    'someday,Ember Crown,1,1.00,USD'
+].join('\n');
+
+describe('KPI mapping and folding', () => {
+    it('expands shorthand mappings and rejects a metric mapped twice', () => {
+        assert.deepStrictEqual(normalizeMetricColumns({ Units: 'kdp_units' }), {
+            Units: { metric_name: 'kdp_units', aggregate: 'sum' }
+        });
+        assert.throws(() => normalizeMetricColumns({ A: 'x', B: 'x' }), /mapped from more than one column/);
+        assert.throws(() => normalizeMetricColumns({ A: { metric_name: 'x', aggregate: 'median' } }), /Invalid aggregate/);
+    });
+
+    it('reads percent and currency cells, and treats blank as no data', () => {
+        assert.strictEqual(parseKpiValue('42.5%'), 42.5);
+        assert.strictEqual(parseKpiValue('$1,204.33'), 1204.33);
+        assert.strictEqual(parseKpiValue(''), null);
+        assert.ok(Number.isNaN(parseKpiValue('n/a')));
+    });
+
+    it('averages rates across same-day campaigns', () => {
+        const profile = {
+            date_column: 'Send Date',
+            date_format: 'MM/DD/YYYY',
+            metric_columns: { 'Open Rate': { metric_name: 'newsletter_open_rate', aggregate: 'avg' } }
+        };
+        const { points } = aggregateKpiRecords([
+            { line: 2, record: { 'Send Date': '03/02/2026', 'Open Rate': '40%' } },
+            { line: 3, record: { 'Send Date': '03/02/2026', 'Open Rate': '45%' } }
+        ], profile);
+
+        assert.deepStrictEqual(points, [{ metric_name: 'newsletter_open_rate', metric_date: '2026-03-02', value: 42.5, rows: 2 }]);
+    });
+});
+
+describe('weekly trend', () => {
+    it('starts weeks on Monday', () => {
+        assert.strictEqual(weekStart('2026-03-08'), '2026-03-02');
+        assert.strictEqual(weekStart('2026-03-02'), '2026-03-02');
+    });
+
+    it('reports week-over-week deltas and breaks the chain on an empty week', () => {
+        const trend = weeklyTrend([
+            { metric_date: '2026-02-16', value: '10' },
+            { metric_date: '2026-02-18', value: '10' },
+            { metric_date: '2026-02-24', value: '30' },
+            { metric_date: '2026-03-10', value: '5' }
+        ], { weeks: 4, asOf: '2026-03-11', aggregate: 'sum' });
+
+        assert.deepStrictEqual(trend.map(w => w.week_start), ['2026-02-16', '2026-02-23', '2026-03-02', '2026-03-09']);
+        assert.deepStrictEqual(trend.map(w => w.value), [20, 30, null, 5]);
+        assert.deepStrictEqual(trend.map(w => w.delta), [null, 10, null, null]);
+        assert.strictEqual(trend[1].delta_percent, 50);
+    });
+});
+
+describe('KpiImportHandlers.handleImportKpiCsv', () => {
+    it('folds, filters and upserts only changed points', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_kpi_import_profiles WHERE platform_id', [KDP_PROFILE]);
+        mockDb.setQueryResult('FROM fictionlab.biz_kpis', [
+            { metric_name: 'kdp_units', metric_date: '2026-03-02', value: '5' },
+            { metric_name: 'kdp_royalties', metric_date: '2026-03-02', value: '12.00' }
+        ]);
+        const handlers = new KpiImportHandlers(mockDb);
+
+        const result = await handlers.handleImportKpiCsv({ platform_id: 5, csv_text: KDP_CSV });
+        const upserts = mockDb.queries.filter(q => q.text.includes('INSERT INTO fictionlab.biz_kpis'));
+
+        assert.strictEqual(result.filtered_out, 1);
+        assert.strictEqual(result.unchanged_count, 1, 'kdp_units on 03-02 already 5');
+        assert.deepStrictEqual(result.updated.map(p => [p.metric_name, p.value, p.previous_value]), [['kdp_royalties', 17.45, 12]]);
+        assert.strictEqual(result.created_count, 2);
+        assert.strictEqual(result.rejected[0].line, 6);
+        assert.strictEqual(upserts.length, 3);
+        assert.ok(upserts[0].text.includes('ON CONFLICT (platform_id, metric_name, metric_date)'));
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_kpi_import_profiles WHERE platform_id', [KDP_PROFILE]);
+        const handlers = new KpiImportHandlers(mockDb);
+
+        const result = await handlers.handleImportKpiCsv({ platform_id: 5, csv_text: KDP_CSV, dry_run: true });
+
+        assert.strictEqual(result.created_count, 4);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('INSERT INTO fictionlab.biz_kpis')));
+    });
+
+    it('needs a profile and the mapped columns in the header', async () => {
+        const handlers = new KpiImportHandlers(seededDb());
+        await assert.rejects(handlers.handleImportKpiCsv({ platform_id: 5, csv_text: KDP_CSV }), /No KPI import profile for platform 5/);
+
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_kpi_import_profiles WHERE platform_id', [KDP_PROFILE]);
+        await assert.rejects(
+            new KpiImportHandlers(mockDb).handleImportKpiCsv({ platform_id: 5, csv_text: 'Royalty Date,Royalty\n2026-03-02,1' }),
+            /missing profile column\(s\): Currency, Net Units Sold/
+        );
+    });
+});
+
+describe('KpiImportHandlers.handleSetKpiImportProfile', () => {
+    it('starts from a preset and lets explicit fields win', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_kpi_import_profiles', [{ id: 4 }]);
+        const handlers = new KpiImportHandlers(mockDb);
+
+        await handlers.handleSetKpiImportProfile({ platform_id: 5, preset: 'email', date_format: 'YYYY-MM-DD' });
+        const insertCall = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_kpi_import_profiles'));
+        const columns = insertCall.text.match(/\(([^)]*)\)/)[1].split(', ');
+        const metricColumns = JSON.parse(insertCall.params[columns.indexOf('metric_columns')]);
+
+        assert.strictEqual(insertCall.params[columns.indexOf('date_column')], 'Send Date');
+        assert.strictEqual(insertCall.params[columns.indexOf('date_format')], 'YYYY-MM-DD');
+        assert.strictEqual(metricColumns['Open Rate'].aggregate, 'avg');
+    });
+
+    it('requires filter_column and filter_value together', async () => {
+        const handlers = new KpiImportHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleSetKpiImportProfile({ platform_id: 5, preset: 'kdp', filter_column: 'Currency' }),
+            /filter_column and filter_value go together/
+        );
+    });
+});
+
+describe('KpiImportHandlers.handleGetKpiTrend', () => {
+    it('uses the imported aggregate for a mapped metric', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('jsonb_each(ip.metric_columns)', [{ aggregate: 'avg' }]);
+        mockDb.setQueryResult('FROM fictionlab.biz_kpis k', [
+            { platform_id: 6, platform_name: 'Newsletter', metric_date: '2026-03-02', value: '40' },
+            { platform_id: 6, platform_name: 'Newsletter', metric_date: '2026-03-05', value: '50' }
+        ]);
+        const handlers = new KpiImportHandlers(mockDb);
+
+        const result = await handlers.handleGetKpiTrend({ metric_name: 'newsletter_open_rate', weeks: 2, as_of: '2026-03-08' });
+        const trendQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_kpis k'));
+
+        assert.strictEqual(result.aggregate, 'avg');
+        assert.strictEqual(result.aggregate_source, 'kpi_import_profile');
+        assert.deepStrictEqual(trendQuery.params, [1, 'newsletter_open_rate', '2026-02-23', '2026-03-08']);
+        assert.strictEqual(result.platforms[0].trend[1].value, 45);
+    });
+
+    it('rejects a one-week trend', async () => {
+        const handlers = new KpiImportHandlers(seededDb());
+        await assert.rejects(handlers.handleGetKpiTrend({ metric_name: 'kdp_units', weeks: 1 }), /Invalid weeks: 1/);
+    });
+});
@@ -0,0 +1,160 @@
+// tests/business-server/receipt-reconciliation.test.js
+// Tests for receipt reconciliation (S15 §5b pillar 2): amount/date hints
+// read from receipt text, candidate scoring, confirm guards and the
+// missing-receipt report. DB is mocked, matching
+// tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseReceiptAmounts,
+    parseReceiptDate,
+    receiptHints,
+    scoreReceiptCandidate
+} from '../../src/mcps/business-server/utils/receipt-matching.js';
+import { ReceiptHandlers } from '../../src/mcps/business-server/handlers/receipt-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    return mockDb;
+}
+
+const CANVA_RECEIPT = {
+    id: 21,
+    title: 'Canva Pro receipt',
+    notes: 'Paid 2026-03-04, total $119.99 (order 88123)',
+    created_on: '2026-03-10'
+};
+
+describe('receipt hints', () => {
+    it('reads currency and cents amounts but skips bare integers', () => {
+        assert.deepStrictEqual(parseReceiptAmounts('Order 88123, total $119.99, tax 1,204.33, tip £5'), [119.99, 1204.33, 5]);
+        assert.deepStrictEqual(parseReceiptAmounts('Invoice 2026'), []);
+    });
+
+    it('prefers a written date and falls back to the filing date', () => {
+        assert.strictEqual(parseReceiptDate('paid 3/4/2026'), '2026-03-04');
+        assert.strictEqual(receiptHints(CANVA_RECEIPT).reference_date, '2026-03-04');
+        const undated = receiptHints({ title: 'Receipt', notes: null, created_on: '2026-03-10' });
+        assert.strictEqual(undated.reference_date_source, 'created_at');
+    });
+});
+
+describe('scoreReceiptCandidate', () => {
+    const hints = receiptHints(CANVA_RECEIPT);
+
+    it('scores an exact amount, same-day, named-vendor match at 100', () => {
+        const { score, reasons } = scoreReceiptCandidate(hints, {
+            amount: '119.99', occurred_on: '2026-03-04', vendor_name: 'Canva', description: 'CANVA* 0123'
+        }, 7);
+        assert.strictEqual(score, 100);
+        assert.strictEqual(reasons.length, 3);
+    });
+
+    it('ranks a nearby same-amount charge above a same-day different amount', () => {
+        const nearby = scoreReceiptCandidate(hints, { amount: '119.99', occurred_on: '2026-03-07', description: 'x' }, 7);
+        const sameDay = scoreReceiptCandidate(hints, { amount: '12.00', occurred_on: '2026-03-04', description: 'x' }, 7);
+        assert.ok(nearby.score > sameDay.score);
+    });
+
+    it('gives half vendor credit for a shared description word', () => {
+        const { score } = scoreReceiptCandidate(hints, { amount: '1.00', occurred_on: '2025-01-01', description: 'CANVA PTY LTD' }, 7);
+        assert.strictEqual(score, 10);
+    });
+});
+
+describe('ReceiptHandlers.handleProposeReceiptMatches', () => {
+    it('returns candidates best first and drops zero scores', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult("asset_type = 'receipt' AND transaction_id IS NULL", [CANVA_RECEIPT]);
+        mockDb.setQueryResult('FROM fictionlab.biz_transactions t', [
+            { id: 7, amount: '12.00', occurred_on: '2026-03-05', description: 'Coffee' },
+            { id: 8, amount: '119.99', occurred_on: '2026-03-04', vendor_name: 'Canva', description: 'CANVA' },
+            { id: 9, amount: '119.99', occurred_on: '2025-11-01', description: 'Unrelated' }
+        ]);
+        const handlers = new ReceiptHandlers(mockDb);
+
+        const result = await handlers.handleProposeReceiptMatches({ asset_id: 21 });
+        const candidates = result.proposals[0].candidates;
+        const candidateQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_transactions t'));
+
+        assert.deepStrictEqual(candidates.map(c => c.transaction.id), [8, 9, 7]);
+        assert.deepStrictEqual(candidateQuery.params, [1, [119.99], '2026-02-25', '2026-03-11']);
+    });
+
+    it('explains why an already-reconciled receipt has no proposals', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_assets', [{ id: 21, asset_type: 'receipt', transaction_id: 8 }]);
+        const handlers = new ReceiptHandlers(mockDb);
+
+        await assert.rejects(
+            handlers.handleProposeReceiptMatches({ asset_id: 21 }),
+            /already reconciled to transaction 8/
+        );
+    });
+});
+
+describe('ReceiptHandlers.handleConfirmReceiptMatch', () => {
+    it('links an unreconciled receipt to an expense', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_assets', [{ id: 21, asset_type: 'receipt', transaction_id: null }]);
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_transactions', [{ id: 8, direction: 'expense' }]);
+        mockDb.setQueryResult('UPDATE fictionlab.biz_assets SET transaction_id', [{ id: 21, transaction_id: 8 }]);
+        const handlers = new ReceiptHandlers(mockDb);
+
+        const result = await handlers.handleConfirmReceiptMatch({ asset_id: 21, transaction_id: 8 });
+        const updateCall = mockDb.queries.find(q => q.text.includes('UPDATE fictionlab.biz_assets'));
+
+        assert.strictEqual(result.asset.transaction_id, 8);
+        assert.ok(updateCall.text.includes('transaction_id IS NULL'), 'guards against a concurrent confirm');
+    });
+
+    it('refuses a non-receipt asset and a non-expense transaction', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_assets', [{ id: 22, asset_type: 'image', transaction_id: null }]);
+        const handlers = new ReceiptHandlers(mockDb);
+        await assert.rejects(handlers.handleConfirmReceiptMatch({ asset_id: 22, transaction_id: 8 }), /is a image, not a receipt/);
+
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_assets', [{ id: 21, asset_type: 'receipt', transaction_id: null }]);
+        mockDb.setQueryResult('SELECT * FROM fictionlab.biz_transactions', [{ id: 9, direction: 'income' }]);
+        await assert.rejects(handlers.handleConfirmReceiptMatch({ asset_id: 21, transaction_id: 9 }), /not an expense/);
+    });
+});
+
+describe('ReceiptHandlers.handleListTransactionsMissingReceipts', () => {
+    it('reports unreceipted expenses over the threshold with a total', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_transactions t', [{ id: 1, amount: '300.00' }, { id: 2, amount: '80.50' }]);
+        const handlers = new ReceiptHandlers(mockDb);
+
+        const result = await handlers.handleListTransactionsMissingReceipts({ date_from: '2026-01-01', date_to: '2026-12-31' });
+        const reportQuery = mockDb.queries.find(q => q.text.includes('FROM fictionlab.biz_transactions t'));
+
+        assert.strictEqual(result.count, 2);
+        assert.strictEqual(result.total_amount, 380.5);
+        assert.ok(reportQuery.text.includes("NOT EXISTS"));
+        assert.deepStrictEqual(reportQuery.params, [1, 75, '2026-01-01', '2026-12-31']);
+    });
+});
@@ -0,0 +1,230 @@
+// tests/business-server/statement-import.test.js
+// Tests for the statement CSV importer (S15 §5b pillar 1): CSV parsing,
+// per-profile row mapping (sign -> direction, debit/credit split, date
+// formats) and the idempotent dedupe in import_statement_csv. DB is mocked,
+// matching tests/business-server/business-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseCsv,
+    parseAmount,
+    parseStatementDate,
+    normalizeDescription,
+    mapStatementRecord
+} from '../../src/mcps/business-server/utils/statement-csv.js';
+import { ImportHandlers } from '../../src/mcps/business-server/handlers/import-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    setQueryHandler(queryPattern, handler) {
+        this.queryResults.set(queryPattern, handler);
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return typeof result === 'function' ? result(params) : result;
+            }
+        }
+        return { rows: [] };
+    }
+
+    async transaction(callback) {
+        return callback(this);
+    }
+}
+
+const BANK_PROFILE = {
+    id: 1,
+    account_id: 3,
+    date_column: 'Date',
+    date_format: 'MM/DD/YYYY',
+    description_column: 'Description',
+    amount_column: 'Amount',
+    amount_sign: 'negative_is_expense',
+    delimiter: ',',
+    skip_rows: 0
+};
+
+const STATEMENT = [
+    'Date,Description,Amount',
+    '01/05/2026,"SQ *COFFEE, MAIN ST",-4.50',
+    '01/05/2026,"SQ *COFFEE, MAIN ST",-4.50',
+    '01/07/2026,KDP ROYALTY,"1,204.33"',
+    '02/30/2026,BAD DATE,-1.00',
+    ''
+].join('\n');
+
+function seededDb(existingRows = []) {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM fictionlab.biz_companies WHERE name = $1', [{ id: 1 }]);
+    mockDb.setQueryResult('FROM fictionlab.biz_accounts WHERE id = $1 AND company_id = $2', [{ id: 3, company_id: 1 }]);
+    mockDb.setQueryResult('FROM fictionlab.biz_import_profiles WHERE account_id = $1', [BANK_PROFILE]);
+    mockDb.setQueryResult('FROM fictionlab.biz_transactions', existingRows);
+    mockDb.setQueryHandler('INSERT INTO fictionlab.biz_transactions', (params) => ({
+        rows: [{ id: 100, account_id: params[0], occurred_on: params[1], amount: params[2] }]
+    }));
+    return mockDb;
+}
+
+describe('statement-csv parsing', () => {
+    it('handles quoted delimiters, doubled quotes and CRLF', () => {
+        const rows = parseCsv('a,b\r\n"x, y","say ""hi"""\r\n');
+        assert.deepStrictEqual(rows.map(r => r.cells), [['a', 'b'], ['x, y', 'say "hi"']]);
+        assert.strictEqual(rows[1].line, 2);
+    });
+
+    it('parses accounting-style and currency amounts', () => {
+        assert.strictEqual(parseAmount('$1,204.33'), 1204.33);
+        assert.strictEqual(parseAmount('(12.00)'), -12);
+        assert.strictEqual(parseAmount('12.00-'), -12);
+        assert.strictEqual(parseAmount(''), null);
+        assert.ok(Number.isNaN(parseAmount('n/a')));
+    });
+
+    it('rejects impossible calendar dates and swaps day/month per format', () => {
+        assert.strictEqual(parseStatementDate('02/30/2026', 'MM/DD/YYYY'), null);
+        assert.strictEqual(parseStatementDate('05/01/2026', 'DD/MM/YYYY'), '2026-01-05');
+        assert.strictEqual(parseStatementDate('2026-1-5', 'YYYY-MM-DD'), '2026-01-05');
+    });
+
+    it('normalizes case, punctuation and whitespace out of descriptions', () => {
+        assert.strictEqual(normalizeDescription('  SQ *Coffee,  Main St. '), 'sq coffee main st');
+    });
+});
+
+describe('mapStatementRecord', () => {
+    it('maps a negative bank amount to an expense', () => {
+        const row = mapStatementRecord({ Date: '01/05/2026', Description: 'Canva', Amount: '-12.99' }, BANK_PROFILE);
+        assert.deepStrictEqual(row, {
+            occurred_on: '2026-01-05', amount: 12.99, direction: 'expense', category: null, description: 'Canva'
+        });
+    });
+
+    it('flips the sign for card profiles', () => {
+        const profile = { ...BANK_PROFILE, amount_sign: 'positive_is_expense' };
+        const row = mapStatementRecord({ Date: '01/05/2026', Description: 'Canva', Amount: '12.99' }, profile);
+        assert.strictEqual(row.direction, 'expense');
+    });
+
+    it('maps split debit/credit columns', () => {
+        const profile = { ...BANK_PROFILE, amount_column: null, debit_column: 'Debit', credit_column: 'Credit' };
+        const row = mapStatementRecord({ Date: '01/05/2026', Description: 'Refund', Debit: '', Credit: '8.00' }, profile);
+        assert.strictEqual(row.direction, 'income');
+        assert.strictEqual(row.amount, 8);
+    });
+
+    it('rejects a zero amount', () => {
+        assert.throws(
+            () => mapStatementRecord({ Date: '01/05/2026', Description: 'Hold', Amount: '0.00' }, BANK_PROFILE),
+            /zero amount/
+        );
+    });
+});
+
+describe('ImportHandlers.handleImportStatementCsv', () => {
+    it('inserts new rows, keeps in-file repeats and reports rejects', async () => {
+        const mockDb = seededDb();
+        const handlers = new ImportHandlers(mockDb);
+
+        const result = await handlers.handleImportStatementCsv({ account_id: 3, csv_text: STATEMENT });
+
+        assert.strictEqual(result.rows_read, 4);
+        assert.strictEqual(result.inserted_count, 3);
+        assert.strictEqual(result.duplicate_count, 0);
+        assert.strictEqual(result.rejected_count, 1);
+        assert.strictEqual(result.rejected[0].line, 5);
+        assert.ok(mockDb.queries.some(q => q.text.includes('FOR UPDATE')), 'locks the account row');
+    });
+
+    it('skips every row on re-import of the same statement', async () => {
+        const mockDb = seededDb([
+            { occurred_on: '2026-01-05', amount: '4.50', description: 'SQ *COFFEE, MAIN ST' },
+            { occurred_on: '2026-01-05', amount: '4.50', description: 'sq coffee main st' },
+            { occurred_on: '2026-01-07', amount: '1204.33', description: 'KDP ROYALTY' }
+        ]);
+        const handlers = new ImportHandlers(mockDb);
+
+        const result = await handlers.handleImportStatementCsv({ account_id: 3, csv_text: STATEMENT });
+
+        assert.strictEqual(result.inserted_count, 0);
+        assert.strictEqual(result.duplicate_count, 3);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('INSERT INTO fictionlab.biz_transactions')));
+    });
+
+    it('only inserts the unmatched copy of a repeated row', async () => {
+        const mockDb = seededDb([{ occurred_on: '2026-01-05', amount: '4.50', description: 'SQ *COFFEE, MAIN ST' }]);
+        const handlers = new ImportHandlers(mockDb);
+
+        const result = await handlers.handleImportStatementCsv({ account_id: 3, csv_text: STATEMENT });
+
+        assert.strictEqual(result.duplicate_count, 1);
+        assert.strictEqual(result.inserted_count, 2);
+    });
+
+    it('writes nothing on dry_run', async () => {
+        const mockDb = seededDb();
+        const handlers = new ImportHandlers(mockDb);
+
+        const result = await handlers.handleImportStatementCsv({ account_id: 3, csv_text: STATEMENT, dry_run: true });
+
+        assert.strictEqual(result.inserted_count, 3);
+        assert.ok(!mockDb.queries.some(q => q.text.includes('INSERT INTO fictionlab.biz_transactions')));
+    });
+
+    it('names profile columns missing from the CSV header', async () => {
+        const handlers = new ImportHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleImportStatementCsv({ account_id: 3, csv_text: 'Posted,Payee,Amount\n' }),
+            /missing profile column\(s\): Date, Description/
+        );
+    });
+
+    it('requires a profile before importing', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_import_profiles WHERE account_id = $1', []);
+        const handlers = new ImportHandlers(mockDb);
+        await assert.rejects(
+            handlers.handleImportStatementCsv({ account_id: 3, csv_text: STATEMENT }),
+            /No import profile for account 3/
+        );
+    });
+});
+
+describe('ImportHandlers.handleSetImportProfile', () => {
+    it('refuses a profile with both amount shapes', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('FROM fictionlab.biz_import_profiles WHERE account_id = $1', []);
+        const handlers = new ImportHandlers(mockDb);
+        await assert.rejects(
+            handlers.handleSetImportProfile({
+                account_id: 3, date_column: 'Date', description_column: 'Description',
+                amount_column: 'Amount', debit_column: 'Debit', credit_column: 'Credit'
+            }),
+            /either amount_column or debit_column \+ credit_column/
+        );
+    });
+
+    it('merges a partial update over the saved profile and upserts on account_id', async () => {
+        const mockDb = seededDb();
+        mockDb.setQueryResult('INSERT INTO fictionlab.biz_import_profiles', [{ ...BANK_PROFILE, amount_sign: 'positive_is_expense' }]);
+        const handlers = new ImportHandlers(mockDb);
+
+        const result = await handlers.handleSetImportProfile({ account_id: 3, amount_sign: 'positive_is_expense' });
+        const upsert = mockDb.queries.find(q => q.text.includes('INSERT INTO fictionlab.biz_import_profiles'));
+
+        assert.strictEqual(result.created, false);
+        assert.ok(upsert.text.includes('ON CONFLICT (account_id)'));
+        assert.ok(upsert.params.includes('Date'), 'kept the saved date_column');
+    });
+});
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// tests/kanban-server/board-lifecycle.test.js
+// Unit tests for the board lifecycle tools (migration 063): create_board
+// from a template, clone_board copying a column layout, archive_board
+// sweeping the board's cards, the column tools (add, reorder, retire with
+// its guards), and create_card/move_card refusing an archived board or a
+// missing lane. The DB is a canned-response fake (no real Postgres) that
+// records every query and which of them ran inside transaction().
+//
+// Run: node tests/kanban-server/board-lifecycle.test.js
+
+import { BoardHandlers, BOARD_TEMPLATES } from '../../src/mcps/kanban-server/handlers/board-handlers.js';
+import { CardHandlers } from '../../src/mcps/kanban-server/handlers/card-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows. transaction() hands the same fake to
+// the callback and tags the queries it sends.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    let inTransaction = false;
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params, inTransaction });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            inTransaction = true;
+            try {
+                return await callback(this);
+            } finally {
+                inTransaction = false;
+            }
+        }
+    };
+}
+
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const BOARD_BY_KEY = 'SELECT id FROM fictionlab.kanban_boards WHERE board_key';
+const BOARD_BY_ID = 'SELECT * FROM fictionlab.kanban_boards WHERE id';
+const COLUMN_INSERT = 'INSERT INTO fictionlab.kanban_columns';
+const LIST_COLUMNS = 'SELECT * FROM fictionlab.kanban_columns';
+
+const OPEN_BOARD = [
+    [BOARD_BY_KEY, [{ id: 'board-2' }]],
+    [BOARD_BY_ID, [{ id: 'board-2', board_key: 'series-launch', name: 'Series launch', is_archived: false }]]
+];
+const ARCHIVED_BOARD = [
+    [BOARD_BY_KEY, [{ id: 'board-2' }]],
+    [BOARD_BY_ID, [{ id: 'board-2', board_key: 'series-launch', name: 'Series launch', is_archived: true }]]
+];
+
+function activityRows(db) {
+    return db.calls
+        .filter((c) => c.text.includes('INSERT INTO fictionlab.kanban_activity'))
+        .map((c) => ({ card: c.params[1], actor: c.params[2], action: c.params[3], from: c.params[4], to: c.params[5], detail: JSON.parse(c.params[6]) }));
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. create_board inserts the template's lanes in one transaction.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([['INSERT INTO fictionlab.kanban_boards', [{ id: 'board-2', board_key: 'series-launch' }]]]);
+        const result = await new BoardHandlers(db).handleCreateBoard({ board_key: 'series-launch', name: 'Series launch', template: 'lean' });
+        const inserts = db.calls.filter((c) => c.text.includes(COLUMN_INSERT));
+
+        check('the board is returned', result.board.id === 'board-2');
+        check(
+            'one column per lean lane, in template order',
+            inserts.map((c) => c.params[1]).join(',') === BOARD_TEMPLATES.lean.map((col) => col.status_key).join(','),
+            inserts.map((c) => c.params[1]).join(',')
+        );
+        check('positions run 0..n-1', inserts.every((c, i) => c.params[3] === i));
+        check('only ready is an agent pickup lane', inserts.every((c) => c.params[6] === (c.params[1] === 'ready')));
+        check('board and columns are written in one transaction', db.calls.filter((c) => c.text.startsWith('INSERT INTO fictionlab.kanban_')).slice(0, -1).every((c) => c.inTransaction));
+        const [activity] = activityRows(db);
+        check('board_created is logged with its template', activity.action === 'board_created' && activity.detail.template === 'lean', JSON.stringify(activity));
+    }
+    for (const [label, args, pattern] of [
+        ['an unknown template', { board_key: 'x', name: 'X', template: 'scrum' }, /Unknown template: scrum/],
+        ['a board_key with capitals', { board_key: 'Series Launch', name: 'X' }, /Invalid board_key/],
+        ['a missing name', { board_key: 'series-launch' }, /name is required/]
+    ]) {
+        const db = makeFakeDb();
+        const error = await rejects(() => new BoardHandlers(db).handleCreateBoard(args));
+        check(`create_board refuses ${label}`, error && pattern.test(error.message), error && error.message);
+        check(`  ... before writing anything (${label})`, !db.calls.some((c) => c.text.startsWith('INSERT')));
+    }
+    {
+        const db = makeFakeDb([['SELECT 1 FROM fictionlab.kanban_boards WHERE board_key', [{ '?column?': 1 }]]]);
+        const error = await rejects(() => new BoardHandlers(db).handleCreateBoard({ board_key: 'dev-backlog', name: 'Dup' }));
+        check('an existing board_key is refused', error && /Board already exists: dev-backlog/.test(error.message), error && error.message);
+    }
+
+    // -----------------------------------------------------------------
+    // 2. clone_board copies the layout, never the cards.
+    // -----------------------------------------------------------------
+    {
+        const sourceColumns = [
+            { status_key: 'ready', name: 'Up next', position: 0, color: '#0a0', wip_limit: null, is_agent_pickup: true },
+            { status_key: 'in_progress', name: 'Doing', position: 1, color: null, wip_limit: 3, is_agent_pickup: false }
+        ];
+        const db = makeFakeDb([
+            [BOARD_BY_KEY, [{ id: 'board-1' }]],
+            [BOARD_BY_ID, [{ id: 'board-1', board_key: 'dev-backlog', name: 'Dev backlog', description: 'Main', is_archived: false }]],
+            [LIST_COLUMNS, sourceColumns],
+            ['INSERT INTO fictionlab.kanban_boards', [{ id: 'board-3', board_key: 'dev-backlog-2' }]]
+        ]);
+        await new BoardHandlers(db).handleCloneBoard({ source_board_key: 'dev-backlog', board_key: 'dev-backlog-2' });
+        const boardInsert = db.calls.find((c) => c.text.includes('INSERT INTO fictionlab.kanban_boards'));
+        const inserts = db.calls.filter((c) => c.text.includes(COLUMN_INSERT));
+
+        check('the clone defaults to the source name and description', boardInsert.params[1] === 'Dev backlog' && boardInsert.params[2] === 'Main');
+        check('columns keep names, colors and WIP limits', inserts[0].params[2] === 'Up next' && inserts[0].params[4] === '#0a0' && inserts[1].params[5] === 3);
+        check('no card is copied', !db.calls.some((c) => c.text.includes('INSERT INTO fictionlab.kanban_cards')));
+        check('board_created records the source', activityRows(db)[0].detail.cloned_from === 'dev-backlog');
+    }
+
+    // -----------------------------------------------------------------
+    // 3. archive_board archives the cards and releases their dependents.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ...OPEN_BOARD,
+            ['UPDATE fictionlab.kanban_boards SET is_archived', [{ id: 'board-2', is_archived: true }]],
+            ['WITH open_cards AS', [{ id: 'card-1', from_status: 'in_progress' }, { id: 'card-2', from_status: 'done' }]]
+        ]);
+        const result = await new BoardHandlers(db).handleArchiveBoard({ board_key: 'series-launch' });
+        const sweep = db.calls.find((c) => c.text.includes('WITH open_cards AS'));
+        const activity = activityRows(db);
+        const released = db.calls.filter((c) => c.text.includes('WHERE blocker_card_id = $1')).map((c) => c.params[0]);
+
+        check('both cards are archived', result.archived_cards === 2 && result.already_archived === false);
+        check('the board flag and card sweep share a transaction', sweep.inTransaction && db.calls.find((c) => c.text.includes('SET is_archived')).inTransaction);
+        check('claims and leases are cleared', sweep.text.includes('claimed_by = NULL') && sweep.text.includes('lease_expires_at = NULL'));
+        check(
+            'one archived row per card, from its old status',
+            activity.filter((a) => a.action === 'archived').map((a) => `${a.card}:${a.from}->${a.to}`).join(',') === 'card-1:in_progress->archived,card-2:done->archived',
+            JSON.stringify(activity)
+        );
+        check('dependents are released only for the unfinished card', released.join(',') === 'card-1', released.join(','));
+        check('board_archived closes the log', activity[activity.length - 1].action === 'board_archived');
+    }
+    {
+        const db = makeFakeDb(ARCHIVED_BOARD);
+        const result = await new BoardHandlers(db).handleArchiveBoard({ board_key: 'series-launch' });
+        check('archiving twice is a no-op', result.already_archived === true && !db.calls.some((c) => c.text.startsWith('UPDATE')));
+    }
+    {
+        const db = makeFakeDb(ARCHIVED_BOARD);
+        const error = await rejects(() => new BoardHandlers(db).handleUpdateBoard({ board_key: 'series-launch', name: 'New' }));
+        check('an archived board refuses update_board', error && /is archived/.test(error.message), error && error.message);
+    }
+
+    // -----------------------------------------------------------------
+    // 4. Column management.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ...OPEN_BOARD,
+            [LIST_COLUMNS, [{ status_key: 'ready', position: 0 }, { status_key: 'done', position: 4 }]],
+            [COLUMN_INSERT, [{ status_key: 'review' }]]
+        ]);
+        await new BoardHandlers(db).handleAddBoardColumn({ board_key: 'series-launch', status_key: 'review' });
+        const insert = db.calls.find((c) => c.text.includes(COLUMN_INSERT));
+        check('add_board_column appends after the last lane', insert.params[3] === 5, String(insert.params[3]));
+        check('the name defaults to the standard lane name', insert.params[2] === 'In review');
+    }
+    {
+        const db = makeFakeDb([...OPEN_BOARD, [LIST_COLUMNS, [{ status_key: 'ready', position: 0 }]]]);
+        const error = await rejects(() => new BoardHandlers(db).handleAddBoardColumn({ board_key: 'series-launch', status_key: 'ready' }));
+        check('a duplicate lane is refused', error && /already has a 'ready' column/.test(error.message), error && error.message);
+    }
+    {
+        const error = await rejects(() => new BoardHandlers(makeFakeDb(OPEN_BOARD)).handleAddBoardColumn({ board_key: 'series-launch', status_key: 'qa' }));
+        check('a status outside the eight is refused', error && /Invalid status_key: qa/.test(error.message), error && error.message);
+    }
+    {
+        const error = await rejects(() => new BoardHandlers(makeFakeDb(OPEN_BOARD)).handleUpdateBoardColumn({ board_key: 'series-launch', status_key: 'review', is_agent_pickup: true }));
+        check('agent pickup off the ready lane is refused', error && /only valid on the ready column/.test(error.message), error && error.message);
+    }
+    {
+        const columns = [{ status_key: 'ready' }, { status_key: 'in_progress' }, { status_key: 'done' }];
+        const db = makeFakeDb([...OPEN_BOARD, [LIST_COLUMNS, columns]]);
+        const error = await rejects(() => new BoardHandlers(db).handleReorderBoardColumns({ board_key: 'series-launch', status_keys: ['done', 'ready'] }));
+        check('a partial reorder is refused', error && /missing in_progress/.test(error.message), error && error.message);
+
+        const ok = makeFakeDb([...OPEN_BOARD, [LIST_COLUMNS, columns]]);
+        await new BoardHandlers(ok).handleReorderBoardColumns({ board_key: 'series-launch', status_keys: ['done', 'in_progress', 'ready'] });
+        const updates = ok.calls.filter((c) => c.text.includes('SET position'));
+        check(
+            'a full reorder renumbers every lane in one transaction',
+            updates.map((c) => `${c.params[1]}=${c.params[2]}`).join(',') === 'done=0,in_progress=1,ready=2' && updates.every((c) => c.inTransaction)
+        );
+    }
+
+    // -----------------------------------------------------------------
+    // 5. retire_board_column guards.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(OPEN_BOARD);
+        const error = await rejects(() => new BoardHandlers(db).handleRetireBoardColumn({ board_key: 'series-launch', status_key: 'ready' }));
+        check('a required lane cannot be retired', error && /can't be retired/.test(error.message), error && error.message);
+        check('  ... without touching the DB', db.calls.length === 0);
+    }
+    {
+        const db = makeFakeDb([
+            ...OPEN_BOARD,
+            ['FOR UPDATE', [{ id: 'col-review' }]],
+            ['COUNT(*) AS in_lane', [{ in_lane: '2' }]]
+        ]);
+        const error = await rejects(() => new BoardHandlers(db).handleRetireBoardColumn({ board_key: 'series-launch', status_key: 'review' }));
+        check('a lane holding cards cannot be retired', error && /still holds 2 card/.test(error.message), error && error.message);
+        check('  ... and nothing is deleted', !db.calls.some((c) => c.text.startsWith('DELETE')));
+    }
+    {
+        const db = makeFakeDb([
+            ...OPEN_BOARD,
+            ['FOR UPDATE', [{ id: 'col-review' }]],
+            ['COUNT(*) AS in_lane', [{ in_lane: '0' }]]
+        ]);
+        const result = await new BoardHandlers(db).handleRetireBoardColumn({ board_key: 'series-launch', status_key: 'review' });
+        const lockAt = db.calls.findIndex((c) => c.text.includes('FOR UPDATE'));
+        const countAt = db.calls.findIndex((c) => c.text.includes('COUNT(*) AS in_lane'));
+        const deleteAt = db.calls.findIndex((c) => c.text.startsWith('DELETE FROM fictionlab.kanban_columns'));
+        check('an empty lane is retired', result.retired === 'review' && deleteAt !== -1);
+        check('lock, count and delete run in order inside one transaction', lockAt < countAt && countAt < deleteAt && [lockAt, countAt, deleteAt].every((i) => db.calls[i].inTransaction));
+        check('column_retired is logged', activityRows(db).some((a) => a.action === 'column_retired' && a.detail.status_key === 'review'));
+    }
+
+    // -----------------------------------------------------------------
+    // 6. Cards respect the board's lanes and archive flag.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            [BOARD_BY_KEY, [{ id: 'board-2' }]],
+            ['FROM fictionlab.kanban_boards b', [{ board_key: 'series-launch', is_archived: true, has_column: true }]]
+        ]);
+        const error = await rejects(() => new CardHandlers(db).handleCreateCard({ board_key: 'series-launch', title: 'Late card' }));
+        check('create_card refuses an archived board', error && /is archived/.test(error.message), error && error.message);
+        check('  ... before inserting', !db.calls.some((c) => c.text.includes('INSERT INTO fictionlab.kanban_cards')));
+    }
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_boards b', [{ board_key: 'series-launch', is_archived: false, has_column: false }]],
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-2', status: 'in_progress', review_policy: 'auto-done' }]]
+        ]);
+        const error = await rejects(() => new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'review' }));
+        check('move_card refuses a lane the board lacks', error && /has no 'review' column/.test(error.message), error && error.message);
+        check('  ... and the card is not updated', !db.calls.some((c) => c.text.startsWith('UPDATE fictionlab.kanban_cards')));
+    }
+
+    // -----------------------------------------------------------------
+    // 7. list_boards hides archived boards unless asked.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb();
+        await new BoardHandlers(db).handleListBoards({});
+        await new BoardHandlers(db).handleListBoards({ include_archived: true });
+        check('archived boards are filtered by default', db.calls[0].text.includes('WHERE NOT b.is_archived'));
+        check('include_archived lists them', !db.calls[1].text.includes('is_archived'));
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (board-lifecycle.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('board-lifecycle.test.js crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// tests/kanban-server/card-dependencies.test.js
+// Unit tests for card dependencies (migration 062): add_card_dependency's
+// argument handling, cycle refusal and ready -> blocked hold,
+// remove_card_dependency's release, move_card refusing 'ready' with unmet
+// blockers and releasing dependents on done, and the get_card tree
+// nesting. The DB is a canned-response fake (no real Postgres) that records
+// every query so the SQL each path sends can be asserted on.
+//
+// Run: node tests/kanban-server/card-dependencies.test.js
+
+import { DependencyHandlers } from '../../src/mcps/kanban-server/handlers/dependency-handlers.js';
+import { CardHandlers } from '../../src/mcps/kanban-server/handlers/card-handlers.js';
+import { nestDependencyRows } from '../../src/mcps/kanban-server/handlers/kanban-helpers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            return callback(this);
+        }
+    };
+}
+
+const CARDS = 'FROM fictionlab.kanban_cards WHERE id = ANY($1::uuid[])';
+const CYCLE = 'WITH RECURSIVE upstream';
+const INSERT_EDGE = 'INSERT INTO fictionlab.kanban_card_dependencies';
+const HOLD = "SET status = 'blocked'";
+const RELEASE = "SET status = 'ready'";
+const OPEN_BLOCKERS = "WHERE d.blocked_card_id = $1 AND b.status NOT IN ('done', 'archived')";
+// assertBoardAcceptsStatus + lockWipLane (migrations 061/063): an open board
+// whose target lane exists and has no WIP limit.
+const OPEN_LANE = [
+    ['FROM fictionlab.kanban_boards b', [{ board_key: 'dev-backlog', is_archived: false, has_column: true }]],
+    ['FROM fictionlab.kanban_columns', [{ wip_limit: null }]]
+];
+
+function activityRows(db) {
+    return db.calls
+        .filter((c) => c.text.includes('INSERT INTO fictionlab.kanban_activity'))
+        .map((c) => ({ actor: c.params[2], action: c.params[3], from: c.params[4], to: c.params[5], detail: JSON.parse(c.params[6]) }));
+}
+
+async function rejects(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. Arguments: exactly one direction, never a self-edge.
+    // -----------------------------------------------------------------
+    {
+        const handlers = new DependencyHandlers(makeFakeDb());
+        const both = await rejects(handlers.handleAddCardDependency({ card_id: 'a', blocked_by_card_id: 'b', blocks_card_id: 'c' }));
+        const self = await rejects(handlers.handleAddCardDependency({ card_id: 'a', blocks_card_id: 'a' }));
+        check('both directions at once is rejected', both && /exactly one of blocked_by_card_id or blocks_card_id/.test(both.message));
+        check('a self-dependency is rejected', self && /cannot depend on itself/.test(self.message));
+    }
+
+    // -----------------------------------------------------------------
+    // 2. blocked_by on a ready card: edge inserted, card held in blocked.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            [CARDS, [
+                { id: 'b', board_id: 'board-1', title: 'Schema', status: 'in_progress' },
+                { id: 'a', board_id: 'board-1', title: 'API', status: 'ready' }
+            ]],
+            [INSERT_EDGE, [{ blocker_card_id: 'b', blocked_card_id: 'a' }]],
+            [HOLD, [{ id: 'a', board_id: 'board-1', status: 'blocked' }]]
+        ]);
+        const result = await new DependencyHandlers(db).handleAddCardDependency({ card_id: 'a', blocked_by_card_id: 'b', actor: 'rebecca' });
+        const insert = db.calls.find((c) => c.text.includes(INSERT_EDGE));
+        const [added, held] = activityRows(db);
+
+        check('the advisory lock is taken first', db.calls[0].text.includes('pg_advisory_xact_lock'));
+        check('blocked_by_card_id makes it the blocker', insert.params[0] === 'b' && insert.params[1] === 'a');
+        check('the ready card is held in blocked', result.added && result.held && result.blocked_status === 'blocked', JSON.stringify(result));
+        check('dependency_added is logged on the blocked card', added.action === 'dependency_added' && added.detail.blocker_card_id === 'b');
+        check(
+            'the hold is an auto-moved ready -> blocked row',
+            held.action === 'auto-moved' && held.from === 'ready' && held.to === 'blocked' && held.actor === 'dependency-release',
+            JSON.stringify(held)
+        );
+    }
+    {
+        const db = makeFakeDb([
+            [CARDS, [
+                { id: 'a', board_id: 'board-1', title: 'API', status: 'done' },
+                { id: 'c', board_id: 'board-1', title: 'Docs', status: 'ready' }
+            ]],
+            [INSERT_EDGE, [{ blocker_card_id: 'a', blocked_card_id: 'c' }]]
+        ]);
+        const result = await new DependencyHandlers(db).handleAddCardDependency({ card_id: 'a', blocks_card_id: 'c' });
+        check('a done blocker never holds the card', !result.held && !db.calls.some((c) => c.text.includes(HOLD)));
+    }
+
+    // -----------------------------------------------------------------
+    // 3. A cycle is refused and spelled out.
+    // -----------------------------------------------------------------
+    {
+        // Existing: a blocks b, b blocks c. New: c blocks a.
+        const db = makeFakeDb([
+            ['SELECT id, title FROM fictionlab.kanban_cards', [
+                { id: 'a', title: 'Schema' }, { id: 'b', title: 'API' }, { id: 'c', title: 'Docs' }
+            ]],
+            [CARDS, [
+                { id: 'c', board_id: 'board-1', title: 'Docs', status: 'backlog' },
+                { id: 'a', board_id: 'board-1', title: 'Schema', status: 'backlog' }
+            ]],
+            [CYCLE, [{ path: ['c', 'b', 'a'] }]]
+        ]);
+        const error = await rejects(new DependencyHandlers(db).handleAddCardDependency({ card_id: 'c', blocks_card_id: 'a' }));
+        check(
+            'the cycle error names the loop in order',
+            error && error.message === "Dependency would create a cycle: 'Schema' blocks 'API' blocks 'Docs' blocks 'Schema'",
+            error && error.message
+        );
+        check('no edge was inserted', !db.calls.some((c) => c.text.includes(INSERT_EDGE)));
+    }
+
+    // -----------------------------------------------------------------
+    // 4. Removing the last unmet dependency releases the card.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['DELETE FROM fictionlab.kanban_card_dependencies', [{ blocked_card_id: 'a' }]],
+            ['SELECT board_id FROM fictionlab.kanban_cards', [{ board_id: 'board-1' }]],
+            [RELEASE, [{ id: 'a', board_id: 'board-1', title: 'API' }]]
+        ]);
+        const result = await new DependencyHandlers(db).handleRemoveCardDependency({ card_id: 'a', blocked_by_card_id: 'b' });
+        const release = db.calls.find((c) => c.text.includes(RELEASE));
+
+        check('the edge is removed and the card released', result.removed && result.released, JSON.stringify(result));
+        check('the release only touches blocked cards with nothing open', release.text.includes("c.status = 'blocked'") && release.text.includes('NOT EXISTS'));
+        check(
+            'activity: dependency_removed then auto-moved blocked -> ready',
+            activityRows(db).map((row) => `${row.action}:${row.from || ''}:${row.to || ''}`).join() === 'dependency_removed::,auto-moved:blocked:ready'
+        );
+    }
+
+    // -----------------------------------------------------------------
+    // 5. move_card: no 'ready' with unmet blockers; done releases dependents.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'a', board_id: 'board-1', status: 'blocked' }]],
+            [OPEN_BLOCKERS, [{ id: 'b', title: 'Schema', status: 'in_progress' }]]
+        ]);
+        const error = await rejects(new CardHandlers(db).handleMoveCard({ card_id: 'a', to_status: 'ready' }));
+        check('moving a blocked card to ready is refused', error && /unmet blockers.*'Schema' \(in_progress\)/.test(error.message), error && error.message);
+        check('the card is not updated', !db.calls.some((c) => c.text.startsWith('UPDATE fictionlab.kanban_cards')));
+    }
+    {
+        const db = makeFakeDb([
+            ...OPEN_LANE,
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'b', board_id: 'board-1', status: 'review', review_policy: 'auto-done' }]],
+            ['UPDATE fictionlab.kanban_cards SET status = $2', [{ id: 'b', board_id: 'board-1', status: 'done' }]],
+            ['SELECT blocked_card_id FROM fictionlab.kanban_card_dependencies', [{ blocked_card_id: 'a' }, { blocked_card_id: 'c' }]],
+            [RELEASE, [{ id: 'a', board_id: 'board-1', title: 'API' }]]
+        ]);
+        const result = await new CardHandlers(db).handleMoveCard({ card_id: 'b', to_status: 'done', actor: 'rebecca' });
+        const release = db.calls.find((c) => c.text.includes(RELEASE));
+        const released = activityRows(db).find((row) => row.action === 'auto-moved');
+
+        check('both dependents are offered for release', release && release.params[0].join() === 'a,c');
+        check('only the released card comes back', result.released?.length === 1 && result.released[0].id === 'a', JSON.stringify(result.released));
+        check('the release records the blocker and who finished it', released.detail.blocker_card_id === 'b' && released.detail.triggered_by === 'rebecca');
+    }
+
+    // -----------------------------------------------------------------
+    // 6. get_card's tree nesting.
+    // -----------------------------------------------------------------
+    {
+        // root waits on x and y; x waits on z (done).
+        const tree = nestDependencyRows([
+            { id: 'x', parent_id: 'root', title: 'X', status: 'in_progress' },
+            { id: 'y', parent_id: 'root', title: 'Y', status: 'done' },
+            { id: 'z', parent_id: 'x', title: 'Z', status: 'done' }
+        ], 'root', 'blocked_by');
+
+        check('two direct blockers', tree.length === 2 && tree[0].id === 'x');
+        check('transitive blocker nested under its dependent', tree[0].blocked_by[0].id === 'z' && tree[0].blocked_by[0].met === true);
+        check('unmet and met are flagged', tree[0].met === false && tree[1].met === true);
+        check('depth is capped', nestDependencyRows([
+            { id: 'p', parent_id: 'q', title: 'P', status: 'ready' },
+            { id: 'q', parent_id: 'p', title: 'Q', status: 'ready' }
+        ], 'q', 'blocked_by', 3)[0].blocked_by[0].blocked_by[0].blocked_by.length === 0);
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (card-dependencies.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('card-dependencies.test.js crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+// tests/kanban-server/claim-leases.test.js
+// Unit tests for claim leases (migration 060): claim_card stamping a lease
+// and sweeping lapsed claims first, heartbeat_card renewal and its failure
+// reasons, the sweep's claim_expired activity + NOTIFY, and move_card
+// dropping a lease. The DB is a canned-response fake (no real Postgres) that
+// records every query so the SQL each path sends can be asserted on.
+//
+// Run: node tests/kanban-server/claim-leases.test.js
+
+import { ClaimHandlers, DEFAULT_LEASE_SECONDS } from '../../src/mcps/kanban-server/handlers/claim-handlers.js';
+import { CardHandlers } from '../../src/mcps/kanban-server/handlers/card-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            return callback(this);
+        }
+    };
+}
+
+const SWEEP = 'WITH expired AS';
+const CLAIM_CAS = 'AND agent_claimable = TRUE';
+const HEARTBEAT = 'last_heartbeat_at = NOW()';
+// assertBoardAcceptsStatus + lockWipLane (migrations 061/063): an open board
+// whose target lane exists and has no WIP limit.
+const OPEN_LANE = [
+    ['FROM fictionlab.kanban_boards b', [{ board_key: 'dev-backlog', is_archived: false, has_column: true }]],
+    ['FROM fictionlab.kanban_columns', [{ wip_limit: null }]]
+];
+
+function activityRows(db) {
+    return db.calls
+        .filter((c) => c.text.includes('INSERT INTO fictionlab.kanban_activity'))
+        .map((c) => ({ actor: c.params[2], action: c.params[3], from: c.params[4], to: c.params[5], detail: JSON.parse(c.params[6]) }));
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. claim_card sweeps first, then claims with the default lease.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]],
+            ['SELECT board_id FROM fictionlab.kanban_cards', [{ board_id: 'board-1' }]],
+            [CLAIM_CAS, [{ id: 'card-1', board_id: 'board-1', status: 'claimed' }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleClaimCard({ card_id: 'card-1', agent: 'claude-code:a' });
+
+        const sweepAt = db.calls.findIndex((c) => c.text.includes(SWEEP));
+        const claimAt = db.calls.findIndex((c) => c.text.includes(CLAIM_CAS));
+        check('claim_card wins', result.claimed === true);
+        check('the sweep runs before the compare-and-swap', sweepAt !== -1 && sweepAt < claimAt, `${sweepAt} / ${claimAt}`);
+        check('the claim stamps the default lease', db.calls[claimAt].params[4] === DEFAULT_LEASE_SECONDS);
+        check('the claimed activity row records the lease', activityRows(db)[0].detail.lease_seconds === DEFAULT_LEASE_SECONDS);
+    }
+
+    // -----------------------------------------------------------------
+    // 2. A lease outside 60s..24h is rejected before any write.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]]]);
+        let error = null;
+        try {
+            await new ClaimHandlers(db).handleClaimCard({ card_id: 'card-1', agent: 'claude-code:a', lease_seconds: 10 });
+        } catch (e) {
+            error = e;
+        }
+        check('lease_seconds: 10 is rejected', error && /Invalid lease_seconds: 10/.test(error.message), error && error.message);
+        check('nothing was swept or claimed', !db.calls.some((c) => c.text.includes(SWEEP) || c.text.includes(CLAIM_CAS)));
+    }
+
+    // -----------------------------------------------------------------
+    // 3. The sweep logs claim_expired and notifies per reclaimed card.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_boards WHERE board_key', [{ id: 'board-1' }]],
+            [SWEEP, [{
+                id: 'card-2',
+                board_id: 'board-1',
+                title: 'Stuck card',
+                from_status: 'in_progress',
+                claimed_by: 'claude-code:crashed',
+                claimed_at: '2026-03-02T10:00:00Z',
+                lease_expires_at: '2026-03-02T10:30:00Z',
+                last_heartbeat_at: null
+            }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleSweepExpiredClaims({ board_key: 'dev-backlog' });
+        const [activity] = activityRows(db);
+        const sweep = db.calls.find((c) => c.text.includes(SWEEP));
+
+        check('one card reclaimed', result.reclaimed_count === 1 && result.reclaimed[0].claimed_by === 'claude-code:crashed');
+        check('the sweep is scoped to the board', sweep.params[0] === 'board-1' && sweep.text.includes('c.board_id = $1'));
+        check('only the claim agent\'s own assignment is cleared', sweep.text.includes('WHEN k.assignee = k.claimed_by THEN NULL'));
+        check(
+            'activity is claim_expired in_progress -> ready by lease-sweep',
+            activity.action === 'claim_expired' && activity.from === 'in_progress' && activity.to === 'ready' && activity.actor === 'lease-sweep',
+            JSON.stringify(activity)
+        );
+        check('activity detail names the lapsed claimant', activity.detail.claimed_by === 'claude-code:crashed');
+        check(
+            'kanban_changed is notified for the card',
+            db.calls.some((c) => c.text.includes('pg_notify') && c.params[1] === 'card-2')
+        );
+    }
+
+    // -----------------------------------------------------------------
+    // 4. heartbeat_card renews for the claimant only.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([[HEARTBEAT, [{ id: 'card-1', lease_expires_at: '2026-03-02T11:00:00Z' }]]]);
+        const result = await new ClaimHandlers(db).handleHeartbeatCard({ card_id: 'card-1', agent: 'claude-code:a', lease_seconds: 3600 });
+        const renewal = db.calls.find((c) => c.text.includes(HEARTBEAT));
+
+        check('heartbeat renews', result.renewed === true && result.lease_expires_at === '2026-03-02T11:00:00Z');
+        check('the renewal is guarded on claimed_by', renewal.text.includes('claimed_by = $2') && renewal.params[1] === 'claude-code:a');
+        check('a heartbeat writes no activity row', activityRows(db).length === 0);
+    }
+    {
+        const db = makeFakeDb([['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', status: 'claimed', claimed_by: 'claude-code:b' }]]]);
+        const result = await new ClaimHandlers(db).handleHeartbeatCard({ card_id: 'card-1', agent: 'claude-code:a' });
+        check('another agent\'s claim is reported', result.renewed === false && result.reason === 'claimed_by_other');
+    }
+    {
+        const db = makeFakeDb([
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', status: 'ready', claimed_by: null }]],
+            ["action = 'claim_expired'", [{ '?column?': 1 }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleHeartbeatCard({ card_id: 'card-1', agent: 'claude-code:a' });
+        check('a swept claim reports lease_expired', result.renewed === false && result.reason === 'lease_expired', JSON.stringify(result));
+    }
+
+    // -----------------------------------------------------------------
+    // 5. move_card keeps the lease only between claimed and in_progress.
+    // -----------------------------------------------------------------
+    for (const [from, to, keeps] of [['claimed', 'in_progress', true], ['in_progress', 'review', false], ['done', 'in_progress', false]]) {
+        const db = makeFakeDb([
+            ...OPEN_LANE,
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: from, review_policy: 'auto-done' }]],
+            ['UPDATE fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: to }]]
+        ]);
+        await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: to });
+        const update = db.calls.find((c) => c.text.startsWith('UPDATE fictionlab.kanban_cards'));
+        check(
+            `move ${from} -> ${to} ${keeps ? 'keeps' : 'drops'} the lease`,
+            update.text.includes('lease_expires_at = NULL') === !keeps
+        );
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (claim-leases.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('claim-leases.test.js crashed:', error);
+    process.exit(1);
+});
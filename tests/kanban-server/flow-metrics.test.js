@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// tests/kanban-server/flow-metrics.test.js
+// Unit tests for get_flow_metrics: the pure status-interval / duration /
+// throughput / aging computation on a small fixed history, and the
+// handler's filters and validation against a canned-response fake DB (no
+// real Postgres).
+//
+// Run: node tests/kanban-server/flow-metrics.test.js
+
+import {
+    MetricsHandlers,
+    computeFlowMetrics,
+    statusIntervals,
+    summarizeDurations,
+    weekStart
+} from '../../src/mcps/kanban-server/handlers/metrics-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+function move(cardId, at, from, to, action = 'moved') {
+    return { card_id: cardId, action, from_status: from, to_status: to, created_at: at };
+}
+
+// Window: Mon 2026-03-02 .. Sun 2026-03-15 (two weeks).
+const SINCE = new Date('2026-03-02T00:00:00Z');
+const UNTIL = new Date('2026-03-15T23:59:59Z');
+
+const CARDS = [
+    // Agent card: 2 days ready, 1 day in progress, 1 day review, done Thu 03-05.
+    { id: 'a', title: 'Agent card', status: 'done', created_at: '2026-03-01T00:00:00Z', worker: 'claude-code:a', worker_kind: 'agent' },
+    // Human card: done Tue 03-10, 4 days after creation.
+    { id: 'h', title: 'Human card', status: 'archived', created_at: '2026-03-06T00:00:00Z', worker: 'rebecca', worker_kind: 'human' },
+    // Stuck in review since 03-09.
+    { id: 'r', title: 'Stuck card', status: 'review', created_at: '2026-03-07T00:00:00Z', worker: 'claude-code:b', worker_kind: 'agent' }
+];
+
+const TRANSITIONS = [
+    move('a', '2026-03-01T00:00:00Z', null, 'ready', 'created'),
+    move('a', '2026-03-03T00:00:00Z', 'ready', 'claimed', 'claimed'),
+    move('a', '2026-03-03T00:00:00Z', 'claimed', 'in_progress'),
+    move('a', '2026-03-04T00:00:00Z', 'in_progress', 'review'),
+    move('a', '2026-03-05T00:00:00Z', 'review', 'done'),
+    move('h', '2026-03-06T00:00:00Z', null, 'in_progress', 'created'),
+    move('h', '2026-03-10T00:00:00Z', 'in_progress', 'done'),
+    move('h', '2026-03-11T00:00:00Z', 'done', 'archived'),
+    move('r', '2026-03-07T00:00:00Z', null, 'ready', 'created'),
+    move('r', '2026-03-08T00:00:00Z', 'ready', 'in_progress', 'claimed'),
+    move('r', '2026-03-09T00:00:00Z', 'in_progress', 'review')
+];
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. Helpers.
+    // -----------------------------------------------------------------
+    {
+        check('weekStart is the UTC Monday', weekStart(new Date('2026-03-08T23:00:00Z')) === '2026-03-02' && weekStart(new Date('2026-03-09T00:00:00Z')) === '2026-03-09');
+        const summary = summarizeDurations([1, 2, 3, 4, 10]);
+        check('summary: mean, median, nearest-rank p85', summary.mean_days === 4 && summary.median_days === 3 && summary.p85_days === 10, JSON.stringify(summary));
+        check('an empty summary is nulls', summarizeDurations([]).median_days === null);
+
+        const intervals = statusIntervals(CARDS[0], TRANSITIONS.filter((row) => row.card_id === 'a'));
+        check(
+            'intervals follow the transitions and end open',
+            intervals.map((i) => i.status).join() === 'ready,claimed,in_progress,review,done' && intervals[4].end === null
+        );
+        const legacy = statusIntervals({ id: 'x', status: 'done', created_at: '2026-03-01T00:00:00Z' }, [move('x', '2026-03-02T00:00:00Z', 'backlog', 'done')]);
+        check('without a created row the first status is the first from_status', legacy[0].status === 'backlog');
+    }
+
+    // -----------------------------------------------------------------
+    // 2. The metrics over the fixed history.
+    // -----------------------------------------------------------------
+    {
+        const now = new Date('2026-03-12T00:00:00Z');
+        const metrics = computeFlowMetrics({ cards: CARDS, transitions: TRANSITIONS, since: SINCE, until: UNTIL, now, staleAfterDays: 2 });
+
+        check('two cards completed', metrics.throughput.completed === 2);
+        check('lead times 4 and 4 days', metrics.lead_time.count === 2 && metrics.lead_time.median_days === 4, JSON.stringify(metrics.lead_time));
+        check(
+            'weekly throughput is split by worker kind',
+            JSON.stringify(metrics.throughput.weeks) === JSON.stringify([
+                { week_start: '2026-03-02', completed: 1, by_kind: { agent: 1 } },
+                { week_start: '2026-03-09', completed: 1, by_kind: { human: 1 } }
+            ]),
+            JSON.stringify(metrics.throughput.weeks)
+        );
+        check('review stays: 1 day (card a)', metrics.cycle_time_by_status.review.count === 1 && metrics.cycle_time_by_status.review.mean_days === 1);
+        check('ready stays: 2 days and 1 day', metrics.cycle_time_by_status.ready.count === 2 && metrics.cycle_time_by_status.ready.mean_days === 1.5);
+        check('lead time per worker kind', metrics.by_worker_kind.agent.count === 1 && metrics.by_worker_kind.human.count === 1);
+
+        const [stuck] = metrics.aging_wip.cards;
+        check('the review card is aging WIP', metrics.aging_wip.cards.length === 1 && stuck.id === 'r');
+        check('3 days in review, 4 in progress overall, stale', stuck.days_in_status === 3 && stuck.days_in_progress === 4 && stuck.stale, JSON.stringify(stuck));
+        check('aging summary by status', metrics.aging_wip.by_status.review.count === 1 && metrics.aging_wip.by_status.review.stale === 1);
+    }
+    {
+        const reopened = [
+            ...TRANSITIONS.filter((row) => row.card_id === 'a'),
+            move('a', '2026-03-06T00:00:00Z', 'done', 'in_progress'),
+            move('a', '2026-03-09T00:00:00Z', 'in_progress', 'done')
+        ];
+        const metrics = computeFlowMetrics({ cards: [CARDS[0]], transitions: reopened, since: SINCE, until: UNTIL });
+        check('a reopened card counts once, at its last done', metrics.throughput.completed === 1 && metrics.lead_time.median_days === 8);
+    }
+
+    // -----------------------------------------------------------------
+    // 3. Handler: filters reach the SQL; wip_denied is not a transition.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_boards WHERE board_key', [{ id: 'board-1' }]],
+            ['FROM fictionlab.kanban_cards c', [CARDS[2]]],
+            ['FROM fictionlab.kanban_activity', TRANSITIONS.filter((row) => row.card_id === 'r')]
+        ]);
+        const result = await new MetricsHandlers(db).handleGetFlowMetrics({
+            board_key: 'dev-backlog',
+            since: '2026-03-02',
+            until: '2026-03-15T23:59:59Z',
+            label: 'writing',
+            identity_kind: 'agent'
+        });
+        const cardQuery = db.calls.find((c) => c.text.includes('FROM fictionlab.kanban_cards c'));
+        const activityQuery = db.calls.find((c) => c.text.includes('FROM fictionlab.kanban_activity'));
+
+        check('the label filter is bound', cardQuery.text.includes('= ANY(c.labels)') && cardQuery.params.includes('writing'));
+        check('the identity_kind filter is bound', cardQuery.params.includes('agent') && cardQuery.text.includes("'unassigned'"));
+        check('only real transitions are read', !activityQuery.params[1].includes('wip_denied') && activityQuery.params[1].includes('claim_expired'));
+        check('the result echoes the window and filters', result.board_id === 'board-1' && result.filters.label === 'writing' && result.card_count === 1);
+    }
+    {
+        const handlers = new MetricsHandlers(makeFakeDb());
+        let error = null;
+        try {
+            await handlers.handleGetFlowMetrics({ identity_kind: 'robot' });
+        } catch (e) {
+            error = e;
+        }
+        check('an unknown identity_kind is rejected', error && /Invalid identity_kind: robot/.test(error.message));
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (flow-metrics.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('flow-metrics.test.js crashed:', error);
+    process.exit(1);
+});
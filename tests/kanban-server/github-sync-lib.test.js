@@ -23,6 +23,7 @@ import {
     cardMatchesTargets,
     buildEventKey,
     planCardTransition,
+    eventFromWebhook,
     ELIGIBLE_STATUSES
 } from '../../src/mcps/kanban-server/tools/github-sync-lib.js';
 
@@ -308,6 +309,46 @@ for (const status of ['backlog', 'ready', 'claimed', 'blocked', 'done', 'archive
     check('a stamp from a DIFFERENT event does not block a new, distinct match', plan.action === 'move', JSON.stringify(plan));
 }
 
+// ---------------------------------------------------------------------------
+// eventFromWebhook
+// ---------------------------------------------------------------------------
+console.log('\neventFromWebhook');
+
+{
+    const repository = { full_name: 'RLRyals/MCP-Electron-App' };
+    const mergedPr = {
+        action: 'closed',
+        repository,
+        pull_request: {
+            number: 201,
+            merged: true,
+            title: 'Kanban sync',
+            body: 'Fixes RLRyals/MCP-Writing-Servers#64',
+            html_url: 'https://github.com/RLRyals/MCP-Electron-App/pull/201'
+        }
+    };
+
+    const { event } = eventFromWebhook('pull_request', mergedPr);
+    check('a merged pull_request delivery becomes a pr_merged event', event?.kind === 'pr_merged' && event.number === 201 && event.owner === 'RLRyals');
+    check(
+        'its match targets include the issue its body closes, like a polled PR',
+        event?.matchTargets.length === 2 && event.matchTargets[1].repo === 'MCP-Writing-Servers' && event.matchTargets[1].number === 64,
+        JSON.stringify(event?.matchTargets)
+    );
+    check('the event key matches the poller\'s for the same PR', buildEventKey(event) === 'pr_merged:RLRyals/MCP-Electron-App#201');
+
+    const closedUnmerged = { ...mergedPr, pull_request: { ...mergedPr.pull_request, merged: false } };
+    check('a PR closed without merging is ignored', eventFromWebhook('pull_request', closedUnmerged).ignored === 'closed_unmerged');
+    check('an opened PR is ignored', eventFromWebhook('pull_request', { ...mergedPr, action: 'opened' }).ignored === 'not_closed');
+
+    const closedIssue = { action: 'closed', repository, issue: { number: 77, title: 'Bug', html_url: 'https://github.com/RLRyals/MCP-Electron-App/issues/77' } };
+    const issueResult = eventFromWebhook('issues', closedIssue);
+    check('a closed issues delivery becomes an issue_closed event', issueResult.event?.kind === 'issue_closed' && issueResult.event.matchTargets.length === 1);
+
+    check('other event types are ignored, not errors', eventFromWebhook('push', { ref: 'refs/heads/main' }).ignored === 'unsupported_event');
+    check('a payload without a repository is malformed', eventFromWebhook('issues', { action: 'closed', issue: { number: 1 } }).ignored === 'malformed');
+}
+
 // ---------------------------------------------------------------------------
 console.log(`\n${pass} passed, ${fail} failed. (github-sync-lib.test.js)`);
 process.exit(fail > 0 ? 1 : 0);
@@ -92,6 +92,12 @@ function makeFakeDb(initialCards) {
                 return { rows: [] };
             }
 
+            // releaseDependentsOf: SELECT blocked_card_id FROM fictionlab.kanban_card_dependencies ...
+            // (none of these fixtures block another card)
+            if (text.includes('FROM fictionlab.kanban_card_dependencies')) {
+                return { rows: [] };
+            }
+
             throw new Error(`makeFakeDb: unhandled query: ${text}`);
         }
     };
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// tests/kanban-server/github-webhook.test.js
+// Tests for the GitHub sync's webhook modes: replaying the saved deliveries
+// in fixtures/github-webhooks/ (readWebhookDir + runWebhookDeliveries) and
+// the local HTTP endpoint (createWebhookServer, bound to 127.0.0.1 on an
+// ephemeral port). The DB is the same style of in-memory fake as
+// github-sync.test.js -- no real Postgres, no gh CLI, no outside network.
+//
+// Run: node tests/kanban-server/github-webhook.test.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+    readWebhookDir,
+    runWebhookDeliveries,
+    createWebhookServer,
+    verifyWebhookSignature
+} from '../../src/mcps/kanban-server/tools/github-sync.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'github-webhooks');
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the queries fetchCandidateCards/applyTransition and the
+// kanban-helpers.js activity/NOTIFY/dependency helpers send, backed by a
+// plain array of cards.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(initialCards) {
+    const cards = initialCards.map((c) => ({ ...c, metadata: c.metadata || {} }));
+    const activity = [];
+    const calls = [];
+
+    return {
+        cards,
+        activity,
+        calls,
+        async query(text, params = []) {
+            calls.push(text.trim());
+
+            if (text.includes('FROM fictionlab.kanban_cards c') && text.includes("WHERE c.status IN ('in_progress', 'review')")) {
+                return {
+                    rows: cards
+                        .filter((c) => c.status === 'in_progress' || c.status === 'review')
+                        .map((c) => ({ ...c, links: c.links || [] }))
+                };
+            }
+            if (text.startsWith('UPDATE fictionlab.kanban_cards')) {
+                const [newStatus, metadataPatchJson, cardId, expectedFromStatus] = params;
+                const card = cards.find((c) => c.id === cardId);
+                if (!card || card.status !== expectedFromStatus) {
+                    return { rows: [] };
+                }
+                card.status = newStatus;
+                card.metadata = { ...card.metadata, ...JSON.parse(metadataPatchJson) };
+                return { rows: [{ ...card }] };
+            }
+            if (text.includes('INSERT INTO fictionlab.kanban_activity')) {
+                const [, cardId, actor, action, fromStatus, toStatus, detail] = params;
+                activity.push({ cardId, actor, action, fromStatus, toStatus, detail: JSON.parse(detail) });
+                return { rows: [] };
+            }
+            if (text.includes('pg_notify') || text.includes('FROM fictionlab.kanban_card_dependencies')) {
+                return { rows: [] };
+            }
+
+            throw new Error(`makeFakeDb: unhandled query: ${text}`);
+        }
+    };
+}
+
+const config = { watched_repos: ['RLRyals/MCP-Electron-App'] };
+
+function boardCards() {
+    return [
+        { id: 'card-issue-64', board_id: 'b', status: 'review', issue_ref: 'RLRyals/MCP-Electron-App#64' },
+        { id: 'card-issue-77', board_id: 'b', status: 'in_progress', links: [{ link_type: 'url', ref: 'https://github.com/RLRyals/MCP-Electron-App/issues/77' }] },
+        { id: 'card-fork', board_id: 'b', status: 'review', issue_ref: 'someone-else/fork#5' }
+    ];
+}
+
+async function post(port, { event, body, secret, signature }) {
+    const raw = typeof body === 'string' ? body : JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'X-GitHub-Delivery': `d-${Math.random()}` };
+    if (event) {
+        headers['X-GitHub-Event'] = event;
+    }
+    if (signature !== undefined) {
+        headers['X-Hub-Signature-256'] = signature;
+    } else if (secret) {
+        headers['X-Hub-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+    }
+    const response = await fetch(`http://127.0.0.1:${port}/`, { method: 'POST', headers, body: raw });
+    return { status: response.status, body: await response.json() };
+}
+
+async function main() {
+    console.log('github-webhook.test.js\n');
+
+    // -----------------------------------------------------------------
+    // 1. readWebhookDir loads envelopes and bare payloads in file order.
+    // -----------------------------------------------------------------
+    {
+        const { deliveries, errors } = readWebhookDir(FIXTURES_DIR);
+        check('all five fixture files load', deliveries.length === 5 && errors.length === 0, JSON.stringify(errors));
+        check('deliveries come back in filename order', deliveries.map((d) => d.id)[0] === '001-pr-opened.json' && deliveries[4].id === '005-push.json');
+        check('an envelope keeps its event name', deliveries[1].eventName === 'pull_request' && deliveries[1].payload.action === 'closed');
+        check('a bare issue payload is inferred as an issues event', deliveries[2].eventName === 'issues');
+    }
+    {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-webhook-test-'));
+        try {
+            fs.writeFileSync(path.join(dir, '01-broken.json'), '{ not json');
+            fs.writeFileSync(path.join(dir, '02-notes.txt'), 'ignored');
+            const { deliveries, errors } = readWebhookDir(dir);
+            check('a file that does not parse is an error, not a crash', deliveries.length === 0 && errors.length === 1 && errors[0].file === '01-broken.json');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        let error = null;
+        try {
+            readWebhookDir(path.join(FIXTURES_DIR, 'missing'));
+        } catch (e) {
+            error = e;
+        }
+        check('a missing replay directory is refused up front', error && /Replay directory not found/.test(error.message));
+    }
+
+    // -----------------------------------------------------------------
+    // 2. Replaying the fixtures completes exactly the matching cards.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(boardCards());
+        const { deliveries } = readWebhookDir(FIXTURES_DIR);
+        const result = await runWebhookDeliveries({ db, config, deliveries, dryRun: false });
+        const status = (id) => db.cards.find((c) => c.id === id).status;
+
+        check('"Closes #64" in the merged PR completes the issue #64 card', status('card-issue-64') === 'done');
+        check('the closed issue completes the card linked by URL', status('card-issue-77') === 'done');
+        check('a merged PR in an unwatched repo is not applied', status('card-fork') === 'review');
+        check(
+            'the other deliveries are ignored with reasons',
+            result.ignored.map((i) => i.reason).join(',') === 'not_closed,unwatched_repo,unsupported_event',
+            JSON.stringify(result.ignored)
+        );
+        check('stamps match the poller\'s event keys', db.cards[0].metadata.github_sync.event === 'pr_merged:RLRyals/MCP-Electron-App#201');
+        check('each move is an auto-moved activity row by github-sync', db.activity.length === 2 && db.activity.every((a) => a.action === 'auto-moved' && a.actor === 'github-sync'));
+
+        const again = await runWebhookDeliveries({ db, config, deliveries, dryRun: false });
+        check('replaying the same directory again moves nothing', again.moved.length === 0 && db.activity.length === 2);
+    }
+    {
+        const db = makeFakeDb(boardCards());
+        const { deliveries } = readWebhookDir(FIXTURES_DIR);
+        const result = await runWebhookDeliveries({ db, config, deliveries, dryRun: true });
+        check('a dry-run replay still reports the plan', result.plan.length === 2 && result.moved.length === 0);
+        check('a dry-run replay issues zero UPDATEs', !db.calls.some((c) => c.startsWith('UPDATE')) && db.activity.length === 0);
+    }
+    {
+        const db = makeFakeDb(boardCards());
+        const { deliveries } = readWebhookDir(FIXTURES_DIR);
+        await runWebhookDeliveries({ db, config, deliveries: [deliveries[0], deliveries[4]], dryRun: false });
+        check('deliveries that are all ignored never query the DB', db.calls.length === 0);
+    }
+
+    // -----------------------------------------------------------------
+    // 3. verifyWebhookSignature.
+    // -----------------------------------------------------------------
+    {
+        const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+        const good = `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+        check('a correct signature verifies', verifyWebhookSignature('s3cret', body, good));
+        check('a signature made with another secret fails', !verifyWebhookSignature('other', body, good));
+        check('a missing signature fails', !verifyWebhookSignature('s3cret', body, undefined));
+        check('a sha1 signature header fails', !verifyWebhookSignature('s3cret', body, 'sha1=abc'));
+    }
+
+    // -----------------------------------------------------------------
+    // 4. The local endpoint: signature gate, ping, and a live move.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(boardCards());
+        const server = createWebhookServer({ db, config, secret: 's3cret', dryRun: false });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        const { port } = server.address();
+        const merged = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, '002-pr-merged.json'), 'utf8')).payload;
+
+        try {
+            const unsigned = await post(port, { event: 'pull_request', body: merged, signature: '' });
+            check('an unsigned delivery gets 401', unsigned.status === 401);
+            check('  ... and changes nothing', db.cards[0].status === 'review' && db.calls.length === 0);
+
+            const forged = await post(port, { event: 'pull_request', body: merged, secret: 'wrong' });
+            check('a delivery signed with the wrong secret gets 401', forged.status === 401);
+
+            const ping = await post(port, { event: 'ping', body: { zen: 'hi' }, secret: 's3cret' });
+            check('ping gets 200', ping.status === 200 && ping.body.ping === true);
+
+            const live = await post(port, { event: 'pull_request', body: merged, secret: 's3cret' });
+            check('a signed merged-PR delivery is applied', live.status === 200 && live.body.moved.join(',') === 'card-issue-64', JSON.stringify(live.body));
+            check('the card is done', db.cards[0].status === 'done');
+
+            const opened = await post(port, { event: 'pull_request', body: { ...merged, action: 'opened' }, secret: 's3cret' });
+            check('a non-closing delivery is acknowledged as ignored', opened.status === 200 && opened.body.ignored.join(',') === 'not_closed');
+
+            const getResponse = await fetch(`http://127.0.0.1:${port}/`);
+            check('GET gets 405', getResponse.status === 405);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (github-webhook.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('github-webhook.test.js crashed:', error);
+    process.exit(1);
+});
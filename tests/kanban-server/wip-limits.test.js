@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+// tests/kanban-server/wip-limits.test.js
+// Unit tests for kanban_columns.wip_limit enforcement (migration 061):
+// lockWipLane's lock-then-count, move_card and claim_card refusing a move
+// into a full lane with a 'wip_denied' activity row, and move_card's
+// human-only override_wip audited on the 'moved' row. The DB is a
+// canned-response fake (no real Postgres) that records every query and
+// which of them ran inside transaction().
+//
+// Run: node tests/kanban-server/wip-limits.test.js
+
+import { lockWipLane } from '../../src/mcps/kanban-server/handlers/kanban-helpers.js';
+import { CardHandlers } from '../../src/mcps/kanban-server/handlers/card-handlers.js';
+import { ClaimHandlers } from '../../src/mcps/kanban-server/handlers/claim-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows. transaction() hands the same fake to
+// the callback and tags the queries it sends.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    let inTransaction = false;
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params, inTransaction });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            inTransaction = true;
+            try {
+                return await callback(this);
+            } finally {
+                inTransaction = false;
+            }
+        }
+    };
+}
+
+const LANE_LOCK = 'FROM fictionlab.kanban_columns';
+const LANE_COUNT = 'COUNT(*) AS in_lane';
+const CLAIM_CAS = 'AND agent_claimable = TRUE';
+// assertBoardAcceptsStatus (migration 063): the board is open and has the lane.
+const OPEN_BOARD = ['FROM fictionlab.kanban_boards b', [{ board_key: 'dev-backlog', is_archived: false, has_column: true }]];
+
+function lane(wipLimit, inLane) {
+    return [[LANE_LOCK, [{ wip_limit: wipLimit }]], [LANE_COUNT, [{ in_lane: String(inLane) }]]];
+}
+
+function activityRows(db) {
+    return db.calls
+        .filter((c) => c.text.includes('INSERT INTO fictionlab.kanban_activity'))
+        .map((c) => ({ actor: c.params[2], action: c.params[3], from: c.params[4], to: c.params[5], detail: JSON.parse(c.params[6]) }));
+}
+
+function cardUpdate(db) {
+    return db.calls.find((c) => c.text.startsWith('UPDATE fictionlab.kanban_cards'));
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. lockWipLane locks the column row, then counts the other cards.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(lane(3, 3));
+        const result = await lockWipLane(db, { boardId: 'board-1', status: 'in_progress', cardId: 'card-1' });
+        const [lock, count] = db.calls;
+
+        check('the column row is locked FOR UPDATE first', lock.text.includes('FOR UPDATE') && lock.params.join() === 'board-1,in_progress');
+        check('the count excludes the moving card', count.text.includes('id <> $3') && count.params[2] === 'card-1');
+        check('3 of 3 is full', result.full === true && result.wipLimit === 3 && result.inLane === 3, JSON.stringify(result));
+    }
+    {
+        const db = makeFakeDb([[LANE_LOCK, [{ wip_limit: null }]]]);
+        const result = await lockWipLane(db, { boardId: 'board-1', status: 'review', cardId: 'card-1' });
+        check('an unlimited lane is never full and is not counted', result.full === false && db.calls.length === 1);
+    }
+
+    // -----------------------------------------------------------------
+    // 2. move_card into a full lane is refused and audited.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            OPEN_BOARD,
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'ready' }]],
+            ...lane(2, 2)
+        ]);
+        let error = null;
+        try {
+            await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'in_progress', actor: 'claude-code:a' });
+        } catch (e) {
+            error = e;
+        }
+        const [activity] = activityRows(db);
+
+        check('the move errors', error && /WIP limit reached: 'in_progress' already holds 2 card\(s\) \(limit 2\)/.test(error.message), error && error.message);
+        check('the card is not updated', !cardUpdate(db));
+        check(
+            'a wip_denied row names the actor, lanes and limit',
+            activity && activity.action === 'wip_denied' && activity.actor === 'claude-code:a' &&
+                activity.from === 'ready' && activity.to === 'in_progress' &&
+                activity.detail.wip_limit === 2 && activity.detail.in_lane === 2,
+            JSON.stringify(activity)
+        );
+        check('the denial is logged outside the transaction', db.calls.some((c) => c.text.includes('kanban_activity') && !c.inTransaction));
+    }
+
+    // -----------------------------------------------------------------
+    // 3. Room in the lane: lock, count and update share the transaction.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            OPEN_BOARD,
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'ready' }]],
+            ...lane(2, 1),
+            ['UPDATE fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'in_progress' }]]
+        ]);
+        await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'in_progress' });
+        const lockAt = db.calls.findIndex((c) => c.text.includes(LANE_LOCK) && c.text.includes('FOR UPDATE'));
+        const update = cardUpdate(db);
+
+        check('the move goes through', update && activityRows(db)[0].action === 'moved');
+        check('the lane is locked before the update, in one transaction', lockAt !== -1 && lockAt < db.calls.indexOf(update) && db.calls[lockAt].inTransaction && update.inTransaction);
+        check('no override is recorded', !('wip_override' in activityRows(db)[0].detail));
+    }
+    {
+        const db = makeFakeDb([
+            OPEN_BOARD,
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'in_progress' }]],
+            ...lane(1, 5),
+            ['UPDATE fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'in_progress' }]]
+        ]);
+        await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'in_progress', position: 2 });
+        check('reordering within a lane skips the check', !db.calls.some((c) => c.text.includes(LANE_LOCK)) && cardUpdate(db));
+    }
+
+    // -----------------------------------------------------------------
+    // 4. override_wip: humans only, audited on the moved row.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            OPEN_BOARD,
+            ['FROM fictionlab.kanban_identities', [{ kind: 'human' }]],
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'ready' }]],
+            ...lane(2, 2),
+            ['UPDATE fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'in_progress' }]]
+        ]);
+        await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'in_progress', actor: 'rebecca', override_wip: true });
+        const [activity] = activityRows(db);
+
+        check('a human override moves the card', Boolean(cardUpdate(db)));
+        check(
+            'the moved row records the override',
+            activity.action === 'moved' && activity.detail.wip_override?.wip_limit === 2 && activity.detail.wip_override?.in_lane === 2,
+            JSON.stringify(activity)
+        );
+    }
+    {
+        const db = makeFakeDb([['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]]]);
+        let error = null;
+        try {
+            await new CardHandlers(db).handleMoveCard({ card_id: 'card-1', to_status: 'in_progress', actor: 'claude-code:a', override_wip: true });
+        } catch (e) {
+            error = e;
+        }
+        check('an agent cannot override', error && /override_wip is reserved for human identities/.test(error.message), error && error.message);
+        check('nothing was read or written for it', !db.calls.some((c) => c.text.includes('kanban_cards')));
+    }
+
+    // -----------------------------------------------------------------
+    // 5. claim_card into a full lane loses with wip_limit_reached.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]],
+            ['SELECT board_id FROM fictionlab.kanban_cards', [{ board_id: 'board-1' }]],
+            ...lane(1, 1),
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'ready', agent_claimable: true, assignee: null }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleClaimCard({ card_id: 'card-1', agent: 'claude-code:a' });
+        const [activity] = activityRows(db);
+
+        check('the claim loses with wip_limit_reached', result.claimed === false && result.reason === 'wip_limit_reached' && result.wip_limit === 1, JSON.stringify(result));
+        check('the compare-and-swap never ran', !db.calls.some((c) => c.text.includes(CLAIM_CAS)));
+        check('a wip_denied row (not claim_denied) is logged', activity.action === 'wip_denied' && activity.detail.tool === 'claim_card', JSON.stringify(activity));
+    }
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]],
+            ['SELECT board_id FROM fictionlab.kanban_cards', [{ board_id: 'board-1' }]],
+            ...lane(1, 1),
+            ['SELECT * FROM fictionlab.kanban_cards', [{ id: 'card-1', board_id: 'board-1', status: 'claimed', agent_claimable: true, assignee: 'claude-code:b', claimed_by: 'claude-code:b' }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleClaimCard({ card_id: 'card-1', agent: 'claude-code:a' });
+        check('a card already taken still reports already_claimed', result.reason === 'already_claimed', JSON.stringify(result));
+    }
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.kanban_identities', [{ kind: 'agent' }]],
+            ['SELECT board_id FROM fictionlab.kanban_cards', [{ board_id: 'board-1' }]],
+            ...lane(3, 2),
+            [CLAIM_CAS, [{ id: 'card-1', board_id: 'board-1', status: 'claimed' }]]
+        ]);
+        const result = await new ClaimHandlers(db).handleClaimCard({ card_id: 'card-1', agent: 'claude-code:a' });
+        const cas = db.calls.find((c) => c.text.includes(CLAIM_CAS));
+        check('with room the claim wins inside the lane transaction', result.claimed === true && cas.inTransaction);
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (wip-limits.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('wip-limits.test.js crashed:', error);
+    process.exit(1);
+});
@@ -209,3 +209,75 @@ describe('WorksHandlers.handleGetWorksForBook', () => {
         assert.ok(text.includes('[chapter#11] Chapter 1'));
     });
 });
+
+describe('WorksHandlers.handleSearchWorks', () => {
+    it('searches works, facts and promises with websearch_to_tsquery and merges by rank', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM outline_works w, q', [
+            { id: 12, work_type: 'scene', title: 'The Bridge', rank: 0.4, hit_field: 'content', snippet: 'she **betrayed** the watch' }
+        ]);
+        mockDb.setQueryResult('FROM outline_facts f, q', [
+            { id: 3, statement: 'Mara betrayed the guild', fact_type: 'event', rank: 0.9, snippet: 'Mara **betrayed** the guild' }
+        ]);
+        mockDb.setQueryResult('FROM outline_promises pr, q', [
+            { id: 7, label: 'Who betrayed Mara?', status: 'planted', rank: 0.1, snippet: 'Who **betrayed** Mara?' }
+        ]);
+        const handlers = new WorksHandlers(mockDb);
+
+        const result = await handlers.handleSearchWorks({ query: 'betrayal' });
+        assert.strictEqual(mockDb.queries.length, 3);
+        for (const q of mockDb.queries) {
+            assert.ok(q.text.includes("websearch_to_tsquery('english', $1)"));
+            assert.ok(q.text.includes('ts_rank_cd('));
+            assert.ok(q.text.includes('ts_headline('));
+            assert.ok(!q.text.includes('ILIKE'));
+            assert.strictEqual(q.params[0], 'betrayal');
+        }
+        const text = result.content[0].text;
+        assert.ok(text.includes('3 match(es) for "betrayal"'));
+        const fact = text.indexOf('[fact#3]');
+        const scene = text.indexOf('[scene#12] The Bridge — hit in content');
+        const promise = text.indexOf('[promise#7]');
+        assert.ok(fact >= 0 && scene > fact && promise > scene, 'ordered by rank');
+        assert.ok(text.includes('she **betrayed** the watch'));
+    });
+
+    it('keeps ancestor_id subtree scoping for every source', async () => {
+        const mockDb = new MockDatabase();
+        const handlers = new WorksHandlers(mockDb);
+
+        await handlers.handleSearchWorks({ query: '"red door"', ancestor_id: 5, limit: 10 });
+        const [works, facts, promises] = mockDb.queries;
+        for (const q of mockDb.queries) {
+            assert.ok(q.text.includes('WITH RECURSIVE subtree AS'));
+            assert.deepStrictEqual(q.params, ['"red door"', q.params[1], 5, 10]);
+        }
+        assert.ok(works.text.includes('w.id IN (SELECT id FROM subtree)'));
+        assert.ok(facts.text.includes('FROM outline_scene_events e'));
+        assert.ok(promises.text.includes('pr.planted_work_id IN (SELECT id FROM subtree)'));
+    });
+
+    it('searches only works when work_type is given', async () => {
+        const mockDb = new MockDatabase();
+        const handlers = new WorksHandlers(mockDb);
+
+        const result = await handlers.handleSearchWorks({ query: 'storm', work_type: 'scene' });
+        assert.strictEqual(mockDb.queries.length, 1);
+        assert.ok(mockDb.queries[0].text.includes('w.work_type = $3'));
+        assert.deepStrictEqual(mockDb.queries[0].params.slice(2), ['scene', 50]);
+        assert.ok(result.content[0].text.includes('No matches for "storm"'));
+    });
+
+    it('rejects work_type combined with facts or promises, and unknown sources', async () => {
+        const handlers = new WorksHandlers(new MockDatabase());
+        await assert.rejects(
+            handlers.handleSearchWorks({ query: 'storm', work_type: 'scene', sources: ['works', 'facts'] }),
+            /work_type only applies to works/
+        );
+        await assert.rejects(
+            handlers.handleSearchWorks({ query: 'storm', sources: ['notes'] }),
+            /sources must be one or more of/
+        );
+        await assert.rejects(handlers.handleSearchWorks({ query: '  ' }), /query is required/);
+    });
+});
@@ -0,0 +1,233 @@
+// tests/timeline-server/timeline-inconsistencies.test.js
+// Tests for TimelineEventHandlers.handleFindTimelineInconsistencies: the
+// find_timeline_inconsistencies tool was named in the timeline server's tool
+// list but its handler was commented out (and queried series.series_id,
+// which does not exist). Exercises the handler against a mocked db (no live
+// database required), matching tests/outline-server/works-handlers.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TimelineEventHandlers } from '../../src/mcps/timeline-server/handlers/timeline-event-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+const event = (event_id, event_name, event_date, sort_order = 0) => ({ event_id, event_name, event_date, sort_order });
+const participant = (event_id, character_id, character_name, role_in_event = 'present') =>
+    ({ event_id, character_id, character_name, role_in_event });
+const mapping = (mapping_id, event_id, chapter_id, chapter_number, extra = {}) =>
+    ({ mapping_id, event_id, chapter_id, chapter_number, scene_number: null, presentation_type: 'direct_scene',
+       pov_character_id: null, book_id: 1, book_number: 1, book_title: 'Book One', ...extra });
+
+function seededDb({ events = [], participants = [], mappings = [] } = {}) {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM series WHERE id = $1', [{ id: 1, title: 'The Ember Cycle' }]);
+    mockDb.setQueryResult('FROM timeline_events\n', events);
+    mockDb.setQueryResult('FROM event_participants ep', participants);
+    mockDb.setQueryResult('FROM event_chapter_mappings m', mappings);
+    return mockDb;
+}
+
+const issuesOfType = (result, type) => result.issues.filter(i => i.issue_type === type);
+
+describe('TimelineEventHandlers.handleFindTimelineInconsistencies', () => {
+    it('is listed in getTimelineEventTools', () => {
+        const handlers = new TimelineEventHandlers(new MockDatabase());
+        assert.ok(handlers.getTimelineEventTools().some(t => t.name === 'find_timeline_inconsistencies'));
+    });
+
+    it('looks the series up by series.id and rejects an unknown series', async () => {
+        const mockDb = new MockDatabase();
+        const handlers = new TimelineEventHandlers(mockDb);
+        await assert.rejects(
+            handlers.handleFindTimelineInconsistencies({ series_id: 9 }),
+            /Series with ID 9 not found/
+        );
+        assert.ok(mockDb.queries[0].text.includes('FROM series WHERE id = $1'));
+        assert.ok(!mockDb.queries[0].text.includes('series_id'));
+    });
+
+    it('rejects unknown checks', async () => {
+        const handlers = new TimelineEventHandlers(seededDb());
+        await assert.rejects(
+            handlers.handleFindTimelineInconsistencies({ series_id: 1, checks: ['travel'] }),
+            /Unknown check\(s\): travel/
+        );
+    });
+
+    it('flags a character in two simultaneous events', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [
+                event(1, 'Council vote', new Date(2020, 4, 1), 3),
+                event(2, 'Harbour fire', new Date(2020, 4, 1), 3),
+                event(3, 'Market day', new Date(2020, 4, 2)),
+                event(4, 'Dawn patrol', new Date(2020, 4, 2)),
+                event(5, 'Dusk patrol', new Date(2020, 4, 2), 1)
+            ],
+            participants: [
+                participant(1, 7, 'Mara'), participant(2, 7, 'Mara'),
+                participant(3, 8, 'Oren'), participant(4, 8, 'Oren'), participant(5, 8, 'Oren')
+            ]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1 });
+        const clashes = issuesOfType(result, 'character_in_simultaneous_events');
+        assert.strictEqual(clashes.length, 2);
+
+        const mara = clashes.find(i => i.character_ids[0] === 7);
+        assert.strictEqual(mara.severity, 'critical');
+        assert.deepStrictEqual(mara.event_ids, [1, 2]);
+
+        // Same date, both on the default sort_order: may just be unordered.
+        const oren = clashes.find(i => i.character_ids[0] === 8);
+        assert.strictEqual(oren.severity, 'warning');
+        assert.deepStrictEqual(oren.event_ids, [3, 4]);
+        assert.ok(result.has_critical_issues);
+    });
+
+    it('flags overlapping world-time spans and lets world time override event_date', async () => {
+        const timed = (id, name, start, end = null) => ({ ...event(id, name, new Date(2020, 4, 1)), world_time_start: String(start), world_time_end: end === null ? null : String(end) });
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [
+                timed(1, 'Siege', 600, 900),
+                timed(2, 'Parley', 840),
+                timed(3, 'Feast', 900, 1000),
+                timed(4, 'Vigil', 1200)
+            ],
+            participants: [
+                participant(1, 7, 'Mara'), participant(2, 7, 'Mara'),
+                participant(3, 7, 'Mara'), participant(4, 7, 'Mara')
+            ]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1, checks: ['simultaneous_events'] });
+        // Same event_date for all four, but only Siege and Parley overlap;
+        // Feast starts as Siege ends.
+        assert.strictEqual(result.issue_count, 1);
+        const [issue] = result.issues;
+        assert.strictEqual(issue.severity, 'critical');
+        assert.deepStrictEqual(issue.event_ids, [1, 2]);
+        assert.strictEqual(issue.details.overlap_minutes, 0);
+    });
+
+    it('flags a character who takes part in or narrates events after their death', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [
+                event(1, 'Ambush at the ford', new Date(2020, 0, 10)),
+                event(2, 'Coronation', new Date(2020, 2, 1)),
+                event(3, 'Childhood', new Date(2010, 0, 1)),
+                event(4, 'Funeral', new Date(2020, 0, 12))
+            ],
+            participants: [
+                participant(1, 7, 'Mara', 'Killed'),
+                participant(2, 7, 'Mara', 'witness'),
+                participant(3, 7, 'Mara')
+            ],
+            mappings: [
+                mapping(40, 4, 21, 5, { pov_character_id: 7 }),
+                mapping(41, 3, 20, 1, { pov_character_id: 7 })
+            ]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1, checks: ['after_death'] });
+        const ghosts = issuesOfType(result, 'character_appears_after_death');
+        assert.strictEqual(ghosts.length, 2);
+        assert.ok(ghosts.every(i => i.severity === 'critical'));
+        assert.deepStrictEqual(ghosts[0].event_ids, [1, 2]);
+        assert.deepStrictEqual(ghosts[1].event_ids, [1, 4]);
+        assert.deepStrictEqual(ghosts[1].mapping_ids, [40]);
+        assert.deepStrictEqual(ghosts[1].chapter_ids, [21]);
+    });
+
+    it('honours custom death_roles and reports a second death event', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [event(1, 'Duel', null, 1), event(2, 'Shipwreck', null, 2), event(3, 'Wedding', null, 3)],
+            participants: [
+                participant(1, 7, 'Mara', 'slain'),
+                participant(2, 7, 'Mara', 'slain'),
+                participant(3, 7, 'Mara')
+            ]
+        }));
+
+        const defaults = await handlers.handleFindTimelineInconsistencies({ series_id: 1, checks: ['after_death'] });
+        assert.strictEqual(defaults.issue_count, 0);
+
+        const result = await handlers.handleFindTimelineInconsistencies({
+            series_id: 1, checks: ['after_death'], death_roles: ['slain']
+        });
+        assert.deepStrictEqual(issuesOfType(result, 'character_dies_more_than_once')[0].event_ids, [1, 2]);
+        assert.deepStrictEqual(issuesOfType(result, 'character_appears_after_death')[0].event_ids, [1, 3]);
+    });
+
+    it('flags chapters whose direct scenes run against the timeline, but not flashbacks', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [
+                event(1, 'Arrival', new Date(2020, 0, 1)),
+                event(2, 'Betrayal', new Date(2020, 0, 5)),
+                event(3, 'Escape', new Date(2020, 0, 9)),
+                event(4, 'Old war', new Date(1990, 0, 1))
+            ],
+            mappings: [
+                mapping(10, 2, 100, 1),
+                mapping(11, 1, 101, 2),
+                mapping(12, 3, 102, 3),
+                mapping(13, 4, 103, 4, { presentation_type: 'flashback' })
+            ]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1, checks: ['chapter_order'] });
+        assert.strictEqual(result.issue_count, 1);
+        const [issue] = result.issues;
+        assert.strictEqual(issue.issue_type, 'chapter_order_contradicts_timeline');
+        assert.strictEqual(issue.severity, 'warning');
+        assert.deepStrictEqual(issue.event_ids, [1, 2]);
+        assert.deepStrictEqual(issue.chapter_ids, [101, 100]);
+        assert.deepStrictEqual(issue.mapping_ids, [11, 10]);
+    });
+
+    it('orders by book before chapter and uses sort_order for undated events', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [event(1, 'Prologue', null, 1), event(2, 'Epilogue', null, 2)],
+            mappings: [
+                mapping(10, 2, 100, 1, { book_id: 1, book_number: 1 }),
+                mapping(11, 1, 200, 1, { book_id: 2, book_number: 2 })
+            ]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1 });
+        assert.strictEqual(result.issue_count, 1);
+        assert.deepStrictEqual(result.issues[0].event_ids, [1, 2]);
+    });
+
+    it('reports a clean timeline', async () => {
+        const handlers = new TimelineEventHandlers(seededDb({
+            events: [event(1, 'Arrival', new Date(2020, 0, 1)), event(2, 'Departure', new Date(2020, 0, 2))],
+            participants: [participant(1, 7, 'Mara'), participant(2, 7, 'Mara')],
+            mappings: [mapping(10, 1, 100, 1), mapping(11, 2, 101, 2)]
+        }));
+
+        const result = await handlers.handleFindTimelineInconsistencies({ series_id: 1 });
+        assert.strictEqual(result.issue_count, 0);
+        assert.strictEqual(result.has_critical_issues, false);
+        assert.strictEqual(result.events_checked, 2);
+        assert.strictEqual(result.mappings_checked, 2);
+    });
+});
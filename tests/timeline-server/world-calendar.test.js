@@ -0,0 +1,224 @@
+// tests/timeline-server/world-calendar.test.js
+// Tests for in-world calendars (migration 067): the pure arithmetic in
+// handlers/world-calendar.js, and CalendarHandlers against a mocked db (no
+// live database required), matching timeline-inconsistencies.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    normalizeCalendar, isLeapYear, toWorldTime, fromWorldTime, formatWorldTime, formatDuration, parseCalendarText
+} from '../../src/mcps/timeline-server/handlers/world-calendar.js';
+import { CalendarHandlers } from '../../src/mcps/timeline-server/handlers/calendar-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+// Four 30-day months (Frostfall gains a day every fourth year), a five-day
+// week, a 20-hour day, and eras counted back (BR) and forward (AR) from the
+// Reckoning in year 1001.
+const EMBER_CALENDAR = {
+    calendar_name: 'Imperial Reckoning',
+    months: [
+        { name: 'Frostfall', days: 30 },
+        { name: 'Greening', days: 30 },
+        { name: 'Highsun', days: 30 },
+        { name: 'Embers', days: 30 }
+    ],
+    weekdays: ['Moonday', 'Tideday', 'Ashday', 'Stoneday', 'Starday'],
+    hours_per_day: 20,
+    eras: [
+        { name: 'After Reckoning', abbreviation: 'AR', start_year: 1001 },
+        { name: 'Before Reckoning', abbreviation: 'BR', backward: true }
+    ],
+    leap_year_every: 4,
+    leap_month: 1
+};
+
+const calendar = normalizeCalendar(EMBER_CALENDAR);
+
+describe('world-calendar', () => {
+    it('orders eras chronologically and rejects a malformed definition', () => {
+        assert.deepStrictEqual(calendar.eras.map(e => e.abbreviation), ['BR', 'AR']);
+        assert.throws(() => normalizeCalendar({ months: [] }), /at least one month/);
+        assert.throws(
+            () => normalizeCalendar({ months: [{ name: 'Frostfall', days: 30 }, { name: 'frostfall', days: 30 }] }),
+            /listed twice/
+        );
+    });
+
+    it('round-trips world times through calendar text, leap days included', () => {
+        assert.ok(isLeapYear(calendar, 1044));
+        assert.ok(!isLeapYear(calendar, 1042));
+
+        for (const worldTime of [0, 1, 36000 * 12 + 599, 1200 * 31, -1, -7777777, 123456789]) {
+            const text = formatWorldTime(calendar, worldTime);
+            assert.strictEqual(parseCalendarText(calendar, text).world_time, worldTime, text);
+        }
+
+        const leapDay = toWorldTime(calendar, { year: 1044, month: 1, day: 31 });
+        assert.strictEqual(fromWorldTime(calendar, leapDay).day, 31);
+        assert.throws(() => toWorldTime(calendar, { year: 1045, month: 1, day: 31 }), /31/);
+    });
+
+    it('writes years in their era, counting backward eras down', () => {
+        const reckoning = toWorldTime(calendar, { year: 1001 });
+        assert.strictEqual(formatWorldTime(calendar, reckoning, { includeTime: false }), 'Moonday, 1 Frostfall 1 AR');
+        const lastYearBefore = fromWorldTime(calendar, reckoning - 1);
+        assert.deepStrictEqual([lastYearBefore.era, lastYearBefore.era_year], ['BR', 1]);
+        assert.strictEqual(parseCalendarText(calendar, 'Year 1 BR').parts.year, 1000);
+    });
+
+    it('parses the accepted forms to the same instant', () => {
+        const expected = parseCalendarText(calendar, '3 Frostfall 42 AR, 15:00').world_time;
+        assert.strictEqual(parseCalendarText(calendar, 'Frostfall 3, 42 AR at 15:00').world_time, expected);
+        assert.strictEqual(parseCalendarText(calendar, '42-1-3 AR 15:00').world_time, expected);
+
+        const monthOnly = parseCalendarText(calendar, 'Greening 42 AR');
+        assert.strictEqual(monthOnly.precision, 'month');
+        assert.strictEqual(monthOnly.parts.day, 1);
+    });
+
+    it('checks a leading weekday against the date', () => {
+        const text = formatWorldTime(calendar, toWorldTime(calendar, { year: 1042, month: 2, day: 7 }), { includeTime: false });
+        const weekday = text.split(',')[0];
+        assert.ok(parseCalendarText(calendar, text));
+        const wrong = calendar.weekdays.find(w => w !== weekday);
+        assert.throws(() => parseCalendarText(calendar, text.replace(weekday, wrong)), new RegExp(weekday));
+    });
+
+    it('counts "Day N" from an anchor and needs one', () => {
+        const anchor = '10 Highsun 42 AR';
+        const dayFour = parseCalendarText(calendar, 'Day 4, 09:30', { anchor });
+        assert.strictEqual(dayFour.parts.day, 13);
+        assert.strictEqual(dayFour.parts.hour, 9);
+        assert.throws(() => parseCalendarText(calendar, 'Day 4'), /anchor/);
+    });
+
+    it('treats "AM" as an era when the calendar has one', () => {
+        const amCalendar = normalizeCalendar({
+            months: [{ name: 'Thaw', days: 30 }],
+            eras: [{ name: 'Anno Mundi', abbreviation: 'AM', start_year: 1 }]
+        });
+        const parsed = parseCalendarText(amCalendar, '5 Thaw 12 AM');
+        assert.deepStrictEqual([parsed.parts.year, parsed.parts.day, parsed.parts.hour], [12, 5, 0]);
+
+        const plain = normalizeCalendar({ months: [{ name: 'Thaw', days: 30 }] });
+        assert.strictEqual(parseCalendarText(plain, '5 Thaw 12, 3 pm').parts.hour, 15);
+    });
+
+    it('formats durations in the calendar\'s own day length', () => {
+        assert.strictEqual(formatDuration(calendar, 2 * 1200 + 75), '2 days, 1 hour, 15 minutes');
+        assert.strictEqual(formatDuration(calendar, 0), '0 minutes');
+    });
+});
+
+describe('CalendarHandlers', () => {
+    const calendarRow = { series_id: 1, ...EMBER_CALENDAR };
+
+    it('lists its tools', () => {
+        const names = new CalendarHandlers(new MockDatabase()).getCalendarTools().map(t => t.name);
+        assert.deepStrictEqual(names, ['define_series_calendar', 'get_series_calendar', 'convert_calendar_time', 'set_world_time']);
+    });
+
+    it('defines a calendar and reports stored times when replacing one', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM series WHERE id = $1', [{ id: 1, title: 'The Ember Cycle' }]);
+        mockDb.setQueryResult('INSERT INTO series_calendars', [{ id: 3, replaced: true }]);
+        mockDb.setQueryResult('AS stored', [{ stored: '5' }]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleDefineSeriesCalendar({ series_id: 1, ...EMBER_CALENDAR });
+        assert.strictEqual(result.calendar_id, 3);
+        assert.strictEqual(result.days_per_year, 120);
+        assert.match(result.message, /5 stored event\/chapter world time/);
+
+        const insert = mockDb.queries.find(q => q.text.includes('INSERT INTO series_calendars'));
+        assert.deepStrictEqual(JSON.parse(insert.params[7]).map(e => e.abbreviation), ['BR', 'AR']);
+
+        await assert.rejects(
+            handlers.handleDefineSeriesCalendar({ series_id: 1, calendar_name: 'Empty', months: [] }),
+            /Failed to define series calendar: months must list/
+        );
+    });
+
+    it('converts both ways and measures a duration', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM series_calendars', [calendarRow]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleConvertCalendarTime({
+            series_id: 1, value: '3 Frostfall 42 AR, 10:00', until: '5 Frostfall 42 AR, 11:15'
+        });
+        assert.strictEqual(result.duration_minutes, 2 * 1200 + 75);
+        assert.strictEqual(result.duration, '2 days, 1 hour, 15 minutes');
+
+        const back = await handlers.handleConvertCalendarTime({ series_id: 1, value: result.world_time });
+        assert.strictEqual(back.text, result.text);
+
+        await assert.rejects(
+            new CalendarHandlers(new MockDatabase()).handleConvertCalendarTime({ series_id: 2, value: 0 }),
+            /has no calendar/
+        );
+    });
+
+    it('sets an event\'s world time from text and a duration', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM timeline_events WHERE id = $1', [{ id: 8, series_id: 1, event_name: 'Harbour fire' }]);
+        mockDb.setQueryResult('FROM series_calendars', [calendarRow]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleSetWorldTime({ event_id: 8, start: '3 Frostfall 42 AR, 10:00', duration_minutes: 90 });
+        const update = mockDb.queries.find(q => q.text.includes('UPDATE timeline_events'));
+        assert.strictEqual(update.params[2] - update.params[1], 90);
+        assert.strictEqual(result.world_time.duration, '1 hour, 30 minutes');
+
+        await assert.rejects(
+            handlers.handleSetWorldTime({ event_id: 8, start: '5 Frostfall 42 AR', end: '3 Frostfall 42 AR' }),
+            /is before start/
+        );
+        await assert.rejects(handlers.handleSetWorldTime({ start: 0 }), /exactly one of event_id or chapter_id/);
+    });
+
+    it('reads a chapter\'s story time text, and takes plain minutes without a calendar', async () => {
+        const mockDb = new MockDatabase();
+        mockDb.setQueryResult('FROM chapters c', [{
+            id: 20, chapter_number: 4, title: 'Ashes', series_id: 1,
+            story_time_start: 'Day 2, 08:00', story_time_end: 'Day 2, 14:30'
+        }]);
+        mockDb.setQueryResult('FROM series_calendars', [calendarRow]);
+        const handlers = new CalendarHandlers(mockDb);
+
+        const result = await handlers.handleSetWorldTime({ chapter_id: 20, from_story_time: true, anchor: '1 Greening 42 AR' });
+        const update = mockDb.queries.find(q => q.text.includes('UPDATE chapters'));
+        assert.strictEqual(update.params[2] - update.params[1], 6 * 60 + 30);
+        assert.match(result.world_time.start_text, /2 Greening 42 AR, 08:00$/);
+
+        const noCalendar = new MockDatabase();
+        noCalendar.setQueryResult('FROM chapters c', [{ id: 20, chapter_number: 4, title: null, series_id: 1 }]);
+        const plain = await new CalendarHandlers(noCalendar).handleSetWorldTime({ chapter_id: 20, start: 500 });
+        assert.strictEqual(plain.world_time.start, 500);
+        assert.strictEqual(plain.world_time.start_text, null);
+        await assert.rejects(
+            new CalendarHandlers(noCalendar).handleSetWorldTime({ chapter_id: 20, start: 'Day 2' }),
+            /no calendar/
+        );
+    });
+});
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+// tests/workflow-manager-server/active-workflow-migration.test.js
+// Tests for migrate_active_workflow (migration 065): mapping a running
+// instance's completed and current nodes onto another definition version,
+// recomputing progress and available nodes, flagging instances that cannot
+// be moved safely, and the definition_version recorded at registration. The
+// DB is a canned-response fake (no real Postgres) that records every query
+// and which of them ran inside transaction().
+//
+// Run: node tests/workflow-manager-server/active-workflow-migration.test.js
+
+import { ActiveWorkflowHandlers } from '../../src/mcps/workflow-manager-server/handlers/active-workflow-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    let inTransaction = false;
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params, inTransaction });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            inTransaction = true;
+            try {
+                return await callback(this);
+            } finally {
+                inTransaction = false;
+            }
+        }
+    };
+}
+
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const RUN_A = '11111111-1111-1111-1111-111111111111';
+const RUN_B = '22222222-2222-2222-2222-222222222222';
+
+const node = (id, name) => ({ id, type: 'writing', data: { name: name || id } });
+const edge = (id, source, target) => ({ id, source, target, type: 'default' });
+
+// 2.0.0: "draft" was renamed "first-draft", "notes" was removed, "polish" added.
+const TARGET_GRAPH = {
+    nodes: [node('outline', 'Outline'), node('first-draft', 'First draft'), node('review', 'Review'), node('polish', 'Polish')],
+    edges: [edge('e1', 'outline', 'first-draft'), edge('e2', 'first-draft', 'review'), edge('e3', 'review', 'polish')]
+};
+
+function instance(overrides = {}) {
+    return {
+        id: RUN_A,
+        workflow_id: 'book',
+        workflow_name: 'Book',
+        status: 'running',
+        definition_version: '1.0.0',
+        completed_node_ids: ['outline', 'draft'],
+        current_node_id: 'review',
+        context: {},
+        ...overrides
+    };
+}
+
+const INSTANCES = 'FROM fictionlab.active_workflows';
+const LIVE_RUNS = 'FROM fictionlab.sub_workflow_executions';
+const UPDATE = 'UPDATE fictionlab.active_workflows';
+
+function fixtures({ instances = [instance()], liveRuns = [], graph = TARGET_GRAPH } = {}) {
+    return [
+        [INSTANCES, instances],
+        [LIVE_RUNS, liveRuns],
+        ['FROM fictionlab.workflow_versions', (params) => (params[1] === '2.0.0' ? [{ version: '2.0.0', definition_json: { id: 'book', graph_json: graph } }] : [])],
+        ['FROM fictionlab.workflow_definitions', [{ workflow_id: 'book', version: '2.1.0', graph_json: graph }]]
+    ];
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. A renamed node maps cleanly.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(fixtures());
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }
+        });
+        const [report] = result.instances;
+        const update = db.calls.find(c => c.text.includes(UPDATE));
+        const migration = JSON.parse(update.params[9]);
+
+        check('the instance is safe and migrated', report.safe && report.migrated && result.migrated === 1, JSON.stringify(report.problems));
+        check('completed ids are renamed through the mapping', JSON.parse(update.params[1]).join() === 'outline,first-draft');
+        check('totals and progress are recomputed on the target graph', update.params[2] === 2 && update.params[3] === 4 && update.params[4] === 50);
+        check('available nodes come from the target graph', JSON.parse(update.params[5]).map(n => n.name).join() === 'Outline,First draft,Review,Polish');
+        check('the current node keeps its id and gets the target name', update.params[6] === 'review' && update.params[7] === 'Review');
+        check('definition_version moves to the target', update.params[8] === '2.0.0' && report.from_version === '1.0.0');
+        check('the move is logged in metadata.last_migration', migration.from_version === '1.0.0' && migration.node_mapping.draft === 'first-draft' && migration.forced === false);
+        check('the report says what can run next', report.runnable.map(n => n.id).join() === 'review');
+        check('everything runs in one transaction', db.calls.every(c => c.inTransaction));
+    }
+
+    // -----------------------------------------------------------------
+    // 2. Unsafe instances are flagged, not migrated.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(fixtures({ instances: [instance({ completed_node_ids: ['outline', 'draft', 'notes'] })] }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }
+        });
+        const [report] = result.instances;
+        check(
+            'a completed node missing from the target is flagged',
+            !report.safe && !report.migrated && report.problems[0].code === 'completed_node_missing' && report.problems[0].node_id === 'notes',
+            JSON.stringify(report.problems)
+        );
+        check('  ... and nothing is written', !db.calls.some(c => c.text.includes(UPDATE)) && result.flagged === 1);
+    }
+    {
+        const db = makeFakeDb(fixtures({ instances: [instance({ completed_node_ids: ['outline', 'draft', 'notes'] })] }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft', notes: null }
+        });
+        check('mapping a removed node to null drops it', result.instances[0].migrated && result.instances[0].dropped_node_ids.join() === 'notes');
+    }
+    {
+        const db = makeFakeDb(fixtures({ instances: [instance({ current_node_id: 'notes' })] }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }, force: true
+        });
+        const update = db.calls.find(c => c.text.includes(UPDATE));
+        check('force migrates a flagged instance', result.instances[0].migrated && result.instances[0].problems[0].code === 'current_node_missing');
+        check('  ... clearing the unresolvable current node and logging forced', update.params[6] === null && JSON.parse(update.params[9]).forced === true);
+    }
+    {
+        const db = makeFakeDb(fixtures({ liveRuns: [{ id: 9, parent_instance_id: RUN_A, parent_node_id: 'notes' }] }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }, force: true
+        });
+        check(
+            'a sub-workflow in progress on a removed node blocks even with force',
+            !result.instances[0].migrated && result.instances[0].problems.some(p => p.code === 'sub_workflow_node_missing'),
+            JSON.stringify(result.instances[0].problems)
+        );
+    }
+    {
+        const db = makeFakeDb(fixtures({ liveRuns: [{ id: 9, parent_instance_id: RUN_A, parent_node_id: 'draft' }] }));
+        await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }
+        });
+        const moved = db.calls.find(c => c.text.includes('UPDATE fictionlab.sub_workflow_executions'));
+        check('a live sub-workflow on a renamed node follows the rename', moved && moved.params[0] === 9 && moved.params[1] === 'first-draft');
+    }
+    {
+        const db = makeFakeDb(fixtures());
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'second-draft' }, force: true
+        });
+        check('a mapping onto a node the target lacks blocks', !result.instances[0].migrated && result.instances[0].problems.some(p => p.code === 'mapping_target_missing'));
+    }
+    {
+        const broken = { ...TARGET_GRAPH, edges: [...TARGET_GRAPH.edges, edge('e9', 'polish', 'gone')] };
+        const db = makeFakeDb(fixtures({ graph: broken }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            registry_id: RUN_A, target_version: '2.0.0', node_mapping: { draft: 'first-draft' }, force: true
+        });
+        check('a target graph with errors blocks', !result.instances[0].migrated && result.instances[0].problems[0].code === 'target_graph_invalid');
+    }
+
+    // -----------------------------------------------------------------
+    // 3. Every instance of a workflow, dry run, default target.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(fixtures({
+            instances: [instance(), instance({ id: RUN_B, completed_node_ids: ['outline', 'notes'], current_node_id: null })]
+        }));
+        const result = await new ActiveWorkflowHandlers(db).handleMigrateActiveWorkflow({
+            workflow_id: 'book', node_mapping: { draft: 'first-draft' }, dry_run: true
+        });
+        const lookup = db.calls.find(c => c.text.includes(INSTANCES));
+        check('workflow_id selects the running and paused instances', lookup.text.includes("status IN ('running', 'paused')") && lookup.params[0] === 'book');
+        check('the target defaults to the current definition', result.target_version === '2.1.0');
+        check('a dry run reports which instances are safe', result.instances[0].safe && !result.instances[1].safe && result.flagged === 1);
+        check('  ... and writes nothing', result.migrated === 0 && !db.calls.some(c => c.text.trim().startsWith('UPDATE')));
+    }
+
+    // -----------------------------------------------------------------
+    // 4. Guards.
+    // -----------------------------------------------------------------
+    for (const [label, fixtureArgs, args, pattern] of [
+        ['a finished instance', { instances: [instance({ status: 'completed' })] }, { registry_id: RUN_A }, /is completed/],
+        ['both registry_id and workflow_id', {}, { registry_id: RUN_A, workflow_id: 'book' }, /exactly one of registry_id or workflow_id/],
+        ['a mapping value that is not an id', {}, { registry_id: RUN_A, node_mapping: { draft: 3 } }, /node_mapping\.draft must be a node id or null/],
+        ['an unknown target version', {}, { registry_id: RUN_A, target_version: '9.0.0' }, /has no version 9\.0\.0/]
+    ]) {
+        const error = await rejects(() => new ActiveWorkflowHandlers(makeFakeDb(fixtures(fixtureArgs))).handleMigrateActiveWorkflow(args));
+        check(`migrate refuses ${label}`, error && pattern.test(error.message), error && error.message);
+    }
+
+    // -----------------------------------------------------------------
+    // 5. register_active_workflow records the definition version.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.workflow_definitions WHERE workflow_id = $1 LIMIT 1', [{ name: 'Book', version: '2.1.0', graph_json: TARGET_GRAPH }]],
+            ['INSERT INTO fictionlab.active_workflows', [{ id: RUN_A, started_at: '2026-10-01T10:00:00Z' }]]
+        ]);
+        const result = await new ActiveWorkflowHandlers(db).handleRegisterActiveWorkflow({ workflow_id: 'book', source: 'claude_code' });
+        const insert = db.calls.find(c => c.text.includes('INSERT INTO fictionlab.active_workflows'));
+        check('register stores the definition version it read', insert.params[9] === '2.1.0' && result.definition_version === '2.1.0');
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (active-workflow-migration.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('active-workflow-migration.test.js crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+// tests/workflow-manager-server/graph-validation.test.js
+// Tests for workflow graph structure checks: validateGraph's errors and
+// warnings, edge condition evaluation, computeNextNodes (branches, joins,
+// loops), the node/edge tools refusing changes that add a graph error,
+// get_next_nodes reading an active workflow, and register_active_workflow
+// deriving available_nodes from the definition. The DB is a canned-response
+// fake (no real Postgres) that records every query.
+//
+// Run: node tests/workflow-manager-server/graph-validation.test.js
+
+import {
+    validateGraph,
+    evaluateEdgeCondition,
+    computeNextNodes
+} from '../../src/mcps/workflow-manager-server/handlers/graph-validation.js';
+import { GraphHandlers } from '../../src/mcps/workflow-manager-server/handlers/graph-handlers.js';
+import { ActiveWorkflowHandlers } from '../../src/mcps/workflow-manager-server/handlers/active-workflow-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const node = (id, name) => ({ id, type: 'writing', data: { name: name || id } });
+const edge = (id, source, target, extra = {}) => ({ id, source, target, type: 'default', ...extra });
+const codes = (findings) => findings.map(f => f.code).sort().join(',');
+
+// outline -> draft -> review -(approved)-> publish
+//                       \-(!approved)-> revise -(loop-back)-> review
+function pipeline() {
+    return {
+        nodes: [node('outline'), node('draft'), node('review'), node('revise'), node('publish')],
+        edges: [
+            edge('e1', 'outline', 'draft'),
+            edge('e2', 'draft', 'review'),
+            edge('e3', 'review', 'publish', { type: 'conditional', condition: '$.approved == true' }),
+            edge('e4', 'review', 'revise', { type: 'conditional', condition: '$.approved == false' }),
+            edge('e5', 'revise', 'review', { type: 'loop-back' })
+        ]
+    };
+}
+
+const DEFINITION = 'FROM fictionlab.workflow_definitions';
+const SAVE = 'UPDATE fictionlab.workflow_definitions';
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. validateGraph.
+    // -----------------------------------------------------------------
+    {
+        const result = validateGraph(pipeline());
+        check('a pipeline with a loop-back edge is valid', result.valid, JSON.stringify(result.errors));
+        check('its start and end nodes are found', result.start_nodes.join() === 'outline' && result.end_nodes.join() === 'publish', JSON.stringify(result));
+        check('the review/revise loop is a warning', codes(result.warnings) === 'loop');
+    }
+    {
+        const graph = pipeline();
+        graph.edges.push(edge('e6', 'publish', 'ghost'));
+        const result = validateGraph(graph);
+        check('an edge to a deleted node is a dangling_edge error', !result.valid && codes(result.errors) === 'dangling_edge' && result.errors[0].edge_id === 'e6');
+    }
+    {
+        const result = validateGraph({ nodes: [node('a'), node('b')], edges: [edge('ab', 'a', 'b'), edge('ba', 'b', 'a')] });
+        check(
+            'a two-node cycle with no condition has no start, no end and an unconditional cycle',
+            codes(result.errors) === 'no_end_node,no_start_node,unconditional_cycle',
+            codes(result.errors)
+        );
+    }
+    {
+        const graph = { nodes: [node('a'), node('b'), node('c')], edges: [edge('ab', 'a', 'b'), edge('bc', 'b', 'c'), edge('cb', 'c', 'b')] };
+        const result = validateGraph(graph);
+        check('a cycle hanging off a start node is still an error', codes(result.errors) === 'no_end_node,unconditional_cycle', codes(result.errors));
+        graph.edges[2].condition = '$.retry == true';
+        const looped = validateGraph(graph);
+        check('  ... and a condition on its back edge makes it a loop the run can end in', looped.valid && looped.end_nodes.join() === 'c', JSON.stringify(looped));
+    }
+    {
+        const graph = pipeline();
+        graph.nodes.push(node('notes'), node('stray'));
+        graph.edges.push(edge('e7', 'stray', 'stray', { condition: '$.again' }));
+        graph.edges[0].condition = 'score is high';
+        graph.nodes.push(node('draft'));
+        const result = validateGraph(graph);
+        check('an unparseable condition and a reused node id are errors', codes(result.errors) === 'duplicate_node_id,invalid_condition', codes(result.errors));
+        check(
+            'an edgeless node is an orphan and a self-looping island is unreachable',
+            result.warnings.some(w => w.code === 'orphan_node' && w.node_id === 'notes') && result.warnings.some(w => w.code === 'unreachable_node' && w.node_id === 'stray'),
+            JSON.stringify(result.warnings)
+        );
+    }
+
+    // -----------------------------------------------------------------
+    // 2. evaluateEdgeCondition.
+    // -----------------------------------------------------------------
+    {
+        const context = { score: 72, approved: true, review: { verdict: 'ok' }, label: 'x' };
+        check('>= compares numbers', evaluateEdgeCondition('$.score >= 70', context) && !evaluateEdgeCondition('$.score >= 80', context));
+        check('== true and a bare flag', evaluateEdgeCondition('$.approved == true', context) && evaluateEdgeCondition('$.approved', context) && !evaluateEdgeCondition('!$.approved', context));
+        check('dotted paths and quoted strings', evaluateEdgeCondition("$.review.verdict == 'ok'", context) && evaluateEdgeCondition('$.review.verdict != "bad"', context));
+        check('a missing path is false except for !=', !evaluateEdgeCondition('$.count < 10', context) && evaluateEdgeCondition('$.count != 3', context));
+        check('ordering a string is false', !evaluateEdgeCondition('$.label > 1', context));
+        check('no condition is true', evaluateEdgeCondition(undefined, {}) && evaluateEdgeCondition('  ', {}));
+        let error = null;
+        try {
+            evaluateEdgeCondition('$.score >= high', context);
+        } catch (e) {
+            error = e;
+        }
+        check('an unquoted word literal is refused', error && /Unsupported literal/.test(error.message));
+    }
+
+    // -----------------------------------------------------------------
+    // 3. computeNextNodes.
+    // -----------------------------------------------------------------
+    {
+        const start = computeNextNodes(pipeline(), [], {});
+        check('nothing completed: only the start node runs', start.runnable.map(n => n.id).join() === 'outline' && !start.is_complete);
+
+        const approved = computeNextNodes(pipeline(), ['outline', 'draft', 'review'], { approved: true });
+        check('an approved review runs publish', approved.runnable.map(n => n.id).join() === 'publish');
+        check('  ... and skips the revise branch', approved.skipped.join() === 'revise');
+
+        const rejected = computeNextNodes(pipeline(), ['outline', 'draft', 'review'], { approved: false });
+        check('a rejected review runs revise', rejected.runnable.map(n => n.id).join() === 'revise');
+
+        const revised = computeNextNodes(pipeline(), ['outline', 'draft', 'review', 'revise'], { approved: false });
+        check(
+            'a finished revise asks for another review pass',
+            revised.reentry.length === 1 && revised.reentry[0].id === 'review' && revised.reentry[0].via_edge === 'e5' && !revised.is_complete
+        );
+
+        const done = computeNextNodes(pipeline(), ['outline', 'draft', 'review', 'publish'], { approved: true });
+        check('completing publish completes the run', done.is_complete && done.runnable.length === 0);
+
+        const unset = computeNextNodes(pipeline(), ['outline', 'draft', 'review'], {});
+        check('with neither condition true both branches are skipped', unset.runnable.length === 0 && unset.skipped.sort().join() === 'publish,revise');
+    }
+    {
+        // research and outline both feed draft (a join).
+        const graph = {
+            nodes: [node('brief'), node('research'), node('outline'), node('draft')],
+            edges: [edge('a', 'brief', 'research'), edge('b', 'brief', 'outline'), edge('c', 'research', 'draft'), edge('d', 'outline', 'draft')]
+        };
+        const half = computeNextNodes(graph, ['brief', 'research'], {});
+        check('a join waits for its other branch', half.runnable.map(n => n.id).join() === 'outline' && half.waiting[0].id === 'draft' && half.waiting[0].waiting_on.join() === 'outline');
+        const both = computeNextNodes(graph, ['brief', 'research', 'outline'], {});
+        check('  ... and runs once both are done', both.runnable.map(n => n.id).join() === 'draft' && both.waiting.length === 0);
+    }
+    {
+        const graph = pipeline();
+        graph.edges[2].condition = 'looks good';
+        const result = computeNextNodes(graph, ['outline', 'draft', 'review'], { approved: true });
+        check('an unparseable condition counts as false and is reported', result.runnable.length === 0 && result.condition_errors[0].edge_id === 'e3');
+    }
+
+    // -----------------------------------------------------------------
+    // 4. The node and edge tools refuse changes that add an error.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([[DEFINITION, () => [{ workflow_id: 'book', version: '1.0.0', graph_json: pipeline() }]]]);
+        const handlers = new GraphHandlers(db);
+
+        const cycle = await rejects(() => handlers.handleCreateEdge({ workflow_id: 'book', edge_id: 'e9', source_node_id: 'draft', target_node_id: 'outline' }));
+        check('create_edge refuses an edge that closes an unconditional cycle', cycle && /Change refused/.test(cycle.message) && /Cycle/.test(cycle.message), cycle && cycle.message);
+
+        const dangling = await rejects(() => handlers.handleUpdateEdge({ workflow_id: 'book', edge_id: 'e1', updates: { target: 'ghost' } }));
+        check('update_edge refuses pointing an edge at a missing node', dangling && /missing node ghost/.test(dangling.message), dangling && dangling.message);
+
+        const condition = await rejects(() => handlers.handleUpdateEdge({ workflow_id: 'book', edge_id: 'e3', updates: { condition: 'if approved' } }));
+        check('update_edge refuses an unparseable condition', condition && /Cannot parse condition/.test(condition.message));
+
+        const renamed = await rejects(() => handlers.handleUpdateNode({ workflow_id: 'book', node_id: 'draft', updates: { id: 'draft-2' } }));
+        check('update_node refuses renaming a node out from under its edges', renamed && /dangling|missing node draft/.test(renamed.message), renamed && renamed.message);
+
+        check('nothing refused was saved', !db.calls.some(c => c.text.includes(SAVE)));
+
+        const loop = await handlers.handleCreateEdge({
+            workflow_id: 'book', edge_id: 'e9', source_node_id: 'publish', target_node_id: 'draft', edge_type: 'loop-back', condition: '$.rewrite == true'
+        });
+        check('a loop-back edge is accepted', loop.success && db.calls.some(c => c.text.includes(SAVE)));
+
+        const added = await handlers.handleAddNode({ workflow_id: 'book', node_id: 'notes', node_type: 'file', node_data: { data: { name: 'Notes' } } });
+        check('add_node still adds a node, reporting it as an orphan', added.success && added.graph_warnings.some(w => w.code === 'orphan_node' && w.node_id === 'notes'));
+    }
+    {
+        // Already broken: a dangling edge. Unrelated fixes must still go through.
+        const broken = pipeline();
+        broken.edges.push(edge('old', 'publish', 'removed'));
+        const db = makeFakeDb([[DEFINITION, () => [{ workflow_id: 'book', version: '1.0.0', graph_json: JSON.parse(JSON.stringify(broken)) }]]]);
+        const handlers = new GraphHandlers(db);
+        const renamed = await handlers.handleUpdateNode({ workflow_id: 'book', node_id: 'draft', updates: { data: { name: 'First draft' } } });
+        check('an existing error does not block an unrelated change', renamed.success);
+        await handlers.handleDeleteEdge({ workflow_id: 'book', edge_id: 'old' });
+        const saved = JSON.parse(db.calls.filter(c => c.text.includes(SAVE)).pop().params[0]);
+        check('  ... and the dangling edge can be deleted', !saved.edges.some(e => e.id === 'old'));
+    }
+
+    // -----------------------------------------------------------------
+    // 5. validate_workflow_graph and get_next_nodes tools.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([[DEFINITION, [{ workflow_id: 'book', version: '2.0.0', graph_json: pipeline() }]]]);
+        const result = await new GraphHandlers(db).handleValidateWorkflowGraph({ workflow_id: 'book' });
+        check('validate_workflow_graph validates the stored graph', result.valid && result.version === '2.0.0');
+        const unsaved = await new GraphHandlers(makeFakeDb()).handleValidateWorkflowGraph({ graph_json: { nodes: [node('a'), node('a')], edges: [] } });
+        check('  ... or an unsaved graph_json', !unsaved.valid && unsaved.errors[0].code === 'duplicate_node_id');
+    }
+    {
+        const db = makeFakeDb([[
+            'FROM fictionlab.active_workflows awr',
+            [{ workflow_id: 'book', completed_node_ids: ['outline', 'draft', 'review'], context: { approved: false }, graph_json: pipeline() }]
+        ]]);
+        const result = await new GraphHandlers(db).handleGetNextNodes({ registry_id: '11111111-1111-1111-1111-111111111111' });
+        check('get_next_nodes uses the active workflow\'s completed nodes and context', result.runnable.map(n => n.id).join() === 'revise' && result.workflow_id === 'book');
+        const missing = await rejects(() => new GraphHandlers(makeFakeDb()).handleGetNextNodes({}));
+        check('get_next_nodes needs a registry_id or workflow_id', missing && /registry_id or workflow_id/.test(missing.message));
+    }
+
+    // -----------------------------------------------------------------
+    // 6. register_active_workflow derives available_nodes.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['FROM fictionlab.workflow_definitions WHERE workflow_id = $1 LIMIT 1', [{ name: 'Book pipeline', version: '1.0.0', graph_json: pipeline() }]],
+            ['INSERT INTO fictionlab.active_workflows', [{ id: 'reg-1', started_at: '2026-10-01T10:00:00Z' }]]
+        ]);
+        const result = await new ActiveWorkflowHandlers(db).handleRegisterActiveWorkflow({
+            workflow_id: 'book', source: 'claude_code', total_nodes: 2, available_nodes: [{ id: 'x', name: 'X' }]
+        });
+        const insert = db.calls.find(c => c.text.includes('INSERT INTO fictionlab.active_workflows'));
+        check('caller-supplied nodes are replaced by the graph nodes', result.total_nodes === 5 && result.available_nodes[0].id === 'outline' && JSON.parse(insert.params[6]).length === 5);
+    }
+    {
+        const db = makeFakeDb([['INSERT INTO fictionlab.active_workflows', [{ id: 'reg-2', started_at: '2026-10-01T10:00:00Z' }]]]);
+        const result = await new ActiveWorkflowHandlers(db).handleRegisterActiveWorkflow({
+            workflow_id: 'external', source: 'typingmind', total_nodes: 2, available_nodes: [{ id: 'x', name: 'X' }, { id: 'y', name: 'Y' }]
+        });
+        check('without a stored graph the caller\'s nodes are kept', result.total_nodes === 2 && result.available_nodes.length === 2);
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (graph-validation.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('graph-validation.test.js crashed:', error);
+    process.exit(1);
+});
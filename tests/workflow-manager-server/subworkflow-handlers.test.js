@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// tests/workflow-manager-server/subworkflow-handlers.test.js
+// Tests for nested workflow runs (migration 064): start_sub_workflow
+// registering the child in fictionlab.active_workflows and its guards,
+// complete_sub_workflow closing the child and updating the parent's node
+// and context, and get_active_workflow nesting child runs. The DB is a
+// canned-response fake (no real Postgres) that records every query and
+// which of them ran inside transaction().
+//
+// Run: node tests/workflow-manager-server/subworkflow-handlers.test.js
+
+import { SubworkflowHandlers } from '../../src/mcps/workflow-manager-server/handlers/subworkflow-handlers.js';
+import { ActiveWorkflowHandlers } from '../../src/mcps/workflow-manager-server/handlers/active-workflow-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    let inTransaction = false;
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params, inTransaction });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        },
+        async transaction(callback) {
+            inTransaction = true;
+            try {
+                return await callback(this);
+            } finally {
+                inTransaction = false;
+            }
+        }
+    };
+}
+
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const PARENT_ID = '11111111-1111-1111-1111-111111111111';
+const CHILD_ID = '22222222-2222-2222-2222-222222222222';
+
+const PARENT_LOOKUP = 'FOR UPDATE OF awr';
+const LIVE_RUN = "parent_node_id = $2 AND status = 'in_progress'";
+const DEFINITION = 'SELECT workflow_id, name, version, graph_json FROM fictionlab.workflow_definitions';
+const ANCESTORS = 'WITH RECURSIVE chain';
+const CHILD_INSERT = 'INSERT INTO fictionlab.active_workflows';
+const EXECUTION_INSERT = 'INSERT INTO fictionlab.sub_workflow_executions';
+
+function parentRow(overrides = {}) {
+    return {
+        id: PARENT_ID,
+        workflow_id: 'book-pipeline',
+        workflow_name: 'Book pipeline',
+        source: 'claude_code',
+        project_folder: '/books/one',
+        project_name: 'Book One',
+        status: 'running',
+        breadcrumb: [],
+        graph_json: { nodes: [{ id: 'outline', data: { name: 'Outline' } }, { id: 'draft' }] },
+        ...overrides
+    };
+}
+
+function startFixtures(overrides = {}) {
+    return [
+        [PARENT_LOOKUP, [parentRow(overrides.parent)]],
+        [LIVE_RUN, overrides.live || []],
+        [DEFINITION, [{ workflow_id: 'outline-sub', name: 'Outline sub', version: '1.2.0', graph_json: { nodes: [{ id: 'a' }, { id: 'b', name: 'B' }] } }]],
+        ['FROM fictionlab.workflow_versions', overrides.versions || []],
+        [ANCESTORS, overrides.ancestors || [{ workflow_id: 'book-pipeline', depth: 1 }]],
+        [CHILD_INSERT, [{ id: CHILD_ID, started_at: '2026-10-01T10:00:00Z' }]],
+        [EXECUTION_INSERT, [{ id: 7, started_at: '2026-10-01T10:00:00Z' }]]
+    ];
+}
+
+const START_ARGS = { parent_instance_id: PARENT_ID, parent_node_id: 'outline', sub_workflow_id: 'outline-sub', input_json: { genre: 'thriller' } };
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. start_sub_workflow registers the child and records the run.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb(startFixtures());
+        const result = await new SubworkflowHandlers(db).handleStartSubWorkflow(START_ARGS);
+        const child = db.calls.find((c) => c.text.includes(CHILD_INSERT));
+        const execution = db.calls.find((c) => c.text.includes(EXECUTION_INSERT));
+        const breadcrumb = JSON.parse(child.params[8]);
+
+        check('returns the execution and child registry ids', result.sub_workflow_execution_id === 7 && result.child_registry_id === CHILD_ID);
+        check('the child is linked to the parent', child.params[7] === PARENT_ID);
+        check('the child inherits source and project', child.params[2] === 'claude_code' && child.params[3] === '/books/one');
+        check('the child counts the sub-workflow graph nodes', child.params[5] === 2 && JSON.parse(child.params[6])[1].name === 'B');
+        check(
+            'the breadcrumb gains the launching node',
+            breadcrumb.length === 1 && breadcrumb[0].workflowId === 'book-pipeline' && breadcrumb[0].nodeId === 'outline' && breadcrumb[0].nodeName === 'Outline',
+            JSON.stringify(breadcrumb)
+        );
+        check('the child starts with input_json as its context', JSON.parse(child.params[9]).genre === 'thriller');
+        check('the child records the sub-workflow version it runs', child.params[10] === '1.2.0');
+        check(
+            'the execution row links parent node, child and the current version',
+            execution.params[1] === 'outline' && execution.params[2] === CHILD_ID && execution.params[4] === '1.2.0'
+        );
+        check('everything runs in one transaction', db.calls.every((c) => c.inTransaction));
+    }
+
+    // -----------------------------------------------------------------
+    // 2. start_sub_workflow guards.
+    // -----------------------------------------------------------------
+    for (const [label, fixtures, args, pattern] of [
+        ['a completed parent', { parent: { status: 'completed' } }, START_ARGS, /is completed/],
+        ['a node not in the parent graph', {}, { ...START_ARGS, parent_node_id: 'ghost' }, /Node ghost not found/],
+        ['a node with a live run', { live: [{ id: 3 }] }, START_ARGS, /already has a sub-workflow in progress \(execution 3\)/],
+        ['an unknown version', {}, { ...START_ARGS, sub_workflow_version: '9.9.9' }, /has no version 9\.9\.9/],
+        [
+            'a sub-workflow already running up the chain',
+            { ancestors: [{ workflow_id: 'book-pipeline', depth: 1 }, { workflow_id: 'outline-sub', depth: 2 }] },
+            START_ARGS,
+            /recursive nesting/
+        ]
+    ]) {
+        const db = makeFakeDb(startFixtures(fixtures));
+        const error = await rejects(() => new SubworkflowHandlers(db).handleStartSubWorkflow(args));
+        check(`start refuses ${label}`, error && pattern.test(error.message), error && error.message);
+        check(`  ... and registers no child (${label})`, !db.calls.some((c) => c.text.includes(CHILD_INSERT)));
+    }
+    {
+        const db = makeFakeDb(startFixtures({ versions: [{ '?column?': 1 }] }));
+        await new SubworkflowHandlers(db).handleStartSubWorkflow({ ...START_ARGS, sub_workflow_version: '1.0.0' });
+        const execution = db.calls.find((c) => c.text.includes(EXECUTION_INSERT));
+        check('a recorded older version is accepted', execution.params[4] === '1.0.0');
+    }
+
+    // -----------------------------------------------------------------
+    // 3. complete_sub_workflow closes the child and advances the parent.
+    // -----------------------------------------------------------------
+    {
+        const db = makeFakeDb([
+            ['UPDATE fictionlab.sub_workflow_executions', [{ parent_instance_id: PARENT_ID, parent_node_id: 'outline', child_instance_id: CHILD_ID, sub_workflow_def_id: 'outline-sub' }]],
+            ['SET completed_nodes = jsonb_array_length', [{ id: PARENT_ID, completed_node_ids: ['outline'], completed_nodes: 1, progress_percent: 50, context: { approved: true } }]]
+        ]);
+        const result = await new SubworkflowHandlers(db).handleCompleteSubWorkflow({ sub_workflow_execution_id: 7, output_json: { approved: true } });
+        const guard = db.calls.find((c) => c.text.includes('UPDATE fictionlab.sub_workflow_executions'));
+        const childClose = db.calls.find((c) => c.text.includes("SET status = 'completed'"));
+        const nodeDone = db.calls.find((c) => c.text.includes('context = COALESCE(context'));
+
+        check('the execution is only completed while in progress', guard.text.includes("status = 'in_progress'") && guard.params[0] === 'complete');
+        check('the child active workflow is completed', childClose && childClose.params[0] === CHILD_ID);
+        check('the parent node is marked completed', nodeDone.params[0] === PARENT_ID && nodeDone.params[1] === 'outline');
+        check('output_json is merged into the parent context', JSON.parse(nodeDone.params[2]).approved === true);
+        check('the result reports the parent progress', result.parent_updated === true && result.parent_progress.progress_percent === 50);
+        check('all of it in one transaction', db.calls.every((c) => c.inTransaction));
+    }
+    {
+        const db = makeFakeDb([
+            ['UPDATE fictionlab.sub_workflow_executions', [{ parent_instance_id: PARENT_ID, parent_node_id: 'outline', child_instance_id: CHILD_ID, sub_workflow_def_id: 'outline-sub' }]]
+        ]);
+        const result = await new SubworkflowHandlers(db).handleCompleteSubWorkflow({ sub_workflow_execution_id: 7, error: 'agent crashed' });
+        const childFail = db.calls.find((c) => c.text.includes("SET status = 'failed'"));
+        check('an error fails the run', result.status === 'failed' && result.parent_updated === false);
+        check('the child active workflow is failed with the message', childFail && childFail.params[1] === 'agent crashed');
+        check('the parent node is left open', !db.calls.some((c) => c.text.includes('completed_node_ids')));
+    }
+    {
+        const db = makeFakeDb([['SELECT status FROM fictionlab.sub_workflow_executions', [{ status: 'complete' }]]]);
+        const error = await rejects(() => new SubworkflowHandlers(db).handleCompleteSubWorkflow({ sub_workflow_execution_id: 7 }));
+        check('a run cannot be completed twice', error && /already complete/.test(error.message), error && error.message);
+    }
+    {
+        const error = await rejects(() => new SubworkflowHandlers(makeFakeDb()).handleCompleteSubWorkflow({ sub_workflow_execution_id: 7, output_json: ['x'] }));
+        check('an array output_json is refused', error && /output_json must be an object/.test(error.message));
+    }
+
+    // -----------------------------------------------------------------
+    // 4. get_active_workflow returns the tree of child runs.
+    // -----------------------------------------------------------------
+    {
+        const GRANDCHILD_ID = '33333333-3333-3333-3333-333333333333';
+        const db = makeFakeDb([
+            ['WITH RECURSIVE tree', [
+                { id: CHILD_ID, parent_workflow_id: PARENT_ID, workflow_id: 'outline-sub', sub_workflow_execution_id: 7, parent_node_id: 'outline' },
+                { id: GRANDCHILD_ID, parent_workflow_id: CHILD_ID, workflow_id: 'beat-sheet', sub_workflow_execution_id: 8, parent_node_id: 'a' }
+            ]],
+            ['WHERE awr.id = $1', [{ id: PARENT_ID, workflow_id: 'book-pipeline', context: { genre: 'thriller' } }]]
+        ]);
+        const result = await new ActiveWorkflowHandlers(db).handleGetActiveWorkflow({ registry_id: PARENT_ID });
+        check('the parent context is returned', result.context.genre === 'thriller');
+        check('direct children are nested under child_runs', result.child_runs.length === 1 && result.child_runs[0].id === CHILD_ID);
+        check(
+            'grandchildren nest under their own parent run',
+            result.child_runs[0].child_runs.length === 1 && result.child_runs[0].child_runs[0].parent_node_id === 'a'
+        );
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (subworkflow-handlers.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('subworkflow-handlers.test.js crashed:', error);
+    process.exit(1);
+});
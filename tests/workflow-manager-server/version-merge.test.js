@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+// tests/workflow-manager-server/version-merge.test.js
+// Tests for comparing workflow versions: diffGraphs (nodes and edges matched
+// by id, field-level changes, layout-only moves), mergeGraphs (three-way
+// merge and its conflicts), and the diff_workflow_versions /
+// merge_workflow_versions tools reading snapshots from workflow_versions and
+// the current definition. The DB is a canned-response fake (no real
+// Postgres) that records every query.
+//
+// Run: node tests/workflow-manager-server/version-merge.test.js
+
+import { diffGraphs, mergeGraphs } from '../../src/mcps/workflow-manager-server/handlers/graph-diff.js';
+import { DefinitionHandlers } from '../../src/mcps/workflow-manager-server/handlers/definition-handlers.js';
+
+let pass = 0;
+let fail = 0;
+
+function check(label, condition, detail) {
+    if (condition) {
+        console.log(`  PASS  ${label}`);
+        pass++;
+    } else {
+        console.log(`  FAIL  ${label}${detail ? ' -- ' + detail : ''}`);
+        fail++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Fake DB: the first matching (substring -> rows) entry answers a query;
+// anything unmatched returns no rows.
+// ---------------------------------------------------------------------------
+
+function makeFakeDb(responses = []) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, params = []) {
+            calls.push({ text, params });
+            for (const [pattern, rows] of responses) {
+                if (text.includes(pattern)) {
+                    return { rows: typeof rows === 'function' ? rows(params) : rows };
+                }
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function rejects(fn) {
+    try {
+        await fn();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// v1.0.0 as shipped by the marketplace.
+const BASE = {
+    nodes: [
+        { id: 'outline', type: 'planning', position: { x: 0, y: 0 }, data: { name: 'Outline', prompt: 'Outline the book' } },
+        { id: 'draft', type: 'writing', position: { x: 200, y: 0 }, data: { name: 'Draft', prompt: 'Write it' } },
+        { id: 'polish', type: 'writing', position: { x: 400, y: 0 }, data: { name: 'Polish' } }
+    ],
+    edges: [
+        { id: 'e1', source: 'outline', target: 'draft', type: 'default' },
+        { id: 'e2', source: 'draft', target: 'polish', type: 'default' }
+    ],
+    viewport: { zoom: 1 }
+};
+
+// v1.1.0 upstream: new prompt for draft, a review gate before polish.
+function upstream() {
+    const graph = clone(BASE);
+    graph.nodes[1].data.prompt = 'Write the first draft';
+    graph.nodes.push({ id: 'review', type: 'gate', position: { x: 300, y: 100 }, data: { name: 'Review' } });
+    graph.edges[1] = { id: 'e2', source: 'draft', target: 'review', type: 'default' };
+    graph.edges.push({ id: 'e3', source: 'review', target: 'polish', type: 'conditional', condition: '$.approved == true' });
+    return graph;
+}
+
+// The user's copy of 1.0.0: nodes dragged around, zoomed in.
+function local() {
+    const graph = clone(BASE);
+    graph.nodes[0].position = { x: 10, y: 50 };
+    graph.nodes[1].position = { x: 220, y: 50 };
+    graph.viewport = { zoom: 1.5 };
+    return graph;
+}
+
+async function main() {
+    // -----------------------------------------------------------------
+    // 1. diffGraphs.
+    // -----------------------------------------------------------------
+    {
+        const diff = diffGraphs(BASE, upstream());
+        check('an added node and edge are reported', diff.nodes.added.map(n => n.id).join() === 'review' && diff.edges.added.map(e => e.id).join() === 'e3');
+        const draft = diff.nodes.modified.find(m => m.id === 'draft');
+        check(
+            'a modified node lists its changed fields',
+            draft && draft.changes.length === 1 && draft.changes[0].field === 'data.prompt' && draft.changes[0].to === 'Write the first draft',
+            JSON.stringify(diff.nodes.modified)
+        );
+        check('a retargeted edge is modified, not removed and re-added', diff.edges.modified[0].id === 'e2' && diff.edges.removed.length === 0);
+        check('the summary counts match', diff.summary.nodes_added === 1 && diff.summary.edges_modified === 1 && !diff.identical);
+
+        const moved = diffGraphs(BASE, local());
+        check('position-only edits are layout_only', moved.nodes.modified.length === 2 && moved.nodes.modified.every(m => m.layout_only) && moved.summary.nodes_moved_only === 2);
+        check('graph-level keys are diffed too', moved.settings.length === 1 && moved.settings[0].field === 'viewport.zoom');
+
+        const shuffled = clone(BASE);
+        shuffled.nodes.reverse();
+        check('reordering nodes is not a change', diffGraphs(BASE, shuffled).identical);
+
+        const removed = clone(BASE);
+        removed.nodes.pop();
+        removed.edges.pop();
+        const gone = diffGraphs(BASE, removed);
+        check('removals are reported', gone.nodes.removed[0].id === 'polish' && gone.edges.removed[0].id === 'e2');
+    }
+
+    // -----------------------------------------------------------------
+    // 2. mergeGraphs.
+    // -----------------------------------------------------------------
+    {
+        const { graph, conflicts } = mergeGraphs(BASE, upstream(), local());
+        const byId = new Map(graph.nodes.map(n => [n.id, n]));
+        check('a clean merge has no conflicts', conflicts.length === 0, JSON.stringify(conflicts));
+        check('local positions are carried over', byId.get('outline').position.y === 50 && byId.get('draft').position.x === 220);
+        check('  ... alongside upstream\'s prompt change on the same node', byId.get('draft').data.prompt === 'Write the first draft');
+        check('upstream\'s new node and edges are kept', byId.has('review') && graph.edges.some(e => e.id === 'e3') && graph.edges.find(e => e.id === 'e2').target === 'review');
+        check('the local viewport wins where only local changed it', graph.viewport.zoom === 1.5);
+        check('nodes keep upstream order', graph.nodes.map(n => n.id).join() === 'outline,draft,polish,review');
+    }
+    {
+        const mine = local();
+        mine.nodes[1].data.prompt = 'Write fast';
+        const up = mergeGraphs(BASE, upstream(), mine);
+        check(
+            'the same field changed on both sides is a conflict',
+            up.conflicts.length === 1 && up.conflicts[0].type === 'both_modified' && up.conflicts[0].field === 'data.prompt' && up.conflicts[0].local === 'Write fast',
+            JSON.stringify(up.conflicts)
+        );
+        check('  ... resolved toward upstream by default', up.graph.nodes.find(n => n.id === 'draft').data.prompt === 'Write the first draft');
+        const loc = mergeGraphs(BASE, upstream(), mine, { prefer: 'local' });
+        check('  ... or toward local', loc.graph.nodes.find(n => n.id === 'draft').data.prompt === 'Write fast');
+    }
+    {
+        const up = clone(BASE);
+        up.nodes = up.nodes.filter(n => n.id !== 'polish');
+        up.edges = up.edges.filter(e => e.id !== 'e2');
+        const mine = clone(BASE);
+        mine.nodes[2].data.name = 'Final polish';
+        const result = mergeGraphs(BASE, up, mine);
+        check('a node removed upstream but edited locally is a conflict', result.conflicts.some(c => c.id === 'polish' && c.type === 'removed_upstream_modified_locally'));
+        check('  ... and the upstream removal wins by default', !result.graph.nodes.some(n => n.id === 'polish'));
+
+        const untouched = mergeGraphs(BASE, up, clone(BASE));
+        check('a node removed upstream and untouched locally is simply removed', untouched.conflicts.length === 0 && untouched.graph.nodes.length === 2);
+    }
+
+    // -----------------------------------------------------------------
+    // 3. diff_workflow_versions / merge_workflow_versions.
+    // -----------------------------------------------------------------
+    const HISTORY = 'FROM fictionlab.workflow_versions';
+    const CURRENT = 'FROM fictionlab.workflow_definitions';
+    const INSERT = 'INSERT INTO fictionlab.workflow_versions';
+    const snapshots = {
+        '1.0.0': { id: 'book', name: 'Book', version: '1.0.0', graph_json: BASE },
+        '1.1.0': { id: 'book', name: 'Book', version: '1.1.0', graph_json: upstream() }
+    };
+    const versionsDb = (currentGraph, extra = []) => makeFakeDb([
+        ...extra,
+        [HISTORY, (params) => (snapshots[params[1]] ? [{ version: params[1], definition_json: clone(snapshots[params[1]]) }] : [])],
+        [CURRENT, [{ workflow_id: 'book', name: 'Book', version: '1.0.0', graph_json: currentGraph }]]
+    ]);
+
+    {
+        const db = versionsDb(local());
+        const diff = await new DefinitionHandlers(db).handleDiffWorkflowVersions({ workflow_id: 'book', from_version: '1.0.0', to_version: '1.1.0' });
+        check('diff_workflow_versions compares two recorded snapshots', diff.from_version === '1.0.0' && diff.to_version === '1.1.0' && diff.summary.nodes_added === 1);
+        const toCurrent = await new DefinitionHandlers(db).handleDiffWorkflowVersions({ workflow_id: 'book', from_version: '1.0.0' });
+        check('  ... and defaults to_version to the current definition', toCurrent.summary.nodes_moved_only === 2);
+        const missing = await rejects(() => new DefinitionHandlers(db).handleDiffWorkflowVersions({ workflow_id: 'book', from_version: '0.9.0' }));
+        check('an unknown version is refused', missing && /has no version 0\.9\.0/.test(missing.message));
+    }
+    {
+        const db = versionsDb(local(), [[INSERT, [{ id: 12, created_at: '2026-10-01T10:00:00Z' }]]]);
+        const result = await new DefinitionHandlers(db).handleMergeWorkflowVersions({
+            workflow_id: 'book', base_version: '1.0.0', upstream_version: '1.1.0', new_version: '1.1.0-local'
+        });
+        const insert = db.calls.find(c => c.text.includes(INSERT));
+        const written = JSON.parse(insert.params[2]);
+        check('a clean merge onto the current definition is written', result.written && result.version_id === 12 && result.local_version === '1.0.0');
+        check('the new version keeps the upstream snapshot shape with the merged graph', written.name === 'Book' && written.version === '1.1.0-local' && written.graph_json.nodes.find(n => n.id === 'draft').position.x === 220);
+        check('its parent_version is the upstream version', insert.params[4] === '1.1.0' && /Merged 1\.0\.0 onto 1\.1\.0/.test(insert.params[3]));
+    }
+    {
+        const mine = local();
+        mine.nodes[1].data.prompt = 'Write fast';
+        const db = versionsDb(mine, [[INSERT, [{ id: 13, created_at: '2026-10-01T10:00:00Z' }]]]);
+        const handlers = new DefinitionHandlers(db);
+        const failed = await handlers.handleMergeWorkflowVersions({ workflow_id: 'book', base_version: '1.0.0', upstream_version: '1.1.0', new_version: '1.1.1' });
+        check('conflicts write nothing by default', !failed.written && failed.conflicts.length === 1 && !db.calls.some(c => c.text.includes(INSERT)));
+        const resolved = await handlers.handleMergeWorkflowVersions({ workflow_id: 'book', base_version: '1.0.0', upstream_version: '1.1.0', new_version: '1.1.1', on_conflict: 'local' });
+        check('on_conflict: local writes the local side', resolved.written && JSON.parse(db.calls.find(c => c.text.includes(INSERT)).params[2]).graph_json.nodes.find(n => n.id === 'draft').data.prompt === 'Write fast');
+    }
+    {
+        // Locally added edge into a node upstream deleted.
+        const mine = local();
+        mine.nodes.push({ id: 'notes', type: 'file', data: { name: 'Notes' } });
+        mine.edges.push({ id: 'e9', source: 'notes', target: 'polish', type: 'default' });
+        const up = clone(BASE);
+        up.nodes = up.nodes.filter(n => n.id !== 'polish');
+        up.edges = up.edges.filter(e => e.id !== 'e2');
+        snapshots['2.0.0'] = { id: 'book', version: '2.0.0', graph_json: up };
+        const db = versionsDb(mine);
+        const result = await new DefinitionHandlers(db).handleMergeWorkflowVersions({ workflow_id: 'book', base_version: '1.0.0', upstream_version: '2.0.0', new_version: '2.0.1' });
+        check('a merge that would leave a dangling edge is not written', !result.written && result.graph_errors.some(e => e.code === 'dangling_edge' && e.edge_id === 'e9'), JSON.stringify(result.graph_errors));
+    }
+    {
+        const db = versionsDb(local());
+        const error = await rejects(() => new DefinitionHandlers(db).handleMergeWorkflowVersions({ workflow_id: 'book', base_version: '1.0.0', upstream_version: '1.1.0', new_version: '1.1.0' }));
+        check('an existing new_version is refused, not overwritten', error && /already has a version 1\.1\.0/.test(error.message), error && error.message);
+        check('  ... the insert never updates on conflict', db.calls.find(c => c.text.includes(INSERT)).text.includes('DO NOTHING'));
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed. (version-merge.test.js)`);
+    process.exit(fail > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+    console.error('version-merge.test.js crashed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,83 @@
+// tests/writing-server/export-handlers.test.js
+// Tests for ExportHandlers.handleExportManuscript: it used to emit a
+// placeholder where each chapter's text belongs; it now assembles the scene
+// prose the book server stores (migration 068). Runs against a mocked db (no
+// live database required), matching tests/book-server/scene-prose.test.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ExportHandlers } from '../../src/mcps/writing-server/handlers/export-handlers.js';
+
+class MockDatabase {
+    constructor() {
+        this.queryResults = new Map();
+        this.queries = [];
+    }
+
+    setQueryResult(queryPattern, rows) {
+        this.queryResults.set(queryPattern, { rows });
+    }
+
+    async query(text, params = []) {
+        this.queries.push({ text, params });
+        for (const [pattern, result] of this.queryResults.entries()) {
+            if (text.includes(pattern)) {
+                return result;
+            }
+        }
+        return { rows: [] };
+    }
+}
+
+// Chapter 1 has two drafted scenes, chapter 2 none.
+function seededDb() {
+    const mockDb = new MockDatabase();
+    mockDb.setQueryResult('FROM books b', [{
+        title: 'The Long Night', subtitle: null, actual_word_count: 20, status: 'draft',
+        series_title: 'The Ember Cycle', author_name: 'R. Vale', genre_names: ['Fantasy']
+    }]);
+    mockDb.setQueryResult('FROM chapters c\n                LEFT JOIN characters', [
+        { chapter_id: 10, chapter_number: 1, title: 'Arrival', word_count: 14, summary: 'Mara reaches the city.' },
+        { chapter_id: 11, chapter_number: 2, title: 'The Ledger', word_count: 0, summary: null }
+    ]);
+    mockDb.setQueryResult('FROM chapter_scenes s', [
+        { chapter_id: 10, scene_number: 1, scene_content: 'The rain fell.\nMara waited at the gate {alone}.\n' },
+        { chapter_id: 10, scene_number: 2, scene_content: 'Inside, the café was warm.' }
+    ]);
+    mockDb.setQueryResult('INSERT INTO manuscript_exports', [{ id: 3, export_date: '2026-10-19T00:00:00Z' }]);
+    return mockDb;
+}
+
+describe('ExportHandlers.handleExportManuscript', () => {
+    it('exports scene prose with scene breaks and notes chapters without prose', async () => {
+        const mockDb = seededDb();
+        const result = await new ExportHandlers(mockDb).handleExportManuscript({ book_id: 1, export_format: 'md' });
+
+        assert.ok(result.export_content.includes(
+            'The rain fell.\nMara waited at the gate {alone}.\n\n* * *\n\nInside, the café was warm.'));
+        assert.ok(result.export_content.includes('## Chapter 2: The Ledger'));
+        assert.ok(result.export_content.includes('*[No prose drafted for this chapter yet]*'));
+        assert.ok(!result.export_content.includes('would be inserted here'));
+        assert.deepStrictEqual(result.statistics.chapters_without_prose, [2]);
+
+        const scenesQuery = mockDb.queries.find(q => q.text.includes('FROM chapter_scenes s'));
+        assert.ok(scenesQuery.text.includes('ORDER BY c.chapter_number, s.scene_number'));
+
+        const exportRecord = mockDb.queries.find(q => q.text.includes('INSERT INTO manuscript_exports'));
+        assert.deepStrictEqual(exportRecord.params[3], [10, 11]);
+    });
+
+    it('marks scene breaks with # in standard manuscript format', async () => {
+        const result = await new ExportHandlers(seededDb()).handleExportManuscript({
+            book_id: 1, export_format: 'standard_manuscript', export_purpose: 'submission'
+        });
+        assert.ok(result.export_content.includes('gate {alone}.\n\n#\n\nInside, the café was warm.'));
+    });
+
+    it('escapes prose for RTF', async () => {
+        const result = await new ExportHandlers(seededDb()).handleExportManuscript({ book_id: 1, export_format: 'rtf' });
+        assert.ok(result.export_content.includes('Mara waited at the gate \\{alone\\}.\\par\n'));
+        assert.ok(result.export_content.includes('caf\\u233?'));
+        assert.ok(result.export_content.includes('{\\qc * * *\\par}'));
+    });
+});